@@ -91,6 +91,11 @@ namespace slskd
         /// </summary>
         public const string LeecherGroup = "leechers";
 
+        /// <summary>
+        ///     The name of the buddy user group.
+        /// </summary>
+        public const string BuddyGroup = "buddies";
+
         /// <summary>
         ///     The name of the blacklisted user group.
         /// </summary>
@@ -116,6 +121,7 @@ namespace slskd
             IBrowseTracker browseTracker,
             IRoomService roomService,
             IUserService userService,
+            IIgnoreListService ignoreListService,
             IMessagingService messagingService,
             IShareService shareService,
             ISearchService searchService,
@@ -186,6 +192,7 @@ namespace slskd
 
             RoomService = roomService;
             Users = userService;
+            IgnoreList = ignoreListService;
             Messaging = messagingService;
             ApplicationHub = applicationHub;
 
@@ -262,6 +269,7 @@ namespace slskd
         private IHubContext<LogsHub> LogHub { get; set; }
         private EventBus EventBus { get; }
         private IUserService Users { get; set; }
+        private IIgnoreListService IgnoreList { get; }
         private IShareService Shares { get; set; }
         private ISearchService Search { get; set; }
         private IRelayService Relay { get; set; }
@@ -612,6 +620,12 @@ namespace slskd
                     throw new DownloadEnqueueException("File not shared.");
                 }
 
+                if (IgnoreList.IsUploadRejected(username))
+                {
+                    Log.Information("Rejected enqueue request for ignored user {Username} ({IP})", username, endpoint.Address);
+                    throw new DownloadEnqueueException("File not shared.");
+                }
+
                 /*
                     for limits to work properly (and to help alleviate strain from the db, make incoming requests 'fair' among competing users),
                     we need to ensure that we process only one request per user at a time.
@@ -699,6 +713,7 @@ namespace slskd
                     {
                         DefaultGroup => Options.Transfers.Groups.Default.Upload.Limits,
                         LeecherGroup => Options.Transfers.Groups.Leechers.Upload.Limits,
+                        BuddyGroup => Options.Transfers.Groups.Buddies.Upload.Limits,
                         _ => Options.Transfers.Groups.Default.Upload.Limits, // that's weird! we'll just go with defaults..
                     };
                 }
@@ -1090,6 +1105,15 @@ namespace slskd
                 // todo: raise blacklisted message event?
             }
 
+            if (IgnoreList.IsIgnored(args.Username))
+            {
+                // acknowledge it so that the server doesn't deliver it again the next time we log in
+                Log.Debug("Ignored private message from ignored user {Username}: {Message}", args.Username, args.Message);
+                _ = Client.AcknowledgePrivateMessageAsync(args.Id)
+                    .ContinueWith(task => Log.Warning(task.Exception, "Failed to acknowledge ignored private message from {Username}: {Message}", args.Username, task.Exception?.Message), TaskContinuationOptions.OnlyOnFaulted);
+                return;
+            }
+
             Messaging.Conversations.HandleMessageAsync(args.Username, PrivateMessage.FromEventArgs(args));
 
             if (Options.Integrations.Pushbullet.Enabled && !args.Replayed)
@@ -1103,7 +1127,7 @@ namespace slskd
             // note: this event is also subscribed in the RoomService class
             // this handler is only used for pushbullet.
             // todo: refactor pushbullet so that it uses events
-            if (Users.IsBlacklisted(args.Username))
+            if (Users.IsBlacklisted(args.Username) || IgnoreList.IsIgnored(args.Username))
             {
                 return;
             }
@@ -1188,6 +1212,7 @@ namespace slskd
         {
             _ = Task.Run(() => PruneSearches());
             _ = Task.Run(() => PruneTransfers());
+            _ = Task.Run(() => PruneRoomMessages());
         }
 
         private void Clock_EveryThirtyMinutes(object sender, ClockEventArgs e)
@@ -1345,6 +1370,23 @@ namespace slskd
             }
         }
 
+        private async Task PruneRoomMessages()
+        {
+            var age = OptionsMonitor.CurrentValue.Retention.Messages;
+
+            if (age.HasValue)
+            {
+                try
+                {
+                    await RoomService.PruneMessagesAsync(age.Value);
+                }
+                catch
+                {
+                    Log.Error("Encountered one or more errors while pruning room messages");
+                }
+            }
+        }
+
         private void Client_ExcludedSearchPhrasesReceived(object sender, IReadOnlyCollection<string> e)
         {
             Log.Debug("Excluded search phrases: {Phrases}", string.Join(", ", e));
@@ -95,6 +95,11 @@ namespace slskd.Authentication
             {
                 var key = Security.AuthenticateWithApiKey(headerKeyValue, Request.HttpContext.Connection.RemoteIpAddress);
 
+                if (!ApiKeyScope.Permits(key.Scopes, Request.Method, Request.Path))
+                {
+                    throw new UnauthorizedException($"API key {key.Name} is not authorized to {Request.Method} {Request.Path}; scopes: {string.Join(", ", key.Scopes)}");
+                }
+
                 var identity = new GenericIdentity(key.Name);
                 var principal = new GenericPrincipal(identity, new[] { key.Role.ToString() });
                 var ticket = new AuthenticationTicket(principal, new AuthenticationProperties(), ApiKeyAuthentication.AuthenticationScheme);
@@ -0,0 +1,95 @@
+// <copyright file="ApiKeyScope.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Authentication
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using Microsoft.AspNetCore.Http;
+
+    /// <summary>
+    ///     API key scopes, which limit the requests a key can make to change things.
+    /// </summary>
+    public static class ApiKeyScope
+    {
+        /// <summary>
+        ///     The key can't change anything.
+        /// </summary>
+        public const string ReadOnly = "readonly";
+
+        /// <summary>
+        ///     The key can change transfers.
+        /// </summary>
+        public const string Transfers = "transfers";
+
+        /// <summary>
+        ///     The key can change searches.
+        /// </summary>
+        public const string Searches = "searches";
+
+        /// <summary>
+        ///     Gets all of the scopes.
+        /// </summary>
+        public static IReadOnlyList<string> All { get; } = new[] { ReadOnly, Transfers, Searches };
+
+        /// <summary>
+        ///     Determines whether a key with the specified scopes can make the specified request.
+        /// </summary>
+        /// <remarks>
+        ///     Keys without scopes can make any request their role allows, and any key can make requests that don't
+        ///     change anything.  Otherwise the request must be to the controller named by one of the scopes.
+        /// </remarks>
+        /// <param name="scopes">The scopes of the key.</param>
+        /// <param name="method">The HTTP method of the request.</param>
+        /// <param name="path">The path of the request.</param>
+        /// <returns>A value indicating whether the key can make the request.</returns>
+        public static bool Permits(IEnumerable<string> scopes, string method, PathString path)
+        {
+            scopes ??= Enumerable.Empty<string>();
+
+            if (!scopes.Any() || HttpMethods.IsGet(method) || HttpMethods.IsHead(method) || HttpMethods.IsOptions(method))
+            {
+                return true;
+            }
+
+            // routes look like /api/v0/transfers/downloads
+            var segments = (path.Value ?? string.Empty).Split('/', StringSplitOptions.RemoveEmptyEntries);
+            var api = Array.FindIndex(segments, segment => segment.Equals("api", StringComparison.OrdinalIgnoreCase));
+            var controller = api < 0 ? null : segments.ElementAtOrDefault(api + 2);
+
+            return scopes
+                .Where(scope => !scope.Equals(ReadOnly, StringComparison.OrdinalIgnoreCase))
+                .Any(scope => scope.Equals(controller, StringComparison.OrdinalIgnoreCase));
+        }
+    }
+}
@@ -0,0 +1,99 @@
+// <copyright file="ApiKeysController.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+using Microsoft.Extensions.Options;
+
+namespace slskd.Core.API
+{
+    using System.Linq;
+    using Asp.Versioning;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+
+    /// <summary>
+    ///     API keys.
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("0")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class ApiKeysController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ApiKeysController"/> class.
+        /// </summary>
+        /// <param name="optionsSnapshot"></param>
+        /// <param name="securityService"></param>
+        public ApiKeysController(
+            IOptionsSnapshot<Options> optionsSnapshot,
+            SecurityService securityService)
+        {
+            OptionsSnapshot = optionsSnapshot;
+            Security = securityService;
+        }
+
+        private IOptionsSnapshot<Options> OptionsSnapshot { get; }
+        private SecurityService Security { get; }
+
+        /// <summary>
+        ///     Gets the configured API keys, without their values, and when each was last used.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet]
+        [Authorize(Policy = AuthPolicy.JwtOnly, Roles = AuthRole.AdministratorOnly)]
+        [ProducesResponseType(typeof(ApiKeyResponse[]), 200)]
+        public IActionResult Get()
+        {
+            var keys = OptionsSnapshot.Value.Web.Authentication.ApiKeys
+                .Select(key =>
+                {
+                    Security.ApiKeyUsage.TryGetValue(key.Key, out var usage);
+
+                    return new ApiKeyResponse
+                    {
+                        Name = key.Key,
+                        Role = key.Value.Role,
+                        Scopes = key.Value.Scopes,
+                        Cidr = key.Value.Cidr,
+                        Created = key.Value.Created,
+                        LastUsed = usage?.Time,
+                        LastUsedBy = usage?.IpAddress,
+                    };
+                })
+                .OrderBy(key => key.Name);
+
+            return Ok(keys);
+        }
+    }
+}
@@ -149,7 +149,7 @@ namespace slskd.Core.API
         /// </summary>
         /// <returns></returns>
         [HttpPost("gc")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.JwtOnly, Roles = AuthRole.AdministratorOnly)]
         public IActionResult CollectGarbage()
         {
             Application.CollectGarbage();
@@ -158,7 +158,7 @@ namespace slskd.Core.API
         }
 
         [HttpGet("dump")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.JwtOnly, Roles = AuthRole.AdministratorOnly)]
         public async Task<IActionResult> DumpMemory()
         {
             using var dumper = new Dumper();
@@ -168,7 +168,7 @@ namespace slskd.Core.API
         }
 
         [HttpPost("loopback")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         public IActionResult Loopback([FromBody] object body)
         {
             Log.Information("Loopback POST: {Body}", body);
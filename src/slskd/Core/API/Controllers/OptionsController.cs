@@ -35,6 +35,7 @@ using Microsoft.Extensions.Options;
 namespace slskd.Core.API
 {
     using System;
+    using System.Collections.Generic;
     using System.IO;
     using System.Reflection;
     using Asp.Versioning;
@@ -42,6 +43,7 @@ namespace slskd.Core.API
     using Microsoft.AspNetCore.Mvc;
     using Microsoft.Extensions.Configuration;
     using Serilog;
+    using slskd.Configuration;
     using slskd.Validation;
     using IOFile = System.IO.File;
 
@@ -134,6 +136,82 @@ namespace slskd.Core.API
             return Ok(OptionsAtStartup.Redact());
         }
 
+        /// <summary>
+        ///     Gets the names of the application options that require a restart for changes to take effect.
+        /// </summary>
+        /// <returns></returns>
+        [HttpGet]
+        [Route("restart")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(string[]), 200)]
+        public IActionResult RestartRequired()
+        {
+            static IEnumerable<string> Find(Type type, string parentFqn)
+            {
+                foreach (var property in type.GetProperties())
+                {
+                    var fqn = string.IsNullOrEmpty(parentFqn) ? property.Name : string.Join(".", parentFqn, property.Name);
+
+                    if (property.GetCustomAttribute<RequiresRestartAttribute>() is not null)
+                    {
+                        yield return fqn;
+                    }
+                    else if (property.PropertyType.Namespace?.StartsWith(typeof(Options).Namespace) ?? false)
+                    {
+                        foreach (var child in Find(property.PropertyType, fqn))
+                        {
+                            yield return child;
+                        }
+                    }
+                }
+            }
+
+            return Ok(Find(typeof(Options), parentFqn: null));
+        }
+
+        /// <summary>
+        ///     Gets the names of the application options marked as secrets, which are redacted wherever options are returned.
+        /// </summary>
+        /// <remarks>
+        ///     The keys of dictionaries are up to the user, so each is named '*'; e.g. Web.Authentication.Users.*.Password.
+        /// </remarks>
+        /// <returns></returns>
+        [HttpGet]
+        [Route("secrets")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(string[]), 200)]
+        public IActionResult Secrets()
+        {
+            static IEnumerable<string> Find(Type type, string parentFqn)
+            {
+                foreach (var property in type.GetProperties())
+                {
+                    var fqn = string.IsNullOrEmpty(parentFqn) ? property.Name : string.Join(".", parentFqn, property.Name);
+                    var propertyType = property.PropertyType;
+
+                    if (propertyType.IsGenericType && propertyType.GetGenericTypeDefinition() == typeof(Dictionary<,>))
+                    {
+                        fqn = string.Join(".", fqn, "*");
+                        propertyType = propertyType.GetGenericArguments()[1];
+                    }
+
+                    if (property.GetCustomAttribute<SecretAttribute>() is not null)
+                    {
+                        yield return fqn;
+                    }
+                    else if (propertyType.Namespace?.StartsWith(typeof(Options).Namespace) ?? false)
+                    {
+                        foreach (var child in Find(propertyType, fqn))
+                        {
+                            yield return child;
+                        }
+                    }
+                }
+            }
+
+            return Ok(Find(typeof(Options), parentFqn: null));
+        }
+
         /// <summary>
         ///     Gets the debug view of the current application options.
         /// </summary>
@@ -221,7 +299,7 @@ namespace slskd.Core.API
         }
 
         [HttpPost]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.Any)]
         [Route("yaml/validate")]
         public IActionResult ValidateYamlFile([FromBody] string yaml)
         {
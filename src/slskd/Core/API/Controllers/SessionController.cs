@@ -34,6 +34,8 @@ using Microsoft.Extensions.Options;
 
 namespace slskd.Core.API
 {
+    using System;
+    using System.IdentityModel.Tokens.Jwt;
     using Asp.Versioning;
     using Microsoft.AspNetCore.Authorization;
     using Microsoft.AspNetCore.Mvc;
@@ -129,13 +131,118 @@ namespace slskd.Core.API
                 return BadRequest("Username and/or Password missing or invalid");
             }
 
-            // only admin login for now
-            if (OptionsSnapshot.Value.Web.Authentication.Username == login.Username && OptionsSnapshot.Value.Web.Authentication.Password == login.Password)
+            var authentication = OptionsSnapshot.Value.Web.Authentication;
+
+            if (authentication.Username == login.Username && authentication.Password == login.Password)
             {
-                return Ok(new TokenResponse(Security.GenerateJwt(login.Username, Role.Administrator)));
+                return Ok(new TokenResponse(StartSession(login.Username, Role.Administrator)));
+            }
+
+            var user = Security.FindUser(login.Username);
+
+            if (user is not null && user.Password == login.Password)
+            {
+                return Ok(new TokenResponse(StartSession(login.Username, Enum.Parse<Role>(user.Role, ignoreCase: true))));
             }
 
             return Unauthorized();
         }
+
+        /// <summary>
+        ///     Refreshes the session, issuing a new token for it.
+        /// </summary>
+        /// <remarks>
+        ///     Tokens for users that have since been removed or given a different role are rejected before they get here,
+        ///     so the user must log in again.
+        /// </remarks>
+        /// <returns></returns>
+        /// <response code="200">The session was refreshed.</response>
+        /// <response code="401">The session is unknown, has been revoked or has reached the session TTL, or the user no longer exists.</response>
+        [HttpPut]
+        [Route("")]
+        [Authorize(Policy = AuthPolicy.JwtOnly)]
+        [ProducesResponseType(typeof(TokenResponse), 200)]
+        [ProducesResponseType(401)]
+        public IActionResult Refresh()
+        {
+            var username = User.Identity?.Name;
+
+            if (Security.GetRole(username) is not { } role)
+            {
+                Log.Information("Refusing to refresh the session of user {User}; they no longer exist", username);
+                return Unauthorized();
+            }
+
+            try
+            {
+                return Ok(new TokenResponse(Security.RefreshSession(SecurityService.GetSessionId(User), username, role)));
+            }
+            catch (UnauthorizedException ex)
+            {
+                Log.Information("Refusing to refresh the session of user {User}: {Message}", username, ex.Message);
+                return Unauthorized();
+            }
+        }
+
+        /// <summary>
+        ///     Logs out, revoking the session.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="204">The session was revoked.</response>
+        [HttpDelete]
+        [Route("")]
+        [Authorize(Policy = AuthPolicy.JwtOnly)]
+        [ProducesResponseType(204)]
+        public IActionResult Logout()
+        {
+            var id = SecurityService.GetSessionId(User);
+
+            if (id is not null)
+            {
+                Security.RevokeSession(id);
+            }
+
+            return NoContent();
+        }
+
+        /// <summary>
+        ///     Gets the active sessions.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet]
+        [Route("all")]
+        [Authorize(Policy = AuthPolicy.JwtOnly, Roles = AuthRole.AdministratorOnly)]
+        [ProducesResponseType(typeof(Session[]), 200)]
+        public IActionResult GetAll()
+        {
+            return Ok(Security.Sessions);
+        }
+
+        /// <summary>
+        ///     Revokes a session, logging its user out.
+        /// </summary>
+        /// <param name="id">The ID of the session.</param>
+        /// <returns></returns>
+        /// <response code="204">The session was revoked.</response>
+        /// <response code="404">The session isn't active.</response>
+        [HttpDelete]
+        [Route("{id}")]
+        [Authorize(Policy = AuthPolicy.JwtOnly, Roles = AuthRole.AdministratorOnly)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult Revoke([FromRoute] string id)
+        {
+            if (!Security.RevokeSession(id))
+            {
+                return NotFound();
+            }
+
+            Log.Information("Session {Id} revoked by {User}", id, User.Identity?.Name);
+            return NoContent();
+        }
+
+        private JwtSecurityToken StartSession(string username, Role role)
+            => Security.StartSession(username, role, HttpContext.Connection.RemoteIpAddress, Request.Headers.UserAgent);
     }
-}
\ No newline at end of file
+}
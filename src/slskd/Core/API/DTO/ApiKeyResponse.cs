@@ -0,0 +1,77 @@
+// <copyright file="ApiKeyResponse.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Core.API
+{
+    using System;
+
+    /// <summary>
+    ///     A configured API key, without its value.
+    /// </summary>
+    public record ApiKeyResponse
+    {
+        /// <summary>
+        ///     Gets the name of the key.
+        /// </summary>
+        public string Name { get; init; }
+
+        /// <summary>
+        ///     Gets the role of the key.
+        /// </summary>
+        public string Role { get; init; }
+
+        /// <summary>
+        ///     Gets the scopes of the key.
+        /// </summary>
+        public string[] Scopes { get; init; }
+
+        /// <summary>
+        ///     Gets the CIDRs that are authorized to use the key.
+        /// </summary>
+        public string Cidr { get; init; }
+
+        /// <summary>
+        ///     Gets the time at which the key was created, if known.
+        /// </summary>
+        public DateTime? Created { get; init; }
+
+        /// <summary>
+        ///     Gets the time at which the key was last used since the application started, if it has been.
+        /// </summary>
+        public DateTime? LastUsed { get; init; }
+
+        /// <summary>
+        ///     Gets the IP address of the caller that last used the key, if it has been.
+        /// </summary>
+        public string LastUsedBy { get; init; }
+    }
+}
@@ -41,7 +41,9 @@ public class Database
     public static Database Transfers { get; } = new Database { Name = nameof(Transfers).ToLower() };
     public static Database Messaging { get; } = new Database { Name = nameof(Messaging).ToLower() };
     public static Database Events { get; } = new Database { Name = nameof(Events).ToLower() };
-    public static Database[] List { get; } = [Search, Transfers, Messaging, Events];
+    public static Database Wishlist { get; } = new Database { Name = nameof(Wishlist).ToLower() };
+    public static Database Users { get; } = new Database { Name = nameof(Users).ToLower() };
+    public static Database[] List { get; } = [Search, Transfers, Messaging, Events, Wishlist, Users];
 
     public required string Name { get; init; }
 
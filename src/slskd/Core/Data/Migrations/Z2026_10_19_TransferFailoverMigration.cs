@@ -0,0 +1,115 @@
+// <copyright file="Z2026_10_19_TransferFailoverMigration.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Migrations;
+
+using System;
+using System.Linq;
+using Microsoft.Data.Sqlite;
+using Serilog;
+using slskd.Transfers;
+
+/// <summary>
+///     Updates the Transfers table to add the FailoverOfId column.
+/// </summary>
+public class Z2026_10_19_TransferFailoverMigration : IMigration
+{
+    public Z2026_10_19_TransferFailoverMigration(ConnectionStringDictionary connectionStrings)
+    {
+        ConnectionString = connectionStrings[Database.Transfers];
+    }
+
+    private ILogger Log { get; } = Serilog.Log.ForContext<Z2026_10_19_TransferFailoverMigration>();
+    private string ConnectionString { get; }
+
+    public bool NeedsToBeApplied()
+    {
+        var schema = SchemaInspector.GetDatabaseSchema(ConnectionString);
+        var idxes = SchemaInspector.GetDatabaseIndexes(ConnectionString);
+
+        var columns = schema["Transfers"];
+        var indexes = idxes["Transfers"];
+
+        if (columns.Any(c => c.Name == nameof(Transfer.FailoverOfId))
+            && indexes.Any(i => i.Name.Equals("IDX_Transfers_FailoverOfId", StringComparison.OrdinalIgnoreCase)))
+        {
+            return false;
+        }
+
+        return true;
+    }
+
+    public void Apply()
+    {
+        if (!NeedsToBeApplied())
+        {
+            Log.Information("> Migration {Name} is not necessary or has already been applied", nameof(Z2026_10_19_TransferFailoverMigration));
+            return;
+        }
+
+        var columns = SchemaInspector.GetDatabaseSchema(ConnectionString)["Transfers"];
+
+        using var connection = new SqliteConnection(ConnectionString);
+        connection.Open();
+
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            void Exec(string sql)
+            {
+                using var command = new SqliteCommand(sql, connection, transaction);
+                command.ExecuteNonQuery();
+            }
+
+            if (!columns.Any(c => c.Name == nameof(Transfer.FailoverOfId)))
+            {
+                Log.Information("> Adding FailoverOfId column to the Transfers table...");
+                Exec("ALTER TABLE Transfers ADD COLUMN FailoverOfId TEXT NULL;");
+                Log.Information("> New column added");
+            }
+
+            Log.Information("> Adding missing index(es) on the Transfers table...");
+
+            Exec("CREATE INDEX IF NOT EXISTS IDX_Transfers_FailoverOfId ON Transfers (FailoverOfId)");
+
+            Log.Information("> Index(es) created");
+            transaction.Commit();
+            Log.Information("> Done!");
+        }
+        catch (Exception)
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+// <copyright file="Z2026_10_20_BatchFailuresAndRemovedMigration.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Migrations;
+
+using System;
+using System.Linq;
+using Microsoft.Data.Sqlite;
+using Serilog;
+using slskd.Transfers;
+
+/// <summary>
+///     Updates the Batches table to add Failures and Removed columns.
+/// </summary>
+public class Z2026_10_20_BatchFailuresAndRemovedMigration : IMigration
+{
+    public Z2026_10_20_BatchFailuresAndRemovedMigration(ConnectionStringDictionary connectionStrings)
+    {
+        ConnectionString = connectionStrings[Database.Transfers];
+    }
+
+    private ILogger Log { get; } = Serilog.Log.ForContext<Z2026_10_20_BatchFailuresAndRemovedMigration>();
+    private string ConnectionString { get; }
+
+    public bool NeedsToBeApplied()
+    {
+        var schema = SchemaInspector.GetDatabaseSchema(ConnectionString);
+
+        var columns = schema["Batches"];
+
+        if (columns.Any(c => c.Name == nameof(Batch.Failures))
+            && columns.Any(c => c.Name == nameof(Batch.Removed)))
+        {
+            return false;
+        }
+
+        return true;
+    }
+
+    public void Apply()
+    {
+        if (!NeedsToBeApplied())
+        {
+            Log.Information("> Migration {Name} is not necessary or has already been applied", nameof(Z2026_10_20_BatchFailuresAndRemovedMigration));
+            return;
+        }
+
+        var columns = SchemaInspector.GetDatabaseSchema(ConnectionString)["Batches"];
+
+        using var connection = new SqliteConnection(ConnectionString);
+        connection.Open();
+
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            void Exec(string sql)
+            {
+                using var command = new SqliteCommand(sql, connection, transaction);
+                command.ExecuteNonQuery();
+            }
+
+            Log.Information("> Adding Failures and Removed columns to the Batches table...");
+
+            if (!columns.Any(c => c.Name == nameof(Batch.Failures)))
+            {
+                Exec("ALTER TABLE Batches ADD COLUMN Failures TEXT NULL;");
+            }
+
+            if (!columns.Any(c => c.Name == nameof(Batch.Removed)))
+            {
+                Exec("ALTER TABLE Batches ADD COLUMN Removed INTEGER NOT NULL DEFAULT 0;");
+            }
+
+            Log.Information("> New columns added");
+            transaction.Commit();
+            Log.Information("> Done!");
+        }
+        catch (Exception)
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+}
@@ -0,0 +1,135 @@
+// <copyright file="Z2026_10_21_RoomMessageHistoryMigration.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Migrations;
+
+using System;
+using System.Linq;
+using Microsoft.Data.Sqlite;
+using Serilog;
+using slskd.Messaging;
+
+/// <summary>
+///     Rebuilds the RoomMessages table with an Id primary key so that room messages can be persisted, and adds
+///     Timestamp indexes to the RoomMessages and PrivateMessages tables to support searching message history.
+/// </summary>
+public class Z2026_10_21_RoomMessageHistoryMigration : IMigration
+{
+    public Z2026_10_21_RoomMessageHistoryMigration(ConnectionStringDictionary connectionStrings)
+    {
+        ConnectionString = connectionStrings[Database.Messaging];
+    }
+
+    private ILogger Log { get; } = Serilog.Log.ForContext<Z2026_10_21_RoomMessageHistoryMigration>();
+    private string ConnectionString { get; }
+
+    public bool NeedsToBeApplied()
+    {
+        var schema = SchemaInspector.GetDatabaseSchema(ConnectionString);
+        var indexes = SchemaInspector.GetDatabaseIndexes(ConnectionString);
+
+        if (schema["RoomMessages"].Any(c => c.Name == nameof(RoomMessage.Id))
+            && indexes["PrivateMessages"].Any(i => i.Name == "IX_PrivateMessages_Timestamp"))
+        {
+            return false;
+        }
+
+        return true;
+    }
+
+    public void Apply()
+    {
+        if (!NeedsToBeApplied())
+        {
+            Log.Information("> Migration {Name} is not necessary or has already been applied", nameof(Z2026_10_21_RoomMessageHistoryMigration));
+            return;
+        }
+
+        var columns = SchemaInspector.GetDatabaseSchema(ConnectionString)["RoomMessages"];
+        var indexes = SchemaInspector.GetDatabaseIndexes(ConnectionString)["PrivateMessages"];
+
+        using var connection = new SqliteConnection(ConnectionString);
+        connection.Open();
+
+        using var transaction = connection.BeginTransaction();
+
+        try
+        {
+            void Exec(string sql)
+            {
+                using var command = new SqliteCommand(sql, connection, transaction);
+                command.ExecuteNonQuery();
+            }
+
+            if (!columns.Any(c => c.Name == nameof(RoomMessage.Id)))
+            {
+                // SQLite can't add a primary key to an existing table, so the table is rebuilt. the table was never
+                // written to prior to this migration, but copy whatever is there anyway
+                Log.Information("> Rebuilding the RoomMessages table with an Id column...");
+
+                Exec(@"
+                CREATE TABLE RoomMessages_New (
+                    Id INTEGER NOT NULL CONSTRAINT PK_RoomMessages PRIMARY KEY AUTOINCREMENT,
+                    Timestamp TEXT NOT NULL,
+                    Username TEXT NULL,
+                    Message TEXT NULL,
+                    RoomName TEXT NULL,
+                    Direction INTEGER NOT NULL
+                );");
+
+                Exec(@"
+                INSERT INTO RoomMessages_New (Timestamp, Username, Message, RoomName, Direction)
+                SELECT Timestamp, Username, Message, RoomName, Direction FROM RoomMessages ORDER BY Timestamp;");
+
+                Exec("DROP TABLE RoomMessages;");
+                Exec("ALTER TABLE RoomMessages_New RENAME TO RoomMessages;");
+
+                Exec("CREATE INDEX IX_RoomMessages_RoomName ON RoomMessages (RoomName);");
+                Exec("CREATE INDEX IX_RoomMessages_Timestamp ON RoomMessages (Timestamp);");
+            }
+
+            if (!indexes.Any(i => i.Name == "IX_PrivateMessages_Timestamp"))
+            {
+                Log.Information("> Adding a Timestamp index to the PrivateMessages table...");
+                Exec("CREATE INDEX IX_PrivateMessages_Timestamp ON PrivateMessages (Timestamp);");
+            }
+
+            transaction.Commit();
+            Log.Information("> Done!");
+        }
+        catch (Exception)
+        {
+            transaction.Rollback();
+            throw;
+        }
+    }
+}
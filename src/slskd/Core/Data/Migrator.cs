@@ -62,6 +62,12 @@ public class Migrator
             { nameof(Z2026_02_17_TransferAttemptsAndBatchIdMigration), new Z2026_02_17_TransferAttemptsAndBatchIdMigration(connectionStrings: Databases) },
             { nameof(Z2026_04_30_DropTransferStartOffsetMigration), new Z2026_04_30_DropTransferStartOffsetMigration(connectionStrings: Databases) },
             { nameof(Z2026_05_06_AddBatchesTableMigration), new Z2026_05_06_AddBatchesTableMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_19_TransferFailoverMigration), new Z2026_10_19_TransferFailoverMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_20_BatchFailuresAndRemovedMigration), new Z2026_10_20_BatchFailuresAndRemovedMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_21_RoomMessageHistoryMigration), new Z2026_10_21_RoomMessageHistoryMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_22_AddBuddiesTableMigration), new Z2026_10_22_AddBuddiesTableMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_25_AddRevokedSessionsTableMigration), new Z2026_10_25_AddRevokedSessionsTableMigration(connectionStrings: Databases) },
+            { nameof(Z2026_10_26_AddFailoverChecksTableMigration), new Z2026_10_26_AddFailoverChecksTableMigration(connectionStrings: Databases) },
         };
     }
 
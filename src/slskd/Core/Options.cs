@@ -979,6 +979,12 @@ namespace slskd
                 [Validate]
                 public RetryOptions Retry { get; init; } = new RetryOptions();
 
+                /// <summary>
+                ///     Gets download failover options.
+                /// </summary>
+                [Validate]
+                public FailoverOptions Failover { get; init; } = new FailoverOptions();
+
                 /// <summary>
                 ///     Gets download destination options.
                 /// </summary>
@@ -1015,6 +1021,23 @@ namespace slskd
                     public string Partial { get; init; } = RetryPartialStrategy.Resume.ToString().ToLowerInvariant();
                 }
 
+                /// <summary>
+                ///     Download failover options.
+                /// </summary>
+                public class FailoverOptions
+                {
+                    /// <summary>
+                    ///     Gets a value indicating whether failed downloads should be searched for and enqueued from other users.
+                    /// </summary>
+                    public bool Enabled { get; init; } = false;
+
+                    /// <summary>
+                    ///     Gets the maximum number of alternate sources to try for a failed download.
+                    /// </summary>
+                    [Range(1, 10)]
+                    public int Attempts { get; init; } = 3;
+                }
+
                 /// <summary>
                 ///     Download destination options.
                 /// </summary>
@@ -1097,6 +1120,17 @@ namespace slskd
                 [Validate]
                 public LeecherOptions Leechers { get; init; } = new LeecherOptions();
 
+                /// <summary>
+                ///     Gets options for the buddy user group.
+                /// </summary>
+                /// <remarks>
+                ///     These options apply to users on the buddy list that have been given upload priority, are not privileged,
+                ///     and have not been added as a member of any group.  The group is served ahead of any other group with the
+                ///     same priority.
+                /// </remarks>
+                [Validate]
+                public BaseGroupOptions Buddies { get; init; } = new BaseGroupOptions();
+
                 /// <summary>
                 ///     Gets options for the blacklisted user group.
                 /// </summary>
@@ -1116,7 +1150,7 @@ namespace slskd
                 /// <returns></returns>
                 public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
                 {
-                    var builtInGroups = new[] { Application.PrivilegedGroup, Application.DefaultGroup, Application.LeecherGroup };
+                    var builtInGroups = new[] { Application.PrivilegedGroup, Application.DefaultGroup, Application.LeecherGroup, Application.BuddyGroup };
                     var intersection = UserDefined.Keys.Intersect(builtInGroups);
 
                     return intersection.Select(group => new ValidationResult($"User defined group '{group}' collides with a built in group.  Choose a different name."));
@@ -1497,6 +1531,12 @@ namespace slskd
             [Validate]
             public FileRetentionOptions Files { get; init; } = new FileRetentionOptions();
 
+            /// <summary>
+            ///     Gets the time to retain room messages, in minutes.
+            /// </summary>
+            [Range(5, maximum: int.MaxValue)]
+            public int? Messages { get; init; } = 43200;
+
             /// <summary>
             ///     Gets the time to retain logs, in days.
             /// </summary>
@@ -2138,6 +2178,12 @@ namespace slskd
                 [Validate]
                 public Dictionary<string, ApiKeyOptions> ApiKeys { get; init; } = new Dictionary<string, ApiKeyOptions>();
 
+                /// <summary>
+                ///     Gets additional web UI users, keyed by username.
+                /// </summary>
+                [Validate]
+                public Dictionary<string, UserOptions> Users { get; init; } = new Dictionary<string, UserOptions>();
+
                 public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
                 {
                     var results = new List<ValidationResult>();
@@ -2235,6 +2281,15 @@ namespace slskd
                     [Range(3600, int.MaxValue)]
                     [RequiresRestart]
                     public int Ttl { get; init; } = 604800000;
+
+                    /// <summary>
+                    ///     Gets the longest a session can be refreshed for after logging in, in milliseconds.
+                    /// </summary>
+                    [Argument(default, "jwt-session-ttl")]
+                    [EnvironmentVariable("JWT_SESSION_TTL")]
+                    [Description("TTL for sessions, however often they are refreshed")]
+                    [Range(3600, int.MaxValue)]
+                    public int SessionTtl { get; init; } = 1209600000;
                 }
 
                 /// <summary>
@@ -2263,6 +2318,18 @@ namespace slskd
                     [Description("optional; comma separated list of CIDRs that are authorized to use the key")]
                     public string Cidr { get; init; } = "0.0.0.0/0,::/0";
 
+                    /// <summary>
+                    ///     Gets the scopes that limit the requests the key can make to change things.
+                    /// </summary>
+                    [Description("optional; limits the key to changing nothing, or only transfers and/or searches; readonly, transfers, searches")]
+                    public string[] Scopes { get; init; } = Array.Empty<string>();
+
+                    /// <summary>
+                    ///     Gets the time at which the key was created.
+                    /// </summary>
+                    [Description("optional; the time at which the key was created")]
+                    public DateTime? Created { get; init; }
+
                     /// <summary>
                     ///     Extended validation.
                     /// </summary>
@@ -2289,9 +2356,35 @@ namespace slskd
                             }
                         }
 
+                        foreach (var scope in (Scopes ?? Array.Empty<string>()).Where(scope => !ApiKeyScope.All.Contains(scope, StringComparer.OrdinalIgnoreCase)))
+                        {
+                            results.Add(new ValidationResult($"Scope {scope} is invalid; expected one of {string.Join(", ", ApiKeyScope.All)}"));
+                        }
+
                         return results;
                     }
                 }
+
+                /// <summary>
+                ///     Web UI user options.
+                /// </summary>
+                public class UserOptions
+                {
+                    /// <summary>
+                    ///     Gets the password for the user.
+                    /// </summary>
+                    [Description("password for the user")]
+                    [StringLength(255, MinimumLength = 1)]
+                    [Secret]
+                    public string Password { get; init; }
+
+                    /// <summary>
+                    ///     Gets the role of the user.
+                    /// </summary>
+                    [Description("user role; readonly, readwrite, administrator")]
+                    [Enum(typeof(Role))]
+                    public string Role { get; init; } = slskd.Authentication.Role.ReadOnly.ToString();
+                }
             }
 
             /// <summary>
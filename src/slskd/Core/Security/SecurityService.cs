@@ -35,26 +35,34 @@ using Microsoft.Extensions.Options;
 namespace slskd;
 
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.IdentityModel.Tokens.Jwt;
 using System.Linq;
 using System.Net;
 using System.Security.Claims;
+using Microsoft.EntityFrameworkCore;
 using Microsoft.IdentityModel.Tokens;
 using NetTools;
 using Serilog;
 using slskd.Authentication;
+using slskd.Users;
 
 public class SecurityService
 {
     public SecurityService(
         SymmetricSecurityKey jwtSigningKey,
         OptionsAtStartup optionsAtStartup,
-        IOptionsMonitor<Options> optionsMonitor)
+        IOptionsMonitor<Options> optionsMonitor,
+        IDbContextFactory<UsersDbContext> contextFactory)
     {
         JwtSigningKey = jwtSigningKey;
         OptionsAtStartup = optionsAtStartup;
         OptionsMonitor = optionsMonitor;
+        ContextFactory = contextFactory;
+
+        // revocations are read when they're first needed, rather than every time an instance is created
+        RevokedSessionsLazy = new Lazy<ConcurrentDictionary<string, DateTime>>(LoadRevokedSessions);
 
         // parse the configured string into an instance of ApiKeyOptions and assign it to
         // PrimaryApiKey, if a string is provided.
@@ -110,9 +118,58 @@ public class SecurityService
     private SymmetricSecurityKey JwtSigningKey { get; }
     private OptionsAtStartup OptionsAtStartup { get; }
     private IOptionsMonitor<Options> OptionsMonitor { get; }
+    private IDbContextFactory<UsersDbContext> ContextFactory { get; }
     private Options.WebOptions.WebAuthenticationOptions.ApiKeyOptions PrimaryApiKey { get; } = null;
+    private ConcurrentDictionary<string, ApiKeyUsage> Usage { get; } = new();
+    private ConcurrentDictionary<string, Session> SessionDictionary { get; } = new();
+    private Lazy<ConcurrentDictionary<string, DateTime>> RevokedSessionsLazy { get; }
+    private ConcurrentDictionary<string, DateTime> RevokedSessions => RevokedSessionsLazy.Value;
+
+    /// <summary>
+    ///     Gets the name of the claim that identifies the session a token was issued for.
+    /// </summary>
+    public static string SessionIdClaim { get; } = "sid";
+
+    /// <summary>
+    ///     Gets the name of the claim that records when the user logged in, which is carried over as the session is refreshed.
+    /// </summary>
+    public static string AuthenticatedAtClaim { get; } = "auth_time";
+
+    /// <summary>
+    ///     Gets the name of the claim that records when the session ends, after which it can no longer be refreshed.
+    /// </summary>
+    public static string SessionExpiresClaim { get; } = "session_exp";
+
+    /// <summary>
+    ///     Gets the sessions that haven't expired or been revoked.
+    /// </summary>
+    /// <remarks>
+    ///     Sessions are tracked in memory; those started before the application was last started are added as
+    ///     their tokens are used.  Revocations are kept in the database until the tokens they apply to expire.
+    /// </remarks>
+    public IReadOnlyCollection<Session> Sessions
+    {
+        get
+        {
+            var now = DateTime.UtcNow;
+
+            foreach (var session in SessionDictionary.Values.Where(s => s.Expires < now))
+            {
+                SessionDictionary.TryRemove(session.Id, out _);
+            }
+
+            PruneRevokedSessions();
+
+            return SessionDictionary.Values.OrderByDescending(s => s.LastSeen).ToList().AsReadOnly();
+        }
+    }
 
-    public (string Name, Role Role) AuthenticateWithApiKey(string key, IPAddress callerIpAddress)
+    /// <summary>
+    ///     Gets the last use of each API key since the application started, keyed by name.
+    /// </summary>
+    public IReadOnlyDictionary<string, ApiKeyUsage> ApiKeyUsage => Usage;
+
+    public (string Name, Role Role, string[] Scopes) AuthenticateWithApiKey(string key, IPAddress callerIpAddress)
     {
         var keys = OptionsMonitor.CurrentValue.Web.Authentication.ApiKeys.AsEnumerable();
 
@@ -141,14 +198,242 @@ public class SecurityService
             throw new OutOfRangeException($"IP address {callerIpAddress} not included in CIDR range(s) for API key {record.Key}; allowed: {record.Value.Cidr}");
         }
 
-        return (record.Key, record.Value.Role.ToEnum<Role>());
+        Usage[record.Key] = new ApiKeyUsage(Time: DateTime.UtcNow, IpAddress: callerIpAddress.ToString());
+
+        return (record.Key, record.Value.Role.ToEnum<Role>(), record.Value.Scopes ?? Array.Empty<string>());
+    }
+
+    /// <summary>
+    ///     Finds a user configured in addition to the administrator.
+    /// </summary>
+    /// <param name="username">The name of the user.</param>
+    /// <returns>The user, or null if there's no such user.</returns>
+    public Options.WebOptions.WebAuthenticationOptions.UserOptions FindUser(string username)
+    {
+        return OptionsMonitor.CurrentValue.Web.Authentication.Users
+            .FirstOrDefault(u => NormalizeUsername(u.Key) == NormalizeUsername(username)).Value;
+    }
+
+    /// <summary>
+    ///     Gets the current role of a user that can log in.
+    /// </summary>
+    /// <param name="username">The name of the user.</param>
+    /// <returns>The role, or null if the user can't log in.</returns>
+    public Role? GetRole(string username)
+    {
+        if (username is null)
+        {
+            return null;
+        }
+
+        if (NormalizeUsername(username) == NormalizeUsername(OptionsMonitor.CurrentValue.Web.Authentication.Username))
+        {
+            return Role.Administrator;
+        }
+
+        return FindUser(username) is { } user ? Enum.Parse<Role>(user.Role, ignoreCase: true) : null;
+    }
+
+    /// <summary>
+    ///     Gets the ID of the session a token was issued for.
+    /// </summary>
+    /// <param name="principal">The principal authenticated by the token.</param>
+    /// <returns>The ID of the session, or null if the token wasn't issued for one.</returns>
+    public static string GetSessionId(ClaimsPrincipal principal)
+        => principal?.FindFirst(SessionIdClaim)?.Value ?? principal?.FindFirst(ClaimTypes.Sid)?.Value;
+
+    /// <summary>
+    ///     Starts a session for a user that has logged in.
+    /// </summary>
+    /// <param name="username">The name of the user.</param>
+    /// <param name="role">The role of the user.</param>
+    /// <param name="ipAddress">The IP address of the caller.</param>
+    /// <param name="userAgent">The user agent of the caller.</param>
+    /// <returns>The token for the session.</returns>
+    public JwtSecurityToken StartSession(string username, Role role, IPAddress ipAddress, string userAgent)
+    {
+        var id = Guid.NewGuid().ToString();
+        var now = DateTime.UtcNow;
+        var jwt = GenerateJwt(username, role, sessionId: id, authenticatedAt: now, sessionExpiresAt: GetSessionExpiresAt(now));
+
+        SessionDictionary[id] = new Session
+        {
+            Id = id,
+            Username = username,
+            Role = role,
+            Started = jwt.ValidFrom,
+            Expires = jwt.ValidTo,
+            LastSeen = DateTime.UtcNow,
+            IpAddress = ipAddress?.ToString(),
+            UserAgent = userAgent,
+        };
+
+        return jwt;
+    }
+
+    /// <summary>
+    ///     Issues a new token for a session, so that it lasts longer.
+    /// </summary>
+    /// <param name="sessionId">The ID of the session.</param>
+    /// <param name="username">The name of the user.</param>
+    /// <param name="role">The current role of the user, which may have changed since the session started.</param>
+    /// <remarks>
+    ///     Sessions can be refreshed until the session TTL has passed since the user logged in; the last token issued
+    ///     expires then, rather than after the usual TTL.
+    /// </remarks>
+    /// <returns>The new token for the session.</returns>
+    /// <exception cref="UnauthorizedException">
+    ///     Thrown when the token wasn't issued for a session, or the session is unknown, has been revoked, or has reached the
+    ///     session TTL.
+    /// </exception>
+    public JwtSecurityToken RefreshSession(string sessionId, string username, Role role)
+    {
+        // tokens are checked against their session as they're validated, which tracks sessions from before a restart,
+        // so a session that isn't known by now never will be
+        if (sessionId is null || !SessionDictionary.TryGetValue(sessionId, out var existing))
+        {
+            throw new UnauthorizedException($"Session {sessionId} is unknown, and can't be refreshed");
+        }
+
+        if (RevokedSessions.ContainsKey(sessionId))
+        {
+            throw new UnauthorizedException($"Session {sessionId} has been revoked");
+        }
+
+        var sessionExpiresAt = GetSessionExpiresAt(existing.Started);
+
+        if (sessionExpiresAt <= DateTime.UtcNow)
+        {
+            throw new UnauthorizedException($"Session {sessionId} has reached the session TTL, and can't be refreshed");
+        }
+
+        var jwt = GenerateJwt(username, role, sessionId: sessionId, authenticatedAt: existing.Started, sessionExpiresAt: sessionExpiresAt);
+
+        SessionDictionary.AddOrUpdate(
+            sessionId,
+            addValueFactory: id => existing with
+            {
+                Role = role,
+                Expires = jwt.ValidTo,
+                LastSeen = DateTime.UtcNow,
+            },
+            updateValueFactory: (_, session) => session with
+            {
+                Role = role,
+                Expires = jwt.ValidTo,
+                LastSeen = DateTime.UtcNow,
+            });
+
+        return jwt;
+    }
+
+    /// <summary>
+    ///     Revokes a session, so that the tokens issued for it are rejected.
+    /// </summary>
+    /// <param name="sessionId">The ID of the session.</param>
+    /// <returns>A value indicating whether the session was known; unknown sessions are left alone.</returns>
+    public bool RevokeSession(string sessionId)
+    {
+        if (sessionId is null || !SessionDictionary.TryRemove(sessionId, out var session))
+        {
+            return false;
+        }
+
+        // the tokens can't outlive the session, so the revocation needn't either
+        var expiresAt = session.Expires;
+
+        RevokedSessions[sessionId] = expiresAt;
+
+        // kept in the database so that the tokens stay rejected after the application restarts
+        using var context = ContextFactory.CreateDbContext();
+
+        if (context.RevokedSessions.Find(sessionId) is { } existing)
+        {
+            context.Entry(existing).CurrentValues.SetValues(new RevokedSession { Id = sessionId, ExpiresAt = expiresAt });
+        }
+        else
+        {
+            context.RevokedSessions.Add(new RevokedSession { Id = sessionId, ExpiresAt = expiresAt });
+        }
+
+        context.SaveChanges();
+
+        return true;
     }
 
-    public JwtSecurityToken GenerateJwt(string username, Role role, int? ttl = null)
+    /// <summary>
+    ///     Records the use of a token, and determines whether the session it was issued for is still valid.
+    /// </summary>
+    /// <remarks>
+    ///     A session is no longer valid if it has been revoked, or if its user has since been removed or given a
+    ///     different role; the session is revoked in either case, and the user must log in again.
+    /// </remarks>
+    /// <param name="principal">The principal authenticated by the token.</param>
+    /// <param name="expires">The time at which the token expires.</param>
+    /// <param name="ipAddress">The IP address of the caller.</param>
+    /// <param name="userAgent">The user agent of the caller.</param>
+    /// <returns>A value indicating whether the session is still valid.</returns>
+    public bool ValidateSession(ClaimsPrincipal principal, DateTime expires, IPAddress ipAddress, string userAgent)
+    {
+        var id = GetSessionId(principal);
+
+        // tokens issued for API keys, and before sessions were tracked, aren't part of one
+        if (id is null)
+        {
+            return true;
+        }
+
+        if (RevokedSessions.ContainsKey(id))
+        {
+            return false;
+        }
+
+        var username = principal.Identity?.Name;
+        var role = principal.FindFirst(ClaimTypes.Role)?.Value.ToEnum<Role>();
+        var currentRole = GetRole(username);
+
+        if (currentRole is null || currentRole != role)
+        {
+            Log.Information("Revoking session {Id} of user {User}; the user has been removed, or their role has changed", id, username);
+            RevokeSession(id);
+            return false;
+        }
+
+        SessionDictionary.AddOrUpdate(
+            id,
+            addValueFactory: _ => new Session
+            {
+                Id = id,
+                Username = username,
+                Role = role.Value,
+                Started = GetAuthenticatedAt(principal),
+                Expires = expires,
+                LastSeen = DateTime.UtcNow,
+                IpAddress = ipAddress?.ToString(),
+                UserAgent = userAgent,
+            },
+            updateValueFactory: (_, session) => session with
+            {
+                Expires = expires > session.Expires ? expires : session.Expires,
+                LastSeen = DateTime.UtcNow,
+                IpAddress = ipAddress?.ToString(),
+                UserAgent = userAgent,
+            });
+
+        return true;
+    }
+
+    public JwtSecurityToken GenerateJwt(string username, Role role, int? ttl = null, string sessionId = null, DateTime? authenticatedAt = null, DateTime? sessionExpiresAt = null)
     {
         var issuedUtc = DateTime.UtcNow;
         var expiresUtc = DateTime.UtcNow.AddMilliseconds(ttl ?? OptionsAtStartup.Web.Authentication.Jwt.Ttl);
 
+        // a token issued for a session can't outlast it
+        if (sessionExpiresAt < expiresUtc)
+        {
+            expiresUtc = sessionExpiresAt.Value;
+        }
+
         var claims = new List<Claim>()
         {
             new Claim(ClaimTypes.Name, username),
@@ -158,6 +443,21 @@ public class SecurityService
             new Claim("iat", ((DateTimeOffset)issuedUtc).ToUnixTimeSeconds().ToString()),
         };
 
+        if (sessionId is not null)
+        {
+            claims.Add(new Claim(SessionIdClaim, sessionId));
+        }
+
+        if (authenticatedAt is not null)
+        {
+            claims.Add(new Claim(AuthenticatedAtClaim, ((DateTimeOffset)authenticatedAt.Value).ToUnixTimeSeconds().ToString()));
+        }
+
+        if (sessionExpiresAt is not null)
+        {
+            claims.Add(new Claim(SessionExpiresClaim, ((DateTimeOffset)sessionExpiresAt.Value).ToUnixTimeSeconds().ToString()));
+        }
+
         var credentials = new SigningCredentials(JwtSigningKey, SecurityAlgorithms.HmacSha256);
 
         var token = new JwtSecurityToken(
@@ -169,4 +469,60 @@ public class SecurityService
 
         return token;
     }
+
+    // keys in the YAML file are normalized as they're read, so usernames are compared the same way
+    private static string NormalizeUsername(string username)
+        => username?.Replace("_", string.Empty).Replace("-", string.Empty).ToLowerInvariant();
+
+    // when a session started at the given time ends, and can no longer be refreshed
+    private DateTime GetSessionExpiresAt(DateTime started)
+        => started.AddMilliseconds(OptionsMonitor.CurrentValue.Web.Authentication.Jwt.SessionTtl);
+
+    // when the user logged in; tokens issued before this was recorded fall back to when they were issued
+    private static DateTime GetAuthenticatedAt(ClaimsPrincipal principal)
+    {
+        var value = principal.FindFirst(AuthenticatedAtClaim)?.Value ?? principal.FindFirst("iat")?.Value;
+
+        return long.TryParse(value, out var seconds)
+            ? DateTimeOffset.FromUnixTimeSeconds(seconds).UtcDateTime
+            : DateTime.UtcNow;
+    }
+
+    private ConcurrentDictionary<string, DateTime> LoadRevokedSessions()
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        var now = DateTime.UtcNow;
+
+        return new ConcurrentDictionary<string, DateTime>(context.RevokedSessions
+            .AsNoTracking()
+            .Where(r => r.ExpiresAt > now)
+            .ToDictionary(r => r.Id, r => r.ExpiresAt));
+    }
+
+    private void PruneRevokedSessions()
+    {
+        var now = DateTime.UtcNow;
+        var expired = RevokedSessions.Where(r => r.Value < now).Select(r => r.Key).ToList();
+
+        if (expired.Count == 0)
+        {
+            return;
+        }
+
+        foreach (var id in expired)
+        {
+            RevokedSessions.TryRemove(id, out _);
+        }
+
+        try
+        {
+            using var context = ContextFactory.CreateDbContext();
+            context.RevokedSessions.Where(r => r.ExpiresAt < now).ExecuteDelete();
+        }
+        catch (Exception ex)
+        {
+            Log.Warning(ex, "Failed to remove expired session revocations: {Message}", ex.Message);
+        }
+    }
 }
@@ -0,0 +1,82 @@
+// <copyright file="Session.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd;
+
+using System;
+using slskd.Authentication;
+
+/// <summary>
+///     A login to the web UI, which lasts as long as the tokens issued for it are refreshed.
+/// </summary>
+public record Session
+{
+    /// <summary>
+    ///     Gets the unique identifier of the session.
+    /// </summary>
+    public string Id { get; init; }
+
+    /// <summary>
+    ///     Gets the name of the user that logged in.
+    /// </summary>
+    public string Username { get; init; }
+
+    /// <summary>
+    ///     Gets the role of the user.
+    /// </summary>
+    public Role Role { get; init; }
+
+    /// <summary>
+    ///     Gets the time at which the user logged in.
+    /// </summary>
+    public DateTime Started { get; init; }
+
+    /// <summary>
+    ///     Gets the time at which the newest token issued for the session expires.
+    /// </summary>
+    public DateTime Expires { get; init; }
+
+    /// <summary>
+    ///     Gets the time at which the session was last used.
+    /// </summary>
+    public DateTime LastSeen { get; init; }
+
+    /// <summary>
+    ///     Gets the IP address from which the session was last used.
+    /// </summary>
+    public string IpAddress { get; init; }
+
+    /// <summary>
+    ///     Gets the user agent from which the session was last used.
+    /// </summary>
+    public string UserAgent { get; init; }
+}
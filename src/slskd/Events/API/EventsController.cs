@@ -42,6 +42,7 @@ using Microsoft.AspNetCore.Mvc;
 using Serilog;
 using slskd.Messaging;
 using slskd.Transfers;
+using slskd.Wishlist;
 
 /// <summary>
 ///     Events.
@@ -123,7 +124,7 @@ public class EventsController : ControllerBase
     /// <response code="500">An unexpected error is encountered.</response>
     /// <response code="201">The request completed successfully.</response>
     [HttpPost("{type}", Name = nameof(RaiseEvent))]
-    [Authorize(Policy = AuthPolicy.Any)]
+    [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.AdministratorOnly)]
     [ProducesResponseType(typeof(string), 400)]
     [ProducesResponseType(401)]
     [ProducesResponseType(403)]
@@ -155,6 +156,7 @@ public class EventsController : ControllerBase
                 EventType.UploadFileComplete => new UploadFileCompleteEvent { LocalFilename = $"{d}local.file", RemoteFilename = $"{d}remote.file", Transfer = new Transfer() },
                 EventType.PrivateMessageReceived => new PrivateMessageReceivedEvent { Message = new PrivateMessage { Id = 42, Timestamp = DateTime.UtcNow, Username = $"{d}username", Message = $"{d}message" } },
                 EventType.RoomMessageReceived => new RoomMessageReceivedEvent { Message = new RoomMessage { RoomName = $"{d}room", Username = $"{d}username", Message = $"{d}message" } },
+                EventType.WishlistMatchFound => new WishlistMatchFoundEvent { Item = new WishlistItem { SearchText = $"{d}search text" }, Run = new WishlistRun { Username = $"{d}username", Directory = $"{d}remote.directory", NewMatchCount = 1 } },
                 EventType.Noop => new NoopEvent(),
                 _ => throw new SlskdException($"Event type {eventType} is an enum member but is not handled.  Please submit an issue on GitHub."),
             };
@@ -35,6 +35,7 @@ namespace slskd.Events;
 using System;
 using slskd.Messaging;
 using slskd.Transfers;
+using slskd.Wishlist;
 
 public enum EventType
 {
@@ -47,6 +48,7 @@ public enum EventType
     // UploadDirectoryComplete = 5,
     PrivateMessageReceived = 6,
     RoomMessageReceived = 7,
+    WishlistMatchFound = 8,
 
     SoulseekClientConnected = 50,
     SoulseekClientDisconnected = 51,
@@ -117,6 +119,14 @@ public sealed record RoomMessageReceivedEvent : Event
     public required RoomMessage Message { get; init; }
 }
 
+public sealed record WishlistMatchFoundEvent : Event
+{
+    public override EventType Type => EventType.WishlistMatchFound;
+    public override int Version => 0;
+    public required WishlistItem Item { get; init; }
+    public required WishlistRun Run { get; init; }
+}
+
 public sealed record NoopEvent : Event
 {
     public override EventType Type => EventType.Noop;
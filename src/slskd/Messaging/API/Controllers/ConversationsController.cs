@@ -87,7 +87,7 @@ namespace slskd.Messaging.API
         ///     A conversation with the specified username, or a message matching the specified id could not be found.
         /// </response>
         [HttpPut("{username}/{id}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(200)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> Acknowledge([FromRoute, UrlEncoded] string username, [FromRoute] int id)
@@ -117,7 +117,7 @@ namespace slskd.Messaging.API
         /// <response code="200">The request completed successfully.</response>
         /// <response code="404">A conversation with the specified username could not be found.</response>
         [HttpPut("{username}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(200)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> AcknowledgeAll([FromRoute, UrlEncoded] string username)
@@ -146,7 +146,7 @@ namespace slskd.Messaging.API
         /// <response code="204">The request completed successfully.</response>
         /// <response code="404">A conversation with the specified username could not be found.</response>
         [HttpDelete("{username}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(404)]
         [ProducesResponseType(204)]
         public async Task<IActionResult> Close([FromRoute, UrlEncoded] string username)
@@ -259,7 +259,7 @@ namespace slskd.Messaging.API
         /// <response code="201">The request completed successfully.</response>
         /// <response code="400">The specified message is null or empty.</response>
         [HttpPost("{username}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(201)]
         [ProducesResponseType(400)]
         public async Task<IActionResult> Send([FromRoute, UrlEncoded] string username, [FromBody] string message)
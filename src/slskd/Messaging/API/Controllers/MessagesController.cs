@@ -0,0 +1,197 @@
+// <copyright file="MessagesController.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Messaging.API
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Asp.Versioning;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using slskd.Users;
+
+    /// <summary>
+    ///     Message history.
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("0")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class MessagesController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="MessagesController"/> class.
+        /// </summary>
+        /// <param name="messagingService"></param>
+        /// <param name="ignoreListService"></param>
+        public MessagesController(IMessagingService messagingService, IIgnoreListService ignoreListService)
+        {
+            Messages = messagingService;
+            IgnoreList = ignoreListService;
+        }
+
+        private IMessagingService Messages { get; }
+        private IIgnoreListService IgnoreList { get; }
+
+        /// <summary>
+        ///     Searches the history of private and room messages.
+        /// </summary>
+        /// <param name="query">The words to search for.</param>
+        /// <param name="kind">The kind of message to search; private or room.</param>
+        /// <param name="username">The conversation, for private messages, or the sender, for room messages.</param>
+        /// <param name="roomName">The room to search.</param>
+        /// <param name="from">The earliest timestamp to include.</param>
+        /// <param name="to">The latest timestamp to include.</param>
+        /// <param name="limit">The maximum number of results to return.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="400">No search criteria were specified, or the limit is out of range.</response>
+        [HttpGet("search")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(List<MessageSearchResult>), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> Search(
+            [FromQuery] string query,
+            [FromQuery] MessageKind? kind = null,
+            [FromQuery] string username = null,
+            [FromQuery] string roomName = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] int limit = 500)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (string.IsNullOrWhiteSpace(query) && string.IsNullOrEmpty(username) && string.IsNullOrEmpty(roomName) && !from.HasValue && !to.HasValue)
+            {
+                return BadRequest("Specify a query, or at least one of username, roomName, from or to");
+            }
+
+            if (limit < 1 || limit > 1000)
+            {
+                return BadRequest("Limit must be between 1 and 1000");
+            }
+
+            var results = await Messages.History.SearchAsync(query, kind, username, roomName, from, to, limit);
+
+            // room messages from ignored users are hidden; existing conversations with them are left alone
+            return Ok(results.Where(result => result.Kind != MessageKind.Room || !IgnoreList.IsIgnored(result.Username)));
+        }
+
+        /// <summary>
+        ///     Gets the history of the conversation with the specified username.
+        /// </summary>
+        /// <param name="username">The username associated with the conversation.</param>
+        /// <param name="from">The earliest timestamp to include.</param>
+        /// <param name="to">The latest timestamp to include.</param>
+        /// <param name="before">Include only messages older than this timestamp; used to page backwards.</param>
+        /// <param name="around">Center the results on this timestamp.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero for all of them.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="400">The limit is out of range.</response>
+        [HttpGet("conversations/{username}")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(List<PrivateMessage>), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> GetConversationHistory(
+            [FromRoute, UrlEncoded] string username,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] DateTime? before = null,
+            [FromQuery] DateTime? around = null,
+            [FromQuery] int limit = 100)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (limit < 0)
+            {
+                return BadRequest("Limit must not be negative");
+            }
+
+            var messages = await Messages.History.ListConversationMessagesAsync(username, from, to, before, around, limit);
+
+            return Ok(messages);
+        }
+
+        /// <summary>
+        ///     Gets the history of the specified room.
+        /// </summary>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="from">The earliest timestamp to include.</param>
+        /// <param name="to">The latest timestamp to include.</param>
+        /// <param name="before">Include only messages older than this timestamp; used to page backwards.</param>
+        /// <param name="around">Center the results on this timestamp.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero for all of them.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="400">The limit is out of range.</response>
+        [HttpGet("rooms/{roomName}")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(List<RoomMessageResponse>), 200)]
+        [ProducesResponseType(400)]
+        public async Task<IActionResult> GetRoomHistory(
+            [FromRoute, UrlEncoded] string roomName,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] DateTime? before = null,
+            [FromQuery] DateTime? around = null,
+            [FromQuery] int limit = 100)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (limit < 0)
+            {
+                return BadRequest("Limit must not be negative");
+            }
+
+            var messages = await Messages.History.ListRoomMessagesAsync(roomName, from, to, before, around, limit);
+
+            var response = messages
+                .Where(message => !IgnoreList.IsIgnored(message.Username))
+                .Select(message => RoomMessageResponse.FromRoomMessage(message, self: message.Direction == MessageDirection.Out));
+
+            return Ok(response);
+        }
+    }
+}
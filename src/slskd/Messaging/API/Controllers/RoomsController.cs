@@ -42,6 +42,7 @@ namespace slskd.Messaging.API
     using Microsoft.AspNetCore.Authorization;
     using Microsoft.AspNetCore.Http;
     using Microsoft.AspNetCore.Mvc;
+    using slskd.Users;
     using Soulseek;
 
     /// <summary>
@@ -59,13 +60,15 @@ namespace slskd.Messaging.API
             IRoomService roomService,
             IStateMonitor<State> applicationStateMonitor,
             IOptionsSnapshot<Options> optionsSnapshot,
-            IRoomTracker tracker)
+            IRoomTracker tracker,
+            IIgnoreListService ignoreListService)
         {
             Client = soulseekClient;
             ApplicationStateMonitor = applicationStateMonitor;
             OptionsSnapshot = optionsSnapshot;
             Tracker = tracker;
             RoomService = roomService;
+            IgnoreList = ignoreListService;
         }
 
         private IRoomService RoomService { get; }
@@ -73,6 +76,7 @@ namespace slskd.Messaging.API
         private IStateMonitor<State> ApplicationStateMonitor { get; }
         private IRoomTracker Tracker { get; }
         private IOptionsSnapshot<Options> OptionsSnapshot { get; }
+        private IIgnoreListService IgnoreList { get; }
 
         /// <summary>
         ///     Gets all rooms.
@@ -127,7 +131,7 @@ namespace slskd.Messaging.API
         /// <response code="201">The request completed successfully.</response>
         /// <response code="404">The specified roomName could not be found.</response>
         [HttpPost("joined/{roomName}/messages")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(201)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> SendMessage([FromRoute, UrlEncoded] string roomName, [FromBody] string message)
@@ -155,7 +159,7 @@ namespace slskd.Messaging.API
         /// <response code="201">The request completed successfully.</response>
         /// <response code="404">The specified roomName could not be found.</response>
         [HttpPost("joined/{roomName}/ticker")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(201)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> SetTicker([FromRoute, UrlEncoded] string roomName, [FromBody] string message)
@@ -183,7 +187,7 @@ namespace slskd.Messaging.API
         /// <response code="201">The request completed successfully.</response>
         /// <response code="404">The specified roomName could not be found.</response>
         [HttpPost("joined/{roomName}/members")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(201)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> AddRoomMember([FromRoute, UrlEncoded] string roomName, [FromBody] string username)
@@ -252,6 +256,7 @@ namespace slskd.Messaging.API
             if (Tracker.TryGet(roomName, out var room))
             {
                 var response = room.Messages
+                    .Where(message => !IgnoreList.IsIgnored(message.Username))
                     .Select(message => RoomMessageResponse.FromRoomMessage(message, self: message.Username == ApplicationStateMonitor.CurrentValue.User.Username));
 
                 return Ok(response);
@@ -298,7 +303,7 @@ namespace slskd.Messaging.API
         /// <response code="201">The request completed successfully.</response>
         /// <response code="304">The room has already been joined.</response>
         [HttpPost("joined")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(typeof(Room), 201)]
         [ProducesResponseType(304)]
         public async Task<IActionResult> JoinRoom([FromBody] string roomName)
@@ -339,7 +344,7 @@ namespace slskd.Messaging.API
         /// <response code="204">The request completed successfully.</response>
         /// <response code="404">The room has not been joined.</response>
         [HttpDelete("joined/{roomName}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> LeaveRoom([FromRoute, UrlEncoded] string roomName)
@@ -371,6 +376,7 @@ namespace slskd.Messaging.API
             response.Users = room.Users
                 .Select(user => UserDataResponse.FromUserData(user, self: IsSelf(user.Username)));
             response.Messages = room.Messages
+                .Where(message => !IgnoreList.IsIgnored(message.Username))
                 .Select(message => RoomMessageResponse.FromRoomMessage(message, self: IsSelf(message.Username)));
 
             return response;
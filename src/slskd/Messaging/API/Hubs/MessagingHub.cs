@@ -0,0 +1,151 @@
+// <copyright file="MessagingHub.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Messaging.API
+{
+    using System;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.SignalR;
+    using Serilog;
+
+    public static class MessagingHubMethods
+    {
+        public static readonly string PrivateMessage = "PRIVATE_MESSAGE";
+        public static readonly string RoomMessage = "ROOM_MESSAGE";
+        public static readonly string RoomJoined = "ROOM_JOINED";
+        public static readonly string RoomLeft = "ROOM_LEFT";
+    }
+
+    /// <summary>
+    ///     Extension methods for the messaging SignalR hub.
+    /// </summary>
+    public static class MessagingHubExtensions
+    {
+        private static ILogger Log { get; } = Serilog.Log.ForContext<MessagingHub>();
+
+        /// <summary>
+        ///     Starts the specified <paramref name="broadcast"/> without waiting for it to finish, logging a failure rather
+        ///     than throwing it.
+        /// </summary>
+        /// <remarks>
+        ///     Pushing a change to connected clients shouldn't hold up or fail the change itself, which has already happened.
+        /// </remarks>
+        /// <param name="hub">The hub.</param>
+        /// <param name="broadcast">The broadcast, e.g. <c>hub => hub.BroadcastRoomMessageAsync(message, self)</c>.</param>
+        /// <param name="description">A description of what was broadcast, for the log.</param>
+        public static void TryBroadcast(this IHubContext<MessagingHub> hub, Func<IHubContext<MessagingHub>, Task> broadcast, string description)
+        {
+            _ = BroadcastAsync();
+
+            async Task BroadcastAsync()
+            {
+                try
+                {
+                    await broadcast(hub);
+                }
+                catch (Exception ex)
+                {
+                    Log.Warning(ex, "Failed to broadcast {Description}: {Message}", description, ex.Message);
+                }
+            }
+        }
+
+        /// <summary>
+        ///     Broadcast a private message, either received or sent.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="message">The message to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastPrivateMessageAsync(this IHubContext<MessagingHub> hub, PrivateMessage message)
+        {
+            return hub.Clients.All.SendAsync(MessagingHubMethods.PrivateMessage, message);
+        }
+
+        /// <summary>
+        ///     Broadcast a message received in a room.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="message">The message to broadcast.</param>
+        /// <param name="self">A value indicating whether the message was sent by the currently logged in user.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastRoomMessageAsync(this IHubContext<MessagingHub> hub, RoomMessage message, bool self)
+        {
+            return hub.Clients.All.SendAsync(MessagingHubMethods.RoomMessage, RoomMessageResponse.FromRoomMessage(message, self));
+        }
+
+        /// <summary>
+        ///     Broadcast that a user, possibly the currently logged in user, joined a room.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="username">The username of the user that joined.</param>
+        /// <param name="user">The user's data, if known.</param>
+        /// <param name="self">A value indicating whether the user is the currently logged in user.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastRoomJoinedAsync(this IHubContext<MessagingHub> hub, string roomName, string username, Soulseek.UserData user, bool self)
+        {
+            return hub.Clients.All.SendAsync(MessagingHubMethods.RoomJoined, new
+            {
+                roomName,
+                username,
+                self,
+                user = user is null ? null : UserDataResponse.FromUserData(user, self),
+            });
+        }
+
+        /// <summary>
+        ///     Broadcast that a user, possibly the currently logged in user, left a room.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="username">The username of the user that left.</param>
+        /// <param name="self">A value indicating whether the user is the currently logged in user.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastRoomLeftAsync(this IHubContext<MessagingHub> hub, string roomName, string username, bool self)
+        {
+            return hub.Clients.All.SendAsync(MessagingHubMethods.RoomLeft, new { roomName, username, self });
+        }
+    }
+
+    /// <summary>
+    ///     The messaging SignalR hub.
+    /// </summary>
+    /// <remarks>
+    ///     Pushes private messages, room messages, and room membership changes as they happen. Clients fetch the
+    ///     current conversations and rooms from the API when they connect, and apply changes from the hub thereafter.
+    /// </remarks>
+    [Authorize(Policy = AuthPolicy.Any)]
+    public class MessagingHub : Hub
+    {
+    }
+}
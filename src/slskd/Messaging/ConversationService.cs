@@ -37,9 +37,11 @@ namespace slskd.Messaging
     using System.Linq;
     using System.Linq.Expressions;
     using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
     using Microsoft.EntityFrameworkCore;
     using Serilog;
     using slskd.Events;
+    using slskd.Messaging.API;
     using Soulseek;
 
     /// <summary>
@@ -129,14 +131,17 @@ namespace slskd.Messaging
         public ConversationService(
             ISoulseekClient soulseekClient,
             EventBus eventBus,
-            IDbContextFactory<MessagingDbContext> contextFactory)
+            IDbContextFactory<MessagingDbContext> contextFactory,
+            IHubContext<MessagingHub> messagingHub)
         {
             SoulseekClient = soulseekClient;
             EventBus = eventBus;
             ContextFactory = contextFactory;
+            MessagingHub = messagingHub;
         }
 
         private EventBus EventBus { get; }
+        private IHubContext<MessagingHub> MessagingHub { get; }
         private IDbContextFactory<MessagingDbContext> ContextFactory { get; }
         private ILogger Log { get; } = Serilog.Log.ForContext<ConversationService>();
         private ISoulseekClient SoulseekClient { get; }
@@ -340,6 +345,9 @@ namespace slskd.Messaging
                 Message = message,
             });
 
+            // the message has been saved, so failing to push it to the UI shouldn't fail its receipt
+            MessagingHub.TryBroadcast(hub => hub.BroadcastPrivateMessageAsync(message), $"private message from {username}");
+
             return Task.CompletedTask;
         }
 
@@ -383,7 +391,7 @@ namespace slskd.Messaging
 
             using var context = ContextFactory.CreateDbContext();
 
-            context.PrivateMessages.Add(new PrivateMessage
+            var sent = new PrivateMessage
             {
                 Timestamp = DateTime.UtcNow,
                 Id = 0, // the server assigns IDs. this message will get one but it'll only be known to the recipient
@@ -391,9 +399,13 @@ namespace slskd.Messaging
                 Direction = MessageDirection.Out,
                 Message = message,
                 IsAcknowledged = true,
-            });
+            };
 
+            context.PrivateMessages.Add(sent);
             context.SaveChanges();
+
+            // other open clients need to see the message we sent, too
+            MessagingHub.TryBroadcast(hub => hub.BroadcastPrivateMessageAsync(sent), $"private message to {username}");
         }
 
         private void ActivateConversation(string username)
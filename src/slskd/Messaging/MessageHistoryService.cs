@@ -0,0 +1,348 @@
+// <copyright file="MessageHistoryService.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Messaging
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Microsoft.EntityFrameworkCore;
+
+    /// <summary>
+    ///     Searches and retrieves the persisted history of private and room messages.
+    /// </summary>
+    public interface IMessageHistoryService
+    {
+        /// <summary>
+        ///     Returns the <see cref="PrivateMessage"/> records exchanged with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <remarks>
+        ///     When <paramref name="around"/> is specified, half of the <paramref name="limit"/> is taken from either side of
+        ///     it; otherwise the most recent messages are returned.
+        /// </remarks>
+        /// <param name="username">The username associated with the conversation.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="before">An optional exclusive upper bound for message timestamps, used to page backwards.</param>
+        /// <param name="around">An optional timestamp around which to center the results.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero to return all of them.</param>
+        /// <returns>The operation context, including the list of messages, oldest first.</returns>
+        Task<IEnumerable<PrivateMessage>> ListConversationMessagesAsync(string username, DateTime? from = null, DateTime? to = null, DateTime? before = null, DateTime? around = null, int limit = 100);
+
+        /// <summary>
+        ///     Returns the <see cref="RoomMessage"/> records sent to the specified <paramref name="roomName"/>.
+        /// </summary>
+        /// <remarks>
+        ///     When <paramref name="around"/> is specified, half of the <paramref name="limit"/> is taken from either side of
+        ///     it; otherwise the most recent messages are returned.
+        /// </remarks>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="before">An optional exclusive upper bound for message timestamps, used to page backwards.</param>
+        /// <param name="around">An optional timestamp around which to center the results.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero to return all of them.</param>
+        /// <returns>The operation context, including the list of messages, oldest first.</returns>
+        Task<IEnumerable<RoomMessage>> ListRoomMessagesAsync(string roomName, DateTime? from = null, DateTime? to = null, DateTime? before = null, DateTime? around = null, int limit = 100);
+
+        /// <summary>
+        ///     Searches private and room messages for those containing each of the words in the specified <paramref name="query"/>.
+        /// </summary>
+        /// <remarks>
+        ///     Words are matched anywhere in the message, ignoring case (ASCII only; this is a limitation of SQLite). If a
+        ///     <paramref name="roomName"/> is specified only room messages are searched, and <paramref name="username"/>
+        ///     filters room messages by sender and private messages by conversation.
+        /// </remarks>
+        /// <param name="query">The words to search for; may be empty if other criteria are specified.</param>
+        /// <param name="kind">An optional kind of message to which to limit the search.</param>
+        /// <param name="username">An optional username to which to limit the search.</param>
+        /// <param name="roomName">An optional room to which to limit the search.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="limit">The maximum number of results to return.</param>
+        /// <returns>The operation context, including the list of matching messages, newest first.</returns>
+        Task<IEnumerable<MessageSearchResult>> SearchAsync(string query, MessageKind? kind = null, string username = null, string roomName = null, DateTime? from = null, DateTime? to = null, int limit = 500);
+    }
+
+    /// <summary>
+    ///     Searches and retrieves the persisted history of private and room messages.
+    /// </summary>
+    public class MessageHistoryService : IMessageHistoryService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="MessageHistoryService"/> class.
+        /// </summary>
+        /// <param name="contextFactory"></param>
+        public MessageHistoryService(IDbContextFactory<MessagingDbContext> contextFactory)
+        {
+            ContextFactory = contextFactory;
+        }
+
+        private IDbContextFactory<MessagingDbContext> ContextFactory { get; }
+
+        /// <summary>
+        ///     Returns the <see cref="PrivateMessage"/> records exchanged with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <remarks>
+        ///     When <paramref name="around"/> is specified, half of the <paramref name="limit"/> is taken from either side of
+        ///     it; otherwise the most recent messages are returned.
+        /// </remarks>
+        /// <param name="username">The username associated with the conversation.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="before">An optional exclusive upper bound for message timestamps, used to page backwards.</param>
+        /// <param name="around">An optional timestamp around which to center the results.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero to return all of them.</param>
+        /// <returns>The operation context, including the list of messages, oldest first.</returns>
+        public Task<IEnumerable<PrivateMessage>> ListConversationMessagesAsync(string username, DateTime? from = null, DateTime? to = null, DateTime? before = null, DateTime? around = null, int limit = 100)
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            var query = context.PrivateMessages
+                .AsNoTracking()
+                .Where(m => m.Username == username);
+
+            if (from.HasValue)
+            {
+                var value = from.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp >= value);
+            }
+
+            if (to.HasValue)
+            {
+                var value = to.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp <= value);
+            }
+
+            if (before.HasValue)
+            {
+                var value = before.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp < value);
+            }
+
+            List<PrivateMessage> messages;
+
+            if (around.HasValue)
+            {
+                var value = around.Value.ToUniversalTime();
+                var half = Math.Max(limit / 2, 1);
+
+                messages = query.Where(m => m.Timestamp <= value).OrderByDescending(m => m.Timestamp).Take(half).ToList();
+                messages.AddRange(query.Where(m => m.Timestamp > value).OrderBy(m => m.Timestamp).Take(half).ToList());
+            }
+            else if (limit > 0)
+            {
+                messages = query.OrderByDescending(m => m.Timestamp).Take(limit).ToList();
+            }
+            else
+            {
+                messages = query.ToList();
+            }
+
+            return Task.FromResult(messages.OrderBy(m => m.Timestamp).AsEnumerable());
+        }
+
+        /// <summary>
+        ///     Returns the <see cref="RoomMessage"/> records sent to the specified <paramref name="roomName"/>.
+        /// </summary>
+        /// <remarks>
+        ///     When <paramref name="around"/> is specified, half of the <paramref name="limit"/> is taken from either side of
+        ///     it; otherwise the most recent messages are returned.
+        /// </remarks>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="before">An optional exclusive upper bound for message timestamps, used to page backwards.</param>
+        /// <param name="around">An optional timestamp around which to center the results.</param>
+        /// <param name="limit">The maximum number of messages to return, or zero to return all of them.</param>
+        /// <returns>The operation context, including the list of messages, oldest first.</returns>
+        public Task<IEnumerable<RoomMessage>> ListRoomMessagesAsync(string roomName, DateTime? from = null, DateTime? to = null, DateTime? before = null, DateTime? around = null, int limit = 100)
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            var query = context.RoomMessages
+                .AsNoTracking()
+                .Where(m => m.RoomName == roomName);
+
+            if (from.HasValue)
+            {
+                var value = from.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp >= value);
+            }
+
+            if (to.HasValue)
+            {
+                var value = to.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp <= value);
+            }
+
+            if (before.HasValue)
+            {
+                var value = before.Value.ToUniversalTime();
+                query = query.Where(m => m.Timestamp < value);
+            }
+
+            List<RoomMessage> messages;
+
+            if (around.HasValue)
+            {
+                var value = around.Value.ToUniversalTime();
+                var half = Math.Max(limit / 2, 1);
+
+                messages = query.Where(m => m.Timestamp <= value).OrderByDescending(m => m.Timestamp).Take(half).ToList();
+                messages.AddRange(query.Where(m => m.Timestamp > value).OrderBy(m => m.Timestamp).Take(half).ToList());
+            }
+            else if (limit > 0)
+            {
+                messages = query.OrderByDescending(m => m.Timestamp).Take(limit).ToList();
+            }
+            else
+            {
+                messages = query.ToList();
+            }
+
+            // the id breaks ties between messages received at the same instant
+            return Task.FromResult(messages.OrderBy(m => m.Timestamp).ThenBy(m => m.Id).AsEnumerable());
+        }
+
+        /// <summary>
+        ///     Searches private and room messages for those containing each of the words in the specified <paramref name="query"/>.
+        /// </summary>
+        /// <remarks>
+        ///     Words are matched anywhere in the message, ignoring case (ASCII only; this is a limitation of SQLite). If a
+        ///     <paramref name="roomName"/> is specified only room messages are searched, and <paramref name="username"/>
+        ///     filters room messages by sender and private messages by conversation.
+        /// </remarks>
+        /// <param name="query">The words to search for; may be empty if other criteria are specified.</param>
+        /// <param name="kind">An optional kind of message to which to limit the search.</param>
+        /// <param name="username">An optional username to which to limit the search.</param>
+        /// <param name="roomName">An optional room to which to limit the search.</param>
+        /// <param name="from">An optional inclusive lower bound for message timestamps.</param>
+        /// <param name="to">An optional inclusive upper bound for message timestamps.</param>
+        /// <param name="limit">The maximum number of results to return.</param>
+        /// <returns>The operation context, including the list of matching messages, newest first.</returns>
+        public Task<IEnumerable<MessageSearchResult>> SearchAsync(string query, MessageKind? kind = null, string username = null, string roomName = null, DateTime? from = null, DateTime? to = null, int limit = 500)
+        {
+            var patterns = (query ?? string.Empty)
+                .Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Distinct()
+                .Select(word => $"%{EscapeLikePattern(word)}%")
+                .ToList();
+
+            var fromValue = from?.ToUniversalTime();
+            var toValue = to?.ToUniversalTime();
+
+            using var context = ContextFactory.CreateDbContext();
+
+            var results = new List<MessageSearchResult>();
+
+            if (kind != MessageKind.Room && string.IsNullOrEmpty(roomName))
+            {
+                var privateMessages = context.PrivateMessages.AsNoTracking();
+
+                foreach (var pattern in patterns)
+                {
+                    privateMessages = privateMessages.Where(m => EF.Functions.Like(m.Message, pattern, "\\"));
+                }
+
+                if (!string.IsNullOrEmpty(username))
+                {
+                    privateMessages = privateMessages.Where(m => m.Username == username);
+                }
+
+                if (fromValue.HasValue)
+                {
+                    privateMessages = privateMessages.Where(m => m.Timestamp >= fromValue.Value);
+                }
+
+                if (toValue.HasValue)
+                {
+                    privateMessages = privateMessages.Where(m => m.Timestamp <= toValue.Value);
+                }
+
+                results.AddRange(privateMessages
+                    .OrderByDescending(m => m.Timestamp)
+                    .Take(limit)
+                    .ToList()
+                    .Select(MessageSearchResult.FromPrivateMessage));
+            }
+
+            if (kind != MessageKind.Private)
+            {
+                var roomMessages = context.RoomMessages.AsNoTracking();
+
+                foreach (var pattern in patterns)
+                {
+                    roomMessages = roomMessages.Where(m => EF.Functions.Like(m.Message, pattern, "\\"));
+                }
+
+                if (!string.IsNullOrEmpty(roomName))
+                {
+                    roomMessages = roomMessages.Where(m => m.RoomName == roomName);
+                }
+
+                if (!string.IsNullOrEmpty(username))
+                {
+                    roomMessages = roomMessages.Where(m => m.Username == username);
+                }
+
+                if (fromValue.HasValue)
+                {
+                    roomMessages = roomMessages.Where(m => m.Timestamp >= fromValue.Value);
+                }
+
+                if (toValue.HasValue)
+                {
+                    roomMessages = roomMessages.Where(m => m.Timestamp <= toValue.Value);
+                }
+
+                results.AddRange(roomMessages
+                    .OrderByDescending(m => m.Timestamp)
+                    .Take(limit)
+                    .ToList()
+                    .Select(MessageSearchResult.FromRoomMessage));
+            }
+
+            var response = results
+                .OrderByDescending(r => r.Timestamp)
+                .Take(limit)
+                .ToList()
+                .AsEnumerable();
+
+            return Task.FromResult(response);
+        }
+
+        private static string EscapeLikePattern(string value)
+            => value.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_");
+    }
+}
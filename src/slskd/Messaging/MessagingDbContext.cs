@@ -66,8 +66,12 @@ namespace slskd.Messaging
                 .Property(e => e.Timestamp)
                 .HasConversion(v => v, v => DateTime.SpecifyKind(v, DateTimeKind.Utc));
 
-            modelBuilder.Entity<RoomMessage>().HasNoKey();
+            modelBuilder.Entity<RoomMessage>().HasKey(e => e.Id);
+            modelBuilder.Entity<RoomMessage>().Property(e => e.Id).ValueGeneratedOnAdd();
             modelBuilder.Entity<RoomMessage>().HasIndex(e => e.RoomName);
+            modelBuilder.Entity<RoomMessage>().HasIndex(e => e.Timestamp);
+
+            modelBuilder.Entity<PrivateMessage>().HasIndex(e => e.Timestamp);
         }
     }
 }
@@ -41,6 +41,11 @@ namespace slskd.Messaging
         ///     Gets the <see cref="ConversationService"/>.
         /// </summary>
         IConversationService Conversations { get; }
+
+        /// <summary>
+        ///     Gets the <see cref="MessageHistoryService"/>.
+        /// </summary>
+        IMessageHistoryService History { get; }
     }
 
     /// <summary>
@@ -52,14 +57,21 @@ namespace slskd.Messaging
         ///     Initializes a new instance of the <see cref="MessagingService"/> class.
         /// </summary>
         /// <param name="conversations"></param>
-        public MessagingService(IConversationService conversations)
+        /// <param name="history"></param>
+        public MessagingService(IConversationService conversations, IMessageHistoryService history)
         {
             Conversations = conversations;
+            History = history;
         }
 
         /// <summary>
         ///     Gets the <see cref="ConversationService"/>.
         /// </summary>
         public IConversationService Conversations { get; }
+
+        /// <summary>
+        ///     Gets the <see cref="MessageHistoryService"/>.
+        /// </summary>
+        public IMessageHistoryService History { get; }
     }
 }
\ No newline at end of file
@@ -37,9 +37,13 @@ namespace slskd.Messaging
     using System;
     using System.Collections.Generic;
     using System.Linq;
+    using System.Threading.Channels;
     using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.EntityFrameworkCore;
     using Serilog;
     using slskd.Events;
+    using slskd.Messaging.API;
     using slskd.Users;
 
     using Soulseek;
@@ -72,6 +76,13 @@ namespace slskd.Messaging
         /// <param name="roomNames">The list of room names to join.</param>
         /// <returns>The operation context.</returns>
         Task TryJoinAsync(params string[] roomNames);
+
+        /// <summary>
+        ///     Removes persisted room messages older than the specified <paramref name="age"/>.
+        /// </summary>
+        /// <param name="age">The age after which messages are eligible for pruning, in minutes.</param>
+        /// <returns>The number of pruned messages.</returns>
+        Task<int> PruneMessagesAsync(int age);
     }
 
     /// <summary>
@@ -88,13 +99,19 @@ namespace slskd.Messaging
         /// <param name="roomTracker"></param>
         /// <param name="userService"></param>
         /// <param name="eventBus"></param>
+        /// <param name="messagingHub"></param>
+        /// <param name="contextFactory"></param>
+        /// <param name="ignoreListService"></param>
         public RoomService(
             ISoulseekClient soulseekClient,
             IOptionsMonitor<Options> optionsMonitor,
             IStateMutator<State> stateMutator,
             IRoomTracker roomTracker,
             IUserService userService,
-            EventBus eventBus)
+            EventBus eventBus,
+            IHubContext<MessagingHub> messagingHub,
+            IDbContextFactory<MessagingDbContext> contextFactory,
+            IIgnoreListService ignoreListService)
         {
             Client = soulseekClient;
 
@@ -105,12 +122,17 @@ namespace slskd.Messaging
 
             Users = userService;
             EventBus = eventBus;
+            MessagingHub = messagingHub;
+            ContextFactory = contextFactory;
+            IgnoreList = ignoreListService;
 
             Client.LoggedIn += Client_LoggedIn;
 
             Client.RoomJoined += Client_RoomJoined;
             Client.RoomLeft += Client_RoomLeft;
             Client.RoomMessageReceived += Client_RoomMessageReceived;
+
+            _ = Task.Run(PersistMessagesAsync);
         }
 
         private ISoulseekClient Client { get; }
@@ -120,6 +142,18 @@ namespace slskd.Messaging
         private IRoomTracker RoomTracker { get; set; }
         private IUserService Users { get; set; }
         private EventBus EventBus { get; }
+        private IHubContext<MessagingHub> MessagingHub { get; }
+        private IDbContextFactory<MessagingDbContext> ContextFactory { get; }
+        private IIgnoreListService IgnoreList { get; }
+
+        /// <summary>
+        ///     Received messages waiting to be saved, so that the database isn't written to on the client's event thread.
+        /// </summary>
+        private Channel<RoomMessage> PendingMessages { get; } = Channel.CreateUnbounded<RoomMessage>(new UnboundedChannelOptions
+        {
+            SingleReader = true,
+            SingleWriter = false,
+        });
 
         /// <summary>
         ///     Joins the specified <paramref name="roomName"/>.
@@ -137,6 +171,10 @@ namespace slskd.Messaging
                 RoomTracker.TryAdd(roomName, room);
 
                 Logger.Debug("Room data for {Room}: {Info}", roomName, data.ToJson());
+
+                var user = data.Users?.FirstOrDefault(u => u.Username == Client.Username);
+                MessagingHub.TryBroadcast(hub => hub.BroadcastRoomJoinedAsync(roomName, Client.Username, user, self: true), $"joining room {roomName}");
+
                 return data;
             }
             catch (Exception ex)
@@ -158,6 +196,7 @@ namespace slskd.Messaging
             try
             {
                 await Client.LeaveRoomAsync(roomName);
+                MessagingHub.TryBroadcast(hub => hub.BroadcastRoomLeftAsync(roomName, Client.Username, self: true), $"leaving room {roomName}");
             }
             catch (Exception ex)
             {
@@ -193,6 +232,39 @@ namespace slskd.Messaging
             }
         }
 
+        /// <summary>
+        ///     Removes persisted room messages older than the specified <paramref name="age"/>.
+        /// </summary>
+        /// <param name="age">The age after which messages are eligible for pruning, in minutes.</param>
+        /// <returns>The number of pruned messages.</returns>
+        public async Task<int> PruneMessagesAsync(int age)
+        {
+            try
+            {
+                using var context = ContextFactory.CreateDbContext();
+
+                var cutoffDateTime = DateTime.UtcNow.AddMinutes(-age);
+
+                // messages held in the room tracker are left alone; the tracker keeps only the most recent
+                // messages for each room, and they're gone once the application restarts
+                var pruned = await context.RoomMessages
+                    .Where(m => m.Timestamp < cutoffDateTime)
+                    .ExecuteDeleteAsync();
+
+                if (pruned > 0)
+                {
+                    Logger.Debug("Pruned {Count} room message(s) older than {Age} minutes", pruned, age);
+                }
+
+                return pruned;
+            }
+            catch (Exception ex)
+            {
+                Logger.Error(ex, "Failed to prune room messages: {Message}", ex.Message);
+                throw;
+            }
+        }
+
         private async void Client_LoggedIn(object sender, EventArgs e)
         {
             var autoJoinRooms = OptionsMonitor.CurrentValue.Rooms;
@@ -222,6 +294,7 @@ namespace slskd.Messaging
             else
             {
                 RoomTracker.TryAddUser(args.RoomName, args.UserData);
+                MessagingHub.TryBroadcast(hub => hub.BroadcastRoomJoinedAsync(args.RoomName, args.Username, args.UserData, self: false), $"{args.Username} joining room {args.RoomName}");
             }
         }
 
@@ -235,6 +308,7 @@ namespace slskd.Messaging
             else
             {
                 RoomTracker.TryRemoveUser(args.RoomName, args.Username);
+                MessagingHub.TryBroadcast(hub => hub.BroadcastRoomLeftAsync(args.RoomName, args.Username, self: false), $"{args.Username} leaving room {args.RoomName}");
             }
         }
 
@@ -246,14 +320,53 @@ namespace slskd.Messaging
                 return;
             }
 
-            var message = RoomMessage.FromEventArgs(args, DateTime.UtcNow);
+            if (IgnoreList.IsIgnored(args.Username))
+            {
+                Logger.Debug("Ignored message from ignored user {Username} in {Room}: {Message}", args.Username, args.RoomName, args.Message);
+                return;
+            }
+
+            var self = args.Username == Client.Username;
+
+            var message = RoomMessage.FromEventArgs(args, DateTime.UtcNow, direction: self ? MessageDirection.Out : MessageDirection.In);
             RoomTracker.AddOrUpdateMessage(args.RoomName, message);
 
-            // todo: persist these in the database before raising (why are we not??)
+            PendingMessages.Writer.TryWrite(message);
+
             EventBus.Raise<RoomMessageReceivedEvent>(new RoomMessageReceivedEvent
             {
                 Message = message,
             });
+
+            MessagingHub.TryBroadcast(hub => hub.BroadcastRoomMessageAsync(message, self: self), $"message from {args.Username} in room {args.RoomName}");
+        }
+
+        private async Task PersistMessagesAsync()
+        {
+            var reader = PendingMessages.Reader;
+
+            while (await reader.WaitToReadAsync())
+            {
+                // busy rooms can deliver many messages at once; save whatever has arrived together
+                var messages = new List<RoomMessage>();
+
+                while (messages.Count < 1000 && reader.TryRead(out var message))
+                {
+                    messages.Add(message);
+                }
+
+                try
+                {
+                    using var context = ContextFactory.CreateDbContext();
+                    context.RoomMessages.AddRange(messages);
+                    await context.SaveChangesAsync();
+                }
+                catch (Exception ex)
+                {
+                    // the tracker still has the messages, so they'll be displayed; they just won't be in the history
+                    Logger.Warning(ex, "Failed to persist {Count} room message(s): {Message}", messages.Count, ex.Message);
+                }
+            }
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+// <copyright file="MessageSearchResult.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Messaging
+{
+    using System;
+
+    /// <summary>
+    ///     A private or room message matching a history search.
+    /// </summary>
+    public class MessageSearchResult
+    {
+        /// <summary>
+        ///     The kind of message.
+        /// </summary>
+        public MessageKind Kind { get; init; }
+
+        /// <summary>
+        ///     The UTC timestamp of the message.
+        /// </summary>
+        public DateTime Timestamp { get; init; }
+
+        /// <summary>
+        ///     The username of the remote user, for private messages, or of the sender, for room messages.
+        /// </summary>
+        public string Username { get; init; }
+
+        /// <summary>
+        ///     The room to which the message was sent, for room messages.
+        /// </summary>
+        public string RoomName { get; init; }
+
+        /// <summary>
+        ///     The message direction.
+        /// </summary>
+        public MessageDirection Direction { get; init; }
+
+        /// <summary>
+        ///     The message.
+        /// </summary>
+        public string Message { get; init; }
+
+        public static MessageSearchResult FromPrivateMessage(PrivateMessage message) => new()
+        {
+            Kind = MessageKind.Private,
+            Timestamp = message.Timestamp,
+            Username = message.Username,
+            Direction = message.Direction,
+            Message = message.Message,
+        };
+
+        public static MessageSearchResult FromRoomMessage(RoomMessage message) => new()
+        {
+            Kind = MessageKind.Room,
+            Timestamp = message.Timestamp,
+            Username = message.Username,
+            RoomName = message.RoomName,
+            Direction = message.Direction,
+            Message = message.Message,
+        };
+    }
+}
@@ -40,6 +40,11 @@ namespace slskd.Messaging
     /// </summary>
     public class RoomMessage
     {
+        /// <summary>
+        ///     The unique id of the message, assigned by the database.
+        /// </summary>
+        public long Id { get; set; }
+
         /// <summary>
         ///     The timestamp of the message.
         /// </summary>
@@ -65,7 +70,7 @@ namespace slskd.Messaging
         /// </summary>
         public MessageDirection Direction { get; set; }
 
-        public static RoomMessage FromEventArgs(RoomMessageReceivedEventArgs eventArgs, DateTime? timestamp = null)
+        public static RoomMessage FromEventArgs(RoomMessageReceivedEventArgs eventArgs, DateTime? timestamp = null, MessageDirection direction = MessageDirection.In)
         {
             return new RoomMessage()
             {
@@ -73,6 +78,7 @@ namespace slskd.Messaging
                 Username = eventArgs.Username,
                 Message = eventArgs.Message,
                 RoomName = eventArgs.RoomName,
+                Direction = direction,
             };
         }
     }
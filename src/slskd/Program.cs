@@ -85,16 +85,20 @@ namespace slskd
     using slskd.Integrations.VPN;
     using slskd.Integrations.Webhooks;
     using slskd.Messaging;
+    using slskd.Messaging.API;
     using slskd.Relay;
     using slskd.Search;
     using slskd.Search.API;
     using slskd.Shares;
     using slskd.Telemetry;
     using slskd.Transfers;
+    using slskd.Transfers.API;
     using slskd.Transfers.Downloads;
     using slskd.Transfers.Uploads;
     using slskd.Users;
+    using slskd.Users.API;
     using slskd.Validation;
+    using slskd.Wishlist;
     using Soulseek;
     using Utility.CommandLine;
     using Utility.EnvironmentVariables;
@@ -631,6 +635,8 @@ namespace slskd
                 _ = app.Services.GetService<WebhookService>();
                 _ = app.Services.GetService<VPNService>();
                 _ = app.Services.GetService<TelemetryService>();
+                _ = app.Services.GetService<IWishlistService>();
+                _ = app.Services.GetService<IFailoverService>();
 
                 app.ConfigureAspDotNetPipeline();
 
@@ -744,6 +750,8 @@ namespace slskd
             services.AddDbContext<TransfersDbContext>(connectionStringDictionary[Database.Transfers]);
             services.AddDbContext<MessagingDbContext>(connectionStringDictionary[Database.Messaging]);
             services.AddDbContext<EventsDbContext>(connectionStringDictionary[Database.Events]);
+            services.AddDbContext<WishlistDbContext>(connectionStringDictionary[Database.Wishlist]);
+            services.AddDbContext<UsersDbContext>(connectionStringDictionary[Database.Users]);
 
             services.AddSingleton<ConnectionStringDictionary>(connectionStringDictionary);
 
@@ -773,20 +781,26 @@ namespace slskd
 
             services.AddSingleton<IMessagingService, MessagingService>();
             services.AddSingleton<IConversationService, ConversationService>();
+            services.AddSingleton<IMessageHistoryService, MessageHistoryService>();
 
             services.AddSingleton<IShareService, ShareService>();
             services.AddTransient<IShareRepositoryFactory, SqliteShareRepositoryFactory>();
 
             services.AddSingleton<ISearchService, SearchService>();
+            services.AddSingleton<IWishlistService, WishlistService>();
 
             services.AddSingleton<IUserService, UserService>();
+            services.AddSingleton<IIgnoreListService, IgnoreListService>();
+            services.AddSingleton<IBuddyService, BuddyService>();
 
             services.AddSingleton<IRoomService, RoomService>();
 
             services.AddSingleton<TransferService>();
+            services.AddSingleton<TransferMonitor>();
             services.AddSingleton<IDownloadService, DownloadService>();
             services.AddSingleton<IUploadService, UploadService>();
             services.AddSingleton<IBatchService, BatchService>();
+            services.AddSingleton<IFailoverService, FailoverService>();
             services.AddSingleton<FileService>();
 
             services.AddSingleton<IRelayService, RelayService>();
@@ -907,12 +921,18 @@ namespace slskd
 
                                         try
                                         {
-                                            // check to see if the provided value is a valid API key
-                                            var service = services.BuildServiceProvider().GetRequiredService<SecurityService>();
-                                            var (name, role) = service.AuthenticateWithApiKey(token, callerIpAddress: context.HttpContext.Connection.RemoteIpAddress);
+                                            // check to see if the provided value is a valid API key, and that its scopes allow the
+                                            // request, exactly as if it had been passed in the X-API-Key header
+                                            var service = context.HttpContext.RequestServices.GetRequiredService<SecurityService>();
+                                            var key = service.AuthenticateWithApiKey(token, callerIpAddress: context.HttpContext.Connection.RemoteIpAddress);
+
+                                            if (!ApiKeyScope.Permits(key.Scopes, context.Request.Method, context.Request.Path))
+                                            {
+                                                throw new UnauthorizedException($"API key {key.Name} is not authorized to {context.Request.Method} {context.Request.Path}; scopes: {string.Join(", ", key.Scopes)}");
+                                            }
 
                                             // the API key is valid. create a new, short lived jwt for the key name and role
-                                            context.Token = service.GenerateJwt(name, role, ttl: 1000).Serialize();
+                                            context.Token = service.GenerateJwt(key.Name, key.Role, ttl: 1000).Serialize();
                                         }
                                         catch
                                         {
@@ -923,6 +943,23 @@ namespace slskd
                                     }
                                 }
 
+                                return Task.CompletedTask;
+                            },
+                            OnTokenValidated = context =>
+                            {
+                                // tokens issued for a session that has since been revoked, or whose user has since been
+                                // removed or given a different role, are rejected until they expire
+                                var security = context.HttpContext.RequestServices.GetRequiredService<SecurityService>();
+
+                                if (!security.ValidateSession(
+                                    context.Principal,
+                                    expires: context.SecurityToken.ValidTo,
+                                    ipAddress: context.HttpContext.Connection.RemoteIpAddress,
+                                    userAgent: context.Request.Headers.UserAgent))
+                                {
+                                    context.Fail("The session has been revoked, or its user removed or given a different role");
+                                }
+
                                 return Task.CompletedTask;
                             },
                         };
@@ -1127,6 +1164,9 @@ namespace slskd
                 endpoints.MapHub<SearchHub>("/hub/search");
                 endpoints.MapHub<RelayHub>("/hub/relay");
                 endpoints.MapHub<MetricsHub>("/hub/metrics");
+                endpoints.MapHub<TransfersHub>("/hub/transfers");
+                endpoints.MapHub<MessagingHub>("/hub/messaging");
+                endpoints.MapHub<UsersHub>("/hub/users");
 
                 endpoints.MapControllers();
                 endpoints.MapHealthChecks("/health");
@@ -0,0 +1,666 @@
+// <copyright file="SearchFilter.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Search;
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text.RegularExpressions;
+
+/// <summary>
+///     A parsed search result filter.
+/// </summary>
+/// <remarks>
+///     <para>
+///         This is a port of the filter language used by the web UI (src/web/src/lib/searchQuery.js), and the two must
+///         be kept in sync; a filter saved in the UI has to match the same files when it is evaluated here.
+///     </para>
+///     <para>
+///         Parsing never throws. Anything that can't be understood is reported in <see cref="Errors"/> with its
+///         position in the input and left out, so that the rest of the filter still applies.
+///     </para>
+/// </remarks>
+public sealed class SearchFilter
+{
+    private static readonly Dictionary<string, string> Flags = new()
+    {
+        ["iscbr"] = "isCBR",
+        ["islossless"] = "isLossless",
+        ["islossy"] = "isLossy",
+        ["isvbr"] = "isVBR",
+    };
+
+    private static readonly Dictionary<string, int> SizeUnits = new()
+    {
+        ["b"] = 0,
+        ["kb"] = 1,
+        ["mb"] = 2,
+        ["gb"] = 3,
+        ["tb"] = 4,
+    };
+
+    private static readonly Dictionary<string, (Field Field, bool IsMinimum, bool IsSize)> Comparisons = new()
+    {
+        ["maxbd"] = (Field.BitDepth, false, false),
+        ["maxbitdepth"] = (Field.BitDepth, false, false),
+        ["maxbitrate"] = (Field.BitRate, false, false),
+        ["maxbr"] = (Field.BitRate, false, false),
+        ["maxfif"] = (Field.FilesInFolder, false, false),
+        ["maxfilesinfolder"] = (Field.FilesInFolder, false, false),
+        ["maxfilesize"] = (Field.Size, false, true),
+        ["maxfs"] = (Field.Size, false, true),
+        ["maxlen"] = (Field.Length, false, false),
+        ["maxlength"] = (Field.Length, false, false),
+        ["minbd"] = (Field.BitDepth, true, false),
+        ["minbitdepth"] = (Field.BitDepth, true, false),
+        ["minbitrate"] = (Field.BitRate, true, false),
+        ["minbr"] = (Field.BitRate, true, false),
+        ["minfif"] = (Field.FilesInFolder, true, false),
+        ["minfilesinfolder"] = (Field.FilesInFolder, true, false),
+        ["minfilesize"] = (Field.Size, true, true),
+        ["minfs"] = (Field.Size, true, true),
+        ["minlen"] = (Field.Length, true, false),
+        ["minlength"] = (Field.Length, true, false),
+    };
+
+    private static readonly string[] Scopes = ["path", "user"];
+
+    private static readonly string[] Keywords = [.. Flags.Keys, .. Comparisons.Keys, .. Scopes, "ext"];
+
+    private SearchFilter(string text, Node root, List<SearchFilterError> errors)
+    {
+        Text = text;
+        Root = root;
+        Errors = errors;
+    }
+
+    private enum Field
+    {
+        BitDepth,
+        BitRate,
+        FilesInFolder,
+        Length,
+        Size,
+    }
+
+    private enum TokenType
+    {
+        Word,
+        Phrase,
+        Not,
+        LeftParen,
+        RightParen,
+        Or,
+    }
+
+    /// <summary>
+    ///     Gets the errors encountered while parsing, ordered by position.
+    /// </summary>
+    public IReadOnlyList<SearchFilterError> Errors { get; }
+
+    /// <summary>
+    ///     Gets a value indicating whether the filter is empty and matches everything.
+    /// </summary>
+    public bool IsEmpty => Root is null;
+
+    /// <summary>
+    ///     Gets the original filter text.
+    /// </summary>
+    public string Text { get; }
+
+    private Node Root { get; }
+
+    /// <summary>
+    ///     Parses the specified <paramref name="text"/>.
+    /// </summary>
+    /// <param name="text">The filter text.</param>
+    /// <returns>The parsed filter.</returns>
+    public static SearchFilter Parse(string text)
+    {
+        text ??= string.Empty;
+
+        var errors = new List<SearchFilterError>();
+        var tokens = Tokenize(text, errors);
+        var parser = new Parser(tokens, errors);
+
+        var roots = new List<Node>();
+
+        while (!parser.AtEnd)
+        {
+            var node = parser.ParseOr();
+
+            if (node is not null)
+            {
+                roots.Add(node);
+            }
+
+            // ParseOr only stops early at a ')' with no matching '('
+            var stray = parser.Peek();
+
+            if (stray is not null)
+            {
+                errors.Add(new SearchFilterError("Unexpected ')'", stray.Start, stray.End));
+                parser.Advance();
+            }
+        }
+
+        return new SearchFilter(text, Combine(roots, and: true), errors.OrderBy(e => e.Start).ToList());
+    }
+
+    /// <summary>
+    ///     Returns a value indicating whether the specified <paramref name="file"/> matches the filter.
+    /// </summary>
+    /// <param name="file">The file to test.</param>
+    /// <param name="response">The response containing the file; used by user: and files-in-folder filters.</param>
+    /// <returns>A value indicating whether the file matches.</returns>
+    public bool IsMatch(File file, Response response) => Evaluate(Root, file, response);
+
+    /// <summary>
+    ///     Returns the files in the specified <paramref name="response"/> that match the filter.
+    /// </summary>
+    /// <remarks>
+    ///     Locked files are never returned; they can't be downloaded.
+    /// </remarks>
+    /// <param name="response">The response to filter.</param>
+    /// <returns>The matching files.</returns>
+    public IEnumerable<File> Apply(Response response) => response.Files.Where(file => IsMatch(file, response));
+
+    /// <inheritdoc/>
+    public override string ToString() => Text;
+
+    private static Node Combine(List<Node> children, bool and)
+    {
+        if (children.Count == 0)
+        {
+            return null;
+        }
+
+        if (children.Count == 1)
+        {
+            return children[0];
+        }
+
+        return new GroupNode(and, children) { Start = children[0].Start, End = children[^1].End };
+    }
+
+    private static List<Token> Tokenize(string input, List<SearchFilterError> errors)
+    {
+        var tokens = new List<Token>();
+        var index = 0;
+
+        // reads a quoted string starting at the opening quote, returning the
+        // unquoted value and the offset just past the closing quote
+        (string Value, int End) ReadQuoted(int start)
+        {
+            var close = input.IndexOf('"', start + 1);
+
+            if (close == -1)
+            {
+                errors.Add(new SearchFilterError("Missing closing quote", start, input.Length));
+                return (input[(start + 1)..], input.Length);
+            }
+
+            return (input[(start + 1)..close], close + 1);
+        }
+
+        static bool IsDelimiter(char c) => char.IsWhiteSpace(c) || c is '(' or ')' or '|' or '"';
+
+        while (index < input.Length)
+        {
+            var character = input[index];
+            var start = index;
+
+            if (char.IsWhiteSpace(character))
+            {
+                index++;
+            }
+            else if (character == '(')
+            {
+                tokens.Add(new Token(TokenType.LeftParen, null, start, ++index));
+            }
+            else if (character == ')')
+            {
+                tokens.Add(new Token(TokenType.RightParen, null, start, ++index));
+            }
+            else if (character == '|')
+            {
+                tokens.Add(new Token(TokenType.Or, null, start, ++index));
+            }
+            else if (character == '-' && index + 1 < input.Length && !char.IsWhiteSpace(input[index + 1]))
+            {
+                tokens.Add(new Token(TokenType.Not, null, start, ++index));
+            }
+            else if (character == '"')
+            {
+                var (value, end) = ReadQuoted(index);
+                tokens.Add(new Token(TokenType.Phrase, value, start, end));
+                index = end;
+            }
+            else
+            {
+                var value = string.Empty;
+
+                while (index < input.Length && !IsDelimiter(input[index]))
+                {
+                    value += input[index++];
+
+                    // allow quoted values for filters, e.g. path:"live at"
+                    if (value.EndsWith(':') && index < input.Length && input[index] == '"')
+                    {
+                        var quoted = ReadQuoted(index);
+                        value += quoted.Value;
+                        index = quoted.End;
+                        break;
+                    }
+                }
+
+                tokens.Add(value == "OR"
+                    ? new Token(TokenType.Or, null, start, index)
+                    : new Token(TokenType.Word, value, start, index));
+            }
+        }
+
+        return tokens;
+    }
+
+    private static int EditDistance(string a, string b)
+    {
+        var previous = Enumerable.Range(0, b.Length + 1).ToArray();
+
+        for (int i = 1; i <= a.Length; i++)
+        {
+            var current = new int[b.Length + 1];
+            current[0] = i;
+
+            for (int j = 1; j <= b.Length; j++)
+            {
+                current[j] = Math.Min(
+                    Math.Min(previous[j] + 1, current[j - 1] + 1),
+                    previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+            }
+
+            previous = current;
+        }
+
+        return previous[b.Length];
+    }
+
+    private static string Suggest(string word)
+    {
+        var closest = Keywords
+            .Select(keyword => (Keyword: keyword, Distance: EditDistance(word, keyword)))
+            .OrderBy(k => k.Distance)
+            .First();
+
+        return closest.Distance <= 2 ? $"; did you mean '{closest.Keyword}'?" : string.Empty;
+    }
+
+    private static bool TryParseWholeNumber(string value, out long result, out string error)
+    {
+        error = null;
+
+        if (Regex.IsMatch(value, @"^\d+$") && long.TryParse(value, NumberStyles.None, CultureInfo.InvariantCulture, out result))
+        {
+            return true;
+        }
+
+        result = 0;
+        error = "expected a whole number";
+        return false;
+    }
+
+    private static bool TryParseSize(string value, out long result, out string error)
+    {
+        error = null;
+        result = 0;
+
+        var match = Regex.Match(value, @"^(\d+(?:\.\d+)?)([a-z]*)$", RegexOptions.IgnoreCase);
+        var unit = match.Success && match.Groups[2].Length > 0 ? match.Groups[2].Value.ToLowerInvariant() : "b";
+
+        if (!match.Success || !SizeUnits.TryGetValue(unit, out var exponent))
+        {
+            error = "expected a number, optionally followed by B, KB, MB, GB or TB";
+            return false;
+        }
+
+        result = (long)Math.Round(double.Parse(match.Groups[1].Value, CultureInfo.InvariantCulture) * Math.Pow(1024, exponent));
+        return true;
+    }
+
+    private static string GetExtension(string filename)
+    {
+        var name = (filename ?? string.Empty).Split('/', '\\')[^1];
+        var dot = name.LastIndexOf('.');
+
+        return dot == -1 ? string.Empty : name[(dot + 1)..].ToLowerInvariant();
+    }
+
+    private static string GetPath(string filename)
+    {
+        var segments = (filename ?? string.Empty).Split('/', '\\');
+        return string.Join('\\', segments[..^1]).ToLowerInvariant();
+    }
+
+    private static long? GetFieldValue(Field field, File file, Response response) => field switch
+    {
+        Field.BitDepth => file.BitDepth,
+        Field.BitRate => file.BitRate,
+        Field.FilesInFolder => response.FileCount + response.LockedFileCount,
+        Field.Length => file.Length,
+        Field.Size => file.Size,
+        _ => null,
+    };
+
+    private static bool Evaluate(Node node, File file, Response response)
+    {
+        switch (node)
+        {
+            case null:
+                return true;
+            case GroupNode group:
+                return group.IsAnd
+                    ? group.Children.All(child => Evaluate(child, file, response))
+                    : group.Children.Any(child => Evaluate(child, file, response));
+            case NotNode not:
+                return !Evaluate(not.Child, file, response);
+            case TermNode term:
+                var haystack = term.Scope switch
+                {
+                    "path" => GetPath(file.Filename),
+                    "user" => (response.Username ?? string.Empty).ToLowerInvariant(),
+                    _ => (file.Filename ?? string.Empty).ToLowerInvariant(),
+                };
+
+                return haystack.Contains(term.Value, StringComparison.Ordinal);
+            case ExtensionNode extension:
+                return extension.Values.Contains(GetExtension(file.Filename));
+            case FlagNode flag:
+                var isLossless = file.SampleRate is > 0 && file.BitDepth is > 0;
+
+                return flag.Name switch
+                {
+                    "isCBR" => file.IsVariableBitRate == false,
+                    "isVBR" => file.IsVariableBitRate == true,
+                    "isLossless" => isLossless,
+                    _ => file.SampleRate is null or 0 && file.BitDepth is null or 0,
+                };
+            case CompareNode compare:
+                // files missing the attribute entirely aren't excluded; many clients
+                // don't report attributes at all
+                var value = GetFieldValue(compare.Field, file, response);
+
+                if (value is null)
+                {
+                    return true;
+                }
+
+                return compare.IsMinimum ? value >= compare.Value : value <= compare.Value;
+            default:
+                return true;
+        }
+    }
+
+    private sealed class Parser
+    {
+        public Parser(List<Token> tokens, List<SearchFilterError> errors)
+        {
+            Tokens = tokens;
+            Errors = errors;
+        }
+
+        public bool AtEnd => Position >= Tokens.Count;
+
+        private List<SearchFilterError> Errors { get; }
+        private int Position { get; set; }
+        private List<Token> Tokens { get; }
+
+        public Token Peek() => Position < Tokens.Count ? Tokens[Position] : null;
+
+        public Token Advance() => Tokens[Position++];
+
+        public Node ParseOr()
+        {
+            var children = new List<Node>();
+            var token = Peek();
+
+            if (token?.Type == TokenType.Or)
+            {
+                Error("Expected a term before 'OR'", token.Start, token.End);
+            }
+
+            var first = ParseAnd();
+
+            if (first is not null)
+            {
+                children.Add(first);
+            }
+
+            while (Peek()?.Type == TokenType.Or)
+            {
+                token = Advance();
+
+                if (Peek() is null or { Type: TokenType.Or or TokenType.RightParen })
+                {
+                    Error($"Expected a term after 'OR', found {Describe(Peek())}", token.Start, token.End);
+                }
+
+                var node = ParseAnd();
+
+                if (node is not null)
+                {
+                    children.Add(node);
+                }
+            }
+
+            return Combine(children, and: false);
+        }
+
+        private static string Describe(Token token) => token?.Type switch
+        {
+            null => "end of filter",
+            TokenType.Or => "'OR'",
+            TokenType.RightParen => "')'",
+            _ => $"'{token.Value ?? string.Empty}'",
+        };
+
+        private void Error(string message, int start, int end) => Errors.Add(new SearchFilterError(message, start, end));
+
+        private Node ParseAnd()
+        {
+            var children = new List<Node>();
+
+            while (Peek() is { Type: not (TokenType.Or or TokenType.RightParen) })
+            {
+                var node = ParseUnary();
+
+                if (node is not null)
+                {
+                    children.Add(node);
+                }
+            }
+
+            return Combine(children, and: true);
+        }
+
+        private Node ParseUnary()
+        {
+            var token = Advance();
+
+            switch (token.Type)
+            {
+                case TokenType.Not:
+                    var operand = Peek();
+
+                    if (operand is null or { Type: TokenType.Or or TokenType.RightParen })
+                    {
+                        Error("Expected a term, phrase, filter or group after '-'", token.Start, token.End);
+                        return null;
+                    }
+
+                    var child = ParseUnary();
+                    return child is null ? null : new NotNode(child) { Start = token.Start, End = child.End };
+
+                case TokenType.LeftParen:
+                    // groups recurse back to the top of the grammar
+                    var group = ParseOr();
+                    var close = Peek();
+
+                    if (close?.Type == TokenType.RightParen)
+                    {
+                        Advance();
+
+                        if (group is null)
+                        {
+                            Error("Empty group", token.Start, close.End);
+                        }
+                    }
+                    else
+                    {
+                        Error("Missing closing ')'", token.Start, token.End);
+                    }
+
+                    return group;
+
+                case TokenType.Phrase:
+                    return new TermNode("filename", token.Value.ToLowerInvariant()) { Start = token.Start, End = token.End };
+
+                default:
+                    return ParseWord(token);
+            }
+        }
+
+        private Node ParseWord(Token token)
+        {
+            var value = token.Value;
+            var separator = value.IndexOf(':');
+
+            if (separator <= 0)
+            {
+                if (Flags.TryGetValue(value.ToLowerInvariant(), out var flag))
+                {
+                    return new FlagNode(flag) { Start = token.Start, End = token.End };
+                }
+
+                return new TermNode("filename", value.ToLowerInvariant()) { Start = token.Start, End = token.End };
+            }
+
+            var key = value[..separator].ToLowerInvariant();
+            var argument = value[(separator + 1)..];
+
+            if (!Keywords.Contains(key))
+            {
+                Error($"Unknown filter '{key}'{Suggest(key)}", token.Start, token.End);
+                return null;
+            }
+
+            if (argument.Length == 0)
+            {
+                Error($"Missing value for '{key}'", token.Start, token.End);
+                return null;
+            }
+
+            if (Scopes.Contains(key))
+            {
+                return new TermNode(key, argument.ToLowerInvariant()) { Start = token.Start, End = token.End };
+            }
+
+            if (key == "ext")
+            {
+                var values = argument
+                    .ToLowerInvariant()
+                    .Split(',')
+                    .Select(extension => extension.TrimStart('.'))
+                    .Where(extension => extension.Length > 0)
+                    .ToList();
+
+                if (values.Count == 0)
+                {
+                    Error($"Missing value for '{key}'", token.Start, token.End);
+                    return null;
+                }
+
+                return new ExtensionNode(values) { Start = token.Start, End = token.End };
+            }
+
+            if (Flags.ContainsKey(key))
+            {
+                Error($"'{key}' doesn't take a value", token.Start, token.End);
+                return null;
+            }
+
+            var (field, isMinimum, isSize) = Comparisons[key];
+
+            string error;
+            var parsed = isSize
+                ? TryParseSize(argument, out var number, out error)
+                : TryParseWholeNumber(argument, out number, out error);
+
+            if (!parsed)
+            {
+                Error($"Invalid value '{argument}' for '{key}'; {error}", token.Start, token.End);
+                return null;
+            }
+
+            return new CompareNode(field, isMinimum, number) { Start = token.Start, End = token.End };
+        }
+    }
+
+    private sealed record Token(TokenType Type, string Value, int Start, int End);
+
+    private abstract record Node
+    {
+        public int Start { get; init; }
+        public int End { get; init; }
+    }
+
+    private sealed record GroupNode(bool IsAnd, List<Node> Children) : Node;
+
+    private sealed record NotNode(Node Child) : Node;
+
+    private sealed record TermNode(string Scope, string Value) : Node;
+
+    private sealed record FlagNode(string Name) : Node;
+
+    private sealed record CompareNode(Field Field, bool IsMinimum, long Value) : Node;
+
+    private sealed record ExtensionNode(List<string> Values) : Node;
+}
+
+/// <summary>
+///     An error encountered while parsing a <see cref="SearchFilter"/>.
+/// </summary>
+/// <param name="Message">A description of the error.</param>
+/// <param name="Start">The offset of the start of the offending text.</param>
+/// <param name="End">The offset just past the end of the offending text.</param>
+public sealed record SearchFilterError(string Message, int Start, int End);
@@ -45,6 +45,7 @@ namespace slskd.Search
     using Microsoft.EntityFrameworkCore;
     using Serilog;
     using slskd.Search.API;
+    using slskd.Users;
     using Soulseek;
     using SearchOptions = Soulseek.SearchOptions;
     using SearchQuery = Soulseek.SearchQuery;
@@ -105,6 +106,34 @@ namespace slskd.Search
         /// <returns>A value indicating whether the search was successfully cancelled.</returns>
         bool TryCancel(Guid id);
 
+        /// <summary>
+        ///     Waits for the search matching the specified <paramref name="id"/> to complete, and returns it with its responses.
+        /// </summary>
+        /// <remarks>
+        ///     The search is cancelled if it doesn't complete within the specified <paramref name="timeout"/>.
+        /// </remarks>
+        /// <param name="id">The unique identifier for the search.</param>
+        /// <param name="timeout">The longest to wait for the search to complete.</param>
+        /// <returns>The completed search, including responses.</returns>
+        /// <exception cref="NotFoundException">Thrown when the search is removed before it completes.</exception>
+        /// <exception cref="SlskdException">Thrown when the search ends in an errored or cancelled state.</exception>
+        /// <exception cref="TimeoutException">Thrown when the search doesn't complete within the timeout.</exception>
+        Task<Search> WaitForCompletionAsync(Guid id, TimeSpan timeout);
+
+        /// <summary>
+        ///     Performs a search for the application's own use, and returns its responses once it completes.
+        /// </summary>
+        /// <remarks>
+        ///     The search isn't saved, and isn't shown in the UI.
+        /// </remarks>
+        /// <param name="query">The search query.</param>
+        /// <param name="scope">The search scope.</param>
+        /// <param name="timeout">The longest to wait for the search to complete.</param>
+        /// <param name="options">Search options.</param>
+        /// <returns>The responses, less any from ignored users.</returns>
+        /// <exception cref="TimeoutException">Thrown when the search doesn't complete within the timeout.</exception>
+        Task<List<Response>> SearchInternalAsync(SearchQuery query, SearchScope scope, TimeSpan timeout, SearchOptions options = null);
+
         /// <summary>
         ///     Removes <see cref="SearchStates.Completed"/> searches older than the specified <paramref name="age"/>.
         /// </summary>
@@ -125,16 +154,19 @@ namespace slskd.Search
         /// <param name="optionsMonitor"></param>
         /// <param name="soulseekClient"></param>
         /// <param name="contextFactory">The database context to use.</param>
+        /// <param name="ignoreListService">The ignore list service.</param>
         public SearchService(
             IHubContext<SearchHub> searchHub,
             IOptionsMonitor<Options> optionsMonitor,
             ISoulseekClient soulseekClient,
-            IDbContextFactory<SearchDbContext> contextFactory)
+            IDbContextFactory<SearchDbContext> contextFactory,
+            IIgnoreListService ignoreListService)
         {
             SearchHub = searchHub;
             OptionsMonitor = optionsMonitor;
             Client = soulseekClient;
             ContextFactory = contextFactory;
+            IgnoreList = ignoreListService;
         }
 
         private ConcurrentDictionary<Guid, CancellationTokenSource> CancellationTokens { get; }
@@ -142,6 +174,7 @@ namespace slskd.Search
 
         private ISoulseekClient Client { get; }
         private IDbContextFactory<SearchDbContext> ContextFactory { get; }
+        private IIgnoreListService IgnoreList { get; }
         private ILogger Log { get; set; } = Serilog.Log.ForContext<Application>();
         private IOptionsMonitor<Options> OptionsMonitor { get; }
         private IHubContext<SearchHub> SearchHub { get; set; }
@@ -308,7 +341,15 @@ namespace slskd.Search
                 // the client state (e.g. disconnected) or a problem with the search (e.g. no terms)
                 var soulseekSearchTask = Client.SearchAsync(
                     query,
-                    responseHandler: (response) => responses.Add(response),
+                    responseHandler: (response) =>
+                    {
+                        // responses from ignored users are dropped here rather than by a response filter, so that the
+                        // caller's filter settings are left as they are. they're still included in the counts.
+                        if (!IgnoreList.IsIgnored(response.Username))
+                        {
+                            responses.Add(response);
+                        }
+                    },
                     scope,
                     token,
                     options,
@@ -422,6 +463,90 @@ namespace slskd.Search
             return false;
         }
 
+        /// <summary>
+        ///     Waits for the search matching the specified <paramref name="id"/> to complete, and returns it with its responses.
+        /// </summary>
+        /// <remarks>
+        ///     The search is cancelled if it doesn't complete within the specified <paramref name="timeout"/>.
+        /// </remarks>
+        /// <param name="id">The unique identifier for the search.</param>
+        /// <param name="timeout">The longest to wait for the search to complete.</param>
+        /// <returns>The completed search, including responses.</returns>
+        /// <exception cref="NotFoundException">Thrown when the search is removed before it completes.</exception>
+        /// <exception cref="SlskdException">Thrown when the search ends in an errored or cancelled state.</exception>
+        /// <exception cref="TimeoutException">Thrown when the search doesn't complete within the timeout.</exception>
+        public async Task<Search> WaitForCompletionAsync(Guid id, TimeSpan timeout)
+        {
+            var deadline = DateTime.UtcNow + timeout;
+
+            while (DateTime.UtcNow < deadline)
+            {
+                var search = await FindAsync(s => s.Id == id);
+
+                if (search is null)
+                {
+                    throw new NotFoundException($"Search {id} was removed before it completed");
+                }
+
+                if (search.State.HasFlag(SearchStates.Completed))
+                {
+                    if (search.State.HasFlag(SearchStates.Errored) || search.State.HasFlag(SearchStates.Cancelled))
+                    {
+                        throw new SlskdException($"Search ended in state {search.State}");
+                    }
+
+                    return await FindAsync(s => s.Id == id, includeResponses: true);
+                }
+
+                await Task.Delay(1000);
+            }
+
+            TryCancel(id);
+            throw new TimeoutException($"Search {id} did not complete within {timeout.TotalMinutes} minutes");
+        }
+
+        /// <summary>
+        ///     Performs a search for the application's own use, and returns its responses once it completes.
+        /// </summary>
+        /// <remarks>
+        ///     The search isn't saved, and isn't shown in the UI.
+        /// </remarks>
+        /// <param name="query">The search query.</param>
+        /// <param name="scope">The search scope.</param>
+        /// <param name="timeout">The longest to wait for the search to complete.</param>
+        /// <param name="options">Search options.</param>
+        /// <returns>The responses, less any from ignored users.</returns>
+        /// <exception cref="TimeoutException">Thrown when the search doesn't complete within the timeout.</exception>
+        public async Task<List<Response>> SearchInternalAsync(SearchQuery query, SearchScope scope, TimeSpan timeout, SearchOptions options = null)
+        {
+            using var cancellationTokenSource = new CancellationTokenSource(timeout);
+
+            List<SearchResponse> responses = new();
+
+            try
+            {
+                await Client.SearchAsync(
+                    query,
+                    responseHandler: (response) =>
+                    {
+                        if (!IgnoreList.IsIgnored(response.Username))
+                        {
+                            responses.Add(response);
+                        }
+                    },
+                    scope,
+                    Client.GetNextToken(),
+                    options ?? new SearchOptions(),
+                    cancellationToken: cancellationTokenSource.Token);
+            }
+            catch (OperationCanceledException) when (cancellationTokenSource.IsCancellationRequested)
+            {
+                throw new TimeoutException($"Search for '{query.SearchText}' did not complete within {timeout.TotalMinutes} minutes");
+            }
+
+            return responses.Select(r => Response.FromSoulseekSearchResponse(r)).ToList();
+        }
+
         /// <summary>
         ///     Removes <see cref="SearchStates.Completed"/> searches older than the specified <paramref name="age"/>.
         /// </summary>
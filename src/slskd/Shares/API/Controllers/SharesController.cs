@@ -148,7 +148,7 @@ namespace slskd.Shares.API
         /// <response code="409">A share scan is already in progress.</response>
         [HttpPut]
         [Route("")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         [ProducesResponseType(409)]
         public IActionResult RescanSharesAsync()
@@ -173,7 +173,7 @@ namespace slskd.Shares.API
         /// <response code="409">A share scan was not in progress.</response>
         [HttpDelete]
         [Route("")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public IActionResult CancelShareScan()
@@ -45,6 +45,7 @@ namespace slskd.Transfers.API
     using Microsoft.AspNetCore.Http;
     using Microsoft.AspNetCore.Mvc;
     using Serilog;
+    using slskd.Transfers.Downloads;
     using slskd.Users;
     using Soulseek;
 
@@ -63,18 +64,22 @@ namespace slskd.Transfers.API
         /// <param name="optionsSnapshot"></param>
         /// <param name="userService"></param>
         /// <param name="transferService"></param>
+        /// <param name="failoverService"></param>
         public TransfersController(
             TransferService transferService,
             IUserService userService,
-            IOptionsSnapshot<Options> optionsSnapshot)
+            IOptionsSnapshot<Options> optionsSnapshot,
+            IFailoverService failoverService)
         {
             Transfers = transferService;
             Users = userService;
             OptionsSnapshot = optionsSnapshot;
+            Failover = failoverService;
         }
 
         private static SemaphoreSlim DownloadRequestLimiter { get; } = new SemaphoreSlim(2, 2);
         private TransferService Transfers { get; }
+        private IFailoverService Failover { get; }
         private IUserService Users { get; }
         private IOptionsSnapshot<Options> OptionsSnapshot { get; }
         private ILogger Log { get; set; } = Serilog.Log.ForContext<TransfersController>();
@@ -89,7 +94,7 @@ namespace slskd.Transfers.API
         /// <response code="204">The download was cancelled successfully.</response>
         /// <response code="404">The specified download was not found.</response>
         [HttpDelete("downloads/{username}/{id}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public IActionResult CancelDownloadAsync([FromRoute, UrlEncoded, Required] string username, [FromRoute, Required] string id, [FromQuery] bool remove = false)
@@ -127,7 +132,7 @@ namespace slskd.Transfers.API
         /// <returns></returns>
         /// <response code="204">The downloads were removed successfully.</response>
         [HttpDelete("downloads/all/completed")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         public IActionResult ClearCompletedDownloads()
         {
@@ -158,7 +163,7 @@ namespace slskd.Transfers.API
         /// <response code="204">The upload was cancelled successfully.</response>
         /// <response code="404">The specified upload was not found.</response>
         [HttpDelete("uploads/{username}/{id}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public IActionResult CancelUpload([FromRoute, UrlEncoded, Required] string username, [FromRoute, Required] string id, [FromQuery] bool remove = false)
@@ -196,7 +201,7 @@ namespace slskd.Transfers.API
         /// <returns></returns>
         /// <response code="204">The uploads were removed successfully.</response>
         [HttpDelete("uploads/all/completed")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(204)]
         public IActionResult ClearCompletedUploads()
         {
@@ -228,7 +233,7 @@ namespace slskd.Transfers.API
         /// <response code="500">An unexpected error was encountered.</response>
         [Obsolete("Will be phased out in future versions; use batches")]
         [HttpPost("downloads/{username}")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(201)]
         [ProducesResponseType(typeof(string), 403)]
         [ProducesResponseType(typeof(string), 500)]
@@ -302,7 +307,7 @@ namespace slskd.Transfers.API
         /// <response code="429">Request throttled.</response>
         /// <response code="500">An unexpected error was encountered.</response>
         [HttpPost("downloads/batches")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
         [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status200OK)]
         [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status201Created)]
         [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status207MultiStatus)]
@@ -372,20 +377,32 @@ namespace slskd.Transfers.API
                     Options = new()
                     {
                         Destination = request.Options.Destination,
+                        ExternalId = request.Options.ExternalId,
                     },
                 });
 
                 // Transfer records will have been inserted before this returns, unless they were rejected
                 // because they were already in progress, in which case they will show up in 'failed'. or maybe they
                 // failed with an error. either way this complicates the return code
+                var files = request.Files.Select(r => (r.Filename, Size: r.Size ?? 0)).ToList();
+
                 var (enqueued, failed) = await Transfers.Downloads.EnqueueAsync(
                     username: request.Username,
-                    files: request.Files.Select(r => (r.Filename, r.Size.Value)),
+                    files: files,
                     batchId: batchId);
 
                 if (failed.Count > 0)
                 {
                     Log.Warning("Failed to enqueue {Count} of {Total} files from {Username}; transfers already queued, in progress, or an error occurred (batch Id: {BatchId}).  Failues: {Failures}", failed.Count, request.Files.Count, request.Username, batchId, failed);
+
+                    // files that failed here may not have a Transfer record, so keep the reasons with the batch
+                    await Transfers.Downloads.Batches.SetFailuresAsync(batchId.Value, failed.Select(f => new BatchFailure
+                    {
+                        Username = request.Username,
+                        Filename = f.Filename,
+                        Size = files.FirstOrDefault(r => r.Filename == f.Filename).Size,
+                        Message = f.Message,
+                    }));
                 }
 
                 // the returned batch will have whatever Transfers were successfully inserted attached (via Include())
@@ -468,6 +485,222 @@ namespace slskd.Transfers.API
             return Ok(response);
         }
 
+        /// <summary>
+        ///     Gets all download batches, newest first.
+        /// </summary>
+        /// <param name="includeRemoved">A value indicating whether to include batches that have been removed.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("downloads/batches")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(List<Batch>), 200)]
+        public async Task<IActionResult> ListBatchesAsync([FromQuery] bool includeRemoved = false)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            try
+            {
+                var batches = await Transfers.Downloads.Batches.ListAsync(includeRemoved: includeRemoved);
+                return Ok(batches);
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "Failed to list batches: {Message}", ex.Message);
+                return StatusCode(500, ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Cancels the downloads in the specified batch that haven't completed.
+        /// </summary>
+        /// <remarks>
+        ///     When removing, the batch and its downloads are removed once the cancelled downloads have finished, which
+        ///     may be a moment after the request returns.
+        /// </remarks>
+        /// <param name="id">The id of the batch.</param>
+        /// <param name="remove">A value indicating whether the batch and its completed downloads should be removed after cancellation.</param>
+        /// <returns></returns>
+        /// <response code="204">The batch was cancelled successfully.</response>
+        /// <response code="400">The specified id is not valid.</response>
+        /// <response code="404">The specified batch was not found.</response>
+        [HttpDelete("downloads/batches/{id}")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> CancelBatchAsync([FromRoute, Required] string id, [FromQuery] bool remove = false)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!Guid.TryParse(id, out var guid))
+            {
+                return BadRequest($"The specified id {id} is not a valid GUID/UUID");
+            }
+
+            try
+            {
+                var batch = await Transfers.Downloads.Batches.FindAsync(b => b.Id == guid);
+
+                if (batch is null)
+                {
+                    return NotFound();
+                }
+
+                foreach (var transfer in batch.Transfers.Where(t => !TransferStateCategories.Completed.Contains(t.State)))
+                {
+                    Transfers.Downloads.TryCancel(transfer.Id);
+                }
+
+                if (remove)
+                {
+                    // cancellation is only signalled above; downloads in progress reach a terminal state a moment later, and
+                    // only completed downloads can be removed, so the batch goes once the last of them has
+                    await Transfers.Downloads.RemoveBatchAsync(guid);
+                }
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "Failed to cancel batch with ID {Id}: {Message}", guid, ex.Message);
+                return StatusCode(500, ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Retries the failed files in the specified batch; downloads that failed, and files that couldn't be enqueued.
+        /// </summary>
+        /// <remarks>
+        ///     Each file is retried from the user it was last requested from. Downloads that were failed over to another
+        ///     user are skipped, since the replacement is retried instead.
+        /// </remarks>
+        /// <param name="id">The id of the batch.</param>
+        /// <returns></returns>
+        /// <response code="201">All failed files were successfully enqueued.</response>
+        /// <response code="200">The request succeeded, but all files failed to be enqueued.</response>
+        /// <response code="207">Some files were successfully enqueued, while some failed.</response>
+        /// <response code="400">The specified id is not valid, or the batch has nothing to retry.</response>
+        /// <response code="404">The specified batch was not found.</response>
+        /// <response code="429">Request throttled.</response>
+        [HttpPost("downloads/batches/{id}/retries")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status201Created)]
+        [ProducesResponseType(typeof(EnqueueDownloadBatchResponse), StatusCodes.Status207MultiStatus)]
+        [ProducesResponseType(typeof(string), StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(typeof(string), StatusCodes.Status429TooManyRequests)]
+        public async Task<IActionResult> RetryBatchAsync([FromRoute, Required] string id)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!Guid.TryParse(id, out var guid))
+            {
+                return BadRequest($"The specified id {id} is not a valid GUID/UUID");
+            }
+
+            var batch = await Transfers.Downloads.Batches.FindAsync(b => b.Id == guid);
+
+            if (batch is null)
+            {
+                return NotFound();
+            }
+
+            var replaced = batch.Transfers
+                .Where(t => t.FailoverOfId.HasValue)
+                .Select(t => t.FailoverOfId.Value)
+                .ToHashSet();
+
+            var files = batch.Transfers
+                .Where(t => !t.Removed && TransferStateCategories.Failed.Contains(t.State) && !replaced.Contains(t.Id))
+                .Select(t => (t.Username, t.Filename, t.Size))
+                .Concat((batch.Failures ?? []).Select(f => (Username: f.Username ?? batch.Username, f.Filename, f.Size)))
+                .DistinctBy(f => (f.Username, f.Filename))
+                .ToList();
+
+            if (files.Count == 0)
+            {
+                return BadRequest("The batch has no failed files to retry");
+            }
+
+            if (!DownloadRequestLimiter.Wait(0))
+            {
+                return StatusCode(429, "Only one concurrent operation is permitted. Wait until the previous request completes");
+            }
+
+            try
+            {
+                var failures = new List<BatchFailure>();
+
+                foreach (var group in files.GroupBy(f => f.Username))
+                {
+                    try
+                    {
+                        var endpoint = await Users.GetIPEndPointAsync(group.Key);
+
+                        if (Users.IsBlacklisted(group.Key, endpoint.Address))
+                        {
+                            throw new UserOfflineException($"User {group.Key} appears to be offline");
+                        }
+
+                        var (_, failed) = await Transfers.Downloads.EnqueueAsync(
+                            username: group.Key,
+                            files: group.Select(f => (f.Filename, f.Size)),
+                            batchId: guid);
+
+                        failures.AddRange(failed.Select(f => new BatchFailure
+                        {
+                            Username = group.Key,
+                            Filename = f.Filename,
+                            Size = group.First(g => g.Filename == f.Filename).Size,
+                            Message = f.Message,
+                        }));
+                    }
+                    catch (Exception ex)
+                    {
+                        Log.Warning("Failed to retry {Count} files from {Username} (batch Id: {BatchId}): {Message}", group.Count(), group.Key, guid, ex.Message);
+                        failures.AddRange(group.Select(f => new BatchFailure { Username = group.Key, Filename = f.Filename, Size = f.Size, Message = ex.Message }));
+                    }
+                }
+
+                await Transfers.Downloads.Batches.SetFailuresAsync(guid, failures);
+
+                var response = new EnqueueDownloadBatchResponse
+                {
+                    Batch = await Transfers.Downloads.Batches.FindAsync(b => b.Id == guid),
+                    Failures = failures.Select(f => new EnqueueDownloadBatchResponseFailure { Filename = f.Filename, Message = f.Message }).ToList(),
+                };
+
+                if (response.Failures.Count == files.Count)
+                {
+                    return StatusCode(StatusCodes.Status200OK, response);
+                }
+
+                if (response.Failures.Count > 0)
+                {
+                    return StatusCode(StatusCodes.Status207MultiStatus, response);
+                }
+
+                return StatusCode(StatusCodes.Status201Created, response);
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "Failed to retry batch with ID {Id}: {Message}", guid, ex.Message);
+                return StatusCode(StatusCodes.Status500InternalServerError, ex.Message);
+            }
+            finally
+            {
+                DownloadRequestLimiter.Release();
+            }
+        }
+
         /// <summary>
         ///     Gets the specified batch and associated transfers.
         /// </summary>
@@ -572,6 +805,42 @@ namespace slskd.Transfers.API
             return Ok(download);
         }
 
+        /// <summary>
+        ///     Gets the failover chain of the specified download; the original download, followed by each download that
+        ///     was enqueued from another user to replace the one before it.
+        /// </summary>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="id">The id of the download.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="404">The specified download was not found, or is not from the specified user.</response>
+        [HttpGet("downloads/{username}/{id}/chain")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(List<Transfer>), 200)]
+        [ProducesResponseType(404)]
+        public IActionResult GetDownloadChain([FromRoute, UrlEncoded, Required] string username, [FromRoute, Required] string id)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!Guid.TryParse(id, out var guid))
+            {
+                return BadRequest();
+            }
+
+            var chain = Failover.GetChain(guid);
+
+            // the chain spans several users; the download the caller asked for must belong to the one in the route
+            if (!chain.Any(t => t.Id == guid && t.Username == username))
+            {
+                return NotFound();
+            }
+
+            return Ok(chain);
+        }
+
         /// <summary>
         ///     Gets the download for the specified username matching the specified filename, and requests
         ///     the current place in the remote queue of the specified download.
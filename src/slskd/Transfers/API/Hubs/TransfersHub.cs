@@ -0,0 +1,182 @@
+// <copyright file="TransfersHub.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Transfers.API
+{
+    using System;
+    using System.Collections.Concurrent;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.SignalR;
+    using Soulseek;
+
+    public static class TransfersHubMethods
+    {
+        public static readonly string Snapshot = "SNAPSHOT";
+        public static readonly string Add = "ADD";
+        public static readonly string Update = "UPDATE";
+        public static readonly string Progress = "PROGRESS";
+        public static readonly string Remove = "REMOVE";
+    }
+
+    /// <summary>
+    ///     Extension methods for the transfers SignalR hub.
+    /// </summary>
+    /// <remarks>
+    ///     Each broadcast is sent only to clients subscribed to the direction of the transfers, and each carries
+    ///     a list so that changes detected in the same pass are delivered in a single message.
+    /// </remarks>
+    public static class TransfersHubExtensions
+    {
+        /// <summary>
+        ///     Broadcast newly added transfers.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="direction">The direction of the transfers.</param>
+        /// <param name="transfers">The transfers to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastAddAsync(this IHubContext<TransfersHub> hub, TransferDirection direction, IEnumerable<Transfer> transfers)
+        {
+            return hub.Clients.Group(direction.ToString()).SendAsync(TransfersHubMethods.Add, transfers);
+        }
+
+        /// <summary>
+        ///     Broadcast transfers for which the state, or some other property aside from progress, has changed.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="direction">The direction of the transfers.</param>
+        /// <param name="transfers">The transfers to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastUpdateAsync(this IHubContext<TransfersHub> hub, TransferDirection direction, IEnumerable<Transfer> transfers)
+        {
+            return hub.Clients.Group(direction.ToString()).SendAsync(TransfersHubMethods.Update, transfers);
+        }
+
+        /// <summary>
+        ///     Broadcast progress for in-progress transfers.
+        /// </summary>
+        /// <remarks>
+        ///     Only the properties that change as data is transferred are sent.
+        /// </remarks>
+        /// <param name="hub">The hub.</param>
+        /// <param name="direction">The direction of the transfers.</param>
+        /// <param name="transfers">The transfers to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastProgressAsync(this IHubContext<TransfersHub> hub, TransferDirection direction, IEnumerable<Transfer> transfers)
+        {
+            return hub.Clients.Group(direction.ToString()).SendAsync(TransfersHubMethods.Progress, transfers.Select(t => new
+            {
+                t.Id,
+                t.Username,
+                t.Filename,
+                t.BytesTransferred,
+                t.BytesRemaining,
+                t.AverageSpeed,
+                t.PercentComplete,
+                t.ElapsedTime,
+                t.RemainingTime,
+            }));
+        }
+
+        /// <summary>
+        ///     Broadcast the removal of transfers.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="direction">The direction of the transfers.</param>
+        /// <param name="transfers">The transfers to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastRemoveAsync(this IHubContext<TransfersHub> hub, TransferDirection direction, IEnumerable<Transfer> transfers)
+        {
+            return hub.Clients.Group(direction.ToString()).SendAsync(TransfersHubMethods.Remove, transfers.Select(t => new
+            {
+                t.Id,
+                t.Username,
+                t.Filename,
+            }));
+        }
+    }
+
+    /// <summary>
+    ///     The transfers SignalR hub.
+    /// </summary>
+    /// <remarks>
+    ///     Clients call <see cref="Subscribe"/> with the direction they are interested in, receive a snapshot of all
+    ///     transfers in that direction, and then receive changes as they are detected by the <see cref="TransferMonitor"/>.
+    /// </remarks>
+    [Authorize(Policy = AuthPolicy.Any)]
+    public class TransfersHub : Hub
+    {
+        public TransfersHub(
+            TransferMonitor transferMonitor)
+        {
+            Monitor = transferMonitor;
+        }
+
+        private static ConcurrentDictionary<string, TransferDirection> Subscriptions { get; } = new();
+        private TransferMonitor Monitor { get; }
+
+        /// <summary>
+        ///     Gets a value indicating whether any client is subscribed to transfers in the specified <paramref name="direction"/>.
+        /// </summary>
+        /// <param name="direction">The direction.</param>
+        /// <returns>A value indicating whether any client is subscribed.</returns>
+        public static bool HasSubscribers(TransferDirection direction)
+            => Subscriptions.Values.Any(d => d == direction);
+
+        /// <summary>
+        ///     Subscribes the caller to transfers in the specified <paramref name="direction"/>, replacing any
+        ///     existing subscription, and sends a snapshot of the present transfers.
+        /// </summary>
+        /// <param name="direction">The direction.</param>
+        /// <returns>The operation context.</returns>
+        public async Task Subscribe(TransferDirection direction)
+        {
+            if (Subscriptions.TryGetValue(Context.ConnectionId, out var existing))
+            {
+                await Groups.RemoveFromGroupAsync(Context.ConnectionId, existing.ToString());
+            }
+
+            Subscriptions[Context.ConnectionId] = direction;
+            await Groups.AddToGroupAsync(Context.ConnectionId, direction.ToString());
+
+            await Clients.Caller.SendAsync(TransfersHubMethods.Snapshot, Monitor.Snapshot(direction));
+        }
+
+        public override Task OnDisconnectedAsync(Exception exception)
+        {
+            Subscriptions.TryRemove(Context.ConnectionId, out _);
+            return base.OnDisconnectedAsync(exception);
+        }
+    }
+}
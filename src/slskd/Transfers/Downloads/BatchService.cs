@@ -33,6 +33,7 @@
 namespace slskd.Transfers.Downloads;
 
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Linq.Expressions;
 using System.Threading.Tasks;
@@ -59,6 +60,34 @@ public interface IBatchService
     /// <returns>The found batch, or default if not found.</returns>
     /// <exception cref="ArgumentException">Thrown when an expression is not supplied.</exception>
     Task<Batch> FindAsync(Expression<Func<Batch, bool>> expression);
+
+    /// <summary>
+    ///     Returns a list of batches matching the optional <paramref name="expression"/>, newest first.
+    /// </summary>
+    /// <remarks>
+    ///     Only the Transfers that haven't been removed are included; a Transfer that was retried is superseded by the retry.
+    /// </remarks>
+    /// <param name="expression">An optional expression used to match batches.</param>
+    /// <param name="includeRemoved">Optionally include batches that have been removed previously.</param>
+    /// <returns>The list of batches matching the specified expression, or all batches if no expression is specified.</returns>
+    Task<List<Batch>> ListAsync(Expression<Func<Batch, bool>> expression = null, bool includeRemoved = false);
+
+    /// <summary>
+    ///     Removes the batch with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <remarks>This is a soft delete; the record is retained for historical retrieval.</remarks>
+    /// <param name="id">The unique identifier of the batch.</param>
+    /// <returns>A value indicating whether the record was removed.</returns>
+    Task<bool> RemoveAsync(Guid id);
+
+    /// <summary>
+    ///     Replaces the failures recorded for the batch with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The unique identifier of the batch.</param>
+    /// <param name="failures">The files that couldn't be enqueued.</param>
+    /// <returns>The operation context.</returns>
+    /// <exception cref="NotFoundException">Thrown when the batch can't be found.</exception>
+    Task SetFailuresAsync(Guid id, IEnumerable<BatchFailure> failures);
 }
 
 /// <summary>
@@ -137,4 +166,79 @@ public class BatchService : IBatchService
             .Where(expression)
             .SingleOrDefaultAsync();
     }
+
+    /// <summary>
+    ///     Returns a list of batches matching the optional <paramref name="expression"/>, newest first.
+    /// </summary>
+    /// <remarks>
+    ///     Only the Transfers that haven't been removed are included; a Transfer that was retried is superseded by the retry.
+    /// </remarks>
+    /// <param name="expression">An optional expression used to match batches.</param>
+    /// <param name="includeRemoved">Optionally include batches that have been removed previously.</param>
+    /// <returns>The list of batches matching the specified expression, or all batches if no expression is specified.</returns>
+    public async Task<List<Batch>> ListAsync(Expression<Func<Batch, bool>> expression = null, bool includeRemoved = false)
+    {
+        expression ??= b => true;
+
+        try
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            return await context.Batches
+                .AsNoTracking()
+                .Include(b => b.Transfers.Where(t => !t.Removed))
+                .Where(b => !b.Removed || includeRemoved)
+                .Where(expression)
+                .OrderByDescending(b => b.CreatedAt)
+                .ToListAsync();
+        }
+        catch (Exception ex)
+        {
+            Log.Error(ex, "Failed to list batches: {Message}", ex.Message);
+            throw;
+        }
+    }
+
+    /// <summary>
+    ///     Removes the batch with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <remarks>This is a soft delete; the record is retained for historical retrieval.</remarks>
+    /// <param name="id">The unique identifier of the batch.</param>
+    /// <returns>A value indicating whether the record was removed.</returns>
+    public async Task<bool> RemoveAsync(Guid id)
+    {
+        try
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            return await context.Batches
+                .Where(b => b.Id == id)
+                .ExecuteUpdateAsync(s => s.SetProperty(b => b.Removed, true)) > 0;
+        }
+        catch (Exception ex)
+        {
+            Log.Error(ex, "Failed to remove batch {Id}: {Message}", id, ex.Message);
+            throw;
+        }
+    }
+
+    /// <summary>
+    ///     Replaces the failures recorded for the batch with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The unique identifier of the batch.</param>
+    /// <param name="failures">The files that couldn't be enqueued.</param>
+    /// <returns>The operation context.</returns>
+    /// <exception cref="NotFoundException">Thrown when the batch can't be found.</exception>
+    public async Task SetFailuresAsync(Guid id, IEnumerable<BatchFailure> failures)
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        var batch = await context.Batches.SingleOrDefaultAsync(b => b.Id == id)
+            ?? throw new NotFoundException($"Batch {id} does not exist");
+
+        // the properties of a Batch are init-only; set the value through the change tracker instead
+        context.Entry(batch).Property(b => b.Failures).CurrentValue = failures?.ToList() ?? [];
+
+        await context.SaveChangesAsync();
+    }
 }
@@ -100,12 +100,13 @@ namespace slskd.Transfers.Downloads
         /// <param name="username">The username of remote user.</param>
         /// <param name="files">The list of files to enqueue.</param>
         /// <param name="batchId">The optional batch id for the transfers.</param>
+        /// <param name="failoverOfId">The optional id of the failed download the transfers are replacing.</param>
         /// <param name="cancellationToken">The token to monitor for cancellation.</param>
         /// <returns>The operation context.</returns>
         /// <exception cref="ArgumentException">Thrown when the username is null or an empty string.</exception>
         /// <exception cref="ArgumentException">Thrown when no files are requested.</exception>
         /// <exception cref="AggregateException">Thrown when at least one of the requested files throws.</exception>
-        Task<(List<Transfer> Enqueued, List<(string Filename, string Message)> Failed)> EnqueueAsync(string username, IEnumerable<(string Filename, long Size)> files, Guid? batchId = null, CancellationToken cancellationToken = default);
+        Task<(List<Transfer> Enqueued, List<(string Filename, string Message)> Failed)> EnqueueAsync(string username, IEnumerable<(string Filename, long Size)> files, Guid? batchId = null, Guid? failoverOfId = null, CancellationToken cancellationToken = default);
 
         /// <summary>
         ///     Finds a single download matching the specified <paramref name="expression"/>.
@@ -153,6 +154,18 @@ namespace slskd.Transfers.Downloads
         /// <returns>The number of records removed.</returns>
         int Remove(Expression<Func<Transfer, bool>> expression);
 
+        /// <summary>
+        ///     Removes the batch matching the specified <paramref name="batchId"/> along with its downloads, once all of
+        ///     them have completed.
+        /// </summary>
+        /// <remarks>
+        ///     Only completed downloads can be removed, so if any are still in flight (for instance, because they were
+        ///     just cancelled), the removal is deferred until the last of them completes.
+        /// </remarks>
+        /// <param name="batchId">The unique identifier of the batch.</param>
+        /// <returns>The operation context.</returns>
+        Task RemoveBatchAsync(Guid batchId);
+
         /// <summary>
         ///     Cancels the download matching the specified <paramref name="id"/>, if it is in progress.
         /// </summary>
@@ -252,6 +265,11 @@ namespace slskd.Transfers.Downloads
         /// </summary>
         private ConcurrentDictionary<string, SemaphoreSlim> EnqueueSemaphores { get; } = [];
 
+        /// <summary>
+        ///     Batches waiting to be removed once their in-flight downloads have completed.
+        /// </summary>
+        private ConcurrentDictionary<Guid, bool> PendingBatchRemovals { get; } = [];
+
         /// <summary>
         ///     Synchronizes the cleanup process; after gaining exclusive access over the dictionary, checks each entry
         ///     to see if the containing semaphore can be obtained immediately.  If so, it's not in use and is therefore
@@ -291,12 +309,13 @@ namespace slskd.Transfers.Downloads
         /// <param name="username">The username of the remote user.</param>
         /// <param name="files">The list of files to enqueue.</param>
         /// <param name="batchId">The optional batch id for the transfers.</param>
+        /// <param name="failoverOfId">The optional id of the failed download the transfers are replacing.</param>
         /// <param name="cancellationToken">The token to monitor for cancellation.</param>
         /// <returns>The operation context.</returns>
         /// <exception cref="ArgumentException">Thrown when the username is null or an empty string.</exception>
         /// <exception cref="ArgumentException">Thrown when no files are requested.</exception>
         /// <exception cref="AggregateException">Thrown when at least one of the requested files throws.</exception>
-        public async Task<(List<Transfer> Enqueued, List<(string Filename, string Message)> Failed)> EnqueueAsync(string username, IEnumerable<(string Filename, long Size)> files, Guid? batchId = null, CancellationToken cancellationToken = default)
+        public async Task<(List<Transfer> Enqueued, List<(string Filename, string Message)> Failed)> EnqueueAsync(string username, IEnumerable<(string Filename, long Size)> files, Guid? batchId = null, Guid? failoverOfId = null, CancellationToken cancellationToken = default)
         {
             if (string.IsNullOrEmpty(username))
             {
@@ -479,6 +498,7 @@ namespace slskd.Transfers.Downloads
                         {
                             Id = transferId,
                             BatchId = batchId,
+                            FailoverOfId = failoverOfId,
                             Username = username,
                             Direction = TransferDirection.Download,
                             Filename = file.Filename, // important! use the remote filename
@@ -996,6 +1016,22 @@ namespace slskd.Transfers.Downloads
             }
         }
 
+        /// <summary>
+        ///     Removes the batch matching the specified <paramref name="batchId"/> along with its downloads, once all of
+        ///     them have completed.
+        /// </summary>
+        /// <remarks>
+        ///     Only completed downloads can be removed, so if any are still in flight (for instance, because they were
+        ///     just cancelled), the removal is deferred until the last of them completes.
+        /// </remarks>
+        /// <param name="batchId">The unique identifier of the batch.</param>
+        /// <returns>The operation context.</returns>
+        public Task RemoveBatchAsync(Guid batchId)
+        {
+            PendingBatchRemovals.TryAdd(batchId, true);
+            return TryRemovePendingBatchAsync(batchId);
+        }
+
         /// <summary>
         ///     Cancels the download matching the specified <paramref name="id"/>, if it is in progress.
         /// </summary>
@@ -1611,6 +1647,40 @@ namespace slskd.Transfers.Downloads
                 {
                     storedCancellationTokenSource?.Dispose();
                 }
+
+                // the batch may have been removed while this download was in flight; it's complete now, so if it was the
+                // last one the batch was waiting on, the batch can go
+                if (transfer.BatchId is Guid batchId && PendingBatchRemovals.ContainsKey(batchId))
+                {
+                    _ = TryRemovePendingBatchAsync(batchId);
+                }
+            }
+        }
+
+        private async Task TryRemovePendingBatchAsync(Guid batchId)
+        {
+            try
+            {
+                var pending = List(t => t.BatchId == batchId && !TransferStateCategories.Completed.Contains(t.State));
+
+                if (pending.Count > 0)
+                {
+                    Log.Debug("Removal of batch {Id} is waiting for {Count} download(s) to complete", batchId, pending.Count);
+                    return;
+                }
+
+                // whichever caller gets here first does the removal
+                if (PendingBatchRemovals.TryRemove(batchId, out _))
+                {
+                    Remove(t => t.BatchId == batchId && !t.Removed);
+                    await Batches.RemoveAsync(batchId);
+
+                    Log.Debug("Removed batch {Id}", batchId);
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "Failed to remove batch {Id}: {Message}", batchId, ex.Message);
             }
         }
 
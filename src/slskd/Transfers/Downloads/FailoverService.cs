@@ -0,0 +1,415 @@
+// <copyright file="FailoverService.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Transfers.Downloads;
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using Serilog;
+using slskd.Search;
+using slskd.Users;
+using ISoulseekClient = Soulseek.ISoulseekClient;
+using SearchQuery = Soulseek.SearchQuery;
+using SearchScope = Soulseek.SearchScope;
+using SoulseekClientStates = Soulseek.SoulseekClientStates;
+using TransferStates = Soulseek.TransferStates;
+
+/// <summary>
+///     Fails over failed downloads to other users.
+/// </summary>
+public interface IFailoverService
+{
+    /// <summary>
+    ///     Returns the chain of downloads that includes the download with the specified <paramref name="id"/>; the
+    ///     original download, followed by each download that was enqueued to replace the one before it.
+    /// </summary>
+    /// <param name="id">The ID of any download in the chain.</param>
+    /// <returns>The chain of downloads, oldest first, or an empty list if the download can't be found.</returns>
+    List<Transfer> GetChain(Guid id);
+}
+
+/// <summary>
+///     Fails over failed downloads to other users.
+/// </summary>
+/// <remarks>
+///     <para>
+///         Once a minute, downloads that recently failed for good (after any retries) are searched for on the network.
+///         Downloads that failed from the same user and directory are searched for together, by the directory name, so
+///         that an album fails over to a single user where possible; anything the directory search doesn't turn up is
+///         then searched for by file name.
+///     </para>
+///     <para>
+///         A candidate must have the same file name and size as the failed download, and come from a user that hasn't
+///         already been tried for it. Candidates from a user sharing more of the failed directory win, then those with a
+///         free upload slot, then the fastest, then the shortest queue. The replacement is enqueued in the original
+///         batch, linked to the download it replaces with <see cref="Transfer.FailoverOfId"/>, which is also how the number of
+///         attempts is counted.
+///     </para>
+/// </remarks>
+public class FailoverService : IFailoverService
+{
+    /// <summary>
+    ///     The states of downloads that are failed over; cancelled downloads were stopped on purpose, and aborted downloads
+    ///     were stopped by us.
+    /// </summary>
+    private static readonly HashSet<TransferStates> FailoverStates = [
+        TransferStates.Completed | TransferStates.TimedOut,
+        TransferStates.Completed | TransferStates.Errored,
+        TransferStates.Completed | TransferStates.Rejected,
+    ];
+
+    /// <summary>
+    ///     How long after a download fails it remains eligible for failover.
+    /// </summary>
+    private static readonly TimeSpan FailoverWindow = TimeSpan.FromHours(1);
+
+    /// <summary>
+    ///     The longest we'll wait for a search to complete before giving up on the failover.
+    /// </summary>
+    private static readonly TimeSpan SearchCompletionTimeout = TimeSpan.FromMinutes(5);
+
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="FailoverService"/> class.
+    /// </summary>
+    /// <param name="searchService">The search service.</param>
+    /// <param name="transferService">The transfer service.</param>
+    /// <param name="userService">The user service.</param>
+    /// <param name="soulseekClient">The Soulseek client.</param>
+    /// <param name="optionsMonitor">The options monitor used to derive application options.</param>
+    /// <param name="contextFactory">The database context factory.</param>
+    public FailoverService(
+        ISearchService searchService,
+        TransferService transferService,
+        IUserService userService,
+        ISoulseekClient soulseekClient,
+        IOptionsMonitor<Options> optionsMonitor,
+        IDbContextFactory<TransfersDbContext> contextFactory)
+    {
+        Searches = searchService;
+        Transfers = transferService;
+        Users = userService;
+        Client = soulseekClient;
+        OptionsMonitor = optionsMonitor;
+        ContextFactory = contextFactory;
+
+        Clock.EveryMinute += (_, _) => Task.Run(() => CheckAsync());
+    }
+
+    private ISoulseekClient Client { get; }
+    private IDbContextFactory<TransfersDbContext> ContextFactory { get; }
+    private ILogger Log { get; } = Serilog.Log.ForContext<FailoverService>();
+    private IOptionsMonitor<Options> OptionsMonitor { get; }
+    private ISearchService Searches { get; }
+    private SemaphoreSlim SyncRoot { get; } = new SemaphoreSlim(initialCount: 1, maxCount: 1);
+    private TransferService Transfers { get; }
+    private IUserService Users { get; }
+
+    /// <summary>
+    ///     Returns the chain of downloads that includes the download with the specified <paramref name="id"/>; the
+    ///     original download, followed by each download that was enqueued to replace the one before it.
+    /// </summary>
+    /// <param name="id">The ID of any download in the chain.</param>
+    /// <returns>The chain of downloads, oldest first, or an empty list if the download can't be found.</returns>
+    public List<Transfer> GetChain(Guid id)
+    {
+        var download = Transfers.Downloads.Find(t => t.Id == id);
+
+        if (download is null)
+        {
+            return [];
+        }
+
+        var chain = GetPredecessors(download);
+
+        // a download is only ever failed over once, so there's at most one successor
+        var successor = Transfers.Downloads.Find(t => t.FailoverOfId == download.Id);
+
+        while (successor is not null)
+        {
+            chain.Add(successor);
+
+            var current = successor;
+            successor = Transfers.Downloads.Find(t => t.FailoverOfId == current.Id);
+        }
+
+        return chain;
+    }
+
+    private static string GetDownloadKey(string filename, long size)
+        => $"{filename.NormalizePathForSoulseek().GetNormalizedFileName().ToLowerInvariant()}:{size}";
+
+    // reduces the given name to words that can be searched for; punctuation (a leading hyphen would be treated as an
+    // exclusion) and numbers (track numbers are formatted differently by everyone) are dropped
+    private static string GetSearchText(string name)
+        => string.Join(' ', Regex.Split(name, @"[^\p{L}\p{N}]+").Where(word => word.Length > 1 && !word.All(char.IsDigit)));
+
+    private async Task CheckAsync()
+    {
+        var options = OptionsMonitor.CurrentValue.Transfers.Download.Failover;
+
+        if (!options.Enabled || Program.IsRelayAgent || !Client.State.HasFlag(SoulseekClientStates.Connected | SoulseekClientStates.LoggedIn))
+        {
+            return;
+        }
+
+        // a pass involves at least one search, and can take several minutes; skip the tick rather than pile up
+        if (!await SyncRoot.WaitAsync(0))
+        {
+            return;
+        }
+
+        try
+        {
+            var cutoff = DateTime.UtcNow - FailoverWindow;
+
+            using var context = ContextFactory.CreateDbContext();
+
+            // downloads are only eligible within the window, so there's no need to remember them for longer. the rest are
+            // remembered across restarts, so that the same downloads aren't tried again
+            await context.FailoverChecks.Where(c => c.CheckedAt < cutoff).ExecuteDeleteAsync();
+
+            var handled = context.FailoverChecks
+                .Select(c => c.TransferId)
+                .ToHashSet();
+
+            var replaced = Transfers.Downloads
+                .List(t => t.FailoverOfId != null && t.RequestedAt >= cutoff, includeRemoved: true)
+                .Select(t => t.FailoverOfId.Value)
+                .ToHashSet();
+
+            // downloads removed from the UI have been dealt with by the user; either given up on, or retried
+            var failed = Transfers.Downloads
+                .List(t => FailoverStates.Contains(t.State) && t.EndedAt >= cutoff)
+                .Where(t => !replaced.Contains(t.Id) && !handled.Contains(t.Id))
+                .OrderBy(t => t.EndedAt)
+                .ToList();
+
+            if (failed.Count == 0)
+            {
+                return;
+            }
+
+            var groups = failed
+                .GroupBy(t => (t.Username, Directory: t.Filename.DirectoryName()))
+                .ToList();
+
+            Log.Information("Attempting failover of {Count} failed downloads from {Directories} directories", failed.Count, groups.Count);
+
+            foreach (var group in groups)
+            {
+                var eligible = new List<(Transfer Download, HashSet<string> Tried)>();
+
+                // whatever the outcome, a download is only considered once
+                context.FailoverChecks.AddRange(group.Select(download => new FailoverCheck { TransferId = download.Id, CheckedAt = DateTime.UtcNow }));
+                await context.SaveChangesAsync();
+
+                foreach (var download in group)
+                {
+                    var chain = GetPredecessors(download);
+                    var attempts = chain.Count - 1;
+
+                    if (attempts >= options.Attempts)
+                    {
+                        Log.Information("Not failing over download of {Filename}; {Attempts} alternate sources have already been tried", download.Filename, attempts);
+                        continue;
+                    }
+
+                    eligible.Add((download, chain.Select(t => t.Username).ToHashSet()));
+                }
+
+                if (eligible.Count > 0)
+                {
+                    await FailoverAsync(group.Key.Directory, eligible);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Log.Error(ex, "Failed to fail over downloads: {Message}", ex.Message);
+        }
+        finally
+        {
+            SyncRoot.Release();
+        }
+    }
+
+    private async Task FailoverAsync(string directory, List<(Transfer Download, HashSet<string> Tried)> downloads)
+    {
+        var remaining = downloads;
+
+        if (downloads.Count > 1)
+        {
+            var folderName = directory.NormalizePathForSoulseek().GetNormalizedFileName();
+            remaining = await SearchAndEnqueueAsync(GetSearchText(folderName), downloads);
+        }
+
+        foreach (var download in remaining)
+        {
+            var fileName = download.Download.Filename.NormalizePathForSoulseek().GetNormalizedFileName();
+            var unmatched = await SearchAndEnqueueAsync(GetSearchText(Path.GetFileNameWithoutExtension(fileName)), [download]);
+
+            if (unmatched.Count > 0)
+            {
+                Log.Information("Failed to fail over download of {Filename} from {Username}; no other users are sharing it", download.Download.Filename, download.Download.Username);
+            }
+        }
+    }
+
+    // searches for the given text and enqueues a replacement for each download from the best candidate found,
+    // returning the downloads for which there were no candidates
+    private async Task<List<(Transfer Download, HashSet<string> Tried)>> SearchAndEnqueueAsync(string searchText, List<(Transfer Download, HashSet<string> Tried)> downloads)
+    {
+        if (string.IsNullOrWhiteSpace(searchText))
+        {
+            return downloads;
+        }
+
+        List<Response> responses;
+
+        try
+        {
+            Log.Debug("Searching for '{SearchText}' to fail over {Count} downloads", searchText, downloads.Count);
+
+            // failover searches are our own business; they aren't saved, or shown alongside the user's searches
+            responses = await Searches.SearchInternalAsync(SearchQuery.FromText(searchText), SearchScope.Network, SearchCompletionTimeout);
+        }
+        catch (Exception ex)
+        {
+            Log.Warning(ex, "Failover search for '{SearchText}' failed: {Message}", searchText, ex.Message);
+            return downloads;
+        }
+
+        var files = responses
+            .SelectMany(response => response.Files.Select(file => (Response: response, File: file, Key: GetDownloadKey(file.Filename, file.Size))))
+            .ToList();
+
+        var keys = downloads
+            .Select(d => GetDownloadKey(d.Download.Filename, d.Download.Size))
+            .ToHashSet();
+
+        // how many of the failed files each user's copy of the directory holds
+        var folderMatches = files
+            .Where(f => keys.Contains(f.Key))
+            .GroupBy(f => (f.Response.Username, Directory: f.File.Filename.DirectoryName()))
+            .ToDictionary(g => g.Key, g => g.Select(f => f.Key).Distinct().Count());
+
+        var unmatched = new List<(Transfer Download, HashSet<string> Tried)>();
+
+        foreach (var (download, tried) in downloads)
+        {
+            var key = GetDownloadKey(download.Filename, download.Size);
+
+            var candidates = files
+                .Where(f => f.Key == key && !tried.Contains(f.Response.Username))
+                .OrderByDescending(f => folderMatches[(f.Response.Username, f.File.Filename.DirectoryName())])
+                .ThenByDescending(f => f.Response.HasFreeUploadSlot)
+                .ThenByDescending(f => f.Response.UploadSpeed)
+                .ThenBy(f => f.Response.QueueLength)
+                .ToList();
+
+            if (candidates.Count == 0)
+            {
+                unmatched.Add((download, tried));
+                continue;
+            }
+
+            if (!await TryEnqueueAsync(download, candidates.Select(c => (c.Response.Username, c.File.Filename))))
+            {
+                Log.Information("Failed to fail over download of {Filename} from {Username}; none of the {Count} alternate sources accepted it", download.Filename, download.Username, candidates.Count);
+            }
+        }
+
+        return unmatched;
+    }
+
+    private List<Transfer> GetPredecessors(Transfer download)
+    {
+        var chain = new List<Transfer> { download };
+
+        while (chain[0].FailoverOfId is Guid previousId)
+        {
+            var previous = Transfers.Downloads.Find(t => t.Id == previousId);
+
+            if (previous is null)
+            {
+                break;
+            }
+
+            chain.Insert(0, previous);
+        }
+
+        return chain;
+    }
+
+    private async Task<bool> TryEnqueueAsync(Transfer download, IEnumerable<(string Username, string Filename)> candidates)
+    {
+        foreach (var (username, filename) in candidates)
+        {
+            try
+            {
+                var endpoint = await Users.GetIPEndPointAsync(username);
+
+                if (Users.IsBlacklisted(username, endpoint.Address))
+                {
+                    continue;
+                }
+
+                var (enqueued, failed) = await Transfers.Downloads.EnqueueAsync(
+                    username: username,
+                    files: [(filename, download.Size)],
+                    batchId: download.BatchId,
+                    failoverOfId: download.Id);
+
+                if (enqueued.Count > 0)
+                {
+                    Log.Information("Failed over download of {Filename} from {Username} to {NewUsername} (id: {Id})", download.Filename, download.Username, username, enqueued[0].Id);
+                    return true;
+                }
+
+                Log.Debug("Failed to enqueue failover of {Filename} from {Username}: {Message}", filename, username, failed.FirstOrDefault().Message);
+            }
+            catch (Exception ex)
+            {
+                Log.Debug("Failed to enqueue failover of {Filename} from {Username}: {Message}", filename, username, ex.Message);
+            }
+        }
+
+        return false;
+    }
+}
@@ -39,6 +39,7 @@ namespace slskd.Transfers
             return new Transfer()
             {
                 BatchId = transfer.BatchId,
+                FailoverOfId = transfer.FailoverOfId,
                 Id = transfer.Id,
                 Username = transfer.Username,
                 Direction = transfer.Direction,
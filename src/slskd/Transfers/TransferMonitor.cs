@@ -0,0 +1,196 @@
+// <copyright file="TransferMonitor.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Transfers;
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.SignalR;
+using Serilog;
+using slskd.Transfers.API;
+using Soulseek;
+
+/// <summary>
+///     Watches transfers for changes and broadcasts them to subscribers of the <see cref="TransfersHub"/>.
+/// </summary>
+/// <remarks>
+///     Transfers are compared against the previous pass once per second, and only the differences are sent. A
+///     direction is only checked while at least one client is subscribed to it.
+/// </remarks>
+public class TransferMonitor
+{
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="TransferMonitor"/> class.
+    /// </summary>
+    /// <param name="transferService">The transfer service.</param>
+    /// <param name="transfersHub">The transfers hub.</param>
+    public TransferMonitor(
+        TransferService transferService,
+        IHubContext<TransfersHub> transfersHub)
+    {
+        Transfers = transferService;
+        TransfersHub = transfersHub;
+
+        Clock.EverySecond += (_, _) => Task.Run(() => CheckAsync());
+    }
+
+    private ConcurrentDictionary<TransferDirection, Dictionary<Guid, Transfer>> Known { get; } = new();
+    private ILogger Log { get; } = Serilog.Log.ForContext<TransferMonitor>();
+    private SemaphoreSlim SyncRoot { get; } = new SemaphoreSlim(initialCount: 1, maxCount: 1);
+    private TransferService Transfers { get; }
+    private IHubContext<TransfersHub> TransfersHub { get; }
+
+    /// <summary>
+    ///     Returns all present transfers in the specified <paramref name="direction"/>.
+    /// </summary>
+    /// <remarks>
+    ///     If the direction isn't being tracked, the returned list becomes the baseline against which the next pass
+    ///     is compared, so that no change made after the snapshot is missed.
+    /// </remarks>
+    /// <param name="direction">The direction.</param>
+    /// <returns>The list of transfers.</returns>
+    public List<Transfer> Snapshot(TransferDirection direction)
+    {
+        var transfers = List(direction);
+
+        Known.TryAdd(direction, transfers.ToDictionary(t => t.Id));
+
+        return transfers;
+    }
+
+    private static bool IsUpdated(Transfer previous, Transfer current)
+        => previous.State != current.State
+            || previous.Size != current.Size
+            || previous.PlaceInQueue != current.PlaceInQueue
+            || previous.Attempts != current.Attempts
+            || previous.NextAttemptAt != current.NextAttemptAt
+            || previous.EnqueuedAt != current.EnqueuedAt
+            || previous.StartedAt != current.StartedAt
+            || previous.EndedAt != current.EndedAt
+            || previous.Exception != current.Exception;
+
+    private static bool IsProgressed(Transfer previous, Transfer current)
+        => previous.BytesTransferred != current.BytesTransferred
+            || previous.AverageSpeed != current.AverageSpeed;
+
+    private List<Transfer> List(TransferDirection direction) => direction == TransferDirection.Upload
+        ? Transfers.Uploads.List(t => true, includeRemoved: false)
+        : Transfers.Downloads.List(includeRemoved: false);
+
+    private async Task CheckAsync()
+    {
+        // skip this pass if the previous one is still running; a slow database shouldn't stack up passes
+        if (!await SyncRoot.WaitAsync(0))
+        {
+            return;
+        }
+
+        try
+        {
+            await CheckAsync(TransferDirection.Download);
+            await CheckAsync(TransferDirection.Upload);
+        }
+        catch (Exception ex)
+        {
+            Log.Warning(ex, "Failed to check transfers for changes: {Message}", ex.Message);
+        }
+        finally
+        {
+            SyncRoot.Release();
+        }
+    }
+
+    private async Task CheckAsync(TransferDirection direction)
+    {
+        if (!API.TransfersHub.HasSubscribers(direction))
+        {
+            Known.TryRemove(direction, out _);
+            return;
+        }
+
+        if (!Known.TryGetValue(direction, out var previous))
+        {
+            // a client subscribed but the snapshot hasn't been taken yet
+            return;
+        }
+
+        var current = List(direction).ToDictionary(t => t.Id);
+
+        var added = new List<Transfer>();
+        var updated = new List<Transfer>();
+        var progressed = new List<Transfer>();
+
+        foreach (var transfer in current.Values)
+        {
+            if (!previous.TryGetValue(transfer.Id, out var existing))
+            {
+                added.Add(transfer);
+            }
+            else if (IsUpdated(existing, transfer))
+            {
+                updated.Add(transfer);
+            }
+            else if (IsProgressed(existing, transfer))
+            {
+                progressed.Add(transfer);
+            }
+        }
+
+        var removed = previous.Values.Where(t => !current.ContainsKey(t.Id)).ToList();
+
+        Known[direction] = current;
+
+        if (added.Count > 0)
+        {
+            await TransfersHub.BroadcastAddAsync(direction, added);
+        }
+
+        if (updated.Count > 0)
+        {
+            await TransfersHub.BroadcastUpdateAsync(direction, updated);
+        }
+
+        if (progressed.Count > 0)
+        {
+            await TransfersHub.BroadcastProgressAsync(direction, progressed);
+        }
+
+        if (removed.Count > 0)
+        {
+            await TransfersHub.BroadcastRemoveAsync(direction, removed);
+        }
+    }
+}
@@ -33,6 +33,7 @@
 namespace slskd.Transfers
 {
     using System;
+    using System.Collections.Generic;
     using System.Text.Json;
     using Microsoft.EntityFrameworkCore;
     using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
@@ -45,6 +46,7 @@ namespace slskd.Transfers
         }
 
         public DbSet<Batch> Batches { get; set; }
+        public DbSet<FailoverCheck> FailoverChecks { get; set; }
         public DbSet<Transfer> Transfers { get; set; }
 
         public override int SaveChanges(bool acceptAllChangesOnSuccess)
@@ -71,6 +73,11 @@ namespace slskd.Transfers
         {
             ConfigureTransfers(modelBuilder);
             ConfigureBatches(modelBuilder);
+
+            modelBuilder
+                .Entity<FailoverCheck>()
+                .Property(e => e.CheckedAt)
+                .HasConversion(v => v, v => DateTime.SpecifyKind(v, DateTimeKind.Utc));
         }
 
         private void ConfigureTransfers(ModelBuilder modelBuilder)
@@ -115,6 +122,11 @@ namespace slskd.Transfers
                 .HasIndex(t => t.BatchId)
                 .HasDatabaseName("IDX_Transfers_BatchId");
 
+            modelBuilder
+                .Entity<Transfer>()
+                .HasIndex(t => t.FailoverOfId)
+                .HasDatabaseName("IDX_Transfers_FailoverOfId");
+
             // covers the check for existing records when enqueueing uploads and downloads
             modelBuilder
                 .Entity<Transfer>()
@@ -152,6 +164,14 @@ namespace slskd.Transfers
                     convertFromProviderExpression: v => JsonSerializer.Deserialize<BatchOptions>(v, new JsonSerializerOptions().WithStandardOptions()))
                 .HasColumnType("TEXT");
 
+            modelBuilder
+                .Entity<Batch>()
+                .Property(b => b.Failures)
+                .HasConversion(
+                    convertToProviderExpression: v => JsonSerializer.Serialize(v, new JsonSerializerOptions().WithStandardOptions()),
+                    convertFromProviderExpression: v => JsonSerializer.Deserialize<List<BatchFailure>>(v, new JsonSerializerOptions().WithStandardOptions()))
+                .HasColumnType("TEXT");
+
             modelBuilder
                 .Entity<Batch>()
                 .HasIndex(b => b.SearchId)
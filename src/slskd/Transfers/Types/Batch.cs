@@ -91,6 +91,19 @@ public record Batch
     /// </summary>
     public BatchOptions Options { get; init; }
 
+    /// <summary>
+    ///     Gets the files that were requested, but couldn't be enqueued, when the Batch was created or last retried.
+    /// </summary>
+    /// <remarks>
+    ///     These files have no Transfer records, so this is the only place the reasons are kept.
+    /// </remarks>
+    public List<BatchFailure> Failures { get; init; } = [];
+
+    /// <summary>
+    ///     Gets a value indicating whether the Batch has been removed from the UI.
+    /// </summary>
+    public bool Removed { get; init; }
+
     /*
         future: [NotMapped] properties that aggregate values from the associated Transfer records.
         there's no use for these now, but if we ever decide to leverage Batch records for anything
@@ -48,6 +48,12 @@ public class Transfer
     /// </summary>
     public Guid? BatchId { get; init; } = null;
 
+    /// <summary>
+    ///     Gets the unique identifier of the failed download this Transfer was enqueued to replace, if it was
+    ///     enqueued by download failover.
+    /// </summary>
+    public Guid? FailoverOfId { get; init; } = null;
+
     /// <summary>
     ///     Gets the unique identifier for the Transfer.
     /// </summary>
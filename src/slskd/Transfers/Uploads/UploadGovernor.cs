@@ -171,6 +171,7 @@ namespace slskd.Transfers
                 { Application.PrivilegedGroup, CreateBucket(speedInKiB: options.Transfers.Upload.SpeedLimit) },
                 { Application.DefaultGroup, CreateBucket(speedInKiB: options.Transfers.Groups.Default.Upload.SpeedLimit) },
                 { Application.LeecherGroup, CreateBucket(speedInKiB: options.Transfers.Groups.Leechers.Upload.SpeedLimit) },
+                { Application.BuddyGroup, CreateBucket(speedInKiB: options.Transfers.Groups.Buddies.Upload.SpeedLimit) },
             };
 
             foreach (var group in options.Transfers.Groups.UserDefined)
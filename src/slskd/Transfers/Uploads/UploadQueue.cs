@@ -468,6 +468,14 @@ namespace slskd.Transfers.Uploads
                         UsedSlots = GetExistingUsedSlotsOrDefault(Application.LeecherGroup),
                         Strategy = options.Transfers.Groups.Leechers.Upload.Strategy.ToEnum<QueueStrategy>(),
                     },
+                    new UploadGroup()
+                    {
+                        Name = Application.BuddyGroup,
+                        Priority = options.Transfers.Groups.Buddies.Upload.Priority,
+                        Slots = Math.Min(options.Transfers.Groups.Buddies.Upload.Slots, GlobalSlots),
+                        UsedSlots = GetExistingUsedSlotsOrDefault(Application.BuddyGroup),
+                        Strategy = options.Transfers.Groups.Buddies.Upload.Strategy.ToEnum<QueueStrategy>(),
+                    },
                 };
 
                 // dynamically add user-defined groups
@@ -534,7 +542,9 @@ namespace slskd.Transfers.Uploads
                     });
 
                 // process each group in ascending order of priority, and stop after the first ready upload is released.
-                foreach (var group in Groups.Values.OrderBy(g => g.Priority).ThenBy(g => g.Name))
+                // buddies are served ahead of other groups with the same priority, so that they come first without having
+                // to push the other built-in groups back.
+                foreach (var group in Groups.Values.OrderBy(g => g.Priority).ThenBy(g => g.Name != Application.BuddyGroup).ThenBy(g => g.Name))
                 {
                     if (group.UsedSlots >= group.Slots || !readyUploadsByGroup.TryGetValue(group.Name, out var uploads) || !uploads.Any())
                     {
@@ -0,0 +1,173 @@
+// <copyright file="BuddiesController.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users.API
+{
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using System.Threading.Tasks;
+    using Asp.Versioning;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Http;
+    using Microsoft.AspNetCore.Mvc;
+
+    /// <summary>
+    ///     Buddies.
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("0")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class BuddiesController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="BuddiesController"/> class.
+        /// </summary>
+        /// <param name="buddyService">The buddy service.</param>
+        public BuddiesController(IBuddyService buddyService)
+        {
+            Buddies = buddyService;
+        }
+
+        private IBuddyService Buddies { get; }
+
+        /// <summary>
+        ///     Lists the buddies, with their presence and statistics.
+        /// </summary>
+        /// <returns>The list of buddies.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="403">The request was forbidden.</response>
+        [HttpGet("")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(IEnumerable<Buddy>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        public IActionResult List()
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            return Ok(Buddies.List());
+        }
+
+        /// <summary>
+        ///     Gets the specified buddy.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns>The buddy.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="403">The request was forbidden.</response>
+        /// <response code="404">The user is not a buddy.</response>
+        [HttpGet("{username}")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(Buddy), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult Get([FromRoute, UrlEncoded, Required] string username)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            var buddy = Buddies.Find(username);
+
+            if (buddy == default)
+            {
+                return NotFound();
+            }
+
+            return Ok(buddy);
+        }
+
+        /// <summary>
+        ///     Adds the specified <paramref name="username"/> to the buddy list, or updates the buddy if they are already on it.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <param name="request">The upload priority of the buddy.</param>
+        /// <returns>The buddy.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="400">The request was malformed.</response>
+        /// <response code="403">The request was forbidden.</response>
+        [HttpPut("{username}")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(typeof(Buddy), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(string), StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        public async Task<IActionResult> Put([FromRoute, UrlEncoded, Required] string username, [FromBody] BuddyRequest request)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState.GetReadableString());
+            }
+
+            var buddy = await Buddies.AddOrUpdateAsync(username, request.Prioritized);
+
+            return Ok(buddy);
+        }
+
+        /// <summary>
+        ///     Removes the specified <paramref name="username"/> from the buddy list.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns></returns>
+        /// <response code="204">The user is no longer a buddy.</response>
+        /// <response code="403">The request was forbidden.</response>
+        /// <response code="404">The user is not a buddy.</response>
+        [HttpDelete("{username}")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Delete([FromRoute, UrlEncoded, Required] string username)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!await Buddies.RemoveAsync(username))
+            {
+                return NotFound();
+            }
+
+            return NoContent();
+        }
+    }
+}
@@ -0,0 +1,179 @@
+// <copyright file="IgnoredUsersController.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users.API
+{
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using System.Threading.Tasks;
+    using Asp.Versioning;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Http;
+    using Microsoft.AspNetCore.Mvc;
+
+    /// <summary>
+    ///     Ignored users.
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("0")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class IgnoredUsersController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="IgnoredUsersController"/> class.
+        /// </summary>
+        /// <param name="ignoreListService">The ignore list service.</param>
+        public IgnoredUsersController(IIgnoreListService ignoreListService)
+        {
+            IgnoreList = ignoreListService;
+        }
+
+        private IIgnoreListService IgnoreList { get; }
+
+        /// <summary>
+        ///     Lists the ignored users.
+        /// </summary>
+        /// <returns>The list of ignored users.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="403">The request was forbidden.</response>
+        [HttpGet("")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(IEnumerable<IgnoredUser>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        public IActionResult List()
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            return Ok(IgnoreList.List());
+        }
+
+        /// <summary>
+        ///     Gets the entry for the specified ignored <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>The entry.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="403">The request was forbidden.</response>
+        /// <response code="404">The user is not ignored.</response>
+        [HttpGet("{username}")]
+        [Authorize(Policy = AuthPolicy.Any)]
+        [ProducesResponseType(typeof(IgnoredUser), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult Get([FromRoute, UrlEncoded, Required] string username)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            var ignoredUser = IgnoreList.Find(username);
+
+            if (ignoredUser == default)
+            {
+                return NotFound();
+            }
+
+            return Ok(ignoredUser);
+        }
+
+        /// <summary>
+        ///     Ignores the specified <paramref name="username"/>, or updates the entry if the user is already ignored.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <param name="request">The reason, expiry and upload handling for the entry.</param>
+        /// <returns>The entry.</returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="400">The request was malformed.</response>
+        /// <response code="403">The request was forbidden.</response>
+        [HttpPut("{username}")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(typeof(IgnoredUser), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(string), StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        public async Task<IActionResult> Put([FromRoute, UrlEncoded, Required] string username, [FromBody] IgnoredUserRequest request)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState.GetReadableString());
+            }
+
+            var ignoredUser = await IgnoreList.AddOrUpdateAsync(new IgnoredUser
+            {
+                Username = username,
+                Reason = string.IsNullOrWhiteSpace(request.Reason) ? null : request.Reason.Trim(),
+                ExpiresAt = request.ExpiresAt?.ToUniversalTime(),
+                RejectUploads = request.RejectUploads,
+            });
+
+            return Ok(ignoredUser);
+        }
+
+        /// <summary>
+        ///     Stops ignoring the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns></returns>
+        /// <response code="204">The user is no longer ignored.</response>
+        /// <response code="403">The request was forbidden.</response>
+        /// <response code="404">The user is not ignored.</response>
+        [HttpDelete("{username}")]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Delete([FromRoute, UrlEncoded, Required] string username)
+        {
+            if (Program.IsRelayAgent)
+            {
+                return Forbid();
+            }
+
+            if (!await IgnoreList.RemoveAsync(username))
+            {
+                return NotFound();
+            }
+
+            return NoContent();
+        }
+    }
+}
@@ -179,7 +179,7 @@ namespace slskd.Users.API
         /// <param name="request">The directory contents request.</param>
         /// <returns></returns>
         [HttpPost("{username}/directory")]
-        [Authorize(Policy = AuthPolicy.Any)]
+        [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.Any)]
         [ProducesResponseType(typeof(IEnumerable<Directory>), 200)]
         [ProducesResponseType(404)]
         public async Task<IActionResult> Directory([FromRoute, UrlEncoded, Required] string username, [FromBody, Required] DirectoryContentsRequest request)
@@ -0,0 +1,70 @@
+// <copyright file="IgnoredUserRequest.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users.API
+{
+    using System;
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+
+    /// <summary>
+    ///     A request to ignore a user, or to update the entry for an ignored user.
+    /// </summary>
+    public record IgnoredUserRequest : IValidatableObject
+    {
+        /// <summary>
+        ///     Gets the reason the user is ignored.
+        /// </summary>
+        [MaxLength(500)]
+        public string Reason { get; init; }
+
+        /// <summary>
+        ///     Gets the time at which the user stops being ignored, or null if never.
+        /// </summary>
+        public DateTime? ExpiresAt { get; init; }
+
+        /// <summary>
+        ///     Gets a value indicating whether the user's queued uploads are cancelled, and their requests to download
+        ///     files from us rejected. (Default = false).
+        /// </summary>
+        public bool RejectUploads { get; init; }
+
+        /// <inheritdoc/>
+        public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+        {
+            if (ExpiresAt.HasValue && ExpiresAt.Value.ToUniversalTime() <= DateTime.UtcNow)
+            {
+                yield return new ValidationResult("The field ExpiresAt must be in the future", [nameof(ExpiresAt)]);
+            }
+        }
+    }
+}
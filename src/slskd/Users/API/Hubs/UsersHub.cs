@@ -0,0 +1,84 @@
+// <copyright file="UsersHub.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users.API
+{
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.SignalR;
+
+    public static class UsersHubMethods
+    {
+        public static readonly string Buddy = "BUDDY";
+        public static readonly string BuddyOnline = "BUDDY_ONLINE";
+    }
+
+    /// <summary>
+    ///     Extension methods for the users SignalR hub.
+    /// </summary>
+    public static class UsersHubExtensions
+    {
+        /// <summary>
+        ///     Broadcast a change to the presence or statistics of a buddy.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="buddy">The buddy to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastBuddyAsync(this IHubContext<UsersHub> hub, Buddy buddy)
+        {
+            return hub.Clients.All.SendAsync(UsersHubMethods.Buddy, buddy);
+        }
+
+        /// <summary>
+        ///     Broadcast that a buddy who was offline came online.
+        /// </summary>
+        /// <param name="hub">The hub.</param>
+        /// <param name="buddy">The buddy to broadcast.</param>
+        /// <returns>The operation context.</returns>
+        public static Task BroadcastBuddyOnlineAsync(this IHubContext<UsersHub> hub, Buddy buddy)
+        {
+            return hub.Clients.All.SendAsync(UsersHubMethods.BuddyOnline, buddy);
+        }
+    }
+
+    /// <summary>
+    ///     The users SignalR hub.
+    /// </summary>
+    /// <remarks>
+    ///     Pushes changes to the presence and statistics of buddies as they happen. Clients fetch the buddy list from the
+    ///     API when they connect, and apply changes from the hub thereafter.
+    /// </remarks>
+    [Authorize(Policy = AuthPolicy.Any)]
+    public class UsersHub : Hub
+    {
+    }
+}
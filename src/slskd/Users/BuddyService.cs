@@ -0,0 +1,346 @@
+// <copyright file="BuddyService.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users
+{
+    using System;
+    using System.Collections.Concurrent;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.EntityFrameworkCore;
+    using Serilog;
+    using slskd.Users.API;
+    using Soulseek;
+
+    /// <summary>
+    ///     Manages the buddy list, and tracks the presence of buddies.
+    /// </summary>
+    public interface IBuddyService
+    {
+        /// <summary>
+        ///     Adds the specified <paramref name="username"/> to the buddy list, or updates the buddy if they are already on it.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <param name="prioritized">A value indicating whether the buddy is placed in the built in buddies group for uploads.</param>
+        /// <returns>The added or updated buddy.</returns>
+        Task<Buddy> AddOrUpdateAsync(string username, bool prioritized);
+
+        /// <summary>
+        ///     Finds the buddy with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns>The found buddy, or default if the user isn't a buddy.</returns>
+        Buddy Find(string username);
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is a buddy who is placed in the
+        ///     built in buddies group for uploads.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user is a prioritized buddy.</returns>
+        bool IsPrioritized(string username);
+
+        /// <summary>
+        ///     Returns all of the buddies.
+        /// </summary>
+        /// <returns>The list of buddies.</returns>
+        IReadOnlyList<Buddy> List();
+
+        /// <summary>
+        ///     Removes the specified <paramref name="username"/> from the buddy list.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns>A value indicating whether the user was a buddy.</returns>
+        Task<bool> RemoveAsync(string username);
+    }
+
+    /// <summary>
+    ///     Manages the buddy list, and tracks the presence of buddies.
+    /// </summary>
+    /// <remarks>
+    ///     <para>
+    ///         Buddies are watched server side each time we log in, so that the server sends their status and statistics
+    ///         as they change. Presence and statistics are kept in memory only; the time at which each buddy was last seen
+    ///         online is written through to the database.
+    ///     </para>
+    ///     <para>
+    ///         Changes are broadcast over the <see cref="UsersHub"/>. A buddy "comes online" only when their presence
+    ///         changes from offline to online or away; learning a buddy's presence for the first time, at login or when
+    ///         they are added, doesn't count.
+    ///     </para>
+    /// </remarks>
+    public class BuddyService : IBuddyService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="BuddyService"/> class.
+        /// </summary>
+        /// <param name="contextFactory">The database context factory to use.</param>
+        /// <param name="soulseekClient">The Soulseek client.</param>
+        /// <param name="usersHub">The users hub.</param>
+        public BuddyService(
+            IDbContextFactory<UsersDbContext> contextFactory,
+            ISoulseekClient soulseekClient,
+            IHubContext<UsersHub> usersHub)
+        {
+            ContextFactory = contextFactory;
+            Client = soulseekClient;
+            UsersHub = usersHub;
+
+            using var context = ContextFactory.CreateDbContext();
+
+            foreach (var buddy in context.Buddies.AsNoTracking())
+            {
+                Buddies.TryAdd(buddy.Username, buddy);
+            }
+
+            Client.LoggedIn += (_, _) => Task.Run(() => WatchAllAsync());
+            Client.Disconnected += (_, _) => Client_Disconnected();
+            Client.UserStatusChanged += (_, status) => UpdateStatus(status);
+            Client.UserStatisticsChanged += (_, statistics) => UpdateStatistics(statistics);
+        }
+
+        private ConcurrentDictionary<string, Buddy> Buddies { get; } = new();
+        private ISoulseekClient Client { get; }
+        private IDbContextFactory<UsersDbContext> ContextFactory { get; }
+        private ILogger Log { get; } = Serilog.Log.ForContext<BuddyService>();
+        private IHubContext<UsersHub> UsersHub { get; }
+
+        /// <summary>
+        ///     Adds the specified <paramref name="username"/> to the buddy list, or updates the buddy if they are already on it.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <param name="prioritized">A value indicating whether the buddy is placed in the built in buddies group for uploads.</param>
+        /// <returns>The added or updated buddy.</returns>
+        public async Task<Buddy> AddOrUpdateAsync(string username, bool prioritized)
+        {
+            if (string.IsNullOrWhiteSpace(username))
+            {
+                throw new ArgumentException("Username must not be null or whitespace", nameof(username));
+            }
+
+            using var context = ContextFactory.CreateDbContext();
+
+            var buddy = await context.Buddies.FindAsync(username);
+            var added = buddy == default;
+
+            if (added)
+            {
+                buddy = new Buddy { Username = username, Prioritized = prioritized };
+                context.Buddies.Add(buddy);
+            }
+            else
+            {
+                buddy.Prioritized = prioritized;
+            }
+
+            await context.SaveChangesAsync();
+
+            buddy = Buddies.AddOrUpdate(
+                key: username,
+                addValue: buddy,
+                updateValueFactory: (_, existing) => existing with { Prioritized = prioritized });
+
+            if (added)
+            {
+                Log.Information("Added {Username} to the buddy list", username);
+
+                if (Client.State.HasFlag(SoulseekClientStates.Connected) && Client.State.HasFlag(SoulseekClientStates.LoggedIn))
+                {
+                    _ = Task.Run(() => WatchAsync(username));
+                }
+            }
+
+            return buddy;
+        }
+
+        /// <summary>
+        ///     Finds the buddy with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns>The found buddy, or default if the user isn't a buddy.</returns>
+        public Buddy Find(string username)
+        {
+            return username != null && Buddies.TryGetValue(username, out var buddy) ? buddy : default;
+        }
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is a buddy who is placed in the
+        ///     built in buddies group for uploads.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user is a prioritized buddy.</returns>
+        public bool IsPrioritized(string username) => Find(username)?.Prioritized ?? false;
+
+        /// <summary>
+        ///     Returns all of the buddies.
+        /// </summary>
+        /// <returns>The list of buddies.</returns>
+        public IReadOnlyList<Buddy> List()
+        {
+            return Buddies.Values
+                .OrderBy(b => b.Username, StringComparer.OrdinalIgnoreCase)
+                .ToList()
+                .AsReadOnly();
+        }
+
+        /// <summary>
+        ///     Removes the specified <paramref name="username"/> from the buddy list.
+        /// </summary>
+        /// <param name="username">The username of the buddy.</param>
+        /// <returns>A value indicating whether the user was a buddy.</returns>
+        public async Task<bool> RemoveAsync(string username)
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            var deleted = await context.Buddies.Where(b => b.Username == username).ExecuteDeleteAsync();
+            Buddies.TryRemove(username, out _);
+
+            if (deleted > 0)
+            {
+                Log.Information("Removed {Username} from the buddy list", username);
+            }
+
+            return deleted > 0;
+        }
+
+        private void Client_Disconnected()
+        {
+            // we won't hear about changes while disconnected, so what we know is stale
+            foreach (var username in Buddies.Keys)
+            {
+                Buddies.AddOrUpdate(
+                    key: username,
+                    addValue: new Buddy { Username = username },
+                    updateValueFactory: (_, existing) => existing with { Presence = null });
+            }
+        }
+
+        private async Task WatchAllAsync()
+        {
+            foreach (var username in Buddies.Keys)
+            {
+                await WatchAsync(username);
+            }
+        }
+
+        private async Task WatchAsync(string username)
+        {
+            try
+            {
+                // the server doesn't send status or statistics when a user is first watched, so fetch both. the responses
+                // raise the same events as unsolicited updates do, but apply them here anyway so we don't depend on that
+                await Client.WatchUserAsync(username);
+
+                UpdateStatus(await Client.GetUserStatusAsync(username));
+                UpdateStatistics(await Client.GetUserStatisticsAsync(username));
+            }
+            catch (Exception ex)
+            {
+                Log.Warning("Failed to watch buddy {Username}: {Message}", username, ex.Message);
+            }
+        }
+
+        private void UpdateStatus(UserStatus status)
+        {
+            if (!Buddies.TryGetValue(status.Username, out var previous))
+            {
+                return;
+            }
+
+            var online = status.Presence != UserPresence.Offline;
+
+            // they're seen when they're online, and as they go offline
+            var lastSeenAt = online || previous.Presence is not (null or UserPresence.Offline)
+                ? DateTime.UtcNow
+                : previous.LastSeenAt;
+
+            var buddy = previous with { Presence = status.Presence, LastSeenAt = lastSeenAt };
+
+            if (!Buddies.TryUpdate(status.Username, buddy, previous))
+            {
+                // removed, or updated by someone else in the meantime; either way there's nothing to do
+                return;
+            }
+
+            if (lastSeenAt != previous.LastSeenAt)
+            {
+                _ = Task.Run(() => PersistLastSeenAsync(buddy.Username, lastSeenAt));
+            }
+
+            if (status.Presence == previous.Presence)
+            {
+                return;
+            }
+
+            _ = UsersHub.BroadcastBuddyAsync(buddy);
+
+            if (online && previous.Presence == UserPresence.Offline)
+            {
+                Log.Information("Buddy {Username} came online", buddy.Username);
+                _ = UsersHub.BroadcastBuddyOnlineAsync(buddy);
+            }
+        }
+
+        private void UpdateStatistics(UserStatistics statistics)
+        {
+            if (!Buddies.TryGetValue(statistics.Username, out var previous))
+            {
+                return;
+            }
+
+            var buddy = previous with { FileCount = statistics.FileCount, DirectoryCount = statistics.DirectoryCount };
+
+            if (buddy != previous && Buddies.TryUpdate(statistics.Username, buddy, previous))
+            {
+                _ = UsersHub.BroadcastBuddyAsync(buddy);
+            }
+        }
+
+        private async Task PersistLastSeenAsync(string username, DateTime? lastSeenAt)
+        {
+            try
+            {
+                using var context = ContextFactory.CreateDbContext();
+
+                await context.Buddies
+                    .Where(b => b.Username == username)
+                    .ExecuteUpdateAsync(setters => setters.SetProperty(b => b.LastSeenAt, lastSeenAt));
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "Failed to record when buddy {Username} was last seen: {Message}", username, ex.Message);
+            }
+        }
+    }
+}
@@ -0,0 +1,289 @@
+// <copyright file="IgnoreListService.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users
+{
+    using System;
+    using System.Collections.Concurrent;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Microsoft.EntityFrameworkCore;
+    using Serilog;
+    using slskd.Transfers;
+    using slskd.Transfers.Uploads;
+
+    /// <summary>
+    ///     Manages the list of ignored users.
+    /// </summary>
+    public interface IIgnoreListService
+    {
+        /// <summary>
+        ///     Ignores the user specified by <paramref name="ignoredUser"/>, or updates the entry if the user is already
+        ///     ignored.
+        /// </summary>
+        /// <remarks>
+        ///     If <see cref="IgnoredUser.RejectUploads"/> is set, any uploads to the user that are queued are cancelled.
+        /// </remarks>
+        /// <param name="ignoredUser">The entry to add or update.</param>
+        /// <returns>The added or updated entry.</returns>
+        Task<IgnoredUser> AddOrUpdateAsync(IgnoredUser ignoredUser);
+
+        /// <summary>
+        ///     Finds the entry for the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>The found entry, or default if the user isn't ignored.</returns>
+        IgnoredUser Find(string username);
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is ignored.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user is ignored.</returns>
+        bool IsIgnored(string username);
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is ignored, and requests from
+        ///     the user to download files from us should be rejected.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether requests from the user should be rejected.</returns>
+        bool IsUploadRejected(string username);
+
+        /// <summary>
+        ///     Returns all of the ignored users.
+        /// </summary>
+        /// <returns>The list of ignored users.</returns>
+        IReadOnlyList<IgnoredUser> List();
+
+        /// <summary>
+        ///     Stops ignoring the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user was ignored.</returns>
+        Task<bool> RemoveAsync(string username);
+    }
+
+    /// <summary>
+    ///     Manages the list of ignored users.
+    /// </summary>
+    /// <remarks>
+    ///     The list is checked for every incoming message and search response, so it's kept in memory and written
+    ///     through to the database. Entries that have expired are ignored as soon as they expire, and are removed from
+    ///     the database once a minute.
+    /// </remarks>
+    public class IgnoreListService : IIgnoreListService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="IgnoreListService"/> class.
+        /// </summary>
+        /// <param name="contextFactory">The database context factory to use.</param>
+        /// <param name="uploadService">The upload service.</param>
+        public IgnoreListService(
+            IDbContextFactory<UsersDbContext> contextFactory,
+            IUploadService uploadService)
+        {
+            ContextFactory = contextFactory;
+            Uploads = uploadService;
+
+            using var context = ContextFactory.CreateDbContext();
+
+            foreach (var ignoredUser in context.IgnoredUsers.AsNoTracking())
+            {
+                Entries.TryAdd(ignoredUser.Username, ignoredUser);
+            }
+
+            Clock.EveryMinute += (_, _) => Task.Run(() => PruneExpiredAsync());
+        }
+
+        private IDbContextFactory<UsersDbContext> ContextFactory { get; }
+        private ConcurrentDictionary<string, IgnoredUser> Entries { get; } = new();
+        private ILogger Log { get; } = Serilog.Log.ForContext<IgnoreListService>();
+        private IUploadService Uploads { get; }
+
+        /// <summary>
+        ///     Ignores the user specified by <paramref name="ignoredUser"/>, or updates the entry if the user is already
+        ///     ignored.
+        /// </summary>
+        /// <remarks>
+        ///     If <see cref="IgnoredUser.RejectUploads"/> is set, any uploads to the user that are queued are cancelled.
+        /// </remarks>
+        /// <param name="ignoredUser">The entry to add or update.</param>
+        /// <returns>The added or updated entry.</returns>
+        public async Task<IgnoredUser> AddOrUpdateAsync(IgnoredUser ignoredUser)
+        {
+            if (ignoredUser == default)
+            {
+                throw new ArgumentNullException(nameof(ignoredUser));
+            }
+
+            if (string.IsNullOrWhiteSpace(ignoredUser.Username))
+            {
+                throw new ArgumentException("Username must not be null or whitespace", nameof(ignoredUser));
+            }
+
+            using var context = ContextFactory.CreateDbContext();
+
+            var existing = await context.IgnoredUsers.FindAsync(ignoredUser.Username);
+
+            if (existing == default)
+            {
+                context.IgnoredUsers.Add(ignoredUser);
+            }
+            else
+            {
+                existing.Reason = ignoredUser.Reason;
+                existing.ExpiresAt = ignoredUser.ExpiresAt;
+                existing.RejectUploads = ignoredUser.RejectUploads;
+                ignoredUser = existing;
+            }
+
+            await context.SaveChangesAsync();
+
+            Entries[ignoredUser.Username] = ignoredUser;
+
+            Log.Information("Ignored user {Username} (reason: {Reason}, expires: {ExpiresAt})", ignoredUser.Username, ignoredUser.Reason, ignoredUser.ExpiresAt?.ToString() ?? "never");
+
+            if (ignoredUser.RejectUploads)
+            {
+                CancelQueuedUploads(ignoredUser.Username);
+            }
+
+            return ignoredUser;
+        }
+
+        /// <summary>
+        ///     Finds the entry for the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>The found entry, or default if the user isn't ignored.</returns>
+        public IgnoredUser Find(string username)
+        {
+            if (username != null && Entries.TryGetValue(username, out var ignoredUser) && !ignoredUser.IsExpired)
+            {
+                return ignoredUser;
+            }
+
+            return default;
+        }
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is ignored.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user is ignored.</returns>
+        public bool IsIgnored(string username) => Find(username) != default;
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified <paramref name="username"/> is ignored, and requests from
+        ///     the user to download files from us should be rejected.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether requests from the user should be rejected.</returns>
+        public bool IsUploadRejected(string username) => Find(username)?.RejectUploads ?? false;
+
+        /// <summary>
+        ///     Returns all of the ignored users.
+        /// </summary>
+        /// <returns>The list of ignored users.</returns>
+        public IReadOnlyList<IgnoredUser> List()
+        {
+            return Entries.Values
+                .Where(e => !e.IsExpired)
+                .OrderBy(e => e.Username, StringComparer.OrdinalIgnoreCase)
+                .ToList()
+                .AsReadOnly();
+        }
+
+        /// <summary>
+        ///     Stops ignoring the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns>A value indicating whether the user was ignored.</returns>
+        public async Task<bool> RemoveAsync(string username)
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            var deleted = await context.IgnoredUsers.Where(e => e.Username == username).ExecuteDeleteAsync();
+            Entries.TryRemove(username, out _);
+
+            if (deleted > 0)
+            {
+                Log.Information("Stopped ignoring user {Username}", username);
+            }
+
+            return deleted > 0;
+        }
+
+        private void CancelQueuedUploads(string username)
+        {
+            var queued = Uploads.List(t => t.Username == username && TransferStateCategories.Queued.Contains(t.State), includeRemoved: false);
+            var cancelled = queued.Count(t => Uploads.TryCancel(t.Id));
+
+            if (cancelled > 0)
+            {
+                Log.Information("Cancelled {Count} queued upload(s) to ignored user {Username}", cancelled, username);
+            }
+        }
+
+        private async Task PruneExpiredAsync()
+        {
+            var expired = Entries.Where(e => e.Value.IsExpired).ToList();
+
+            if (expired.Count == 0)
+            {
+                return;
+            }
+
+            try
+            {
+                using var context = ContextFactory.CreateDbContext();
+
+                var now = DateTime.UtcNow;
+                await context.IgnoredUsers.Where(e => e.ExpiresAt != null && e.ExpiresAt <= now).ExecuteDeleteAsync();
+
+                // only remove the entries we saw expire; any that were updated in the meantime are left alone
+                foreach (var entry in expired)
+                {
+                    Entries.TryRemove(entry);
+                }
+
+                Log.Debug("Removed {Count} expired ignored user(s)", expired.Count);
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "Failed to remove expired ignored users: {Message}", ex.Message);
+            }
+        }
+    }
+}
@@ -0,0 +1,84 @@
+// <copyright file="Buddy.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Users
+{
+    using System;
+    using System.ComponentModel.DataAnnotations;
+    using System.ComponentModel.DataAnnotations.Schema;
+    using Soulseek;
+
+    /// <summary>
+    ///     A user on the buddy list.
+    /// </summary>
+    public record Buddy
+    {
+        /// <summary>
+        ///     Gets the username of the buddy.
+        /// </summary>
+        [Key]
+        public string Username { get; init; }
+
+        /// <summary>
+        ///     Gets the time at which the buddy was added.
+        /// </summary>
+        public DateTime AddedAt { get; init; } = DateTime.UtcNow;
+
+        /// <summary>
+        ///     Gets or sets the time at which the buddy was last seen online, if they have been.
+        /// </summary>
+        public DateTime? LastSeenAt { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the buddy is placed in the built in buddies group for uploads.
+        /// </summary>
+        public bool Prioritized { get; set; }
+
+        /// <summary>
+        ///     Gets the buddy's presence, or null if it isn't known yet.
+        /// </summary>
+        [NotMapped]
+        public UserPresence? Presence { get; init; }
+
+        /// <summary>
+        ///     Gets the number of files the buddy shares, or null if it isn't known yet.
+        /// </summary>
+        [NotMapped]
+        public int? FileCount { get; init; }
+
+        /// <summary>
+        ///     Gets the number of directories the buddy shares, or null if it isn't known yet.
+        /// </summary>
+        [NotMapped]
+        public int? DirectoryCount { get; init; }
+    }
+}
@@ -90,12 +90,15 @@ namespace slskd.Users
         /// <param name="soulseekClient"></param>
         /// <param name="optionsMonitor"></param>
         /// <param name="systemClock"></param>
+        /// <param name="buddyService"></param>
         public UserService(
             ISoulseekClient soulseekClient,
             IOptionsMonitor<Options> optionsMonitor,
-            ISystemClock systemClock = null)
+            ISystemClock systemClock = null,
+            IBuddyService buddyService = null)
         {
             Client = soulseekClient;
+            Buddies = buddyService;
 
             OptionsMonitor = optionsMonitor;
             OptionsMonitor.OnChange(options => Configure(options));
@@ -140,6 +143,7 @@ namespace slskd.Users
         /// </summary>
         public IReadOnlyList<string> WatchedUsernames => WatchedUsernamesDictionary.Keys.ToList().AsReadOnly();
 
+        private IBuddyService Buddies { get; }
         private ISoulseekClient Client { get; }
         private string LastOptionsHash { get; set; }
         private string LastBlacklistOptionsHash { get; set; }
@@ -211,6 +215,12 @@ namespace slskd.Users
                     return user.Group;
                 }
 
+                // buddies that have been given priority go in their own group, and aren't subjected to leecher checks either
+                if (Buddies?.IsPrioritized(username) ?? false)
+                {
+                    return Application.BuddyGroup;
+                }
+
                 // check to see if they are a leecher. they may be in the dictionary because we checked their stats.
                 // if we don't have their stats we don't have enough info to make the call, group is inconclusive so fall through
                 var thresholds = OptionsMonitor.CurrentValue.Transfers.Groups.Leechers.Thresholds;
@@ -220,6 +230,10 @@ namespace slskd.Users
                     return Application.LeecherGroup;
                 }
             }
+            else if (Buddies?.IsPrioritized(username) ?? false)
+            {
+                return Application.BuddyGroup;
+            }
 
             return Application.DefaultGroup;
         }
@@ -0,0 +1,312 @@
+// <copyright file="WishlistController.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Wishlist.API;
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Asp.Versioning;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Serilog;
+
+/// <summary>
+///     Wishlist.
+/// </summary>
+[Route("api/v{version:apiVersion}/[controller]")]
+[ApiController]
+[ApiVersion("0")]
+[Produces("application/json")]
+[Consumes("application/json")]
+public class WishlistController : ControllerBase
+{
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="WishlistController"/> class.
+    /// </summary>
+    /// <param name="wishlistService">The wishlist service.</param>
+    public WishlistController(IWishlistService wishlistService)
+    {
+        Wishlist = wishlistService;
+    }
+
+    private IWishlistService Wishlist { get; }
+    private ILogger Log { get; } = Serilog.Log.ForContext<WishlistController>();
+
+    /// <summary>
+    ///     Lists all wishlist items.
+    /// </summary>
+    /// <returns>The list of items.</returns>
+    /// <response code="200">The request completed successfully.</response>
+    /// <response code="403">The request was forbidden.</response>
+    [HttpGet("")]
+    [Authorize(Policy = AuthPolicy.Any)]
+    [ProducesResponseType(typeof(IEnumerable<WishlistItem>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<IActionResult> List()
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        var items = await Wishlist.ListAsync();
+
+        return Ok(items.Select(WithState));
+    }
+
+    /// <summary>
+    ///     Gets the wishlist item with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The item.</returns>
+    /// <response code="200">The request completed successfully.</response>
+    /// <response code="403">The request was forbidden.</response>
+    /// <response code="404">The item could not be found.</response>
+    [HttpGet("{id}")]
+    [Authorize(Policy = AuthPolicy.Any)]
+    [ProducesResponseType(typeof(WishlistItem), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> Get([FromRoute] Guid id)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        var item = await Wishlist.FindAsync(id);
+
+        if (item == default)
+        {
+            return NotFound();
+        }
+
+        return Ok(WithState(item));
+    }
+
+    /// <summary>
+    ///     Creates a wishlist item.
+    /// </summary>
+    /// <param name="request">The item to create.</param>
+    /// <returns>The created item.</returns>
+    /// <response code="201">The item was created.</response>
+    /// <response code="400">The request was malformed.</response>
+    /// <response code="403">The request was forbidden.</response>
+    [HttpPost("")]
+    [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+    [ProducesResponseType(typeof(WishlistItem), StatusCodes.Status201Created)]
+    [ProducesResponseType(typeof(string), StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<IActionResult> Create([FromBody] WishlistItemRequest request)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState.GetReadableString());
+        }
+
+        var item = await Wishlist.CreateAsync(new WishlistItem
+        {
+            Id = Guid.NewGuid(),
+            SearchText = request.SearchText.Trim(),
+            Filter = request.Filter?.Trim() ?? string.Empty,
+            Interval = request.Interval,
+            Action = request.Action,
+            Enabled = request.Enabled,
+        });
+
+        Log.Information("Created wishlist item '{SearchText}' (id: {Id})", item.SearchText, item.Id);
+
+        return StatusCode(StatusCodes.Status201Created, item);
+    }
+
+    /// <summary>
+    ///     Updates the wishlist item with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <param name="request">The new values for the item.</param>
+    /// <returns>The updated item.</returns>
+    /// <response code="200">The item was updated.</response>
+    /// <response code="400">The request was malformed.</response>
+    /// <response code="403">The request was forbidden.</response>
+    /// <response code="404">The item could not be found.</response>
+    [HttpPut("{id}")]
+    [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+    [ProducesResponseType(typeof(WishlistItem), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(string), StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> Update([FromRoute] Guid id, [FromBody] WishlistItemRequest request)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState.GetReadableString());
+        }
+
+        var item = await Wishlist.FindAsync(id);
+
+        if (item == default)
+        {
+            return NotFound();
+        }
+
+        item.SearchText = request.SearchText.Trim();
+        item.Filter = request.Filter?.Trim() ?? string.Empty;
+        item.Interval = request.Interval;
+        item.Action = request.Action;
+        item.Enabled = request.Enabled;
+
+        item = await Wishlist.UpdateAsync(item);
+
+        return Ok(WithState(item));
+    }
+
+    /// <summary>
+    ///     Deletes the wishlist item with the specified <paramref name="id"/>, along with its history.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns></returns>
+    /// <response code="204">The item was deleted.</response>
+    /// <response code="403">The request was forbidden.</response>
+    /// <response code="404">The item could not be found.</response>
+    [HttpDelete("{id}")]
+    [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> Delete([FromRoute] Guid id)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        if (!await Wishlist.DeleteAsync(id))
+        {
+            return NotFound();
+        }
+
+        return NoContent();
+    }
+
+    /// <summary>
+    ///     Lists the most recent runs of the wishlist item with the specified <paramref name="id"/>, newest first.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The list of runs.</returns>
+    /// <response code="200">The request completed successfully.</response>
+    /// <response code="403">The request was forbidden.</response>
+    /// <response code="404">The item could not be found.</response>
+    [HttpGet("{id}/runs")]
+    [Authorize(Policy = AuthPolicy.Any)]
+    [ProducesResponseType(typeof(IEnumerable<WishlistRun>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> ListRuns([FromRoute] Guid id)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        if (await Wishlist.FindAsync(id) == default)
+        {
+            return NotFound();
+        }
+
+        return Ok(await Wishlist.ListRunsAsync(id));
+    }
+
+    /// <summary>
+    ///     Searches for the wishlist item with the specified <paramref name="id"/> now, regardless of its schedule.
+    /// </summary>
+    /// <remarks>
+    ///     The search runs in the background; poll the item or its runs to see the outcome.
+    /// </remarks>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns></returns>
+    /// <response code="202">The search was started.</response>
+    /// <response code="403">The request was forbidden.</response>
+    /// <response code="404">The item could not be found.</response>
+    /// <response code="409">The item is already being searched for.</response>
+    [HttpPost("{id}/runs")]
+    [Authorize(Policy = AuthPolicy.Any, Roles = AuthRole.ReadWriteOrAdministrator)]
+    [ProducesResponseType(StatusCodes.Status202Accepted)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(typeof(string), StatusCodes.Status409Conflict)]
+    public async Task<IActionResult> Run([FromRoute] Guid id)
+    {
+        if (Program.IsRelayAgent)
+        {
+            return Forbid();
+        }
+
+        if (await Wishlist.FindAsync(id) == default)
+        {
+            return NotFound();
+        }
+
+        if (Wishlist.IsRunning(id))
+        {
+            return Conflict($"Wishlist item {id} is already being searched for");
+        }
+
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await Wishlist.RunAsync(id);
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "Failed to run wishlist item {Id}: {Message}", id, ex.Message);
+            }
+        });
+
+        return Accepted();
+    }
+
+    private WishlistItem WithState(WishlistItem item) => item with { IsRunning = Wishlist.IsRunning(item.Id) };
+}
@@ -0,0 +1,99 @@
+// <copyright file="WishlistItemRequest.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Wishlist.API;
+
+using System;
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+using System.Linq;
+using slskd.Search;
+using slskd.Validation;
+
+/// <summary>
+///     A request to create or update a wishlist item.
+/// </summary>
+public record WishlistItemRequest : IValidatableObject
+{
+    /// <summary>
+    ///     Gets the text to search for.
+    /// </summary>
+    [Required]
+    [NotNullOrWhiteSpace]
+    [MaxLength(500)]
+    public string SearchText { get; init; }
+
+    /// <summary>
+    ///     Gets the filter applied to search results, in the same syntax used by the search results page.
+    /// </summary>
+    [MaxLength(2000)]
+    public string Filter { get; init; } = string.Empty;
+
+    /// <summary>
+    ///     Gets the interval between searches, in minutes. (Default = 1440, or once a day).
+    /// </summary>
+    /// <remarks>
+    ///     The minimum is kept well above what the search UI allows, since these searches run unattended and
+    ///     the server will disconnect clients that search too often.
+    /// </remarks>
+    [Range(15, 43200)]
+    public int Interval { get; init; } = 1440;
+
+    /// <summary>
+    ///     Gets the action to take when new matches are found. (Default = Notify).
+    /// </summary>
+    public WishlistAction Action { get; init; } = WishlistAction.Notify;
+
+    /// <summary>
+    ///     Gets a value indicating whether the item is searched for on schedule. (Default = true).
+    /// </summary>
+    public bool Enabled { get; init; } = true;
+
+    /// <inheritdoc/>
+    public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+    {
+        if (!Enum.IsDefined(Action))
+        {
+            yield return new ValidationResult($"The field Action must be one of: {string.Join(", ", Enum.GetNames<WishlistAction>())}", [nameof(Action)]);
+        }
+
+        // a filter that partially failed to parse would silently match more than intended, which is
+        // an unpleasant surprise when matches are enqueued automatically
+        var filter = SearchFilter.Parse(Filter);
+
+        if (filter.Errors.Any())
+        {
+            var errors = string.Join("; ", filter.Errors.Select(e => $"{e.Message} (at character {e.Start + 1})"));
+            yield return new ValidationResult($"The field Filter is invalid: {errors}", [nameof(Filter)]);
+        }
+    }
+}
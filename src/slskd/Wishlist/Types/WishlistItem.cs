@@ -0,0 +1,109 @@
+// <copyright file="WishlistItem.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Wishlist;
+
+using System;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+/// <summary>
+///     A search that is re-run periodically until it turns up something new.
+/// </summary>
+public record WishlistItem
+{
+    /// <summary>
+    ///     Gets the unique identifier for the item.
+    /// </summary>
+    [Key]
+    public Guid Id { get; init; }
+
+    /// <summary>
+    ///     Gets or sets the text to search for.
+    /// </summary>
+    public string SearchText { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the filter applied to search results, in the same syntax used by the search results page.
+    /// </summary>
+    /// <remarks>
+    ///     See <see cref="Search.SearchFilter"/>.
+    /// </remarks>
+    public string Filter { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the interval between searches, in minutes.
+    /// </summary>
+    public int Interval { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the action to take when new matches are found.
+    /// </summary>
+    public WishlistAction Action { get; set; }
+
+    /// <summary>
+    ///     Gets or sets a value indicating whether the item is searched for on schedule.
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    ///     Gets the time at which the item was created.
+    /// </summary>
+    public DateTime CreatedAt { get; init; } = DateTime.UtcNow;
+
+    /// <summary>
+    ///     Gets or sets the time at which the item was last searched for, if it has been.
+    /// </summary>
+    public DateTime? LastRunAt { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the ID of the most recent search.
+    /// </summary>
+    public Guid? LastSearchId { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the number of runs that found at least one file that hadn't already been downloaded.
+    /// </summary>
+    public int HitCount { get; set; }
+
+    /// <summary>
+    ///     Gets the time at which the item is next due to be searched for.
+    /// </summary>
+    [NotMapped]
+    public DateTime NextRunAt => LastRunAt?.AddMinutes(Interval) ?? CreatedAt;
+
+    /// <summary>
+    ///     Gets a value indicating whether the item is being searched for right now.
+    /// </summary>
+    [NotMapped]
+    public bool IsRunning { get; init; }
+}
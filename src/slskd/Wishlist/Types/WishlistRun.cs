@@ -0,0 +1,113 @@
+// <copyright file="WishlistRun.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Wishlist;
+
+using System;
+using System.ComponentModel.DataAnnotations;
+
+/// <summary>
+///     The outcome of a single search for a <see cref="WishlistItem"/>.
+/// </summary>
+public record WishlistRun
+{
+    /// <summary>
+    ///     Gets the unique identifier for the run.
+    /// </summary>
+    [Key]
+    public Guid Id { get; init; } = Guid.NewGuid();
+
+    /// <summary>
+    ///     Gets the ID of the <see cref="WishlistItem"/> the run belongs to.
+    /// </summary>
+    public Guid ItemId { get; init; }
+
+    /// <summary>
+    ///     Gets the ID of the search that was performed.
+    /// </summary>
+    public Guid SearchId { get; init; }
+
+    /// <summary>
+    ///     Gets the time at which the run started.
+    /// </summary>
+    public DateTime StartedAt { get; init; } = DateTime.UtcNow;
+
+    /// <summary>
+    ///     Gets or sets the time at which the run ended.
+    /// </summary>
+    public DateTime? EndedAt { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the number of responses the search received.
+    /// </summary>
+    public int ResponseCount { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the number of files that matched the filter.
+    /// </summary>
+    public int MatchCount { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the number of matching files that hadn't already been downloaded.
+    /// </summary>
+    public int NewMatchCount { get; set; }
+
+    /// <summary>
+    ///     Gets or sets a hash of the new matches, used to avoid notifying about the same files on every run.
+    /// </summary>
+    public string NewMatchFingerprint { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the user the best match was found on, if there was one.
+    /// </summary>
+    public string Username { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the remote directory of the best match, if there was one.
+    /// </summary>
+    public string Directory { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the ID of the batch the best match was enqueued in, if it was.
+    /// </summary>
+    public Guid? BatchId { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the number of files that were enqueued.
+    /// </summary>
+    public int EnqueuedCount { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the reason the run failed, if it did.
+    /// </summary>
+    public string Error { get; set; }
+}
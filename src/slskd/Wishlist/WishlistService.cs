@@ -0,0 +1,538 @@
+// <copyright file="WishlistService.cs" company="JP Dillingham">
+//           ▄▄▄▄     ▄▄▄▄     ▄▄▄▄
+//     ▄▄▄▄▄▄█  █▄▄▄▄▄█  █▄▄▄▄▄█  █
+//     █__ --█  █__ --█    ◄█  -  █
+//     █▄▄▄▄▄█▄▄█▄▄▄▄▄█▄▄█▄▄█▄▄▄▄▄█
+//   ┍━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ ━━━━ ━  ━┉   ┉     ┉
+//   │ Copyright (c) JP Dillingham.
+//   │
+//   │ This program is free software: you can redistribute it and/or modify
+//   │ it under the terms of the GNU Affero General Public License as published
+//   │ by the Free Software Foundation, version 3.
+//   │
+//   │ This program is distributed in the hope that it will be useful,
+//   │ but WITHOUT ANY WARRANTY; without even the implied warranty of
+//   │ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+//   │ GNU Affero General Public License for more details.
+//   │
+//   │ You should have received a copy of the GNU Affero General Public License
+//   │ along with this program.  If not, see https://www.gnu.org/licenses/.
+//   │
+//   │ This program is distributed with Additional Terms pursuant to Section 7
+//   │ of the AGPLv3.  See the LICENSE file in the root directory of this
+//   │ project for the complete terms and conditions.
+//   │
+//   │ https://slskd.org
+//   │
+//   ├╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌ ╌ ╌╌╌╌ ╌
+//   │ SPDX-FileCopyrightText: JP Dillingham
+//   │ SPDX-License-Identifier: AGPL-3.0-only
+//   ╰───────────────────────────────────────────╶──── ─ ─── ─  ── ──┈  ┈
+// </copyright>
+
+namespace slskd.Wishlist;
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using Serilog;
+using slskd.Events;
+using slskd.Search;
+using slskd.Transfers;
+using slskd.Users;
+using ISoulseekClient = Soulseek.ISoulseekClient;
+using SearchQuery = Soulseek.SearchQuery;
+using SearchScope = Soulseek.SearchScope;
+using SoulseekClientStates = Soulseek.SoulseekClientStates;
+using UserOfflineException = Soulseek.UserOfflineException;
+
+/// <summary>
+///     Manages wishlist items and re-runs their searches on schedule.
+/// </summary>
+public interface IWishlistService
+{
+    /// <summary>
+    ///     Creates the specified <paramref name="item"/>.
+    /// </summary>
+    /// <param name="item">The item to create.</param>
+    /// <returns>The created item.</returns>
+    Task<WishlistItem> CreateAsync(WishlistItem item);
+
+    /// <summary>
+    ///     Deletes the item with the specified <paramref name="id"/>, along with its run history.
+    /// </summary>
+    /// <param name="id">The ID of the item to delete.</param>
+    /// <returns>A value indicating whether the item was found and deleted.</returns>
+    Task<bool> DeleteAsync(Guid id);
+
+    /// <summary>
+    ///     Finds the item with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The found item, or default if not found.</returns>
+    Task<WishlistItem> FindAsync(Guid id);
+
+    /// <summary>
+    ///     Returns a value indicating whether the item with the specified <paramref name="id"/> is being searched for.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>A value indicating whether the item is being searched for.</returns>
+    bool IsRunning(Guid id);
+
+    /// <summary>
+    ///     Returns all items.
+    /// </summary>
+    /// <returns>The list of items.</returns>
+    Task<List<WishlistItem>> ListAsync();
+
+    /// <summary>
+    ///     Returns the most recent runs for the item with the specified <paramref name="id"/>, newest first.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The list of runs.</returns>
+    Task<List<WishlistRun>> ListRunsAsync(Guid id);
+
+    /// <summary>
+    ///     Searches for the item with the specified <paramref name="id"/> now, regardless of its schedule.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The completed run.</returns>
+    /// <exception cref="NotFoundException">Thrown when the item can't be found.</exception>
+    /// <exception cref="ConflictException">Thrown when the item is already being searched for.</exception>
+    Task<WishlistRun> RunAsync(Guid id);
+
+    /// <summary>
+    ///     Updates the specified <paramref name="item"/>.
+    /// </summary>
+    /// <param name="item">The item to update.</param>
+    /// <returns>The updated item.</returns>
+    Task<WishlistItem> UpdateAsync(WishlistItem item);
+}
+
+/// <summary>
+///     Manages wishlist items and re-runs their searches on schedule.
+/// </summary>
+/// <remarks>
+///     <para>
+///         Once a minute, any enabled item that is due is searched for, one at a time so that we don't flood the
+///         server with searches. Results are filtered with the item's filter, and files that have already been
+///         downloaded (or are being downloaded) are dropped; whatever is left is a hit.
+///     </para>
+///     <para>
+///         Hits raise a <see cref="WishlistMatchFoundEvent"/>. Notify-only items only raise it when the hits differ
+///         from the previous run, so an unchanged result doesn't notify on every interval. Auto-enqueue items enqueue
+///         the best matching directory in a batch linked to the search, and are then disabled so that the same thing
+///         isn't downloaded again from someone else.
+///     </para>
+/// </remarks>
+public class WishlistService : IWishlistService
+{
+    /// <summary>
+    ///     The number of runs kept for each item.
+    /// </summary>
+    private static readonly int RunHistoryLimit = 50;
+
+    /// <summary>
+    ///     The longest we'll wait for a search to complete before giving up on the run.
+    /// </summary>
+    private static readonly TimeSpan SearchCompletionTimeout = TimeSpan.FromMinutes(10);
+
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="WishlistService"/> class.
+    /// </summary>
+    /// <param name="contextFactory">The database context factory to use.</param>
+    /// <param name="searchService">The search service.</param>
+    /// <param name="transferService">The transfer service.</param>
+    /// <param name="userService">The user service.</param>
+    /// <param name="soulseekClient">The Soulseek client.</param>
+    /// <param name="eventBus">The event bus.</param>
+    public WishlistService(
+        IDbContextFactory<WishlistDbContext> contextFactory,
+        ISearchService searchService,
+        TransferService transferService,
+        IUserService userService,
+        ISoulseekClient soulseekClient,
+        EventBus eventBus)
+    {
+        ContextFactory = contextFactory;
+        Searches = searchService;
+        Transfers = transferService;
+        Users = userService;
+        Client = soulseekClient;
+        EventBus = eventBus;
+
+        Clock.EveryMinute += (_, _) => Task.Run(() => CheckAsync());
+    }
+
+    private ISoulseekClient Client { get; }
+    private IDbContextFactory<WishlistDbContext> ContextFactory { get; }
+    private EventBus EventBus { get; }
+    private ILogger Log { get; } = Serilog.Log.ForContext<WishlistService>();
+    private ConcurrentDictionary<Guid, bool> Running { get; } = new();
+    private ISearchService Searches { get; }
+    private SemaphoreSlim SyncRoot { get; } = new SemaphoreSlim(initialCount: 1, maxCount: 1);
+    private TransferService Transfers { get; }
+    private IUserService Users { get; }
+
+    /// <summary>
+    ///     Creates the specified <paramref name="item"/>.
+    /// </summary>
+    /// <param name="item">The item to create.</param>
+    /// <returns>The created item.</returns>
+    public async Task<WishlistItem> CreateAsync(WishlistItem item)
+    {
+        if (item == default)
+        {
+            throw new ArgumentNullException(nameof(item));
+        }
+
+        using var context = ContextFactory.CreateDbContext();
+
+        context.Items.Add(item);
+        await context.SaveChangesAsync();
+
+        return item;
+    }
+
+    /// <summary>
+    ///     Deletes the item with the specified <paramref name="id"/>, along with its run history.
+    /// </summary>
+    /// <param name="id">The ID of the item to delete.</param>
+    /// <returns>A value indicating whether the item was found and deleted.</returns>
+    public async Task<bool> DeleteAsync(Guid id)
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        var deleted = await context.Items.Where(i => i.Id == id).ExecuteDeleteAsync();
+        await context.Runs.Where(r => r.ItemId == id).ExecuteDeleteAsync();
+
+        return deleted > 0;
+    }
+
+    /// <summary>
+    ///     Finds the item with the specified <paramref name="id"/>.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The found item, or default if not found.</returns>
+    public async Task<WishlistItem> FindAsync(Guid id)
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        return await context.Items
+            .AsNoTracking()
+            .SingleOrDefaultAsync(i => i.Id == id);
+    }
+
+    /// <summary>
+    ///     Returns a value indicating whether the item with the specified <paramref name="id"/> is being searched for.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>A value indicating whether the item is being searched for.</returns>
+    public bool IsRunning(Guid id) => Running.ContainsKey(id);
+
+    /// <summary>
+    ///     Returns all items.
+    /// </summary>
+    /// <returns>The list of items.</returns>
+    public async Task<List<WishlistItem>> ListAsync()
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        return await context.Items
+            .AsNoTracking()
+            .OrderBy(i => i.CreatedAt)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    ///     Returns the most recent runs for the item with the specified <paramref name="id"/>, newest first.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The list of runs.</returns>
+    public async Task<List<WishlistRun>> ListRunsAsync(Guid id)
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        return await context.Runs
+            .AsNoTracking()
+            .Where(r => r.ItemId == id)
+            .OrderByDescending(r => r.StartedAt)
+            .Take(RunHistoryLimit)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    ///     Searches for the item with the specified <paramref name="id"/> now, regardless of its schedule.
+    /// </summary>
+    /// <param name="id">The ID of the item.</param>
+    /// <returns>The completed run.</returns>
+    /// <exception cref="NotFoundException">Thrown when the item can't be found.</exception>
+    /// <exception cref="ConflictException">Thrown when the item is already being searched for.</exception>
+    public async Task<WishlistRun> RunAsync(Guid id)
+    {
+        var item = await FindAsync(id) ?? throw new NotFoundException($"Wishlist item {id} does not exist");
+
+        if (!Running.TryAdd(id, true))
+        {
+            throw new ConflictException($"Wishlist item {id} is already being searched for");
+        }
+
+        try
+        {
+            return await RunAsync(item);
+        }
+        finally
+        {
+            Running.TryRemove(id, out _);
+        }
+    }
+
+    /// <summary>
+    ///     Updates the specified <paramref name="item"/>.
+    /// </summary>
+    /// <param name="item">The item to update.</param>
+    /// <returns>The updated item.</returns>
+    public async Task<WishlistItem> UpdateAsync(WishlistItem item)
+    {
+        using var context = ContextFactory.CreateDbContext();
+
+        context.Items.Update(item);
+        await context.SaveChangesAsync();
+
+        return item;
+    }
+
+    private static string GetDownloadKey(string filename, long size)
+        => $"{filename.NormalizePathForSoulseek().GetNormalizedFileName().ToLowerInvariant()}:{size}";
+
+    private static string GetFingerprint(IEnumerable<(Response Response, File File)> matches)
+    {
+        var keys = matches
+            .Select(m => $"{m.Response.Username}:{m.File.Filename}:{m.File.Size}")
+            .OrderBy(key => key, StringComparer.Ordinal);
+
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(string.Join('\n', keys))));
+    }
+
+    private async Task CheckAsync()
+    {
+        if (Program.IsRelayAgent || !Client.State.HasFlag(SoulseekClientStates.Connected | SoulseekClientStates.LoggedIn))
+        {
+            return;
+        }
+
+        // a pass can take several minutes if a few items are due at once; skip the tick rather than pile up
+        if (!await SyncRoot.WaitAsync(0))
+        {
+            return;
+        }
+
+        try
+        {
+            var now = DateTime.UtcNow;
+
+            var due = (await ListAsync())
+                .Where(i => i.Enabled && i.NextRunAt <= now)
+                .OrderBy(i => i.NextRunAt)
+                .ToList();
+
+            foreach (var item in due)
+            {
+                if (!Running.TryAdd(item.Id, true))
+                {
+                    continue;
+                }
+
+                try
+                {
+                    await RunAsync(item);
+                }
+                finally
+                {
+                    Running.TryRemove(item.Id, out _);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Log.Error(ex, "Failed to check wishlist: {Message}", ex.Message);
+        }
+        finally
+        {
+            SyncRoot.Release();
+        }
+    }
+
+    private async Task<WishlistRun> RunAsync(WishlistItem item)
+    {
+        var run = new WishlistRun { ItemId = item.Id, SearchId = Guid.NewGuid() };
+
+        // record the attempt up front, so that an item that fails waits for its next interval instead of
+        // being retried every minute
+        item.LastRunAt = run.StartedAt;
+        item.LastSearchId = run.SearchId;
+
+        try
+        {
+            Log.Information("Searching for wishlist item '{SearchText}' (id: {Id})", item.SearchText, item.Id);
+
+            var filter = SearchFilter.Parse(item.Filter);
+
+            await Searches.StartAsync(run.SearchId, SearchQuery.FromText(item.SearchText), SearchScope.Network);
+
+            var search = await Searches.WaitForCompletionAsync(run.SearchId, SearchCompletionTimeout);
+            var responses = search.Responses.ToList();
+
+            var matches = responses
+                .SelectMany(response => filter.Apply(response).Select(file => (Response: response, File: file)))
+                .ToList();
+
+            var downloaded = Transfers.Downloads
+                .List(t => !TransferStateCategories.Failed.Contains(t.State), includeRemoved: true)
+                .Select(t => GetDownloadKey(t.Filename, t.Size))
+                .ToHashSet();
+
+            var hits = matches
+                .Where(m => !downloaded.Contains(GetDownloadKey(m.File.Filename, m.File.Size)))
+                .ToList();
+
+            run.ResponseCount = responses.Count;
+            run.MatchCount = matches.Count;
+            run.NewMatchCount = hits.Count;
+
+            if (hits.Count == 0)
+            {
+                Log.Information("Wishlist search for '{SearchText}' found {Matches} matching files, none of them new", item.SearchText, matches.Count);
+                return run;
+            }
+
+            item.HitCount++;
+
+            var previous = (await ListRunsAsync(item.Id)).FirstOrDefault();
+
+            // prefer a source that can start right away, then the most complete directory, then the fastest
+            var best = hits
+                .GroupBy(m => (m.Response.Username, Directory: m.File.Filename.DirectoryName()))
+                .OrderByDescending(g => g.First().Response.HasFreeUploadSlot)
+                .ThenByDescending(g => g.Count())
+                .ThenByDescending(g => g.First().Response.UploadSpeed)
+                .ThenBy(g => g.First().Response.QueueLength)
+                .First();
+
+            run.Username = best.Key.Username;
+            run.Directory = best.Key.Directory;
+            run.NewMatchFingerprint = GetFingerprint(hits);
+
+            Log.Information("Wishlist search for '{SearchText}' found {Hits} new matching files; best match is {Directory} from {Username}", item.SearchText, hits.Count, run.Directory, run.Username);
+
+            if (item.Action == WishlistAction.Enqueue)
+            {
+                await EnqueueAsync(run, best.Select(m => m.File).ToList());
+                item.Enabled = false;
+            }
+            else if (previous?.NewMatchFingerprint == run.NewMatchFingerprint)
+            {
+                Log.Debug("Wishlist matches for '{SearchText}' haven't changed since the last run; not notifying", item.SearchText);
+                return run;
+            }
+
+            EventBus.Raise(new WishlistMatchFoundEvent
+            {
+                Item = item,
+                Run = run,
+            });
+
+            return run;
+        }
+        catch (Exception ex)
+        {
+            Log.Warning(ex, "Wishlist search for '{SearchText}' failed: {Message}", item.SearchText, ex.Message);
+            run.Error = ex.Message;
+            return run;
+        }
+        finally
+        {
+            run.EndedAt = DateTime.UtcNow;
+            await SaveRunAsync(item, run);
+        }
+    }
+
+    private async Task EnqueueAsync(WishlistRun run, List<File> files)
+    {
+        var endpoint = await Users.GetIPEndPointAsync(run.Username);
+
+        if (Users.IsBlacklisted(run.Username, endpoint.Address))
+        {
+            throw new UserOfflineException($"User {run.Username} appears to be offline");
+        }
+
+        var batchId = Guid.NewGuid();
+
+        await Transfers.Downloads.Batches.CreateAsync(new()
+        {
+            Id = batchId,
+            SearchId = run.SearchId,
+            Username = run.Username,
+            Options = new(),
+        });
+
+        var (enqueued, failed) = await Transfers.Downloads.EnqueueAsync(
+            username: run.Username,
+            files: files.Select(f => (f.Filename, f.Size)),
+            batchId: batchId);
+
+        if (failed.Count > 0)
+        {
+            Log.Warning("Failed to enqueue {Count} of {Total} wishlist files from {Username} (batch Id: {BatchId}).  Failures: {Failures}", failed.Count, files.Count, run.Username, batchId, failed);
+        }
+
+        run.BatchId = batchId;
+        run.EnqueuedCount = enqueued.Count;
+    }
+
+    private async Task SaveRunAsync(WishlistItem item, WishlistRun run)
+    {
+        try
+        {
+            using var context = ContextFactory.CreateDbContext();
+
+            context.Runs.Add(run);
+
+            // the item may have been edited or deleted while the search was running; only touch the
+            // fields the run owns, and don't resurrect a deleted item
+            var current = await context.Items.SingleOrDefaultAsync(i => i.Id == item.Id);
+
+            if (current is not null)
+            {
+                current.LastRunAt = item.LastRunAt;
+                current.LastSearchId = item.LastSearchId;
+                current.HitCount = item.HitCount;
+                current.Enabled = current.Enabled && item.Enabled;
+            }
+
+            await context.SaveChangesAsync();
+
+            var expired = await context.Runs
+                .Where(r => r.ItemId == item.Id)
+                .OrderByDescending(r => r.StartedAt)
+                .Skip(RunHistoryLimit)
+                .Select(r => r.Id)
+                .ToListAsync();
+
+            if (expired.Count > 0)
+            {
+                await context.Runs.Where(r => expired.Contains(r.Id)).ExecuteDeleteAsync();
+            }
+        }
+        catch (Exception ex)
+        {
+            Log.Error(ex, "Failed to save wishlist run for '{SearchText}': {Message}", item.SearchText, ex.Message);
+        }
+    }
+}
@@ -1,16 +1,23 @@
 import 'react-toastify/dist/ReactToastify.css';
 import './App.css';
-import { urlBase } from '../config';
+import { activeChatKey, activeRoomKey, urlBase } from '../config';
+import { onUnauthorized } from '../lib/api';
 import {
   createApplicationHubConnection,
+  createMessagingHubConnection,
   createMetricsHubConnection,
+  createUsersHubConnection,
 } from '../lib/hubFactory';
+import * as notifications from '../lib/notifications';
 import * as relayAPI from '../lib/relay';
+import * as roomActivity from '../lib/roomActivity';
+import * as rooms from '../lib/rooms';
 import { connect, disconnect } from '../lib/server';
 import * as session from '../lib/session';
-import { isPassthroughEnabled } from '../lib/token';
+import { clearToken, isPassthroughEnabled } from '../lib/token';
 import AppContext from './AppContext';
 import AppFooter from './AppFooter';
+import Batches from './Batches/Batches';
 import Browse from './Browse/Browse';
 import Chat from './Chat/Chat';
 import Dashboard from './Dashboard/Dashboard';
@@ -20,14 +27,17 @@ import Searches from './Search/Searches';
 import ErrorSegment from './Shared/ErrorSegment';
 import System from './System/System';
 import Transfers from './Transfers/Transfers';
+import UserProfile from './Users/UserProfile';
 import Users from './Users/Users';
+import Wishlist from './Wishlist/Wishlist';
 import React, { Component } from 'react';
 import { Link, Redirect, Route, Switch } from 'react-router-dom';
-import { ToastContainer } from 'react-toastify';
+import { toast, ToastContainer } from 'react-toastify';
 import {
   Button,
   Header,
   Icon,
+  Label,
   Loader,
   Menu,
   Modal,
@@ -39,15 +49,19 @@ const initialState = {
   applicationOptions: {},
   applicationState: {},
   error: false,
+  expired: false,
   initialized: false,
   login: {
     error: undefined,
     pending: false,
   },
   retriesExhausted: false,
+  roomActivity: {},
   transferMetrics: {},
 };
 
+const sessionExpiryToastId = 'session-expiry';
+
 const ModeSpecificConnectButton = ({
   connectionWatchdog,
   controller = {},
@@ -158,6 +172,7 @@ class App extends Component {
 
     this.state = initialState;
     this.hubConnections = {};
+    this.sessionTimers = [];
   }
 
   componentDidMount() {
@@ -176,9 +191,18 @@ class App extends Component {
         );
     }
 
+    // a request was refused because the session has ended; rather than
+    // reloading, ask the user to log in again over whatever they were doing
+    this.unsubscribeUnauthorized = onUnauthorized(this.handleSessionEnded);
+
     this.init();
   }
 
+  componentWillUnmount() {
+    this.unsubscribeUnauthorized?.();
+    this.clearSessionTimers();
+  }
+
   init = async () => {
     this.setState({ initialized: false }, async () => {
       try {
@@ -190,6 +214,8 @@ class App extends Component {
         }
 
         if (await session.check()) {
+          this.scheduleSessionTimers();
+
           const appHub = createApplicationHubConnection();
 
           appHub.on('state', (state) => {
@@ -223,6 +249,68 @@ class App extends Component {
           await this.hubConnections.metricsHub?.stop();
           this.hubConnections.metricsHub = metricsHub;
           await metricsHub.start();
+
+          const messagingHub = createMessagingHubConnection();
+
+          messagingHub.on('private_message', (message) =>
+            this.notify(notifications.getPrivateMessageNotification(message), {
+              key: activeChatKey,
+              name: message.username,
+              path: 'chat',
+            }),
+          );
+
+          messagingHub.on('room_message', (message) => {
+            const username = this.state.applicationState?.user?.username;
+
+            this.notify(
+              notifications.getRoomMessageNotification(
+                message,
+                username,
+                roomActivity.getHighlightPatterns(),
+              ),
+              { key: activeRoomKey, name: message.roomName, path: 'rooms' },
+            );
+
+            this.countRoomMessage(message);
+          });
+
+          // joining or leaving a room, perhaps from another tab, changes which
+          // rooms have unread messages
+          messagingHub.on('room_joined', (event) =>
+            event.self ? this.fetchRoomActivity() : undefined,
+          );
+          messagingHub.on('room_left', (event) =>
+            event.self ? this.fetchRoomActivity() : undefined,
+          );
+          messagingHub.onreconnected(() => this.fetchRoomActivity());
+
+          await this.hubConnections.messagingHub?.stop();
+          this.hubConnections.messagingHub = messagingHub;
+
+          // notifications and unread counts are a nicety; don't fail to load
+          // the app over them
+          try {
+            await messagingHub.start();
+            await this.fetchRoomActivity();
+          } catch (error) {
+            console.error(error);
+          }
+
+          const usersHub = createUsersHubConnection();
+
+          usersHub.on('buddy_online', (buddy) =>
+            toast.info(`${buddy.username} is online`),
+          );
+
+          await this.hubConnections.usersHub?.stop();
+          this.hubConnections.usersHub = usersHub;
+
+          try {
+            await usersHub.start();
+          } catch (error) {
+            console.error(error);
+          }
         }
 
         const savedTheme = this.getSavedTheme();
@@ -242,6 +330,96 @@ class App extends Component {
     });
   };
 
+  // shows a desktop notification, unless it's disabled or the conversation or
+  // room it's about is already on screen
+  notify = (notification, { key, name, path }) => {
+    if (!notification || !notifications.getNotificationsEnabled()) {
+      return;
+    }
+
+    const isViewing =
+      !document.hidden &&
+      window.location.pathname.startsWith(`${urlBase}/${path}`) &&
+      sessionStorage.getItem(key) === name;
+
+    if (!isViewing) {
+      notifications.notify(notification);
+    }
+  };
+
+  // counts the unread messages, and mentions of our username or keywords, in
+  // each joined room, from the messages the server has kept
+  fetchRoomActivity = async () => {
+    try {
+      const patterns = roomActivity.getHighlightPatterns({
+        username: this.state.applicationState?.user?.username,
+      });
+      const positions = roomActivity.getReadPositions();
+      const activity = {};
+
+      for (const roomName of (await rooms.getJoined()) ?? []) {
+        activity[roomName] = roomActivity.countUnread(
+          (await rooms.getMessages({ roomName })) ?? [],
+          { patterns, readPosition: positions[roomName] },
+        );
+      }
+
+      this.setState({ roomActivity: activity });
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  countRoomMessage = (message) => {
+    // the rooms page may have already marked it read
+    if (
+      !roomActivity.isUnread(
+        message,
+        roomActivity.getReadPosition(message.roomName),
+      )
+    ) {
+      return;
+    }
+
+    const highlighted = roomActivity.isHighlighted(
+      message,
+      roomActivity.getHighlightPatterns({
+        username: this.state.applicationState?.user?.username,
+      }),
+    );
+
+    this.setState((state) => {
+      const room = state.roomActivity[message.roomName] ?? {
+        mentions: 0,
+        unread: 0,
+      };
+
+      return {
+        roomActivity: {
+          ...state.roomActivity,
+          [message.roomName]: {
+            mentions: room.mentions + (highlighted ? 1 : 0),
+            unread: room.unread + 1,
+          },
+        },
+      };
+    });
+  };
+
+  // keywords change which messages count as mentions
+  handleRoomKeywordsChange = () => this.fetchRoomActivity();
+
+  handleRoomRead = (roomName, timestamp) => {
+    roomActivity.setReadPosition(roomName, timestamp);
+
+    this.setState((state) => ({
+      roomActivity: {
+        ...state.roomActivity,
+        [roomName]: { mentions: 0, unread: 0 },
+      },
+    }));
+  };
+
   getSavedTheme = () => {
     return localStorage.getItem('slskd-theme');
   };
@@ -254,6 +432,109 @@ class App extends Component {
     });
   };
 
+  // refreshes the session before the token expires, warns if that keeps
+  // failing, and asks the user to log in again once it has expired
+  scheduleSessionTimers = () => {
+    this.clearSessionTimers();
+
+    // kept so the app looks the same while the user logs in again
+    this.lastSession = {
+      role: session.getRole(),
+      username: session.getUsername(),
+    };
+
+    const timers = session.getSessionTimers();
+
+    if (!timers) {
+      return;
+    }
+
+    this.sessionTimers = [
+      setTimeout(this.warnOfExpiry, timers.warnIn),
+      setTimeout(this.expireSession, timers.expiresIn),
+    ];
+
+    // the last token of a session lasts to its end, and can't be refreshed
+    if (!timers.final) {
+      this.sessionTimers.push(
+        setTimeout(this.refreshSession, timers.refreshIn),
+      );
+    }
+  };
+
+  clearSessionTimers = () => {
+    for (const timer of this.sessionTimers) {
+      clearTimeout(timer);
+    }
+
+    this.sessionTimers = [];
+  };
+
+  refreshSession = async () => {
+    try {
+      await session.refresh();
+      toast.dismiss(sessionExpiryToastId);
+      this.scheduleSessionTimers();
+    } catch (error) {
+      console.error('failed to refresh session', error);
+
+      // a revoked session can't be refreshed; anything else is worth retrying
+      // while there's time, and the warning and expiry still stand
+      const timers = session.getSessionTimers();
+
+      if (
+        error?.response?.status !== 401 &&
+        timers?.expiresIn > session.refreshRetryDelay
+      ) {
+        this.sessionTimers.push(
+          setTimeout(this.refreshSession, session.refreshRetryDelay),
+        );
+      }
+    }
+  };
+
+  warnOfExpiry = () => {
+    const timers = session.getSessionTimers();
+
+    // another tab may have refreshed the token since
+    if (timers?.warnIn > 0) {
+      this.scheduleSessionTimers();
+      return;
+    }
+
+    const minutes = Math.max(1, Math.ceil((timers?.expiresIn ?? 0) / 60_000));
+
+    const reason = timers?.final
+      ? 'Your session has reached its time limit'
+      : "Your session couldn't be renewed";
+
+    toast.warning(
+      `${reason}, and ends in ${minutes} minute${minutes === 1 ? '' : 's'}.  You'll be asked to log in again, and can pick up where you left off.`,
+      { autoClose: false, toastId: sessionExpiryToastId },
+    );
+  };
+
+  expireSession = () => {
+    if (session.getSessionTimers()?.expiresIn > 0) {
+      this.scheduleSessionTimers();
+      return;
+    }
+
+    clearToken();
+    this.handleSessionEnded();
+  };
+
+  handleSessionEnded = () => {
+    this.clearSessionTimers();
+    toast.dismiss(sessionExpiryToastId);
+
+    // only a session that was started here can end; otherwise the login form
+    // is already showing
+    if (this.lastSession && !isPassthroughEnabled()) {
+      this.setState({ expired: true });
+    }
+  };
+
   handleLogin = (username, password, rememberMe) => {
     this.setState(
       (previousState) => ({
@@ -262,6 +543,15 @@ class App extends Component {
       async () => {
         try {
           await session.login({ password, rememberMe, username });
+
+          // the app is still running under the login form, and picks up
+          // where it left off
+          if (this.state.expired) {
+            this.setState({ expired: false, login: { ...initialState.login } });
+            this.scheduleSessionTimers();
+            return;
+          }
+
           this.setState(
             (previousState) => ({
               login: { ...previousState.login, error: false, pending: false },
@@ -278,6 +568,9 @@ class App extends Component {
   };
 
   logout = () => {
+    this.clearSessionTimers();
+    toast.dismiss(sessionExpiryToastId);
+    this.lastSession = undefined;
     session.logout();
 
     this.hubConnections?.appHub?.stop();
@@ -286,16 +579,55 @@ class App extends Component {
     this.setState({ login: { ...initialState.login } });
   };
 
+  checkSession = async () => {
+    try {
+      if (!(await session.check())) {
+        this.handleSessionEnded();
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
   withTokenCheck = (component) => {
-    session.check(); // async, runs in the background
+    this.checkSession(); // async, runs in the background
     return { ...component };
   };
 
+  getRole = () =>
+    this.state.expired ? this.lastSession?.role : session.getRole();
+
+  renderSessionEnded = () => {
+    const { expired, login } = this.state;
+
+    if (!expired) {
+      return null;
+    }
+
+    return (
+      <Modal
+        open
+        size="tiny"
+      >
+        <Modal.Content>
+          <LoginForm
+            error={login.error}
+            expired
+            loading={login.pending}
+            onLoginAttempt={this.handleLogin}
+            username={this.lastSession?.username}
+          />
+        </Modal.Content>
+      </Modal>
+    );
+  };
+
   render() {
     const {
       applicationOptions = {},
       applicationState = {},
       error,
+      expired,
       initialized,
       login,
       retriesExhausted,
@@ -347,7 +679,7 @@ class App extends Component {
       );
     }
 
-    if (!session.isLoggedIn() && !isPassthroughEnabled()) {
+    if (!session.isLoggedIn() && !isPassthroughEnabled() && !expired) {
       return (
         <LoginForm
           error={login.error}
@@ -359,6 +691,8 @@ class App extends Component {
     }
 
     const isAgent = mode === 'Agent';
+    const role = this.getRole();
+    const roomMentions = roomActivity.getTotalMentions(this.state.roomActivity);
 
     if (theme === 'dark') {
       document.documentElement.classList.add(theme);
@@ -411,12 +745,24 @@ class App extends Component {
                     Search
                   </Menu.Item>
                 </Link>
+                <Link to={`${urlBase}/wishlist`}>
+                  <Menu.Item>
+                    <Icon name="star" />
+                    Wishlist
+                  </Menu.Item>
+                </Link>
                 <Link to={`${urlBase}/downloads`}>
                   <Menu.Item>
                     <Icon name="download" />
                     Downloads
                   </Menu.Item>
                 </Link>
+                <Link to={`${urlBase}/batches`}>
+                  <Menu.Item>
+                    <Icon name="boxes" />
+                    Batches
+                  </Menu.Item>
+                </Link>
                 <Link to={`${urlBase}/uploads`}>
                   <Menu.Item>
                     <Icon name="upload" />
@@ -427,6 +773,15 @@ class App extends Component {
                   <Menu.Item>
                     <Icon name="comments" />
                     Rooms
+                    {roomMentions > 0 && (
+                      <Label
+                        className="menu-badge"
+                        color="red"
+                        size="mini"
+                      >
+                        {roomMentions}
+                      </Label>
+                    )}
                   </Menu.Item>
                 </Link>
                 <Link to={`${urlBase}/chat`}>
@@ -533,7 +888,9 @@ class App extends Component {
                     },
                   ]}
                   centered
-                  content="Are you sure you want to log out?"
+                  content={`You're logged in with the ${
+                    session.roleNames[role] ?? role
+                  } role.  Are you sure you want to log out?`}
                   header={
                     <Header
                       content="Confirm Log Out"
@@ -557,7 +914,11 @@ class App extends Component {
                 // eslint-disable-next-line no-warning-comments
                 // TODO: needs useMemo, but class component. yolo for now.
                 // eslint-disable-next-line react/jsx-no-constructed-context-values
-                value={{ options: applicationOptions, state: applicationState }}
+                value={{
+                  options: applicationOptions,
+                  role,
+                  state: applicationState,
+                }}
               >
                 {isAgent ? (
                   <Switch>
@@ -568,6 +929,7 @@ class App extends Component {
                           <System
                             {...props}
                             options={applicationOptions}
+                            role={role}
                             state={applicationState}
                           />,
                         )
@@ -606,12 +968,43 @@ class App extends Component {
                         )
                       }
                     />
+                    <Route
+                      path={`${urlBase}/wishlist`}
+                      render={(props) =>
+                        this.withTokenCheck(
+                          <div className="view">
+                            <Wishlist {...props} />
+                          </div>,
+                        )
+                      }
+                    />
+                    <Route
+                      path={`${urlBase}/batches`}
+                      render={(props) =>
+                        this.withTokenCheck(
+                          <div className="view">
+                            <Batches {...props} />
+                          </div>,
+                        )
+                      }
+                    />
                     <Route
                       path={`${urlBase}/browse`}
                       render={(props) =>
                         this.withTokenCheck(<Browse {...props} />)
                       }
                     />
+                    <Route
+                      path={`${urlBase}/users/:username`}
+                      render={(props) =>
+                        this.withTokenCheck(
+                          <UserProfile
+                            {...props}
+                            selfUsername={applicationState?.user?.username}
+                          />,
+                        )
+                      }
+                    />
                     <Route
                       path={`${urlBase}/users`}
                       render={(props) =>
@@ -632,7 +1025,15 @@ class App extends Component {
                     <Route
                       path={`${urlBase}/rooms`}
                       render={(props) =>
-                        this.withTokenCheck(<Rooms {...props} />)
+                        this.withTokenCheck(
+                          <Rooms
+                            {...props}
+                            activity={this.state.roomActivity}
+                            onKeywordsChange={this.handleRoomKeywordsChange}
+                            onRead={this.handleRoomRead}
+                            username={applicationState?.user?.username}
+                          />,
+                        )
                       }
                     />
                     <Route
@@ -669,6 +1070,7 @@ class App extends Component {
                           <System
                             {...props}
                             options={applicationOptions}
+                            role={role}
                             state={applicationState}
                             theme={theme}
                           />,
@@ -702,6 +1104,7 @@ class App extends Component {
           position="bottom-center"
           rtl={false}
         />
+        {this.renderSessionEnded()}
       </>
     );
   }
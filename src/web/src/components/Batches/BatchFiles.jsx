@@ -0,0 +1,112 @@
+import { formatBytes, getFileName } from '../../lib/util';
+import React from 'react';
+import { Header, Icon, Popup, Table } from 'semantic-ui-react';
+
+const stateColor = (state) => {
+  if (state === 'Completed, Succeeded') return 'green';
+  if (state.includes('Completed')) return 'red';
+  if (state === 'InProgress') return 'blue';
+  return undefined;
+};
+
+// the files in a batch, and the reasons any of them failed; files that
+// couldn't be enqueued have no transfer, so they're only listed as failures
+const BatchFiles = ({ batch, summary }) => {
+  const transfers = [...(batch.transfers ?? [])].sort((a, b) =>
+    a.filename.localeCompare(b.filename),
+  );
+
+  return (
+    <>
+      {transfers.length > 0 && (
+        <Table
+          className="batch-files unstackable"
+          compact="very"
+          size="small"
+        >
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>File</Table.HeaderCell>
+              <Table.HeaderCell>User</Table.HeaderCell>
+              <Table.HeaderCell>Size</Table.HeaderCell>
+              <Table.HeaderCell>State</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {transfers.map((transfer) => (
+              <Table.Row key={transfer.id}>
+                <Table.Cell>
+                  <Popup
+                    content={transfer.filename}
+                    trigger={<span>{getFileName(transfer.filename)}</span>}
+                  />
+                </Table.Cell>
+                <Table.Cell>
+                  {transfer.username}
+                  {transfer.failoverOfId && (
+                    <Popup
+                      content="Failed over from another user"
+                      trigger={
+                        <Icon
+                          className="batch-failover-icon"
+                          name="exchange"
+                          size="small"
+                        />
+                      }
+                    />
+                  )}
+                </Table.Cell>
+                <Table.Cell>{formatBytes(transfer.size)}</Table.Cell>
+                <Table.Cell>
+                  <Icon
+                    color={stateColor(transfer.state) ?? 'grey'}
+                    name="circle"
+                    size="small"
+                  />
+                  {transfer.state}
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+      {summary.failures.length > 0 && (
+        <>
+          <Header
+            as="h5"
+            className="batch-failures-header"
+            color="red"
+          >
+            <Icon name="warning circle" />
+            Failures
+          </Header>
+          <Table
+            className="batch-failures unstackable"
+            compact="very"
+            size="small"
+          >
+            <Table.Body>
+              {summary.failures.map((failure) => (
+                <Table.Row
+                  error
+                  key={`${failure.username}:${failure.filename}`}
+                >
+                  <Table.Cell>
+                    <Popup
+                      content={failure.filename}
+                      trigger={<span>{getFileName(failure.filename)}</span>}
+                    />
+                  </Table.Cell>
+                  <Table.Cell>{failure.username}</Table.Cell>
+                  <Table.Cell>{failure.message}</Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table>
+        </>
+      )}
+    </>
+  );
+};
+
+export default BatchFiles;
@@ -0,0 +1,298 @@
+import './Batches.css';
+import { urlBase } from '../../config';
+import * as transfers from '../../lib/transfers';
+import { formatBytes } from '../../lib/util';
+import ErrorSegment from '../Shared/ErrorSegment';
+import LoaderSegment from '../Shared/LoaderSegment';
+import PlaceholderSegment from '../Shared/PlaceholderSegment';
+import BatchFiles from './BatchFiles';
+import React, { Fragment, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  Card,
+  Checkbox,
+  Icon,
+  Popup,
+  Progress,
+  Segment,
+  Table,
+} from 'semantic-ui-react';
+
+const POLL_INTERVAL = 5_000;
+
+const BatchActions = ({ batch, onInvoke, summary }) => (
+  <>
+    <Popup
+      content="Retry failed files"
+      trigger={
+        <Icon
+          disabled={summary.failed === 0}
+          name="redo"
+          onClick={() =>
+            summary.failed > 0 &&
+            onInvoke(batch, async () => {
+              const response = await transfers.retryBatch({ id: batch.id });
+              const failures = transfers.getEnqueueFailures(response);
+
+              if (failures.length > 0) {
+                toast.warning(transfers.formatEnqueueFailures(failures));
+              } else {
+                toast.success(`Retried ${summary.failed} failed files`);
+              }
+            })
+          }
+        />
+      }
+    />
+    <Popup
+      content="Cancel"
+      trigger={
+        <Icon
+          disabled={summary.isComplete}
+          name="cancel"
+          onClick={() =>
+            !summary.isComplete &&
+            onInvoke(batch, () => transfers.cancelBatch({ id: batch.id }))
+          }
+        />
+      }
+    />
+    <Popup
+      content={
+        summary.isComplete
+          ? 'Remove'
+          : 'Cancel or wait for the batch to complete before removing it'
+      }
+      trigger={
+        <Icon
+          color="red"
+          disabled={!summary.isComplete}
+          name="trash alternate"
+          onClick={() =>
+            summary.isComplete &&
+            onInvoke(batch, () =>
+              transfers.cancelBatch({ id: batch.id, remove: true }),
+            )
+          }
+        />
+      }
+    />
+  </>
+);
+
+const Batches = () => {
+  const [batches, setBatches] = useState(undefined);
+  const [error, setError] = useState(undefined);
+  const [expanded, setExpanded] = useState({});
+  const [working, setWorking] = useState({});
+  const [includeRemoved, setIncludeRemoved] = useState(false);
+
+  const fetch = async () => {
+    try {
+      setBatches(await transfers.getBatches({ includeRemoved }));
+      setError(undefined);
+    } catch (fetchError) {
+      setError(fetchError?.response?.data ?? fetchError?.message ?? fetchError);
+    }
+  };
+
+  useEffect(() => {
+    fetch();
+
+    const timer = window.setInterval(fetch, POLL_INTERVAL);
+
+    return () => window.clearInterval(timer);
+  }, [includeRemoved]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const invoke = async (batch, function_) => {
+    setWorking((old) => ({ ...old, [batch.id]: true }));
+
+    try {
+      await function_();
+      await fetch();
+    } catch (invokeError) {
+      console.error(invokeError);
+      toast.error(
+        invokeError?.response?.data ?? invokeError?.message ?? invokeError,
+      );
+    } finally {
+      setWorking((old) => ({ ...old, [batch.id]: false }));
+    }
+  };
+
+  const toggleExpanded = (batch) =>
+    setExpanded((old) => ({ ...old, [batch.id]: !old[batch.id] }));
+
+  const renderBatches = () => {
+    if (error && !batches) {
+      return <ErrorSegment caption={error} />;
+    }
+
+    if (!batches) {
+      return <LoaderSegment />;
+    }
+
+    if (batches.length === 0) {
+      return (
+        <PlaceholderSegment
+          caption="No batches"
+          icon="boxes"
+        />
+      );
+    }
+
+    return (
+      <Card
+        className="batches-card"
+        raised
+      >
+        <Card.Content>
+          <Table
+            className="unstackable"
+            selectable
+          >
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell collapsing />
+                <Table.HeaderCell>Created</Table.HeaderCell>
+                <Table.HeaderCell>User</Table.HeaderCell>
+                <Table.HeaderCell>Destination</Table.HeaderCell>
+                <Table.HeaderCell>Progress</Table.HeaderCell>
+                <Table.HeaderCell>Files</Table.HeaderCell>
+                <Table.HeaderCell collapsing />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {batches.map((batch) => {
+                const summary = transfers.summarizeBatch(batch);
+
+                return (
+                  <Fragment key={batch.id}>
+                    <Table.Row
+                      disabled={working[batch.id] || batch.removed}
+                      onClick={() => toggleExpanded(batch)}
+                    >
+                      <Table.Cell>
+                        <Icon
+                          name={
+                            expanded[batch.id]
+                              ? 'chevron down'
+                              : 'chevron right'
+                          }
+                        />
+                      </Table.Cell>
+                      <Table.Cell>
+                        {new Date(batch.createdAt).toLocaleString()}
+                        {batch.searchId && (
+                          <Link
+                            onClick={(event) => event.stopPropagation()}
+                            to={`${urlBase}/searches/${batch.searchId}`}
+                          >
+                            <Popup
+                              content="View the search this batch came from"
+                              trigger={
+                                <Icon
+                                  className="batch-search-link"
+                                  name="search"
+                                />
+                              }
+                            />
+                          </Link>
+                        )}
+                      </Table.Cell>
+                      <Table.Cell>{batch.username}</Table.Cell>
+                      <Table.Cell>
+                        <span className="batch-destination">
+                          {batch.options?.destination ?? 'Default'}
+                        </span>
+                        {batch.options?.externalId && (
+                          <code className="batch-external-id">
+                            {batch.options.externalId}
+                          </code>
+                        )}
+                      </Table.Cell>
+                      <Table.Cell className="batch-progress">
+                        <Progress
+                          error={summary.isComplete && summary.failed > 0}
+                          percent={Math.round(summary.percentComplete)}
+                          progress
+                          size="small"
+                          success={summary.isComplete && summary.failed === 0}
+                        />
+                        <span className="batch-progress-bytes">
+                          {formatBytes(summary.bytesTransferred)} of{' '}
+                          {formatBytes(summary.size)}
+                        </span>
+                      </Table.Cell>
+                      <Table.Cell>
+                        {summary.succeeded}/{summary.total}
+                        {summary.failed > 0 && (
+                          <span className="batch-failed-count">
+                            {' '}
+                            ({summary.failed} failed)
+                          </span>
+                        )}
+                      </Table.Cell>
+                      <Table.Cell
+                        className="batch-actions"
+                        onClick={(event) => event.stopPropagation()}
+                      >
+                        {!batch.removed && (
+                          <BatchActions
+                            batch={batch}
+                            onInvoke={invoke}
+                            summary={summary}
+                          />
+                        )}
+                      </Table.Cell>
+                    </Table.Row>
+                    {expanded[batch.id] && (
+                      <Table.Row className="batch-files-row">
+                        <Table.Cell colSpan={7}>
+                          <BatchFiles
+                            batch={batch}
+                            summary={summary}
+                          />
+                        </Table.Cell>
+                      </Table.Row>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </Table.Body>
+          </Table>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <div className="batches-container">
+      <Segment
+        className="batches-segment"
+        raised
+      >
+        <div className="batches-segment-icon">
+          <Icon
+            name="boxes"
+            size="big"
+          />
+        </div>
+        <div className="batches-segment-text">
+          Batches group the files downloaded together, such as an album from a
+          search result or a folder from a user's shares.
+        </div>
+        <Checkbox
+          checked={includeRemoved}
+          label="Show removed"
+          onChange={() => setIncludeRemoved(!includeRemoved)}
+          toggle
+        />
+      </Segment>
+      {renderBatches()}
+    </div>
+  );
+};
+
+export default Batches;
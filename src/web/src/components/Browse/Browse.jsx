@@ -1,55 +1,40 @@
 import './Browse.css';
+import {
+  buildDirectoryTree,
+  findCommonDirectory,
+  findDirectoryByPath,
+  formatBrowseSummary,
+  getSeparator,
+} from '../../lib/browse';
+import * as browseCache from '../../lib/browseCache';
+import { runDownload } from '../../lib/browseDownload';
+import { formatEnqueueFailures } from '../../lib/transfers';
 import * as users from '../../lib/users';
 import PlaceholderSegment from '../Shared/PlaceholderSegment';
+import BrowseCache from './BrowseCache';
 import DirectoryTree from './DirectoryTree';
+import FileSearch from './FileSearch';
+import LibraryCompare from './LibraryCompare';
 import Selection from './Selection';
 import React, { Component } from 'react';
 import { withRouter } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { Card, Icon, Input, Loader, Segment } from 'semantic-ui-react';
-
-const openBrowseDb = () =>
-  new Promise((resolve, reject) => {
-    const req = indexedDB.open('slskd-browse', 1);
-    req.onupgradeneeded = ({ target }) =>
-      target.result.createObjectStore('browse');
-    req.onsuccess = ({ target }) => resolve(target.result);
-    req.onerror = ({ target }) => reject(target.error);
-  });
-
-const idbPut = async (key, value) => {
-  const db = await openBrowseDb();
-  await new Promise((resolve, reject) => {
-    const tx = db.transaction('browse', 'readwrite');
-    tx.objectStore('browse').put(value, key);
-    tx.oncomplete = resolve;
-    tx.onerror = ({ target }) => reject(target.error);
-  });
-};
-
-const idbGet = async (key) => {
-  const db = await openBrowseDb();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction('browse').objectStore('browse').get(key);
-    req.onsuccess = ({ target }) => resolve(target.result ?? null);
-    req.onerror = ({ target }) => reject(target.error);
-  });
-};
-
-const formatBrowseSummary = ({
-  directories,
-  files,
-  lockedDirectories,
-  lockedFiles,
-}) =>
-  `${files + lockedFiles} files in ${directories + lockedDirectories} ` +
-  `directories (including ${lockedFiles} files in ${lockedDirectories} locked directories)`;
+import {
+  Button,
+  Card,
+  Icon,
+  Input,
+  Loader,
+  Progress,
+  Segment,
+} from 'semantic-ui-react';
 
 const initialState = {
   browseError: undefined,
   browseLoading: false,
   browseState: 'idle',
   browseStatus: 0,
+  comparing: false,
   directories: [],
   info: {
     directories: 0,
@@ -59,6 +44,8 @@ const initialState = {
   },
   interval: undefined,
   selected: null,
+  // changed to replace the selection with one made elsewhere, e.g. by a search
+  selectionKey: 0,
   separator: '\\',
   tree: [],
   username: '',
@@ -68,8 +55,11 @@ class Browse extends Component {
   constructor(props) {
     super(props);
 
-    this.state = initialState;
+    // the download being enqueued isn't part of initialState, so that it
+    // carries on when the browse is cleared or replaced
+    this.state = { ...initialState, download: null };
     this.directoryTreeRef = React.createRef();
+    this.downloadController = undefined;
   }
 
   componentDidMount() {
@@ -82,6 +72,8 @@ class Browse extends Component {
       );
     })();
 
+    this.resumeDownload();
+
     if (this.props.location.state?.user) {
       this.setState({ username: this.props.location.state.user }, this.browse);
     }
@@ -90,6 +82,8 @@ class Browse extends Component {
   }
 
   componentWillUnmount() {
+    // the download is resumed from where it got to when we're back
+    this.downloadController?.abort();
     clearInterval(this.state.interval);
     this.setState({ interval: undefined });
     document.removeEventListener('keyup', this.keyUp, false);
@@ -104,17 +98,12 @@ class Browse extends Component {
       let { directories } = response;
       const { lockedDirectories } = response;
 
-      // detect the path separator from the first directory name we see
-      let separator;
+      const separator = getSeparator(directories);
       const directoryCount = directories.length;
-      const fileCount = directories.reduce((accumulator, directory) => {
-        if (!separator) {
-          if (directory.name.includes('\\')) separator = '\\';
-          else if (directory.name.includes('/')) separator = '/';
-        }
-
-        return accumulator + directory.fileCount;
-      }, 0);
+      const fileCount = directories.reduce(
+        (accumulator, directory) => accumulator + directory.fileCount,
+        0,
+      );
 
       const lockedDirectoryCount = lockedDirectories.length;
       const lockedFileCount = lockedDirectories.reduce(
@@ -135,12 +124,15 @@ class Browse extends Component {
           lockedFiles: lockedFileCount,
         },
         separator,
-        tree: this.getDirectoryTree({ directories, separator }),
+        tree: buildDirectoryTree({ directories, separator }),
       });
 
       this.setState({ browseError: undefined, browseState: 'complete' }, () => {
         this.saveState();
-        setTimeout(() => this.saveTree(), 0);
+        setTimeout(() => {
+          this.saveTree();
+          this.saveSnapshot();
+        }, 0);
       });
     } catch (error) {
       this.setState({ browseError: error, browseState: 'error' });
@@ -160,7 +152,77 @@ class Browse extends Component {
   saveTree = async () => {
     try {
       const { directories, info, separator, username } = this.state;
-      await idbPut('current', { directories, info, separator, username });
+      await browseCache.saveCurrent({
+        directories,
+        info,
+        separator,
+        username,
+      });
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  // keep a copy of every browse, so it can be looked at offline and compared
+  // with the next
+  saveSnapshot = async () => {
+    try {
+      const { directories, info, separator, username } = this.state;
+
+      if (directories.length > 0) {
+        await browseCache.saveSnapshot({
+          directories,
+          info,
+          separator,
+          username,
+        });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  handleOpenSnapshot = (snapshot, directoryName) => {
+    const { directories, info, separator, username } = snapshot;
+    const tree = buildDirectoryTree({ directories, separator });
+    const directory = directoryName
+      ? findDirectoryByPath(directoryName, tree)
+      : null;
+
+    this.setState(
+      (previousState) => ({
+        ...initialState,
+        browseState: 'complete',
+        directories,
+        info,
+        interval: previousState.interval,
+        selected: directory
+          ? {
+              directoryName: directory.name,
+              files: [],
+              subdirectory: directory.children?.[0]?.name ?? null,
+            }
+          : null,
+        separator,
+        tree,
+        username,
+      }),
+      () => {
+        this.saveState();
+        this.saveTree();
+
+        if (directory) {
+          this.handleDirectoryNavigate(directory.name);
+        }
+      },
+    );
+  };
+
+  // the selection can be tens of thousands of files, far too many for
+  // localStorage, so it's kept with the tree
+  saveSelection = async () => {
+    try {
+      await browseCache.saveSelection(this.state.selected);
     } catch (error) {
       console.error(error);
     }
@@ -172,7 +234,7 @@ class Browse extends Component {
       this.state.browseState !== 'idle';
 
     try {
-      const { browseError, browseState, info, selected, separator, username } =
+      const { browseError, browseState, info, separator, username } =
         this.state;
       localStorage.setItem(
         'slskd-browse-state',
@@ -180,26 +242,15 @@ class Browse extends Component {
           browseError,
           browseState,
           info,
-          selected,
           separator,
           username,
         }),
       );
     } catch (error) {
       console.error(error);
-
-      // most likely cause is a huge file selection blowing past
-      // localStorage's per-origin quota; the MAX_SELECTED_FILES cap in
-      // Selection.jsx should prevent this in practice, but fall back to a
-      // clear message rather than silently failing to save
-      const isQuotaError =
-        error.name === 'QuotaExceededError' || error.code === 22;
-      if (isQuotaError) {
-        toast.error(
-          'Selection is too large to save — try selecting fewer files.',
-        );
-      }
     }
+
+    this.saveSelection();
   };
 
   loadState = async () => {
@@ -217,7 +268,10 @@ class Browse extends Component {
         });
       }
 
-      const saved = await idbGet('current');
+      const [saved, selected] = await Promise.all([
+        browseCache.getCurrent(),
+        browseCache.getSelection(),
+      ]);
 
       if (!saved && !meta) {
         this.setState({ browseLoading: false });
@@ -227,7 +281,7 @@ class Browse extends Component {
       const directories = saved?.directories ?? [];
       const separator = saved?.separator ?? meta?.separator ?? '\\';
       const tree = directories.length
-        ? this.getDirectoryTree({ directories, separator })
+        ? buildDirectoryTree({ directories, separator })
         : [];
 
       this.setState({
@@ -235,6 +289,7 @@ class Browse extends Component {
         ...(saved
           ? { info: saved.info, separator, username: saved.username }
           : {}),
+        ...(selected ? { selected } : {}),
         browseLoading: false,
         directories,
         tree,
@@ -255,69 +310,6 @@ class Browse extends Component {
     this.setState({ browseStatus: response.data });
   };
 
-  getDirectoryTree = ({ directories, separator }) => {
-    if (!directories.length || directories[0].name === undefined) {
-      return [];
-    }
-
-    // group each directory under its parent path in a single O(N) pass
-    const byParent = new Map();
-    const nameSet = new Set();
-
-    for (const d of directories) {
-      nameSet.add(d.name);
-      const lastSep = d.name.lastIndexOf(separator);
-      const parentKey = lastSep === -1 ? '' : d.name.slice(0, lastSep);
-      let bucket = byParent.get(parentKey);
-      if (!bucket) {
-        bucket = [];
-        byParent.set(parentKey, bucket);
-      }
-
-      bucket.push(d);
-    }
-
-    // roots are directories whose parent path isn't itself in the list
-    const roots = directories.filter((d) => {
-      const lastSep = d.name.lastIndexOf(separator);
-      const parentKey = lastSep === -1 ? '' : d.name.slice(0, lastSep);
-      return !nameSet.has(parentKey);
-    });
-
-    // recursively build the tree, computing file/directory counts along the way
-    const buildNode = (dir) => {
-      const children = (byParent.get(dir.name) || []).map(buildNode);
-      return {
-        ...dir,
-        children,
-        totalDirectoryCount:
-          children.length +
-          children.reduce((s, c) => s + c.totalDirectoryCount, 0),
-        totalFileCount:
-          (dir.files?.length ?? 0) +
-          children.reduce((s, c) => s + c.totalFileCount, 0),
-      };
-    };
-
-    return roots.map(buildNode);
-  };
-
-  findDirectoryByPath = (path, nodes) => {
-    for (const node of nodes) {
-      if (node.name === path) {
-        return node;
-      }
-
-      const found = this.findDirectoryByPath(path, node.children || []);
-
-      if (found) {
-        return found;
-      }
-    }
-
-    return null;
-  };
-
   selectDirectory = (directory) => {
     this.setState(
       {
@@ -340,6 +332,131 @@ class Browse extends Component {
     );
   };
 
+  // select files found by searching, in the directory that contains them all;
+  // they're added to the files already selected if it's the same directory
+  handleAddToSelection = (files) => {
+    const { separator, tree } = this.state;
+    const directory = findCommonDirectory(
+      [...new Set(files.map((file) => file.directory))],
+      separator,
+      tree,
+    );
+
+    if (!directory) {
+      toast.error(
+        'The files are in more than one shared directory; add them from one at a time',
+      );
+      return;
+    }
+
+    const subdirectory =
+      files[0].directory === directory.name
+        ? directory.children?.[0]?.name ?? null
+        : files[0].directory;
+
+    this.setState(
+      (previousState) => ({
+        selected: {
+          directoryName: directory.name,
+          files: [
+            ...new Set([
+              ...(previousState.selected?.directoryName === directory.name
+                ? previousState.selected.files
+                : []),
+              ...files.map((file) => file.path),
+            ]),
+          ],
+          subdirectory,
+        },
+        selectionKey: previousState.selectionKey + 1,
+      }),
+      () => {
+        this.saveState();
+        this.handleDirectoryNavigate(directory.name);
+      },
+    );
+  };
+
+  handleDownload = async (download) => {
+    await browseCache.saveDownload(download);
+    return this.enqueueDownload(download);
+  };
+
+  enqueueDownload = async (download) => {
+    const controller = new AbortController();
+    this.downloadController = controller;
+    this.setState({ download });
+
+    try {
+      const result = await runDownload(download, {
+        onProgress: (progress) => this.setState({ download: progress }),
+        // a cancelled download is cleared, and mustn't be saved again by the chunk in flight
+        save: (progress) =>
+          this.downloadController === controller &&
+          browseCache.saveDownload(progress),
+        signal: controller.signal,
+      });
+
+      if (!controller.signal.aborted) {
+        await browseCache.clearDownload();
+        this.setState({ download: null });
+      }
+
+      return result;
+    } catch (error) {
+      this.setState((previousState) => ({
+        download: {
+          ...previousState.download,
+          error: error?.response?.data ?? error?.message ?? String(error),
+        },
+      }));
+      throw error;
+    }
+  };
+
+  // picks up a download that was cut short, by closing the page or an error
+  resumeDownload = async () => {
+    try {
+      const download = await browseCache.getDownload();
+
+      if (!download) {
+        return;
+      }
+
+      toast.info(
+        `Resuming the download of ${download.fileCount.toLocaleString()} files from ${download.username}`,
+      );
+
+      const { failures } = await this.enqueueDownload(download);
+
+      if (failures.length > 0) {
+        toast.warning(formatEnqueueFailures(failures));
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  handleResumeDownload = () => this.resumeDownload();
+
+  handleCancelDownload = async () => {
+    this.downloadController?.abort();
+    this.downloadController = undefined;
+    this.setState({ download: null });
+
+    try {
+      await browseCache.clearDownload();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  handleToggleCompare = () => {
+    this.setState((previousState) => ({
+      comparing: !previousState.comparing,
+    }));
+  };
+
   handleDirectoryNavigate = (path) => {
     this.directoryTreeRef.current?.navigateToDirectory(path);
   };
@@ -394,12 +511,64 @@ class Browse extends Component {
           ref={(input) => (this.inputtext = input)}
           size="big"
         />
+        <BrowseCache onOpen={this.handleOpenSnapshot} />
+      </Segment>
+    );
+  }
+
+  renderDownload() {
+    const { download } = this.state;
+    const enqueued = download.chunks
+      .slice(0, download.next)
+      .reduce((total, chunk) => total + chunk.files.length, 0);
+
+    return (
+      <Segment
+        className="browse-download"
+        raised
+      >
+        <Progress
+          error={Boolean(download.error)}
+          indicating={!download.error}
+          progress="ratio"
+          total={download.fileCount}
+          value={enqueued}
+        >
+          {download.error
+            ? `Stopped queueing files from ${download.username}: ${download.error}`
+            : `Queueing files from ${download.username}`}
+        </Progress>
+        {download.error && (
+          <Button
+            onClick={this.handleResumeDownload}
+            primary
+            size="small"
+          >
+            Resume
+          </Button>
+        )}
+        <Button
+          onClick={this.handleCancelDownload}
+          size="small"
+        >
+          {download.error ? 'Discard' : 'Cancel'}
+        </Button>
       </Segment>
     );
   }
 
   renderTreeAndSelection(selectedDirectory) {
-    const { info, selected, separator, tree, username } = this.state;
+    const {
+      comparing,
+      directories,
+      download,
+      info,
+      selected,
+      selectionKey,
+      separator,
+      tree,
+      username,
+    } = this.state;
 
     return (
       <div className="browse-container">
@@ -417,6 +586,16 @@ class Browse extends Component {
             </Card.Header>
             <Card.Meta className="browse-meta">
               <span>{formatBrowseSummary(info)}</span>
+              <Button
+                active={comparing}
+                basic
+                className="browse-compare-button"
+                compact
+                icon="exchange"
+                onClick={this.handleToggleCompare}
+                size="small"
+                title="Compare with my shares and downloads"
+              />
             </Card.Meta>
             <div className="browse-tree-wrapper">
               <DirectoryTree
@@ -428,15 +607,34 @@ class Browse extends Component {
             </div>
           </Card.Content>
         </Card>
-        {selectedDirectory && (
+        {comparing && (
+          <LibraryCompare
+            directories={directories}
+            onClose={this.handleToggleCompare}
+            separator={separator}
+            username={username}
+          />
+        )}
+        {!comparing && (
+          <FileSearch
+            directories={directories}
+            onAddToSelection={this.handleAddToSelection}
+            separator={separator}
+            username={username}
+          />
+        )}
+        {!comparing && selectedDirectory && (
           <Selection
             defaultSelectedFiles={selected.files}
             defaultSubdirectory={selected.subdirectory}
             directorySuffix={this.renderDirectoryAction}
+            downloading={Boolean(download)}
+            key={selectionKey}
             locked={selectedDirectory.locked}
             name={selected.directoryName}
             node={selectedDirectory}
             onClose={this.handleDeselectDirectory}
+            onDownload={this.handleDownload}
             onStateChange={this.handleStateChange}
             separator={separator}
             username={username}
@@ -476,15 +674,16 @@ class Browse extends Component {
   }
 
   render() {
-    const { browseState, browseStatus, selected, tree } = this.state;
+    const { browseState, browseStatus, download, selected, tree } = this.state;
     const selectedDirectory = selected
-      ? this.findDirectoryByPath(selected.directoryName, tree)
+      ? findDirectoryByPath(selected.directoryName, tree)
       : null;
     const pending = browseState === 'pending';
 
     return (
       <div className="search-container">
         {this.renderUsernameBar()}
+        {download && this.renderDownload()}
         {pending ? (
           <Loader
             active
@@ -0,0 +1,538 @@
+import { diffBrowses } from '../../lib/browse';
+import * as browseCache from '../../lib/browseCache';
+import { formatBytes, formatDate } from '../../lib/util';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Form,
+  Header,
+  Icon,
+  Input,
+  List,
+  Loader,
+  Message,
+  Modal,
+  Popup,
+  Tab,
+  Table,
+} from 'semantic-ui-react';
+
+// the most paths listed for each part of a diff
+const maxDiffItems = 500;
+
+const toastError = (error) => toast.error(error?.message ?? error);
+
+const snapshotOptions = (user) =>
+  (user?.snapshots ?? []).map((snapshot) => ({
+    description: formatBytes(snapshot.size, 1),
+    key: snapshot.id,
+    text: formatDate(snapshot.savedAt),
+    value: snapshot.id,
+  }));
+
+const CachedUsers = ({ onDelete, onOpen, users }) => {
+  if (users.length === 0) {
+    return (
+      <Message info>
+        Nothing is cached yet. Each browse is saved here so that it can be
+        looked at offline.
+      </Message>
+    );
+  }
+
+  return (
+    <Table
+      compact
+      unstackable
+    >
+      <Table.Header>
+        <Table.Row>
+          <Table.HeaderCell>Username</Table.HeaderCell>
+          <Table.HeaderCell>Snapshots</Table.HeaderCell>
+          <Table.HeaderCell>Size</Table.HeaderCell>
+          <Table.HeaderCell>Newest</Table.HeaderCell>
+          <Table.HeaderCell />
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {users.map((user) => (
+          <Table.Row key={user.username}>
+            <Table.Cell>{user.username}</Table.Cell>
+            <Table.Cell>{user.snapshots.length}</Table.Cell>
+            <Table.Cell>{formatBytes(user.size, 1)}</Table.Cell>
+            <Table.Cell>{formatDate(user.latest)}</Table.Cell>
+            <Table.Cell textAlign="right">
+              <Button
+                compact
+                onClick={() => onOpen(user.snapshots[0].id)}
+                size="mini"
+              >
+                Open
+              </Button>
+              <Button
+                compact
+                onClick={() =>
+                  onDelete(user.snapshots.map((snapshot) => snapshot.id))
+                }
+                size="mini"
+              >
+                Delete
+              </Button>
+            </Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table>
+  );
+};
+
+const CacheSearch = ({ onOpen }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(undefined);
+  const [searching, setSearching] = useState(false);
+
+  const execute = async () => {
+    if (!query.trim()) return;
+
+    setSearching(true);
+
+    try {
+      setResults(await browseCache.search(query));
+    } catch (error) {
+      toastError(error);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const renderResults = () => {
+    if (searching) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        />
+      );
+    }
+
+    if (!results) {
+      return null;
+    }
+
+    if (results.length === 0) {
+      return <Message info>No cached files matched the search</Message>;
+    }
+
+    return (
+      <Table
+        compact
+        unstackable
+      >
+        <Table.Body>
+          {results.map((result) => (
+            <Table.Row key={`${result.username}+${result.path}`}>
+              <Table.Cell>{result.username}</Table.Cell>
+              <Table.Cell title={result.path}>{result.path}</Table.Cell>
+              <Table.Cell>{formatBytes(result.size, 1)}</Table.Cell>
+              <Table.Cell textAlign="right">
+                <Button
+                  compact
+                  onClick={() => onOpen(result.snapshotId, result.directory)}
+                  size="mini"
+                >
+                  Open
+                </Button>
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+    );
+  };
+
+  return (
+    <>
+      <Form onSubmit={execute}>
+        <Input
+          action={{
+            disabled: !query.trim() || searching,
+            icon: 'search',
+            onClick: execute,
+          }}
+          autoFocus
+          fluid
+          onChange={(_event, { value }) => setQuery(value)}
+          placeholder="Search the newest snapshot of every cached user, e.g. ext:flac minbr:320"
+          value={query}
+        />
+      </Form>
+      {renderResults()}
+    </>
+  );
+};
+
+const DiffList = ({ icon, items, title }) => (
+  <>
+    <Header size="tiny">
+      {title} ({items.length.toLocaleString()})
+    </Header>
+    <List className="browse-cache-diff">
+      {items.slice(0, maxDiffItems).map((item) => (
+        <List.Item key={item.name ?? item}>
+          <List.Icon name={icon} />
+          <List.Content>
+            {item.name
+              ? `${item.name} (${item.fileCount.toLocaleString()} files)`
+              : item}
+          </List.Content>
+        </List.Item>
+      ))}
+      {items.length > maxDiffItems && (
+        <List.Item>
+          and {(items.length - maxDiffItems).toLocaleString()} more
+        </List.Item>
+      )}
+    </List>
+  </>
+);
+
+const CacheCompare = ({ users }) => {
+  const [username, setUsername] = useState(undefined);
+  const [olderId, setOlderId] = useState(undefined);
+  const [newerId, setNewerId] = useState(undefined);
+  const [diff, setDiff] = useState(undefined);
+  const [comparing, setComparing] = useState(false);
+
+  const comparable = users.filter(
+    (candidate) => candidate.snapshots.length > 1,
+  );
+  const user = comparable.find((candidate) => candidate.username === username);
+
+  const selectUser = (value) => {
+    const selected = comparable.find(
+      (candidate) => candidate.username === value,
+    );
+
+    setUsername(value);
+    setNewerId(selected?.snapshots[0]?.id);
+    setOlderId(selected?.snapshots[1]?.id);
+    setDiff(undefined);
+  };
+
+  const compare = async () => {
+    setComparing(true);
+
+    try {
+      const [older, newer] = await Promise.all([
+        browseCache.getSnapshot(olderId),
+        browseCache.getSnapshot(newerId),
+      ]);
+
+      setDiff(diffBrowses(older, newer));
+    } catch (error) {
+      toastError(error);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  if (comparable.length === 0) {
+    return (
+      <Message info>
+        Browse a user more than once to compare what they shared each time.
+      </Message>
+    );
+  }
+
+  const renderDiff = () => {
+    if (comparing) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        />
+      );
+    }
+
+    if (!diff) {
+      return null;
+    }
+
+    const changes =
+      diff.addedDirectories.length +
+      diff.removedDirectories.length +
+      diff.addedFiles.length +
+      diff.removedFiles.length;
+
+    if (changes === 0) {
+      return <Message info>Nothing changed between the snapshots</Message>;
+    }
+
+    return (
+      <>
+        <DiffList
+          icon="plus"
+          items={diff.addedDirectories}
+          title="Added Directories"
+        />
+        <DiffList
+          icon="minus"
+          items={diff.removedDirectories}
+          title="Removed Directories"
+        />
+        <DiffList
+          icon="plus"
+          items={diff.addedFiles}
+          title="Added Files"
+        />
+        <DiffList
+          icon="minus"
+          items={diff.removedFiles}
+          title="Removed Files"
+        />
+      </>
+    );
+  };
+
+  return (
+    <>
+      <Form>
+        <Form.Group widths="equal">
+          <Form.Dropdown
+            label="User"
+            onChange={(_event, { value }) => selectUser(value)}
+            options={comparable.map((candidate) => ({
+              key: candidate.username,
+              text: candidate.username,
+              value: candidate.username,
+            }))}
+            placeholder="Choose a user"
+            search
+            selection
+            value={username}
+          />
+          <Form.Dropdown
+            disabled={!user}
+            label="From"
+            onChange={(_event, { value }) => setOlderId(value)}
+            options={snapshotOptions(user)}
+            selection
+            value={olderId}
+          />
+          <Form.Dropdown
+            disabled={!user}
+            label="To"
+            onChange={(_event, { value }) => setNewerId(value)}
+            options={snapshotOptions(user)}
+            selection
+            value={newerId}
+          />
+        </Form.Group>
+        <Button
+          disabled={!user || olderId === newerId || comparing}
+          onClick={compare}
+          primary
+        >
+          Compare
+        </Button>
+      </Form>
+      {renderDiff()}
+    </>
+  );
+};
+
+const quotaOptions = [50, 100, 250, 500, 1_000, 2_000].map((megabytes) => ({
+  key: megabytes,
+  text: formatBytes(megabytes * 1_024 * 1_024, 0),
+  value: megabytes,
+}));
+
+const perUserOptions = [1, 2, 3, 5, 10, 20].map((count) => ({
+  key: count,
+  text: `${count}`,
+  value: count,
+}));
+
+const CacheSettings = ({ onChange, size }) => {
+  const [quota, setQuota] = useState(browseCache.getQuota());
+
+  const update = async (change) => {
+    browseCache.setQuota(change);
+    setQuota(browseCache.getQuota());
+
+    try {
+      await browseCache.prune();
+    } catch (error) {
+      toastError(error);
+    }
+
+    onChange();
+  };
+
+  return (
+    <Form>
+      <p>
+        Snapshots use {formatBytes(size, 1)}. The oldest are deleted once either
+        limit is reached, but the newest snapshot is always kept.
+      </p>
+      <Form.Group widths="equal">
+        <Form.Dropdown
+          label="Space For Snapshots"
+          onChange={(_event, { value }) => update({ maxMegabytes: value })}
+          options={quotaOptions}
+          selection
+          value={quota.maxMegabytes}
+        />
+        <Form.Dropdown
+          label="Snapshots Per User"
+          onChange={(_event, { value }) =>
+            update({ maxSnapshotsPerUser: value })
+          }
+          options={perUserOptions}
+          selection
+          value={quota.maxSnapshotsPerUser}
+        />
+      </Form.Group>
+    </Form>
+  );
+};
+
+/**
+ * A button that opens the library of cached browses, where each user's
+ * snapshots can be opened, searched offline, compared, and deleted.
+ * @param {object} props
+ * @param {Function} props.onOpen - Called with a snapshot, and optionally the name of a directory in it, to show it in Browse.
+ * @returns {object} The button and dialog.
+ */
+const BrowseCache = ({ onOpen }) => {
+  const [open, setOpen] = useState(false);
+  const [users, setUsers] = useState(undefined);
+
+  const fetchUsers = async () => {
+    try {
+      setUsers(
+        browseCache.groupSnapshotsByUser(await browseCache.listSnapshots()),
+      );
+    } catch (error) {
+      setUsers([]);
+      toastError(error);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      fetchUsers();
+    }
+  }, [open]);
+
+  const openSnapshot = async (id, directoryName) => {
+    try {
+      const snapshot = await browseCache.getSnapshot(id);
+
+      if (snapshot) {
+        setOpen(false);
+        onOpen(snapshot, directoryName);
+      }
+    } catch (error) {
+      toastError(error);
+    }
+  };
+
+  const deleteSnapshots = async (ids) => {
+    try {
+      await browseCache.deleteSnapshots(ids);
+    } catch (error) {
+      toastError(error);
+    }
+
+    await fetchUsers();
+  };
+
+  const panes = [
+    {
+      menuItem: { content: 'Users', icon: 'users', key: 'users' },
+      render: () => (
+        <Tab.Pane>
+          <CachedUsers
+            onDelete={deleteSnapshots}
+            onOpen={openSnapshot}
+            users={users}
+          />
+        </Tab.Pane>
+      ),
+    },
+    {
+      menuItem: { content: 'Search', icon: 'search', key: 'search' },
+      render: () => (
+        <Tab.Pane>
+          <CacheSearch onOpen={openSnapshot} />
+        </Tab.Pane>
+      ),
+    },
+    {
+      menuItem: { content: 'Compare', icon: 'exchange', key: 'compare' },
+      render: () => (
+        <Tab.Pane>
+          <CacheCompare users={users} />
+        </Tab.Pane>
+      ),
+    },
+    {
+      menuItem: { content: 'Settings', icon: 'setting', key: 'settings' },
+      render: () => (
+        <Tab.Pane>
+          <CacheSettings
+            onChange={fetchUsers}
+            size={users.reduce((total, user) => total + user.size, 0)}
+          />
+        </Tab.Pane>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      centered
+      className="browse-cache-modal"
+      onClose={() => setOpen(false)}
+      onOpen={() => setOpen(true)}
+      open={open}
+      size="large"
+      trigger={
+        <Popup
+          content="Cached browses"
+          trigger={
+            <Button
+              className="browse-cache-button"
+              icon
+              size="big"
+            >
+              <Icon name="archive" />
+            </Button>
+          }
+        />
+      }
+    >
+      <Header>
+        <Icon name="archive" />
+        <Modal.Content>Cached Browses</Modal.Content>
+      </Header>
+      <Modal.Content scrolling>
+        {users ? (
+          <Tab panes={panes} />
+        ) : (
+          <Loader
+            active
+            inline="centered"
+          />
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={() => setOpen(false)}>Close</Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default BrowseCache;
@@ -0,0 +1,203 @@
+import { indexFiles, searchIndex } from '../../lib/browse';
+import { formatAttributes, formatBytes, formatSeconds } from '../../lib/util';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Icon,
+  Input,
+  List,
+  Message,
+  Segment,
+  Table,
+} from 'semantic-ui-react';
+
+// the most results shown at once; the rest are counted but not listed
+const resultLimit = 500;
+
+/**
+ * Searches every file in a browsed user's shares with the search result
+ * filter language, e.g. "ext:flac minbr:320 -live", and adds the chosen
+ * results to the selection for download.
+ * @param {object} props
+ * @param {object[]} props.directories - The browsed directories.
+ * @param {Function} props.onAddToSelection - Called with the chosen files.
+ * @param {string} props.separator - The path separator.
+ * @param {string} props.username - The user that was browsed.
+ * @returns {object} The search.
+ */
+const FileSearch = ({ directories, onAddToSelection, separator, username }) => {
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [checked, setChecked] = useState(new Set());
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(input), 300);
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const index = useMemo(
+    () => indexFiles({ directories, separator, username }),
+    [directories, separator, username],
+  );
+
+  const { errors, results, total } = useMemo(
+    () => searchIndex(index, query, resultLimit),
+    [index, query],
+  );
+
+  useEffect(() => {
+    setChecked(new Set());
+  }, [results]);
+
+  const toggle = (path) =>
+    setChecked((previous) => {
+      const next = new Set(previous);
+
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+
+      return next;
+    });
+
+  const allChecked = results.length > 0 && checked.size === results.length;
+
+  const toggleAll = () =>
+    setChecked(
+      allChecked ? new Set() : new Set(results.map((file) => file.path)),
+    );
+
+  const addToSelection = () => {
+    onAddToSelection(results.filter((file) => checked.has(file.path)));
+    setChecked(new Set());
+  };
+
+  const renderResults = () => {
+    if (!query.trim() || errors.length > 0) {
+      return null;
+    }
+
+    if (total === 0) {
+      return <Message info>No files matched the search</Message>;
+    }
+
+    return (
+      <>
+        <div className="browse-file-search-controls">
+          <span>
+            {total > results.length
+              ? `Showing ${results.length.toLocaleString()} of ${total.toLocaleString()} matching files; narrow the search to see the rest`
+              : `${total.toLocaleString()} matching ${
+                  total === 1 ? 'file' : 'files'
+                }`}
+          </span>
+          <Button
+            compact
+            disabled={checked.size === 0}
+            icon
+            labelPosition="left"
+            onClick={addToSelection}
+            primary
+            size="small"
+          >
+            <Icon name="plus" />
+            Add {checked.size > 0 ? checked.size.toLocaleString() : ''} to
+            Selection
+          </Button>
+        </div>
+        <div className="browse-file-search-results">
+          <Table
+            compact
+            unstackable
+          >
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell className="browse-file-search-check">
+                  <Checkbox
+                    checked={allChecked}
+                    fitted
+                    onChange={toggleAll}
+                  />
+                </Table.HeaderCell>
+                <Table.HeaderCell>File</Table.HeaderCell>
+                <Table.HeaderCell>Size</Table.HeaderCell>
+                <Table.HeaderCell>Attributes</Table.HeaderCell>
+                <Table.HeaderCell>Length</Table.HeaderCell>
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {results.map((file) => (
+                <Table.Row
+                  className="browse-file-search-row"
+                  disabled={file.locked}
+                  key={file.path}
+                  onClick={() => !file.locked && toggle(file.path)}
+                >
+                  <Table.Cell className="browse-file-search-check">
+                    <Checkbox
+                      checked={checked.has(file.path)}
+                      disabled={file.locked}
+                      fitted
+                    />
+                  </Table.Cell>
+                  <Table.Cell className="browse-file-search-path">
+                    {file.locked && <Icon name="lock" />}
+                    {file.path}
+                  </Table.Cell>
+                  <Table.Cell>{formatBytes(file.size)}</Table.Cell>
+                  <Table.Cell>{formatAttributes(file)}</Table.Cell>
+                  <Table.Cell>{formatSeconds(file.length)}</Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <Segment
+      className="browse-file-search"
+      raised
+    >
+      <Input
+        action={
+          Boolean(input) && {
+            icon: 'x',
+            onClick: () => setInput(''),
+          }
+        }
+        error={errors.length > 0}
+        fluid
+        icon={input ? undefined : 'search'}
+        onChange={(_event, { value }) => setInput(value)}
+        placeholder={`Search ${index.length.toLocaleString()} files, e.g. ext:flac minbr:320 -live`}
+        value={input}
+      />
+      {errors.length > 0 && (
+        <List
+          bulleted
+          className="search-filter-errors"
+        >
+          {errors.map((filterError) => (
+            <List.Item key={`${filterError.start}-${filterError.message}`}>
+              <code className="search-filter-error-context">
+                {query.slice(filterError.start, filterError.end) || ' '}
+              </code>
+              {` ${filterError.message} (at character ${
+                filterError.start + 1
+              })`}
+            </List.Item>
+          ))}
+        </List>
+      )}
+      {renderResults()}
+    </Segment>
+  );
+};
+
+export default FileSearch;
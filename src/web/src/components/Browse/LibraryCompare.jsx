@@ -0,0 +1,320 @@
+import {
+  compareWithLibrary,
+  comparisonStatuses,
+  downloadItems,
+  getLibrary,
+} from '../../lib/library';
+import { formatEnqueueFailures } from '../../lib/transfers';
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Card,
+  Checkbox,
+  Icon,
+  Label,
+  Loader,
+  Menu,
+  Message,
+  Progress,
+  Table,
+} from 'semantic-ui-react';
+
+// the most directories listed at once; the rest can still be queued
+const rowLimit = 500;
+
+const statusColors = {
+  missing: 'red',
+  owned: 'grey',
+  partial: 'orange',
+  upgrade: 'blue',
+};
+
+/**
+ * Compares a user's shares with our own shares and downloads, and queues what
+ * we're missing, or have a worse copy of, in bulk.
+ * @param {object} props
+ * @param {object[]} props.directories - The user's directories.
+ * @param {Function} props.onClose - Called to leave the comparison.
+ * @param {string} props.separator - The path separator.
+ * @param {string} props.username - The user that was browsed.
+ * @returns {object} The comparison.
+ */
+const LibraryCompare = ({ directories, onClose, separator, username }) => {
+  const [library, setLibrary] = useState(undefined);
+  const [error, setError] = useState(undefined);
+  const [status, setStatus] = useState('missing');
+  const [checked, setChecked] = useState(new Set());
+  const [progress, setProgress] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchLibrary = async () => {
+      try {
+        const result = await getLibrary();
+
+        if (!cancelled) {
+          setLibrary(result);
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          setError(
+            fetchError?.response?.data ?? fetchError?.message ?? fetchError,
+          );
+        }
+      }
+    };
+
+    fetchLibrary();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const comparison = useMemo(
+    () =>
+      library ? compareWithLibrary({ directories, separator }, library) : [],
+    [directories, library, separator],
+  );
+
+  const items = useMemo(
+    () =>
+      comparison
+        .filter((item) => item.status === status)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    [comparison, status],
+  );
+
+  useEffect(() => {
+    setChecked(new Set());
+  }, [items]);
+
+  const counts = Object.fromEntries(
+    Object.keys(comparisonStatuses).map((key) => [
+      key,
+      comparison.filter((item) => item.status === key).length,
+    ]),
+  );
+
+  const selectable = status !== 'owned';
+  const chosen = items.filter((item) => checked.has(item.name));
+  const allChecked = items.length > 0 && chosen.length === items.length;
+
+  const toggle = (name) =>
+    setChecked((previous) => {
+      const next = new Set(previous);
+
+      if (next.has(name)) {
+        next.delete(name);
+      } else {
+        next.add(name);
+      }
+
+      return next;
+    });
+
+  const toggleAll = () =>
+    setChecked(
+      allChecked ? new Set() : new Set(items.map((item) => item.name)),
+    );
+
+  const queue = async () => {
+    setProgress(0);
+
+    const failures = await downloadItems({
+      items: chosen,
+      onProgress: setProgress,
+      username,
+    });
+
+    const fileCount = chosen.reduce(
+      (total, item) => total + item.files.length,
+      0,
+    );
+
+    if (failures.length > 0) {
+      toast.error(formatEnqueueFailures(failures));
+    }
+
+    if (failures.length < fileCount) {
+      toast.success(
+        `Queued ${(fileCount - failures.length).toLocaleString()} files from ${username}`,
+      );
+    }
+
+    setChecked(new Set());
+    setProgress(undefined);
+  };
+
+  const renderItems = () => {
+    if (error) {
+      return (
+        <Message negative>Failed to load your library: {String(error)}</Message>
+      );
+    }
+
+    if (!library) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        >
+          Loading your shares and downloads
+        </Loader>
+      );
+    }
+
+    if (items.length === 0) {
+      return (
+        <Message info>
+          No {comparisonStatuses[status].toLowerCase()} directories
+        </Message>
+      );
+    }
+
+    return (
+      <div className="browse-compare-results">
+        <Table
+          compact
+          unstackable
+        >
+          <Table.Header>
+            <Table.Row>
+              {selectable && (
+                <Table.HeaderCell className="browse-file-search-check">
+                  <Checkbox
+                    checked={allChecked}
+                    fitted
+                    onChange={toggleAll}
+                  />
+                </Table.HeaderCell>
+              )}
+              <Table.HeaderCell>Directory</Table.HeaderCell>
+              <Table.HeaderCell>Tracks</Table.HeaderCell>
+              <Table.HeaderCell>Format</Table.HeaderCell>
+              <Table.HeaderCell>Mine</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {items.slice(0, rowLimit).map((item) => (
+              <Table.Row
+                className={selectable ? 'browse-file-search-row' : undefined}
+                key={item.name}
+                onClick={() => selectable && toggle(item.name)}
+              >
+                {selectable && (
+                  <Table.Cell className="browse-file-search-check">
+                    <Checkbox
+                      checked={checked.has(item.name)}
+                      fitted
+                    />
+                  </Table.Cell>
+                )}
+                <Table.Cell className="browse-file-search-path">
+                  {item.name}
+                </Table.Cell>
+                <Table.Cell>
+                  {item.owned
+                    ? `${item.trackCount} (mine ${item.owned.trackCount})`
+                    : item.trackCount}
+                </Table.Cell>
+                <Table.Cell>{item.format}</Table.Cell>
+                <Table.Cell>
+                  {item.owned ? (
+                    <span title={item.owned.name}>
+                      <Label
+                        color={statusColors[status]}
+                        size="mini"
+                      >
+                        {item.owned.source}
+                      </Label>{' '}
+                      {item.owned.format}
+                    </span>
+                  ) : (
+                    '-'
+                  )}
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+        {items.length > rowLimit && (
+          <p className="browse-compare-more">
+            and {(items.length - rowLimit).toLocaleString()} more; select all to
+            include them
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card
+      className="browse-compare"
+      raised
+    >
+      <Card.Content>
+        <Card.Header>
+          <Icon name="exchange" />
+          Compare with My Library
+          <Icon
+            className="close-button"
+            color="red"
+            link
+            name="close"
+            onClick={onClose}
+          />
+        </Card.Header>
+        <Menu
+          pointing
+          secondary
+        >
+          {Object.entries(comparisonStatuses).map(([key, text]) => (
+            <Menu.Item
+              active={status === key}
+              key={key}
+              onClick={() => setStatus(key)}
+            >
+              {text}
+              <Label
+                color={statusColors[key]}
+                size="mini"
+              >
+                {counts[key].toLocaleString()}
+              </Label>
+            </Menu.Item>
+          ))}
+        </Menu>
+        {renderItems()}
+      </Card.Content>
+      {selectable && library && (
+        <Card.Content extra>
+          {progress === undefined ? (
+            <Button
+              disabled={chosen.length === 0}
+              icon
+              labelPosition="left"
+              onClick={queue}
+              primary
+            >
+              <Icon name="download" />
+              Queue {chosen.length.toLocaleString()}{' '}
+              {chosen.length === 1 ? 'Directory' : 'Directories'}
+            </Button>
+          ) : (
+            <Progress
+              indicating
+              progress="ratio"
+              total={chosen.length}
+              value={progress}
+            />
+          )}
+        </Card.Content>
+      )}
+    </Card>
+  );
+};
+
+export default LibraryCompare;
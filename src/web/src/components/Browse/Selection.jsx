@@ -1,16 +1,13 @@
-import * as transfers from '../../lib/transfers';
+import { planDownload } from '../../lib/browseDownload';
+import { addRecentDestination } from '../../lib/destinations';
+import { formatEnqueueFailures } from '../../lib/transfers';
 import { formatBytes } from '../../lib/util';
+import DestinationPicker from '../Shared/DestinationPicker';
 import FileBrowser from './FileBrowser';
 import React, { Component } from 'react';
 import { toast } from 'react-toastify';
 import { Button, Card, Icon, Label } from 'semantic-ui-react';
 
-// because the entire browse response is stored in indexeddb, it is possible for us
-// to display more files than can be saved in the (much faster) local storage state
-// limit the number of selected files to 5k to avoid overrunning this limit
-// 5k files is also a LOT to enqueue at once
-const MAX_SELECTED_FILES = 5_000;
-
 const initialState = {
   downloadError: '',
   downloadRequest: undefined,
@@ -36,6 +33,7 @@ class Selection extends Component {
     const selectedFilenames = new Set(props.defaultSelectedFiles || []);
     this.state = {
       ...initialState,
+      destination: undefined,
       expandedDirectory: props.defaultSubdirectory ?? null,
       files: getAllFilesFromNode(props.node, props.separator).map((f) => ({
         selected: selectedFilenames.has(f.filename),
@@ -57,13 +55,6 @@ class Selection extends Component {
   }
 
   handleSelectionChange = (selectedFilenames) => {
-    if (selectedFilenames.length > MAX_SELECTED_FILES) {
-      toast.error(
-        `Maximum number of selected files is limited to ${MAX_SELECTED_FILES.toLocaleString()}. Narrow your selection.`,
-      );
-      return;
-    }
-
     const selectedSet = new Set(selectedFilenames);
     this.setState(
       (prevState) => ({
@@ -93,50 +84,29 @@ class Selection extends Component {
     );
   };
 
+  // the download is handed to Browse to enqueue, so that it carries on (and
+  // can be resumed) whatever happens to this selection
   handleDownload = () => {
-    const { name, separator, username } = this.props;
-    const selectedFiles = this.state.files.filter((f) => f.selected);
-    const parent = name.split(separator).slice(0, -1).join(separator);
-    const prefix = name + separator;
+    const { name, onDownload, separator, username } = this.props;
+    const { destination } = this.state;
+    const download = planDownload({
+      destination,
+      files: this.state.files.filter((f) => f.selected),
+      name,
+      separator,
+      username,
+    });
 
     this.setState({ downloadRequest: 'inProgress' }, async () => {
       try {
-        const groups = new Map();
-        for (const file of selectedFiles) {
-          const relative = file.filename.startsWith(prefix)
-            ? file.filename.slice(prefix.length)
-            : file.filename;
-          const parts = relative.split(separator).filter(Boolean);
-          const group = parts.length > 1 ? parts[0] : '';
-          if (!groups.has(group)) {
-            groups.set(group, []);
-          }
-
-          groups.get(group).push(file);
-        }
+        const { failures } = await onDownload(download);
 
-        const rootFiles = groups.get('') || [];
-        if (rootFiles.length > 0) {
-          await transfers.download({
-            files: rootFiles.map(({ filename, size }) => ({ filename, size })),
-            username,
-          });
+        if (destination !== undefined) {
+          addRecentDestination(destination);
         }
 
-        for (const [dirName, dirFiles] of groups) {
-          if (dirName === '') {
-            continue;
-          }
-
-          const destination = (prefix + dirName)
-            .slice(parent.length > 0 ? parent.length + 1 : 0)
-            .split(separator)
-            .join('/');
-          await transfers.enqueueBatch({
-            files: dirFiles.map(({ filename, size }) => ({ filename, size })),
-            options: { destination },
-            username,
-          });
+        if (failures.length > 0) {
+          toast.warning(formatEnqueueFailures(failures));
         }
 
         this.setState({ downloadRequest: 'complete' });
@@ -150,9 +120,23 @@ class Selection extends Component {
   };
 
   render() {
-    const { directorySuffix, locked, node, onClose, separator } = this.props;
-    const { downloadError, downloadRequest, expandedDirectory, files } =
-      this.state;
+    const {
+      directorySuffix,
+      downloading,
+      locked,
+      name,
+      node,
+      onClose,
+      separator,
+      username,
+    } = this.props;
+    const {
+      destination,
+      downloadError,
+      downloadRequest,
+      expandedDirectory,
+      files,
+    } = this.state;
 
     const selectedFiles = files.filter((f) => f.selected);
     const totalSize = formatBytes(
@@ -186,7 +170,7 @@ class Selection extends Component {
               <Button
                 color="green"
                 content="Download"
-                disabled={downloadRequest === 'inProgress'}
+                disabled={downloading || downloadRequest === 'inProgress'}
                 icon="download"
                 label={{
                   as: 'a',
@@ -196,6 +180,12 @@ class Selection extends Component {
                 labelPosition="right"
                 onClick={this.handleDownload}
               />
+              <DestinationPicker
+                context={{ directory: name, username }}
+                disabled={downloadRequest === 'inProgress'}
+                onChange={(value) => this.setState({ destination: value })}
+                value={destination}
+              />
               {downloadRequest === 'inProgress' && (
                 <Icon
                   loading
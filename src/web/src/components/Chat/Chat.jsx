@@ -1,10 +1,16 @@
 import './Chat.css';
 import { activeChatKey } from '../../config';
 import * as chat from '../../lib/chat';
+import { createMessagingHubConnection } from '../../lib/hubFactory';
+import { getConversationHistory } from '../../lib/messages';
+import ExportLogButton from '../Shared/ExportLogButton';
 import PlaceholderSegment from '../Shared/PlaceholderSegment';
 import ChatMenu from './ChatMenu';
+import { HubConnectionState } from '@microsoft/signalr';
 import React, { Component, createRef } from 'react';
+import { toast } from 'react-toastify';
 import {
+  Button,
   Card,
   Dimmer,
   Icon,
@@ -15,11 +21,15 @@ import {
   Segment,
 } from 'semantic-ui-react';
 
+// the number of older messages fetched each time more history is requested
+const earlierMessageCount = 100;
+
 const initialState = {
   active: '',
   conversations: {},
-  interval: undefined,
+  hasEarlier: true,
   loading: false,
+  loadingEarlier: false,
   message: '',
 };
 
@@ -57,23 +67,34 @@ class Chat extends Component {
   }
 
   componentDidMount() {
+    this.messagingHub = createMessagingHubConnection();
+    this.messagingHub.on('private_message', this.handlePrivateMessage);
+
+    // anything sent while we were disconnected was missed
+    this.messagingHub.onreconnected(() => this.fetchConversations());
+
     this.setState(
       {
         active: sessionStorage.getItem(activeChatKey) || '',
-        interval: window.setInterval(this.fetchConversations, 5_000),
       },
       async () => {
         await this.fetchConversations();
         this.selectConversation(
           this.state.active || this.getFirstConversation(),
         );
+
+        try {
+          await this.messagingHub.start();
+        } catch (error) {
+          console.error(error);
+          toast.error(error?.message ?? 'Failed to connect');
+        }
       },
     );
   }
 
   componentWillUnmount() {
-    clearInterval(this.state.interval);
-    this.setState({ interval: undefined });
+    this.messagingHub?.stop();
   }
 
   listRef = createRef();
@@ -135,6 +156,47 @@ class Chat extends Component {
     });
   };
 
+  handlePrivateMessage = async (message) => {
+    // see fetchConversations()
+    if (message.username === '..') return;
+
+    // the server replays unacknowledged messages when we log in, and there's no
+    // telling which of them we've already counted; start over
+    if (message.wasReplayed) {
+      await this.fetchConversations();
+      return;
+    }
+
+    const isActive = message.username === this.state.active;
+
+    this.setState(
+      (previousState) => ({
+        conversations: chat.applyPrivateMessage(
+          previousState.conversations,
+          message,
+          previousState.active,
+        ),
+      }),
+      () => {
+        if (isActive) {
+          this.scrollToLatest();
+        }
+      },
+    );
+
+    if (isActive && message.direction === 'In') {
+      await this.acknowledgeMessages(message.username);
+    }
+  };
+
+  scrollToLatest = () => {
+    try {
+      this.listRef.current.lastChild.scrollIntoView();
+    } catch {
+      // no-op
+    }
+  };
+
   acknowledgeMessages = async (username) => {
     if (!username || username === '') return;
     await chat.acknowledge({ username });
@@ -150,9 +212,10 @@ class Chat extends Component {
     await chat.send({ username: active, message });
     this.setState({ message: '' });
 
-    // force a refresh to append the message
-    // we could probably do this in the browser but we can be lazy
-    this.fetchConversations();
+    // the hub echoes sent messages back to us; if it's down, fetch instead
+    if (this.messagingHub?.state !== HubConnectionState.Connected) {
+      this.fetchConversations();
+    }
   };
 
   validInput = () =>
@@ -175,10 +238,50 @@ class Chat extends Component {
     return dtfUS.format(date);
   };
 
+  handleLoadEarlierMessages = async () => {
+    const { active, conversations } = this.state;
+    const oldest = conversations[active]?.messages?.[0];
+
+    this.setState({ loadingEarlier: true });
+
+    try {
+      const earlier = await getConversationHistory({
+        before: oldest?.timestamp,
+        limit: earlierMessageCount,
+        username: active,
+      });
+
+      this.setState((previousState) => {
+        const conversation = previousState.conversations[active];
+
+        // the conversation may have been closed or switched while we waited
+        if (previousState.active !== active || !conversation) {
+          return null;
+        }
+
+        return {
+          conversations: {
+            ...previousState.conversations,
+            [active]: {
+              ...conversation,
+              messages: [...earlier, ...(conversation.messages ?? [])],
+            },
+          },
+          hasEarlier: earlier.length === earlierMessageCount,
+        };
+      });
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      this.setState({ loadingEarlier: false });
+    }
+  };
+
   selectConversation = (username) => {
     this.setState(
       (previousState) => ({
         active: username,
+        hasEarlier: true,
         loading: true,
         message: previousState.active === username ? previousState.message : '',
       }),
@@ -199,11 +302,7 @@ class Chat extends Component {
             loading: false,
           },
           () => {
-            try {
-              this.listRef.current.lastChild.scrollIntoView();
-            } catch {
-              // no-op
-            }
+            this.scrollToLatest();
 
             try {
               this.messageRef.current.focus();
@@ -229,7 +328,13 @@ class Chat extends Component {
   };
 
   render() {
-    const { active, conversations = [], loading } = this.state;
+    const {
+      active,
+      conversations = [],
+      hasEarlier,
+      loading,
+      loadingEarlier,
+    } = this.state;
     const messages = conversations[active]?.messages || [];
     const { user } = this.props.state;
 
@@ -250,6 +355,10 @@ class Chat extends Component {
             conversations={conversations}
             initiateConversation={this.initiateConversation}
             onConversationChange={(name) => this.selectConversation(name)}
+            onSearchResultOpen={(result) =>
+              this.selectConversation(result.username)
+            }
+            selfUsername={user.username}
           />
         </Segment>
         {Boolean(active) === false ? (
@@ -276,6 +385,10 @@ class Chat extends Component {
                   name="close"
                   onClick={() => this.deleteConversation(active)}
                 />
+                <ExportLogButton
+                  selfUsername={user.username}
+                  username={active}
+                />
               </Card.Header>
               <div className="chat">
                 {loading ? (
@@ -288,6 +401,17 @@ class Chat extends Component {
                 ) : (
                   <Segment.Group>
                     <Segment className="chat-history">
+                      {hasEarlier && messages.length > 0 && (
+                        <Button
+                          basic
+                          className="chat-load-earlier"
+                          loading={loadingEarlier}
+                          onClick={this.handleLoadEarlierMessages}
+                          size="mini"
+                        >
+                          Load Earlier Messages
+                        </Button>
+                      )}
                       <Ref innerRef={this.listRef}>
                         <List>
                           <ChatMessageHistory
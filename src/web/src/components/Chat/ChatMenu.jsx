@@ -1,9 +1,18 @@
 import './Chat.css';
+import MessageSearchModal from '../Shared/MessageSearchModal';
+import NotificationToggle from '../Shared/NotificationToggle';
 import SendMessageModal from './SendMessageModal';
 import React from 'react';
 import { Button, Icon, Label, Menu } from 'semantic-ui-react';
 
-const ChatMenu = ({ active, conversations, onConversationChange, ...rest }) => {
+const ChatMenu = ({
+  active,
+  conversations,
+  onConversationChange,
+  onSearchResultOpen,
+  selfUsername,
+  ...rest
+}) => {
   const names = Object.keys(conversations);
   const isActive = (name) => active === name;
 
@@ -37,6 +46,13 @@ const ChatMenu = ({ active, conversations, onConversationChange, ...rest }) => {
         </Menu.Item>
       ))}
       <Menu.Menu position="right">
+        <MessageSearchModal
+          canOpen={(result) => result.kind === 'Private'}
+          defaults={{ kind: 'Private' }}
+          onOpen={onSearchResultOpen}
+          selfUsername={selfUsername}
+        />
+        <NotificationToggle />
         <SendMessageModal
           centered
           size="small"
@@ -18,9 +18,30 @@ const initialState = {
   username: '',
 };
 
-const LoginForm = ({ error, loading, onLoginAttempt }) => {
+/**
+ * Asks for a username and password.
+ * @param {object} props
+ * @param {object} [props.error] - The error from the last attempt.
+ * @param {boolean} [props.expired] - Whether the session has ended, and the
+ *   form is shown over the app rather than in place of it.
+ * @param {boolean} [props.loading] - Whether an attempt is in progress.
+ * @param {Function} props.onLoginAttempt - Called with the username, password
+ *   and whether to remember the login.
+ * @param {string} [props.username] - The username to start with.
+ * @returns {object} The form.
+ */
+const LoginForm = ({
+  error,
+  expired = false,
+  loading,
+  onLoginAttempt,
+  username: initialUsername = '',
+}) => {
   const usernameInput = useRef();
-  const [state, setState] = useState(initialState);
+  const [state, setState] = useState({
+    ...initialState,
+    username: initialUsername,
+  });
   const [ready, setReady] = useState(false);
   const logo = useMemo(
     () => Logos[Math.floor(Math.random() * Logos.length)],
@@ -50,7 +71,7 @@ const LoginForm = ({ error, loading, onLoginAttempt }) => {
 
   return (
     <Grid
-      style={{ height: '100vh' }}
+      style={expired ? undefined : { height: '100vh' }}
       textAlign="center"
       verticalAlign="middle"
     >
@@ -68,9 +89,16 @@ const LoginForm = ({ error, loading, onLoginAttempt }) => {
         >
           {logo}
         </Header>
+        {expired && (
+          <Message info>
+            <Icon name="clock outline" />
+            Your session has ended. Log in again to pick up where you left off.
+          </Message>
+        )}
         <Form size="large">
           <Segment raised>
             <Input
+              defaultValue={initialUsername}
               disabled={loading}
               fluid
               icon="user"
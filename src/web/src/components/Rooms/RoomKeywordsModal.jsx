@@ -0,0 +1,118 @@
+import {
+  getKeywords,
+  parseKeyword,
+  saveKeywords,
+} from '../../lib/roomActivity';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Form,
+  Header,
+  Icon,
+  Message,
+  Modal,
+  Popup,
+  TextArea,
+} from 'semantic-ui-react';
+
+const validate = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .flatMap((line) => {
+      try {
+        parseKeyword(line);
+        return [];
+      } catch (error) {
+        return [error.message];
+      }
+    });
+
+// edits the keywords that, along with our username, are highlighted in rooms
+// and counted as mentions
+const RoomKeywordsModal = ({ onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+
+  const errors = validate(text);
+
+  const show = () => {
+    setText(getKeywords().join('\n'));
+    setOpen(true);
+  };
+
+  const save = () => {
+    try {
+      saveKeywords(text.split('\n'));
+      setOpen(false);
+      onChange?.();
+    } catch (error) {
+      toast.error(error?.message ?? error);
+    }
+  };
+
+  return (
+    <Modal
+      centered
+      onClose={() => setOpen(false)}
+      onOpen={show}
+      open={open}
+      size="small"
+      trigger={
+        <Popup
+          content="Highlight keywords"
+          trigger={
+            <Button
+              className="keywords-button"
+              icon
+            >
+              <Icon name="tag" />
+            </Button>
+          }
+        />
+      }
+    >
+      <Header>
+        <Icon name="tag" />
+        <Modal.Content>Highlight Keywords</Modal.Content>
+      </Header>
+      <Modal.Content>
+        <p>
+          Messages that mention your username or any of these keywords are
+          highlighted, and counted as mentions. Enter one keyword per line.
+          Keywords match whole words, ignoring case; write a regular expression
+          as <code>/pattern/flags</code>.
+        </p>
+        <Form>
+          <TextArea
+            onChange={(_event, data) => setText(data.value)}
+            placeholder={'flac\n/vinyl ?rip/i'}
+            rows={8}
+            value={text}
+          />
+        </Form>
+        {errors.length > 0 && (
+          <Message
+            error
+            list={errors}
+            size="small"
+          />
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={() => setOpen(false)}>Cancel</Button>
+        <Button
+          disabled={errors.length > 0}
+          onClick={save}
+          positive
+        >
+          Save
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default RoomKeywordsModal;
@@ -1,9 +1,21 @@
 import './Rooms.css';
+import MessageSearchModal from '../Shared/MessageSearchModal';
+import NotificationToggle from '../Shared/NotificationToggle';
 import RoomJoinModal from './RoomJoinModal';
+import RoomKeywordsModal from './RoomKeywordsModal';
 import React from 'react';
-import { Button, Icon, Menu } from 'semantic-ui-react';
+import { Button, Icon, Label, Menu } from 'semantic-ui-react';
 
-const RoomMenu = ({ active, joined, onRoomChange, ...rest }) => {
+const RoomMenu = ({
+  active,
+  activity = {},
+  joined,
+  onKeywordsChange,
+  onRoomChange,
+  onSearchResultOpen,
+  selfUsername,
+  ...rest
+}) => {
   const names = [...joined];
   const isActive = (name) => active === name;
 
@@ -26,9 +38,28 @@ const RoomMenu = ({ active, joined, onRoomChange, ...rest }) => {
             size="tiny"
           />
           {name}
+          {activity[name]?.unread > 0 && !isActive(name) && (
+            <Label
+              color={activity[name].mentions > 0 ? 'red' : 'grey'}
+              size="tiny"
+              title={`${activity[name].unread} unread, ${activity[name].mentions} mentioning you or a keyword`}
+            >
+              {activity[name].unread}
+            </Label>
+          )}
         </Menu.Item>
       ))}
       <Menu.Menu position="right">
+        <MessageSearchModal
+          canOpen={(result) =>
+            result.kind === 'Room' && joined.includes(result.roomName)
+          }
+          defaults={{ kind: 'Room' }}
+          onOpen={onSearchResultOpen}
+          selfUsername={selfUsername}
+        />
+        <RoomKeywordsModal onChange={onKeywordsChange} />
+        <NotificationToggle />
         <RoomJoinModal
           centered
           size="small"
@@ -1,14 +1,26 @@
 import { activeRoomKey } from '../../config';
+import { createMessagingHubConnection } from '../../lib/hubFactory';
+import { getRoomHistory } from '../../lib/messages';
+import {
+  getHighlightPatterns,
+  getReadPosition,
+  isHighlighted,
+  isUnread,
+} from '../../lib/roomActivity';
 import * as rooms from '../../lib/rooms';
+import ExportLogButton from '../Shared/ExportLogButton';
+import IgnoreUserModal from '../Shared/IgnoreUserModal';
 import PlaceholderSegment from '../Shared/PlaceholderSegment';
 import RoomMenu from './RoomMenu';
 import RoomUserList from './RoomUserList';
 import React, { Component, createRef } from 'react';
 import { withRouter } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import {
   Button,
   Card,
   Dimmer,
+  Divider,
   Icon,
   Input,
   List,
@@ -18,6 +30,9 @@ import {
   Segment,
 } from 'semantic-ui-react';
 
+// the number of older messages fetched each time more history is requested
+const earlierMessageCount = 100;
+
 const initialState = {
   active: '',
   contextMenu: {
@@ -26,13 +41,15 @@ const initialState = {
     x: 0,
     y: 0,
   },
-  intervals: {
-    messages: undefined,
-    rooms: undefined,
-  },
+  earlierCount: 0,
+  hasEarlier: true,
+  ignoring: undefined,
   joined: [],
   loading: false,
+  loadingEarlier: false,
   message: '',
+  patterns: [],
+  readMarker: undefined,
   room: {
     messages: [],
     users: [],
@@ -40,18 +57,41 @@ const initialState = {
 };
 
 const RoomMessageHistory = React.memo(
-  ({ formatTimestamp, messages, onHandleContextMenu }) => {
+  ({
+    formatTimestamp,
+    messages,
+    onHandleContextMenu,
+    patterns,
+    readMarker,
+  }) => {
+    // messages after the last one read when the room was opened are new; there's
+    // nothing to mark if the room has never been read
+    const firstUnread =
+      readMarker === undefined
+        ? -1
+        : messages.findIndex((message) => isUnread(message, readMarker));
+
     return (
       <>
-        {messages.map((message) => (
+        {messages.map((message, index) => (
           <div
             key={`${message.timestamp}+${message.message}`}
             onContextMenu={(clickEvent) =>
               onHandleContextMenu(clickEvent, message)
             }
           >
+            {index === firstUnread && (
+              <Divider
+                className="room-unread-marker"
+                horizontal
+              >
+                New Messages
+              </Divider>
+            )}
             <List.Content
-              className={`room-message ${message.self ? 'room-message-self' : ''}`}
+              className={`room-message ${message.self ? 'room-message-self' : ''} ${
+                isHighlighted(message, patterns) ? 'room-message-highlight' : ''
+              }`}
             >
               <span className="room-message-time">
                 {formatTimestamp(message.timestamp)}
@@ -77,32 +117,56 @@ class Rooms extends Component {
   }
 
   componentDidMount() {
+    this.messagingHub = createMessagingHubConnection();
+    this.messagingHub.on('room_message', this.handleRoomMessage);
+    this.messagingHub.on('room_joined', (event) =>
+      this.handleRoomMembership(event, true),
+    );
+    this.messagingHub.on('room_left', (event) =>
+      this.handleRoomMembership(event, false),
+    );
+
+    // anything that happened while we were disconnected was missed
+    this.messagingHub.onreconnected(async () => {
+      await this.fetchJoinedRooms();
+      await this.fetchActiveRoom();
+      this.markActiveRoomRead();
+    });
+
+    document.addEventListener('visibilitychange', this.markActiveRoomRead);
+
     this.setState(
       {
         active: sessionStorage.getItem(activeRoomKey) || '',
-        intervals: {
-          messages: window.setInterval(this.fetchActiveRoom, 1_000),
-          rooms: window.setInterval(this.fetchJoinedRooms, 500),
-        },
+        patterns: getHighlightPatterns({ username: this.props.username }),
       },
       async () => {
         await this.fetchJoinedRooms();
         this.selectRoom(this.state.active || this.getFirstRoom());
         document.addEventListener('click', this.handleCloseContextMenu);
+
+        try {
+          await this.messagingHub.start();
+        } catch (error) {
+          console.error(error);
+          toast.error(error?.message ?? 'Failed to connect');
+        }
       },
     );
   }
 
+  componentDidUpdate(previousProps) {
+    if (this.props.username !== previousProps.username) {
+      this.updatePatterns();
+    }
+  }
+
   componentWillUnmount() {
-    const { messages: messagesInterval, rooms: roomsInterval } =
-      this.state.intervals;
+    this.messagingHub?.stop();
 
-    clearInterval(roomsInterval);
-    clearInterval(messagesInterval);
+    document.removeEventListener('visibilitychange', this.markActiveRoomRead);
 
     document.removeEventListener('click', this.handleCloseContextMenu);
-
-    this.setState({ intervals: initialState.intervals });
   }
 
   listRef = createRef();
@@ -143,12 +207,120 @@ class Rooms extends Component {
     });
   };
 
+  handleRoomMessage = (message) => {
+    if (message.roomName !== this.state.active) return;
+
+    this.setState(
+      (previousState) => ({
+        room: rooms.applyRoomMessage(
+          previousState.room,
+          message,
+          rooms.roomMessageLimit + previousState.earlierCount,
+        ),
+      }),
+      () => {
+        if (message.self) {
+          this.scrollToLatest();
+        }
+
+        this.markActiveRoomRead();
+      },
+    );
+  };
+
+  // everything in the active room has been read, as long as it's on screen
+  markActiveRoomRead = () => {
+    const { active, room } = this.state;
+    const latest = room.messages?.at(-1);
+
+    if (document.hidden || !active || !latest) return;
+
+    this.props.onRead?.(active, latest.timestamp);
+  };
+
+  updatePatterns = () => {
+    this.setState({
+      patterns: getHighlightPatterns({ username: this.props.username }),
+    });
+  };
+
+  handleKeywordsChange = () => {
+    this.updatePatterns();
+    this.props.onKeywordsChange?.();
+  };
+
+  handleRoomMembership = (event, joined) => {
+    // our own membership changes the list of rooms, perhaps from another tab
+    if (event.self) {
+      this.fetchJoinedRooms();
+      return;
+    }
+
+    if (event.roomName !== this.state.active) return;
+
+    this.setState((previousState) => ({
+      room: rooms.applyRoomMembership(previousState.room, event, joined),
+    }));
+  };
+
+  scrollToLatest = () => {
+    try {
+      this.listRef.current.lastChild.scrollIntoView();
+    } catch {
+      // no-op
+    }
+  };
+
+  handleLoadEarlierMessages = async () => {
+    const { active, room } = this.state;
+    const oldest = room.messages?.[0];
+
+    this.setState({ loadingEarlier: true });
+
+    try {
+      const earlier = await getRoomHistory({
+        before: oldest?.timestamp,
+        limit: earlierMessageCount,
+        roomName: active,
+      });
+
+      this.setState((previousState) => {
+        // the room may have been switched while we waited
+        if (previousState.active !== active) {
+          return null;
+        }
+
+        return {
+          earlierCount: previousState.earlierCount + earlier.length,
+          hasEarlier: earlier.length === earlierMessageCount,
+          room: {
+            ...previousState.room,
+            messages: [...earlier, ...previousState.room.messages],
+          },
+        };
+      });
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      this.setState({ loadingEarlier: false });
+    }
+  };
+
+  handleSearchResultOpen = (result) => {
+    if (result.roomName !== this.state.active) {
+      this.selectRoom(result.roomName);
+    }
+  };
+
   selectRoom = async (roomName) => {
     this.setState(
       (previousState) => ({
         active: roomName,
+        earlierCount: 0,
+        hasEarlier: true,
         loading: true,
         message: previousState.active === roomName ? previousState.message : '',
+        readMarker: getReadPosition(roomName),
         room: initialState.room,
       }),
       async () => {
@@ -158,11 +330,8 @@ class Rooms extends Component {
 
         await this.fetchActiveRoom();
         this.setState({ loading: false }, () => {
-          try {
-            this.listRef.current.lastChild.scrollIntoView();
-          } catch {
-            // no-op
-          }
+          this.scrollToLatest();
+          this.markActiveRoomRead();
 
           try {
             this.messageRef.current.focus();
@@ -248,9 +417,9 @@ class Rooms extends Component {
   };
 
   handleUserProfile = () => {
-    this.props.history.push('/users', {
-      user: this.state.contextMenu.message.username,
-    });
+    this.props.history.push(
+      `/users/${encodeURIComponent(this.state.contextMenu.message.username)}`,
+    );
   };
 
   handleBrowseShares = () => {
@@ -259,6 +428,28 @@ class Rooms extends Component {
     });
   };
 
+  handleIgnoreUser = () => {
+    this.setState((previousState) => ({
+      ignoring: previousState.contextMenu.message.username,
+    }));
+  };
+
+  handleIgnoreClose = () => {
+    this.setState({ ignoring: undefined });
+  };
+
+  // the server stops sending their messages; drop the ones we already have
+  handleIgnore = ({ username }) => {
+    this.setState((previousState) => ({
+      room: {
+        ...previousState.room,
+        messages: previousState.room.messages.filter(
+          (message) => message.username !== username,
+        ),
+      },
+    }));
+  };
+
   renderContextMenu() {
     const { contextMenu } = this.state;
     return (
@@ -289,13 +480,31 @@ class Rooms extends Component {
           >
             Browse Shares
           </Button>
+          {!contextMenu.message?.self && (
+            <Button
+              className="ui compact button popup-option"
+              onClick={this.handleIgnoreUser}
+            >
+              Ignore User
+            </Button>
+          )}
         </div>
       </Portal>
     );
   }
 
   render() {
-    const { active = [], joined = [], loading, room } = this.state;
+    const {
+      active = [],
+      hasEarlier,
+      ignoring,
+      joined = [],
+      loading,
+      loadingEarlier,
+      patterns,
+      readMarker,
+      room,
+    } = this.state;
 
     return (
       <div className="rooms">
@@ -311,9 +520,13 @@ class Rooms extends Component {
           </div>
           <RoomMenu
             active={active}
+            activity={this.props.activity}
             joinRoom={this.joinRoom}
             joined={joined}
+            onKeywordsChange={this.handleKeywordsChange}
             onRoomChange={(name) => this.selectRoom(name)}
+            onSearchResultOpen={this.handleSearchResultOpen}
+            selfUsername={this.props.username}
           />
         </Segment>
         {active?.length === 0 ? (
@@ -340,6 +553,10 @@ class Rooms extends Component {
                   name="close"
                   onClick={() => this.leaveRoom(active)}
                 />
+                <ExportLogButton
+                  roomName={active}
+                  selfUsername={this.props.username}
+                />
               </Card.Header>
               <div className="room">
                 {loading ? (
@@ -353,12 +570,25 @@ class Rooms extends Component {
                   <>
                     <Segment.Group>
                       <Segment className="room-history">
+                        {hasEarlier && room.messages.length > 0 && (
+                          <Button
+                            basic
+                            className="room-load-earlier"
+                            loading={loadingEarlier}
+                            onClick={this.handleLoadEarlierMessages}
+                            size="mini"
+                          >
+                            Load Earlier Messages
+                          </Button>
+                        )}
                         <Ref innerRef={this.listRef}>
                           <List>
                             <RoomMessageHistory
                               formatTimestamp={this.formatTimestamp}
                               messages={room.messages}
                               onHandleContextMenu={this.handleContextMenu}
+                              patterns={patterns}
+                              readMarker={readMarker}
                             />
                           </List>
                         </Ref>
@@ -409,6 +639,12 @@ class Rooms extends Component {
           </Card>
         )}
         {this.renderContextMenu()}
+        <IgnoreUserModal
+          onClose={this.handleIgnoreClose}
+          onIgnore={this.handleIgnore}
+          open={Boolean(ignoring)}
+          username={ignoring}
+        />
       </div>
     );
   }
@@ -0,0 +1,208 @@
+import { downloadAlbum } from '../../lib/albums';
+import { formatEnqueueFailures } from '../../lib/transfers';
+import { formatBytes } from '../../lib/util';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Card, Icon, Label, Popup, Table } from 'semantic-ui-react';
+
+const AlbumGroup = ({ album, disabled, isInitiallyFolded, searchId }) => {
+  const [isFolded, setIsFolded] = useState(isInitiallyFolded);
+  const [downloading, setDownloading] = useState(false);
+  const [result, setResult] = useState(undefined);
+
+  useEffect(() => {
+    setIsFolded(isInitiallyFolded);
+  }, [isInitiallyFolded]);
+
+  const { bestFormat, name, sources, trackCount, tracksDiffer, userCount } =
+    album;
+  const [best] = sources;
+
+  // try each source in turn, best first, until one of them accepts
+  const download = async (candidates) => {
+    setDownloading(true);
+    setResult(undefined);
+
+    try {
+      const { enqueued, failed, source } = await downloadAlbum({
+        album: { ...album, sources: candidates },
+        searchId,
+      });
+
+      setResult({ failed, source });
+
+      if (enqueued?.failures?.length > 0) {
+        toast.warning(formatEnqueueFailures(enqueued.failures));
+      }
+
+      toast.success(
+        `Enqueued ${source.files.length} files from ${source.username}${
+          failed.length > 0
+            ? ` after ${failed.length} other source${
+                failed.length === 1 ? '' : 's'
+              } failed`
+            : ''
+        }`,
+      );
+    } catch (error) {
+      console.error(error);
+      setResult({ error: error.message });
+      toast.error(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Card
+      className="result-card album-card"
+      raised
+    >
+      <Card.Content>
+        <Card.Header>
+          <Icon
+            link
+            name={isFolded ? 'chevron right' : 'chevron down'}
+            onClick={() => setIsFolded(!isFolded)}
+          />
+          <Icon name="folder" />
+          {name}
+          <Label
+            className="album-label"
+            size="small"
+          >
+            <Icon name="users" />
+            {userCount}
+          </Label>
+          <Label
+            className="album-label"
+            size="small"
+          >
+            {bestFormat}
+          </Label>
+          {tracksDiffer && (
+            <Popup
+              content="Sources don't all share the same tracks; check the track counts before downloading"
+              trigger={
+                <Label
+                  className="album-label"
+                  color="yellow"
+                  size="small"
+                >
+                  <Icon name="warning sign" />
+                  Track lists differ
+                </Label>
+              }
+            />
+          )}
+        </Card.Header>
+        <Card.Meta className="result-meta">
+          <span>
+            {trackCount} track{trackCount === 1 ? '' : 's'} from {userCount}{' '}
+            user{userCount === 1 ? '' : 's'}; best source is {best.username}{' '}
+            (score {best.score})
+          </span>
+        </Card.Meta>
+        {!isFolded && (
+          <Table
+            className="album-sources unstackable"
+            compact="very"
+            size="small"
+          >
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell>User</Table.HeaderCell>
+                <Table.HeaderCell>Folder</Table.HeaderCell>
+                <Table.HeaderCell>Files</Table.HeaderCell>
+                <Table.HeaderCell>Size</Table.HeaderCell>
+                <Table.HeaderCell>Format</Table.HeaderCell>
+                <Table.HeaderCell>Score</Table.HeaderCell>
+                <Table.HeaderCell collapsing />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {sources.map((source, index) => (
+                <Table.Row
+                  key={`${source.username}:${source.directory}`}
+                  negative={result?.failed?.some((f) => f.source === source)}
+                  positive={result?.source === source}
+                >
+                  <Table.Cell>
+                    <Icon
+                      color={
+                        source.response.hasFreeUploadSlot ? 'green' : 'yellow'
+                      }
+                      name="circle"
+                      size="small"
+                    />
+                    {source.username}
+                  </Table.Cell>
+                  <Table.Cell className="album-source-directory">
+                    {source.directory}
+                  </Table.Cell>
+                  <Table.Cell>{source.files.length}</Table.Cell>
+                  <Table.Cell>
+                    {formatBytes(
+                      source.files.reduce((total, f) => total + f.size, 0),
+                    )}
+                  </Table.Cell>
+                  <Table.Cell>{source.format}</Table.Cell>
+                  <Table.Cell>{source.score}</Table.Cell>
+                  <Table.Cell>
+                    <Popup
+                      content={`Download from ${source.username}, falling back to the next best source`}
+                      trigger={
+                        <Icon
+                          disabled={disabled || downloading}
+                          link
+                          name="download"
+                          onClick={() =>
+                            !disabled &&
+                            !downloading &&
+                            download(sources.slice(index))
+                          }
+                        />
+                      }
+                    />
+                  </Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table>
+        )}
+      </Card.Content>
+      <Card.Content extra>
+        <Button
+          color="green"
+          content="Download Album"
+          disabled={disabled || downloading}
+          icon="download"
+          label={{
+            as: 'a',
+            basic: false,
+            content: `${best.files.length} files from ${best.username}`,
+          }}
+          labelPosition="right"
+          loading={downloading}
+          onClick={() => download(sources)}
+        />
+        {result?.source && (
+          <Icon
+            color="green"
+            name="checkmark"
+            size="large"
+          />
+        )}
+        {result?.error && (
+          <Icon
+            color="red"
+            name="x"
+            size="large"
+          />
+        )}
+      </Card.Content>
+    </Card>
+  );
+};
+
+export default AlbumGroup;
@@ -0,0 +1,67 @@
+import { groupAlbums } from '../../../lib/albums';
+import { getScoringContext } from '../../../lib/scoring';
+import PlaceholderSegment from '../../Shared/PlaceholderSegment';
+import AlbumGroup from '../AlbumGroup';
+import React, { useMemo, useState } from 'react';
+import { Button } from 'semantic-ui-react';
+
+// groups the (already filtered) responses by album, so the same album shared
+// by many users is shown once, with each user as a source to download from
+const AlbumGroups = ({
+  disabled,
+  foldResults,
+  responses,
+  searchId,
+  searchText,
+}) => {
+  const [displayCount, setDisplayCount] = useState(5);
+
+  const albums = useMemo(
+    () =>
+      groupAlbums({
+        context: getScoringContext({ responses, searchText }),
+        responses,
+      }),
+    [responses, searchText],
+  );
+
+  if (albums.length === 0) {
+    return (
+      <PlaceholderSegment
+        caption="No downloadable albums"
+        icon="folder open outline"
+      />
+    );
+  }
+
+  const remainingCount = albums.length - displayCount;
+
+  return (
+    <>
+      {albums.slice(0, displayCount).map((album) => (
+        <AlbumGroup
+          album={album}
+          disabled={disabled}
+          isInitiallyFolded={foldResults}
+          key={album.key}
+          searchId={searchId}
+        />
+      ))}
+      {remainingCount > 0 && (
+        <Button
+          className="showmore-button"
+          fluid
+          onClick={() => setDisplayCount(displayCount + 5)}
+          primary
+          size="large"
+        >
+          {`Show ${
+            remainingCount > 5 ? 5 : remainingCount
+          } More Albums (${remainingCount} remaining)`}
+        </Button>
+      )}
+    </>
+  );
+};
+
+export default AlbumGroups;
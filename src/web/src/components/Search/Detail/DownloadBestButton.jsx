@@ -0,0 +1,77 @@
+import {
+  enqueueBatch,
+  formatEnqueueFailures,
+  getEnqueueFailures,
+} from '../../../lib/transfers';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Icon, Popup } from 'semantic-ui-react';
+
+// enqueues the top-ranked folder among the visible results as a single
+// batch, linked to the search it came from
+const DownloadBestButton = ({ best, disabled, searchId }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const download = async () => {
+    const { directory, files } = best.score;
+
+    try {
+      setDownloading(true);
+
+      const response = await enqueueBatch({
+        files: files.map(({ filename, size }) => ({ filename, size })),
+        searchId,
+        username: best.username,
+      });
+
+      const failures = getEnqueueFailures(response);
+
+      if (failures.length > 0) {
+        toast.warning(formatEnqueueFailures(failures));
+      }
+
+      if (failures.length === files.length) {
+        return;
+      }
+
+      toast.success(
+        `Enqueued ${files.length} file${files.length === 1 ? '' : 's'} from ${
+          best.username
+        }: ${directory}`,
+      );
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Popup
+      content={
+        best
+          ? `${best.score.directory} from ${best.username} (score ${best.score.score})`
+          : 'No downloadable results'
+      }
+      trigger={
+        <span>
+          <Button
+            className="search-options-download-best"
+            color="green"
+            disabled={disabled || !best || downloading}
+            icon
+            labelPosition="left"
+            loading={downloading}
+            onClick={download}
+          >
+            <Icon name="trophy" />
+            Download Best Folder
+          </Button>
+        </span>
+      }
+    />
+  );
+};
+
+export default DownloadBestButton;
@@ -0,0 +1,274 @@
+import {
+  exportFilterPresets,
+  getFilterPresets,
+  importFilterPresets,
+  removeFilterPreset,
+  saveFilterPreset,
+  setDefaultFilterPreset,
+} from '../../../lib/filterPresets';
+import { downloadFile } from '../../../lib/util';
+import React, { useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Checkbox,
+  Dropdown,
+  Form,
+  Header,
+  Icon,
+  Input,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+
+const SavePresetModal = ({ filters, onClose, onSave, presets }) => {
+  const [name, setName] = useState('');
+  const [isDefault, setIsDefault] = useState(false);
+
+  const trimmed = name.trim();
+  const exists = presets.some((p) => p.name === trimmed);
+
+  return (
+    <Modal
+      onClose={onClose}
+      open
+      size="small"
+    >
+      <Header>
+        <Icon name="bookmark" />
+        <Modal.Content>Save Filter Preset</Modal.Content>
+      </Header>
+      <Modal.Content>
+        <Form onSubmit={() => trimmed && onSave({ isDefault, name: trimmed })}>
+          <Form.Field>
+            <Input
+              autoFocus
+              onChange={(_event, data) => setName(data.value)}
+              placeholder="Name"
+              value={name}
+            />
+          </Form.Field>
+          <Form.Field>
+            <code>{filters}</code>
+          </Form.Field>
+          <Form.Field>
+            <Checkbox
+              checked={isDefault}
+              label="Use as the default for new searches"
+              onChange={() => setIsDefault(!isDefault)}
+            />
+          </Form.Field>
+        </Form>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          disabled={!trimmed}
+          onClick={() => onSave({ isDefault, name: trimmed })}
+          positive
+        >
+          {exists ? 'Replace' : 'Save'}
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+const ManagePresetsModal = ({ onClose, onDefault, onRemove, state }) => (
+  <Modal
+    onClose={onClose}
+    open
+  >
+    <Header>
+      <Icon name="bookmark" />
+      <Modal.Content>Filter Presets</Modal.Content>
+    </Header>
+    <Modal.Content scrolling>
+      {state.presets.length === 0 ? (
+        'No presets have been saved.'
+      ) : (
+        <Table
+          compact
+          unstackable
+        >
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Name</Table.HeaderCell>
+              <Table.HeaderCell>Filter</Table.HeaderCell>
+              <Table.HeaderCell collapsing>Default</Table.HeaderCell>
+              <Table.HeaderCell collapsing />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {state.presets.map((preset) => {
+              const isDefault = preset.name === state.default;
+
+              return (
+                <Table.Row key={preset.name}>
+                  <Table.Cell>{preset.name}</Table.Cell>
+                  <Table.Cell>
+                    <code>{preset.filters}</code>
+                  </Table.Cell>
+                  <Table.Cell textAlign="center">
+                    <Icon
+                      color={isDefault ? 'yellow' : 'grey'}
+                      link
+                      name={isDefault ? 'star' : 'star outline'}
+                      onClick={() =>
+                        onDefault(isDefault ? undefined : preset.name)
+                      }
+                      title={
+                        isDefault
+                          ? 'Stop using as the default'
+                          : 'Use as the default for new searches'
+                      }
+                    />
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Icon
+                      color="red"
+                      link
+                      name="trash alternate"
+                      onClick={() => onRemove(preset.name)}
+                      title="Delete"
+                    />
+                  </Table.Cell>
+                </Table.Row>
+              );
+            })}
+          </Table.Body>
+        </Table>
+      )}
+    </Modal.Content>
+    <Modal.Actions>
+      <Button onClick={onClose}>Close</Button>
+    </Modal.Actions>
+  </Modal>
+);
+
+const exportPresets = () => {
+  downloadFile(
+    exportFilterPresets(),
+    'slskd-search-filter-presets.json',
+    'application/json',
+  );
+};
+
+const FilterPresets = ({ filters, onApply }) => {
+  const fileInputRef = useRef();
+  const [state, setState] = useState(() => getFilterPresets());
+  const [modal, setModal] = useState(undefined);
+
+  const save = ({ isDefault, name }) => {
+    try {
+      saveFilterPreset({ filters, name });
+      setState(isDefault ? setDefaultFilterPreset(name) : getFilterPresets());
+      setModal(undefined);
+    } catch (error) {
+      toast.error(error?.message ?? error);
+    }
+  };
+
+  const importPresets = async (event) => {
+    const [file] = event.target.files;
+
+    // reset the input so that picking the same file again fires onChange
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const { added, skipped, updated } = importFilterPresets(
+        await file.text(),
+      );
+      setState(getFilterPresets());
+      toast.success(
+        `Imported ${added} new and ${updated} updated preset(s)${
+          skipped > 0 ? `; skipped ${skipped} invalid` : ''
+        }`,
+      );
+    } catch (error) {
+      toast.error(`Failed to import presets: ${error?.message ?? error}`);
+    }
+  };
+
+  return (
+    <>
+      <Dropdown
+        button
+        className="search-filter-presets icon"
+        floating
+        icon="bookmark"
+        labeled
+        text="Presets"
+      >
+        <Dropdown.Menu direction="left">
+          {state.presets.length > 0 && (
+            <>
+              {state.presets.map((preset) => (
+                <Dropdown.Item
+                  description={preset.filters}
+                  icon={preset.name === state.default ? 'star' : undefined}
+                  key={preset.name}
+                  onClick={() => onApply(preset.filters)}
+                  text={preset.name}
+                />
+              ))}
+              <Dropdown.Divider />
+            </>
+          )}
+          <Dropdown.Item
+            disabled={!filters.trim()}
+            icon="save"
+            onClick={() => setModal('save')}
+            text="Save Current Filter..."
+          />
+          <Dropdown.Item
+            icon="setting"
+            onClick={() => setModal('manage')}
+            text="Manage Presets..."
+          />
+          <Dropdown.Divider />
+          <Dropdown.Item
+            disabled={state.presets.length === 0}
+            icon="download"
+            onClick={exportPresets}
+            text="Export..."
+          />
+          <Dropdown.Item
+            icon="upload"
+            onClick={() => fileInputRef.current.click()}
+            text="Import..."
+          />
+        </Dropdown.Menu>
+      </Dropdown>
+      <input
+        accept="application/json,.json"
+        hidden
+        onChange={importPresets}
+        ref={fileInputRef}
+        type="file"
+      />
+      {modal === 'save' && (
+        <SavePresetModal
+          filters={filters}
+          onClose={() => setModal(undefined)}
+          onSave={save}
+          presets={state.presets}
+        />
+      )}
+      {modal === 'manage' && (
+        <ManagePresetsModal
+          onClose={() => setModal(undefined)}
+          onDefault={(name) => setState(setDefaultFilterPreset(name))}
+          onRemove={(name) => setState(removeFilterPreset(name))}
+          state={state}
+        />
+      )}
+    </>
+  );
+};
+
+export default FilterPresets;
@@ -1,3 +1,6 @@
+import { getDefaultFilters } from '../../../lib/filterPresets';
+import * as ignoredUsers from '../../../lib/ignoredUsers';
+import { getScoringContext, scoreResponse } from '../../../lib/scoring';
 import {
   filterResponse,
   getResponses,
@@ -8,11 +11,26 @@ import ErrorSegment from '../../Shared/ErrorSegment';
 import LoaderSegment from '../../Shared/LoaderSegment';
 import Switch from '../../Shared/Switch';
 import Response from '../Response';
+import AlbumGroups from './AlbumGroups';
+import DownloadBestButton from './DownloadBestButton';
+import FilterPresets from './FilterPresets';
 import SearchDetailHeader from './SearchDetailHeader';
 import React, { useEffect, useMemo, useState } from 'react';
-import { Button, Checkbox, Dropdown, Input, Segment } from 'semantic-ui-react';
+import {
+  Button,
+  Checkbox,
+  Dropdown,
+  Input,
+  List,
+  Segment,
+} from 'semantic-ui-react';
 
 const sortDropdownOptions = [
+  {
+    key: 'score',
+    text: 'Best Source (Highest Score First)',
+    value: 'score',
+  },
   {
     key: 'uploadSpeed',
     text: 'Upload Speed (Fastest to Slowest)',
@@ -35,8 +53,15 @@ const SearchDetail = ({
   search,
   stopping,
 }) => {
-  const { fileCount, id, isComplete, lockedFileCount, responseCount, state } =
-    search;
+  const {
+    fileCount,
+    id,
+    isComplete,
+    lockedFileCount,
+    responseCount,
+    searchText,
+    state,
+  } = search;
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(undefined);
@@ -45,11 +70,13 @@ const SearchDetail = ({
 
   // filters and sorting options
   const [hiddenResults, setHiddenResults] = useState([]);
-  const [resultSort, setResultSort] = useState('uploadSpeed');
+  const [ignoredUsernames, setIgnoredUsernames] = useState(() => new Set());
+  const [resultSort, setResultSort] = useState('score');
   const [hideLocked, setHideLocked] = useState(true);
   const [hideNoFreeSlots, setHideNoFreeSlots] = useState(false);
   const [foldResults, setFoldResults] = useState(false);
-  const [resultFilters, setResultFilters] = useState('');
+  const [groupByAlbum, setGroupByAlbum] = useState(false);
+  const [resultFilters, setResultFilters] = useState(() => getDefaultFilters());
   const [displayCount, setDisplayCount] = useState(5);
 
   // when the search transitions from !isComplete -> isComplete,
@@ -77,20 +104,44 @@ const SearchDetail = ({
     }
   }, [id, isComplete]);
 
+  // the server drops responses from ignored users, but searches that finished
+  // before a user was ignored still have theirs
+  useEffect(() => {
+    const fetchIgnoredUsers = async () => {
+      try {
+        setIgnoredUsernames(
+          ignoredUsers.getIgnoredUsernames(await ignoredUsers.getAll()),
+        );
+      } catch (fetchError) {
+        console.error(fetchError);
+      }
+    };
+
+    fetchIgnoredUsers();
+  }, []);
+
+  const filters = useMemo(
+    () => parseFiltersFromString(resultFilters),
+    [resultFilters],
+  );
+
   // apply sorting and filters.  this can take a while for larger result
   // sets, so memoize it.
   const sortedAndFilteredResults = useMemo(() => {
     const sortOptions = {
       queueLength: { field: 'queueLength', order: 'asc' },
+      score: { field: 'scoreValue', order: 'desc' },
       uploadSpeed: { field: 'uploadSpeed', order: 'desc' },
     };
 
     const { field, order } = sortOptions[resultSort];
 
-    const filters = parseFiltersFromString(resultFilters);
-
-    return results
-      .filter((r) => !hiddenResults.includes(r.username))
+    const filtered = results
+      .filter(
+        (r) =>
+          !hiddenResults.includes(r.username) &&
+          !ignoredUsernames.has(r.username),
+      )
       .map((r) => {
         if (hideLocked) {
           return { ...r, lockedFileCount: 0, lockedFiles: [] };
@@ -100,7 +151,17 @@ const SearchDetail = ({
       })
       .map((response) => filterResponse({ filters, response }))
       .filter((r) => r.fileCount + r.lockedFileCount > 0)
-      .filter((r) => !(hideNoFreeSlots && !r.hasFreeUploadSlot))
+      .filter((r) => !(hideNoFreeSlots && !r.hasFreeUploadSlot));
+
+    // score what's left, so that filters and hidden users are reflected in the
+    // scores, and speed and queue depth are relative to the visible results only
+    const context = getScoringContext({ responses: filtered, searchText });
+
+    return filtered
+      .map((response) => {
+        const score = scoreResponse({ context, response });
+        return { ...response, score, scoreValue: score?.score ?? 0 };
+      })
       .sort((a, b) => {
         if (order === 'asc') {
           return a[field] - b[field];
@@ -109,14 +170,28 @@ const SearchDetail = ({
         return b[field] - a[field];
       });
   }, [
+    filters,
     hiddenResults,
     hideLocked,
     hideNoFreeSlots,
-    resultFilters,
+    ignoredUsernames,
     resultSort,
     results,
+    searchText,
   ]);
 
+  const best = useMemo(
+    () =>
+      sortedAndFilteredResults.reduce(
+        (top, response) =>
+          response.scoreValue > (top?.scoreValue ?? -1) && response.score
+            ? response
+            : top,
+        undefined,
+      ),
+    [sortedAndFilteredResults],
+  );
+
   // when a user uses the action buttons, we will *probably* re-use this component,
   // but with a new search ID.  clear everything to prepare for the transition
   const reset = () => {
@@ -141,6 +216,46 @@ const SearchDetail = ({
   const remainingCount = sortedAndFilteredResults.length - displayCount;
   const loaded = !removing && !creating && !loading && results;
 
+  const renderResponses = () => (
+    <>
+      {sortedAndFilteredResults.slice(0, displayCount).map((r) => (
+        <Response
+          disabled={disabled}
+          isBest={r.username === best?.username}
+          isInitiallyFolded={foldResults}
+          key={r.username}
+          onHide={() => setHiddenResults([...hiddenResults, r.username])}
+          onIgnore={({ username }) =>
+            setIgnoredUsernames((previous) => new Set([...previous, username]))
+          }
+          response={r}
+          searchId={id}
+        />
+      ))}
+      {remainingCount > 0 ? (
+        <Button
+          className="showmore-button"
+          fluid
+          onClick={() => setDisplayCount(displayCount + 5)}
+          primary
+          size="large"
+        >
+          Show {remainingCount > 5 ? 5 : remainingCount} More Results{' '}
+          {`(${remainingCount} remaining, ${filteredCount} hidden by filter(s))`}
+        </Button>
+      ) : filteredCount > 0 ? (
+        <Button
+          className="showmore-button"
+          disabled
+          fluid
+          size="large"
+        >{`All results shown. ${filteredCount} results hidden by filter(s)`}</Button>
+      ) : (
+        ''
+      )}
+    </>
+  );
+
   if (error) {
     return <ErrorSegment caption={error?.message ?? error} />;
   }
@@ -192,6 +307,11 @@ const SearchDetail = ({
                 sortDropdownOptions.find((o) => o.value === resultSort).text
               }
             />
+            <DownloadBestButton
+              best={best}
+              disabled={disabled}
+              searchId={id}
+            />
             <div className="search-option-toggles">
               <Checkbox
                 checked={hideLocked}
@@ -214,57 +334,70 @@ const SearchDetail = ({
                 onChange={() => setFoldResults(!foldResults)}
                 toggle
               />
+              <Checkbox
+                checked={groupByAlbum}
+                className="search-options-group-by-album"
+                label="Group by Album"
+                onChange={() => setGroupByAlbum(!groupByAlbum)}
+                toggle
+              />
             </div>
-            <Input
-              action={
-                Boolean(resultFilters) && {
-                  color: 'red',
-                  icon: 'x',
-                  onClick: () => setResultFilters(''),
+            <div className="search-filter-row">
+              <Input
+                action={
+                  Boolean(resultFilters) && {
+                    color: 'red',
+                    icon: 'x',
+                    onClick: () => setResultFilters(''),
+                  }
                 }
-              }
-              className="search-filter"
-              label={{ content: 'Filter', icon: 'filter' }}
-              onChange={(_event, data) => setResultFilters(data.value)}
-              placeholder="
-                lackluster container -bothersome iscbr|isvbr islossless|islossy 
-                minbitrate:320 minbitdepth:24 minfilesize:10 minfilesinfolder:8 minlength:5000
-              "
-              value={resultFilters}
-            />
+                className="search-filter"
+                error={filters.errors.length > 0}
+                label={{ content: 'Filter', icon: 'filter' }}
+                onChange={(_event, data) => setResultFilters(data.value)}
+                placeholder='lackluster container -bothersome (flac OR "lossless rip") ext:flac islossless minbr:320 maxbd:16 minfs:50MB minfif:8 minlen:300 path:live user:someone'
+                value={resultFilters}
+              />
+              <FilterPresets
+                filters={resultFilters}
+                onApply={setResultFilters}
+              />
+            </div>
+            {filters.errors.length > 0 && (
+              <List
+                bulleted
+                className="search-filter-errors"
+              >
+                {filters.errors.map((filterError) => (
+                  <List.Item
+                    key={`${filterError.start}-${filterError.message}`}
+                  >
+                    <code className="search-filter-error-context">
+                      {resultFilters.slice(
+                        filterError.start,
+                        filterError.end,
+                      ) || '\u00A0'}
+                    </code>
+                    {` ${filterError.message} (at character ${
+                      filterError.start + 1
+                    }); ignored`}
+                  </List.Item>
+                ))}
+              </List>
+            )}
           </Segment>
         )}
         {loaded &&
-          sortedAndFilteredResults.slice(0, displayCount).map((r) => (
-            <Response
+          (groupByAlbum ? (
+            <AlbumGroups
               disabled={disabled}
-              isInitiallyFolded={foldResults}
-              key={r.username}
-              onHide={() => setHiddenResults([...hiddenResults, r.username])}
-              response={r}
+              foldResults={foldResults}
+              responses={sortedAndFilteredResults}
+              searchId={id}
+              searchText={searchText}
             />
-          ))}
-        {loaded &&
-          (remainingCount > 0 ? (
-            <Button
-              className="showmore-button"
-              fluid
-              onClick={() => setDisplayCount(displayCount + 5)}
-              primary
-              size="large"
-            >
-              Show {remainingCount > 5 ? 5 : remainingCount} More Results{' '}
-              {`(${remainingCount} remaining, ${filteredCount} hidden by filter(s))`}
-            </Button>
-          ) : filteredCount > 0 ? (
-            <Button
-              className="showmore-button"
-              disabled
-              fluid
-              size="large"
-            >{`All results shown. ${filteredCount} results hidden by filter(s)`}</Button>
           ) : (
-            ''
+            renderResponses()
           ))}
       </Switch>
     </>
@@ -1,7 +1,14 @@
+import {
+  addRecentDestination,
+  expandDestination,
+} from '../../lib/destinations';
 import * as transfers from '../../lib/transfers';
 import { getDirectoryContents } from '../../lib/users';
 import { formatBytes, getDirectoryName } from '../../lib/util';
+import DestinationPicker from '../Shared/DestinationPicker';
 import FileList from '../Shared/FileList';
+import IgnoreUserModal from '../Shared/IgnoreUserModal';
+import ScoreBreakdown from './ScoreBreakdown';
 import React, { Component } from 'react';
 import { toast } from 'react-toastify';
 import { Button, Card, Icon, Label } from 'semantic-ui-react';
@@ -27,9 +34,11 @@ class Response extends Component {
     super(props);
 
     this.state = {
+      destination: undefined,
       downloadError: '',
       downloadRequest: undefined,
       fetchingDirectoryContents: false,
+      ignoring: false,
       isFolded: this.props.isInitiallyFolded,
       tree: buildTree(this.props.response),
     };
@@ -58,13 +67,20 @@ class Response extends Component {
   };
 
   download = (username, files) => {
+    const { destination } = this.state;
+
     this.setState({ downloadRequest: 'inProgress' }, async () => {
       try {
         const requests = (files || []).map(({ filename, size }) => ({
           filename,
           size,
         }));
-        await transfers.download({ files: requests, username });
+
+        if (destination === undefined) {
+          await transfers.download({ files: requests, username });
+        } else {
+          await this.downloadTo(username, requests, destination);
+        }
 
         this.setState({ downloadRequest: 'complete' });
       } catch (error) {
@@ -76,6 +92,37 @@ class Response extends Component {
     });
   };
 
+  // enqueues one batch per remote directory, so that a template expands to a
+  // different folder for each
+  downloadTo = async (username, files, destination) => {
+    const groups = files.reduce((dict, file) => {
+      const directory = getDirectoryName(file.filename);
+      dict[directory] = [...(dict[directory] ?? []), file];
+      return dict;
+    }, {});
+
+    const failures = [];
+
+    for (const [directory, directoryFiles] of Object.entries(groups)) {
+      const response = await transfers.enqueueBatch({
+        files: directoryFiles,
+        options: {
+          destination: expandDestination(destination, { directory, username }),
+        },
+        searchId: this.props.searchId,
+        username,
+      });
+
+      failures.push(...transfers.getEnqueueFailures(response));
+    }
+
+    addRecentDestination(destination);
+
+    if (failures.length > 0) {
+      toast.warning(transfers.formatEnqueueFailures(failures));
+    }
+  };
+
   getFullDirectory = async (username, directory) => {
     this.setState({ fetchingDirectoryContents: true });
 
@@ -131,14 +178,28 @@ class Response extends Component {
     this.setState((previousState) => ({ isFolded: !previousState.isFolded }));
   };
 
+  handleIgnoreOpen = () => {
+    this.setState({ ignoring: true });
+  };
+
+  handleIgnoreClose = () => {
+    this.setState({ ignoring: false });
+  };
+
+  handleIgnore = (ignoredUser) => {
+    this.props.onIgnore?.(ignoredUser);
+  };
+
   render() {
     const { response } = this.props;
     const free = response.hasFreeUploadSlot;
 
     const {
+      destination,
       downloadError,
       downloadRequest,
       fetchingDirectoryContents,
+      ignoring,
       isFolded,
       tree,
     } = this.state;
@@ -168,6 +229,10 @@ class Response extends Component {
               name="circle"
             />
             {response.username}
+            <ScoreBreakdown
+              isBest={this.props.isBest}
+              score={response.score}
+            />
             <Icon
               className="close-button"
               color="red"
@@ -175,6 +240,13 @@ class Response extends Component {
               name="close"
               onClick={() => this.props.onHide()}
             />
+            <Icon
+              className="ignore-user-button"
+              link
+              name="ban"
+              onClick={this.handleIgnoreOpen}
+              title="Ignore User"
+            />
           </Card.Header>
           <Card.Meta className="result-meta">
             <span>
@@ -232,6 +304,17 @@ class Response extends Component {
                 labelPosition="right"
                 onClick={() => this.download(response.username, selectedFiles)}
               />
+              <DestinationPicker
+                context={{
+                  directory: getDirectoryName(selectedFiles[0].filename),
+                  username: response.username,
+                }}
+                disabled={
+                  this.props.disabled || downloadRequest === 'inProgress'
+                }
+                onChange={(value) => this.setState({ destination: value })}
+                value={destination}
+              />
               {downloadRequest === 'inProgress' && (
                 <Icon
                   loading
@@ -262,6 +345,12 @@ class Response extends Component {
             </span>
           </Card.Content>
         )}
+        <IgnoreUserModal
+          onClose={this.handleIgnoreClose}
+          onIgnore={this.handleIgnore}
+          open={ignoring}
+          username={response.username}
+        />
       </Card>
     );
   }
@@ -0,0 +1,82 @@
+import { scoreLabels, scoreWeights } from '../../lib/scoring';
+import { getFileName } from '../../lib/util';
+import React from 'react';
+import { Header, Icon, Label, Popup, Table } from 'semantic-ui-react';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const getColor = (score) => {
+  if (score >= 75) return 'green';
+  if (score >= 50) return 'olive';
+  if (score >= 25) return 'yellow';
+  return 'grey';
+};
+
+const ScoreBreakdown = ({ isBest = false, score }) => {
+  if (!score) {
+    return null;
+  }
+
+  const { breakdown, directory, files, format } = score;
+
+  return (
+    <Popup
+      flowing
+      hoverable
+      trigger={
+        <Label
+          className="result-score"
+          color={getColor(score.score)}
+          size="small"
+        >
+          {isBest && <Icon name="trophy" />}
+          {score.score}
+        </Label>
+      }
+    >
+      <Header
+        as="h4"
+        content={getFileName(directory) || directory}
+        subheader={`Best folder: ${files.length} file${
+          files.length === 1 ? '' : 's'
+        }, ${format}`}
+      />
+      <Table
+        compact="very"
+        definition
+        size="small"
+        unstackable
+      >
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell />
+            <Table.HeaderCell>Value</Table.HeaderCell>
+            <Table.HeaderCell>Weight</Table.HeaderCell>
+            <Table.HeaderCell>Points</Table.HeaderCell>
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {Object.entries(scoreWeights).map(([component, weight]) => (
+            <Table.Row key={component}>
+              <Table.Cell>{scoreLabels[component]}</Table.Cell>
+              <Table.Cell>{percent(breakdown[component])}</Table.Cell>
+              <Table.Cell>{percent(weight)}</Table.Cell>
+              <Table.Cell>
+                {Math.round(breakdown[component] * weight * 100)}
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+        <Table.Footer>
+          <Table.Row>
+            <Table.HeaderCell>Score</Table.HeaderCell>
+            <Table.HeaderCell colSpan={2} />
+            <Table.HeaderCell>{score.score}</Table.HeaderCell>
+          </Table.Row>
+        </Table.Footer>
+      </Table>
+    </Popup>
+  );
+};
+
+export default ScoreBreakdown;
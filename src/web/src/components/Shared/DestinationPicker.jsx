@@ -0,0 +1,279 @@
+import {
+  destinationTokens,
+  expandDestination,
+  getRecentDestinations,
+  removeRecentDestination,
+  validateDestination,
+} from '../../lib/destinations';
+import { list } from '../../lib/files';
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Form,
+  Header,
+  Icon,
+  Input,
+  Label,
+  List,
+  Loader,
+  Message,
+  Modal,
+  Popup,
+} from 'semantic-ui-react';
+
+// lists the folders in the downloads directory, so an existing folder can be
+// picked as the destination
+const DownloadsBrowser = ({ onSelect }) => {
+  const [subdirectory, setSubdirectory] = useState([]);
+  const [directories, setDirectories] = useState(undefined);
+  const [error, setError] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchDirectories = async () => {
+      setDirectories(undefined);
+
+      try {
+        const result = await list({
+          root: 'downloads',
+          subdirectory: subdirectory.join('/'),
+        });
+
+        if (!cancelled) {
+          setDirectories(
+            [...(result?.directories ?? [])].sort((a, b) =>
+              a.name.localeCompare(b.name, undefined, { numeric: true }),
+            ),
+          );
+          setError(undefined);
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          setDirectories([]);
+          setError(
+            fetchError?.response?.data ?? fetchError?.message ?? fetchError,
+          );
+        }
+      }
+    };
+
+    fetchDirectories();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [subdirectory]);
+
+  const navigate = (path) => {
+    setSubdirectory(path);
+    onSelect(path.join('/'));
+  };
+
+  return (
+    <div className="destination-browser">
+      <Header size="tiny">
+        <Icon name="folder open" />
+        {'/downloads/' + subdirectory.join('/')}
+      </Header>
+      {error && (
+        <Message
+          error
+          size="small"
+        >
+          {String(error)}
+        </Message>
+      )}
+      {directories ? (
+        <List
+          divided
+          selection
+        >
+          {subdirectory.length > 0 && (
+            <List.Item onClick={() => navigate(subdirectory.slice(0, -1))}>
+              <List.Icon name="level up" />
+              <List.Content>..</List.Content>
+            </List.Item>
+          )}
+          {directories.map((directory) => (
+            <List.Item
+              key={directory.name}
+              onClick={() => navigate([...subdirectory, directory.name])}
+            >
+              <List.Icon name="folder" />
+              <List.Content>{directory.name}</List.Content>
+            </List.Item>
+          ))}
+        </List>
+      ) : (
+        <Loader
+          active
+          inline="centered"
+          size="small"
+        />
+      )}
+    </div>
+  );
+};
+
+const DestinationModal = ({ context, onClose, onSelect, value }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  const [recent, setRecent] = useState(() => getRecentDestinations());
+
+  const error = validateDestination(draft);
+  const trimmed = draft.trim();
+  const preview =
+    !error && trimmed && context
+      ? expandDestination(trimmed, context)
+      : undefined;
+
+  const select = () => !error && onSelect(trimmed || undefined);
+
+  return (
+    <Modal
+      onClose={onClose}
+      open
+    >
+      <Header>
+        <Icon name="folder" />
+        <Modal.Content>Download Destination</Modal.Content>
+      </Header>
+      <Modal.Content scrolling>
+        <Form onSubmit={select}>
+          <Form.Field error={Boolean(error)}>
+            <Input
+              autoFocus
+              onChange={(_event, data) => setDraft(data.value)}
+              placeholder="Default destination"
+              value={draft}
+            />
+            {error && (
+              <Label
+                basic
+                color="red"
+                pointing
+              >
+                {error}
+              </Label>
+            )}
+          </Form.Field>
+        </Form>
+        {preview && (
+          <p className="destination-preview">
+            Files from <code>{context.directory}</code> will be saved to{' '}
+            <code>{preview}</code>
+          </p>
+        )}
+        <p className="destination-help">
+          Files are saved in a folder named after the remote folder, inside the
+          destination. Use a template to name the folder yourself; templates are
+          expanded once for each folder being downloaded.
+        </p>
+        <div className="destination-tokens">
+          {destinationTokens.map(({ description, token }) => (
+            <Popup
+              content={description}
+              key={token}
+              trigger={
+                <Label
+                  as="a"
+                  onClick={() => setDraft(`${draft}{${token}}`)}
+                >
+                  {`{${token}}`}
+                </Label>
+              }
+            />
+          ))}
+        </div>
+        {recent.length > 0 && (
+          <>
+            <Header size="tiny">Recent</Header>
+            <List
+              divided
+              selection
+            >
+              {recent.map((destination) => (
+                <List.Item
+                  key={destination}
+                  onClick={() => setDraft(destination)}
+                >
+                  <List.Content floated="right">
+                    <Icon
+                      color="red"
+                      link
+                      name="close"
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        setRecent(removeRecentDestination(destination));
+                      }}
+                      title="Forget"
+                    />
+                  </List.Content>
+                  <List.Icon name="history" />
+                  <List.Content>{destination}</List.Content>
+                </List.Item>
+              ))}
+            </List>
+          </>
+        )}
+        <DownloadsBrowser onSelect={setDraft} />
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={() => onSelect(undefined)}>Use Default</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          disabled={Boolean(error)}
+          onClick={select}
+          positive
+        >
+          Select
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+/**
+ * A button showing the chosen download destination, which opens a dialog to
+ * change it.
+ * @param {object} props
+ * @param {object} [props.context] - The folder used to preview templates; see `expandDestination`.
+ * @param {boolean} [props.disabled] - Whether the button is disabled.
+ * @param {Function} props.onChange - Called with the new destination, or undefined for the default.
+ * @param {string} [props.value] - The current destination.
+ * @returns {object} The picker.
+ */
+const DestinationPicker = ({ context, disabled, onChange, value }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <Popup
+        content="Choose where the files are saved"
+        trigger={
+          <Button
+            basic
+            className="destination-picker-button"
+            content={value ?? 'Default destination'}
+            disabled={disabled}
+            icon="folder"
+            onClick={() => setOpen(true)}
+          />
+        }
+      />
+      {open && (
+        <DestinationModal
+          context={context}
+          onClose={() => setOpen(false)}
+          onSelect={(destination) => {
+            setOpen(false);
+            onChange(destination);
+          }}
+          value={value}
+        />
+      )}
+    </>
+  );
+};
+
+export default DestinationPicker;
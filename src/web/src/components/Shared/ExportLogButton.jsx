@@ -0,0 +1,58 @@
+import { exportFormats, exportLog, getLog } from '../../lib/messages';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Dropdown } from 'semantic-ui-react';
+
+/**
+ * A dropdown that downloads the complete log of a conversation or room in one
+ * of the export formats.
+ * @param {object} props
+ * @param {string} [props.roomName] - The room to export.
+ * @param {string} props.selfUsername - The username of the logged in user.
+ * @param {string} [props.username] - The username associated with the conversation to export, if not a room.
+ * @returns {object} The dropdown.
+ */
+const ExportLogButton = ({ roomName, selfUsername, username }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const download = async (format) => {
+    setExporting(true);
+
+    try {
+      const entries = await getLog({ roomName, selfUsername, username });
+
+      exportLog(entries, {
+        format,
+        name: roomName ? `room-${roomName}` : `chat-${username}`,
+        title: roomName ? `Room ${roomName}` : `Conversation with ${username}`,
+      });
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dropdown
+      className="export-log-button"
+      disabled={exporting}
+      icon={exporting ? 'spinner loading' : 'download'}
+      onClick={(event) => event.stopPropagation()}
+      title="Export"
+    >
+      <Dropdown.Menu direction="left">
+        <Dropdown.Header content="Export As" />
+        {Object.entries(exportFormats).map(([format, { name }]) => (
+          <Dropdown.Item
+            key={format}
+            onClick={() => download(format)}
+            text={name}
+          />
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default ExportLogButton;
@@ -0,0 +1,107 @@
+import { expiryOptions, getExpiresAt, ignore } from '../../lib/ignoredUsers';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Form, Header, Icon, Modal } from 'semantic-ui-react';
+
+const initialForm = { expiry: 0, reason: '', rejectUploads: false };
+
+/**
+ * A dialog that adds a user to the ignore list; their room and private
+ * messages and their search responses are hidden from then on.
+ * @param {object} props
+ * @param {Function} props.onClose - Called when the dialog is dismissed.
+ * @param {Function} [props.onIgnore] - Called with the new entry once the user is ignored.
+ * @param {boolean} props.open - Whether the dialog is open.
+ * @param {string} props.username - The user to ignore.
+ * @returns {object} The dialog.
+ */
+const IgnoreUserModal = ({ onClose, onIgnore, open, username }) => {
+  const [form, setForm] = useState(initialForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(initialForm);
+    }
+  }, [open]);
+
+  const setField = (name, value) =>
+    setForm((previous) => ({ ...previous, [name]: value }));
+
+  const save = async () => {
+    setSaving(true);
+
+    try {
+      const ignoredUser = await ignore({
+        expiresAt: getExpiresAt(form.expiry),
+        reason: form.reason.trim() || undefined,
+        rejectUploads: form.rejectUploads,
+        username,
+      });
+
+      toast.success(`Ignoring ${username}`);
+      onClose();
+      onIgnore?.(ignoredUser);
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      centered
+      onClose={onClose}
+      open={open}
+      size="tiny"
+    >
+      <Header>
+        <Icon name="ban" />
+        <Modal.Content>Ignore {username}</Modal.Content>
+      </Header>
+      <Modal.Content>
+        <p>
+          Messages from {username} in rooms and in private are hidden, and their
+          search results are dropped.
+        </p>
+        <Form onSubmit={save}>
+          <Form.Input
+            autoFocus
+            label="Reason"
+            maxLength={500}
+            onChange={(_event, { value }) => setField('reason', value)}
+            placeholder="Optional"
+            value={form.reason}
+          />
+          <Form.Dropdown
+            label="Ignore For"
+            onChange={(_event, { value }) => setField('expiry', value)}
+            options={expiryOptions}
+            selection
+            value={form.expiry}
+          />
+          <Form.Checkbox
+            checked={form.rejectUploads}
+            label="Cancel their queued uploads, and reject requests to download from me"
+            onChange={(_event, { checked }) =>
+              setField('rejectUploads', checked)
+            }
+          />
+        </Form>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          loading={saving}
+          negative
+          onClick={save}
+        >
+          Ignore
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default IgnoreUserModal;
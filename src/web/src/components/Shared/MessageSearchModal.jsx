@@ -0,0 +1,407 @@
+import {
+  getConversationHistory,
+  getRoomHistory,
+  search,
+  splitMatches,
+  toLogEntry,
+  toTimestampRange,
+} from '../../lib/messages';
+import ExportLogButton from './ExportLogButton';
+import React, { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Dropdown,
+  Form,
+  Header,
+  Icon,
+  List,
+  Loader,
+  Message,
+  Modal,
+  Popup,
+} from 'semantic-ui-react';
+
+// the number of messages shown either side of a result
+const contextSize = 25;
+
+const kindOptions = [
+  { key: 'all', text: 'All Messages', value: '' },
+  { key: 'private', text: 'Private Messages', value: 'Private' },
+  { key: 'room', text: 'Room Messages', value: 'Room' },
+];
+
+const formatTimestamp = (timestamp) =>
+  new Intl.DateTimeFormat('en', {
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    month: 'numeric',
+    year: 'numeric',
+  }).format(new Date(timestamp));
+
+const Highlighted = ({ query, text }) =>
+  splitMatches(text, query).map((part, index) =>
+    part.match ? (
+      // eslint-disable-next-line react/no-array-index-key
+      <mark key={index}>{part.text}</mark>
+    ) : (
+      // eslint-disable-next-line react/no-array-index-key
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    ),
+  );
+
+const isSameMessage = (a, b) =>
+  a.timestamp === b.timestamp && a.message === b.message;
+
+// the messages surrounding a search result, with the result scrolled into view
+const MessageContext = ({ query, result, selfUsername }) => {
+  const [messages, setMessages] = useState(undefined);
+  const targetRef = useRef();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchContext = async () => {
+      try {
+        const history =
+          result.kind === 'Room'
+            ? await getRoomHistory({
+                around: result.timestamp,
+                limit: contextSize * 2,
+                roomName: result.roomName,
+              })
+            : await getConversationHistory({
+                around: result.timestamp,
+                limit: contextSize * 2,
+                username: result.username,
+              });
+
+        if (!cancelled) {
+          setMessages(history);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setMessages([]);
+          toast.error(error?.response?.data ?? error?.message ?? error);
+        }
+      }
+    };
+
+    fetchContext();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [result]);
+
+  useEffect(() => {
+    targetRef.current?.scrollIntoView({ block: 'center' });
+  }, [messages]);
+
+  if (!messages) {
+    return (
+      <Loader
+        active
+        inline="centered"
+      />
+    );
+  }
+
+  return (
+    <List className="message-search-context">
+      {messages.map((message) => {
+        const entry = toLogEntry(message, selfUsername);
+        const isTarget = isSameMessage(message, result);
+
+        return (
+          <List.Item
+            className={`message-search-context-message ${
+              entry.self ? 'message-search-self' : ''
+            } ${isTarget ? 'message-search-target' : ''}`}
+            key={`${message.timestamp}+${message.message}`}
+          >
+            <span ref={isTarget ? targetRef : undefined} />
+            <span className="message-search-time">
+              {formatTimestamp(message.timestamp)}
+            </span>
+            <span className="message-search-name">{entry.username}: </span>
+            {isTarget ? (
+              <Highlighted
+                query={query}
+                text={entry.message}
+              />
+            ) : (
+              entry.message
+            )}
+          </List.Item>
+        );
+      })}
+    </List>
+  );
+};
+
+/**
+ * A button that opens a dialog to search the history of private and room
+ * messages, and to view each result in the context of its conversation or room.
+ * @param {object} props
+ * @param {Function} [props.canOpen] - Called with a result; whether it can be opened by onOpen.
+ * @param {object} [props.defaults] - The initial filters; kind, roomName and username.
+ * @param {Function} [props.onOpen] - Called with a result to open its conversation or room.
+ * @param {string} props.selfUsername - The username of the logged in user.
+ * @returns {object} The button and dialog.
+ */
+const MessageSearchModal = ({
+  canOpen = () => true,
+  defaults = {},
+  onOpen,
+  selfUsername,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [filters, setFilters] = useState({
+    from: '',
+    kind: defaults.kind ?? '',
+    query: '',
+    roomName: defaults.roomName ?? '',
+    to: '',
+    username: defaults.username ?? '',
+  });
+  const [searching, setSearching] = useState(false);
+  const [results, setResults] = useState(undefined);
+  const [selected, setSelected] = useState(undefined);
+  const [searchedQuery, setSearchedQuery] = useState('');
+
+  const setFilter =
+    (name) =>
+    (_event, { value }) =>
+      setFilters((previous) => ({ ...previous, [name]: value }));
+
+  const hasCriteria =
+    filters.query.trim() ||
+    filters.username.trim() ||
+    filters.roomName.trim() ||
+    filters.from ||
+    filters.to;
+
+  const execute = async () => {
+    if (!hasCriteria) return;
+
+    setSearching(true);
+    setSelected(undefined);
+
+    try {
+      setResults(
+        await search({
+          ...toTimestampRange(filters),
+          kind: filters.roomName.trim() ? 'Room' : filters.kind,
+          query: filters.query.trim(),
+          roomName: filters.roomName.trim(),
+          username: filters.username.trim(),
+        }),
+      );
+      setSearchedQuery(filters.query.trim());
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const openResult = (result) => {
+    setOpen(false);
+    onOpen(result);
+  };
+
+  const renderResults = () => {
+    if (selected) {
+      return (
+        <>
+          <Header size="small">
+            <Icon name={selected.kind === 'Room' ? 'comments' : 'comment'} />
+            <Header.Content>
+              {selected.kind === 'Room'
+                ? `Room ${selected.roomName}`
+                : `Conversation with ${selected.username}`}
+            </Header.Content>
+          </Header>
+          <MessageContext
+            query={searchedQuery}
+            result={selected}
+            selfUsername={selfUsername}
+          />
+        </>
+      );
+    }
+
+    if (searching) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        />
+      );
+    }
+
+    if (!results) {
+      return null;
+    }
+
+    if (results.length === 0) {
+      return <Message info>No messages matched the search</Message>;
+    }
+
+    return (
+      <List
+        className="message-search-results"
+        divided
+        selection
+      >
+        {results.map((result) => {
+          const entry = toLogEntry(result, selfUsername);
+
+          return (
+            <List.Item
+              key={`${result.kind}+${result.roomName}+${result.username}+${result.timestamp}`}
+              onClick={() => setSelected(result)}
+            >
+              <List.Icon
+                name={result.kind === 'Room' ? 'comments' : 'comment'}
+              />
+              <List.Content>
+                <List.Header>
+                  {result.kind === 'Room'
+                    ? `${result.roomName} · ${entry.username}`
+                    : `${result.username}${entry.self ? ` · ${entry.username}` : ''}`}
+                  <span className="message-search-time">
+                    {formatTimestamp(result.timestamp)}
+                  </span>
+                </List.Header>
+                <List.Description>
+                  <Highlighted
+                    query={searchedQuery}
+                    text={entry.message}
+                  />
+                </List.Description>
+              </List.Content>
+            </List.Item>
+          );
+        })}
+      </List>
+    );
+  };
+
+  return (
+    <Modal
+      centered
+      className="message-search-modal"
+      onClose={() => setOpen(false)}
+      onOpen={() => setOpen(true)}
+      open={open}
+      size="large"
+      trigger={
+        <Popup
+          content="Search message history"
+          trigger={
+            <Button
+              className="message-search-button"
+              icon
+            >
+              <Icon name="search" />
+            </Button>
+          }
+        />
+      }
+    >
+      <Header>
+        <Icon name="search" />
+        <Modal.Content>Search Message History</Modal.Content>
+      </Header>
+      <Modal.Content scrolling>
+        <Form onSubmit={execute}>
+          <Form.Input
+            autoFocus
+            icon="search"
+            onChange={setFilter('query')}
+            placeholder="Words to search for"
+            value={filters.query}
+          />
+          <Form.Group widths="equal">
+            <Form.Field>
+              <Dropdown
+                onChange={setFilter('kind')}
+                options={kindOptions}
+                selection
+                value={filters.roomName.trim() ? 'Room' : filters.kind}
+              />
+            </Form.Field>
+            <Form.Input
+              onChange={setFilter('username')}
+              placeholder="User"
+              value={filters.username}
+            />
+            <Form.Input
+              disabled={filters.kind === 'Private'}
+              onChange={setFilter('roomName')}
+              placeholder="Room"
+              value={filters.roomName}
+            />
+            <Form.Input
+              onChange={setFilter('from')}
+              title="From"
+              type="date"
+              value={filters.from}
+            />
+            <Form.Input
+              onChange={setFilter('to')}
+              title="To"
+              type="date"
+              value={filters.to}
+            />
+          </Form.Group>
+        </Form>
+        {renderResults()}
+      </Modal.Content>
+      <Modal.Actions>
+        {selected ? (
+          <>
+            <Button
+              floated="left"
+              icon
+              labelPosition="left"
+              onClick={() => setSelected(undefined)}
+            >
+              <Icon name="arrow left" />
+              Results
+            </Button>
+            <ExportLogButton
+              roomName={
+                selected.kind === 'Room' ? selected.roomName : undefined
+              }
+              selfUsername={selfUsername}
+              username={selected.username}
+            />
+            {onOpen && canOpen(selected) && (
+              <Button
+                onClick={() => openResult(selected)}
+                primary
+              >
+                {selected.kind === 'Room' ? 'Open Room' : 'Open Conversation'}
+              </Button>
+            )}
+          </>
+        ) : (
+          <Button
+            disabled={!hasCriteria || searching}
+            onClick={execute}
+            primary
+          >
+            Search
+          </Button>
+        )}
+        <Button onClick={() => setOpen(false)}>Close</Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default MessageSearchModal;
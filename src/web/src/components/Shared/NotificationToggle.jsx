@@ -0,0 +1,47 @@
+import {
+  getNotificationsEnabled,
+  isNotificationSupported,
+  setNotificationsEnabled,
+} from '../../lib/notifications';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Icon, Popup } from 'semantic-ui-react';
+
+// turns desktop notifications for private messages and room mentions on or off
+const NotificationToggle = () => {
+  const [enabled, setEnabled] = useState(() => getNotificationsEnabled());
+
+  if (!isNotificationSupported()) {
+    return null;
+  }
+
+  const toggle = async () => {
+    try {
+      setEnabled(await setNotificationsEnabled(!enabled));
+    } catch (error) {
+      toast.error(error?.message ?? error);
+    }
+  };
+
+  return (
+    <Popup
+      content={
+        enabled
+          ? 'Stop showing desktop notifications'
+          : 'Show desktop notifications for private messages and mentions'
+      }
+      trigger={
+        <Button
+          active={enabled}
+          className="notification-toggle"
+          icon
+          onClick={toggle}
+        >
+          <Icon name={enabled ? 'bell' : 'bell slash outline'} />
+        </Button>
+      }
+    />
+  );
+};
+
+export default NotificationToggle;
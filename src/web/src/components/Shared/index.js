@@ -1,10 +1,15 @@
 export { default as CodeEditor } from './CodeEditor';
+export { default as DestinationPicker } from './DestinationPicker';
 export { default as Div } from './Div';
 export { default as ErrorSegment } from './ErrorSegment';
+export { default as ExportLogButton } from './ExportLogButton';
 export { default as FileList } from './FileList';
 export { default as Graph, useDarkMode } from './Graph';
+export { default as IgnoreUserModal } from './IgnoreUserModal';
 export { default as LoaderSegment } from './LoaderSegment';
+export { default as MessageSearchModal } from './MessageSearchModal';
 export { default as Nbsp } from './Nbsp';
+export { default as NotificationToggle } from './NotificationToggle';
 export { default as PlaceholderSegment } from './PlaceholderSegment';
 export { default as ShrinkableButton } from './ShrinkableButton';
 export { default as ShrinkableDropdownButton } from './ShrinkableDropdownButton';
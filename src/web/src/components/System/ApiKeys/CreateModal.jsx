@@ -0,0 +1,167 @@
+import {
+  generateKey,
+  scopes,
+  selectScopes,
+  validateKey,
+} from '../../../lib/apiKeys';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Form, Icon, Input, Message, Modal } from 'semantic-ui-react';
+
+const scopeOptions = Object.entries(scopes).map(
+  ([value, { description, text }]) => ({
+    description,
+    key: value,
+    text,
+    value,
+  }),
+);
+
+const empty = { cidr: '', name: '', scopes: ['readOnly'] };
+
+/**
+ * Creates an API key, then shows it the one time it can be copied.
+ * @param {object} props
+ * @param {string[]} props.names - The names already taken.
+ * @param {Function} props.onClose - Called to close the modal.
+ * @param {Function} props.onCreate - Called with the key to create; resolves to whether it was created.
+ * @param {boolean} props.open - Whether the modal is open.
+ * @param {boolean} props.working - Whether a change is being saved.
+ * @returns {object} The modal.
+ */
+const CreateModal = ({ names, onClose, onCreate, open, working }) => {
+  const [key, setKey] = useState(empty);
+  const [touched, setTouched] = useState(false);
+  const [created, setCreated] = useState();
+
+  useEffect(() => {
+    if (open) {
+      setKey(empty);
+      setTouched(false);
+      setCreated(undefined);
+    }
+  }, [open]);
+
+  const error = validateKey(key, names);
+
+  const update = (field) => (_, data) => {
+    setTouched(true);
+    setKey((previous) => ({ ...previous, [field]: data.value }));
+  };
+
+  const create = async () => {
+    const value = generateKey();
+    const saved = await onCreate({ ...key, key: value, name: key.name.trim() });
+
+    if (saved) {
+      setCreated(value);
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(created);
+      toast.success('Copied the key');
+    } catch {
+      toast.error('Failed to copy the key; select it and copy it instead');
+    }
+  };
+
+  if (created) {
+    return (
+      <Modal
+        onClose={onClose}
+        open={open}
+        size="small"
+      >
+        <Modal.Header>
+          <Icon name="key" />
+          Created {key.name}
+        </Modal.Header>
+        <Modal.Content>
+          <Message warning>
+            <Icon name="warning sign" />
+            Copy the key now; it won&apos;t be shown again.
+          </Message>
+          <Input
+            action={{ content: 'Copy', icon: 'copy', onClick: copy }}
+            className="api-keys-value"
+            fluid
+            readOnly
+            value={created}
+          />
+        </Modal.Content>
+        <Modal.Actions>
+          <Button
+            onClick={onClose}
+            primary
+          >
+            Done
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal
+      onClose={onClose}
+      open={open}
+      size="tiny"
+    >
+      <Modal.Header>
+        <Icon name="key" />
+        Create API Key
+      </Modal.Header>
+      <Modal.Content>
+        <Form error={touched && error !== undefined}>
+          <Form.Input
+            autoComplete="off"
+            label="Name"
+            onChange={update('name')}
+            placeholder="e.g. my_script"
+            value={key.name}
+          />
+          <Form.Dropdown
+            label="Scope"
+            multiple
+            onChange={(_, data) => {
+              setTouched(true);
+              setKey((previous) => ({
+                ...previous,
+                scopes: selectScopes(previous.scopes, data.value),
+              }));
+            }}
+            options={scopeOptions}
+            selection
+            value={key.scopes}
+          />
+          <Form.Input
+            autoComplete="off"
+            label="Allowed CIDRs"
+            onChange={update('cidr')}
+            placeholder="Any; or e.g. 192.168.0.0/16,10.0.0.0/8"
+            value={key.cidr}
+          />
+          <Message
+            content={error}
+            error
+          />
+        </Form>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          disabled={error !== undefined || working}
+          loading={working}
+          onClick={create}
+          primary
+        >
+          Create
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default CreateModal;
@@ -0,0 +1,234 @@
+import {
+  addKey,
+  getAll,
+  mergeKeys,
+  revokeKey,
+  scopes,
+} from '../../../lib/apiKeys';
+import { getYaml } from '../../../lib/options';
+import { saveChange } from '../../../lib/optionsEditor';
+import { formatDate } from '../../../lib/util';
+import { LoaderSegment, ShrinkableButton, Switch } from '../../Shared';
+import CreateModal from './CreateModal';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Divider,
+  Header,
+  Icon,
+  Label,
+  Message,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+
+const ScopeLabels = ({ apiKey }) => {
+  // keys without scopes can do anything their role allows
+  if (apiKey.scopes.length === 0) {
+    return <Label size="small">{apiKey.role}</Label>;
+  }
+
+  return apiKey.scopes.map((scope) => (
+    <Label
+      color={scope === 'admin' ? 'red' : undefined}
+      key={scope}
+      size="small"
+      title={scopes[scope].description}
+    >
+      {scopes[scope].text}
+    </Label>
+  ));
+};
+
+const ApiKeys = ({ options = {} }) => {
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [keys, setKeys] = useState([]);
+  const [modal, setModal] = useState(false);
+
+  const { remoteConfiguration } = options;
+
+  const get = async (quiet = false) => {
+    if (!quiet) setLoading(true);
+
+    try {
+      const [inEffect, yaml] = await Promise.all([
+        getAll(),
+        remoteConfiguration ? getYaml() : undefined,
+      ]);
+
+      setKeys(mergeKeys(inEffect, yaml));
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    get();
+  }, [remoteConfiguration]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const save = async (change, message) => {
+    setWorking(true);
+
+    try {
+      const yaml = await saveChange(change);
+      setKeys(mergeKeys(await getAll(), yaml));
+      toast.success(message);
+      return true;
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const create = (key) =>
+    save((yaml) => addKey(yaml, key), `Created ${key.name}`);
+
+  const revoke = (name) =>
+    save((yaml) => revokeKey(yaml, name), `Revoked ${name}`);
+
+  return (
+    <Switch loading={loading && <LoaderSegment />}>
+      <div className="header-buttons">
+        <ShrinkableButton
+          disabled={working}
+          icon="refresh"
+          mediaQuery="(max-width: 516px)"
+          onClick={() => get(true)}
+        >
+          Refresh
+        </ShrinkableButton>
+        {remoteConfiguration ? (
+          <ShrinkableButton
+            disabled={working}
+            icon="plus"
+            mediaQuery="(max-width: 516px)"
+            onClick={() => setModal(true)}
+            primary
+          >
+            Create Key
+          </ShrinkableButton>
+        ) : (
+          <ShrinkableButton
+            disabled
+            icon="lock"
+            mediaQuery="(max-width: 516px)"
+          >
+            Remote Configuration Disabled
+          </ShrinkableButton>
+        )}
+      </div>
+      <Divider />
+      <Message info>
+        Send a key in the X-API-Key header of requests to the API. Keys are
+        checked against the scope and CIDRs they were created with; when each
+        was last used is tracked from when the application started.
+      </Message>
+      <Table
+        compact
+        unstackable
+      >
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell>Name</Table.HeaderCell>
+            <Table.HeaderCell>Scope</Table.HeaderCell>
+            <Table.HeaderCell>Created</Table.HeaderCell>
+            <Table.HeaderCell>Last Used (Since Restart)</Table.HeaderCell>
+            <Table.HeaderCell>From</Table.HeaderCell>
+            <Table.HeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {keys.length === 0 && (
+            <Table.Row>
+              <Table.Cell
+                colSpan={6}
+                textAlign="center"
+              >
+                No API keys
+              </Table.Cell>
+            </Table.Row>
+          )}
+          {keys.map((apiKey) => (
+            <Table.Row key={apiKey.name}>
+              <Table.Cell>
+                <Icon name="key" />
+                {apiKey.name}
+              </Table.Cell>
+              <Table.Cell>
+                <ScopeLabels apiKey={apiKey} />
+              </Table.Cell>
+              <Table.Cell>
+                {apiKey.created ? formatDate(apiKey.created) : '-'}
+              </Table.Cell>
+              <Table.Cell>
+                {apiKey.lastUsed
+                  ? formatDate(apiKey.lastUsed)
+                  : 'Not Since Restart'}
+              </Table.Cell>
+              <Table.Cell>{apiKey.lastUsedBy ?? '-'}</Table.Cell>
+              <Table.Cell textAlign="right">
+                {apiKey.inYaml ? (
+                  <Modal
+                    actions={[
+                      'Cancel',
+                      {
+                        content: 'Revoke',
+                        key: 'done',
+                        negative: true,
+                        onClick: () => revoke(apiKey.name),
+                      },
+                    ]}
+                    centered
+                    content={`Are you sure you want to revoke ${apiKey.name}?  Anything using it will no longer be able to call the API.`}
+                    header={
+                      <Header
+                        content="Confirm Revoke API Key"
+                        icon="key"
+                      />
+                    }
+                    size="mini"
+                    trigger={
+                      <Button
+                        disabled={working || !remoteConfiguration}
+                        icon="trash alternate"
+                        negative
+                        size="small"
+                        title="Revoke"
+                      />
+                    }
+                  />
+                ) : (
+                  remoteConfiguration && (
+                    <span
+                      className="api-keys-note"
+                      title="Configured with an environment variable or on the command line"
+                    >
+                      Configured elsewhere
+                    </span>
+                  )
+                )}
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+      <CreateModal
+        names={keys.map((key) => key.name)}
+        onClose={() => setModal(false)}
+        onCreate={create}
+        open={modal}
+        working={working}
+      />
+    </Switch>
+  );
+};
+
+export default ApiKeys;
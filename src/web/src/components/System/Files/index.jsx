@@ -1,10 +1,13 @@
 import './Files.css';
+import { can } from '../../../lib/session';
 import Explorer from './Explorer';
 import React from 'react';
 import { Tab } from 'semantic-ui-react';
 
-const Files = ({ options } = {}) => {
-  const { remoteFileManagement } = options;
+const Files = ({ options, role } = {}) => {
+  // files can only be deleted by users whose role allows it
+  const remoteFileManagement =
+    options.remoteFileManagement && can(role, 'deleteFiles');
 
   const panes = [
     {
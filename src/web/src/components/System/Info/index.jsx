@@ -1,4 +1,5 @@
 import { getVersion, restart, shutdown } from '../../../lib/application';
+import { can } from '../../../lib/session';
 import {
   CodeEditor,
   LoaderSegment,
@@ -9,7 +10,7 @@ import React, { useEffect, useState } from 'react';
 import { Divider, Header, Modal } from 'semantic-ui-react';
 import YAML from 'yaml';
 
-const Info = ({ state, theme }) => {
+const Info = ({ role, state, theme }) => {
   const [contents, setContents] = useState();
 
   useEffect(() => {
@@ -71,7 +72,7 @@ const Info = ({ state, theme }) => {
           size="mini"
           trigger={
             <ShrinkableButton
-              disabled={!contents}
+              disabled={!contents || !can(role, 'shutdown')}
               icon="shutdown"
               mediaQuery="(max-width: 686px)"
               negative
@@ -102,7 +103,7 @@ const Info = ({ state, theme }) => {
           trigger={
             <ShrinkableButton
               color={pendingRestart ? 'yellow' : undefined}
-              disabled={!contents}
+              disabled={!contents || !can(role, 'restart')}
               icon="redo"
               mediaQuery="(max-width: 686px)"
               negative={!pendingRestart}
@@ -1,39 +1,80 @@
 import {
+  getSecrets,
   getYaml,
   getYamlLocation,
   updateYaml,
   validateYaml,
 } from '../../../lib/options';
+import {
+  addRevision,
+  applyChanges,
+  getFields,
+  parseValidationErrors,
+} from '../../../lib/optionsEditor';
 import { Div, PlaceholderSegment, Switch } from '../../Shared';
 import CodeEditor from '../../Shared/CodeEditor';
-import React, { useEffect, useState } from 'react';
-import { Button, Icon, Message, Modal } from 'semantic-ui-react';
+import OptionsForm from './OptionsForm';
+import OptionsHistory from './OptionsHistory';
+import YamlDiff from './YamlDiff';
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Icon, Label, Menu, Message, Modal } from 'semantic-ui-react';
+import YAML from 'yaml';
+
+// how long to wait after the last change before validating
+const validationDelay = 500;
 
-const EditModal = ({ onClose, open, theme }) => {
+const parse = (yaml) => {
+  try {
+    return YAML.parse(yaml ?? '') ?? {};
+  } catch {
+    return undefined;
+  }
+};
+
+const EditModal = ({ onClose, open, options, theme }) => {
   // eslint-disable-next-line react/hook-use-state
   const [{ error, loading }, setLoading] = useState({
     error: false,
     loading: true,
   });
   // eslint-disable-next-line react/hook-use-state
-  const [{ isDirty, location, yaml }, setYaml] = useState({
-    isDirty: false,
+  const [{ location, original, secrets }, setFile] = useState({
     location: undefined,
-    yaml: undefined,
+    original: undefined,
+    secrets: undefined,
   });
+  const [yaml, setYaml] = useState();
+  const [tab, setTab] = useState('form');
+  const [reviewing, setReviewing] = useState(false);
   const [yamlError, setYamlError] = useState();
   const [updateError, setUpdateError] = useState();
 
+  const isDirty = yaml !== original;
+  const parsed = useMemo(() => parse(yaml), [yaml]);
+  const fields = useMemo(() => getFields(options ?? {}), [options]);
+  const errors = useMemo(() => parseValidationErrors(yamlError), [yamlError]);
+
   const get = async () => {
     setLoading({ error: false, loading: true });
+    setTab('form');
+    setReviewing(false);
+    setYamlError(undefined);
+    setUpdateError(undefined);
 
     try {
-      const [locationResult, yamlResult] = await Promise.all([
+      const [locationResult, yamlResult, secretsResult] = await Promise.all([
         getYamlLocation(),
         getYaml(),
+        getSecrets(),
       ]);
 
-      setYaml({ isDirty: false, location: locationResult, yaml: yamlResult });
+      setFile({
+        location: locationResult,
+        original: yamlResult,
+        secrets: secretsResult,
+      });
+      setYaml(yamlResult);
       setLoading({ error: false, loading: false });
     } catch (getError) {
       setLoading({ error: getError.message, loading: false });
@@ -43,23 +84,36 @@ const EditModal = ({ onClose, open, theme }) => {
   const validate = async (newYaml) => {
     const response = await validateYaml({ yaml: newYaml });
     setYamlError(response);
+    return response;
   };
 
-  const update = async (newYaml) => {
-    setYaml({ isDirty: true, location, yaml: newYaml });
-    validate(newYaml);
+  const change = (path, value) => {
+    try {
+      setYaml(applyChanges(yaml, [{ path, value }]));
+    } catch (changeError) {
+      toast.error(changeError.message);
+    }
   };
 
-  const save = async (newYaml) => {
-    await validate(newYaml);
+  const rollBack = (revision) => {
+    setYaml(revision);
+    setReviewing(true);
+  };
 
-    if (!yamlError) {
-      try {
-        await updateYaml({ yaml: newYaml });
-        onClose();
-      } catch (nextUpdateError) {
-        setUpdateError(nextUpdateError.response.data);
-      }
+  const save = async () => {
+    if (await validate(yaml)) {
+      setReviewing(false);
+      return;
+    }
+
+    try {
+      await updateYaml({ yaml });
+      addRevision({ after: yaml, before: original, secrets });
+      onClose();
+    } catch (nextUpdateError) {
+      setUpdateError(
+        nextUpdateError?.response?.data ?? nextUpdateError?.message,
+      );
     }
   };
 
@@ -69,6 +123,88 @@ const EditModal = ({ onClose, open, theme }) => {
     }
   }, [open]);
 
+  // changes are validated as they're made, once they've stopped for a moment
+  useEffect(() => {
+    if (loading || !isDirty) {
+      setYamlError(undefined);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await validateYaml({ yaml });
+
+        if (!cancelled) {
+          setYamlError(response);
+        }
+      } catch (validateError) {
+        if (!cancelled) {
+          setYamlError(validateError?.response?.data ?? validateError?.message);
+        }
+      }
+    }, validationDelay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [isDirty, loading, yaml]);
+
+  const renderTab = () => {
+    if (tab === 'yaml') {
+      return (
+        <div
+          {...{
+            className:
+              yamlError || updateError
+                ? 'edit-code-container-error'
+                : 'edit-code-container',
+          }}
+        >
+          <CodeEditor
+            onChange={(value) => setYaml(value)}
+            style={{ minHeight: 500 }}
+            theme={theme}
+            value={yaml}
+          />
+        </div>
+      );
+    }
+
+    if (tab === 'history') {
+      return (
+        <div className="options-editor-pane">
+          <OptionsHistory
+            current={yaml}
+            onRollBack={rollBack}
+            secrets={secrets}
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div className="options-editor-pane">
+        {parsed === undefined ? (
+          <Message warning>
+            <Icon name="warning sign" />
+            The YAML can&apos;t be edited with the form until it&apos;s fixed
+          </Message>
+        ) : (
+          <OptionsForm
+            errors={errors}
+            fields={fields}
+            onChange={change}
+            options={options ?? {}}
+            parsed={parsed}
+          />
+        )}
+      </div>
+    );
+  };
+
   return (
     <Modal
       onClose={onClose}
@@ -96,21 +232,53 @@ const EditModal = ({ onClose, open, theme }) => {
           error={error && <PlaceholderSegment icon="close" />}
           loading={loading && <PlaceholderSegment loading />}
         >
-          <div
-            {...{
-              className:
-                yamlError || updateError
-                  ? 'edit-code-container-error'
-                  : 'edit-code-container',
-            }}
-          >
-            <CodeEditor
-              onChange={(value) => update(value)}
-              style={{ minHeight: 500 }}
-              theme={theme}
-              value={yaml}
-            />
-          </div>
+          {reviewing ? (
+            <div className="options-editor-pane">
+              <YamlDiff
+                after={yaml}
+                before={original}
+              />
+            </div>
+          ) : (
+            <>
+              <Menu
+                className="options-editor-menu"
+                pointing
+                secondary
+              >
+                <Menu.Item
+                  active={tab === 'form'}
+                  onClick={() => setTab('form')}
+                >
+                  <Icon name="list" />
+                  Form
+                  {errors.length > 0 && (
+                    <Label
+                      color="red"
+                      size="mini"
+                    >
+                      {errors.length}
+                    </Label>
+                  )}
+                </Menu.Item>
+                <Menu.Item
+                  active={tab === 'yaml'}
+                  onClick={() => setTab('yaml')}
+                >
+                  <Icon name="code" />
+                  YAML
+                </Menu.Item>
+                <Menu.Item
+                  active={tab === 'history'}
+                  onClick={() => setTab('history')}
+                >
+                  <Icon name="history" />
+                  History
+                </Menu.Item>
+              </Menu>
+              {renderTab()}
+            </>
+          )}
         </Switch>
       </Modal.Content>
       <Modal.Actions>
@@ -123,14 +291,31 @@ const EditModal = ({ onClose, open, theme }) => {
             {(yamlError ?? '') + (updateError ?? '')}
           </Message>
         )}
-        <Button
-          disabled={!isDirty}
-          onClick={() => save(yaml)}
-          primary
-        >
-          <Icon name="save" />
-          Save
-        </Button>
+        {reviewing ? (
+          <>
+            <Button onClick={() => setReviewing(false)}>
+              <Icon name="arrow left" />
+              Back
+            </Button>
+            <Button
+              disabled={!isDirty || Boolean(yamlError)}
+              onClick={save}
+              primary
+            >
+              <Icon name="save" />
+              Apply
+            </Button>
+          </>
+        ) : (
+          <Button
+            disabled={!isDirty || Boolean(yamlError)}
+            onClick={() => setReviewing(true)}
+            primary
+          >
+            <Icon name="eye" />
+            Review Changes
+          </Button>
+        )}
         <Button
           negative
           onClick={onClose}
@@ -0,0 +1,289 @@
+import { getYamlValue, toYamlKey } from '../../../lib/optionsEditor';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Accordion,
+  Checkbox,
+  Form,
+  Icon,
+  Input,
+  Message,
+  TextArea,
+} from 'semantic-ui-react';
+
+const getIn = (object, path) =>
+  path.reduce((value, key) => value?.[key], object);
+
+const samePath = (a, b) =>
+  a.length === b.length &&
+  a.every((key, index) => key.toLowerCase() === b[index].toLowerCase());
+
+// settings are found by their path, however the words in it are separated
+const toQuery = (text) => text.toLowerCase().replaceAll(/[\s_-]+/gu, '');
+
+const matches = (field, query) =>
+  toQuery(field.path.join('.')).includes(query) ||
+  (field.children ?? []).some((child) => matches(child, query));
+
+const parseList = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// a list is edited as text, one value per line, and only written back once
+// what's been typed is a different list; otherwise a new line would be
+// removed as soon as it's typed
+const ListInput = ({ onChange, value }) => {
+  const [text, setText] = useState((value ?? []).join('\n'));
+
+  useEffect(() => {
+    if (JSON.stringify(parseList(text)) !== JSON.stringify(value ?? [])) {
+      setText((value ?? []).join('\n'));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [value]);
+
+  return (
+    <TextArea
+      onChange={(_, data) => {
+        setText(data.value);
+        onChange(parseList(data.value));
+      }}
+      placeholder="One per line"
+      rows={Math.min(Math.max(text.split('\n').length, 2), 10)}
+      value={text}
+    />
+  );
+};
+
+const FieldInput = ({ field, onChange, value }) => {
+  switch (field.type) {
+    case 'boolean':
+      return (
+        <Checkbox
+          checked={Boolean(value)}
+          onChange={(_, data) => onChange(data.checked)}
+          toggle
+        />
+      );
+    case 'number':
+      return (
+        <Input
+          onChange={(_, data) => {
+            const number = Number(data.value);
+
+            // anything that isn't a number is written as it is, so that the
+            // validation says what's wrong with it
+            if (data.value === '') {
+              onChange(null);
+            } else {
+              onChange(Number.isNaN(number) ? data.value : number);
+            }
+          }}
+          type="number"
+          value={value ?? ''}
+        />
+      );
+    case 'list':
+      return (
+        <ListInput
+          onChange={onChange}
+          value={value}
+        />
+      );
+    case 'unsupported':
+      return (
+        <Message
+          info
+          size="small"
+        >
+          This setting can only be edited in the YAML
+        </Message>
+      );
+    default:
+      return (
+        <Input
+          onChange={(_, data) => onChange(data.value)}
+          placeholder={field.secret ? '(hidden)' : undefined}
+          type={field.secret ? 'password' : 'text'}
+          value={value ?? ''}
+        />
+      );
+  }
+};
+
+const Fields = ({ errors, fields, onChange, options, parsed, query }) =>
+  fields
+    .filter((field) => matches(field, query))
+    .map((field) => {
+      const fieldErrors = errors.filter((error) =>
+        samePath(error.path, field.path),
+      );
+      const name = toYamlKey(field.key);
+
+      if (field.type === 'object') {
+        return (
+          <fieldset
+            className="options-form-group"
+            key={name}
+          >
+            <legend>{name}</legend>
+            {fieldErrors.map((error) => (
+              <Message
+                key={error.message}
+                negative
+                size="small"
+              >
+                {error.message}
+              </Message>
+            ))}
+            <Fields
+              errors={errors}
+              fields={field.children}
+              onChange={onChange}
+              options={options}
+              parsed={parsed}
+              query={query}
+            />
+          </fieldset>
+        );
+      }
+
+      const optionValue = getIn(options, field.path);
+
+      return (
+        <Form.Field
+          error={fieldErrors.length > 0}
+          key={name}
+        >
+          <label>{name}</label>
+          <FieldInput
+            field={field}
+            onChange={(value) => onChange(field.path, value)}
+            value={
+              getYamlValue(parsed, field.path) ??
+              (field.secret ? undefined : optionValue)
+            }
+          />
+          {fieldErrors.map((error) => (
+            <div
+              className="options-form-error"
+              key={error.message}
+            >
+              {error.message}
+            </div>
+          ))}
+        </Form.Field>
+      );
+    });
+
+/**
+ * A form for the options, generated from the shape of the current options.
+ * Each field shows the value set in the YAML file, or else the value in use.
+ * @param {object} props
+ * @param {object[]} props.errors - The validation errors, with the paths they're about.
+ * @param {object[]} props.fields - The fields, from getFields().
+ * @param {Function} props.onChange - Called with the path and new value of a field.
+ * @param {object} props.options - The current options.
+ * @param {object} props.parsed - The parsed YAML file being edited.
+ * @returns {object} The form.
+ */
+const OptionsForm = ({ errors, fields, onChange, options, parsed }) => {
+  const [active, setActive] = useState(undefined);
+  const [filter, setFilter] = useState('');
+  const query = toQuery(filter);
+
+  // settings that aren't in a section are grouped together, first
+  const sections = useMemo(() => {
+    const general = fields.filter((field) => field.type !== 'object');
+
+    return [
+      ...(general.length > 0
+        ? [{ children: general, key: 'general', path: [] }]
+        : []),
+      ...fields.filter((field) => field.type === 'object'),
+    ];
+  }, [fields]);
+
+  const visible = sections.filter((section) => matches(section, query));
+
+  return (
+    <div className="options-form">
+      <Input
+        fluid
+        icon="search"
+        onChange={(_, data) => setFilter(data.value)}
+        placeholder="Find a setting"
+        value={filter}
+      />
+      <Form>
+        <Accordion
+          fluid
+          styled
+        >
+          {visible.map((section) => {
+            const isActive = query.length > 0 || active === section.key;
+            const errorCount = errors.filter(
+              (error) =>
+                error.path.length > 0 &&
+                (section.path.length === 0
+                  ? section.children.some((field) =>
+                      samePath(error.path, field.path),
+                    )
+                  : samePath(error.path.slice(0, 1), section.path)),
+            ).length;
+
+            return (
+              <React.Fragment key={section.key}>
+                <Accordion.Title
+                  active={isActive}
+                  onClick={() => setActive(isActive ? undefined : section.key)}
+                >
+                  <Icon name="dropdown" />
+                  {toYamlKey(section.key)}
+                  {errorCount > 0 && (
+                    <Icon
+                      className="options-form-section-error"
+                      color="red"
+                      name="warning circle"
+                    />
+                  )}
+                </Accordion.Title>
+                <Accordion.Content active={isActive}>
+                  {isActive &&
+                    section.path.length > 0 &&
+                    errors
+                      .filter((error) => samePath(error.path, section.path))
+                      .map((error) => (
+                        <Message
+                          key={error.message}
+                          negative
+                          size="small"
+                        >
+                          {error.message}
+                        </Message>
+                      ))}
+                  {isActive && (
+                    <Fields
+                      errors={errors}
+                      fields={section.children}
+                      onChange={onChange}
+                      options={options}
+                      parsed={parsed}
+                      query={query}
+                    />
+                  )}
+                </Accordion.Content>
+              </React.Fragment>
+            );
+          })}
+        </Accordion>
+      </Form>
+      {visible.length === 0 && (
+        <Message info>No settings match &apos;{filter}&apos;</Message>
+      )}
+    </div>
+  );
+};
+
+export default OptionsForm;
@@ -0,0 +1,94 @@
+import { getHistory, restoreSecrets } from '../../../lib/optionsEditor';
+import { formatDate } from '../../../lib/util';
+import YamlDiff from './YamlDiff';
+import React, { useMemo, useState } from 'react';
+import { Button, Form, Icon, Message } from 'semantic-ui-react';
+
+/**
+ * Lists the revisions of the YAML file applied with the editor, to compare
+ * them with each other or the file being edited, and to roll back to one.
+ * @param {object} props
+ * @param {string} props.current - The file being edited.
+ * @param {Function} props.onRollBack - Called with the contents of the revision to roll back to.
+ * @param {string[]} props.secrets - The options that are secrets, from getSecrets().
+ * @returns {object} The history.
+ */
+const OptionsHistory = ({ current, onRollBack, secrets }) => {
+  // secrets are kept out of the history, and taken from the file being edited
+  const history = useMemo(
+    () =>
+      getHistory().map((revision) => ({
+        ...revision,
+        yaml: restoreSecrets(revision.yaml, current, secrets),
+      })),
+    [current, secrets],
+  );
+  const [from, setFrom] = useState(() => {
+    const index = history.findIndex((revision) => revision.yaml !== current);
+    return index === -1 ? 'current' : index;
+  });
+  const [to, setTo] = useState('current');
+
+  if (history.length === 0) {
+    return (
+      <Message info>
+        Changes applied here will be listed so that they can be compared and
+        rolled back
+      </Message>
+    );
+  }
+
+  const choices = [
+    { key: 'current', text: 'Being edited', value: 'current' },
+    ...history.map((revision, index) => ({
+      key: index,
+      text: `${formatDate(revision.appliedAt)}${
+        revision.original ? ' (before editing)' : ''
+      }`,
+      value: index,
+    })),
+  ];
+
+  const getYaml = (choice) =>
+    choice === 'current' ? current : history[choice].yaml;
+
+  return (
+    <div className="options-history">
+      <Form>
+        <Form.Group widths="equal">
+          <Form.Dropdown
+            fluid
+            label="Compare"
+            onChange={(_, data) => setFrom(data.value)}
+            options={choices}
+            selection
+            value={from}
+          />
+          <Form.Dropdown
+            fluid
+            label="With"
+            onChange={(_, data) => setTo(data.value)}
+            options={choices}
+            selection
+            value={to}
+          />
+        </Form.Group>
+      </Form>
+      <YamlDiff
+        after={getYaml(to)}
+        before={getYaml(from)}
+      />
+      <Button
+        disabled={from === 'current' || getYaml(from) === current}
+        icon
+        labelPosition="left"
+        onClick={() => onRollBack(getYaml(from))}
+      >
+        <Icon name="undo" />
+        Roll Back to This Revision
+      </Button>
+    </div>
+  );
+};
+
+export default OptionsHistory;
@@ -0,0 +1,242 @@
+import {
+  getCurrentDebugView,
+  getRestartRequired,
+  getStartup,
+  getYaml,
+} from '../../../lib/options';
+import { layers, mergeSources } from '../../../lib/optionsSources';
+import { PlaceholderSegment, Switch } from '../../Shared';
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Icon,
+  Input,
+  Label,
+  Menu,
+  Message,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+
+const layerColors = {
+  commandLine: 'purple',
+  default: undefined,
+  environment: 'teal',
+  overlay: 'orange',
+  yaml: 'blue',
+};
+
+const filters = {
+  all: { test: () => true, text: 'All' },
+  overridden: { test: (row) => row.overridden, text: 'Overridden' },
+  ignored: { test: (row) => row.ignored, text: 'Ignored' },
+  restart: { test: (row) => row.requiresRestart, text: 'Requires Restart' },
+};
+
+// the debug view and the YAML file are only available in debug mode, and with
+// remote configuration enabled; the view makes do without them
+const attempt = async (get) => {
+  try {
+    return await get();
+  } catch {
+    return undefined;
+  }
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Shows, for each setting, the layer (default, environment variable, YAML,
+ * command line or overlay) that supplied the value in effect, and flags the
+ * settings in the YAML that are overridden or ignored, and the changes that
+ * are waiting for a restart.
+ * @param {object} props
+ * @param {Function} props.onClose - Called to close the modal.
+ * @param {boolean} props.open - Whether the modal is open.
+ * @param {object} props.options - The options in use.
+ * @param {boolean} props.pendingRestart - Whether the application is waiting to be restarted.
+ * @returns {object} The modal.
+ */
+const SourcesModal = ({ onClose, open, options, pendingRestart }) => {
+  const [loading, setLoading] = useState(true);
+  const [sources, setSources] = useState({});
+  const [filter, setFilter] = useState('all');
+  const [query, setQuery] = useState('');
+
+  const get = async () => {
+    setLoading(true);
+
+    try {
+      const [debugView, yaml, startup, restartRequired] = await Promise.all([
+        attempt(getCurrentDebugView),
+        attempt(getYaml),
+        getStartup(),
+        getRestartRequired(),
+      ]);
+
+      setSources({ debugView, restartRequired, startup, yaml });
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      get();
+    }
+  }, [open]);
+
+  const rows = useMemo(
+    () => mergeSources({ ...sources, options, pendingRestart }),
+    [options, pendingRestart, sources],
+  );
+
+  const visible = rows.filter(
+    (row) =>
+      filters[filter].test(row) &&
+      row.name.toLowerCase().includes(query.trim().toLowerCase()),
+  );
+  const pending = rows.filter((row) => row.pending);
+
+  return (
+    <Modal
+      onClose={onClose}
+      open={open}
+      size="large"
+    >
+      <Modal.Header>
+        <Icon name="sitemap" />
+        Options (Sources)
+      </Modal.Header>
+      <Modal.Content
+        className="debug-view-content"
+        scrolling
+      >
+        <Switch loading={loading && <PlaceholderSegment loading />}>
+          {pendingRestart && (
+            <Message warning>
+              <Icon name="redo" />
+              {pending.length > 0
+                ? `Restart to apply changes to ${pending
+                    .map((row) => row.name)
+                    .join(', ')}`
+                : 'Restart to apply changes to settings that require it'}
+            </Message>
+          )}
+          {sources.debugView === undefined && (
+            <Message info>
+              Run in debug mode to see which layer each value comes from, and
+              which settings in the YAML are overridden
+            </Message>
+          )}
+          <Input
+            fluid
+            icon="search"
+            onChange={(_, data) => setQuery(data.value)}
+            placeholder="Find a setting"
+            value={query}
+          />
+          <Menu
+            pointing
+            secondary
+          >
+            {Object.entries(filters).map(([key, { test, text }]) => (
+              <Menu.Item
+                active={filter === key}
+                key={key}
+                onClick={() => setFilter(key)}
+              >
+                {text}
+                <Label size="mini">{rows.filter(test).length}</Label>
+              </Menu.Item>
+            ))}
+          </Menu>
+          <Table
+            compact
+            unstackable
+          >
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell>Setting</Table.HeaderCell>
+                <Table.HeaderCell>Value</Table.HeaderCell>
+                <Table.HeaderCell>Source</Table.HeaderCell>
+                <Table.HeaderCell>YAML</Table.HeaderCell>
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {visible.map((row) => (
+                <Table.Row
+                  key={row.key}
+                  negative={row.ignored}
+                  warning={row.pending || row.overridden}
+                >
+                  <Table.Cell className="options-sources-name">
+                    {row.name}
+                    {row.requiresRestart && (
+                      <Icon
+                        className="options-sources-restart"
+                        color={row.pending ? 'yellow' : 'grey'}
+                        name="redo"
+                        title={
+                          row.pending
+                            ? 'Changed; restart to apply'
+                            : 'Changes require a restart'
+                        }
+                      />
+                    )}
+                  </Table.Cell>
+                  <Table.Cell className="options-sources-value">
+                    {formatValue(row.value)}
+                  </Table.Cell>
+                  <Table.Cell>
+                    {row.layers.map((layer) => (
+                      <Label
+                        color={layerColors[layer]}
+                        key={layer}
+                        size="mini"
+                      >
+                        {layers[layer] ?? layer}
+                      </Label>
+                    ))}
+                  </Table.Cell>
+                  <Table.Cell className="options-sources-value">
+                    {formatValue(row.yaml)}
+                    {row.overridden && (
+                      <Label
+                        color="yellow"
+                        size="mini"
+                      >
+                        overridden
+                      </Label>
+                    )}
+                    {row.ignored && (
+                      <Label
+                        color="red"
+                        size="mini"
+                      >
+                        ignored
+                      </Label>
+                    )}
+                  </Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table>
+        </Switch>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Close</Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default SourcesModal;
@@ -0,0 +1,65 @@
+import { collapseUnchanged, diffLines } from '../../../lib/optionsEditor';
+import React, { useMemo } from 'react';
+import { Message, Table } from 'semantic-ui-react';
+
+const Line = ({ line }) => (
+  <>
+    <Table.Cell className="options-diff-number">{line?.number}</Table.Cell>
+    <Table.Cell className="options-diff-text">{line?.text}</Table.Cell>
+  </>
+);
+
+/**
+ * Shows the changes between two versions of the YAML file side by side.
+ * @param {object} props
+ * @param {string} props.after - The changed file.
+ * @param {string} props.before - The original file.
+ * @returns {object} The diff.
+ */
+const YamlDiff = ({ after, before }) => {
+  const rows = useMemo(
+    () => collapseUnchanged(diffLines(before, after)),
+    [after, before],
+  );
+
+  if (rows.every((row) => row.type === 'skipped')) {
+    return <Message info>No changes</Message>;
+  }
+
+  return (
+    <div className="options-diff">
+      <Table
+        celled
+        compact
+        fixed
+        unstackable
+      >
+        <Table.Body>
+          {rows.map((row) =>
+            row.type === 'skipped' ? (
+              <Table.Row
+                className="options-diff-skipped"
+                key={`skipped-${row.start}`}
+              >
+                <Table.Cell colSpan={4}>
+                  {row.count.toLocaleString()} unchanged{' '}
+                  {row.count === 1 ? 'line' : 'lines'}
+                </Table.Cell>
+              </Table.Row>
+            ) : (
+              <Table.Row
+                className={`options-diff-${row.type}`}
+                key={`${row.left?.number}-${row.right?.number}`}
+              >
+                <Line line={row.left} />
+                <Line line={row.right} />
+              </Table.Row>
+            ),
+          )}
+        </Table.Body>
+      </Table>
+    </div>
+  );
+};
+
+export default YamlDiff;
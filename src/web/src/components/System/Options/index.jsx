@@ -1,3 +1,4 @@
+import { can } from '../../../lib/session';
 import {
   CodeEditor,
   LoaderSegment,
@@ -6,17 +7,19 @@ import {
 } from '../../Shared';
 import DebugModal from './DebugModal';
 import EditModal from './EditModal';
+import SourcesModal from './SourcesModal';
 import React, { useEffect, useState } from 'react';
 import { Divider } from 'semantic-ui-react';
 import YAML from 'yaml';
 
 const DebugButton = ({
+  allowed,
   debug,
   remoteConfiguration,
   setDebugModal,
   ...props
 }) => {
-  if (!remoteConfiguration || !debug) return null;
+  if (!remoteConfiguration || !debug || !allowed) return null;
 
   return (
     <ShrinkableButton
@@ -30,7 +33,24 @@ const DebugButton = ({
   );
 };
 
-const EditButton = ({ remoteConfiguration, setEditModal, ...props }) => {
+const EditButton = ({
+  allowed,
+  remoteConfiguration,
+  setEditModal,
+  ...props
+}) => {
+  if (!allowed) {
+    return (
+      <ShrinkableButton
+        disabled
+        icon="lock"
+        mediaQuery="(max-width: 516px)"
+      >
+        Editing Requires Admin
+      </ShrinkableButton>
+    );
+  }
+
   if (!remoteConfiguration) {
     return (
       <ShrinkableButton
@@ -56,8 +76,9 @@ const EditButton = ({ remoteConfiguration, setEditModal, ...props }) => {
   );
 };
 
-const Options = ({ options, theme }) => {
+const Options = ({ options, role, state, theme }) => {
   const [debugModal, setDebugModal] = useState(false);
+  const [sourcesModal, setSourcesModal] = useState(false);
   const [editModal, setEditModal] = useState(false);
   const [contents, setContents] = useState();
 
@@ -75,12 +96,22 @@ const Options = ({ options, theme }) => {
     <>
       <div className="header-buttons">
         <DebugButton
+          allowed={can(role, 'editOptions')}
           debug={debug}
           disabled={!contents}
           remoteConfiguration={remoteConfiguration}
           setDebugModal={setDebugModal}
         />
+        <ShrinkableButton
+          disabled={!contents}
+          icon="sitemap"
+          mediaQuery="(max-width: 516px)"
+          onClick={() => setSourcesModal(true)}
+        >
+          Sources
+        </ShrinkableButton>
         <EditButton
+          allowed={can(role, 'editOptions')}
           disabled={!contents}
           remoteConfiguration={remoteConfiguration}
           setEditModal={setEditModal}
@@ -100,9 +131,16 @@ const Options = ({ options, theme }) => {
         open={debugModal}
         theme={theme}
       />
+      <SourcesModal
+        onClose={() => setSourcesModal(false)}
+        open={sourcesModal}
+        options={options}
+        pendingRestart={state?.pendingRestart ?? false}
+      />
       <EditModal
         onClose={() => setEditModal(false)}
         open={editModal}
+        options={options}
         theme={theme}
       />
     </>
@@ -0,0 +1,173 @@
+import {
+  getSessionId,
+  getSessions,
+  revokeSession,
+  roleNames,
+} from '../../../lib/session';
+import { formatDate, truncate } from '../../../lib/util';
+import { LoaderSegment, ShrinkableButton, Switch } from '../../Shared';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Divider,
+  Header,
+  Icon,
+  Label,
+  Message,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+
+const Sessions = () => {
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [sessions, setSessions] = useState([]);
+
+  const current = getSessionId();
+
+  const get = async (quiet = false) => {
+    if (!quiet) setLoading(true);
+
+    try {
+      setSessions(await getSessions());
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    get();
+  }, []);
+
+  const revoke = async ({ id, username }) => {
+    setWorking(true);
+
+    try {
+      await revokeSession(id);
+      toast.success(`Logged ${username} out`);
+      await get(true);
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Switch loading={loading && <LoaderSegment />}>
+      <div className="header-buttons">
+        <ShrinkableButton
+          disabled={working}
+          icon="refresh"
+          mediaQuery="(max-width: 516px)"
+          onClick={() => get(true)}
+        >
+          Refresh
+        </ShrinkableButton>
+      </div>
+      <Divider />
+      <Message info>
+        Logins are renewed while the web UI is open, until the session TTL has
+        passed. Sessions from before the application last started are listed
+        again once they're used. Revoking a session logs it out the next time it
+        calls the API, even after a restart.
+      </Message>
+      <Table
+        compact
+        unstackable
+      >
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell>User</Table.HeaderCell>
+            <Table.HeaderCell>Role</Table.HeaderCell>
+            <Table.HeaderCell>From</Table.HeaderCell>
+            <Table.HeaderCell>Logged In</Table.HeaderCell>
+            <Table.HeaderCell>Last Seen</Table.HeaderCell>
+            <Table.HeaderCell>Expires</Table.HeaderCell>
+            <Table.HeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {sessions.length === 0 && (
+            <Table.Row>
+              <Table.Cell
+                colSpan={7}
+                textAlign="center"
+              >
+                No sessions
+              </Table.Cell>
+            </Table.Row>
+          )}
+          {sessions.map((session) => (
+            <Table.Row key={session.id}>
+              <Table.Cell>
+                <Icon name="user" />
+                {session.username}
+                {session.id === current && (
+                  <Label
+                    color="green"
+                    size="small"
+                  >
+                    This session
+                  </Label>
+                )}
+              </Table.Cell>
+              <Table.Cell>{roleNames[session.role] ?? session.role}</Table.Cell>
+              <Table.Cell title={session.userAgent}>
+                {session.ipAddress ?? '-'}
+                {session.userAgent && (
+                  <div className="sessions-user-agent">
+                    {truncate(session.userAgent, 40)}
+                  </div>
+                )}
+              </Table.Cell>
+              <Table.Cell>{formatDate(session.started)}</Table.Cell>
+              <Table.Cell>{formatDate(session.lastSeen)}</Table.Cell>
+              <Table.Cell>{formatDate(session.expires)}</Table.Cell>
+              <Table.Cell textAlign="right">
+                {session.id !== current && (
+                  <Modal
+                    actions={[
+                      'Cancel',
+                      {
+                        content: 'Revoke',
+                        key: 'done',
+                        negative: true,
+                        onClick: () => revoke(session),
+                      },
+                    ]}
+                    centered
+                    content={`Are you sure you want to revoke this session?  ${session.username} will be asked to log in again.`}
+                    header={
+                      <Header
+                        content="Confirm Revoke Session"
+                        icon="id badge"
+                      />
+                    }
+                    size="mini"
+                    trigger={
+                      <Button
+                        disabled={working}
+                        icon="sign out"
+                        negative
+                        size="small"
+                        title="Revoke"
+                      />
+                    }
+                  />
+                )}
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+    </Switch>
+  );
+};
+
+export default Sessions;
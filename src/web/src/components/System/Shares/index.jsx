@@ -1,3 +1,4 @@
+import { can } from '../../../lib/session';
 import * as sharesLibrary from '../../../lib/shares';
 import { LoaderSegment, ShrinkableButton, Switch } from '../../Shared';
 import ContentsModal from './ContentsModal';
@@ -7,10 +8,10 @@ import React, { useEffect, useState } from 'react';
 import { toast } from 'react-toastify';
 import { Divider } from 'semantic-ui-react';
 
-const ScanButton = ({ rescan, scanPending, working }) => (
+const ScanButton = ({ allowed, rescan, scanPending, working }) => (
   <ShrinkableButton
     color={scanPending ? 'yellow' : undefined}
-    disabled={working}
+    disabled={working || !allowed}
     icon="refresh"
     loading={working}
     mediaQuery="(max-width: 516px)"
@@ -21,10 +22,10 @@ const ScanButton = ({ rescan, scanPending, working }) => (
   </ShrinkableButton>
 );
 
-const CancelButton = ({ cancel, working }) => (
+const CancelButton = ({ allowed, cancel, working }) => (
   <ShrinkableButton
     color="red"
-    disabled={working}
+    disabled={working || !allowed}
     icon="x"
     mediaQuery="(max-width: 516px)"
     onClick={() => cancel()}
@@ -33,7 +34,7 @@ const CancelButton = ({ cancel, working }) => (
   </ShrinkableButton>
 );
 
-const Shares = ({ state = {}, theme } = {}) => {
+const Shares = ({ role, state = {}, theme } = {}) => {
   const [loading, setLoading] = useState(true);
   const [working, setWorking] = useState(false);
   const [shares, setShares] = useState([]);
@@ -118,6 +119,7 @@ const Shares = ({ state = {}, theme } = {}) => {
           scanning={
             scanning && (
               <CancelButton
+                allowed={can(role, 'rescanShares')}
                 cancel={cancel}
                 working={working}
               />
@@ -125,6 +127,7 @@ const Shares = ({ state = {}, theme } = {}) => {
           }
         >
           <ScanButton
+            allowed={can(role, 'rescanShares')}
             rescan={rescan}
             scanPending={scanPending}
             working={working}
@@ -1,17 +1,21 @@
 import './System.css';
+import { can } from '../../lib/session';
 import { Switch } from '../Shared';
+import ApiKeys from './ApiKeys';
 import Data from './Data';
 import Events from './Events';
 import Files from './Files';
 import Info from './Info';
 import Logs from './Logs';
 import Options from './Options';
+import Sessions from './Sessions';
 import Shares from './Shares';
+import Users from './Users';
 import React from 'react';
 import { Redirect, useHistory, useRouteMatch } from 'react-router-dom';
 import { Icon, Menu, Segment, Tab } from 'semantic-ui-react';
 
-const System = ({ options = {}, state = {}, theme }) => {
+const System = ({ options = {}, role, state = {}, theme }) => {
   const {
     params: { tab },
     ...route
@@ -41,6 +45,7 @@ const System = ({ options = {}, state = {}, theme }) => {
       render: () => (
         <Tab.Pane>
           <Info
+            role={role}
             state={state}
             theme={theme}
           />
@@ -58,6 +63,8 @@ const System = ({ options = {}, state = {}, theme }) => {
         <Tab.Pane className="full-height">
           <Options
             options={options}
+            role={role}
+            state={state}
             theme={theme}
           />
         </Tab.Pane>
@@ -85,6 +92,7 @@ const System = ({ options = {}, state = {}, theme }) => {
       render: () => (
         <Tab.Pane>
           <Shares
+            role={role}
             state={state.shares}
             theme={theme}
           />
@@ -102,12 +110,64 @@ const System = ({ options = {}, state = {}, theme }) => {
         <Tab.Pane className="full-height">
           <Files
             options={options}
+            role={role}
             theme={theme}
           />
         </Tab.Pane>
       ),
       route: 'files',
     },
+    ...(can(role, 'manageUsers')
+      ? [
+          {
+            menuItem: {
+              content: 'Users',
+              icon: 'users',
+              key: 'users',
+            },
+            render: () => (
+              <Tab.Pane>
+                <Users options={options} />
+              </Tab.Pane>
+            ),
+            route: 'users',
+          },
+        ]
+      : []),
+    ...(can(role, 'manageApiKeys')
+      ? [
+          {
+            menuItem: {
+              content: 'API Keys',
+              icon: 'key',
+              key: 'apikeys',
+            },
+            render: () => (
+              <Tab.Pane>
+                <ApiKeys options={options} />
+              </Tab.Pane>
+            ),
+            route: 'apikeys',
+          },
+        ]
+      : []),
+    ...(can(role, 'manageSessions')
+      ? [
+          {
+            menuItem: {
+              content: 'Sessions',
+              icon: 'id badge',
+              key: 'sessions',
+            },
+            render: () => (
+              <Tab.Pane>
+                <Sessions />
+              </Tab.Pane>
+            ),
+            route: 'sessions',
+          },
+        ]
+      : []),
     {
       menuItem: {
         content: 'Data',
@@ -0,0 +1,145 @@
+import { accountRoles, validateAccount } from '../../../lib/accounts';
+import { roleNames } from '../../../lib/session';
+import React, { useEffect, useState } from 'react';
+import { Button, Form, Icon, Message, Modal } from 'semantic-ui-react';
+
+const roleOptions = accountRoles.map((role) => ({
+  key: role,
+  text: roleNames[role],
+  value: role,
+}));
+
+const empty = {
+  confirm: '',
+  password: '',
+  role: accountRoles[0],
+  username: '',
+};
+
+const getError = ({ adding, confirm, password, username, usernames }) => {
+  if (adding) {
+    const error = validateAccount({ password, username }, usernames);
+    if (error) return error;
+  }
+
+  if (!password) return 'A password is required';
+  if (password !== confirm) return 'The passwords do not match';
+  return undefined;
+};
+
+/**
+ * Adds a user, or changes the password of one.
+ * @param {object} props
+ * @param {Function} props.onClose - Called to close the modal.
+ * @param {Function} props.onSave - Called with the user to save; resolves to whether it was saved.
+ * @param {boolean} props.open - Whether the modal is open.
+ * @param {string} [props.username] - The user whose password is being changed; a user is
+ *   added if not given.
+ * @param {string[]} props.usernames - The usernames already taken.
+ * @param {boolean} props.working - Whether a change is being saved.
+ * @returns {object} The modal.
+ */
+const AccountModal = ({
+  onClose,
+  onSave,
+  open,
+  username: existing,
+  usernames,
+  working,
+}) => {
+  const [account, setAccount] = useState(empty);
+  const [touched, setTouched] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setAccount(empty);
+      setTouched(false);
+    }
+  }, [open]);
+
+  const adding = existing === undefined;
+  const error = getError({ ...account, adding, usernames });
+
+  const update = (field) => (_, data) => {
+    setTouched(true);
+    setAccount((previous) => ({ ...previous, [field]: data.value }));
+  };
+
+  const save = async () => {
+    const saved = await onSave({
+      password: account.password,
+      ...(adding
+        ? { role: account.role, username: account.username.trim() }
+        : { username: existing }),
+    });
+
+    if (saved) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal
+      onClose={onClose}
+      open={open}
+      size="tiny"
+    >
+      <Modal.Header>
+        <Icon name={adding ? 'user plus' : 'key'} />
+        {adding ? 'Add User' : `Change Password for ${existing}`}
+      </Modal.Header>
+      <Modal.Content>
+        <Form error={touched && error !== undefined}>
+          {adding && (
+            <Form.Input
+              autoComplete="off"
+              label="Username"
+              onChange={update('username')}
+              value={account.username}
+            />
+          )}
+          <Form.Input
+            autoComplete="new-password"
+            label="Password"
+            onChange={update('password')}
+            type="password"
+            value={account.password}
+          />
+          <Form.Input
+            autoComplete="new-password"
+            label="Confirm Password"
+            onChange={update('confirm')}
+            type="password"
+            value={account.confirm}
+          />
+          {adding && (
+            <Form.Dropdown
+              label="Role"
+              onChange={update('role')}
+              options={roleOptions}
+              selection
+              value={account.role}
+            />
+          )}
+          <Message
+            content={error}
+            error
+          />
+        </Form>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          disabled={error !== undefined || working}
+          loading={working}
+          onClick={save}
+          primary
+        >
+          {adding ? 'Add' : 'Change Password'}
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default AccountModal;
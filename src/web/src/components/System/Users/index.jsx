@@ -0,0 +1,225 @@
+import {
+  accountRoles,
+  getAccounts,
+  removeAccount,
+  setAccount,
+} from '../../../lib/accounts';
+import { getYaml } from '../../../lib/options';
+import { saveChange } from '../../../lib/optionsEditor';
+import { roleNames, roles } from '../../../lib/session';
+import { LoaderSegment, ShrinkableButton, Switch } from '../../Shared';
+import AccountModal from './AccountModal';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Divider,
+  Dropdown,
+  Header,
+  Icon,
+  Message,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+
+const roleOptions = accountRoles.map((role) => ({
+  key: role,
+  text: roleNames[role],
+  value: role,
+}));
+
+const Users = ({ options = {} }) => {
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  // undefined when closed, null when adding a user, or the user whose password is being changed
+  const [modal, setModal] = useState();
+
+  const { remoteConfiguration } = options;
+  const { disabled, username: administrator } =
+    options.web?.authentication ?? {};
+
+  const get = async () => {
+    setLoading(true);
+
+    try {
+      setAccounts(getAccounts(await getYaml()));
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (remoteConfiguration) {
+      get();
+    } else {
+      setLoading(false);
+    }
+  }, [remoteConfiguration]);
+
+  const save = async (change, message) => {
+    setWorking(true);
+
+    try {
+      setAccounts(getAccounts(await saveChange(change)));
+      toast.success(message);
+      return true;
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveAccount = (account) =>
+    save(
+      (yaml) => setAccount(yaml, account),
+      modal === null
+        ? `Added ${account.username}`
+        : `Changed the password for ${account.username}`,
+    );
+
+  const changeRole = (username, role) =>
+    save(
+      (yaml) => setAccount(yaml, { role, username }),
+      `${username} is now ${roleNames[role]}`,
+    );
+
+  const remove = (username) =>
+    save((yaml) => removeAccount(yaml, username), `Removed ${username}`);
+
+  if (!remoteConfiguration) {
+    return (
+      <Message info>
+        <Icon name="lock" />
+        Remote configuration is disabled. Add users to web.authentication.users
+        in the YAML file instead.
+      </Message>
+    );
+  }
+
+  return (
+    <Switch loading={loading && <LoaderSegment />}>
+      <div className="header-buttons">
+        <ShrinkableButton
+          disabled={working}
+          icon="user plus"
+          mediaQuery="(max-width: 516px)"
+          onClick={() => setModal(null)}
+          primary
+        >
+          Add User
+        </ShrinkableButton>
+      </div>
+      <Divider />
+      {disabled && (
+        <Message warning>
+          <Icon name="warning sign" />
+          Authentication is disabled, so anyone can use the web UI as an
+          administrator whatever their role.
+        </Message>
+      )}
+      <Message info>Changes apply the next time a user logs in.</Message>
+      <Table
+        compact
+        unstackable
+      >
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell>Username</Table.HeaderCell>
+            <Table.HeaderCell>Role</Table.HeaderCell>
+            <Table.HeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          <Table.Row>
+            <Table.Cell>
+              <Icon name="user circle" />
+              {administrator}
+            </Table.Cell>
+            <Table.Cell>{roleNames[roles.administrator]}</Table.Cell>
+            <Table.Cell
+              className="users-table-note"
+              textAlign="right"
+            >
+              Set by web.authentication.username
+            </Table.Cell>
+          </Table.Row>
+          {accounts.map(({ role, username }) => (
+            <Table.Row key={username}>
+              <Table.Cell>
+                <Icon name="user" />
+                {username}
+              </Table.Cell>
+              <Table.Cell>
+                <Dropdown
+                  disabled={working}
+                  onChange={(_, data) => changeRole(username, data.value)}
+                  options={roleOptions}
+                  selection
+                  value={role}
+                />
+              </Table.Cell>
+              <Table.Cell textAlign="right">
+                <Button
+                  disabled={working}
+                  icon="key"
+                  onClick={() => setModal(username)}
+                  size="small"
+                  title="Change Password"
+                />
+                <Modal
+                  actions={[
+                    'Cancel',
+                    {
+                      content: 'Remove',
+                      key: 'done',
+                      negative: true,
+                      onClick: () => remove(username),
+                    },
+                  ]}
+                  centered
+                  content={`Are you sure you want to remove ${username}?  They won't be able to log in again, but a session they already have lasts until it expires.`}
+                  header={
+                    <Header
+                      content="Confirm Remove User"
+                      icon="user delete"
+                    />
+                  }
+                  size="mini"
+                  trigger={
+                    <Button
+                      disabled={working}
+                      icon="trash alternate"
+                      negative
+                      size="small"
+                      title="Remove"
+                    />
+                  }
+                />
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+      <AccountModal
+        onClose={() => setModal(undefined)}
+        onSave={saveAccount}
+        open={modal !== undefined}
+        username={modal ?? undefined}
+        usernames={[
+          administrator,
+          ...accounts.map((account) => account.username),
+        ].filter(Boolean)}
+        working={working}
+      />
+    </Switch>
+  );
+};
+
+export default Users;
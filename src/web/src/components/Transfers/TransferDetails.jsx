@@ -1,5 +1,10 @@
+import {
+  describeFailoverPosition,
+  getFailoverChain,
+} from '../../lib/transfers';
 import { formatBytes, formatDate } from '../../lib/util';
-import { Table } from 'semantic-ui-react';
+import React, { useEffect, useState } from 'react';
+import { Header, Icon, Table } from 'semantic-ui-react';
 
 // Regex patterns for field name formatting
 const UPPERCASE_PATTERN = /([A-Z])/gu;
@@ -59,6 +64,83 @@ const formatValue = (key, value) => {
   return String(value);
 };
 
+// the downloads tried for the same file, from the original to the latest
+// alternate source; fetched when the details are opened
+const FailoverChain = ({ file }) => {
+  const [chain, setChain] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchChain = async () => {
+      try {
+        const result = await getFailoverChain({
+          id: file.id,
+          username: file.username,
+        });
+
+        if (!cancelled) {
+          setChain(result ?? []);
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    };
+
+    fetchChain();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file.id, file.username]);
+
+  const position = describeFailoverPosition(chain, file.id);
+
+  if (!position) {
+    return null;
+  }
+
+  return (
+    <>
+      <Header
+        as="h5"
+        content="Failover Chain"
+        subheader={position}
+      />
+      <Table
+        basic="very"
+        compact
+        size="small"
+      >
+        <Table.Body>
+          {chain.map((transfer, index) => (
+            <Table.Row
+              active={transfer.id === file.id}
+              key={transfer.id}
+            >
+              <Table.Cell collapsing>
+                {index === 0 ? 'Original' : `#${index}`}
+              </Table.Cell>
+              <Table.Cell>
+                <Icon
+                  name="user"
+                  size="small"
+                />
+                {transfer.username}
+              </Table.Cell>
+              <Table.Cell>{transfer.state}</Table.Cell>
+              <Table.Cell>
+                {formatValue('endedAt', transfer.endedAt)}
+              </Table.Cell>
+              <Table.Cell>{transfer.exception ?? ''}</Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+    </>
+  );
+};
+
 const TransferDetails = ({ file }) => {
   // Fields to display in the popup
   const fields = [
@@ -84,25 +166,28 @@ const TransferDetails = ({ file }) => {
   ];
 
   return (
-    <Table
-      basic="very"
-      compact
-      size="small"
-    >
-      <Table.Body>
-        {fields.map((field) => {
-          const value = file[field];
-          return (
-            <Table.Row key={field}>
-              <Table.Cell style={{ fontWeight: 'bold', paddingRight: '1em' }}>
-                {formatFieldName(field)}
-              </Table.Cell>
-              <Table.Cell>{formatValue(field, value)}</Table.Cell>
-            </Table.Row>
-          );
-        })}
-      </Table.Body>
-    </Table>
+    <>
+      <Table
+        basic="very"
+        compact
+        size="small"
+      >
+        <Table.Body>
+          {fields.map((field) => {
+            const value = file[field];
+            return (
+              <Table.Row key={field}>
+                <Table.Cell style={{ fontWeight: 'bold', paddingRight: '1em' }}>
+                  {formatFieldName(field)}
+                </Table.Cell>
+                <Table.Cell>{formatValue(field, value)}</Table.Cell>
+              </Table.Row>
+            );
+          })}
+        </Table.Body>
+      </Table>
+      {file.direction === 'Download' && <FailoverChain file={file} />}
+    </>
   );
 };
 
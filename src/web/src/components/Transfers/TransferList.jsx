@@ -1,15 +1,13 @@
 import { formatBytes, formatBytesAsUnit, getFileName } from '../../lib/util';
 import TransferDetails from './TransferDetails';
-import React, { Component } from 'react';
+import React, { memo } from 'react';
 import {
   Button,
   Checkbox,
   Header,
   Icon,
-  List,
   Popup,
   Progress,
-  Table,
 } from 'semantic-ui-react';
 
 const getColor = (state) => {
@@ -40,194 +38,147 @@ const formatBytesTransferred = ({ size, transferred }) => {
   return `${t}/${s} ${sExtension}`;
 };
 
-class TransferList extends Component {
-  constructor(props) {
-    super(props);
+/**
+ * A single file row.  Rendered by TransferRows as one item in the virtualized
+ * list, so it can't hold any state of its own; selection is passed in.
+ */
+export const TransferListRow = memo(
+  ({
+    file: f,
+    onPlaceInQueueRequested,
+    onRetryRequested,
+    onSelectionChange,
+    selected,
+  }) => {
+    const handleClick = () => {
+      const { direction, state } = f;
 
-    this.state = {
-      isFolded: false,
-    };
-  }
+      if (direction === 'Download') {
+        if (isRetryableState(state)) {
+          return onRetryRequested(f);
+        }
 
-  handleClick = (file) => {
-    const { direction, state } = file;
-
-    if (direction === 'Download') {
-      if (isRetryableState(state)) {
-        return this.props.onRetryRequested(file);
+        if (isQueuedState(state)) {
+          return onPlaceInQueueRequested(f);
+        }
       }
 
-      if (isQueuedState(state)) {
-        return this.props.onPlaceInQueueRequested(file);
-      }
-    }
-
-    return undefined;
-  };
-
-  toggleFolded = () => {
-    this.setState((previousState) => ({ isFolded: !previousState.isFolded }));
-  };
-
-  render() {
-    const { directoryName, files, onSelectionChange } = this.props;
-    const { isFolded } = this.state;
+      return undefined;
+    };
 
     return (
-      <div>
-        <Header
-          className="filelist-header"
-          size="small"
-        >
-          <Icon
-            link
-            name={isFolded ? 'folder' : 'folder open'}
-            onClick={() => this.toggleFolded()}
+      <div className="transferlist-row">
+        <div className="transferlist-selector">
+          <Checkbox
+            checked={selected}
+            fitted
+            onChange={(event, data) => onSelectionChange([f], data.checked)}
+          />
+        </div>
+        <div className="transferlist-filename">{getFileName(f.filename)}</div>
+        <div className="transferlist-progress">
+          {f.state === 'InProgress' ? (
+            <Progress
+              color={getColor(f.state).color}
+              percent={Math.round(f.percentComplete)}
+              progress
+              style={{ margin: 0 }}
+            />
+          ) : (
+            <Button
+              fluid
+              size="mini"
+              style={{
+                cursor: f.direction === 'Upload' ? 'unset' : '',
+                margin: 0,
+                padding: 7,
+              }}
+              {...getColor(f.state)}
+              {...(!getColor(f.state).color && f.attempts > 1
+                ? { color: 'yellow' }
+                : {})}
+              active={f.direction === 'Upload'}
+              onClick={handleClick}
+            >
+              {f.direction === 'Download' && isQueuedState(f.state) && (
+                <Icon name="refresh" />
+              )}
+              {f.direction === 'Download' && isRetryableState(f.state) && (
+                <Icon name="redo" />
+              )}
+              {f.state}
+              {f.placeInQueue ? ` (#${f.placeInQueue})` : ''}
+              {f.attempts > 1 ? ` (Retry #${f.attempts})` : ''}
+              {f.failoverOfId ? ' (Failover)' : ''}
+            </Button>
+          )}
+        </div>
+        <div className="transferlist-size">
+          {formatBytesTransferred({
+            size: f.size,
+            transferred: f.bytesTransferred,
+          })}
+        </div>
+        <div className="transferlist-detail">
+          <Popup
+            content={<TransferDetails file={f} />}
+            on="click"
+            position="left center"
+            style={{ maxWidth: '600px' }}
+            trigger={
+              <Icon
+                color="grey"
+                link
+                name="info circle"
+                size="small"
+              />
+            }
+            wide="very"
           />
-          {directoryName}
-        </Header>
-        {isFolded === false ? (
-          <List>
-            <List.Item>
-              <Table>
-                <Table.Header>
-                  <Table.Row>
-                    <Table.HeaderCell className="transferlist-selector">
-                      <Checkbox
-                        checked={files.filter((f) => !f.selected).length === 0}
-                        fitted
-                        onChange={(event, data) =>
-                          files.map((file) =>
-                            onSelectionChange(
-                              directoryName,
-                              file,
-                              data.checked,
-                            ),
-                          )
-                        }
-                      />
-                    </Table.HeaderCell>
-                    <Table.HeaderCell className="transferlist-filename">
-                      File
-                    </Table.HeaderCell>
-                    <Table.HeaderCell className="transferlist-progress">
-                      Progress
-                    </Table.HeaderCell>
-                    <Table.HeaderCell className="transferlist-size">
-                      Size
-                    </Table.HeaderCell>
-                    <Table.HeaderCell className="transferlist-detail">
-                      <Icon
-                        name="info circle"
-                        size="small"
-                      />
-                    </Table.HeaderCell>
-                  </Table.Row>
-                </Table.Header>
-                <Table.Body>
-                  {files
-                    .sort((a, b) =>
-                      getFileName(a.filename).localeCompare(
-                        getFileName(b.filename),
-                      ),
-                    )
-                    .map((f) => (
-                      <Table.Row key={f.filename}>
-                        <Table.Cell className="transferlist-selector">
-                          <Checkbox
-                            checked={f.selected}
-                            fitted
-                            onChange={(event, data) =>
-                              onSelectionChange(directoryName, f, data.checked)
-                            }
-                          />
-                        </Table.Cell>
-                        <Table.Cell className="transferlist-filename">
-                          {getFileName(f.filename)}
-                        </Table.Cell>
-                        <Table.Cell className="transferlist-progress">
-                          {f.state === 'InProgress' ? (
-                            <Progress
-                              color={getColor(f.state).color}
-                              percent={Math.round(f.percentComplete)}
-                              progress
-                              style={{ margin: 0 }}
-                            />
-                          ) : (
-                            <Button
-                              fluid
-                              size="mini"
-                              style={{
-                                cursor: f.direction === 'Upload' ? 'unset' : '',
-                                margin: 0,
-                                padding: 7,
-                              }}
-                              {...getColor(f.state)}
-                              {...(!getColor(f.state).color && f.attempts > 1
-                                ? { color: 'yellow' }
-                                : {})}
-                              active={f.direction === 'Upload'}
-                              onClick={() => this.handleClick(f)}
-                            >
-                              {f.direction === 'Download' &&
-                                isQueuedState(f.state) && (
-                                  <Icon name="refresh" />
-                                )}
-                              {f.direction === 'Download' &&
-                                isRetryableState(f.state) && (
-                                  <Icon name="redo" />
-                                )}
-                              {f.state}
-                              {f.placeInQueue ? ` (#${f.placeInQueue})` : ''}
-                              {f.attempts > 1 ? ` (Retry #${f.attempts})` : ''}
-                            </Button>
-                          )}
-                        </Table.Cell>
-                        <Table.Cell className="transferlist-size">
-                          <div
-                            style={{
-                              alignItems: 'center',
-                              display: 'flex',
-                              justifyContent: 'space-between',
-                            }}
-                          >
-                            <span>
-                              {formatBytesTransferred({
-                                size: f.size,
-                                transferred: f.bytesTransferred,
-                              })}
-                            </span>
-                          </div>
-                        </Table.Cell>
-                        <Table.Cell className="transferlist-detail">
-                          <Popup
-                            content={<TransferDetails file={f} />}
-                            on="click"
-                            position="left center"
-                            style={{ maxWidth: '600px' }}
-                            trigger={
-                              <Icon
-                                color="grey"
-                                link
-                                name="info circle"
-                                size="small"
-                              />
-                            }
-                            wide="very"
-                          />
-                        </Table.Cell>
-                      </Table.Row>
-                    ))}
-                </Table.Body>
-              </Table>
-            </List.Item>
-          </List>
-        ) : (
-          ''
-        )}
+        </div>
       </div>
     );
-  }
-}
+  },
+);
+
+TransferListRow.displayName = 'TransferListRow';
+
+/**
+ * The header row for a directory; folding and selection apply to every file
+ * in the directory, including those scrolled out of view.
+ */
+const TransferList = ({
+  directoryName,
+  files,
+  foldKey,
+  isFolded,
+  onFoldChange,
+  onSelectionChange,
+  selection,
+}) => {
+  return (
+    <div className="transferlist-header-row">
+      <div className="transferlist-selector">
+        <Checkbox
+          checked={selection === 'all'}
+          fitted
+          indeterminate={selection === 'some'}
+          onChange={(event, data) => onSelectionChange(files, data.checked)}
+        />
+      </div>
+      <Header
+        className="filelist-header"
+        size="small"
+      >
+        <Icon
+          link
+          name={isFolded ? 'folder' : 'folder open'}
+          onClick={() => onFoldChange(foldKey)}
+        />
+        {directoryName}
+      </Header>
+    </div>
+  );
+};
 
-export default TransferList;
+export default memo(TransferList);
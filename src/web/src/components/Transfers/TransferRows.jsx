@@ -0,0 +1,179 @@
+import { getFileName } from '../../lib/util';
+import TransferGroup from './TransferGroup';
+import TransferList, { TransferListRow } from './TransferList';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import React, { useMemo, useRef } from 'react';
+
+const ESTIMATED_HEIGHTS = { directory: 45, file: 41, user: 52 };
+
+// sorting is the most expensive part of flattening, and runs every time an
+// update arrives.  directories untouched by an update keep their identity
+// (see applyTransferChanges), so their sorted files can be reused
+const sortedFilesCache = new WeakMap();
+
+const getSortedFiles = (directory) => {
+  let sorted = sortedFilesCache.get(directory);
+
+  if (!sorted) {
+    sorted = [...(directory.files || [])].sort((a, b) =>
+      getFileName(a.filename).localeCompare(getFileName(b.filename)),
+    );
+    sortedFilesCache.set(directory, sorted);
+  }
+
+  return sorted;
+};
+
+const getSelection = (files, selected) => {
+  const count = files.filter((file) => selected.has(file.id)).length;
+
+  if (count === 0) return 'none';
+  return count === files.length ? 'all' : 'some';
+};
+
+export const getUserFoldKey = (username) => `user:${username}`;
+export const getDirectoryFoldKey = (username, directory) =>
+  `directory:${username}:${directory}`;
+
+// flattens the user -> directory -> file hierarchy into the list of rows that
+// are actually visible given the fold state, so they can be windowed
+const flattenTransfers = ({ folded, selected, transfers }) => {
+  const rows = [];
+
+  for (const user of transfers) {
+    const directories = user.directories.map((directory) => ({
+      directory: directory.directory,
+      files: getSortedFiles(directory),
+    }));
+    const userFiles = directories.flatMap((directory) => directory.files);
+    const userKey = getUserFoldKey(user.username);
+
+    rows.push({
+      files: userFiles,
+      key: userKey,
+      selection: getSelection(userFiles, selected),
+      type: 'user',
+      username: user.username,
+    });
+
+    if (folded.has(userKey)) continue;
+
+    for (const { directory, files } of directories) {
+      const directoryKey = getDirectoryFoldKey(user.username, directory);
+
+      rows.push({
+        directory,
+        files,
+        key: directoryKey,
+        selection: getSelection(files, selected),
+        type: 'directory',
+      });
+
+      if (folded.has(directoryKey)) continue;
+
+      for (const file of files) {
+        rows.push({
+          file,
+          key: file.id,
+          selected: selected.has(file.id),
+          type: 'file',
+        });
+      }
+    }
+  }
+
+  return rows;
+};
+
+const TransferRows = ({
+  folded,
+  onFoldChange,
+  onPlaceInQueueRequested,
+  onRetryRequested,
+  onSelectionChange,
+  selected,
+  transfers,
+}) => {
+  const parentRef = useRef(null);
+
+  const rows = useMemo(
+    () => flattenTransfers({ folded, selected, transfers }),
+    [folded, selected, transfers],
+  );
+
+  const virtualizer = useVirtualizer({
+    count: rows.length,
+    estimateSize: (index) => ESTIMATED_HEIGHTS[rows[index].type],
+    getItemKey: (index) => rows[index].key,
+    getScrollElement: () => parentRef.current,
+    overscan: 10,
+  });
+
+  const visibleItems = virtualizer.getVirtualItems();
+  const totalSize = virtualizer.getTotalSize();
+  const paddingTop = visibleItems.length > 0 ? visibleItems[0].start : 0;
+  const paddingBottom =
+    visibleItems.length > 0
+      ? totalSize - visibleItems[visibleItems.length - 1].end
+      : 0;
+
+  const renderRow = (row) => {
+    switch (row.type) {
+      case 'user':
+        return (
+          <TransferGroup
+            files={row.files}
+            foldKey={row.key}
+            isFolded={folded.has(row.key)}
+            onFoldChange={onFoldChange}
+            onSelectionChange={onSelectionChange}
+            selection={row.selection}
+            username={row.username}
+          />
+        );
+      case 'directory':
+        return (
+          <TransferList
+            directoryName={row.directory}
+            files={row.files}
+            foldKey={row.key}
+            isFolded={folded.has(row.key)}
+            onFoldChange={onFoldChange}
+            onSelectionChange={onSelectionChange}
+            selection={row.selection}
+          />
+        );
+      default:
+        return (
+          <TransferListRow
+            file={row.file}
+            onPlaceInQueueRequested={onPlaceInQueueRequested}
+            onRetryRequested={onRetryRequested}
+            onSelectionChange={onSelectionChange}
+            selected={row.selected}
+          />
+        );
+    }
+  };
+
+  return (
+    <div
+      className="transfers-scroll"
+      ref={parentRef}
+    >
+      <div style={{ height: paddingTop }} />
+      {visibleItems.map((vi) => (
+        <div
+          data-index={vi.index}
+          key={vi.key}
+          ref={virtualizer.measureElement}
+        >
+          {renderRow(rows[vi.index])}
+        </div>
+      ))}
+      <div style={{ height: paddingBottom }} />
+    </div>
+  );
+};
+
+export default TransferRows;
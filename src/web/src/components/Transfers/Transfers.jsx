@@ -1,44 +1,103 @@
 import './Transfers.css';
+import { createTransfersHubConnection } from '../../lib/hubFactory';
 import * as transfersLibrary from '../../lib/transfers';
 import { LoaderSegment, PlaceholderSegment } from '../Shared';
-import TransferGroup from './TransferGroup';
+import TransferRows from './TransferRows';
 import TransfersHeader from './TransfersHeader';
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { toast } from 'react-toastify';
 
 const Transfers = ({ direction, server }) => {
   const [connecting, setConnecting] = useState(true);
   const [transfers, setTransfers] = useState([]);
 
+  // fold and selection state live here rather than in the rows themselves;
+  // rows are unmounted as they scroll out of view, and must pick up where
+  // they left off when they scroll back in
+  const [folded, setFolded] = useState(new Set());
+  const [selected, setSelected] = useState(new Set());
+
   const [retrying, setRetrying] = useState(false);
   const [cancelling, setCancelling] = useState(false);
   const [removing, setRemoving] = useState(false);
 
-  const fetch = async () => {
-    try {
-      const response = await transfersLibrary.getAll({ direction });
-      setTransfers(response);
-    } catch (error) {
-      console.error(error);
-      toast.error(error?.response?.data ?? error?.message ?? error);
-    }
-  };
-
   useEffect(() => {
     setConnecting(true);
+    setTransfers([]);
+    setFolded(new Set());
+    setSelected(new Set());
+
+    const transfersHub = createTransfersHubConnection();
+
+    // changes can arrive many times per second with lots of active transfers;
+    // queue them up and apply them in batches to keep rendering in check
+    let pending = { added: [], progressed: [], removed: [], updated: [] };
+
+    const flush = () => {
+      const changes = pending;
+
+      if (Object.values(changes).every((list) => list.length === 0)) {
+        return;
+      }
+
+      pending = { added: [], progressed: [], removed: [], updated: [] };
+      setTransfers((current) =>
+        transfersLibrary.applyTransferChanges(current, changes),
+      );
+    };
 
-    const init = async () => {
-      await fetch();
+    transfersHub.on('snapshot', (snapshot) => {
+      pending = { added: [], progressed: [], removed: [], updated: [] };
+      setTransfers(
+        transfersLibrary.applyTransferChanges([], { added: snapshot }),
+      );
       setConnecting(false);
+    });
+
+    transfersHub.on('add', (added) => pending.added.push(...added));
+    transfersHub.on('update', (updated) => pending.updated.push(...updated));
+    transfersHub.on('progress', (progressed) =>
+      pending.progressed.push(...progressed),
+    );
+    transfersHub.on('remove', (removed) => pending.removed.push(...removed));
+
+    const subscribe = async () => {
+      try {
+        await transfersHub.invoke('Subscribe', direction);
+      } catch (error) {
+        console.error(error);
+        toast.error(error?.message ?? error);
+      }
+    };
+
+    // group membership doesn't survive a reconnect, and changes made in the
+    // meantime were missed; subscribe again to get a fresh snapshot
+    transfersHub.onreconnected(() => subscribe());
+    transfersHub.onclose((error) => {
+      if (error) {
+        toast.error(error?.message ?? 'Lost connection to transfers hub');
+      }
+    });
+
+    const connect = async () => {
+      try {
+        await transfersHub.start();
+        await subscribe();
+      } catch (error) {
+        console.error(error);
+        toast.error(error?.message ?? 'Failed to connect');
+        setConnecting(false);
+      }
     };
 
-    init();
-    const interval = window.setInterval(fetch, 1_000);
+    connect();
+    const interval = window.setInterval(flush, 500);
 
     return () => {
       clearInterval(interval);
+      transfersHub.stop();
     };
-  }, [direction]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [direction]);
 
   useMemo(() => {
     // this is used to prevent weird update issues if switching
@@ -50,6 +109,72 @@ const Transfers = ({ direction, server }) => {
     setConnecting(true);
   }, [direction]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  const toggleFolded = useCallback((key) => {
+    setFolded((previous) => {
+      const next = new Set(previous);
+
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+
+      return next;
+    });
+  }, []);
+
+  const changeSelection = useCallback((files, isSelected) => {
+    setSelected((previous) => {
+      const next = new Set(previous);
+
+      for (const file of files) {
+        if (isSelected) {
+          next.add(file.id);
+        } else {
+          next.delete(file.id);
+        }
+      }
+
+      return next;
+    });
+  }, []);
+
+  const clearSelection = () => setSelected(new Set());
+
+  const selectedFiles = useMemo(() => {
+    if (selected.size === 0) return [];
+
+    return transfers.flatMap((user) =>
+      user.directories.flatMap((directory) =>
+        directory.files.filter((file) => selected.has(file.id)),
+      ),
+    );
+  }, [selected, transfers]);
+
+  const handleRetryRequested = useCallback(async (file) => {
+    const { filename, size, username } = file;
+
+    try {
+      await transfersLibrary.download({
+        files: [{ filename, size }],
+        username,
+      });
+    } catch (error) {
+      console.error(error);
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    }
+  }, []);
+
+  const handlePlaceInQueueRequested = useCallback(async (file) => {
+    const { id, username } = file;
+
+    try {
+      await transfersLibrary.getPlaceInQueue({ id, username });
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
   const retry = async ({ file, suppressStateChange = false }) => {
     const { filename, size, username } = file;
 
@@ -122,6 +247,7 @@ const Transfers = ({ direction, server }) => {
         remove({ file, suppressStateChange: true }),
       ),
     );
+    changeSelection(transfersToRemove, false);
     setRemoving(false);
   };
 
@@ -135,10 +261,12 @@ const Transfers = ({ direction, server }) => {
         cancelling={cancelling}
         direction={direction}
         onCancelAll={cancelAll}
+        onClearSelection={clearSelection}
         onRemoveAll={removeAll}
         onRetryAll={retryAll}
         removing={removing}
         retrying={retrying}
+        selected={selectedFiles}
         server={server}
         transfers={transfers}
       />
@@ -148,19 +276,15 @@ const Transfers = ({ direction, server }) => {
           icon={direction}
         />
       ) : (
-        transfers.map((user) => (
-          <TransferGroup
-            cancel={cancel}
-            cancelAll={cancelAll}
-            direction={direction}
-            key={user.username}
-            remove={remove}
-            removeAll={removeAll}
-            retry={retry}
-            retryAll={retryAll}
-            user={user}
-          />
-        ))
+        <TransferRows
+          folded={folded}
+          onFoldChange={toggleFolded}
+          onPlaceInQueueRequested={handlePlaceInQueueRequested}
+          onRetryRequested={handleRetryRequested}
+          onSelectionChange={changeSelection}
+          selected={selected}
+          transfers={transfers}
+        />
       )}
     </>
   );
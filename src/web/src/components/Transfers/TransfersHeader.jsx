@@ -1,8 +1,12 @@
-import { isStateCancellable, isStateRetryable } from '../../lib/transfers';
+import {
+  isStateCancellable,
+  isStateRemovable,
+  isStateRetryable,
+} from '../../lib/transfers';
 import { Div, Nbsp } from '../Shared';
 import ShrinkableDropdownButton from '../Shared/ShrinkableDropdownButton';
 import React, { useMemo, useState } from 'react';
-import { Icon, Segment } from 'semantic-ui-react';
+import { Button, Icon, Segment } from 'semantic-ui-react';
 
 const getRetryableFiles = ({ files, retryOption }) => {
   switch (retryOption) {
@@ -63,10 +67,12 @@ const TransfersHeader = ({
   cancelling = false,
   direction,
   onCancelAll,
+  onClearSelection,
   onRemoveAll,
   onRetryAll,
   removing = false,
   retrying = false,
+  selected = [],
   server = { isConnected: true },
   transfers,
 }) => {
@@ -92,78 +98,141 @@ const TransfersHeader = ({
   const empty = files.length === 0;
   const working = retrying || cancelling || removing;
 
+  // selected files may be scrolled out of view, or folded away entirely, so
+  // actions on the selection live here instead of alongside the rows
+  const allSelectedRetryable =
+    selected.length > 0 &&
+    selected.every((file) => isStateRetryable(file.state));
+  const selectedCancellable = selected.filter((file) =>
+    isStateCancellable(file.state),
+  );
+  const allSelectedRemovable =
+    selected.length > 0 &&
+    selected.every((file) => isStateRemovable(file.state));
+
   return (
-    <Segment
-      className="transfers-header-segment"
-      raised
-    >
-      <div className="transfers-segment-icon">
-        <Icon
-          name={direction}
-          size="big"
-        />
-      </div>
-      <Div
-        className="transfers-header-buttons"
-        hidden={empty}
+    <>
+      <Segment
+        className="transfers-header-segment"
+        raised
       >
-        <ShrinkableDropdownButton
-          color="green"
-          disabled={working || empty || !server.isConnected}
-          hidden={direction === 'upload'}
-          icon="redo"
-          loading={retrying}
-          mediaQuery="(max-width: 715px)"
-          onChange={(_, data) => setRetryOption(data.value)}
-          onClick={() => onRetryAll(getRetryableFiles({ files, retryOption }))}
-          options={[
-            { key: 'errored', text: 'Errored', value: 'Errored' },
-            { key: 'cancelled', text: 'Cancelled', value: 'Cancelled' },
-            { key: 'all', text: 'All', value: 'All' },
-          ]}
-        >
-          {`Retry ${retryOption === 'All' ? retryOption : `All ${retryOption}`}`}
-        </ShrinkableDropdownButton>
-        <Nbsp />
-        <ShrinkableDropdownButton
-          color="red"
-          disabled={working || empty}
-          icon="x"
-          loading={cancelling}
-          mediaQuery="(max-width: 715px)"
-          onChange={(_, data) => setCancelOption(data.value)}
-          onClick={() =>
-            onCancelAll(getCancellableFiles({ cancelOption, files }))
-          }
-          options={[
-            { key: 'all', text: 'All', value: 'All' },
-            { key: 'queued', text: 'Queued', value: 'Queued' },
-            { key: 'inProgress', text: 'In Progress', value: 'In Progress' },
-          ]}
+        <div className="transfers-segment-icon">
+          <Icon
+            name={direction}
+            size="big"
+          />
+        </div>
+        <Div
+          className="transfers-header-buttons"
+          hidden={empty}
         >
-          {`Cancel ${cancelOption === 'All' ? cancelOption : `All ${cancelOption}`}`}
-        </ShrinkableDropdownButton>
-        <Nbsp />
-        <ShrinkableDropdownButton
-          disabled={working || empty}
-          icon="trash alternate"
-          loading={removing}
-          mediaQuery="(max-width: 715px)"
-          onChange={(_, data) => setRemoveOption(data.value)}
-          onClick={() =>
-            onRemoveAll(getRemovableFiles({ files, removeOption }))
-          }
-          options={[
-            { key: 'succeeded', text: 'Succeeded', value: 'Succeeded' },
-            { key: 'errored', text: 'Errored', value: 'Errored' },
-            { key: 'cancelled', text: 'Cancelled', value: 'Cancelled' },
-            { key: 'completed', text: 'Completed', value: 'Completed' },
-          ]}
+          <ShrinkableDropdownButton
+            color="green"
+            disabled={working || empty || !server.isConnected}
+            hidden={direction === 'upload'}
+            icon="redo"
+            loading={retrying}
+            mediaQuery="(max-width: 715px)"
+            onChange={(_, data) => setRetryOption(data.value)}
+            onClick={() =>
+              onRetryAll(getRetryableFiles({ files, retryOption }))
+            }
+            options={[
+              { key: 'errored', text: 'Errored', value: 'Errored' },
+              { key: 'cancelled', text: 'Cancelled', value: 'Cancelled' },
+              { key: 'all', text: 'All', value: 'All' },
+            ]}
+          >
+            {`Retry ${retryOption === 'All' ? retryOption : `All ${retryOption}`}`}
+          </ShrinkableDropdownButton>
+          <Nbsp />
+          <ShrinkableDropdownButton
+            color="red"
+            disabled={working || empty}
+            icon="x"
+            loading={cancelling}
+            mediaQuery="(max-width: 715px)"
+            onChange={(_, data) => setCancelOption(data.value)}
+            onClick={() =>
+              onCancelAll(getCancellableFiles({ cancelOption, files }))
+            }
+            options={[
+              { key: 'all', text: 'All', value: 'All' },
+              { key: 'queued', text: 'Queued', value: 'Queued' },
+              { key: 'inProgress', text: 'In Progress', value: 'In Progress' },
+            ]}
+          >
+            {`Cancel ${cancelOption === 'All' ? cancelOption : `All ${cancelOption}`}`}
+          </ShrinkableDropdownButton>
+          <Nbsp />
+          <ShrinkableDropdownButton
+            disabled={working || empty}
+            icon="trash alternate"
+            loading={removing}
+            mediaQuery="(max-width: 715px)"
+            onChange={(_, data) => setRemoveOption(data.value)}
+            onClick={() =>
+              onRemoveAll(getRemovableFiles({ files, removeOption }))
+            }
+            options={[
+              { key: 'succeeded', text: 'Succeeded', value: 'Succeeded' },
+              { key: 'errored', text: 'Errored', value: 'Errored' },
+              { key: 'cancelled', text: 'Cancelled', value: 'Cancelled' },
+              { key: 'completed', text: 'Completed', value: 'Completed' },
+            ]}
+          >
+            {`Remove All ${removeOption}`}
+          </ShrinkableDropdownButton>
+        </Div>
+      </Segment>
+      {selected.length > 0 && (
+        <Segment
+          className="transfers-selection-segment"
+          raised
         >
-          {`Remove All ${removeOption}`}
-        </ShrinkableDropdownButton>
-      </Div>
-    </Segment>
+          <span className="transfers-selection-caption">
+            {`${selected.length} selected`}
+          </span>
+          <Button.Group size="small">
+            {direction === 'download' && (
+              <Button
+                color="green"
+                content="Retry Selected"
+                disabled={
+                  working || !allSelectedRetryable || !server.isConnected
+                }
+                icon="redo"
+                loading={retrying}
+                onClick={() => onRetryAll(selected)}
+              />
+            )}
+            <Button
+              color="red"
+              content="Cancel Selected"
+              disabled={working || selectedCancellable.length === 0}
+              icon="x"
+              loading={cancelling}
+              onClick={() => onCancelAll(selectedCancellable)}
+            />
+            <Button
+              content="Remove Selected"
+              disabled={working || !allSelectedRemovable}
+              icon="trash alternate"
+              loading={removing}
+              onClick={() => onRemoveAll(selected)}
+            />
+          </Button.Group>
+          <Nbsp />
+          <Button
+            basic
+            content="Clear"
+            disabled={working}
+            onClick={onClearSelection}
+            size="small"
+          />
+        </Segment>
+      )}
+    </>
   );
 };
 
@@ -0,0 +1,136 @@
+import { formatLastSeen, sortBuddies } from '../../lib/buddies';
+import React, { useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Header,
+  Icon,
+  Input,
+  Popup,
+  Segment,
+  Table,
+} from 'semantic-ui-react';
+
+const presenceColors = {
+  Away: 'yellow',
+  Online: 'green',
+};
+
+// the buddy list, with each buddy's presence and shares, and a form to add one
+const Buddies = ({
+  buddies,
+  onAdd,
+  onBrowse,
+  onPrioritize,
+  onRemove,
+  onSelect,
+}) => {
+  const [username, setUsername] = useState('');
+
+  const add = () => {
+    if (!username.trim()) return;
+
+    onAdd(username.trim());
+    setUsername('');
+  };
+
+  return (
+    <Segment
+      className="users-buddies"
+      raised
+    >
+      <Header size="small">
+        <Icon name="heart" />
+        <Header.Content>Buddies</Header.Content>
+      </Header>
+      <Input
+        action={{ disabled: !username.trim(), icon: 'plus', onClick: add }}
+        className="users-buddies-input"
+        onChange={(_event, { value }) => setUsername(value)}
+        onKeyUp={(event) => (event.key === 'Enter' ? add() : '')}
+        placeholder="Add a buddy"
+        value={username}
+      />
+      {buddies.length === 0 ? (
+        <p className="users-buddies-empty">
+          No buddies yet. Add a user above or from their profile to see when
+          they&apos;re online.
+        </p>
+      ) : (
+        <Table
+          compact
+          unstackable
+        >
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Username</Table.HeaderCell>
+              <Table.HeaderCell>Last Seen</Table.HeaderCell>
+              <Table.HeaderCell>Files</Table.HeaderCell>
+              <Table.HeaderCell>
+                <Popup
+                  content="Prioritized buddies are placed in the built in 'buddies' group for uploads"
+                  trigger={<span>Priority</span>}
+                />
+              </Table.HeaderCell>
+              <Table.HeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {sortBuddies(buddies).map((buddy) => (
+              <Table.Row key={buddy.username}>
+                <Table.Cell>
+                  <Icon
+                    color={presenceColors[buddy.presence] || 'grey'}
+                    name="circle"
+                    title={buddy.presence ?? 'Unknown'}
+                  />
+                  {buddy.username}
+                </Table.Cell>
+                <Table.Cell>{formatLastSeen(buddy)}</Table.Cell>
+                <Table.Cell>
+                  {buddy.fileCount == null
+                    ? '?'
+                    : buddy.fileCount.toLocaleString()}
+                </Table.Cell>
+                <Table.Cell>
+                  <Checkbox
+                    checked={buddy.prioritized}
+                    onChange={(_event, { checked }) =>
+                      onPrioritize(buddy.username, checked)
+                    }
+                    toggle
+                  />
+                </Table.Cell>
+                <Table.Cell textAlign="right">
+                  <Button
+                    compact
+                    icon="folder open"
+                    onClick={() => onBrowse(buddy.username)}
+                    size="mini"
+                    title="Browse Shares"
+                  />
+                  <Button
+                    compact
+                    onClick={() => onSelect(buddy.username)}
+                    size="mini"
+                  >
+                    Profile
+                  </Button>
+                  <Button
+                    compact
+                    onClick={() => onRemove(buddy.username)}
+                    size="mini"
+                  >
+                    Remove
+                  </Button>
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+    </Segment>
+  );
+};
+
+export default Buddies;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Button, Header, Icon, Segment, Table } from 'semantic-ui-react';
+
+const formatDate = (timestamp) =>
+  new Intl.DateTimeFormat('en', {
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    month: 'numeric',
+    year: 'numeric',
+  }).format(new Date(timestamp));
+
+// the ignore list, with a button to stop ignoring each user
+const IgnoredUsers = ({ ignoredUsers, onRemove, onSelect }) => (
+  <Segment
+    className="users-ignored"
+    raised
+  >
+    <Header size="small">
+      <Icon name="ban" />
+      <Header.Content>Ignored Users</Header.Content>
+    </Header>
+    {ignoredUsers.length === 0 ? (
+      <p className="users-ignored-empty">
+        Nobody is ignored. Ignore a user from their profile, from a room, or
+        from their search results.
+      </p>
+    ) : (
+      <Table
+        compact
+        unstackable
+      >
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell>Username</Table.HeaderCell>
+            <Table.HeaderCell>Reason</Table.HeaderCell>
+            <Table.HeaderCell>Since</Table.HeaderCell>
+            <Table.HeaderCell>Until</Table.HeaderCell>
+            <Table.HeaderCell>Uploads</Table.HeaderCell>
+            <Table.HeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {ignoredUsers.map((ignoredUser) => (
+            <Table.Row key={ignoredUser.username}>
+              <Table.Cell>{ignoredUser.username}</Table.Cell>
+              <Table.Cell>{ignoredUser.reason}</Table.Cell>
+              <Table.Cell>{formatDate(ignoredUser.createdAt)}</Table.Cell>
+              <Table.Cell>
+                {ignoredUser.expiresAt
+                  ? formatDate(ignoredUser.expiresAt)
+                  : 'Forever'}
+              </Table.Cell>
+              <Table.Cell>
+                {ignoredUser.rejectUploads ? 'Rejected' : 'Allowed'}
+              </Table.Cell>
+              <Table.Cell textAlign="right">
+                <Button
+                  compact
+                  onClick={() => onSelect(ignoredUser.username)}
+                  size="mini"
+                >
+                  Profile
+                </Button>
+                <Button
+                  compact
+                  onClick={() => onRemove(ignoredUser.username)}
+                  size="mini"
+                >
+                  Stop Ignoring
+                </Button>
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table>
+    )}
+  </Segment>
+);
+
+export default IgnoredUsers;
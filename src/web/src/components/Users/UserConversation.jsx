@@ -0,0 +1,131 @@
+import * as chat from '../../lib/chat';
+import { createMessagingHubConnection } from '../../lib/hubFactory';
+import { getConversationHistory, toLogEntry } from '../../lib/messages';
+import { formatDate } from '../../lib/util';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Button, Header, Icon, Input, List, Segment } from 'semantic-ui-react';
+
+// the number of the most recent messages shown
+const messageCount = 50;
+
+// the most recent private messages with the user, with a box to send another
+const UserConversation = ({ onOpen, selfUsername, username }) => {
+  const [messages, setMessages] = useState([]);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const fetchMessages = async () => {
+      try {
+        setMessages(
+          await getConversationHistory({ limit: messageCount, username }),
+        );
+      } catch (error) {
+        console.error(error);
+      }
+    };
+
+    // the hub sends both the messages we receive and the ones we send
+    const messagingHub = createMessagingHubConnection();
+
+    messagingHub.on('private_message', (privateMessage) => {
+      if (privateMessage.username === username) {
+        setMessages((previous) =>
+          [...previous, privateMessage].slice(-messageCount),
+        );
+      }
+    });
+    messagingHub.onreconnected(() => fetchMessages());
+
+    const connect = async () => {
+      await fetchMessages();
+
+      try {
+        await messagingHub.start();
+      } catch (error) {
+        console.error(error);
+      }
+    };
+
+    connect();
+
+    return () => {
+      messagingHub.stop();
+    };
+  }, [username]);
+
+  const send = async () => {
+    if (!message.trim()) return;
+
+    setSending(true);
+
+    try {
+      await chat.send({ message, username });
+      setMessage('');
+    } catch (error) {
+      toast.error(error?.response?.data ?? error?.message ?? error);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Segment
+      className="users-profile-section"
+      raised
+    >
+      <Header size="small">
+        <Icon name="comment" />
+        <Header.Content>Messages</Header.Content>
+        <Button
+          compact
+          floated="right"
+          onClick={onOpen}
+          size="mini"
+        >
+          Open in Chat
+        </Button>
+      </Header>
+      {messages.length === 0 ? (
+        <p className="users-profile-empty">No messages with {username} yet.</p>
+      ) : (
+        <List className="users-profile-messages">
+          {messages.map((privateMessage) => {
+            const entry = toLogEntry(privateMessage, selfUsername);
+
+            return (
+              <List.Item
+                className={entry.self ? 'users-profile-message-self' : ''}
+                key={`${privateMessage.timestamp}+${privateMessage.message}`}
+              >
+                <span className="users-profile-message-time">
+                  {formatDate(entry.timestamp)}
+                </span>
+                <span className="users-profile-message-name">
+                  {entry.username}:
+                </span>
+                {entry.message}
+              </List.Item>
+            );
+          })}
+        </List>
+      )}
+      <Input
+        action={{
+          disabled: !message.trim() || sending,
+          icon: 'send',
+          loading: sending,
+          onClick: send,
+        }}
+        className="users-profile-message-input"
+        onChange={(_event, { value }) => setMessage(value)}
+        onKeyUp={(event) => (event.key === 'Enter' ? send() : '')}
+        placeholder={`Send a message to ${username}`}
+        value={message}
+      />
+    </Segment>
+  );
+};
+
+export default UserConversation;
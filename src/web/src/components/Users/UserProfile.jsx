@@ -0,0 +1,194 @@
+import './Users.css';
+import { activeChatKey } from '../../config';
+import * as buddies from '../../lib/buddies';
+import * as ignoredUsers from '../../lib/ignoredUsers';
+import * as users from '../../lib/users';
+import IgnoreUserModal from '../Shared/IgnoreUserModal';
+import User from './User';
+import UserConversation from './UserConversation';
+import UserShares from './UserShares';
+import UserTransfers from './UserTransfers';
+import React, { useEffect, useState } from 'react';
+import { Link, useHistory, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Button, Item, Loader, Message, Segment } from 'semantic-ui-react';
+
+const toastError = (error) =>
+  toast.error(error?.response?.data ?? error?.message ?? error);
+
+// everything about a single user in one place; their info, their shares as of
+// the last browse, our transfers with them, and our private messages
+const UserProfile = ({ selfUsername }) => {
+  const history = useHistory();
+  const { username } = useParams();
+  const [user, setUser] = useState(undefined);
+  const [error, setError] = useState(undefined);
+  const [buddy, setBuddy] = useState(undefined);
+  const [ignoredUser, setIgnoredUser] = useState(undefined);
+  const [ignoring, setIgnoring] = useState(false);
+
+  const fetchLists = async () => {
+    try {
+      const [buddyList, ignoreList] = await Promise.all([
+        buddies.getAll(),
+        ignoredUsers.getAll(),
+      ]);
+
+      setBuddy(buddyList.find((b) => b.username === username));
+      setIgnoredUser(
+        ignoreList.find(
+          (entry) =>
+            entry.username === username && !ignoredUsers.isExpired(entry),
+        ),
+      );
+    } catch (fetchError) {
+      toastError(fetchError);
+    }
+  };
+
+  useEffect(() => {
+    const fetchUser = async () => {
+      setUser(undefined);
+      setError(undefined);
+
+      try {
+        const [info, status, endpoint] = await Promise.all([
+          users.getInfo({ username }),
+          users.getStatus({ username }),
+          users.getEndpoint({ username }),
+        ]);
+
+        setUser({ ...info.data, ...status.data, ...endpoint.data });
+      } catch (fetchError) {
+        setError(fetchError);
+      }
+    };
+
+    fetchUser();
+    fetchLists();
+  }, [username]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggleBuddy = async () => {
+    try {
+      if (buddy) {
+        await buddies.remove({ username });
+        toast.success(`Removed ${username} from buddies`);
+      } else {
+        await buddies.add({ username });
+        toast.success(`Added ${username} to buddies`);
+      }
+    } catch (buddyError) {
+      toastError(buddyError);
+    }
+
+    await fetchLists();
+  };
+
+  const unignore = async () => {
+    try {
+      await ignoredUsers.unignore({ username });
+      toast.success(`Stopped ignoring ${username}`);
+    } catch (unignoreError) {
+      toastError(unignoreError);
+    }
+
+    await fetchLists();
+  };
+
+  const browse = () => history.push('/browse', { user: username });
+
+  const openChat = () => {
+    sessionStorage.setItem(activeChatKey, username);
+    history.push('/chat');
+  };
+
+  const renderUser = () => {
+    if (error) {
+      return (
+        <Message warning>
+          Failed to retrieve information for {username}; they may be offline.
+        </Message>
+      );
+    }
+
+    if (!user) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        />
+      );
+    }
+
+    return (
+      <Item.Group>
+        <User {...user} />
+      </Item.Group>
+    );
+  };
+
+  return (
+    <div className="users-container">
+      <Segment
+        className="users-user"
+        raised
+      >
+        {renderUser()}
+        <div className="users-user-actions">
+          <Button
+            as={Link}
+            floated="left"
+            icon="arrow left"
+            labelPosition="left"
+            size="small"
+            to="/users"
+          >
+            Users
+          </Button>
+          <Button
+            icon="folder open"
+            labelPosition="left"
+            onClick={browse}
+            size="small"
+          >
+            Browse Shares
+          </Button>
+          <Button
+            icon={buddy ? 'heart' : 'heart outline'}
+            labelPosition="left"
+            onClick={toggleBuddy}
+            size="small"
+          >
+            {buddy ? 'Remove Buddy' : 'Add Buddy'}
+          </Button>
+          <Button
+            icon="ban"
+            labelPosition="left"
+            onClick={ignoredUser ? unignore : () => setIgnoring(true)}
+            size="small"
+          >
+            {ignoredUser ? 'Stop Ignoring' : 'Ignore'}
+          </Button>
+        </div>
+      </Segment>
+      <UserShares
+        onBrowse={browse}
+        username={username}
+      />
+      <UserTransfers username={username} />
+      <UserConversation
+        onOpen={openChat}
+        selfUsername={selfUsername}
+        username={username}
+      />
+      <IgnoreUserModal
+        onClose={() => setIgnoring(false)}
+        onIgnore={() => fetchLists()}
+        open={ignoring}
+        username={username}
+      />
+    </div>
+  );
+};
+
+export default UserProfile;
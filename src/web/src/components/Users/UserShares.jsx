@@ -0,0 +1,123 @@
+import {
+  buildDirectoryTree,
+  findDirectoryByPath,
+  formatBrowseSummary,
+} from '../../lib/browse';
+import * as browseCache from '../../lib/browseCache';
+import { formatDate } from '../../lib/util';
+import DirectoryTree from '../Browse/DirectoryTree';
+import Selection from '../Browse/Selection';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button, Header, Icon, Loader, Segment } from 'semantic-ui-react';
+
+// the user's shares, from the last time they were browsed, if that was the
+// most recent browse; files can be downloaded from here as they can in Browse
+const UserShares = ({ onBrowse, username }) => {
+  const [cached, setCached] = useState(undefined);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const fetchCached = async () => {
+      try {
+        setCached(await browseCache.getCached(username));
+      } catch (error) {
+        console.error(error);
+        setCached(null);
+      }
+    };
+
+    setSelected(null);
+    fetchCached();
+  }, [username]);
+
+  const tree = useMemo(
+    () => (cached ? buildDirectoryTree(cached) : []),
+    [cached],
+  );
+
+  const selectedDirectory = selected
+    ? findDirectoryByPath(selected.directoryName, tree)
+    : null;
+
+  const renderContent = () => {
+    if (cached === undefined) {
+      return (
+        <Loader
+          active
+          inline="centered"
+        />
+      );
+    }
+
+    if (!cached) {
+      return (
+        <p className="users-profile-empty">
+          {username}&apos;s shares haven&apos;t been browsed recently.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <p className="users-profile-meta">
+          {formatBrowseSummary(cached.info)}
+          {cached.savedAt && `, browsed ${formatDate(cached.savedAt)}`}
+        </p>
+        <div className="browse-tree-wrapper">
+          <DirectoryTree
+            onSelect={(_, directory) =>
+              setSelected({
+                directoryName: directory.name,
+                files: [],
+                subdirectory: directory.children?.[0]?.name ?? null,
+              })
+            }
+            selectedDirectoryName={selected?.directoryName}
+            tree={tree}
+          />
+        </div>
+        {selectedDirectory && (
+          <Selection
+            defaultSelectedFiles={selected.files}
+            defaultSubdirectory={selected.subdirectory}
+            locked={selectedDirectory.locked}
+            name={selected.directoryName}
+            node={selectedDirectory}
+            onClose={() => setSelected(null)}
+            onStateChange={({ files, subdirectory }) =>
+              setSelected((previous) => ({ ...previous, files, subdirectory }))
+            }
+            separator={cached.separator}
+            username={username}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Segment
+      className="users-profile-section"
+      raised
+    >
+      <Header
+        className="users-profile-section-header"
+        size="small"
+      >
+        <Icon name="folder open" />
+        <Header.Content>Shares</Header.Content>
+        <Button
+          compact
+          floated="right"
+          onClick={onBrowse}
+          size="mini"
+        >
+          {cached ? 'Browse Again' : 'Browse Shares'}
+        </Button>
+      </Header>
+      {renderContent()}
+    </Segment>
+  );
+};
+
+export default UserShares;
@@ -0,0 +1,220 @@
+import * as reports from '../../lib/reports';
+import * as transfers from '../../lib/transfers';
+import { formatBytes, getFileName } from '../../lib/util';
+import ExceptionList from '../Dashboard/ExceptionList';
+import { Graph } from '../Shared';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Header, Icon, Segment, Statistic, Table } from 'semantic-ui-react';
+
+const historyDays = 30;
+
+const historySeries = [
+  {
+    color: '#21ba45',
+    format: (v) => formatBytes(v, 1),
+    key: 'uploadBytes',
+    name: 'Upload Size',
+    unit: 'bytes',
+  },
+  {
+    color: '#2185d0',
+    format: (v) => formatBytes(v, 1),
+    key: 'downloadBytes',
+    name: 'Download Size',
+    unit: 'bytes',
+  },
+];
+
+const defaultHistorySeries = new Set(['uploadBytes', 'downloadBytes']);
+
+const isActive = (transfer) => !transfer.state.includes('Completed');
+
+const fetchExceptions = async ({ direction, username }) =>
+  (await reports.getExceptions({ direction, username })).map((row) => ({
+    ...row,
+    direction,
+  }));
+
+// transfers to and from the user; those still in progress, and totals, a graph
+// and recent errors for those that have finished
+const UserTransfers = ({ username }) => {
+  const [active, setActive] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [histogram, setHistogram] = useState({});
+  const [exceptions, setExceptions] = useState([]);
+  const [exceptionDirection, setExceptionDirection] = useState('All');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      setLoading(true);
+
+      const end = new Date();
+      const start = new Date(end - historyDays * 86_400_000);
+
+      const [
+        uploads,
+        downloads,
+        fetchedSummary,
+        fetchedHistogram,
+        uploadExceptions,
+        downloadExceptions,
+      ] = await Promise.all([
+        transfers
+          .getAllForUser({ direction: 'Upload', username })
+          .catch((error) => {
+            console.error(error);
+            return [];
+          }),
+        transfers
+          .getAllForUser({ direction: 'Download', username })
+          .catch((error) => {
+            console.error(error);
+            return [];
+          }),
+        reports.getSummary({ username }).catch((error) => {
+          console.error(error);
+          return {};
+        }),
+        reports
+          .getHistogram({ buckets: historyDays, end, start, username })
+          .catch((error) => {
+            console.error(error);
+            return {};
+          }),
+        fetchExceptions({ direction: 'Upload', username }).catch((error) => {
+          console.error(error);
+          return [];
+        }),
+        fetchExceptions({ direction: 'Download', username }).catch((error) => {
+          console.error(error);
+          return [];
+        }),
+      ]);
+
+      setActive([...uploads, ...downloads].filter(isActive));
+      setSummary(fetchedSummary);
+      setHistogram(fetchedHistogram);
+      setExceptions(
+        [...uploadExceptions, ...downloadExceptions].sort(
+          (a, b) => new Date(b.endedAt) - new Date(a.endedAt),
+        ),
+      );
+      setLoading(false);
+    };
+
+    fetchAll();
+  }, [username]);
+
+  const chartData = useMemo(
+    () => reports.buildChartData(histogram),
+    [histogram],
+  );
+
+  return (
+    <Segment
+      className="users-profile-section"
+      raised
+    >
+      <Header size="small">
+        <Icon name="exchange" />
+        <Header.Content>Transfers</Header.Content>
+      </Header>
+      {active.length === 0 ? (
+        <p className="users-profile-empty">
+          No transfers to or from {username} are in progress.
+        </p>
+      ) : (
+        <Table
+          compact
+          unstackable
+        >
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Direction</Table.HeaderCell>
+              <Table.HeaderCell>File</Table.HeaderCell>
+              <Table.HeaderCell>Size</Table.HeaderCell>
+              <Table.HeaderCell>State</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {active.map((transfer) => (
+              <Table.Row key={transfer.id}>
+                <Table.Cell>{transfer.direction}</Table.Cell>
+                <Table.Cell title={transfer.filename}>
+                  {getFileName(transfer.filename)}
+                </Table.Cell>
+                <Table.Cell>{formatBytes(transfer.size, 1)}</Table.Cell>
+                <Table.Cell>
+                  {transfer.state}
+                  {transfer.percentComplete > 0 &&
+                    ` (${Math.round(transfer.percentComplete)}%)`}
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      )}
+      <Statistic.Group
+        className="users-profile-statistics"
+        size="mini"
+        widths="four"
+      >
+        <Statistic color="blue">
+          <Statistic.Value>
+            {formatBytes(reports.sumBytes(summary.Download), 1)}
+          </Statistic.Value>
+          <Statistic.Label>
+            Downloaded · {reports.sumCounts(summary.Download).toLocaleString()}{' '}
+            files
+          </Statistic.Label>
+        </Statistic>
+        <Statistic color="green">
+          <Statistic.Value>
+            {formatBytes(reports.sumBytes(summary.Upload), 1)}
+          </Statistic.Value>
+          <Statistic.Label>
+            Uploaded · {reports.sumCounts(summary.Upload).toLocaleString()}{' '}
+            files
+          </Statistic.Label>
+        </Statistic>
+        <Statistic>
+          <Statistic.Value>
+            {(summary.Download?.Errored?.count ?? 0).toLocaleString()}
+          </Statistic.Value>
+          <Statistic.Label>Failed Downloads</Statistic.Label>
+        </Statistic>
+        <Statistic>
+          <Statistic.Value>
+            {(summary.Upload?.Errored?.count ?? 0).toLocaleString()}
+          </Statistic.Value>
+          <Statistic.Label>Failed Uploads</Statistic.Label>
+        </Statistic>
+      </Statistic.Group>
+      <Header
+        className="users-profile-subheader"
+        size="tiny"
+      >
+        Last {historyDays} Days
+      </Header>
+      <Graph
+        data={chartData}
+        defaultSeries={defaultHistorySeries}
+        height={150}
+        series={historySeries}
+      />
+      <ExceptionList
+        direction={exceptionDirection}
+        loading={loading}
+        onDirectionChange={setExceptionDirection}
+        rows={exceptions.filter(
+          (row) =>
+            exceptionDirection === 'All' ||
+            row.direction === exceptionDirection,
+        )}
+      />
+    </Segment>
+  );
+};
+
+export default UserTransfers;
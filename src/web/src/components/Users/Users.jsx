@@ -1,13 +1,21 @@
 import './Users.css';
 import { activeUserInfoKey } from '../../config';
+import * as buddies from '../../lib/buddies';
+import { createUsersHubConnection } from '../../lib/hubFactory';
+import * as ignoredUsers from '../../lib/ignoredUsers';
 import * as users from '../../lib/users';
+import IgnoreUserModal from '../Shared/IgnoreUserModal';
 import PlaceholderSegment from '../Shared/PlaceholderSegment';
+import Buddies from './Buddies';
+import IgnoredUsers from './IgnoredUsers';
 import User from './User';
 import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
-import { useLocation } from 'react-router-dom';
-import { Icon, Input, Item, Loader, Segment } from 'semantic-ui-react';
+import { useHistory, useLocation } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Button, Icon, Input, Item, Loader, Segment } from 'semantic-ui-react';
 
 const Users = () => {
+  const history = useHistory();
   const location = useLocation();
   const inputRef = useRef();
   const [user, setUser] = useState();
@@ -18,6 +26,9 @@ const Users = () => {
     error: undefined,
     fetching: false,
   });
+  const [ignored, setIgnored] = useState([]);
+  const [ignoring, setIgnoring] = useState(false);
+  const [buddyList, setBuddyList] = useState([]);
 
   const setInputText = (text) => {
     inputRef.current.inputRef.current.value = text;
@@ -35,6 +46,78 @@ const Users = () => {
     setInputFocus();
   };
 
+  const fetchIgnored = async () => {
+    try {
+      setIgnored(await ignoredUsers.getAll());
+    } catch (fetchError) {
+      toast.error(
+        fetchError?.response?.data ?? fetchError?.message ?? fetchError,
+      );
+    }
+  };
+
+  const unignore = async (username) => {
+    try {
+      await ignoredUsers.unignore({ username });
+      toast.success(`Stopped ignoring ${username}`);
+    } catch (unignoreError) {
+      toast.error(
+        unignoreError?.response?.data ??
+          unignoreError?.message ??
+          unignoreError,
+      );
+    }
+
+    await fetchIgnored();
+  };
+
+  const fetchBuddies = async () => {
+    try {
+      setBuddyList(await buddies.getAll());
+    } catch (fetchError) {
+      toast.error(
+        fetchError?.response?.data ?? fetchError?.message ?? fetchError,
+      );
+    }
+  };
+
+  const addBuddy = async (username, prioritized = false) => {
+    try {
+      await buddies.add({ prioritized, username });
+    } catch (addError) {
+      toast.error(addError?.response?.data ?? addError?.message ?? addError);
+    }
+
+    await fetchBuddies();
+  };
+
+  const removeBuddy = async (username) => {
+    try {
+      await buddies.remove({ username });
+      toast.success(`Removed ${username} from buddies`);
+    } catch (removeError) {
+      toast.error(
+        removeError?.response?.data ?? removeError?.message ?? removeError,
+      );
+    }
+
+    await fetchBuddies();
+  };
+
+  const browseShares = (username) =>
+    history.push('/browse', { user: username });
+
+  const openProfile = (username) =>
+    history.push(`/users/${encodeURIComponent(username)}`);
+
+  const isBuddy = buddyList.some(
+    (buddy) => buddy.username === selectedUsername,
+  );
+
+  const isIgnored = ignored.some(
+    (ignoredUser) => ignoredUser.username === selectedUsername,
+  );
+
   const keyUp = (event) => (event.key === 'Escape' ? clear() : '');
 
   useLayoutEffect(() => {
@@ -44,6 +127,9 @@ const Users = () => {
   useEffect(() => {
     document.addEventListener('keyup', keyUp, false);
 
+    fetchIgnored();
+    fetchBuddies();
+
     const storedUsername =
       location.state?.user || localStorage.getItem(activeUserInfoKey);
 
@@ -53,6 +139,30 @@ const Users = () => {
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // presence and share counts change as buddies come and go
+  useEffect(() => {
+    const usersHub = createUsersHubConnection();
+
+    usersHub.on('buddy', (buddy) =>
+      setBuddyList((previous) => buddies.mergeBuddy(previous, buddy)),
+    );
+    usersHub.onreconnected(() => fetchBuddies());
+
+    const connect = async () => {
+      try {
+        await usersHub.start();
+      } catch (startError) {
+        console.error(startError);
+      }
+    };
+
+    connect();
+
+    return () => {
+      usersHub.stop();
+    };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
   useEffect(() => {
     const fetchUser = async () => {
       if (!selectedUsername) {
@@ -145,10 +255,77 @@ const Users = () => {
               <Item.Group>
                 <User {...user} />
               </Item.Group>
+              <div className="users-user-actions">
+                <Button
+                  icon="id card"
+                  labelPosition="left"
+                  onClick={() => openProfile(selectedUsername)}
+                  size="small"
+                >
+                  Profile
+                </Button>
+                {isBuddy ? (
+                  <Button
+                    icon="heart"
+                    labelPosition="left"
+                    onClick={() => removeBuddy(selectedUsername)}
+                    size="small"
+                  >
+                    Remove Buddy
+                  </Button>
+                ) : (
+                  <Button
+                    icon="heart outline"
+                    labelPosition="left"
+                    onClick={() => addBuddy(selectedUsername)}
+                    size="small"
+                  >
+                    Add Buddy
+                  </Button>
+                )}
+                {isIgnored ? (
+                  <Button
+                    icon="ban"
+                    labelPosition="left"
+                    onClick={() => unignore(selectedUsername)}
+                    size="small"
+                  >
+                    Stop Ignoring
+                  </Button>
+                ) : (
+                  <Button
+                    icon="ban"
+                    labelPosition="left"
+                    onClick={() => setIgnoring(true)}
+                    size="small"
+                  >
+                    Ignore
+                  </Button>
+                )}
+              </div>
             </Segment>
           )}
         </div>
       )}
+      <Buddies
+        buddies={buddyList}
+        onAdd={addBuddy}
+        onBrowse={browseShares}
+        onPrioritize={addBuddy}
+        onRemove={removeBuddy}
+        onSelect={openProfile}
+      />
+      <IgnoredUsers
+        ignoredUsers={ignored}
+        onRemove={unignore}
+        onSelect={openProfile}
+      />
+      <IgnoreUserModal
+        onClose={() => setIgnoring(false)}
+        onIgnore={() => fetchIgnored()}
+        open={ignoring}
+        username={selectedUsername}
+      />
     </div>
   );
 };
@@ -0,0 +1,265 @@
+import './Wishlist.css';
+import * as wishlist from '../../lib/wishlist';
+import ErrorSegment from '../Shared/ErrorSegment';
+import LoaderSegment from '../Shared/LoaderSegment';
+import PlaceholderSegment from '../Shared/PlaceholderSegment';
+import WishlistItemModal from './WishlistItemModal';
+import WishlistRuns from './WishlistRuns';
+import React, { Fragment, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Button,
+  Card,
+  Checkbox,
+  Icon,
+  Loader,
+  Popup,
+  Segment,
+  Table,
+} from 'semantic-ui-react';
+
+const POLL_INTERVAL = 5_000;
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '-');
+
+const Wishlist = () => {
+  const [items, setItems] = useState(undefined);
+  const [error, setError] = useState(undefined);
+  const [editing, setEditing] = useState(undefined);
+  const [expanded, setExpanded] = useState({});
+  const [working, setWorking] = useState({});
+
+  const fetch = async () => {
+    try {
+      setItems(await wishlist.list());
+      setError(undefined);
+    } catch (fetchError) {
+      setError(fetchError?.response?.data ?? fetchError?.message ?? fetchError);
+    }
+  };
+
+  useEffect(() => {
+    fetch();
+
+    const timer = window.setInterval(fetch, POLL_INTERVAL);
+
+    return () => window.clearInterval(timer);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const invoke = async (item, function_) => {
+    setWorking((old) => ({ ...old, [item.id]: true }));
+
+    try {
+      await function_();
+      await fetch();
+    } catch (invokeError) {
+      console.error(invokeError);
+      toast.error(
+        invokeError?.response?.data ?? invokeError?.message ?? invokeError,
+      );
+    } finally {
+      setWorking((old) => ({ ...old, [item.id]: false }));
+    }
+  };
+
+  const save = async (item) => {
+    await (item.id ? wishlist.update(item) : wishlist.create(item));
+    setEditing(undefined);
+    await fetch();
+  };
+
+  const toggleEnabled = (item) =>
+    invoke(item, () => wishlist.update({ ...item, enabled: !item.enabled }));
+
+  const runNow = (item) =>
+    invoke(item, async () => {
+      await wishlist.run({ id: item.id });
+      setExpanded((old) => ({ ...old, [item.id]: true }));
+    });
+
+  const remove = (item) => invoke(item, () => wishlist.remove({ id: item.id }));
+
+  const toggleExpanded = (item) =>
+    setExpanded((old) => ({ ...old, [item.id]: !old[item.id] }));
+
+  const renderItems = () => {
+    if (error && !items) {
+      return <ErrorSegment caption={error} />;
+    }
+
+    if (!items) {
+      return <LoaderSegment />;
+    }
+
+    if (items.length === 0) {
+      return (
+        <PlaceholderSegment
+          caption="Nothing on the wishlist"
+          icon="star outline"
+        />
+      );
+    }
+
+    return (
+      <Card
+        className="wishlist-card"
+        raised
+      >
+        <Card.Content>
+          <Table
+            className="unstackable"
+            selectable
+          >
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell collapsing />
+                <Table.HeaderCell>Search</Table.HeaderCell>
+                <Table.HeaderCell>Schedule</Table.HeaderCell>
+                <Table.HeaderCell>Action</Table.HeaderCell>
+                <Table.HeaderCell>Last Run</Table.HeaderCell>
+                <Table.HeaderCell>Next Run</Table.HeaderCell>
+                <Table.HeaderCell>Hits</Table.HeaderCell>
+                <Table.HeaderCell collapsing>Enabled</Table.HeaderCell>
+                <Table.HeaderCell collapsing />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {[...items]
+                .sort((a, b) => a.searchText.localeCompare(b.searchText))
+                .map((item) => (
+                  <Fragment key={item.id}>
+                    <Table.Row
+                      disabled={working[item.id]}
+                      onClick={() => toggleExpanded(item)}
+                    >
+                      <Table.Cell>
+                        <Icon
+                          name={
+                            expanded[item.id] ? 'chevron down' : 'chevron right'
+                          }
+                        />
+                      </Table.Cell>
+                      <Table.Cell>
+                        <span className="wishlist-item-search">
+                          {item.searchText}
+                        </span>
+                        {item.filter && (
+                          <code className="wishlist-item-filter">
+                            {item.filter}
+                          </code>
+                        )}
+                      </Table.Cell>
+                      <Table.Cell>
+                        Every {wishlist.formatInterval(item.interval)}
+                      </Table.Cell>
+                      <Table.Cell>{item.action}</Table.Cell>
+                      <Table.Cell>
+                        {item.isRunning ? (
+                          <Loader
+                            active
+                            inline
+                            size="mini"
+                          />
+                        ) : (
+                          formatTime(item.lastRunAt)
+                        )}
+                      </Table.Cell>
+                      <Table.Cell>
+                        {item.enabled ? formatTime(item.nextRunAt) : '-'}
+                      </Table.Cell>
+                      <Table.Cell>{item.hitCount}</Table.Cell>
+                      <Table.Cell onClick={(event) => event.stopPropagation()}>
+                        <Checkbox
+                          checked={item.enabled}
+                          onChange={() => toggleEnabled(item)}
+                          toggle
+                        />
+                      </Table.Cell>
+                      <Table.Cell
+                        className="wishlist-item-actions"
+                        onClick={(event) => event.stopPropagation()}
+                      >
+                        <Popup
+                          content="Search now"
+                          trigger={
+                            <Icon
+                              disabled={item.isRunning}
+                              name="play"
+                              onClick={() => !item.isRunning && runNow(item)}
+                            />
+                          }
+                        />
+                        <Popup
+                          content="Edit"
+                          trigger={
+                            <Icon
+                              name="edit"
+                              onClick={() => setEditing(item)}
+                            />
+                          }
+                        />
+                        <Popup
+                          content="Remove"
+                          trigger={
+                            <Icon
+                              color="red"
+                              name="trash alternate"
+                              onClick={() => remove(item)}
+                            />
+                          }
+                        />
+                      </Table.Cell>
+                    </Table.Row>
+                    {expanded[item.id] && (
+                      <Table.Row className="wishlist-runs-row">
+                        <Table.Cell colSpan={9}>
+                          <WishlistRuns item={item} />
+                        </Table.Cell>
+                      </Table.Row>
+                    )}
+                  </Fragment>
+                ))}
+            </Table.Body>
+          </Table>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <div className="wishlist-container">
+      <Segment
+        className="wishlist-segment"
+        raised
+      >
+        <div className="wishlist-segment-icon">
+          <Icon
+            name="star"
+            size="big"
+          />
+        </div>
+        <div className="wishlist-segment-text">
+          Searches on the wishlist are repeated on a schedule; new matches raise
+          a notification, or are downloaded automatically.
+        </div>
+        <Button
+          onClick={() => setEditing({})}
+          primary
+        >
+          <Icon name="plus" />
+          Add
+        </Button>
+      </Segment>
+      {renderItems()}
+      {editing && (
+        <WishlistItemModal
+          item={editing.id ? editing : undefined}
+          onClose={() => setEditing(undefined)}
+          onSave={save}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Wishlist;
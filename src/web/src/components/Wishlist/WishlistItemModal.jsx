@@ -0,0 +1,162 @@
+import { parse } from '../../lib/searchQuery';
+import {
+  actions,
+  formatInterval,
+  maximumInterval,
+  minimumInterval,
+} from '../../lib/wishlist';
+import React, { useMemo, useState } from 'react';
+import { Button, Form, List, Message, Modal } from 'semantic-ui-react';
+
+const intervalPresets = [60, 360, 720, 1_440, 4_320, 10_080];
+
+const actionDescriptions = {
+  Enqueue:
+    'Download the best new match, then disable the item so it is not downloaded twice',
+  Notify: 'Raise a notification when new matches are found',
+};
+
+const WishlistItemModal = ({ item, onClose, onSave }) => {
+  const [searchText, setSearchText] = useState(item?.searchText ?? '');
+  const [filter, setFilter] = useState(item?.filter ?? '');
+  const [intervalMinutes, setIntervalMinutes] = useState(
+    item?.interval ?? 1_440,
+  );
+  const [action, setAction] = useState(item?.action ?? 'Notify');
+  const [enabled, setEnabled] = useState(item?.enabled ?? true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(undefined);
+
+  const { errors: filterErrors } = useMemo(() => parse(filter), [filter]);
+
+  const intervalOptions = [
+    ...new Set([...intervalPresets, Number(intervalMinutes) || 0]),
+  ]
+    .filter((minutes) => minutes >= minimumInterval)
+    .sort((a, b) => a - b)
+    .map((minutes) => ({
+      key: minutes,
+      text: `Every ${formatInterval(minutes)}`,
+      value: minutes,
+    }));
+
+  const valid =
+    searchText.trim().length > 0 &&
+    filterErrors.length === 0 &&
+    intervalMinutes >= minimumInterval &&
+    intervalMinutes <= maximumInterval;
+
+  const save = async () => {
+    setSaving(true);
+    setError(undefined);
+
+    try {
+      await onSave({
+        action,
+        enabled,
+        filter: filter.trim(),
+        id: item?.id,
+        interval: intervalMinutes,
+        searchText: searchText.trim(),
+      });
+    } catch (saveError) {
+      setError(saveError?.response?.data ?? saveError?.message ?? saveError);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      onClose={onClose}
+      open
+      size="small"
+    >
+      <Modal.Header>
+        {item ? 'Edit Wishlist Item' : 'Add to Wishlist'}
+      </Modal.Header>
+      <Modal.Content>
+        <Form error={Boolean(error)}>
+          <Form.Input
+            autoFocus
+            label="Search"
+            onChange={(_event, { value }) => setSearchText(value)}
+            placeholder="artist album"
+            value={searchText}
+          />
+          <Form.Input
+            error={filterErrors.length > 0}
+            label="Filter"
+            onChange={(_event, { value }) => setFilter(value)}
+            placeholder="islossless minfif:8 -live"
+            value={filter}
+          />
+          {filterErrors.length > 0 && (
+            <List
+              bulleted
+              className="search-filter-errors"
+            >
+              {filterErrors.map((filterError) => (
+                <List.Item key={`${filterError.start}-${filterError.message}`}>
+                  <code className="search-filter-error-context">
+                    {filter.slice(filterError.start, filterError.end) ||
+                      '\u00A0'}
+                  </code>
+                  {` ${filterError.message} (at character ${
+                    filterError.start + 1
+                  })`}
+                </List.Item>
+              ))}
+            </List>
+          )}
+          <Form.Group widths="equal">
+            <Form.Select
+              label="Schedule"
+              onChange={(_event, { value }) => setIntervalMinutes(value)}
+              options={intervalOptions}
+              value={intervalMinutes}
+            />
+            <Form.Select
+              label="When new matches are found"
+              onChange={(_event, { value }) => setAction(value)}
+              options={actions.map((a) => ({
+                description: actionDescriptions[a],
+                key: a,
+                text: a,
+                value: a,
+              }))}
+              value={action}
+            />
+          </Form.Group>
+          <Form.Checkbox
+            checked={enabled}
+            label="Enabled"
+            onChange={(_event, { checked }) => setEnabled(checked)}
+            toggle
+          />
+          <Message
+            content={error}
+            error
+          />
+        </Form>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button
+          disabled={saving}
+          onClick={onClose}
+        >
+          Cancel
+        </Button>
+        <Button
+          disabled={!valid || saving}
+          loading={saving}
+          onClick={save}
+          positive
+        >
+          Save
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+export default WishlistItemModal;
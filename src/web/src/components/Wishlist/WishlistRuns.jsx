@@ -0,0 +1,153 @@
+import { urlBase } from '../../config';
+import * as wishlist from '../../lib/wishlist';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Icon, Loader, Popup, Table } from 'semantic-ui-react';
+
+const formatDirectory = (directory) => directory?.split('\\').pop() ?? '';
+
+const RunOutcome = ({ run }) => {
+  if (!run.endedAt) {
+    return (
+      <Loader
+        active
+        inline
+        size="mini"
+      />
+    );
+  }
+
+  if (run.error) {
+    return (
+      <Popup
+        content={run.error}
+        trigger={
+          <Icon
+            color="red"
+            name="x"
+          />
+        }
+      />
+    );
+  }
+
+  if (run.enqueuedCount > 0) {
+    return (
+      <Popup
+        content={`Enqueued ${run.enqueuedCount} file(s) from ${run.username}`}
+        trigger={
+          <Icon
+            color="green"
+            name="download"
+          />
+        }
+      />
+    );
+  }
+
+  if (run.newMatchCount > 0) {
+    return (
+      <Icon
+        color="yellow"
+        name="star"
+      />
+    );
+  }
+
+  return (
+    <Icon
+      color="grey"
+      name="minus"
+    />
+  );
+};
+
+const WishlistRuns = ({ item }) => {
+  const [runs, setRuns] = useState(undefined);
+
+  // refetch whenever the item records a new run, or a run in progress finishes
+  useEffect(() => {
+    const fetch = async () => {
+      try {
+        setRuns(await wishlist.listRuns({ id: item.id }));
+      } catch (error) {
+        console.error(error);
+        setRuns([]);
+      }
+    };
+
+    fetch();
+  }, [item.id, item.lastRunAt, item.isRunning]);
+
+  if (!runs) {
+    return (
+      <Loader
+        active
+        inline="centered"
+        size="small"
+      />
+    );
+  }
+
+  if (runs.length === 0) {
+    return <div className="wishlist-runs-empty">No searches yet</div>;
+  }
+
+  return (
+    <Table
+      className="wishlist-runs unstackable"
+      compact="very"
+      size="small"
+    >
+      <Table.Header>
+        <Table.Row>
+          <Table.HeaderCell collapsing />
+          <Table.HeaderCell>Started</Table.HeaderCell>
+          <Table.HeaderCell>Responses</Table.HeaderCell>
+          <Table.HeaderCell>Matches</Table.HeaderCell>
+          <Table.HeaderCell>New</Table.HeaderCell>
+          <Table.HeaderCell>Best Source</Table.HeaderCell>
+          <Table.HeaderCell collapsing />
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {runs.map((run) => (
+          <Table.Row
+            error={Boolean(run.error)}
+            key={run.id}
+          >
+            <Table.Cell>
+              <RunOutcome run={run} />
+            </Table.Cell>
+            <Table.Cell>{new Date(run.startedAt).toLocaleString()}</Table.Cell>
+            <Table.Cell>{run.responseCount}</Table.Cell>
+            <Table.Cell>{run.matchCount}</Table.Cell>
+            <Table.Cell>{run.newMatchCount}</Table.Cell>
+            <Table.Cell>
+              {run.username && (
+                <Popup
+                  content={run.directory}
+                  trigger={
+                    <span>
+                      {run.username} / {formatDirectory(run.directory)}
+                    </span>
+                  }
+                />
+              )}
+            </Table.Cell>
+            <Table.Cell>
+              <Link to={`${urlBase}/searches/${run.searchId}`}>
+                <Popup
+                  content="View search results"
+                  trigger={<Icon name="search" />}
+                />
+              </Link>
+            </Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table>
+  );
+};
+
+export default WishlistRuns;
@@ -12,14 +12,28 @@ const tokenPassthroughValue = 'n/a';
 const activeChatKey = 'slskd-active-chat';
 const activeRoomKey = 'slskd-active-room';
 const activeUserInfoKey = 'slskd-active-user';
+const browseCacheQuotaKey = 'slskd-browse-cache-quota';
+const searchFilterPresetsKey = 'slskd-search-filter-presets';
+const downloadDestinationsKey = 'slskd-download-destinations';
+const messageNotificationsKey = 'slskd-message-notifications';
+const optionsHistoryKey = 'slskd-options-history';
+const roomKeywordsKey = 'slskd-room-keywords';
+const roomReadPositionsKey = 'slskd-room-read-positions';
 
 export {
   activeChatKey,
   activeRoomKey,
   activeUserInfoKey,
   apiBaseUrl,
+  browseCacheQuotaKey,
+  downloadDestinationsKey,
   hubBaseUrl,
+  messageNotificationsKey,
+  optionsHistoryKey,
+  roomKeywordsKey,
+  roomReadPositionsKey,
   rootUrl,
+  searchFilterPresetsKey,
   tokenKey,
   tokenPassthroughValue,
   urlBase,
@@ -0,0 +1,100 @@
+// the users that can log in to the web UI besides the administrator configured
+// with web.authentication.username and password.  they're kept in the YAML
+// file, so they're changed the same way the options editor changes it; saved
+// with saveChange(), each change is added to its history.
+import { applyChanges, getYamlValue } from './optionsEditor';
+import { roles } from './session';
+import YAML from 'yaml';
+
+const usersPath = ['web', 'authentication', 'users'];
+
+// the roles that can be given to a user, least privileged first
+export const accountRoles = [
+  roles.readOnly,
+  roles.readWrite,
+  roles.administrator,
+];
+
+const usernamePattern = /^[\d.@a-z]+$/iu;
+
+/**
+ * Normalizes a username the way keys in the YAML file are normalized as
+ * they're read; without case, underscores or hyphens.
+ * @param {string} username - The username.
+ * @returns {string} The normalized username.
+ */
+export const normalizeUsername = (username) =>
+  (username ?? '').toLowerCase().replaceAll(/[_-]/gu, '');
+
+const toRole = (role) =>
+  accountRoles.find(
+    (accountRole) =>
+      accountRole.toLowerCase() === String(role ?? '').toLowerCase(),
+  ) ?? roles.readOnly;
+
+/**
+ * Gets the users in a YAML file.
+ * @param {string} yaml - The contents of the file.
+ * @returns {{ role: string, username: string }[]} The users, sorted by username.
+ */
+export const getAccounts = (yaml) => {
+  const users = getYamlValue(YAML.parse(yaml ?? '') ?? {}, usersPath) ?? {};
+
+  return Object.entries(users)
+    .map(([username, user]) => ({ role: toRole(user?.role), username }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+};
+
+/**
+ * Checks a new user.
+ * @param {object} account - The user.
+ * @param {string} account.password - The password.
+ * @param {string} account.username - The username.
+ * @param {string[]} usernames - The usernames already taken, including the administrator's.
+ * @returns {string} What's wrong with the user, or undefined if nothing is.
+ */
+export const validateAccount = ({ password, username }, usernames) => {
+  if (!usernamePattern.test(username ?? '')) {
+    return 'Usernames can only contain letters, numbers, periods and @';
+  }
+
+  if (
+    usernames.some(
+      (taken) => normalizeUsername(taken) === normalizeUsername(username),
+    )
+  ) {
+    return `A user named ${username} already exists`;
+  }
+
+  if (!password) {
+    return 'A password is required';
+  }
+
+  return undefined;
+};
+
+/**
+ * Adds a user to a YAML file, or changes one.
+ * @param {string} yaml - The contents of the file.
+ * @param {object} account - The user.
+ * @param {string} [account.password] - The password; left as it is if not given.
+ * @param {string} [account.role] - The role; left as it is if not given.
+ * @param {string} account.username - The username.
+ * @returns {string} The new contents of the file.
+ */
+export const setAccount = (yaml, { password, role, username }) =>
+  applyChanges(yaml, [
+    ...(role ? [{ path: [...usersPath, username, 'role'], value: role }] : []),
+    ...(password
+      ? [{ path: [...usersPath, username, 'password'], value: password }]
+      : []),
+  ]);
+
+/**
+ * Removes a user from a YAML file.
+ * @param {string} yaml - The contents of the file.
+ * @param {string} username - The username.
+ * @returns {string} The new contents of the file.
+ */
+export const removeAccount = (yaml, username) =>
+  applyChanges(yaml, [{ path: [...usersPath, username], value: undefined }]);
@@ -0,0 +1,78 @@
+import {
+  getAccounts,
+  removeAccount,
+  setAccount,
+  validateAccount,
+} from './accounts';
+
+const yaml = `# users
+web:
+  authentication:
+    users:
+      bob:
+        password: secret
+        role: readwrite # can delete files
+      alice:
+        password: hunter2
+`;
+
+describe('accounts', () => {
+  describe('getAccounts', () => {
+    it('lists the users, with their roles', () => {
+      expect(getAccounts(yaml)).toEqual([
+        { role: 'ReadOnly', username: 'alice' },
+        { role: 'ReadWrite', username: 'bob' },
+      ]);
+    });
+
+    it('copes without any users', () => {
+      expect(getAccounts('')).toEqual([]);
+    });
+  });
+
+  describe('validateAccount', () => {
+    it('requires a unique username and a password', () => {
+      expect(
+        validateAccount({ password: 'x', username: 'bad name' }, []),
+      ).toMatch('can only contain');
+      expect(
+        validateAccount({ password: 'x', username: 'Bob' }, ['bob']),
+      ).toMatch('already exists');
+      expect(validateAccount({ username: 'carol' }, ['bob'])).toMatch(
+        'password',
+      );
+      expect(
+        validateAccount({ password: 'x', username: 'carol' }, ['bob']),
+      ).toBeUndefined();
+    });
+  });
+
+  describe('setAccount', () => {
+    it('changes a role in place', () => {
+      expect(setAccount(yaml, { role: 'Administrator', username: 'bob' })).toBe(
+        yaml.replace('role: readwrite', 'role: Administrator'),
+      );
+    });
+
+    it('adds users', () => {
+      const result = setAccount('', {
+        password: 'pw',
+        role: 'ReadOnly',
+        username: 'carol',
+      });
+
+      expect(getAccounts(result)).toEqual([
+        { role: 'ReadOnly', username: 'carol' },
+      ]);
+      expect(result).toMatch('password: pw');
+    });
+  });
+
+  describe('removeAccount', () => {
+    it('removes the user', () => {
+      expect(getAccounts(removeAccount(yaml, 'bob'))).toEqual([
+        { role: 'ReadOnly', username: 'alice' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { getFileQuality, getFolders, scoreFolder } from './scoring';
+import { enqueueBatch } from './transfers';
+import { formatAttributes, getFileName } from './util';
+
+// words commonly found in brackets after an album name that say something about the
+// rip rather than the album, e.g. 'Album (2019) [FLAC 24bit 96kHz]'
+const releaseNoise =
+  /^(?:flac|mp3|aac|ogg|opus|alac|wav|ape|m4a|lossless|lossy|hi-?res|web|cd|vinyl|remaster(?:ed)?|v0|v2|cbr|vbr|bit|khz|kbps|\d+(?:\.\d+)?(?:k|kbps|bit|khz)?)$/iu;
+
+const isReleaseNoise = (string) =>
+  string
+    .split(/[\s,/-]+/u)
+    .filter(Boolean)
+    .every((word) => releaseNoise.test(word));
+
+const discFolder = /^(?:cd|disc|disk)\s*\d+$/iu;
+
+const toWords = (string) =>
+  string
+    .toLowerCase()
+    .replaceAll(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Normalizes a directory to an album name, ignoring case, punctuation and bracketed
+ * release details such as the year or format.  Disc folders ('CD1', 'Disc 2') are
+ * named after their parent, so that multi-disc albums from different users line up.
+ * @param {string} directory - The full path of the directory.
+ * @returns {string} The normalized name.
+ */
+export const normalizeAlbumName = (directory) => {
+  const segments = directory.split(/[/\\]/u).filter(Boolean);
+  let name = segments.at(-1) ?? '';
+
+  if (discFolder.test(name) && segments.length > 1) {
+    name = `${segments.at(-2)} ${name}`;
+  }
+
+  return toWords(
+    name.replaceAll(/[[({]([^\])}]*)[\])}]/gu, (match, inner) =>
+      isReleaseNoise(inner) ? ' ' : match,
+    ),
+  );
+};
+
+/**
+ * Normalizes a filename to a track name, ignoring the extension, any leading
+ * track number, case and punctuation.
+ * @param {string} filename - The full path of the file.
+ * @returns {string} The normalized name.
+ */
+export const normalizeTrackName = (filename) =>
+  toWords(
+    getFileName(filename)
+      .replace(/\.[^.]+$/u, '')
+      .replace(/^\s*(?:\d+[\s.\-_)]+)+/u, ''),
+  );
+
+const getTrackList = (files) =>
+  [...new Set(files.map((file) => normalizeTrackName(file.filename)))].sort();
+
+/**
+ * Groups the folders in the given responses into albums.  Two folders are the
+ * same album if their normalized names match, or if they have the same track list.
+ * @param {object} params
+ * @param {object} params.context - The scoring context, from `getScoringContext`.
+ * @param {object[]} params.responses - The responses to group.
+ * @returns {object[]} The albums, most widely shared first; each with a `key`, a
+ *   display `name`, its `sources` (one per folder, best first, each scored with
+ *   `scoreFolder`), the number of distinct users, the best format available, the
+ *   largest track count and whether the sources' track lists differ.
+ */
+export const groupAlbums = ({ context, responses }) => {
+  const sources = responses.flatMap((response) =>
+    getFolders(response).map(({ directory, files }) => ({
+      ...scoreFolder({ context, directory, files, response }),
+      albumName: normalizeAlbumName(directory),
+      response,
+      trackList: getTrackList(files),
+      username: response.username,
+    })),
+  );
+
+  // union-find over sources, joined on album name and track list
+  const parents = sources.map((_, index) => index);
+  const find = (index) => {
+    let root = index;
+
+    while (parents[root] !== root) {
+      parents[root] = parents[parents[root]];
+      root = parents[root];
+    }
+
+    return root;
+  };
+
+  const firstByKey = new Map();
+  for (const [index, source] of sources.entries()) {
+    const keys = [`name:${source.albumName}`];
+
+    if (source.trackList.length > 1) {
+      keys.push(`tracks:${source.trackList.join('|')}`);
+    }
+
+    for (const key of keys) {
+      if (firstByKey.has(key)) {
+        parents[find(index)] = find(firstByKey.get(key));
+      } else {
+        firstByKey.set(key, index);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const [index, source] of sources.entries()) {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) ?? []), source]);
+  }
+
+  return [...groups.values()]
+    .map((members) => {
+      const sorted = [...members].sort((a, b) => b.score - a.score);
+      const files = members.flatMap((member) => member.files);
+      const bestFile = files.reduce((best, file) =>
+        getFileQuality(file) > getFileQuality(best) ? file : best,
+      );
+      const trackLists = new Set(members.map((m) => m.trackList.join('|')));
+
+      return {
+        bestFormat: formatAttributes(bestFile) || 'Unknown',
+        key: `${sorted[0].username}:${sorted[0].directory}`,
+        name: getFileName(sorted[0].directory) || sorted[0].directory,
+        sources: sorted,
+        trackCount: Math.max(...members.map((m) => m.trackList.length)),
+        tracksDiffer: trackLists.size > 1,
+        userCount: new Set(members.map((m) => m.username)).size,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.userCount - a.userCount || b.sources[0].score - a.sources[0].score,
+    );
+};
+
+/**
+ * Enqueues an album from the best of its sources, falling back to the next best
+ * if a user is offline, or none of their files could be enqueued.
+ * @param {object} params
+ * @param {object} params.album - The album, from `groupAlbums`.
+ * @param {string} [params.searchId] - The search the album was found by.
+ * @returns {Promise<object>} Resolves with the `source` the album was enqueued from,
+ *   the `enqueued` batch response, and the `failed` sources that were tried first.
+ * @throws If the album couldn't be enqueued from any source.
+ */
+export const downloadAlbum = async ({ album, searchId }) => {
+  const failed = [];
+
+  for (const source of album.sources) {
+    try {
+      const response = await enqueueBatch({
+        files: source.files.map(({ filename, size }) => ({ filename, size })),
+        searchId,
+        username: source.username,
+      });
+
+      // 200 means the batch was created but every file failed to enqueue
+      if (response.status !== 200) {
+        return { enqueued: response.data, failed, source };
+      }
+
+      failed.push({
+        message:
+          response.data?.failures?.[0]?.message ?? 'No files were enqueued',
+        source,
+      });
+    } catch (error) {
+      failed.push({
+        message: error?.response?.data ?? error?.message ?? String(error),
+        source,
+      });
+    }
+  }
+
+  throw new Error(
+    `Failed to enqueue from any of ${failed.length} source${
+      failed.length === 1 ? '' : 's'
+    }: ${failed
+      .map(({ message, source }) => `${source.username} (${message})`)
+      .join(', ')}`,
+  );
+};
@@ -0,0 +1,145 @@
+import {
+  downloadAlbum,
+  groupAlbums,
+  normalizeAlbumName,
+  normalizeTrackName,
+} from './albums';
+import { getScoringContext } from './scoring';
+import { enqueueBatch } from './transfers';
+
+jest.mock('./transfers', () => ({ enqueueBatch: jest.fn() }));
+
+const tracks = ['Intro', 'Song', 'Outro'];
+
+const makeResponse = (
+  username,
+  directory,
+  attributes = {},
+  names = tracks,
+) => ({
+  files: names.map((name, index) => ({
+    filename: `${directory}\\0${index + 1} - ${name}.flac`,
+    size: 1_000,
+    ...attributes,
+  })),
+  hasFreeUploadSlot: true,
+  queueLength: 0,
+  uploadSpeed: 100,
+  username,
+});
+
+const group = (responses) =>
+  groupAlbums({
+    context: getScoringContext({ responses, searchText: 'album' }),
+    responses,
+  });
+
+describe('albums', () => {
+  describe('normalizeAlbumName', () => {
+    it.each([
+      ['Music\\Artist - Album', 'artist album'],
+      ['Music\\Artist - Album (2019) [FLAC 24bit 96kHz]', 'artist album'],
+      ['Music\\ARTIST_-_ALBUM [320]', 'artist album'],
+      ['Music\\Artist - Album (Deluxe Edition)', 'artist album deluxe edition'],
+      ['Music\\Artist - Album\\CD1', 'artist album cd1'],
+    ])('normalizes %s to %s', (directory, expected) => {
+      expect(normalizeAlbumName(directory)).toBe(expected);
+    });
+  });
+
+  describe('normalizeTrackName', () => {
+    it.each([
+      ['a\\01 - Song.flac', 'song'],
+      ['a\\1. Song.mp3', 'song'],
+      ['a\\101_Song (Live).flac', 'song live'],
+    ])('normalizes %s to %s', (filename, expected) => {
+      expect(normalizeTrackName(filename)).toBe(expected);
+    });
+  });
+
+  describe('groupAlbums', () => {
+    it('groups folders with the same name or track list', () => {
+      const albums = group([
+        makeResponse('alice', 'Music\\Artist - Album'),
+        makeResponse('bob', 'shared\\Artist - Album [MP3]', { bitRate: 320 }),
+        makeResponse('carol', 'stuff\\Album Rip'),
+        makeResponse('dave', 'stuff\\Other', {}, ['Other', 'Tracks']),
+      ]);
+
+      expect(albums).toHaveLength(2);
+      expect(albums[0].userCount).toBe(3);
+      expect(albums[0].tracksDiffer).toBe(false);
+      expect(albums[0].sources.map((s) => s.username)).toContain('carol');
+      expect(albums[1].userCount).toBe(1);
+    });
+
+    it('reports the best format and whether track lists differ', () => {
+      const [album] = group([
+        makeResponse('alice', 'a\\Album', { bitRate: 320 }),
+        makeResponse('bob', 'b\\Album', { bitDepth: 24, sampleRate: 96_000 }, [
+          'Intro',
+          'Song',
+        ]),
+      ]);
+
+      expect(album.bestFormat).toBe('24/96kHz');
+      expect(album.tracksDiffer).toBe(true);
+      expect(album.trackCount).toBe(3);
+    });
+  });
+
+  describe('downloadAlbum', () => {
+    const [album] = group([
+      makeResponse('alice', 'a\\Album', { bitDepth: 24, sampleRate: 96_000 }),
+      makeResponse('bob', 'b\\Album'),
+      makeResponse('carol', 'c\\Album'),
+    ]);
+
+    beforeEach(() => {
+      enqueueBatch.mockReset();
+    });
+
+    it('enqueues from the best source', async () => {
+      expect.assertions(3);
+      enqueueBatch.mockResolvedValue({ data: { batch: {} }, status: 201 });
+
+      const result = await downloadAlbum({ album, searchId: 'search' });
+
+      expect(result.source.username).toBe('alice');
+      expect(result.failed).toEqual([]);
+      expect(enqueueBatch).toHaveBeenCalledWith(
+        expect.objectContaining({ searchId: 'search', username: 'alice' }),
+      );
+    });
+
+    it('falls back to the next source when one fails', async () => {
+      expect.assertions(2);
+      enqueueBatch
+        .mockRejectedValueOnce({
+          response: { data: 'User alice appears to be offline' },
+        })
+        .mockResolvedValueOnce({
+          data: { failures: [{ message: 'Already queued' }] },
+          status: 200,
+        })
+        .mockResolvedValueOnce({ data: {}, status: 201 });
+
+      const result = await downloadAlbum({ album });
+
+      expect(result.source.username).not.toBe(album.sources[0].username);
+      expect(result.failed.map((f) => f.message)).toEqual([
+        'User alice appears to be offline',
+        'Already queued',
+      ]);
+    });
+
+    it('throws when every source fails', async () => {
+      expect.assertions(1);
+      enqueueBatch.mockRejectedValue(new Error('nope'));
+
+      await expect(downloadAlbum({ album })).rejects.toThrow(
+        'Failed to enqueue from any of 3 sources',
+      );
+    });
+  });
+});
@@ -20,25 +20,41 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+const unauthorizedHandlers = new Set();
+
+/**
+ * Subscribes to the session ending, when a request is refused because the
+ * token has expired or been revoked.  The token is cleared first.
+ * @param {Function} handler - Called when the session ends.
+ * @returns {Function} Unsubscribes.
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandlers.add(handler);
+  return () => unauthorizedHandlers.delete(handler);
+};
+
 api.interceptors.response.use(
   (response) => {
     return response;
   },
   (error) => {
     if (
-      error.response.status === 401 &&
+      error.response?.status === 401 &&
       !['/session', '/server', '/application'].includes(
         error.response.config.url,
       )
     ) {
-      console.debug('received 401 from api route, logging out');
+      // the app asks to log in again over what's on screen, rather than
+      // reloading and losing it
+      console.debug('received 401 from api route, ending the session');
       clearToken();
-      window.location.reload(true);
 
-      return Promise.reject(error);
-    } else {
-      return Promise.reject(error);
+      for (const handler of unauthorizedHandlers) {
+        handler(error);
+      }
     }
+
+    return Promise.reject(error);
   },
 );
 
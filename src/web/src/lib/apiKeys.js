@@ -0,0 +1,212 @@
+// API keys, which automation uses to call the API without logging in.  keys
+// are kept in the YAML file like the users are, and saved with saveChange();
+// the API lists the keys in effect, wherever they're configured, and when each
+// was last used and by whom since the application started.
+import api from './api';
+import { applyChanges, getYamlValue } from './optionsEditor';
+import { normalizeKey } from './optionsSources';
+import { roles } from './session';
+import YAML from 'yaml';
+
+const apiKeysPath = ['web', 'authentication', 'apiKeys'];
+
+// what a key can do.  every key can read anything; scoped keys can change
+// transfers and/or searches, but nothing else
+export const scopes = {
+  readOnly: {
+    description: 'Read anything, change nothing',
+    text: 'Read-only',
+  },
+  transfers: {
+    description: 'Enqueue, cancel and remove transfers',
+    text: 'Transfers',
+  },
+  searches: {
+    description: 'Start, stop and remove searches',
+    text: 'Searches',
+  },
+  admin: {
+    description: 'Do anything, including changing the configuration',
+    text: 'Admin',
+  },
+};
+
+const limitedScopes = ['transfers', 'searches'];
+
+const namePattern = /^[\da-z][\w-]*$/iu;
+
+const isRole = (value, role) =>
+  String(value ?? '').toLowerCase() === role.toLowerCase();
+
+/**
+ * Gets the keys in effect.
+ * @returns {Promise<object[]>} The keys, without their values.
+ */
+export const getAll = async () => {
+  return (await api.get('/apikeys')).data;
+};
+
+/**
+ * Generates a key.
+ * @returns {string} The key; 64 hexadecimal characters.
+ */
+export const generateKey = () =>
+  [...crypto.getRandomValues(new Uint8Array(32))]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * Combines a change to the scopes chosen for a key with those chosen before;
+ * read-only and admin exclude the others, and a key is read-only if nothing
+ * else is chosen.
+ * @param {string[]} previous - The scopes chosen before.
+ * @param {string[]} next - The scopes chosen now.
+ * @returns {string[]} The scopes.
+ */
+export const selectScopes = (previous, next) => {
+  const added = next.find((scope) => !previous.includes(scope));
+
+  if (added === 'readOnly' || added === 'admin') {
+    return [added];
+  }
+
+  const limited = next.filter((scope) => limitedScopes.includes(scope));
+  return limited.length > 0 ? limited : ['readOnly'];
+};
+
+/**
+ * Gets the scopes of a key from its role and the scopes it's configured with.
+ * @param {object} key - The key.
+ * @param {string} key.role - The role of the key.
+ * @param {string[]} [key.scopes] - The scopes the key is configured with.
+ * @returns {string[]} The scopes; empty if the key isn't scoped, and can do
+ *   anything its role allows.
+ */
+export const getScopes = ({ role, scopes: configured = [] }) => {
+  if (isRole(role, roles.administrator)) {
+    return ['admin'];
+  }
+
+  const names = (configured ?? []).map((scope) => scope.toLowerCase());
+  const limited = limitedScopes.filter((scope) => names.includes(scope));
+
+  if (limited.length > 0) {
+    return limited;
+  }
+
+  return names.includes('readonly') ? ['readOnly'] : [];
+};
+
+const toKeyOptions = (chosen) => {
+  if (chosen.includes('admin')) {
+    return { role: roles.administrator };
+  }
+
+  const limited = chosen.filter((scope) => limitedScopes.includes(scope));
+
+  return limited.length > 0
+    ? { role: roles.readWrite, scopes: limited }
+    : { role: roles.readOnly, scopes: ['readonly'] };
+};
+
+const getConfigured = (yaml) =>
+  getYamlValue(YAML.parse(yaml ?? '') ?? {}, apiKeysPath) ?? {};
+
+/**
+ * Checks a new key.
+ * @param {object} key - The key.
+ * @param {string} key.name - The name of the key.
+ * @param {string[]} names - The names already taken.
+ * @returns {string} What's wrong with the key, or undefined if nothing is.
+ */
+export const validateKey = ({ name }, names) => {
+  if (!namePattern.test(name ?? '')) {
+    return 'Names can only contain letters, numbers, underscores and hyphens';
+  }
+
+  if (names.some((taken) => normalizeKey([taken]) === normalizeKey([name]))) {
+    return `A key named ${name} already exists`;
+  }
+
+  return undefined;
+};
+
+/**
+ * Adds a key to a YAML file.
+ * @param {string} yaml - The contents of the file.
+ * @param {object} key - The key.
+ * @param {string} [key.cidr] - The CIDRs that can use the key; any, if not given.
+ * @param {Date} [key.created] - The time the key was created.
+ * @param {string} key.key - The value of the key.
+ * @param {string} key.name - The name of the key.
+ * @param {string[]} key.scopes - The scopes chosen for the key.
+ * @returns {string} The new contents of the file.
+ */
+export const addKey = (
+  yaml,
+  { cidr, created = new Date(), key, name, scopes: chosen },
+) =>
+  applyChanges(
+    yaml,
+    Object.entries({
+      key,
+      ...toKeyOptions(chosen),
+      cidr: cidr?.trim() || undefined,
+      created: created.toISOString(),
+    })
+      .filter(([, value]) => value !== undefined)
+      .map(([field, value]) => ({
+        path: [...apiKeysPath, name, field],
+        value,
+      })),
+  );
+
+/**
+ * Removes a key from a YAML file.
+ * @param {string} yaml - The contents of the file.
+ * @param {string} name - The name of the key, as it is in the file.
+ * @returns {string} The new contents of the file.
+ */
+export const revokeKey = (yaml, name) =>
+  applyChanges(yaml, [{ path: [...apiKeysPath, name], value: undefined }]);
+
+/**
+ * Merges the keys in the YAML file with those in effect.  The keys in the file
+ * can be revoked; the others are configured some other way.  The keys in effect
+ * are named as the configuration knows them, without case, underscores or
+ * hyphens, and may lag behind the file as it's reloaded.
+ * @param {object[]} inEffect - The keys in effect, from getAll().
+ * @param {string} yaml - The contents of the YAML file.
+ * @returns {object[]} The keys, sorted by name; each with its scopes, when it
+ *   was created and last used, and whether it's in the file.
+ */
+export const mergeKeys = (inEffect, yaml) => {
+  const configured = getConfigured(yaml);
+  const byName = new Map(
+    (inEffect ?? []).map((key) => [normalizeKey([key.name]), key]),
+  );
+
+  const inYaml = Object.entries(configured).map(([name, key]) => {
+    const used = byName.get(normalizeKey([name]));
+    byName.delete(normalizeKey([name]));
+
+    return {
+      cidr: key?.cidr,
+      created: key?.created,
+      inYaml: true,
+      lastUsed: used?.lastUsed,
+      lastUsedBy: used?.lastUsedBy,
+      name,
+      role: key?.role ?? roles.readOnly,
+      scopes: getScopes({ role: key?.role, scopes: key?.scopes }),
+    };
+  });
+
+  const elsewhere = [...byName.values()].map((key) => ({
+    ...key,
+    inYaml: false,
+    scopes: getScopes(key),
+  }));
+
+  return [...inYaml, ...elsewhere].sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,206 @@
+import { optionsHistoryKey } from '../config';
+import {
+  addKey,
+  generateKey,
+  getScopes,
+  mergeKeys,
+  revokeKey,
+  selectScopes,
+  validateKey,
+} from './apiKeys';
+import { addRevision } from './optionsEditor';
+import { webcrypto } from 'node:crypto';
+import YAML from 'yaml';
+
+const yaml = `web:
+  authentication:
+    api_keys:
+      my_script:
+        key: 0123456789abcdef0123
+        role: readwrite
+        scopes:
+          - transfers
+        created: 2026-01-02T03:04:05.000Z
+`;
+
+describe('apiKeys', () => {
+  describe('generateKey', () => {
+    beforeAll(() => {
+      // jsdom has no crypto of its own
+      Object.defineProperty(window, 'crypto', { value: webcrypto });
+    });
+
+    it('generates long, distinct keys', () => {
+      const key = generateKey();
+
+      expect(key).toMatch(/^[\da-f]{64}$/u);
+      expect(generateKey()).not.toBe(key);
+    });
+  });
+
+  describe('selectScopes', () => {
+    it('keeps read-only and admin to themselves', () => {
+      expect(selectScopes(['transfers'], ['transfers', 'admin'])).toEqual([
+        'admin',
+      ]);
+      expect(selectScopes(['admin'], ['admin', 'searches'])).toEqual([
+        'searches',
+      ]);
+      expect(selectScopes(['readOnly'], ['readOnly', 'transfers'])).toEqual([
+        'transfers',
+      ]);
+      expect(selectScopes(['transfers', 'searches'], ['searches'])).toEqual([
+        'searches',
+      ]);
+      expect(selectScopes(['searches'], [])).toEqual(['readOnly']);
+    });
+  });
+
+  describe('getScopes', () => {
+    it('reads the scopes from the role and the configured scopes', () => {
+      expect(getScopes({ role: 'administrator' })).toEqual(['admin']);
+      expect(
+        getScopes({ role: 'ReadWrite', scopes: ['Searches', 'transfers'] }),
+      ).toEqual(['transfers', 'searches']);
+      expect(getScopes({ role: 'readonly', scopes: ['readonly'] })).toEqual([
+        'readOnly',
+      ]);
+      expect(getScopes({ role: 'readwrite' })).toEqual([]);
+    });
+  });
+
+  describe('validateKey', () => {
+    it('requires a unique name', () => {
+      expect(validateKey({ name: 'has space' }, [])).toMatch(
+        'can only contain',
+      );
+      expect(validateKey({ name: 'My-Script' }, ['my_script'])).toMatch(
+        'already exists',
+      );
+      expect(validateKey({ name: 'other' }, ['my_script'])).toBeUndefined();
+    });
+  });
+
+  describe('addKey', () => {
+    it('adds the key, with the role and scopes for what it can do', () => {
+      const created = new Date('2026-03-04T05:06:07.000Z');
+
+      expect(
+        YAML.parse(
+          addKey('', {
+            created,
+            key: 'k'.repeat(16),
+            name: 'backup',
+            scopes: ['transfers', 'searches'],
+          }),
+        ),
+      ).toEqual({
+        web: {
+          authentication: {
+            api_keys: {
+              backup: {
+                created: created.toISOString(),
+                key: 'k'.repeat(16),
+                role: 'ReadWrite',
+                scopes: ['transfers', 'searches'],
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('adds read-only and admin keys', () => {
+      const parsed = YAML.parse(
+        addKey(
+          addKey(yaml, {
+            cidr: '192.168.0.0/16',
+            key: 'r'.repeat(16),
+            name: 'reader',
+            scopes: ['readOnly'],
+          }),
+          { key: 'a'.repeat(16), name: 'admin', scopes: ['admin'] },
+        ),
+      ).web.authentication.api_keys;
+
+      expect(parsed.reader).toMatchObject({
+        cidr: '192.168.0.0/16',
+        role: 'ReadOnly',
+        scopes: ['readonly'],
+      });
+      expect(parsed.admin).toMatchObject({ role: 'Administrator' });
+      expect(parsed.admin.scopes).toBeUndefined();
+      expect(parsed.my_script.key).toBe('0123456789abcdef0123');
+    });
+
+    it('keeps the keys out of the options history', () => {
+      localStorage.removeItem(optionsHistoryKey);
+
+      addRevision({
+        after: addKey(yaml, {
+          key: 'n'.repeat(64),
+          name: 'new',
+          scopes: ['readOnly'],
+        }),
+        before: yaml,
+        secrets: ['Web.Authentication.ApiKeys.*.Key'],
+      });
+
+      const history = localStorage.getItem(optionsHistoryKey);
+
+      expect(history).not.toContain('n'.repeat(64));
+      expect(history).not.toContain('0123456789abcdef0123');
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('removes the key', () => {
+      expect(
+        YAML.parse(revokeKey(yaml, 'my_script')).web.authentication.api_keys,
+      ).toEqual({});
+    });
+  });
+
+  describe('mergeKeys', () => {
+    it('adds when each key was last used, and the keys configured elsewhere', () => {
+      expect(
+        mergeKeys(
+          [
+            {
+              lastUsed: '2026-02-03T04:05:06Z',
+              lastUsedBy: '10.0.0.2',
+              name: 'myscript',
+              role: 'ReadWrite',
+              scopes: ['transfers'],
+            },
+            { name: 'fromenv', role: 'Administrator', scopes: [] },
+          ],
+          yaml,
+        ),
+      ).toEqual([
+        {
+          inYaml: false,
+          name: 'fromenv',
+          role: 'Administrator',
+          scopes: ['admin'],
+        },
+        {
+          cidr: undefined,
+          created: '2026-01-02T03:04:05.000Z',
+          inYaml: true,
+          lastUsed: '2026-02-03T04:05:06Z',
+          lastUsedBy: '10.0.0.2',
+          name: 'my_script',
+          role: 'readwrite',
+          scopes: ['transfers'],
+        },
+      ]);
+    });
+
+    it('includes keys the configuration has yet to reload', () => {
+      expect(mergeKeys([], yaml)).toEqual([
+        expect.objectContaining({ lastUsed: undefined, name: 'my_script' }),
+      ]);
+    });
+  });
+});
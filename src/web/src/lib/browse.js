@@ -0,0 +1,268 @@
+// helpers for the directories returned by browsing a user's shares
+import { evaluate, parse } from './searchQuery';
+
+/**
+ * Detects the path separator a user's client uses from the first directory
+ * name that contains one.
+ * @param {object[]} directories - The browsed directories.
+ * @returns {string|undefined} The separator, or undefined if none of the names contain one.
+ */
+export const getSeparator = (directories) => {
+  for (const directory of directories) {
+    if (directory.name.includes('\\')) return '\\';
+    if (directory.name.includes('/')) return '/';
+  }
+
+  return undefined;
+};
+
+/**
+ * Builds a tree from the flat list of browsed directories, with each node's
+ * subdirectories as its children and the total number of files and
+ * directories beneath it.
+ * @param {object} browse
+ * @param {object[]} browse.directories - The browsed directories.
+ * @param {string} browse.separator - The path separator.
+ * @returns {object[]} The root nodes of the tree.
+ */
+export const buildDirectoryTree = ({ directories, separator }) => {
+  if (!directories.length || directories[0].name === undefined) {
+    return [];
+  }
+
+  const getParentKey = (name) => {
+    const lastSep = name.lastIndexOf(separator);
+    return lastSep === -1 ? '' : name.slice(0, lastSep);
+  };
+
+  // group each directory under its parent path in a single O(N) pass
+  const byParent = new Map();
+  const nameSet = new Set();
+
+  for (const d of directories) {
+    nameSet.add(d.name);
+    const parentKey = getParentKey(d.name);
+    let bucket = byParent.get(parentKey);
+    if (!bucket) {
+      bucket = [];
+      byParent.set(parentKey, bucket);
+    }
+
+    bucket.push(d);
+  }
+
+  // roots are directories whose parent path isn't itself in the list
+  const roots = directories.filter((d) => !nameSet.has(getParentKey(d.name)));
+
+  // recursively build the tree, computing file/directory counts along the way
+  const buildNode = (dir) => {
+    const children = (byParent.get(dir.name) || []).map(buildNode);
+    return {
+      ...dir,
+      children,
+      totalDirectoryCount:
+        children.length +
+        children.reduce((s, c) => s + c.totalDirectoryCount, 0),
+      totalFileCount:
+        (dir.files?.length ?? 0) +
+        children.reduce((s, c) => s + c.totalFileCount, 0),
+    };
+  };
+
+  return roots.map(buildNode);
+};
+
+export const findDirectoryByPath = (path, nodes) => {
+  for (const node of nodes) {
+    if (node.name === path) {
+      return node;
+    }
+
+    const found = findDirectoryByPath(path, node.children || []);
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds the deepest directory in the tree that contains all of the given
+ * directories, so that files from several of them can be selected together.
+ * @param {string[]} names - The directory names.
+ * @param {string} separator - The path separator.
+ * @param {object[]} tree - The root nodes of the tree.
+ * @returns {object|null} The directory, or null if they don't share one.
+ */
+export const findCommonDirectory = (names, separator, tree) => {
+  if (names.length === 0) {
+    return null;
+  }
+
+  let common = names[0].split(separator);
+
+  for (const name of names.slice(1)) {
+    const parts = name.split(separator);
+    let index = 0;
+
+    while (index < common.length && common[index] === parts[index]) {
+      index += 1;
+    }
+
+    common = common.slice(0, index);
+  }
+
+  // the common path may not be a directory the user shares, e.g. a drive
+  for (let length = common.length; length > 0; length--) {
+    const found = findDirectoryByPath(
+      common.slice(0, length).join(separator),
+      tree,
+    );
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+};
+
+export const formatBrowseSummary = ({
+  directories,
+  files,
+  lockedDirectories,
+  lockedFiles,
+}) =>
+  `${files + lockedFiles} files in ${directories + lockedDirectories} ` +
+  `directories (including ${lockedFiles} files in ${lockedDirectories} locked directories)`;
+
+const toFilePaths = ({ directories, separator }) =>
+  new Map(
+    directories.map((directory) => [
+      directory.name,
+      new Set(
+        (directory.files ?? []).map(
+          (file) => `${directory.name}${separator}${file.filename}`,
+        ),
+      ),
+    ]),
+  );
+
+/**
+ * Compares two browses of the same user's shares.  Files are only compared in
+ * directories that are in both; the files in an added or removed directory
+ * are counted with it rather than listed.
+ * @param {object} older - The earlier browse; its directories and separator.
+ * @param {object} newer - The later browse; its directories and separator.
+ * @returns {object} The names of the added and removed directories, and the full paths of the added and removed files.
+ */
+export const diffBrowses = (older, newer) => {
+  const before = toFilePaths(older);
+  const after = toFilePaths(newer);
+  const diff = {
+    addedDirectories: [],
+    addedFiles: [],
+    removedDirectories: [],
+    removedFiles: [],
+  };
+
+  for (const [name, files] of after) {
+    const previous = before.get(name);
+
+    if (!previous) {
+      diff.addedDirectories.push({ fileCount: files.size, name });
+    } else {
+      diff.addedFiles.push(...[...files].filter((file) => !previous.has(file)));
+    }
+  }
+
+  for (const [name, files] of before) {
+    const current = after.get(name);
+
+    if (!current) {
+      diff.removedDirectories.push({ fileCount: files.size, name });
+    } else {
+      diff.removedFiles.push(
+        ...[...files].filter((file) => !current.has(file)),
+      );
+    }
+  }
+
+  return diff;
+};
+
+/**
+ * Flattens a browse into a list of every file in it, so that it can be searched
+ * with the same filters as search results.  Each file's filename is its full
+ * path, as it is in search results, and its name is the name alone.
+ * @param {object} browse
+ * @param {object[]} browse.directories - The browsed directories.
+ * @param {string} browse.separator - The path separator.
+ * @param {string} [browse.username] - The user that was browsed.
+ * @returns {object[]} The files.
+ */
+export const indexFiles = ({ directories, separator, username }) => {
+  const index = [];
+
+  for (const directory of directories) {
+    // stands in for the search response in files-in-folder and user: filters
+    const folder = {
+      fileCount: directory.files?.length ?? 0,
+      lockedFileCount: 0,
+      username,
+    };
+
+    for (const file of directory.files ?? []) {
+      const path = `${directory.name}${separator}${file.filename}`;
+
+      index.push({
+        ...file,
+        directory: directory.name,
+        filename: path,
+        folder,
+        locked: Boolean(directory.locked),
+        name: file.filename,
+        path,
+      });
+    }
+  }
+
+  return index;
+};
+
+/**
+ * Searches a list of files from indexFiles() using the search result filter
+ * language; see lib/searchQuery.js.
+ * @param {object[]} index - The files.
+ * @param {string} query - The filter.
+ * @param {number} [limit] - The most results to return.
+ * @returns {{ errors: object[], results: object[], total: number }} The first
+ *   matching files, the number that matched, and any errors in the filter.
+ *   An empty filter matches nothing.
+ */
+export const searchIndex = (index, query, limit = 500) => {
+  const { ast, errors } = parse(query);
+  const results = [];
+  let total = 0;
+
+  if (!ast) {
+    return { errors, results, total };
+  }
+
+  for (const file of index) {
+    if (evaluate(ast, file, file.folder)) {
+      total += 1;
+
+      if (results.length < limit) {
+        results.push(file);
+      }
+    }
+  }
+
+  return { errors, results, total };
+};
+
+export const searchDirectories = (browse, query, limit = 500) =>
+  searchIndex(indexFiles(browse), query, limit).results;
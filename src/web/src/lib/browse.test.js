@@ -0,0 +1,216 @@
+import {
+  buildDirectoryTree,
+  diffBrowses,
+  findCommonDirectory,
+  findDirectoryByPath,
+  getSeparator,
+  indexFiles,
+  searchDirectories,
+  searchIndex,
+} from './browse';
+
+const directory = (name, fileCount = 1) => ({
+  fileCount,
+  files: Array.from({ length: fileCount }, (_, index) => ({
+    filename: `${index}.mp3`,
+  })),
+  name,
+});
+
+describe('browse', () => {
+  describe('getSeparator', () => {
+    it('detects the separator from the first directory that has one', () => {
+      expect(getSeparator([directory('music'), directory('music\\a')])).toBe(
+        '\\',
+      );
+      expect(getSeparator([directory('music/a')])).toBe('/');
+    });
+
+    it('is undefined if no directory has one', () => {
+      expect(getSeparator([directory('music')])).toBeUndefined();
+    });
+  });
+
+  describe('buildDirectoryTree', () => {
+    const tree = buildDirectoryTree({
+      directories: [
+        directory('music'),
+        directory('music\\a', 2),
+        directory('music\\a\\b', 3),
+        directory('other\\c'),
+      ],
+      separator: '\\',
+    });
+
+    it('nests directories under their parents', () => {
+      expect(tree.map((node) => node.name)).toEqual(['music', 'other\\c']);
+      expect(tree[0].children[0].children[0].name).toBe('music\\a\\b');
+    });
+
+    it('counts the files and directories beneath each directory', () => {
+      expect(tree[0].totalFileCount).toBe(6);
+      expect(tree[0].totalDirectoryCount).toBe(2);
+    });
+
+    it('is empty when there are no directories', () => {
+      expect(buildDirectoryTree({ directories: [], separator: '\\' })).toEqual(
+        [],
+      );
+    });
+  });
+
+  describe('findDirectoryByPath', () => {
+    it('finds nested directories', () => {
+      const tree = buildDirectoryTree({
+        directories: [directory('music'), directory('music/a')],
+        separator: '/',
+      });
+
+      expect(findDirectoryByPath('music/a', tree).name).toBe('music/a');
+      expect(findDirectoryByPath('music/b', tree)).toBeNull();
+    });
+  });
+
+  describe('diffBrowses', () => {
+    const older = {
+      directories: [
+        { files: [{ filename: 'a.mp3' }, { filename: 'b.mp3' }], name: 'x' },
+        { files: [{ filename: 'c.mp3' }], name: 'gone' },
+      ],
+      separator: '\\',
+    };
+    const newer = {
+      directories: [
+        { files: [{ filename: 'b.mp3' }, { filename: 'd.mp3' }], name: 'x' },
+        { files: [{ filename: 'e.mp3' }, { filename: 'f.mp3' }], name: 'new' },
+      ],
+      separator: '\\',
+    };
+
+    it('lists added and removed directories with their file counts', () => {
+      const diff = diffBrowses(older, newer);
+
+      expect(diff.addedDirectories).toEqual([{ fileCount: 2, name: 'new' }]);
+      expect(diff.removedDirectories).toEqual([{ fileCount: 1, name: 'gone' }]);
+    });
+
+    it('lists added and removed files in directories that are in both', () => {
+      const diff = diffBrowses(older, newer);
+
+      expect(diff.addedFiles).toEqual(['x\\d.mp3']);
+      expect(diff.removedFiles).toEqual(['x\\a.mp3']);
+    });
+  });
+
+  describe('searchDirectories', () => {
+    const browse = {
+      directories: [
+        {
+          files: [{ filename: '01 Song.flac' }, { filename: '02 Other.mp3' }],
+          name: 'Music\\Artist - Album',
+        },
+        { files: [{ filename: 'Song (live).mp3' }], name: 'Music\\Live' },
+      ],
+      separator: '\\',
+    };
+
+    it('matches every word against the full path', () => {
+      expect(
+        searchDirectories(browse, 'artist song').map((file) => file.path),
+      ).toEqual(['Music\\Artist - Album\\01 Song.flac']);
+    });
+
+    it('excludes words starting with a dash', () => {
+      expect(
+        searchDirectories(browse, 'song -live').map((file) => file.name),
+      ).toEqual(['01 Song.flac']);
+    });
+
+    it('stops at the limit', () => {
+      expect(searchDirectories(browse, 'music', 2)).toHaveLength(2);
+    });
+
+    it('accepts the same filters as search results', () => {
+      expect(
+        searchDirectories(browse, 'ext:mp3 path:live').map((file) => file.name),
+      ).toEqual(['Song (live).mp3']);
+    });
+
+    it('matches nothing with an empty query', () => {
+      expect(searchDirectories(browse, ' ')).toEqual([]);
+    });
+  });
+
+  describe('searchIndex', () => {
+    const index = indexFiles({
+      directories: [
+        {
+          files: [
+            { bitRate: 320, filename: 'a.mp3', length: 200, size: 5_000_000 },
+            { bitRate: 128, filename: 'b.mp3', length: 400, size: 3_000_000 },
+          ],
+          name: 'x',
+        },
+      ],
+      separator: '/',
+      username: 'alice',
+    });
+
+    it('filters by bit rate, length and size', () => {
+      expect(
+        searchIndex(index, 'minbr:256').results.map((file) => file.name),
+      ).toEqual(['a.mp3']);
+      expect(
+        searchIndex(index, 'minlen:300').results.map((file) => file.name),
+      ).toEqual(['b.mp3']);
+      expect(
+        searchIndex(index, 'maxfs:4MB').results.map((file) => file.name),
+      ).toEqual(['b.mp3']);
+    });
+
+    it('counts every match, beyond the limit', () => {
+      const { results, total } = searchIndex(index, 'ext:mp3', 1);
+
+      expect(results).toHaveLength(1);
+      expect(total).toBe(2);
+    });
+
+    it('reports errors in the filter', () => {
+      expect(searchIndex(index, 'minbr:abc').errors).toHaveLength(1);
+    });
+
+    it('indexes each file by its full path', () => {
+      expect(index[0]).toMatchObject({
+        directory: 'x',
+        filename: 'x/a.mp3',
+        name: 'a.mp3',
+      });
+    });
+  });
+
+  describe('findCommonDirectory', () => {
+    const tree = buildDirectoryTree({
+      directories: [
+        { files: [], name: 'Music' },
+        { files: [], name: 'Music\\A' },
+        { files: [], name: 'Music\\A\\CD1' },
+        { files: [], name: 'Music\\B' },
+        { files: [], name: 'Other' },
+      ],
+      separator: '\\',
+    });
+
+    it('finds the deepest directory containing them all', () => {
+      expect(
+        findCommonDirectory(['Music\\A\\CD1', 'Music\\A'], '\\', tree)?.name,
+      ).toBe('Music\\A');
+      expect(
+        findCommonDirectory(['Music\\A\\CD1', 'Music\\B'], '\\', tree)?.name,
+      ).toBe('Music');
+    });
+
+    it('is null when they are in different roots', () => {
+      expect(findCommonDirectory(['Music\\A', 'Other'], '\\', tree)).toBeNull();
+    });
+  });
+});
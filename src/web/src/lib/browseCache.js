@@ -0,0 +1,327 @@
+// browse responses, kept in IndexedDB so that they survive a reload and can be
+// looked at offline; they're usually far too large for localStorage.  the
+// 'browse' store holds the response on screen in Browse, the files selected
+// from it and any download of them still being enqueued, and the 'snapshots'
+// and 'snapshotData' stores hold a timestamped copy of every browse, split so
+// that the list of snapshots can be read without reading every share.
+// snapshots are pruned, oldest first, to stay within a quota kept in
+// localStorage.
+import { browseCacheQuotaKey } from '../config';
+import { searchDirectories } from './browse';
+
+export const defaultQuota = { maxMegabytes: 250, maxSnapshotsPerUser: 5 };
+
+const openBrowseDb = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open('slskd-browse', 2);
+    req.onupgradeneeded = ({ oldVersion, target }) => {
+      const db = target.result;
+
+      if (oldVersion < 1) {
+        db.createObjectStore('browse');
+      }
+
+      if (oldVersion < 2) {
+        db.createObjectStore('snapshots', {
+          autoIncrement: true,
+          keyPath: 'id',
+        });
+        db.createObjectStore('snapshotData');
+      }
+    };
+
+    req.onsuccess = ({ target }) => resolve(target.result);
+    req.onerror = ({ target }) => reject(target.error);
+  });
+
+const toPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = ({ target }) => resolve(target.result);
+    req.onerror = ({ target }) => reject(target.error);
+  });
+
+const toCompletion = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = ({ target }) => reject(target.error);
+    tx.onabort = ({ target }) => reject(target.error);
+  });
+
+const getValue = async (key) => {
+  const db = await openBrowseDb();
+  const value = await toPromise(
+    db.transaction('browse').objectStore('browse').get(key),
+  );
+
+  return value ?? null;
+};
+
+const putValue = async (key, value) => {
+  const db = await openBrowseDb();
+  const tx = db.transaction('browse', 'readwrite');
+
+  if (value === null || value === undefined) {
+    tx.objectStore('browse').delete(key);
+  } else {
+    tx.objectStore('browse').put(value, key);
+  }
+
+  await toCompletion(tx);
+};
+
+export const getCurrent = () => getValue('current');
+
+export const saveCurrent = async ({
+  directories,
+  info,
+  separator,
+  username,
+}) => {
+  const db = await openBrowseDb();
+  const tx = db.transaction('browse', 'readwrite');
+
+  tx.objectStore('browse').put(
+    {
+      directories,
+      info,
+      savedAt: new Date().toISOString(),
+      separator,
+      username,
+    },
+    'current',
+  );
+
+  await toCompletion(tx);
+};
+
+export const getSelection = () => getValue('selection');
+
+export const saveSelection = (selected) => putValue('selection', selected);
+
+export const getDownload = () => getValue('download');
+
+export const saveDownload = (download) => putValue('download', download);
+
+export const clearDownload = () => putValue('download', null);
+
+export const getQuota = () => {
+  try {
+    return {
+      ...defaultQuota,
+      ...JSON.parse(localStorage.getItem(browseCacheQuotaKey)),
+    };
+  } catch {
+    return defaultQuota;
+  }
+};
+
+export const setQuota = (quota) => {
+  localStorage.setItem(
+    browseCacheQuotaKey,
+    JSON.stringify({ ...getQuota(), ...quota }),
+  );
+};
+
+/**
+ * Picks the snapshots to delete to stay within the quota.  Snapshots are kept
+ * newest first until the quota is used up, and the newest snapshot overall is
+ * always kept, however large it is.
+ * @param {object[]} snapshots - The snapshots, from listSnapshots().
+ * @param {object} quota
+ * @param {number} quota.maxMegabytes - The most space all snapshots may take up.
+ * @param {number} quota.maxSnapshotsPerUser - The most snapshots kept for each user.
+ * @returns {number[]} The ids of the snapshots to delete.
+ */
+export const selectSnapshotsToPrune = (
+  snapshots,
+  { maxMegabytes, maxSnapshotsPerUser },
+) => {
+  const maxBytes = maxMegabytes * 1_024 * 1_024;
+  const counts = new Map();
+  const pruned = [];
+  let total = 0;
+
+  const newestFirst = [...snapshots].sort(
+    (a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt),
+  );
+
+  for (const [index, snapshot] of newestFirst.entries()) {
+    const count = (counts.get(snapshot.username) ?? 0) + 1;
+    const fits = index === 0 || total + snapshot.size <= maxBytes;
+
+    if (count > maxSnapshotsPerUser || !fits) {
+      pruned.push(snapshot.id);
+    } else {
+      counts.set(snapshot.username, count);
+      total += snapshot.size;
+    }
+  }
+
+  return pruned;
+};
+
+/**
+ * Groups snapshots by user.
+ * @param {object[]} snapshots - The snapshots, from listSnapshots().
+ * @returns {object[]} The username, total size, time of the newest snapshot and the snapshots, newest first, for each user.
+ */
+export const groupSnapshotsByUser = (snapshots) => {
+  const users = new Map();
+
+  for (const snapshot of snapshots) {
+    const user = users.get(snapshot.username) ?? {
+      latest: snapshot.savedAt,
+      size: 0,
+      snapshots: [],
+      username: snapshot.username,
+    };
+
+    user.size += snapshot.size;
+    user.snapshots.push(snapshot);
+
+    if (Date.parse(snapshot.savedAt) > Date.parse(user.latest)) {
+      user.latest = snapshot.savedAt;
+    }
+
+    users.set(snapshot.username, user);
+  }
+
+  return [...users.values()]
+    .map((user) => ({
+      ...user,
+      snapshots: user.snapshots.sort(
+        (a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt),
+      ),
+    }))
+    .sort((a, b) =>
+      a.username.localeCompare(b.username, undefined, { sensitivity: 'base' }),
+    );
+};
+
+export const listSnapshots = async () => {
+  const db = await openBrowseDb();
+
+  return toPromise(
+    db.transaction('snapshots').objectStore('snapshots').getAll(),
+  );
+};
+
+export const getSnapshot = async (id) => {
+  const db = await openBrowseDb();
+  const tx = db.transaction(['snapshots', 'snapshotData']);
+
+  const [snapshot, data] = await Promise.all([
+    toPromise(tx.objectStore('snapshots').get(id)),
+    toPromise(tx.objectStore('snapshotData').get(id)),
+  ]);
+
+  return snapshot && data ? { ...snapshot, ...data } : null;
+};
+
+export const deleteSnapshots = async (ids) => {
+  if (ids.length === 0) return;
+
+  const db = await openBrowseDb();
+  const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+
+  for (const id of ids) {
+    tx.objectStore('snapshots').delete(id);
+    tx.objectStore('snapshotData').delete(id);
+  }
+
+  await toCompletion(tx);
+};
+
+export const prune = async (quota = getQuota()) =>
+  deleteSnapshots(selectSnapshotsToPrune(await listSnapshots(), quota));
+
+export const saveSnapshot = async ({
+  directories,
+  info,
+  separator,
+  username,
+}) => {
+  const snapshot = {
+    info,
+    savedAt: new Date().toISOString(),
+    // the size of the serialized directories is close enough to what's stored
+    size: JSON.stringify(directories).length,
+    username,
+  };
+
+  const db = await openBrowseDb();
+  const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+  const request = tx.objectStore('snapshots').add(snapshot);
+  let id;
+
+  // the data is written in the same transaction, so that a snapshot is never
+  // saved without it
+  request.onsuccess = ({ target }) => {
+    id = target.result;
+    tx.objectStore('snapshotData').put({ directories, separator }, id);
+  };
+
+  await toCompletion(tx);
+
+  await prune();
+
+  return { ...snapshot, id };
+};
+
+export const getLatestSnapshot = async (username) => {
+  const user = groupSnapshotsByUser(await listSnapshots()).find(
+    (candidate) => candidate.username === username,
+  );
+
+  return user ? getSnapshot(user.snapshots[0].id) : null;
+};
+
+/**
+ * Gets the most recent browse response for a user, if it found anything.
+ * @param {string} username - The user.
+ * @returns {Promise<object|null>} The directories, info, separator and time it was saved, or null.
+ */
+export const getCached = async (username) => {
+  const snapshot = await getLatestSnapshot(username);
+
+  if (snapshot) {
+    return snapshot;
+  }
+
+  // browsed before snapshots were kept
+  const current = await getCurrent();
+
+  return current?.username === username && current.directories?.length > 0
+    ? current
+    : null;
+};
+
+/**
+ * Searches the files in the newest snapshot of every user's shares.
+ * @param {string} query - The filter; see lib/searchQuery.js.
+ * @param {number} [limit] - The most results to return.
+ * @returns {Promise<object[]>} The matching files, with the username and the id of the snapshot they're from.
+ */
+export const search = async (query, limit = 500) => {
+  const results = [];
+
+  for (const user of groupSnapshotsByUser(await listSnapshots())) {
+    if (results.length >= limit) break;
+
+    const snapshot = await getSnapshot(user.snapshots[0].id);
+
+    if (snapshot) {
+      results.push(
+        ...searchDirectories(snapshot, query, limit - results.length).map(
+          (result) => ({
+            ...result,
+            snapshotId: snapshot.id,
+            username: user.username,
+          }),
+        ),
+      );
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,69 @@
+import { groupSnapshotsByUser, selectSnapshotsToPrune } from './browseCache';
+
+const megabyte = 1_024 * 1_024;
+
+const snapshot = (id, username, savedAt, size = megabyte) => ({
+  id,
+  savedAt,
+  size,
+  username,
+});
+
+describe('browseCache', () => {
+  describe('selectSnapshotsToPrune', () => {
+    it('keeps the newest snapshots for each user', () => {
+      expect(
+        selectSnapshotsToPrune(
+          [
+            snapshot(1, 'alice', '2024-01-01T00:00:00Z'),
+            snapshot(2, 'alice', '2024-01-02T00:00:00Z'),
+            snapshot(3, 'alice', '2024-01-03T00:00:00Z'),
+            snapshot(4, 'bob', '2024-01-01T00:00:00Z'),
+          ],
+          { maxMegabytes: 100, maxSnapshotsPerUser: 2 },
+        ),
+      ).toEqual([1]);
+    });
+
+    it('prunes the oldest snapshots once the quota is used up', () => {
+      expect(
+        selectSnapshotsToPrune(
+          [
+            snapshot(1, 'alice', '2024-01-01T00:00:00Z'),
+            snapshot(2, 'bob', '2024-01-02T00:00:00Z'),
+            snapshot(3, 'carol', '2024-01-03T00:00:00Z'),
+          ],
+          { maxMegabytes: 2, maxSnapshotsPerUser: 5 },
+        ),
+      ).toEqual([1]);
+    });
+
+    it('always keeps the newest snapshot', () => {
+      expect(
+        selectSnapshotsToPrune(
+          [
+            snapshot(1, 'alice', '2024-01-01T00:00:00Z'),
+            snapshot(2, 'bob', '2024-01-02T00:00:00Z', 10 * megabyte),
+          ],
+          { maxMegabytes: 5, maxSnapshotsPerUser: 5 },
+        ),
+      ).toEqual([1]);
+    });
+  });
+
+  describe('groupSnapshotsByUser', () => {
+    it('totals each user and orders their snapshots newest first', () => {
+      const [alice, bob] = groupSnapshotsByUser([
+        snapshot(1, 'bob', '2024-01-01T00:00:00Z'),
+        snapshot(2, 'alice', '2024-01-01T00:00:00Z'),
+        snapshot(3, 'alice', '2024-01-02T00:00:00Z'),
+      ]);
+
+      expect(alice.username).toBe('alice');
+      expect(alice.size).toBe(2 * megabyte);
+      expect(alice.latest).toBe('2024-01-02T00:00:00Z');
+      expect(alice.snapshots.map((s) => s.id)).toEqual([3, 2]);
+      expect(bob.snapshots).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// downloads of a selection made in Browse.  a selection can be an entire
+// share, far too many files for one request, so it's enqueued in batches of at
+// most chunkSize files, one or more for each remote directory so that the
+// directory hierarchy is kept beneath the destination.  the batches still to
+// enqueue are saved as they go, so a download cut short by closing the page
+// can be resumed.
+import { expandDestination } from './destinations';
+import * as transfers from './transfers';
+
+export const chunkSize = 500;
+
+const getParent = (path, separator) =>
+  path.split(separator).slice(0, -1).join(separator);
+
+// the path of a remote directory relative to a local one, with forward slashes
+const toRelative = (path, root, separator) =>
+  (root.length > 0 && path.startsWith(root + separator)
+    ? path.slice(root.length + 1)
+    : path
+  )
+    .split(separator)
+    .join('/');
+
+/**
+ * Splits the files selected beneath a directory into the batches to enqueue.
+ * Without a destination the selected directory's own files go wherever the
+ * configured download subdirectory puts them, and each subdirectory beneath it
+ * goes to its path relative to the selected directory's parent.  With one, the
+ * destination is expanded for the selected directory and each directory
+ * directly beneath it (see expandDestination()), and deeper directories are
+ * kept beneath that.
+ * @param {object} params
+ * @param {string} [params.destination] - The destination or template chosen by the user.
+ * @param {object[]} params.files - The selected files, with their full paths.
+ * @param {string} params.name - The full path of the selected directory.
+ * @param {string} params.separator - The path separator.
+ * @param {string} params.username - The user sharing the files.
+ * @returns {object} The download: the username, the total number of files, the
+ *   batches (chunks) to enqueue, each with a destination and files, and the
+ *   index of the next chunk to enqueue.
+ */
+export const planDownload = ({
+  destination,
+  files,
+  name,
+  separator,
+  username,
+}) => {
+  const parent = getParent(name, separator);
+  const directories = new Map();
+
+  for (const { filename, size } of files) {
+    const directory = getParent(filename, separator);
+    directories.set(directory, [
+      ...(directories.get(directory) ?? []),
+      { filename, size },
+    ]);
+  }
+
+  const chunks = [];
+
+  for (const [directory, directoryFiles] of directories) {
+    const beneath =
+      directory === name
+        ? []
+        : toRelative(directory, name, separator).split('/');
+    const top = beneath.length > 0 ? `${name}${separator}${beneath[0]}` : name;
+
+    let chunkDestination;
+
+    if (destination !== undefined) {
+      chunkDestination = [
+        expandDestination(destination, {
+          directory: top,
+          fallback: toRelative(top, parent, separator),
+          username,
+        }),
+        ...beneath.slice(1),
+      ]
+        .filter(Boolean)
+        .join('/');
+    } else if (directory !== name) {
+      chunkDestination = toRelative(directory, parent, separator);
+    }
+
+    for (let start = 0; start < directoryFiles.length; start += chunkSize) {
+      chunks.push({
+        destination: chunkDestination || undefined,
+        files: directoryFiles.slice(start, start + chunkSize),
+      });
+    }
+  }
+
+  return {
+    chunks,
+    failures: [],
+    fileCount: files.length,
+    next: 0,
+    startedAt: new Date().toISOString(),
+    username,
+  };
+};
+
+/**
+ * Enqueues the chunks of a download that haven't been enqueued yet, saving its
+ * progress after each.  Stops at the first chunk that can't be enqueued at all
+ * (e.g. because the user is offline), so that it can be resumed later.
+ * @param {object} download - The download, from planDownload().
+ * @param {object} [handlers]
+ * @param {Function} [handlers.onProgress] - Called with the download after each chunk.
+ * @param {Function} [handlers.save] - Called with the download after each chunk, to keep it for resuming.
+ * @param {AbortSignal} [handlers.signal] - Stops the download before the next chunk; a chunk
+ *   that was being enqueued when it's aborted is still saved, so it isn't enqueued again.
+ * @returns {Promise<object>} The download, once every chunk has been enqueued
+ *   or it was stopped.
+ * @throws The error from the chunk that couldn't be enqueued.
+ */
+export const runDownload = async (
+  download,
+  { onProgress, save, signal } = {},
+) => {
+  let current = download;
+
+  while (current.next < current.chunks.length && !signal?.aborted) {
+    const { destination, files } = current.chunks[current.next];
+    const response = await transfers.enqueueBatch({
+      files,
+      options: { destination },
+      username: current.username,
+    });
+
+    current = {
+      ...current,
+      failures: [
+        ...current.failures,
+        ...transfers.getEnqueueFailures(response),
+      ],
+      next: current.next + 1,
+    };
+
+    await save?.(current);
+
+    if (signal?.aborted) {
+      break;
+    }
+
+    onProgress?.(current);
+  }
+
+  return current;
+};
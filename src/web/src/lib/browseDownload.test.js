@@ -0,0 +1,155 @@
+import { chunkSize, planDownload, runDownload } from './browseDownload';
+import { enqueueBatch } from './transfers';
+
+jest.mock('./transfers', () => ({
+  enqueueBatch: jest.fn(),
+  getEnqueueFailures: (response) => response.data?.failures ?? [],
+}));
+
+const file = (filename) => ({ filename, size: 1 });
+
+const plan = (destination, files) =>
+  planDownload({
+    destination,
+    files,
+    name: 'Music\\Artist',
+    separator: '\\',
+    username: 'alice',
+  });
+
+const destinations = (download) =>
+  download.chunks.map((chunk) => chunk.destination);
+
+describe('browseDownload', () => {
+  describe('planDownload', () => {
+    const files = [
+      file('Music\\Artist\\cover.jpg'),
+      file('Music\\Artist\\Album\\01.mp3'),
+      file('Music\\Artist\\Album\\CD2\\01.mp3'),
+    ];
+
+    it('keeps the remote hierarchy without a destination', () => {
+      expect(destinations(plan(undefined, files))).toEqual([
+        undefined,
+        'Artist/Album',
+        'Artist/Album/CD2',
+      ]);
+    });
+
+    it('keeps the remote hierarchy beneath a destination', () => {
+      expect(destinations(plan('Incoming', files))).toEqual([
+        'Incoming/Artist',
+        'Incoming/Artist/Album',
+        'Incoming/Artist/Album/CD2',
+      ]);
+    });
+
+    it('expands templates for each directory beneath the selection', () => {
+      expect(destinations(plan('{username}/{directory}', files))).toEqual([
+        'alice/Artist',
+        'alice/Album',
+        'alice/Album/CD2',
+      ]);
+    });
+
+    it('splits large directories into chunks', () => {
+      const download = plan(
+        undefined,
+        Array.from({ length: chunkSize + 1 }, (_, index) =>
+          file(`Music\\Artist\\${index}.mp3`),
+        ),
+      );
+
+      expect(download.chunks.map((chunk) => chunk.files.length)).toEqual([
+        chunkSize,
+        1,
+      ]);
+      expect(download).toMatchObject({
+        fileCount: chunkSize + 1,
+        next: 0,
+        username: 'alice',
+      });
+    });
+  });
+
+  describe('runDownload', () => {
+    const download = plan(undefined, [
+      file('Music\\Artist\\01.mp3'),
+      file('Music\\Artist\\Album\\01.mp3'),
+    ]);
+
+    beforeEach(() => {
+      enqueueBatch.mockReset();
+    });
+
+    it('enqueues each chunk, saving its progress', async () => {
+      expect.assertions(3);
+
+      enqueueBatch
+        .mockResolvedValueOnce({ status: 201 })
+        .mockResolvedValueOnce({
+          data: { failures: [{ filename: 'x', message: 'no' }] },
+          status: 207,
+        });
+      const save = jest.fn();
+
+      const result = await runDownload(download, { save });
+
+      expect(enqueueBatch).toHaveBeenLastCalledWith({
+        files: [file('Music\\Artist\\Album\\01.mp3')],
+        options: { destination: 'Artist/Album' },
+        username: 'alice',
+      });
+      expect(save.mock.calls.map(([saved]) => saved.next)).toEqual([1, 2]);
+      expect(result.failures).toEqual([{ filename: 'x', message: 'no' }]);
+    });
+
+    it('resumes from the next chunk, and stops at an error', async () => {
+      expect.assertions(2);
+
+      enqueueBatch.mockRejectedValueOnce(new Error('offline'));
+      const save = jest.fn();
+
+      await expect(
+        runDownload({ ...download, next: 1 }, { save }),
+      ).rejects.toThrow('offline');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('saves the chunk in flight, then stops, once aborted', async () => {
+      expect.assertions(4);
+
+      const controller = new AbortController();
+      enqueueBatch.mockImplementationOnce(async () => {
+        controller.abort();
+        return { status: 201 };
+      });
+      const onProgress = jest.fn();
+      const save = jest.fn();
+
+      const result = await runDownload(download, {
+        onProgress,
+        save,
+        signal: controller.signal,
+      });
+
+      expect(enqueueBatch).toHaveBeenCalledTimes(1);
+      expect(save.mock.calls.map(([saved]) => saved.next)).toEqual([1]);
+      expect(onProgress).not.toHaveBeenCalled();
+      expect(result.next).toBe(1);
+    });
+
+    it('enqueues nothing once aborted', async () => {
+      expect.assertions(2);
+
+      const controller = new AbortController();
+      controller.abort();
+      const save = jest.fn();
+
+      await runDownload(download, { save, signal: controller.signal });
+
+      expect(enqueueBatch).not.toHaveBeenCalled();
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
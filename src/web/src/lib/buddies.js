@@ -0,0 +1,87 @@
+// the buddy list.  the server watches each buddy, so their presence and share
+// counts stay current while we're logged in; changes are pushed over the users
+// hub, and so is a notice each time a buddy comes online.
+import api from './api';
+
+export const getAll = async () => {
+  const response = (await api.get('/buddies')).data;
+
+  if (!Array.isArray(response)) {
+    console.warn('got non-array response from buddies API', response);
+    return [];
+  }
+
+  return response;
+};
+
+export const add = async ({ prioritized = false, username }) =>
+  (
+    await api.put(`/buddies/${encodeURIComponent(username)}`, {
+      prioritized,
+    })
+  ).data;
+
+export const remove = ({ username }) =>
+  api.delete(`/buddies/${encodeURIComponent(username)}`);
+
+const presenceOrder = { Away: 1, Offline: 2, Online: 0 };
+
+/**
+ * Sorts buddies so that those online come first, then those away, then those
+ * offline or whose presence isn't known yet, and by username within each.
+ * @param {object[]} buddies - The buddies, from getAll().
+ * @returns {object[]} A sorted copy of the buddies.
+ */
+export const sortBuddies = (buddies) =>
+  [...buddies].sort(
+    (a, b) =>
+      (presenceOrder[a.presence] ?? 3) - (presenceOrder[b.presence] ?? 3) ||
+      a.username.localeCompare(b.username, undefined, {
+        sensitivity: 'base',
+      }),
+  );
+
+/**
+ * Replaces the buddy with the same username, for updates pushed by the hub.
+ * Buddies that aren't in the list are ignored; they were removed.
+ * @param {object[]} buddies - The current buddies.
+ * @param {object} buddy - The updated buddy.
+ * @returns {object[]} The updated buddies.
+ */
+export const mergeBuddy = (buddies, buddy) =>
+  buddies.map((existing) =>
+    existing.username === buddy.username ? buddy : existing,
+  );
+
+const units = [
+  { name: 'day', seconds: 86_400 },
+  { name: 'hour', seconds: 3_600 },
+  { name: 'minute', seconds: 60 },
+];
+
+/**
+ * Describes when a buddy was last seen, relative to now.
+ * @param {object} buddy - The buddy.
+ * @param {number} [now] - The current time, in milliseconds since the epoch.
+ * @returns {string} The description; 'Now' if they're online or away.
+ */
+export const formatLastSeen = (buddy, now = Date.now()) => {
+  if (buddy.presence === 'Online' || buddy.presence === 'Away') {
+    return 'Now';
+  }
+
+  if (!buddy.lastSeenAt) {
+    return 'Never';
+  }
+
+  const seconds = Math.max(0, (now - Date.parse(buddy.lastSeenAt)) / 1_000);
+  const unit = units.find((candidate) => seconds >= candidate.seconds);
+
+  if (!unit) {
+    return 'Just now';
+  }
+
+  const count = Math.floor(seconds / unit.seconds);
+
+  return `${count} ${unit.name}${count === 1 ? '' : 's'} ago`;
+};
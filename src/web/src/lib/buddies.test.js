@@ -0,0 +1,64 @@
+import { formatLastSeen, mergeBuddy, sortBuddies } from './buddies';
+
+const now = Date.parse('2024-03-01T12:00:00Z');
+
+const seenAt = (lastSeenAt) =>
+  formatLastSeen({ lastSeenAt, presence: 'Offline' }, now);
+
+describe('buddies', () => {
+  describe('sortBuddies', () => {
+    it('puts online buddies first, then away, then offline and unknown', () => {
+      expect(
+        sortBuddies([
+          { presence: null, username: 'dave' },
+          { presence: 'Offline', username: 'carol' },
+          { presence: 'Away', username: 'bob' },
+          { presence: 'Online', username: 'erin' },
+          { presence: 'Online', username: 'Alice' },
+        ]).map((buddy) => buddy.username),
+      ).toEqual(['Alice', 'erin', 'bob', 'carol', 'dave']);
+    });
+  });
+
+  describe('mergeBuddy', () => {
+    it('replaces the buddy with the same username', () => {
+      expect(
+        mergeBuddy(
+          [
+            { presence: 'Offline', username: 'alice' },
+            { presence: 'Offline', username: 'bob' },
+          ],
+          { presence: 'Online', username: 'bob' },
+        ),
+      ).toEqual([
+        { presence: 'Offline', username: 'alice' },
+        { presence: 'Online', username: 'bob' },
+      ]);
+    });
+
+    it('ignores buddies that are no longer in the list', () => {
+      const buddies = [{ presence: 'Offline', username: 'alice' }];
+
+      expect(mergeBuddy(buddies, { username: 'bob' })).toEqual(buddies);
+    });
+  });
+
+  describe('formatLastSeen', () => {
+    it('is now while the buddy is online or away', () => {
+      expect(formatLastSeen({ presence: 'Away' }, now)).toBe('Now');
+    });
+
+    it('is never if the buddy has never been seen', () => {
+      expect(
+        formatLastSeen({ lastSeenAt: null, presence: 'Offline' }, now),
+      ).toBe('Never');
+    });
+
+    it('describes the time since the buddy was seen', () => {
+      expect(seenAt('2024-03-01T11:59:30Z')).toBe('Just now');
+      expect(seenAt('2024-03-01T11:59:00Z')).toBe('1 minute ago');
+      expect(seenAt('2024-03-01T09:30:00Z')).toBe('2 hours ago');
+      expect(seenAt('2024-02-27T12:00:00Z')).toBe('3 days ago');
+    });
+  });
+});
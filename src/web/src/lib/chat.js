@@ -22,3 +22,51 @@ export const send = ({ username, message }) => {
 export const remove = ({ username }) => {
   return api.delete(`/conversations/${encodeURIComponent(username)}`);
 };
+
+/**
+ * Applies a private message pushed by the messaging hub to the map of
+ * conversations, keyed by username.
+ * @param {object} conversations - The conversations.
+ * @param {object} message - The message, either received or sent.
+ * @param {string} active - The username of the conversation being viewed.
+ * @returns {object} The updated conversations.
+ */
+export const applyPrivateMessage = (conversations, message, active) => {
+  const { username } = message;
+  const conversation = conversations[username] ?? {
+    hasUnAcknowledgedMessages: false,
+    isActive: true,
+    unAcknowledgedMessageCount: 0,
+    username,
+  };
+
+  if (username === active) {
+    const messages = conversation.messages ?? [];
+
+    // the server replays unacknowledged messages on login, so we may see one twice
+    const isDuplicate = messages.some(
+      (m) => m.timestamp === message.timestamp && m.message === message.message,
+    );
+
+    return {
+      ...conversations,
+      [username]: {
+        ...conversation,
+        messages: isDuplicate ? messages : [...messages, message],
+      },
+    };
+  }
+
+  if (message.direction !== 'In') {
+    return { ...conversations, [username]: conversation };
+  }
+
+  return {
+    ...conversations,
+    [username]: {
+      ...conversation,
+      hasUnAcknowledgedMessages: true,
+      unAcknowledgedMessageCount: conversation.unAcknowledgedMessageCount + 1,
+    },
+  };
+};
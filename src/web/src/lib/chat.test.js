@@ -0,0 +1,59 @@
+import { applyPrivateMessage } from './chat';
+
+describe('applyPrivateMessage', () => {
+  const message = {
+    direction: 'In',
+    message: 'hi',
+    timestamp: '2026-10-19T12:00:00Z',
+    username: 'alice',
+  };
+
+  it('appends to the conversation being viewed', () => {
+    const conversations = {
+      alice: { messages: [], unAcknowledgedMessageCount: 0, username: 'alice' },
+    };
+
+    expect(
+      applyPrivateMessage(conversations, message, 'alice').alice.messages,
+    ).toEqual([message]);
+  });
+
+  it('does not append a replayed message twice', () => {
+    const conversations = {
+      alice: { messages: [message], username: 'alice' },
+    };
+
+    expect(
+      applyPrivateMessage(conversations, { ...message }, 'alice').alice
+        .messages,
+    ).toHaveLength(1);
+  });
+
+  it('counts unread messages in other conversations', () => {
+    const conversations = {
+      alice: { unAcknowledgedMessageCount: 1, username: 'alice' },
+    };
+
+    expect(applyPrivateMessage(conversations, message, 'bob').alice).toEqual({
+      hasUnAcknowledgedMessages: true,
+      unAcknowledgedMessageCount: 2,
+      username: 'alice',
+    });
+  });
+
+  it('starts a conversation with a new user', () => {
+    expect(applyPrivateMessage({}, message, '').alice).toEqual({
+      hasUnAcknowledgedMessages: true,
+      isActive: true,
+      unAcknowledgedMessageCount: 1,
+      username: 'alice',
+    });
+  });
+
+  it('does not count sent messages as unread', () => {
+    expect(
+      applyPrivateMessage({}, { ...message, direction: 'Out' }, '').alice
+        .unAcknowledgedMessageCount,
+    ).toBe(0);
+  });
+});
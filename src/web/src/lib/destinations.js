@@ -0,0 +1,177 @@
+// download destinations, relative to the downloads directory.  a destination is
+// either a plain folder, which the remote folder is placed inside of, or a
+// template like '{artist} - {album}' that is expanded once for each folder
+// being downloaded.  recently used destinations are kept in localStorage.
+import { downloadDestinationsKey } from '../config';
+
+const maxRecentDestinations = 10;
+
+const tokenPattern = /\{(\w+)\}/gu;
+
+// 'Artist - Album', with anything after the first separator being the album
+const artistAlbumPattern = /^(?<artist>.+?) - (?<album>.+)$/u;
+
+export const destinationTokens = [
+  {
+    description: 'The username of the user sharing the files',
+    token: 'username',
+  },
+  { description: 'The name of the remote folder', token: 'directory' },
+  {
+    description: 'The name of the folder containing the remote folder',
+    token: 'parent',
+  },
+  {
+    description:
+      "The artist, from a folder named 'Artist - Album', otherwise the parent folder",
+    token: 'artist',
+  },
+  {
+    description:
+      "The album, from a folder named 'Artist - Album', otherwise the remote folder",
+    token: 'album',
+  },
+];
+
+const knownTokens = new Set(destinationTokens.map(({ token }) => token));
+
+const splitPath = (path) =>
+  (path ?? '').split(/[/\\]/u).filter((segment) => segment.length > 0);
+
+// makes a value safe to use as a single folder name on any platform
+const sanitizeSegment = (segment) =>
+  segment
+    // eslint-disable-next-line no-control-regex
+    .replaceAll(/[\u0000-\u001F"*/:<>?\\|]/gu, '_')
+    .trim()
+    .replace(/\.+$/u, '');
+
+const joinSegments = (segments) => {
+  const joined = segments
+    .map((segment) => sanitizeSegment(segment))
+    .filter((segment) => segment.length > 0 && segment !== '..')
+    .join('/');
+
+  return joined.length > 0 ? joined : undefined;
+};
+
+export const isTemplate = (destination) =>
+  [...(destination ?? '').matchAll(tokenPattern)].length > 0;
+
+/**
+ * Checks a destination or template entered by the user.
+ * @param {string} destination - The destination.
+ * @returns {string|undefined} A description of the problem, or undefined if the destination is valid.
+ */
+export const validateDestination = (destination) => {
+  const value = (destination ?? '').trim();
+
+  if (value.length === 0) {
+    return undefined;
+  }
+
+  if (/^(?:[/\\]|[a-z]:)/iu.test(value)) {
+    return 'The destination must be relative to the downloads directory';
+  }
+
+  if (splitPath(value).some((segment) => segment.trim() === '..')) {
+    return "The destination can't contain '..'";
+  }
+
+  const unknown = [...value.matchAll(tokenPattern)]
+    .map((match) => match[1])
+    .filter((token) => !knownTokens.has(token));
+
+  if (unknown.length > 0) {
+    return `Unknown template token${unknown.length === 1 ? '' : 's'}: ${unknown
+      .map((token) => `{${token}}`)
+      .join(', ')}`;
+  }
+
+  return undefined;
+};
+
+/**
+ * Resolves the destination for one folder of files.
+ *
+ * Templates are expanded using the remote folder and username.  A plain
+ * destination is used as the parent of the fallback, which defaults to the
+ * name of the remote folder.
+ * @param {string} destination - The destination or template chosen by the user.
+ * @param {object} context
+ * @param {string} context.directory - The full path of the remote folder.
+ * @param {string} context.username - The user sharing the files.
+ * @param {string} [context.fallback] - The path to use beneath a plain destination.
+ * @returns {string|undefined} The relative destination, or undefined if it's empty.
+ */
+export const expandDestination = (
+  destination,
+  { directory, fallback, username },
+) => {
+  const segments = splitPath(directory);
+  const name = segments.at(-1) ?? '';
+  const parent = segments.at(-2) ?? '';
+
+  if (!isTemplate(destination)) {
+    return joinSegments([
+      ...splitPath(destination),
+      ...splitPath(fallback ?? name),
+    ]);
+  }
+
+  const match = artistAlbumPattern.exec(name);
+
+  const values = {
+    album: match?.groups.album ?? name,
+    artist: match?.groups.artist ?? parent,
+    directory: name,
+    parent,
+    username: username ?? '',
+  };
+
+  // values are sanitized before they're substituted so that a slash in a folder
+  // or username can't create (or escape) a directory
+  const expanded = destination.replaceAll(tokenPattern, (token, key) =>
+    knownTokens.has(key) ? sanitizeSegment(values[key]) : token,
+  );
+
+  return joinSegments(splitPath(expanded));
+};
+
+export const getRecentDestinations = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(downloadDestinationsKey));
+
+    return Array.isArray(stored)
+      ? stored.filter((d) => typeof d === 'string' && d.trim().length > 0)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+// moves the destination to the top of the list, dropping the oldest if full
+export const addRecentDestination = (destination) => {
+  const value = (destination ?? '').trim();
+
+  if (value.length === 0) {
+    return getRecentDestinations();
+  }
+
+  const recent = [
+    value,
+    ...getRecentDestinations().filter((d) => d !== value),
+  ].slice(0, maxRecentDestinations);
+
+  localStorage.setItem(downloadDestinationsKey, JSON.stringify(recent));
+
+  return recent;
+};
+
+export const removeRecentDestination = (destination) => {
+  const recent = getRecentDestinations().filter((d) => d !== destination);
+
+  localStorage.setItem(downloadDestinationsKey, JSON.stringify(recent));
+
+  return recent;
+};
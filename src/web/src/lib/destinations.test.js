@@ -0,0 +1,155 @@
+import {
+  addRecentDestination,
+  expandDestination,
+  getRecentDestinations,
+  isTemplate,
+  removeRecentDestination,
+  validateDestination,
+} from './destinations';
+
+describe('destinations', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('isTemplate', () => {
+    it('is true when the destination contains a token', () => {
+      expect(isTemplate('Music/{artist}')).toBe(true);
+    });
+
+    it('is false for a plain folder', () => {
+      expect(isTemplate('Music/Incoming')).toBe(false);
+    });
+  });
+
+  describe('validateDestination', () => {
+    it('accepts an empty destination', () => {
+      expect(validateDestination('  ')).toBeUndefined();
+    });
+
+    it('accepts known tokens', () => {
+      expect(
+        validateDestination('{username}/{artist} - {album}'),
+      ).toBeUndefined();
+    });
+
+    it.each(['/music', '\\music', 'C:\\music', 'c:music'])(
+      'rejects the absolute path %s',
+      (destination) => {
+        expect(validateDestination(destination)).toMatch('relative');
+      },
+    );
+
+    it('rejects traversal segments', () => {
+      expect(validateDestination('music/../../etc')).toMatch("'..'");
+    });
+
+    it('names unknown tokens', () => {
+      expect(validateDestination('{artist}/{year}/{genre}')).toBe(
+        'Unknown template tokens: {year}, {genre}',
+      );
+    });
+  });
+
+  describe('expandDestination', () => {
+    const context = {
+      directory: '@@abcd\\Music\\Some Artist\\Some Artist - Some Album',
+      username: 'alice',
+    };
+
+    it('places the remote folder inside a plain destination', () => {
+      expect(expandDestination('Incoming', context)).toBe(
+        'Incoming/Some Artist - Some Album',
+      );
+    });
+
+    it('uses the fallback beneath a plain destination when given', () => {
+      expect(
+        expandDestination('Incoming', { ...context, fallback: 'a/b' }),
+      ).toBe('Incoming/a/b');
+    });
+
+    it('expands username and directory tokens', () => {
+      expect(expandDestination('{username}/{directory}', context)).toBe(
+        'alice/Some Artist - Some Album',
+      );
+    });
+
+    it('parses the artist and album from the folder name', () => {
+      expect(expandDestination('{album} by {artist}', context)).toBe(
+        'Some Album by Some Artist',
+      );
+    });
+
+    it('falls back to the parent and folder for artist and album', () => {
+      expect(
+        expandDestination('{artist}/{album}', {
+          ...context,
+          directory: 'Music\\Another Artist\\Another Album',
+        }),
+      ).toBe('Another Artist/Another Album');
+    });
+
+    it('splits the album at the first separator', () => {
+      expect(
+        expandDestination('{artist}/{album}', {
+          ...context,
+          directory: 'Music\\Artist - 2001 - Album',
+        }),
+      ).toBe('Artist/2001 - Album');
+    });
+
+    it('keeps values from creating or escaping directories', () => {
+      expect(
+        expandDestination('{username}/{parent}/{directory}', {
+          directory: '..\\a/b:c',
+          username: 'x/../y',
+        }),
+      ).toBe('x_.._y/a/b_c');
+    });
+
+    it('expands to undefined when every segment is empty', () => {
+      expect(
+        expandDestination('{parent}', { directory: 'Album', username: 'a' }),
+      ).toBeUndefined();
+    });
+  });
+
+  describe('recent destinations', () => {
+    it('returns an empty list when storage is corrupt', () => {
+      localStorage.setItem('slskd-download-destinations', '{not json');
+
+      expect(getRecentDestinations()).toEqual([]);
+    });
+
+    it('moves a reused destination to the top', () => {
+      addRecentDestination('a');
+      addRecentDestination('b');
+      addRecentDestination(' a ');
+
+      expect(getRecentDestinations()).toEqual(['a', 'b']);
+    });
+
+    it('ignores blank destinations', () => {
+      addRecentDestination('  ');
+
+      expect(getRecentDestinations()).toEqual([]);
+    });
+
+    it('keeps the ten most recent', () => {
+      for (let index = 0; index < 12; index++) {
+        addRecentDestination(`d${index}`);
+      }
+
+      expect(getRecentDestinations()).toHaveLength(10);
+      expect(getRecentDestinations()[0]).toBe('d11');
+    });
+
+    it('removes a destination', () => {
+      addRecentDestination('a');
+      addRecentDestination('b');
+
+      expect(removeRecentDestination('a')).toEqual(['b']);
+    });
+  });
+});
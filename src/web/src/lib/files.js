@@ -1,8 +1,10 @@
 import api from './api';
 
-export const list = async ({ root, subdirectory = '' }) => {
+export const list = async ({ recursive = false, root, subdirectory = '' }) => {
   const response = (
-    await api.get(`/files/${root}/directories/${btoa(subdirectory)}`)
+    await api.get(`/files/${root}/directories/${btoa(subdirectory)}`, {
+      params: recursive ? { recursive } : undefined,
+    })
   ).data;
 
   return response;
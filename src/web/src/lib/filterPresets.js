@@ -0,0 +1,162 @@
+// named search result filters, kept in localStorage so they survive reloads.
+// presets are plain filter strings (see searchQuery.js for the syntax) and can
+// be exported to and imported from JSON so that a library can be shared.
+import { searchFilterPresetsKey } from '../config';
+
+const exportFormat = 'slskd-search-filter-presets';
+const exportVersion = 1;
+
+const empty = () => ({ default: undefined, presets: [] });
+
+const isValidPreset = (preset) =>
+  typeof preset?.name === 'string' &&
+  preset.name.trim().length > 0 &&
+  typeof preset?.filters === 'string';
+
+const normalize = ({ filters, name }) => ({
+  filters: filters.trim(),
+  name: name.trim(),
+});
+
+const sortByName = (presets) =>
+  [...presets].sort((a, b) => a.name.localeCompare(b.name));
+
+const write = (state) => {
+  localStorage.setItem(
+    searchFilterPresetsKey,
+    JSON.stringify({ default: state.default, presets: state.presets }),
+  );
+
+  return state;
+};
+
+export const getFilterPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(searchFilterPresetsKey));
+
+    if (!stored || !Array.isArray(stored.presets)) {
+      return empty();
+    }
+
+    const presets = sortByName(
+      stored.presets.filter((p) => isValidPreset(p)).map((p) => normalize(p)),
+    );
+
+    return {
+      // drop a default that no longer points at anything
+      default: presets.some((p) => p.name === stored.default)
+        ? stored.default
+        : undefined,
+      presets,
+    };
+  } catch {
+    return empty();
+  }
+};
+
+export const saveFilterPreset = ({ filters, name }) => {
+  if (!isValidPreset({ filters, name })) {
+    throw new Error('A preset requires a name and a filter string');
+  }
+
+  const preset = normalize({ filters, name });
+  const state = getFilterPresets();
+
+  return write({
+    ...state,
+    presets: sortByName([
+      ...state.presets.filter((p) => p.name !== preset.name),
+      preset,
+    ]),
+  });
+};
+
+export const removeFilterPreset = (name) => {
+  const state = getFilterPresets();
+
+  return write({
+    default: state.default === name ? undefined : state.default,
+    presets: state.presets.filter((p) => p.name !== name),
+  });
+};
+
+export const setDefaultFilterPreset = (name) => {
+  const state = getFilterPresets();
+
+  if (name !== undefined && !state.presets.some((p) => p.name === name)) {
+    throw new Error(`No preset named '${name}'`);
+  }
+
+  return write({ ...state, default: name });
+};
+
+// the filter string new searches should start with, or '' if no default is set
+export const getDefaultFilters = () => {
+  const state = getFilterPresets();
+
+  return state.presets.find((p) => p.name === state.default)?.filters ?? '';
+};
+
+// the default is a personal choice, so it isn't included in the export
+export const exportFilterPresets = () =>
+  JSON.stringify(
+    {
+      format: exportFormat,
+      presets: getFilterPresets().presets,
+      version: exportVersion,
+    },
+    null,
+    2,
+  );
+
+// merges presets from an exported file into the stored library.  presets with a
+// name that already exists are replaced, and malformed entries are skipped.
+export const importFilterPresets = (json) => {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (parsed?.format !== exportFormat || !Array.isArray(parsed.presets)) {
+    throw new Error('The file is not a search filter preset export');
+  }
+
+  if (parsed.version > exportVersion) {
+    throw new Error(
+      `Unsupported preset export version ${parsed.version}; this version of slskd reads version ${exportVersion}`,
+    );
+  }
+
+  const state = getFilterPresets();
+  const existing = new Set(state.presets.map((p) => p.name));
+  const incoming = new Map();
+  let skipped = 0;
+
+  for (const preset of parsed.presets) {
+    if (isValidPreset(preset)) {
+      const normalized = normalize(preset);
+      incoming.set(normalized.name, normalized);
+    } else {
+      skipped++;
+    }
+  }
+
+  const updated = [...incoming.keys()].filter((name) => existing.has(name));
+
+  write({
+    ...state,
+    presets: sortByName([
+      ...state.presets.filter((p) => !incoming.has(p.name)),
+      ...incoming.values(),
+    ]),
+  });
+
+  return {
+    added: incoming.size - updated.length,
+    skipped,
+    updated: updated.length,
+  };
+};
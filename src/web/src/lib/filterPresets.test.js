@@ -0,0 +1,147 @@
+import {
+  exportFilterPresets,
+  getDefaultFilters,
+  getFilterPresets,
+  importFilterPresets,
+  removeFilterPreset,
+  saveFilterPreset,
+  setDefaultFilterPreset,
+} from './filterPresets';
+
+describe('filterPresets', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('getFilterPresets', () => {
+    it('returns an empty library when nothing is stored', () => {
+      expect(getFilterPresets()).toEqual({ default: undefined, presets: [] });
+    });
+
+    it('returns an empty library when storage is corrupt', () => {
+      localStorage.setItem('slskd-search-filter-presets', '{not json');
+      expect(getFilterPresets()).toEqual({ default: undefined, presets: [] });
+    });
+  });
+
+  describe('saveFilterPreset', () => {
+    it('stores presets sorted by name', () => {
+      saveFilterPreset({ filters: 'islossless', name: 'lossless' });
+      saveFilterPreset({ filters: 'minbr:320', name: 'high mp3' });
+
+      expect(getFilterPresets().presets.map((p) => p.name)).toEqual([
+        'high mp3',
+        'lossless',
+      ]);
+    });
+
+    it('replaces a preset with the same name', () => {
+      saveFilterPreset({ filters: 'islossless', name: 'lossless' });
+      saveFilterPreset({ filters: 'islossless -live', name: ' lossless ' });
+
+      expect(getFilterPresets().presets).toEqual([
+        { filters: 'islossless -live', name: 'lossless' },
+      ]);
+    });
+
+    it('throws when the name is blank', () => {
+      expect(() => saveFilterPreset({ filters: 'x', name: '  ' })).toThrow(
+        'requires a name',
+      );
+    });
+  });
+
+  describe('defaults', () => {
+    it('returns the filters of the default preset', () => {
+      saveFilterPreset({ filters: 'islossless minbd:24', name: 'hires' });
+      setDefaultFilterPreset('hires');
+
+      expect(getDefaultFilters()).toBe('islossless minbd:24');
+    });
+
+    it('returns an empty string when there is no default', () => {
+      expect(getDefaultFilters()).toBe('');
+    });
+
+    it('clears the default when the preset is removed', () => {
+      saveFilterPreset({ filters: 'islossless', name: 'lossless' });
+      setDefaultFilterPreset('lossless');
+      removeFilterPreset('lossless');
+
+      expect(getFilterPresets().default).toBeUndefined();
+      expect(getDefaultFilters()).toBe('');
+    });
+
+    it('throws when setting an unknown preset as the default', () => {
+      expect(() => setDefaultFilterPreset('nope')).toThrow(
+        "No preset named 'nope'",
+      );
+    });
+  });
+
+  describe('export and import', () => {
+    it('round trips presets without the default', () => {
+      saveFilterPreset({ filters: 'islossless', name: 'lossless' });
+      setDefaultFilterPreset('lossless');
+      const exported = exportFilterPresets();
+
+      expect(JSON.parse(exported).default).toBeUndefined();
+
+      localStorage.clear();
+
+      expect(importFilterPresets(exported)).toEqual({
+        added: 1,
+        skipped: 0,
+        updated: 0,
+      });
+      expect(getFilterPresets()).toEqual({
+        default: undefined,
+        presets: [{ filters: 'islossless', name: 'lossless' }],
+      });
+    });
+
+    it('merges by name and skips malformed entries', () => {
+      saveFilterPreset({ filters: 'islossless', name: 'lossless' });
+      saveFilterPreset({ filters: 'minbr:320', name: 'mp3' });
+
+      const result = importFilterPresets(
+        JSON.stringify({
+          format: 'slskd-search-filter-presets',
+          presets: [
+            { filters: 'islossless -live', name: 'lossless' },
+            { filters: 'minbd:24', name: 'hires' },
+            { filters: 42, name: 'broken' },
+            { filters: 'x' },
+          ],
+          version: 1,
+        }),
+      );
+
+      expect(result).toEqual({ added: 1, skipped: 2, updated: 1 });
+      expect(getFilterPresets().presets).toEqual([
+        { filters: 'minbd:24', name: 'hires' },
+        { filters: 'islossless -live', name: 'lossless' },
+        { filters: 'minbr:320', name: 'mp3' },
+      ]);
+    });
+
+    it('rejects files that are not preset exports', () => {
+      expect(() => importFilterPresets('nope')).toThrow('not valid JSON');
+      expect(() => importFilterPresets('{"presets":[]}')).toThrow(
+        'not a search filter preset export',
+      );
+    });
+
+    it('rejects exports from a newer version', () => {
+      expect(() =>
+        importFilterPresets(
+          JSON.stringify({
+            format: 'slskd-search-filter-presets',
+            presets: [],
+            version: 2,
+          }),
+        ),
+      ).toThrow('Unsupported');
+    });
+  });
+});
@@ -30,3 +30,12 @@ export const createSearchHubConnection = () =>
 
 export const createMetricsHubConnection = () =>
   createHubConnection({ url: `${hubBaseUrl}/metrics` });
+
+export const createTransfersHubConnection = () =>
+  createHubConnection({ url: `${hubBaseUrl}/transfers` });
+
+export const createMessagingHubConnection = () =>
+  createHubConnection({ url: `${hubBaseUrl}/messaging` });
+
+export const createUsersHubConnection = () =>
+  createHubConnection({ url: `${hubBaseUrl}/users` });
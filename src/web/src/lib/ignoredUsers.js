@@ -0,0 +1,62 @@
+// the list of ignored users.  the server drops their room and private messages
+// and their search responses, and optionally rejects their requests to
+// download from us; the UI uses the list to hide whatever it already has.
+import api from './api';
+
+export const getAll = async () => {
+  const response = (await api.get('/ignoredusers')).data;
+
+  if (!Array.isArray(response)) {
+    console.warn('got non-array response from ignored users API', response);
+    return [];
+  }
+
+  return response;
+};
+
+export const ignore = async ({ expiresAt, reason, rejectUploads, username }) =>
+  (
+    await api.put(`/ignoredusers/${encodeURIComponent(username)}`, {
+      expiresAt,
+      reason,
+      rejectUploads,
+    })
+  ).data;
+
+export const unignore = ({ username }) =>
+  api.delete(`/ignoredusers/${encodeURIComponent(username)}`);
+
+// how long a user stays ignored, in minutes; 0 is forever
+export const expiryOptions = [
+  { key: 'never', text: 'Forever', value: 0 },
+  { key: 'hour', text: '1 Hour', value: 60 },
+  { key: 'day', text: '1 Day', value: 60 * 24 },
+  { key: 'week', text: '1 Week', value: 60 * 24 * 7 },
+  { key: 'month', text: '30 Days', value: 60 * 24 * 30 },
+];
+
+/**
+ * Converts a duration chosen from the expiry options to the time at which the
+ * user stops being ignored.
+ * @param {number} minutes - The duration, in minutes; 0 for forever.
+ * @param {number} [now] - The current time, in milliseconds since the epoch.
+ * @returns {string|undefined} The time, as an ISO 8601 timestamp, or undefined if never.
+ */
+export const getExpiresAt = (minutes, now = Date.now()) =>
+  minutes > 0 ? new Date(now + minutes * 60_000).toISOString() : undefined;
+
+export const isExpired = (ignoredUser, now = Date.now()) =>
+  Boolean(ignoredUser.expiresAt) && Date.parse(ignoredUser.expiresAt) <= now;
+
+/**
+ * Builds the set of usernames that are ignored right now.
+ * @param {object[]} ignoredUsers - The ignored users, from getAll().
+ * @param {number} [now] - The current time, in milliseconds since the epoch.
+ * @returns {Set<string>} The usernames.
+ */
+export const getIgnoredUsernames = (ignoredUsers, now = Date.now()) =>
+  new Set(
+    ignoredUsers
+      .filter((ignoredUser) => !isExpired(ignoredUser, now))
+      .map((ignoredUser) => ignoredUser.username),
+  );
@@ -0,0 +1,41 @@
+import { getExpiresAt, getIgnoredUsernames, isExpired } from './ignoredUsers';
+
+describe('ignoredUsers', () => {
+  const now = Date.parse('2024-03-01T12:00:00Z');
+
+  describe('getExpiresAt', () => {
+    it('adds the duration to the current time', () => {
+      expect(getExpiresAt(60, now)).toBe('2024-03-01T13:00:00.000Z');
+    });
+
+    it('never expires when the duration is 0', () => {
+      expect(getExpiresAt(0, now)).toBeUndefined();
+    });
+  });
+
+  describe('isExpired', () => {
+    it('is not expired without an expiry', () => {
+      expect(isExpired({ expiresAt: null }, now)).toBe(false);
+    });
+
+    it('is expired once the expiry has passed', () => {
+      expect(isExpired({ expiresAt: '2024-03-01T12:00:00Z' }, now)).toBe(true);
+      expect(isExpired({ expiresAt: '2024-03-01T12:00:01Z' }, now)).toBe(false);
+    });
+  });
+
+  describe('getIgnoredUsernames', () => {
+    it('includes only the users that are still ignored', () => {
+      expect(
+        getIgnoredUsernames(
+          [
+            { expiresAt: null, username: 'alice' },
+            { expiresAt: '2024-03-01T11:00:00Z', username: 'bob' },
+            { expiresAt: '2024-03-02T12:00:00Z', username: 'carol' },
+          ],
+          now,
+        ),
+      ).toEqual(new Set(['alice', 'carol']));
+    });
+  });
+});
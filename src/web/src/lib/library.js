@@ -0,0 +1,287 @@
+// compares a user's shares with our own library, the directories we share and
+// the downloads directory, to find what we don't have or have a worse copy of
+import { normalizeAlbumName, normalizeTrackName } from './albums';
+import * as files from './files';
+import { getFileQuality } from './scoring';
+import * as shares from './shares';
+import * as transfers from './transfers';
+import { formatAttributes } from './util';
+
+const audioExtensions = new Set([
+  'aac',
+  'aif',
+  'aiff',
+  'alac',
+  'ape',
+  'dsf',
+  'flac',
+  'm4a',
+  'mp3',
+  'ogg',
+  'opus',
+  'wav',
+  'wma',
+  'wv',
+]);
+
+// formats that are lossless even when the bit depth and sample rate aren't known
+const losslessExtensions = new Set([
+  'aif',
+  'aiff',
+  'alac',
+  'ape',
+  'dsf',
+  'flac',
+  'wav',
+  'wv',
+]);
+
+// how much better a copy has to rate before it's worth replacing ours
+const upgradeThreshold = 0.05;
+
+export const comparisonStatuses = {
+  missing: 'Missing',
+  owned: 'Owned',
+  partial: 'Partial',
+  upgrade: 'Upgrade',
+};
+
+const getExtension = (filename = '') => {
+  const dot = filename.lastIndexOf('.');
+  return dot === -1 ? '' : filename.slice(dot + 1).toLowerCase();
+};
+
+export const isAudioFile = (filename) =>
+  audioExtensions.has(getExtension(filename));
+
+// the files in our downloads directory don't come with attributes, so judge
+// them by their format alone
+const getQuality = (file) => {
+  if (file.bitRate || (file.sampleRate && file.bitDepth)) {
+    return getFileQuality(file);
+  }
+
+  return losslessExtensions.has(getExtension(file.filename))
+    ? getFileQuality({ bitDepth: 16, sampleRate: 44_100 })
+    : undefined;
+};
+
+/**
+ * Summarizes a directory for comparison: its normalized name, its tracks (the
+ * audio files, or every file if there are none) and the quality of its worst
+ * track.
+ * @param {object} directory
+ * @param {object[]} directory.files - The files, named without their directory.
+ * @param {string} directory.name - The full path of the directory.
+ * @returns {object} The summary.
+ */
+export const summarizeDirectory = ({ files: directoryFiles = [], name }) => {
+  const audio = directoryFiles.filter((file) => isAudioFile(file.filename));
+  const tracks = audio.length > 0 ? audio : directoryFiles;
+  const rated = audio
+    .map((file) => ({ file, quality: getQuality(file) }))
+    .filter(({ quality }) => quality !== undefined)
+    .sort((a, b) => a.quality - b.quality);
+  const worst = rated[0]?.file ?? audio[0];
+
+  return {
+    format: worst
+      ? formatAttributes(worst) || getExtension(worst.filename).toUpperCase()
+      : '',
+    key: normalizeAlbumName(name),
+    name,
+    quality: rated[0]?.quality,
+    trackCount: tracks.length,
+    trackNames: new Set(
+      tracks.map((file) => normalizeTrackName(file.filename)),
+    ),
+    tracks,
+  };
+};
+
+/**
+ * Converts a recursive listing from the files API to directories shaped like
+ * the ones returned by browsing.
+ * @param {object} listing - The listing, from `files.list`.
+ * @returns {object[]} The directories that contain files, named by their path
+ *   relative to the root of the listing.
+ */
+export const flattenListing = (listing) => {
+  const directories = new Map();
+
+  for (const file of listing?.files ?? []) {
+    const path = file.fullName ?? file.name;
+    const separatorIndex = Math.max(
+      path.lastIndexOf('/'),
+      path.lastIndexOf('\\'),
+    );
+    const name = separatorIndex === -1 ? '' : path.slice(0, separatorIndex);
+
+    directories.set(name, [
+      ...(directories.get(name) ?? []),
+      { filename: file.name, size: file.length },
+    ]);
+  }
+
+  return [...directories.entries()].map(([name, directoryFiles]) => ({
+    files: directoryFiles,
+    name,
+  }));
+};
+
+/**
+ * Indexes the directories in our library by their normalized name.
+ * @param {object[]} directories - The directories, each with a `source`.
+ * @returns {Map<string, object[]>} The summarized directories, by name.
+ */
+export const buildLibrary = (directories) => {
+  const library = new Map();
+
+  for (const directory of directories) {
+    const summary = {
+      ...summarizeDirectory(directory),
+      source: directory.source,
+    };
+
+    if (summary.key && summary.trackCount > 0) {
+      library.set(summary.key, [...(library.get(summary.key) ?? []), summary]);
+    }
+  }
+
+  return library;
+};
+
+/**
+ * Fetches and indexes our library: the contents of our shares and of the
+ * downloads directory.
+ * @returns {Promise<Map<string, object[]>>} The library, from `buildLibrary`.
+ */
+export const getLibrary = async () => {
+  const [shared, downloaded] = await Promise.all([
+    shares.browseAll(),
+    files.list({ recursive: true, root: 'downloads' }),
+  ]);
+
+  return buildLibrary([
+    ...(shared ?? []).map((directory) => ({ ...directory, source: 'shares' })),
+    ...flattenListing(downloaded).map((directory) => ({
+      ...directory,
+      source: 'downloads',
+    })),
+  ]);
+};
+
+/**
+ * Compares each directory in a user's shares with the directories of the
+ * same name in our library.  A directory is missing if we have nothing by that
+ * name; partial if ours has fewer tracks; an upgrade if its worst track rates
+ * better than the worst of ours; and owned otherwise.  Locked directories, and
+ * those without files, are left out.
+ * @param {object} browse
+ * @param {object[]} browse.directories - The user's directories.
+ * @param {string} browse.separator - The path separator.
+ * @param {Map<string, object[]>} library - Our library, from `buildLibrary`.
+ * @returns {object[]} The user's directories, each with a `status`, the
+ *   `files` to download to fill the gap (full paths, with sizes) and the
+ *   best of our copies, `owned`.
+ */
+export const compareWithLibrary = ({ directories, separator }, library) =>
+  directories
+    .filter((directory) => !directory.locked && directory.files?.length > 0)
+    .map((directory) => {
+      const summary = summarizeDirectory(directory);
+      const ours = library.get(summary.key) ?? [];
+      const toDownload = (tracks) =>
+        tracks.map(({ filename, size }) => ({
+          filename: `${directory.name}${separator}${filename}`,
+          size,
+        }));
+
+      if (ours.length === 0) {
+        return {
+          ...summary,
+          files: toDownload(summary.tracks),
+          status: 'missing',
+        };
+      }
+
+      const owned = ours.reduce((best, candidate) =>
+        candidate.trackCount > best.trackCount ? candidate : best,
+      );
+
+      if (owned.trackCount < summary.trackCount) {
+        const ownedNames = new Set(
+          ours.flatMap((candidate) => [...candidate.trackNames]),
+        );
+        const missing = summary.tracks.filter(
+          (file) => !ownedNames.has(normalizeTrackName(file.filename)),
+        );
+
+        return {
+          ...summary,
+          // if the names don't line up, there's no telling which we lack
+          files: toDownload(missing.length > 0 ? missing : summary.tracks),
+          owned,
+          status: 'partial',
+        };
+      }
+
+      // when we can't tell the quality of ours, give it the benefit of the
+      // doubt; only a lossless copy is then an upgrade
+      const ownedQualities = ours
+        .map((candidate) => candidate.quality)
+        .filter((quality) => quality !== undefined);
+      const ownedQuality =
+        ownedQualities.length > 0
+          ? Math.max(...ownedQualities)
+          : getFileQuality({ bitRate: 320 });
+
+      if (
+        summary.quality !== undefined &&
+        summary.quality > ownedQuality + upgradeThreshold
+      ) {
+        return {
+          ...summary,
+          files: toDownload(summary.tracks),
+          owned,
+          status: 'upgrade',
+        };
+      }
+
+      return { ...summary, files: [], owned, status: 'owned' };
+    });
+
+/**
+ * Enqueues the files from each of the given directories as a batch, one
+ * directory at a time.
+ * @param {object} params
+ * @param {object[]} params.items - The directories, from `compareWithLibrary`.
+ * @param {Function} [params.onProgress] - Called with the number of directories done so far.
+ * @param {string} params.username - The user to download from.
+ * @returns {Promise<object[]>} The files that couldn't be enqueued, with the reason.
+ */
+export const downloadItems = async ({ items, onProgress, username }) => {
+  const failures = [];
+
+  for (const [index, item] of items.entries()) {
+    try {
+      const response = await transfers.enqueueBatch({
+        files: item.files,
+        username,
+      });
+
+      failures.push(...transfers.getEnqueueFailures(response));
+    } catch (error) {
+      failures.push(
+        ...item.files.map(({ filename }) => ({
+          filename,
+          message: error?.response?.data ?? error?.message ?? String(error),
+        })),
+      );
+    }
+
+    onProgress?.(index + 1);
+  }
+
+  return failures;
+};
@@ -0,0 +1,193 @@
+import {
+  buildLibrary,
+  compareWithLibrary,
+  downloadItems,
+  flattenListing,
+  isAudioFile,
+  summarizeDirectory,
+} from './library';
+import { enqueueBatch } from './transfers';
+
+jest.mock('./transfers', () => ({
+  enqueueBatch: jest.fn(),
+  getEnqueueFailures: (response) => response.data?.failures ?? [],
+}));
+
+const album = (name, tracks, attributes = {}, extension = 'mp3') => ({
+  files: tracks.map((track, index) => ({
+    filename: `0${index + 1} - ${track}.${extension}`,
+    size: 1_000,
+    ...attributes,
+  })),
+  name,
+});
+
+const library = (...directories) =>
+  buildLibrary(
+    directories.map((directory) => ({ ...directory, source: 'shares' })),
+  );
+
+const compare = (directories, ...ours) =>
+  compareWithLibrary({ directories, separator: '\\' }, library(...ours));
+
+describe('library', () => {
+  describe('isAudioFile', () => {
+    it('recognizes audio by extension', () => {
+      expect(isAudioFile('a.FLAC')).toBe(true);
+      expect(isAudioFile('cover.jpg')).toBe(false);
+      expect(isAudioFile('README')).toBe(false);
+    });
+  });
+
+  describe('summarizeDirectory', () => {
+    it('counts only the audio files as tracks', () => {
+      const summary = summarizeDirectory({
+        files: [
+          { bitRate: 320, filename: 'a.mp3' },
+          { bitRate: 192, filename: 'b.mp3' },
+          { filename: 'cover.jpg' },
+        ],
+        name: 'Music\\Artist\\Album (2001) [MP3]',
+      });
+
+      expect(summary).toMatchObject({
+        format: '192 Kbps',
+        key: 'album',
+        trackCount: 2,
+      });
+    });
+
+    it('judges files without attributes by their format', () => {
+      expect(
+        summarizeDirectory({ files: [{ filename: 'a.flac' }], name: 'A' })
+          .format,
+      ).toBe('FLAC');
+      expect(
+        summarizeDirectory({ files: [{ filename: 'a.mp3' }], name: 'A' })
+          .quality,
+      ).toBeUndefined();
+    });
+  });
+
+  describe('flattenListing', () => {
+    it('groups the files of a recursive listing by directory', () => {
+      expect(
+        flattenListing({
+          files: [
+            { fullName: 'Artist/Album/a.mp3', length: 1, name: 'a.mp3' },
+            { fullName: 'Artist/Album/b.mp3', length: 2, name: 'b.mp3' },
+            { fullName: 'c.mp3', length: 3, name: 'c.mp3' },
+          ],
+        }),
+      ).toEqual([
+        {
+          files: [
+            { filename: 'a.mp3', size: 1 },
+            { filename: 'b.mp3', size: 2 },
+          ],
+          name: 'Artist/Album',
+        },
+        { files: [{ filename: 'c.mp3', size: 3 }], name: '' },
+      ]);
+    });
+  });
+
+  describe('compareWithLibrary', () => {
+    const tracks = ['Intro', 'Song', 'Outro'];
+
+    it('finds directories we have nothing by the name of', () => {
+      const [result] = compare([album('Music\\Album', tracks)]);
+
+      expect(result.status).toBe('missing');
+      expect(result.files.map((file) => file.filename)).toEqual([
+        'Music\\Album\\01 - Intro.mp3',
+        'Music\\Album\\02 - Song.mp3',
+        'Music\\Album\\03 - Outro.mp3',
+      ]);
+    });
+
+    it('matches directories by normalized name', () => {
+      const [result] = compare(
+        [album('Music\\Album [FLAC]', tracks)],
+        album('shares\\album', tracks),
+      );
+
+      expect(result.status).toBe('owned');
+    });
+
+    it('lists the tracks missing from a partial album', () => {
+      const [result] = compare(
+        [album('Music\\Album', tracks)],
+        album('shares\\Album', ['Intro', 'Song']),
+      );
+
+      expect(result.status).toBe('partial');
+      expect(result.files.map((file) => file.filename)).toEqual([
+        'Music\\Album\\03 - Outro.mp3',
+      ]);
+    });
+
+    it('finds better copies of what we have', () => {
+      const [result] = compare(
+        [album('Music\\Album', tracks, { bitRate: 320 })],
+        album('shares\\Album', tracks, { bitRate: 128 }),
+      );
+
+      expect(result.status).toBe('upgrade');
+      expect(result.files).toHaveLength(3);
+    });
+
+    it('only counts a lossless copy as an upgrade on ours of unknown quality', () => {
+      const ours = { ...album('Album', tracks), source: 'downloads' };
+
+      expect(
+        compare([album('Music\\Album', tracks, { bitRate: 320 })], ours)[0]
+          .status,
+      ).toBe('owned');
+      expect(
+        compare([album('Music\\Album', tracks, {}, 'flac')], ours)[0].status,
+      ).toBe('upgrade');
+    });
+
+    it('leaves out locked and empty directories', () => {
+      expect(
+        compare([
+          { ...album('Music\\Locked', tracks), locked: true },
+          { files: [], name: 'Music' },
+        ]),
+      ).toEqual([]);
+    });
+  });
+
+  describe('downloadItems', () => {
+    beforeEach(() => {
+      enqueueBatch.mockReset();
+    });
+
+    it('enqueues each directory as a batch and reports failures', async () => {
+      expect.assertions(4);
+
+      enqueueBatch
+        .mockResolvedValueOnce({ status: 201 })
+        .mockRejectedValueOnce(new Error('offline'));
+      const onProgress = jest.fn();
+
+      const failures = await downloadItems({
+        items: [
+          { files: [{ filename: 'a\\1.mp3', size: 1 }] },
+          { files: [{ filename: 'b\\1.mp3', size: 1 }] },
+        ],
+        onProgress,
+        username: 'alice',
+      });
+
+      expect(enqueueBatch).toHaveBeenCalledTimes(2);
+      expect(enqueueBatch).toHaveBeenCalledWith({
+        files: [{ filename: 'a\\1.mp3', size: 1 }],
+        username: 'alice',
+      });
+      expect(failures).toEqual([{ filename: 'b\\1.mp3', message: 'offline' }]);
+      expect(onProgress).toHaveBeenLastCalledWith(2);
+    });
+  });
+});
@@ -0,0 +1,283 @@
+// the persisted history of private and room messages; searching it, paging
+// through it, and exporting a conversation or room log as a file.
+import api from './api';
+import { downloadFile } from './util';
+
+// drops empty values so they aren't sent as blank query parameters
+const toParams = (params) =>
+  Object.fromEntries(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== '',
+    ),
+  );
+
+export const search = async ({
+  from,
+  kind,
+  limit,
+  query,
+  roomName,
+  to,
+  username,
+}) => {
+  const response = (
+    await api.get('/messages/search', {
+      params: toParams({ from, kind, limit, query, roomName, to, username }),
+    })
+  ).data;
+
+  if (!Array.isArray(response)) {
+    console.warn('got non-array response from messages API', response);
+    return [];
+  }
+
+  return response;
+};
+
+export const getConversationHistory = async ({
+  around,
+  before,
+  from,
+  limit,
+  to,
+  username,
+}) => {
+  const response = (
+    await api.get(`/messages/conversations/${encodeURIComponent(username)}`, {
+      params: toParams({ around, before, from, limit, to }),
+    })
+  ).data;
+
+  return Array.isArray(response) ? response : [];
+};
+
+export const getRoomHistory = async ({
+  around,
+  before,
+  from,
+  limit,
+  roomName,
+  to,
+}) => {
+  const response = (
+    await api.get(`/messages/rooms/${encodeURIComponent(roomName)}`, {
+      params: toParams({ around, before, from, limit, to }),
+    })
+  ).data;
+
+  return Array.isArray(response) ? response : [];
+};
+
+const parseLocalDate = (date, time) => {
+  if (!date) return undefined;
+
+  const value = new Date(`${date}T${time}`);
+
+  return Number.isNaN(value.getTime()) ? undefined : value.toISOString();
+};
+
+/**
+ * Converts the dates chosen in a pair of date inputs to the bounds of a
+ * timestamp range; the whole of both days, in local time, are included.
+ * @param {object} range
+ * @param {string} [range.from] - The first day, as 'yyyy-mm-dd'.
+ * @param {string} [range.to] - The last day, as 'yyyy-mm-dd'.
+ * @returns {{ from: string|undefined, to: string|undefined }} The bounds, as ISO 8601 timestamps.
+ */
+export const toTimestampRange = ({ from, to }) => ({
+  from: parseLocalDate(from, '00:00:00.000'),
+  to: parseLocalDate(to, '23:59:59.999'),
+});
+
+/**
+ * Splits text into the parts that match any of the words in a query, and the
+ * parts that don't, so that matches can be highlighted.
+ * @param {string} text - The text.
+ * @param {string} query - The words, separated by whitespace.
+ * @returns {{ match: boolean, text: string }[]} The parts, in order.
+ */
+export const splitMatches = (text, query) => {
+  const words = (query ?? '')
+    .split(/\s+/u)
+    .filter((word) => word.length > 0)
+    .map((word) => word.replaceAll(/[$()*+.?[\\\]^{|}]/gu, '\\$&'));
+
+  if (words.length === 0 || !text) {
+    return [{ match: false, text: text ?? '' }];
+  }
+
+  // longest first, so that a word isn't cut short by another it contains
+  const pattern = new RegExp(
+    `(${words.sort((a, b) => b.length - a.length).join('|')})`,
+    'giu',
+  );
+
+  // splitting on a capturing pattern puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ match: index % 2 === 1, text: part }))
+    .filter((part) => part.text.length > 0);
+};
+
+/**
+ * Converts a private or room message from the API to a line of a log.
+ * @param {object} message - The message.
+ * @param {string} selfUsername - The username of the logged in user, who sent outgoing private messages.
+ * @returns {{ message: string, self: boolean, timestamp: string, username: string }} The line.
+ */
+export const toLogEntry = (message, selfUsername) => {
+  // private messages carry the username of the other party and a direction;
+  // room messages carry the sender and whether it was us
+  return {
+    message: message.message ?? '',
+    self: message.direction
+      ? message.direction === 'Out'
+      : Boolean(message.self),
+    timestamp: message.timestamp,
+    username:
+      message.direction === 'Out'
+        ? selfUsername ?? message.username
+        : message.username,
+  };
+};
+
+const formatLogTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+
+  return Number.isNaN(date.getTime())
+    ? String(timestamp)
+    : date
+        .toISOString()
+        .replace('T', ' ')
+        .replace(/\.\d+Z$/u, 'Z');
+};
+
+const escapeHtml = (text) =>
+  String(text ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+
+const formatText = ({ entries, title }) =>
+  [
+    title,
+    '',
+    ...entries.map(
+      ({ message, timestamp, username }) =>
+        `[${formatLogTimestamp(timestamp)}] <${username}> ${message}`,
+    ),
+    '',
+  ].join('\n');
+
+const formatJson = ({ entries, title }) =>
+  JSON.stringify({ messages: entries, title }, null, 2);
+
+const formatHtml = ({ entries, title }) =>
+  [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; }',
+    '.time { color: #888; font-size: smaller; margin-right: .5em; }',
+    '.name { font-weight: bold; margin-right: .5em; }',
+    '.self { background-color: rgba(0, 0, 0, 0.03); }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    ...entries.map(
+      ({ message, self, timestamp, username }) =>
+        `<div class="message${self ? ' self' : ''}"><span class="time">${escapeHtml(
+          formatLogTimestamp(timestamp),
+        )}</span><span class="name">${escapeHtml(username)}</span><span class="text">${escapeHtml(
+          message,
+        )}</span></div>`,
+    ),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+
+export const exportFormats = {
+  html: {
+    extension: 'html',
+    format: formatHtml,
+    mime: 'text/html',
+    name: 'HTML',
+  },
+  json: {
+    extension: 'json',
+    format: formatJson,
+    mime: 'application/json',
+    name: 'JSON',
+  },
+  text: {
+    extension: 'txt',
+    format: formatText,
+    mime: 'text/plain',
+    name: 'Plain Text',
+  },
+};
+
+/**
+ * Formats a log of messages in one of the export formats.
+ * @param {object[]} entries - The messages, oldest first; see toLogEntry().
+ * @param {object} options
+ * @param {string} options.format - The format; one of the keys of exportFormats.
+ * @param {string} options.title - The title of the log.
+ * @returns {string} The formatted log.
+ * @throws If the format is unknown.
+ */
+export const formatLog = (entries, { format, title }) => {
+  const exporter = exportFormats[format];
+
+  if (!exporter) {
+    throw new Error(`Unknown export format ${format}`);
+  }
+
+  return exporter.format({ entries, title });
+};
+
+// keeps the name usable as a file name on any platform
+export const getExportFilename = (name, format) =>
+  `${String(name)
+    // eslint-disable-next-line no-control-regex
+    .replaceAll(/[\u0000-\u001F"*/:<>?\\|]/gu, '_')
+    .trim()}.${exportFormats[format].extension}`;
+
+/**
+ * Downloads a log of messages as a file.
+ * @param {object[]} entries - The messages, oldest first; see toLogEntry().
+ * @param {object} options
+ * @param {string} options.format - The format; one of the keys of exportFormats.
+ * @param {string} options.name - The name of the file, without an extension.
+ * @param {string} options.title - The title of the log.
+ */
+export const exportLog = (entries, { format, name, title }) => {
+  downloadFile(
+    formatLog(entries, { format, title }),
+    getExportFilename(name, format),
+    exportFormats[format].mime,
+  );
+};
+
+/**
+ * Fetches the complete log of a conversation or room.
+ * @param {object} params
+ * @param {string} [params.roomName] - The room; if omitted, the conversation with the username is fetched.
+ * @param {string} [params.username] - The username associated with the conversation.
+ * @param {string} params.selfUsername - The username of the logged in user.
+ * @returns {Promise<object[]>} The messages, oldest first; see toLogEntry().
+ */
+export const getLog = async ({ roomName, selfUsername, username }) => {
+  const messages = roomName
+    ? await getRoomHistory({ limit: 0, roomName })
+    : await getConversationHistory({ limit: 0, username });
+
+  return messages.map((message) => toLogEntry(message, selfUsername));
+};
@@ -0,0 +1,149 @@
+import {
+  formatLog,
+  getExportFilename,
+  splitMatches,
+  toLogEntry,
+  toTimestampRange,
+} from './messages';
+
+describe('messages', () => {
+  describe('toTimestampRange', () => {
+    it('includes the whole of both days', () => {
+      const { from, to } = toTimestampRange({
+        from: '2024-03-01',
+        to: '2024-03-02',
+      });
+
+      expect(new Date(from)).toEqual(new Date(2_024, 2, 1, 0, 0, 0, 0));
+      expect(new Date(to)).toEqual(new Date(2_024, 2, 2, 23, 59, 59, 999));
+    });
+
+    it('leaves missing or invalid dates unbounded', () => {
+      expect(toTimestampRange({ from: '', to: 'nope' })).toEqual({
+        from: undefined,
+        to: undefined,
+      });
+    });
+  });
+
+  describe('splitMatches', () => {
+    it('marks each occurrence of each word, ignoring case', () => {
+      expect(splitMatches('Foo bar FOO baz', 'foo baz')).toEqual([
+        { match: true, text: 'Foo' },
+        { match: false, text: ' bar ' },
+        { match: true, text: 'FOO' },
+        { match: false, text: ' ' },
+        { match: true, text: 'baz' },
+      ]);
+    });
+
+    it('treats words literally', () => {
+      expect(splitMatches('a (b) c', '(b)')).toEqual([
+        { match: false, text: 'a ' },
+        { match: true, text: '(b)' },
+        { match: false, text: ' c' },
+      ]);
+    });
+
+    it('returns the text unmarked when the query is empty', () => {
+      expect(splitMatches('hello', '  ')).toEqual([
+        { match: false, text: 'hello' },
+      ]);
+    });
+  });
+
+  describe('toLogEntry', () => {
+    it('attributes outgoing private messages to us', () => {
+      expect(
+        toLogEntry(
+          {
+            direction: 'Out',
+            message: 'hi',
+            timestamp: '2024-03-01T12:00:00Z',
+            username: 'bob',
+          },
+          'alice',
+        ),
+      ).toEqual({
+        message: 'hi',
+        self: true,
+        timestamp: '2024-03-01T12:00:00Z',
+        username: 'alice',
+      });
+    });
+
+    it('attributes incoming private messages to the other party', () => {
+      expect(
+        toLogEntry(
+          { direction: 'In', message: 'yo', username: 'bob' },
+          'alice',
+        ),
+      ).toMatchObject({ self: false, username: 'bob' });
+    });
+
+    it('uses the sender and self flag of room messages', () => {
+      expect(
+        toLogEntry({ message: 'hey', self: true, username: 'alice' }, 'alice'),
+      ).toMatchObject({ self: true, username: 'alice' });
+    });
+  });
+
+  describe('formatLog', () => {
+    const entries = [
+      {
+        message: 'hello <b>there</b> & "you"',
+        self: false,
+        timestamp: '2024-03-01T12:00:00.1234567Z',
+        username: 'bob',
+      },
+      {
+        message: 'hi',
+        self: true,
+        timestamp: '2024-03-01T12:00:05Z',
+        username: 'alice',
+      },
+    ];
+
+    it('formats plain text with a line per message', () => {
+      expect(formatLog(entries, { format: 'text', title: 'Chat with bob' }))
+        .toBe(`Chat with bob
+
+[2024-03-01 12:00:00Z] <bob> hello <b>there</b> & "you"
+[2024-03-01 12:00:05Z] <alice> hi
+`);
+    });
+
+    it('formats JSON that round trips', () => {
+      expect(
+        JSON.parse(formatLog(entries, { format: 'json', title: 'Chat' })),
+      ).toEqual({ messages: entries, title: 'Chat' });
+    });
+
+    it('escapes messages and names in HTML', () => {
+      const html = formatLog(
+        [{ ...entries[0], username: '<script>' }, entries[1]],
+        { format: 'html', title: 'a & b' },
+      );
+
+      expect(html).toContain('<title>a &amp; b</title>');
+      expect(html).toContain(
+        'hello &lt;b&gt;there&lt;/b&gt; &amp; &quot;you&quot;',
+      );
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('class="message self"');
+    });
+
+    it('throws for an unknown format', () => {
+      expect(() => formatLog(entries, { format: 'pdf', title: '' })).toThrow(
+        'Unknown export format pdf',
+      );
+    });
+  });
+
+  describe('getExportFilename', () => {
+    it('replaces characters that are not allowed in file names', () => {
+      expect(getExportFilename('room: a/b?', 'html')).toBe('room_ a_b_.html');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// desktop notifications for private messages and for mentions of our username
+// or keywords in rooms, using the browser's Notification API.  they're opt-in;
+// the choice is kept in localStorage, and the browser keeps the permission.
+import { messageNotificationsKey } from '../config';
+import { isHighlighted, wordPattern } from './roomActivity';
+
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window;
+
+export const getNotificationsEnabled = () =>
+  isNotificationSupported() &&
+  window.Notification.permission === 'granted' &&
+  localStorage.getItem(messageNotificationsKey) === 'true';
+
+/**
+ * Turns notifications on or off, asking the browser for permission if needed.
+ * @param {boolean} enabled - Whether notifications should be shown.
+ * @returns {Promise<boolean>} Whether notifications are now enabled; false if permission was denied.
+ */
+export const setNotificationsEnabled = async (enabled) => {
+  if (!enabled) {
+    localStorage.setItem(messageNotificationsKey, 'false');
+    return false;
+  }
+
+  if (!isNotificationSupported()) {
+    throw new Error("This browser doesn't support desktop notifications");
+  }
+
+  if (window.Notification.permission !== 'granted') {
+    const permission = await window.Notification.requestPermission();
+
+    if (permission !== 'granted') {
+      throw new Error(
+        'Notifications are blocked; allow them in the browser settings for this site',
+      );
+    }
+  }
+
+  localStorage.setItem(messageNotificationsKey, 'true');
+  return true;
+};
+
+/**
+ * Checks whether a room message mentions the username, ignoring case.
+ * @param {string} message - The message.
+ * @param {string} username - The username.
+ * @returns {boolean} Whether the username appears in the message as a whole word.
+ */
+export const isMention = (message, username) => {
+  if (!message || !username) {
+    return false;
+  }
+
+  return wordPattern(username).test(message);
+};
+
+/**
+ * Returns the notification to show for a private message, if any.
+ * @param {object} message - The message pushed by the messaging hub.
+ * @returns {object|undefined} The title, body and tag; undefined for sent or replayed messages.
+ */
+export const getPrivateMessageNotification = (message) => {
+  if (message.direction !== 'In' || message.wasReplayed) {
+    return undefined;
+  }
+
+  return {
+    body: message.message,
+    tag: `chat:${message.username}`,
+    title: `Message from ${message.username}`,
+  };
+};
+
+/**
+ * Returns the notification to show for a room message, if any.
+ * @param {object} message - The message pushed by the messaging hub.
+ * @param {string} username - The username of the logged in user.
+ * @param {RegExp[]} [keywords] - Patterns for the keywords to alert on; see roomActivity.js.
+ * @returns {object|undefined} The title, body and tag; undefined unless the message mentions the user or a keyword.
+ */
+export const getRoomMessageNotification = (
+  message,
+  username,
+  keywords = [],
+) => {
+  if (message.self) {
+    return undefined;
+  }
+
+  let title;
+
+  if (isMention(message.message, username)) {
+    title = `${message.username} mentioned you in ${message.roomName}`;
+  } else if (isHighlighted(message, keywords)) {
+    title = `${message.username} mentioned a keyword in ${message.roomName}`;
+  } else {
+    return undefined;
+  }
+
+  return {
+    body: message.message,
+    tag: `room:${message.roomName}`,
+    title,
+  };
+};
+
+export const notify = ({ body, onClick, tag, title }) => {
+  const notification = new window.Notification(title, { body, tag });
+
+  notification.addEventListener('click', () => {
+    window.focus();
+    onClick?.();
+    notification.close();
+  });
+
+  return notification;
+};
@@ -0,0 +1,136 @@
+import {
+  getNotificationsEnabled,
+  getPrivateMessageNotification,
+  getRoomMessageNotification,
+  isMention,
+  setNotificationsEnabled,
+} from './notifications';
+
+describe('notifications', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.Notification = {
+      permission: 'default',
+      requestPermission: jest.fn(async () => 'granted'),
+    };
+  });
+
+  afterEach(() => {
+    delete window.Notification;
+  });
+
+  describe('setNotificationsEnabled', () => {
+    it('asks for permission before enabling', async () => {
+      expect.assertions(2);
+
+      jest
+        .spyOn(window.Notification, 'requestPermission')
+        .mockImplementation(async () => {
+          window.Notification.permission = 'granted';
+          return 'granted';
+        });
+
+      await setNotificationsEnabled(true);
+
+      expect(window.Notification.requestPermission).toHaveBeenCalledTimes(1);
+      expect(getNotificationsEnabled()).toBe(true);
+    });
+
+    it('throws when permission is denied', async () => {
+      expect.assertions(2);
+
+      jest
+        .spyOn(window.Notification, 'requestPermission')
+        .mockImplementation(async () => 'denied');
+
+      await expect(setNotificationsEnabled(true)).rejects.toThrow('blocked');
+      expect(getNotificationsEnabled()).toBe(false);
+    });
+
+    it('disables without asking', async () => {
+      expect.assertions(2);
+
+      window.Notification.permission = 'granted';
+      await setNotificationsEnabled(true);
+      await setNotificationsEnabled(false);
+
+      expect(window.Notification.requestPermission).not.toHaveBeenCalled();
+      expect(getNotificationsEnabled()).toBe(false);
+    });
+  });
+
+  describe('isMention', () => {
+    it('matches the username as a whole word, ignoring case', () => {
+      expect(isMention('hey Alice, got a minute?', 'alice')).toBe(true);
+    });
+
+    it('does not match the username inside another word', () => {
+      expect(isMention('malice aforethought', 'alice')).toBe(false);
+    });
+
+    it('matches usernames containing special characters', () => {
+      expect(isMention('thanks [bob]!', '[bob]')).toBe(true);
+    });
+  });
+
+  describe('getPrivateMessageNotification', () => {
+    it('describes a received message', () => {
+      expect(
+        getPrivateMessageNotification({
+          direction: 'In',
+          message: 'hi',
+          username: 'alice',
+        }),
+      ).toEqual({ body: 'hi', tag: 'chat:alice', title: 'Message from alice' });
+    });
+
+    it('ignores sent and replayed messages', () => {
+      expect(
+        getPrivateMessageNotification({ direction: 'Out', message: 'hi' }),
+      ).toBeUndefined();
+      expect(
+        getPrivateMessageNotification({
+          direction: 'In',
+          message: 'hi',
+          wasReplayed: true,
+        }),
+      ).toBeUndefined();
+    });
+  });
+
+  describe('getRoomMessageNotification', () => {
+    const message = {
+      message: 'anyone seen bob?',
+      roomName: 'lobby',
+      username: 'alice',
+    };
+
+    it('describes a mention', () => {
+      expect(getRoomMessageNotification(message, 'bob')).toEqual({
+        body: 'anyone seen bob?',
+        tag: 'room:lobby',
+        title: 'alice mentioned you in lobby',
+      });
+    });
+
+    it('ignores messages that do not mention the user', () => {
+      expect(getRoomMessageNotification(message, 'carol')).toBeUndefined();
+    });
+
+    it('describes a keyword match', () => {
+      expect(
+        getRoomMessageNotification(
+          { ...message, message: 'any flac?' },
+          'bob',
+          [/flac/u],
+        ).title,
+      ).toBe('alice mentioned a keyword in lobby');
+    });
+
+    it('ignores our own messages', () => {
+      expect(
+        getRoomMessageNotification({ ...message, self: true }, 'bob'),
+      ).toBeUndefined();
+    });
+  });
+});
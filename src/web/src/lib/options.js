@@ -4,6 +4,18 @@ export const getCurrent = async () => {
   return (await api.get('/options')).data;
 };
 
+export const getStartup = async () => {
+  return (await api.get('/options/startup')).data;
+};
+
+export const getRestartRequired = async () => {
+  return (await api.get('/options/restart')).data;
+};
+
+export const getSecrets = async () => {
+  return (await api.get('/options/secrets')).data;
+};
+
 export const getCurrentDebugView = async () => {
   return (await api.get('/options/debug')).data;
 };
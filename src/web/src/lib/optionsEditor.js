@@ -0,0 +1,578 @@
+// the form-based options editor.  the form is generated from the shape of the
+// current options, and each change is written into the YAML configuration file
+// in place, so that its comments and layout are kept.  the revisions applied
+// with the editor are kept in localStorage, so they can be compared and rolled
+// back to; secrets are redacted first, and filled back in from the file being
+// edited.  which options are secrets is up to the server, from getSecrets().
+import { optionsHistoryKey } from '../config';
+import { getSecrets, getYaml, updateYaml, validateYaml } from './options';
+import YAML from 'yaml';
+import { Scalar, YAMLMap } from 'yaml/types';
+
+// the value the API returns in place of secrets
+export const redacted = '*****';
+
+export const maxRevisions = 20;
+
+/**
+ * Converts an option name, as it appears in the API, to the name used in the
+ * YAML file, e.g. 'listenPort' to 'listen_port'.
+ * @param {string} key - The name.
+ * @returns {string} The YAML name.
+ */
+export const toYamlKey = (key) =>
+  key.replaceAll(/(?<=.)([A-Z])/gu, '_$1').toLowerCase();
+
+const getFieldType = (value) => {
+  if (Array.isArray(value)) {
+    return value.every((item) => item === null || typeof item !== 'object')
+      ? 'list'
+      : 'unsupported';
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return 'object';
+  }
+
+  return { boolean: 'boolean', number: 'number' }[typeof value] ?? 'string';
+};
+
+/**
+ * Builds the fields of the form from the current options.  Objects become
+ * groups of fields, arrays of plain values become lists, and anything else the
+ * form can't edit (arrays of objects) is marked unsupported.  Options that are
+ * unset aren't returned by the API, so they aren't in the form.
+ * @param {object} options - The current options, from getCurrent().
+ * @param {string[]} [path] - The path to the options, used when recursing.
+ * @returns {object[]} The fields; each with a key, path and type, the children
+ *   of an object, and whether a string is a secret.
+ */
+export const getFields = (options, path = []) =>
+  Object.entries(options).map(([key, value]) => {
+    const field = { key, path: [...path, key], type: getFieldType(value) };
+
+    if (field.type === 'object') {
+      return { ...field, children: getFields(value, field.path) };
+    }
+
+    return { ...field, secret: value === redacted };
+  });
+
+/**
+ * Gets the value of an option from a parsed YAML file.
+ * @param {object} parsed - The parsed file.
+ * @param {string[]} path - The path to the option, as named in the API.
+ * @returns {*} The value, or undefined if the file doesn't set it.
+ */
+export const getYamlValue = (parsed, path) => {
+  let value = parsed;
+
+  for (const key of path) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+
+    // the name as it is in the API is preferred, so that the keys of
+    // dictionaries (e.g. user defined groups) aren't renamed
+    value = value[Object.hasOwn(value, key) ? key : toYamlKey(key)];
+  }
+
+  return value;
+};
+
+const nest = (path, value) =>
+  path.reduceRight((nested, key) => ({ [key]: nested }), value);
+
+const setIn = (document, path, value) => {
+  if (!(document.contents instanceof YAMLMap)) {
+    document.contents = YAML.createNode({});
+  }
+
+  let map = document.contents;
+
+  for (const [index, name] of path.entries()) {
+    const key = map.has(name) ? name : toYamlKey(name);
+    const node = map.get(key, true);
+
+    if (index === path.length - 1) {
+      if (value === undefined) {
+        map.delete(key);
+      } else if (
+        node instanceof Scalar &&
+        (value === null || typeof value !== 'object')
+      ) {
+        // a scalar is changed in place to keep any comment on the same line
+        node.value = value;
+      } else {
+        map.set(key, YAML.createNode(value));
+      }
+
+      return;
+    }
+
+    if (!(node instanceof YAMLMap)) {
+      if (value === undefined) {
+        return;
+      }
+
+      map.set(
+        key,
+        YAML.createNode(nest(path.slice(index + 1).map(toYamlKey), value)),
+      );
+      return;
+    }
+
+    map = node;
+  }
+};
+
+/**
+ * Writes changes to options into a YAML file.
+ * @param {string} yaml - The contents of the file.
+ * @param {{ path: string[], value: * }[]} changes - The options to set, by
+ *   their path as named in the API; an undefined value removes the option.
+ * @returns {string} The new contents of the file.
+ * @throws If the file isn't valid YAML.
+ */
+export const applyChanges = (yaml, changes) => {
+  const document = YAML.parseDocument(yaml ?? '');
+
+  if (document.errors.length > 0) {
+    throw new Error(
+      `The YAML can't be edited with the form until it's fixed: ${document.errors[0].message}`,
+    );
+  }
+
+  for (const { path, value } of changes) {
+    setIn(document, path, value);
+  }
+
+  return String(document);
+};
+
+const camelCase = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+// the member a validation message is about, e.g. 'The field ListenPort must
+// be between 1024 and 65535.' or 'The Username field is required.'
+const memberPattern = /^The (?:field (\w+)|(\w+) field)\b/u;
+
+/**
+ * Maps the errors from validateYaml() to the options they're about.  Errors are
+ * nested beneath the names of the sections they're in, indented by two spaces
+ * per level; anything that isn't (e.g. a YAML syntax error) is about the whole
+ * file.
+ * @param {string} [error] - The errors.
+ * @returns {{ message: string, path: string[] }[]} The errors, each with the
+ *   path to the option, or the section, it's about; empty for the whole file.
+ */
+export const parseValidationErrors = (error) => {
+  const lines = (error ?? '').split('\n').filter((line) => line.trim());
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  if (!lines[0].trim().endsWith(':')) {
+    return [{ message: error.trim(), path: [] }];
+  }
+
+  const sections = [];
+  const errors = [];
+
+  for (const line of lines.slice(1)) {
+    const depth = Math.floor((line.length - line.trimStart().length) / 2);
+    const text = line.trim();
+
+    sections.length = Math.max(0, depth - 1);
+
+    if (text.endsWith(':')) {
+      sections[depth - 1] = camelCase(text.slice(0, -1));
+      continue;
+    }
+
+    const match = memberPattern.exec(text);
+    const member = match?.[1] ?? match?.[2];
+
+    errors.push({
+      message: text,
+      path: [...sections, ...(member ? [camelCase(member)] : [])],
+    });
+  }
+
+  return errors;
+};
+
+// the number of lines at the start and end that two texts have in common
+const countCommonLines = (left, right) => {
+  let start = 0;
+  while (
+    start < left.length &&
+    start < right.length &&
+    left[start] === right[start]
+  ) {
+    start += 1;
+  }
+
+  let end = 0;
+  while (
+    end < left.length - start &&
+    end < right.length - start &&
+    left.at(-1 - end) === right.at(-1 - end)
+  ) {
+    end += 1;
+  }
+
+  return { end, start };
+};
+
+// the length of the longest common subsequence of the lines from each pair of
+// positions onwards, in a flat (a.length + 1) * (b.length + 1) table
+const getCommonLengths = (a, b) => {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  return (i, j) => lengths[i * width + j];
+};
+
+const getChangeType = (left, right) => {
+  if (left && right) return 'changed';
+  return left ? 'removed' : 'added';
+};
+
+// pairs up a run of removed lines with the run of added lines that replaced it
+const pairLines = (removed, added) =>
+  Array.from(
+    { length: Math.max(removed.length, added.length) },
+    (_, index) => ({
+      left: removed[index],
+      right: added[index],
+      type: getChangeType(removed[index], added[index]),
+    }),
+  );
+
+const unchanged = (left, right) => ({ left, right, type: 'unchanged' });
+
+/**
+ * Compares the lines of two texts for display side by side.  Lines that were
+ * removed and added in the same place are paired up as changed.
+ * @param {string} before - The original text.
+ * @param {string} after - The changed text.
+ * @returns {object[]} The rows; each with a type ('unchanged', 'changed',
+ *   'removed' or 'added') and the line on either side, with its number.
+ */
+export const diffLines = (before, after) => {
+  const left = (before ?? '').split('\n').map((text, index) => ({
+    number: index + 1,
+    text,
+  }));
+  const right = (after ?? '').split('\n').map((text, index) => ({
+    number: index + 1,
+    text,
+  }));
+  const { end, start } = countCommonLines(
+    left.map((line) => line.text),
+    right.map((line) => line.text),
+  );
+
+  // only the lines between those both texts start and end with need comparing
+  const a = left.slice(start, left.length - end);
+  const b = right.slice(start, right.length - end);
+  const commonLength = getCommonLengths(
+    a.map((line) => line.text),
+    b.map((line) => line.text),
+  );
+
+  const rows = left
+    .slice(0, start)
+    .map((line, index) => unchanged(line, right[index]));
+  let removed = [];
+  let added = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].text === b[j].text) {
+      rows.push(...pairLines(removed, added), unchanged(a[i], b[j]));
+      removed = [];
+      added = [];
+      i += 1;
+      j += 1;
+    } else if (
+      j >= b.length ||
+      (i < a.length && commonLength(i + 1, j) >= commonLength(i, j + 1))
+    ) {
+      removed.push(a[i]);
+      i += 1;
+    } else {
+      added.push(b[j]);
+      j += 1;
+    }
+  }
+
+  rows.push(...pairLines(removed, added));
+
+  for (let index = 0; index < end; index++) {
+    rows.push(
+      unchanged(
+        left[left.length - end + index],
+        right[right.length - end + index],
+      ),
+    );
+  }
+
+  return rows;
+};
+
+/**
+ * Collapses the unchanged rows of a diff that are far from any change.
+ * @param {object[]} rows - The rows, from diffLines().
+ * @param {number} [context] - The number of unchanged rows to keep either side of a change.
+ * @returns {object[]} The rows, with each run of collapsed rows replaced by a
+ *   row of type 'skipped' with the index of the first row it stands for, and
+ *   the number of them.
+ */
+export const collapseUnchanged = (rows, context = 3) => {
+  const near = rows.map(() => false);
+
+  for (const [index, row] of rows.entries()) {
+    if (row.type !== 'unchanged') {
+      for (
+        let other = Math.max(0, index - context);
+        other <= Math.min(rows.length - 1, index + context);
+        other++
+      ) {
+        near[other] = true;
+      }
+    }
+  }
+
+  const collapsed = [];
+
+  for (const [index, row] of rows.entries()) {
+    if (near[index]) {
+      collapsed.push(row);
+    } else if (collapsed.at(-1)?.type === 'skipped') {
+      collapsed.at(-1).count += 1;
+    } else {
+      collapsed.push({ count: 1, start: index, type: 'skipped' });
+    }
+  }
+
+  return collapsed;
+};
+
+// keys in the YAML file are compared without case, underscores or hyphens
+const normalizeSegment = (key) =>
+  String(key).toLowerCase().replaceAll(/[_-]/gu, '');
+
+// secrets are named like 'Web.Authentication.Users.*.Password', where '*'
+// stands for any key of a dictionary
+const isSecret = (secrets, path) =>
+  secrets.some(
+    (secret) =>
+      secret.length === path.length &&
+      secret.every(
+        (segment, index) =>
+          segment === '*' ||
+          normalizeSegment(segment) === normalizeSegment(path[index]),
+      ),
+  );
+
+const isSamePath = (a, b) =>
+  a.length === b.length &&
+  a.every(
+    (segment, index) =>
+      normalizeSegment(segment) === normalizeSegment(b[index]),
+  );
+
+// finds the secrets set in a YAML file, with where their values are in it and
+// how they're written, or undefined if the file isn't valid YAML or it isn't
+// known which options are secrets
+const findSecrets = (yaml, secretNames) => {
+  if (!Array.isArray(secretNames)) {
+    return undefined;
+  }
+
+  const secrets = secretNames.map((name) => name.split('.'));
+  const document = YAML.parseDocument(yaml, { keepCstNodes: true });
+
+  if (document.errors.length > 0) {
+    return undefined;
+  }
+
+  const found = [];
+
+  const visit = (map, path) => {
+    for (const { key, value } of map.items) {
+      const keyPath = [...path, key instanceof Scalar ? key.value : key];
+
+      if (value instanceof YAMLMap) {
+        visit(value, keyPath);
+      } else if (
+        value instanceof Scalar &&
+        value.value !== null &&
+        value.value !== '' &&
+        isSecret(secrets, keyPath)
+      ) {
+        const start = value.range[0];
+        let end = value.cstNode.valueRange.end;
+
+        // the value of a block scalar runs on to the start of the next line
+        if (yaml[end - 1] === '\n') {
+          end -= 1;
+        }
+
+        found.push({
+          end,
+          path: keyPath,
+          source: yaml.slice(start, end),
+          start,
+          value: value.value,
+        });
+      }
+    }
+  };
+
+  if (document.contents instanceof YAMLMap) {
+    visit(document.contents, []);
+  }
+
+  return found;
+};
+
+// replaces the values of secrets in the text of the file with the given text,
+// so that nothing else about it changes; the last are replaced first, so that
+// the positions of the others hold
+const replaceSecrets = (yaml, secrets, replace) =>
+  [...secrets]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, secret) => {
+      const replacement = replace(secret);
+
+      return replacement === undefined
+        ? text
+        : `${text.slice(0, secret.start)}${replacement}${text.slice(secret.end)}`;
+    }, yaml);
+
+/**
+ * Redacts the secrets in a YAML file, e.g. passwords and API keys.
+ * @param {string} yaml - The contents of the file.
+ * @param {string[]} secretNames - The options that are secrets, from getSecrets().
+ * @returns {string} The contents of the file with each secret replaced, or
+ *   undefined if the file isn't valid YAML, or the secrets aren't known, and
+ *   its secrets can't be found.
+ */
+export const redactSecrets = (yaml, secretNames) => {
+  const text = yaml ?? '';
+  const secrets = findSecrets(text, secretNames);
+
+  return (
+    secrets && replaceSecrets(text, secrets, () => JSON.stringify(redacted))
+  );
+};
+
+/**
+ * Fills the secrets redacted from a revision of a YAML file back in, with
+ * those in another revision.  Secrets the other revision doesn't set are left
+ * redacted, so that e.g. a revoked API key isn't restored with the revision.
+ * @param {string} yaml - The revision with the secrets redacted.
+ * @param {string} current - The revision with the secrets, e.g. the file being edited.
+ * @param {string[]} secretNames - The options that are secrets, from getSecrets().
+ * @returns {string} The revision with the secrets filled in.
+ */
+export const restoreSecrets = (yaml, current, secretNames) => {
+  const secrets = findSecrets(yaml, secretNames);
+  const known = findSecrets(current ?? '', secretNames) ?? [];
+
+  if (!secrets) {
+    return yaml;
+  }
+
+  return replaceSecrets(yaml, secrets, (secret) =>
+    secret.value === redacted
+      ? known.find((candidate) => isSamePath(candidate.path, secret.path))
+          ?.source
+      : undefined,
+  );
+};
+
+export const getHistory = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(optionsHistoryKey));
+
+    return Array.isArray(stored)
+      ? stored.filter((revision) => typeof revision?.yaml === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Records a change to the YAML file in the history.  The file as it was is
+ * recorded first, unless it's already the newest revision, so that there's
+ * always something to roll back to; only the newest revisions are kept.
+ * Secrets are redacted, and revisions whose secrets can't be found, because
+ * they aren't valid YAML or it isn't known which options are secrets, aren't
+ * recorded.
+ * @param {object} change
+ * @param {string} change.after - The contents of the file after the change.
+ * @param {string} change.before - The contents of the file before it.
+ * @param {string[]} change.secrets - The options that are secrets, from getSecrets().
+ * @param {Date} [now] - The time of the change.
+ * @returns {object[]} The history, newest first; each revision with the time it
+ *   was applied and the contents of the file.
+ */
+export const addRevision = ({ after, before, secrets }, now = new Date()) => {
+  let history = getHistory();
+  const original = redactSecrets(before, secrets);
+  const revision = redactSecrets(after, secrets);
+
+  if (original !== undefined && history[0]?.yaml !== original) {
+    history = [
+      { appliedAt: now.toISOString(), original: true, yaml: original },
+      ...history,
+    ];
+  }
+
+  if (revision !== undefined) {
+    history = [{ appliedAt: now.toISOString(), yaml: revision }, ...history];
+  }
+
+  history = history.slice(0, maxRevisions);
+
+  localStorage.setItem(optionsHistoryKey, JSON.stringify(history));
+
+  return history;
+};
+
+/**
+ * Changes the YAML file, once the change is validated, and records the change
+ * in the history.
+ * @param {Function} change - Called with the contents of the file, returns the new contents.
+ * @returns {Promise<string>} The new contents of the file.
+ * @throws If the change isn't valid, or can't be saved.
+ */
+export const saveChange = async (change) => {
+  const [before, secrets] = await Promise.all([getYaml(), getSecrets()]);
+  const after = change(before);
+  const error = await validateYaml({ yaml: after });
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  await updateYaml({ yaml: after });
+  addRevision({ after, before, secrets });
+
+  return after;
+};
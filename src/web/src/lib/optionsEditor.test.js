@@ -0,0 +1,405 @@
+import { optionsHistoryKey } from '../config';
+import { getSecrets, getYaml, updateYaml, validateYaml } from './options';
+import {
+  addRevision,
+  applyChanges,
+  collapseUnchanged,
+  diffLines,
+  getFields,
+  getHistory,
+  getYamlValue,
+  maxRevisions,
+  parseValidationErrors,
+  redactSecrets,
+  restoreSecrets,
+  saveChange,
+  toYamlKey,
+} from './optionsEditor';
+import YAML from 'yaml';
+
+jest.mock('./options', () => ({
+  getSecrets: jest.fn(),
+  getYaml: jest.fn(),
+  updateYaml: jest.fn(),
+  validateYaml: jest.fn(),
+}));
+
+// as named by the server
+const secrets = [
+  'Soulseek.Password',
+  'Web.Authentication.Jwt.Key',
+  'Web.Authentication.Users.*.Password',
+];
+
+describe('optionsEditor', () => {
+  describe('toYamlKey', () => {
+    it('converts option names to snake case', () => {
+      expect(toYamlKey('listenPort')).toBe('listen_port');
+      expect(toYamlKey('web')).toBe('web');
+    });
+  });
+
+  describe('getFields', () => {
+    it('types each field by its current value', () => {
+      expect(
+        getFields({
+          directories: { downloads: '/downloads' },
+          flags: { noLogo: true },
+          shares: { directories: ['/music'] },
+          soulseek: { listenPort: 50_300, password: '*****' },
+          users: [{ name: 'a' }],
+        }),
+      ).toEqual([
+        {
+          children: [
+            {
+              key: 'downloads',
+              path: ['directories', 'downloads'],
+              secret: false,
+              type: 'string',
+            },
+          ],
+          key: 'directories',
+          path: ['directories'],
+          type: 'object',
+        },
+        {
+          children: [
+            {
+              key: 'noLogo',
+              path: ['flags', 'noLogo'],
+              secret: false,
+              type: 'boolean',
+            },
+          ],
+          key: 'flags',
+          path: ['flags'],
+          type: 'object',
+        },
+        {
+          children: [
+            {
+              key: 'directories',
+              path: ['shares', 'directories'],
+              secret: false,
+              type: 'list',
+            },
+          ],
+          key: 'shares',
+          path: ['shares'],
+          type: 'object',
+        },
+        {
+          children: [
+            {
+              key: 'listenPort',
+              path: ['soulseek', 'listenPort'],
+              secret: false,
+              type: 'number',
+            },
+            {
+              key: 'password',
+              path: ['soulseek', 'password'],
+              secret: true,
+              type: 'string',
+            },
+          ],
+          key: 'soulseek',
+          path: ['soulseek'],
+          type: 'object',
+        },
+        {
+          key: 'users',
+          path: ['users'],
+          secret: false,
+          type: 'unsupported',
+        },
+      ]);
+    });
+  });
+
+  describe('getYamlValue', () => {
+    it('finds options by their snake case names', () => {
+      const parsed = YAML.parse('soulseek:\n  listen_port: 50300\n');
+
+      expect(getYamlValue(parsed, ['soulseek', 'listenPort'])).toBe(50_300);
+      expect(getYamlValue(parsed, ['web', 'port'])).toBeUndefined();
+    });
+
+    it('prefers keys as they are named in the API', () => {
+      const parsed = YAML.parse('groups:\n  myGroup:\n    upload_slots: 5\n');
+
+      expect(getYamlValue(parsed, ['groups', 'myGroup', 'uploadSlots'])).toBe(
+        5,
+      );
+    });
+  });
+
+  describe('applyChanges', () => {
+    it('changes values in place, keeping comments', () => {
+      const yaml = applyChanges(
+        '# settings\nsoulseek:\n  listen_port: 50300 # the port\n',
+        [{ path: ['soulseek', 'listenPort'], value: 50_400 }],
+      );
+
+      expect(yaml).toBe(
+        '# settings\nsoulseek:\n  listen_port: 50400 # the port\n',
+      );
+    });
+
+    it('creates the sections an option is in', () => {
+      const yaml = applyChanges('# nothing yet\n', [
+        { path: ['web', 'authentication', 'disabled'], value: true },
+        { path: ['shares', 'directories'], value: ['/music'] },
+      ]);
+
+      expect(YAML.parse(yaml)).toEqual({
+        shares: { directories: ['/music'] },
+        web: { authentication: { disabled: true } },
+      });
+    });
+
+    it('removes options set to undefined', () => {
+      expect(
+        applyChanges('web:\n  port: 5030\n  url_base: /\n', [
+          { path: ['web', 'urlBase'], value: undefined },
+          { path: ['soulseek', 'listenPort'], value: undefined },
+        ]),
+      ).toBe('web:\n  port: 5030\n');
+    });
+
+    it('refuses to edit invalid YAML', () => {
+      expect(() => applyChanges('a: [', [{ path: ['a'], value: 1 }])).toThrow(
+        "can't be edited",
+      );
+    });
+  });
+
+  describe('parseValidationErrors', () => {
+    it('maps errors to the options they are about', () => {
+      expect(
+        parseValidationErrors(
+          [
+            'Invalid configuration:',
+            '  Soulseek:',
+            '    The field ListenPort must be between 1024 and 65535.',
+            '  Web:',
+            '    Authentication:',
+            '      The Username field is required.',
+            '  Something is wrong.',
+          ].join('\n'),
+        ),
+      ).toEqual([
+        {
+          message: 'The field ListenPort must be between 1024 and 65535.',
+          path: ['soulseek', 'listenPort'],
+        },
+        {
+          message: 'The Username field is required.',
+          path: ['web', 'authentication', 'username'],
+        },
+        { message: 'Something is wrong.', path: [] },
+      ]);
+    });
+
+    it('returns other errors as about the whole file', () => {
+      expect(parseValidationErrors('Bad indentation')).toEqual([
+        { message: 'Bad indentation', path: [] },
+      ]);
+      expect(parseValidationErrors('')).toEqual([]);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('pairs up changed lines and keeps unchanged ones aligned', () => {
+      const rows = diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+
+      expect(rows.map((row) => row.type)).toEqual([
+        'unchanged',
+        'changed',
+        'unchanged',
+        'unchanged',
+        'added',
+      ]);
+      expect(rows[1]).toEqual({
+        left: { number: 2, text: 'b' },
+        right: { number: 2, text: 'B' },
+        type: 'changed',
+      });
+      expect(rows[4].right).toEqual({ number: 5, text: 'e' });
+    });
+
+    it('finds removed lines', () => {
+      expect(diffLines('a\nb\nc', 'a\nc').map((row) => row.type)).toEqual([
+        'unchanged',
+        'removed',
+        'unchanged',
+      ]);
+    });
+  });
+
+  describe('collapseUnchanged', () => {
+    it('collapses unchanged rows far from a change', () => {
+      const before = Array.from({ length: 10 }, (_, index) => `${index}`);
+      const after = [...before];
+      after[9] = 'changed';
+
+      expect(
+        collapseUnchanged(diffLines(before.join('\n'), after.join('\n')), 2),
+      ).toEqual([
+        { count: 7, start: 0, type: 'skipped' },
+        expect.objectContaining({ type: 'unchanged' }),
+        expect.objectContaining({ type: 'unchanged' }),
+        expect.objectContaining({ type: 'changed' }),
+      ]);
+    });
+  });
+
+  describe('redactSecrets', () => {
+    const yaml = `soulseek:
+  password: hunter2 # the password
+  description: not a secret
+web:
+  authentication:
+    users:
+      alice:
+        password: "correct horse"
+        role: readonly
+    jwt:
+      key: >-
+        folded
+        key
+`;
+
+    it('redacts secrets, and nothing else', () => {
+      expect(redactSecrets(yaml, secrets)).toBe(`soulseek:
+  password: "*****" # the password
+  description: not a secret
+web:
+  authentication:
+    users:
+      alice:
+        password: "*****"
+        role: readonly
+    jwt:
+      key: "*****"
+`);
+    });
+
+    it("can't redact a file that isn't valid YAML", () => {
+      expect(redactSecrets('soulseek: [', secrets)).toBeUndefined();
+    });
+
+    it("can't redact a file without knowing which options are secrets", () => {
+      expect(redactSecrets(yaml)).toBeUndefined();
+    });
+
+    it('fills secrets back in from another revision', () => {
+      const redacted = redactSecrets(yaml, secrets);
+
+      expect(restoreSecrets(redacted, yaml, secrets)).toBe(yaml);
+    });
+
+    it("leaves secrets the other revision doesn't set redacted", () => {
+      const redacted = redactSecrets(yaml, secrets);
+
+      expect(
+        YAML.parse(
+          restoreSecrets(redacted, 'soulseek:\n  password: hunter3\n', secrets),
+        ),
+      ).toMatchObject({
+        soulseek: { password: 'hunter3' },
+        web: { authentication: { users: { alice: { password: '*****' } } } },
+      });
+    });
+  });
+
+  describe('addRevision', () => {
+    beforeEach(() => {
+      localStorage.removeItem(optionsHistoryKey);
+    });
+
+    it('records the original file before the first change', () => {
+      const now = new Date('2024-01-01T00:00:00Z');
+
+      addRevision({ after: 'b', before: 'a', secrets }, now);
+      addRevision({ after: 'c', before: 'b', secrets }, now);
+
+      expect(getHistory()).toEqual([
+        { appliedAt: now.toISOString(), yaml: 'c' },
+        { appliedAt: now.toISOString(), yaml: 'b' },
+        { appliedAt: now.toISOString(), original: true, yaml: 'a' },
+      ]);
+    });
+
+    it('keeps only the newest revisions', () => {
+      for (let index = 0; index < maxRevisions + 5; index++) {
+        addRevision({ after: `${index + 1}`, before: `${index}`, secrets });
+      }
+
+      const history = getHistory();
+
+      expect(history).toHaveLength(maxRevisions);
+      expect(history[0].yaml).toBe(`${maxRevisions + 5}`);
+    });
+
+    it('keeps secrets out of the history', () => {
+      addRevision({
+        after: 'soulseek:\n  password: new\n',
+        before: 'soulseek:\n  password: old\n',
+        secrets,
+      });
+
+      expect(localStorage.getItem(optionsHistoryKey)).not.toMatch(/new|old/u);
+      expect(getHistory()[0].yaml).toBe('soulseek:\n  password: "*****"\n');
+    });
+
+    it('records nothing without knowing which options are secrets', () => {
+      addRevision({
+        after: 'soulseek:\n  password: new\n',
+        before: 'soulseek:\n  password: old\n',
+      });
+
+      expect(getHistory()).toEqual([]);
+    });
+
+    it('ignores a corrupt history', () => {
+      localStorage.setItem(optionsHistoryKey, '{');
+
+      expect(getHistory()).toEqual([]);
+    });
+  });
+
+  describe('saveChange', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+      localStorage.clear();
+      getYaml.mockResolvedValue('web:\n  port: 5030\n');
+      getSecrets.mockResolvedValue(secrets);
+    });
+
+    it('saves valid changes, and adds them to the history', async () => {
+      expect.assertions(2);
+
+      validateYaml.mockResolvedValue('');
+
+      const after = await saveChange((before) =>
+        applyChanges(before, [{ path: ['web', 'port'], value: 5_031 }]),
+      );
+
+      expect(updateYaml).toHaveBeenCalledWith({ yaml: after });
+      expect(getHistory()[0].yaml).toBe(after);
+    });
+
+    it('refuses invalid changes', async () => {
+      expect.assertions(2);
+
+      validateYaml.mockResolvedValue('Invalid configuration');
+
+      await expect(saveChange((before) => before)).rejects.toThrow(
+        'Invalid configuration',
+      );
+      expect(updateYaml).not.toHaveBeenCalled();
+    });
+  });
+});
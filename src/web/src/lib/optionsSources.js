@@ -0,0 +1,221 @@
+// where the value of each setting comes from.  settings are given defaults,
+// then read from environment variables, the YAML file, the command line and
+// an overlay applied through the API, each superseding the last.  the debug
+// view of the configuration says which of them supplied each value in effect;
+// it's merged here with the YAML file and the options in use, to find the
+// settings in the YAML that are overridden or ignored, and the changes that
+// are waiting for a restart.
+import { toYamlKey } from './optionsEditor';
+import YAML from 'yaml';
+
+// in the order they're applied
+export const layers = {
+  default: 'Default',
+  environment: 'Environment Variable',
+  yaml: 'YAML',
+  commandLine: 'Command Line',
+  overlay: 'Overlay',
+};
+
+const providers = {
+  CommandLine: 'commandLine',
+  DefaultValue: 'default',
+  EnvironmentVariable: 'environment',
+  VolatileOverlay: 'overlay',
+  Yaml: 'yaml',
+};
+
+// e.g. '  listenport=50300 (YamlConfigurationProvider for 'slskd.yml' (Optional))'
+// or '  soulseek:', indented by two spaces per level
+const linePattern =
+  /^(?<indent> *)(?<key>[^\s=][^=]*?)(?:=(?<value>.*) \((?<provider>\w+ConfigurationProvider\S*(?: .*)?)\)|:)$/u;
+
+const indexPattern = /^\d+$/u;
+
+const getLayer = (provider) =>
+  providers[provider.replace(/ConfigurationProvider.*$/u, '')] ?? provider;
+
+/**
+ * Converts the path to a setting to the key the configuration knows it by;
+ * keys are compared without regard to case, underscores or hyphens.
+ * @param {string[]} path - The path.
+ * @returns {string} The key.
+ */
+export const normalizeKey = (path) =>
+  path
+    .map((segment) => String(segment).toLowerCase().replaceAll(/[_-]/gu, ''))
+    .join('.');
+
+/**
+ * Parses the debug view of the configuration.  The items of a list are merged
+ * into the list, and as lists are added to by each layer rather than replaced,
+ * a list can come from more than one.
+ * @param {string} [debugView] - The debug view, from getCurrentDebugView().
+ * @returns {Map<string, object>} The settings, by key; each with its path, the
+ *   layers that supplied it, and its value or the items of a list.
+ */
+export const parseDebugView = (debugView) => {
+  const settings = new Map();
+  const path = [];
+
+  for (const line of (debugView ?? '').split(/\r?\n/u)) {
+    const match = linePattern.exec(line);
+
+    if (!match) {
+      continue;
+    }
+
+    const { indent, key, provider, value } = match.groups;
+    const depth = Math.floor(indent.length / 2);
+
+    path.length = depth;
+    path[depth] = key;
+
+    if (provider === undefined) {
+      continue;
+    }
+
+    // the first segment is the name of the application
+    const index = path.findIndex(
+      (segment, position) => position > 0 && indexPattern.test(segment),
+    );
+    const settingPath = path.slice(1, index === -1 ? undefined : index);
+    const settingKey = normalizeKey(settingPath);
+    const setting = settings.get(settingKey) ?? {
+      items: [],
+      layers: [],
+      path: settingPath,
+    };
+    const layer = getLayer(provider);
+
+    if (index === -1) {
+      setting.value = value;
+    } else {
+      setting.items.push(value);
+    }
+
+    if (!setting.layers.includes(layer)) {
+      setting.layers.push(layer);
+    }
+
+    settings.set(settingKey, setting);
+  }
+
+  return settings;
+};
+
+/**
+ * Flattens options into their settings; lists are settings of their own.
+ * @param {object} options - The options.
+ * @param {string[]} [path] - The path to the options, used when recursing.
+ * @returns {{ path: string[], value: * }[]} The settings.
+ */
+export const flatten = (options, path = []) =>
+  Object.entries(options ?? {}).flatMap(([key, value]) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? flatten(value, [...path, key])
+      : [{ path: [...path, key], value }],
+  );
+
+const byKey = (settings) =>
+  new Map(settings.map((setting) => [normalizeKey(setting.path), setting]));
+
+const parseYaml = (yaml) => {
+  try {
+    const parsed = YAML.parse(yaml ?? '');
+    return parsed !== null && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const layerOrder = Object.keys(layers);
+
+const getValue = (source) =>
+  source?.items.length > 0 ? source.items : source?.value;
+
+/**
+ * Merges everything known about where the settings come from.
+ * @param {object} sources
+ * @param {string} [sources.debugView] - The debug view of the configuration; without it
+ *   the layer each setting comes from, and whether it's overridden, is unknown.
+ * @param {object} sources.options - The options in use.
+ * @param {boolean} [sources.pendingRestart] - Whether the application is waiting to be
+ *   restarted, from the application state.
+ * @param {string[]} [sources.restartRequired] - The names of the settings that need a
+ *   restart to take effect, e.g. 'Web.Port'.
+ * @param {object} [sources.startup] - The options at startup.
+ * @param {string} [sources.yaml] - The contents of the YAML file.
+ * @returns {object[]} A row for each setting, sorted by name; with the layers
+ *   that supplied its value in effect, the value in the YAML if it's set
+ *   there, whether that's overridden by a later layer or ignored because it's
+ *   not a setting at all, whether a change needs a restart to take effect, and
+ *   whether there's a change waiting for one.
+ */
+export const mergeSources = ({
+  debugView,
+  options,
+  pendingRestart = false,
+  restartRequired = [],
+  startup,
+  yaml,
+}) => {
+  const debug = parseDebugView(debugView);
+  const current = byKey(flatten(options));
+  const atStartup = byKey(flatten(startup));
+  // settings set to null in the YAML aren't read from it at all
+  const fromYaml = byKey(
+    flatten(parseYaml(yaml)).filter((setting) => setting.value !== null),
+  );
+  const restart = restartRequired.map((name) => normalizeKey(name.split('.')));
+
+  // a list in the options is set by the YAML entries beneath it, if any
+  const isKnown = (key) => {
+    const segments = key.split('.');
+    return segments.some((_, index) =>
+      current.has(segments.slice(0, index + 1).join('.')),
+    );
+  };
+
+  const keys = new Set([
+    ...current.keys(),
+    ...debug.keys(),
+    ...fromYaml.keys(),
+  ]);
+
+  return [...keys]
+    .map((key) => {
+      const source = debug.get(key);
+      const layer = source?.layers.at(-1);
+      const inYaml = fromYaml.has(key);
+      const requiresRestart = restart.some(
+        (name) => key === name || key.startsWith(`${name}.`),
+      );
+
+      return {
+        ignored: inYaml && !isKnown(key),
+        key,
+        layer,
+        layers: source?.layers ?? [],
+        name: (
+          fromYaml.get(key)?.path ??
+          current.get(key)?.path.map(toYamlKey) ??
+          source.path
+        ).join('.'),
+        overridden:
+          inYaml &&
+          source !== undefined &&
+          !source.layers.includes('yaml') &&
+          layerOrder.indexOf(layer) > layerOrder.indexOf('yaml'),
+        pending:
+          pendingRestart &&
+          requiresRestart &&
+          JSON.stringify(atStartup.get(key)?.value) !==
+            JSON.stringify(current.get(key)?.value),
+        requiresRestart,
+        value: current.has(key) ? current.get(key).value : getValue(source),
+        yaml: fromYaml.get(key)?.value,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
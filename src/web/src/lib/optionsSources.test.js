@@ -0,0 +1,137 @@
+import {
+  flatten,
+  mergeSources,
+  normalizeKey,
+  parseDebugView,
+} from './optionsSources';
+
+const debugView = [
+  'slskd:',
+  '  remoteconfiguration=True (CommandLineConfigurationProvider)',
+  '  shares:',
+  '    directories=[] (DefaultValueConfigurationProvider)',
+  '    directories:',
+  "      0=/music (YamlConfigurationProvider for 'slskd.yml' (Optional))",
+  '      1=/books (EnvironmentVariableConfigurationProvider)',
+  '  soulseek:',
+  "    listenport=50400 (YamlConfigurationProvider for 'slskd.yml' (Optional))",
+  "    typo=1 (YamlConfigurationProvider for 'slskd.yml' (Optional))",
+  '  web:',
+  '    port=5031 (VolatileOverlayConfigurationProvider`1)',
+].join('\n');
+
+const options = {
+  remoteConfiguration: true,
+  shares: { directories: ['/music', '/books'] },
+  soulseek: { listenPort: 50_400 },
+  web: { port: 5_031 },
+};
+
+const merge = (sources) =>
+  Object.fromEntries(
+    mergeSources({ debugView, options, ...sources }).map((row) => [
+      row.name,
+      row,
+    ]),
+  );
+
+describe('optionsSources', () => {
+  describe('normalizeKey', () => {
+    it('ignores case, underscores and hyphens', () => {
+      expect(normalizeKey(['Soulseek', 'listen_port'])).toBe(
+        normalizeKey(['soulseek', 'listenPort']),
+      );
+    });
+  });
+
+  describe('flatten', () => {
+    it('flattens options into settings, keeping lists whole', () => {
+      expect(flatten({ a: { b: 1, c: ['x'] }, d: null })).toEqual([
+        { path: ['a', 'b'], value: 1 },
+        { path: ['a', 'c'], value: ['x'] },
+        { path: ['d'], value: null },
+      ]);
+    });
+  });
+
+  describe('parseDebugView', () => {
+    it('finds the layer that supplied each value', () => {
+      const settings = parseDebugView(debugView);
+
+      expect(settings.get('soulseek.listenport')).toEqual({
+        items: [],
+        layers: ['yaml'],
+        path: ['soulseek', 'listenport'],
+        value: '50400',
+      });
+      expect(settings.get('web.port').layers).toEqual(['overlay']);
+    });
+
+    it('merges the items of lists, from every layer', () => {
+      expect(parseDebugView(debugView).get('shares.directories')).toEqual({
+        items: ['/music', '/books'],
+        layers: ['default', 'yaml', 'environment'],
+        path: ['shares', 'directories'],
+        value: '[]',
+      });
+    });
+  });
+
+  describe('mergeSources', () => {
+    it('flags settings in the YAML that a later layer overrides', () => {
+      const rows = merge({
+        yaml: 'web:\n  port: 5030\nremote_configuration: false\n',
+      });
+
+      expect(rows['web.port']).toMatchObject({
+        layer: 'overlay',
+        overridden: true,
+        value: 5_031,
+        yaml: 5_030,
+      });
+      expect(rows.remote_configuration.overridden).toBe(true);
+      expect(rows['soulseek.listen_port'].overridden).toBe(false);
+    });
+
+    it('flags settings in the YAML that are not settings', () => {
+      const rows = merge({
+        yaml: 'soulseek:\n  typo: 1\nshares:\n  directories:\n    - /music\n',
+      });
+
+      expect(rows['soulseek.typo'].ignored).toBe(true);
+      expect(rows['shares.directories'].ignored).toBe(false);
+    });
+
+    it('finds changes waiting for a restart', () => {
+      const rows = merge({
+        pendingRestart: true,
+        restartRequired: ['Web.Port', 'Soulseek'],
+        startup: { ...options, web: { port: 5_030 } },
+      });
+
+      expect(rows['web.port']).toMatchObject({
+        pending: true,
+        requiresRestart: true,
+      });
+      expect(rows['soulseek.listen_port']).toMatchObject({
+        pending: false,
+        requiresRestart: true,
+      });
+      expect(rows.remote_configuration.requiresRestart).toBe(false);
+    });
+
+    it('does without the debug view', () => {
+      const rows = merge({
+        debugView: undefined,
+        yaml: 'web:\n  port: 5030\n',
+      });
+
+      expect(rows['web.port']).toMatchObject({
+        layer: undefined,
+        overridden: false,
+        value: 5_031,
+        yaml: 5_030,
+      });
+    });
+  });
+});
@@ -131,3 +131,45 @@ export const getExceptionPareto = async ({
     )
   ).data;
 };
+
+// the summary and each histogram bucket are keyed by direction, then by the
+// final state of the transfers
+export const sumCounts = (directionData = {}) =>
+  Object.values(directionData).reduce((sum, s) => sum + (s.count ?? 0), 0);
+
+export const sumBytes = (directionData = {}) =>
+  Object.values(directionData).reduce((sum, s) => sum + (s.totalBytes ?? 0), 0);
+
+const errorCount = (directionData = {}) =>
+  (directionData.Errored?.count ?? 0) +
+  (directionData.Cancelled?.count ?? 0) +
+  (directionData.TimedOut?.count ?? 0);
+
+export const buildChartData = (histogram) =>
+  Object.entries(histogram)
+    .sort(([a], [b]) => new Date(a) - new Date(b))
+    .map(([timestamp, directions]) => {
+      const uploadBytes = sumBytes(directions.Upload ?? {});
+      const downloadBytes = sumBytes(directions.Download ?? {});
+      const uploadCount = sumCounts(directions.Upload ?? {});
+      const downloadCount = sumCounts(directions.Download ?? {});
+      const uploadErrors = errorCount(directions.Upload ?? {});
+      const downloadErrors = errorCount(directions.Download ?? {});
+      return {
+        downloadBytes,
+        downloadCount,
+        downloadErrorRate:
+          downloadCount > 0 ? (downloadErrors / downloadCount) * 100 : 0,
+        downloadErrors,
+        downloadSpeed: directions.Download?.Succeeded?.averageSpeed ?? 0,
+        shareRatio: downloadBytes > 0 ? uploadBytes / downloadBytes : 0,
+        timestamp: new Date(timestamp).getTime(),
+        uploadBytes,
+        uploadCount,
+        uploadErrorRate:
+          uploadCount > 0 ? (uploadErrors / uploadCount) * 100 : 0,
+        uploadErrors,
+        uploadSpeed: directions.Upload?.Succeeded?.averageSpeed ?? 0,
+        uploadWait: directions.Upload?.Succeeded?.averageWait ?? 0,
+      };
+    });
@@ -328,3 +328,30 @@ describe('reports', () => {
     });
   });
 });
+
+describe('report summaries', () => {
+  const directionData = {
+    Errored: { count: 1, totalBytes: 0 },
+    Succeeded: { count: 3, totalBytes: 300 },
+  };
+
+  it('sums counts and bytes across states', () => {
+    expect(reports.sumCounts(directionData)).toBe(4);
+    expect(reports.sumBytes(directionData)).toBe(300);
+    expect(reports.sumCounts(undefined)).toBe(0);
+  });
+
+  it('builds chart data in time order', () => {
+    const data = reports.buildChartData({
+      '2024-01-02T00:00:00Z': { Upload: directionData },
+      '2024-01-01T00:00:00Z': { Download: directionData },
+    });
+
+    expect(data.map((point) => point.timestamp)).toEqual([
+      Date.parse('2024-01-01T00:00:00Z'),
+      Date.parse('2024-01-02T00:00:00Z'),
+    ]);
+    expect(data[0].downloadBytes).toBe(300);
+    expect(data[1].uploadErrorRate).toBe(25);
+  });
+});
@@ -0,0 +1,185 @@
+// unread tracking and highlighting for chat rooms.  the last message read in
+// each room, and the keywords that should be highlighted in addition to our
+// username, are kept in localStorage so they survive reloads.
+import { roomKeywordsKey, roomReadPositionsKey } from '../config';
+
+const escapeRegExp = (text) => text.replaceAll(/[$()*+.?[\\\]^{|}]/gu, '\\$&');
+
+// '/pattern/flags'; anything else is a plain keyword
+const regexKeywordPattern = /^\/(?<source>.+)\/(?<flags>[gimsuy]*)$/u;
+
+/**
+ * Builds a pattern that matches the text as a whole word, ignoring case.
+ * @param {string} text - The text.
+ * @returns {RegExp} The pattern.
+ */
+export const wordPattern = (text) =>
+  new RegExp(
+    `(?:^|[^\\p{L}\\p{N}_])${escapeRegExp(text)}(?:$|[^\\p{L}\\p{N}_])`,
+    'iu',
+  );
+
+/**
+ * Builds the pattern for a keyword; either a regular expression written as
+ * '/pattern/flags', or a plain keyword matched as a whole word, ignoring case.
+ * @param {string} keyword - The keyword.
+ * @returns {RegExp} The pattern.
+ * @throws If the keyword is blank, or is an invalid regular expression.
+ */
+export const parseKeyword = (keyword) => {
+  const value = (keyword ?? '').trim();
+
+  if (value.length === 0) {
+    throw new Error('A keyword can not be blank');
+  }
+
+  const match = regexKeywordPattern.exec(value);
+
+  if (!match) {
+    return wordPattern(value);
+  }
+
+  try {
+    // 'g' and 'y' make test() stateful, which isn't what anyone wants here
+    return new RegExp(
+      match.groups.source,
+      match.groups.flags.replaceAll(/[gy]/gu, ''),
+    );
+  } catch (error) {
+    throw new Error(`Invalid regular expression ${value}: ${error.message}`, {
+      cause: error,
+    });
+  }
+};
+
+export const getKeywords = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(roomKeywordsKey));
+
+    return Array.isArray(stored)
+      ? stored.filter((k) => typeof k === 'string' && k.trim().length > 0)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Replaces the stored keywords.
+ * @param {string[]} keywords - The keywords; blank entries and duplicates are dropped.
+ * @returns {string[]} The stored keywords.
+ * @throws If any of the keywords is an invalid regular expression.
+ */
+export const saveKeywords = (keywords) => {
+  const values = [
+    ...new Set(keywords.map((k) => k.trim()).filter((k) => k.length > 0)),
+  ];
+
+  // throws for the first one that's invalid
+  for (const value of values) {
+    parseKeyword(value);
+  }
+
+  localStorage.setItem(roomKeywordsKey, JSON.stringify(values));
+
+  return values;
+};
+
+/**
+ * Builds the patterns for the messages that should be highlighted; those that
+ * mention our username, and those that match any of the keywords.  keywords
+ * that can't be parsed are skipped.
+ * @param {object} params
+ * @param {string} [params.username] - The username of the logged in user.
+ * @param {string[]} [params.keywords] - The keywords; defaults to the stored keywords.
+ * @returns {RegExp[]} The patterns.
+ */
+export const getHighlightPatterns = ({
+  keywords = getKeywords(),
+  username,
+} = {}) => {
+  const patterns = username ? [wordPattern(username)] : [];
+
+  for (const keyword of keywords) {
+    try {
+      patterns.push(parseKeyword(keyword));
+    } catch {
+      // skip it; saveKeywords() keeps these out, but storage can be edited
+    }
+  }
+
+  return patterns;
+};
+
+export const isHighlighted = (message, patterns) =>
+  !message.self &&
+  typeof message.message === 'string' &&
+  patterns.some((pattern) => pattern.test(message.message));
+
+export const getReadPositions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(roomReadPositionsKey));
+
+    return stored && typeof stored === 'object' && !Array.isArray(stored)
+      ? stored
+      : {};
+  } catch {
+    return {};
+  }
+};
+
+export const getReadPosition = (roomName) => getReadPositions()[roomName];
+
+/**
+ * Records that the messages in a room have been read up to and including the
+ * specified timestamp.  the position only ever moves forward.
+ * @param {string} roomName - The name of the room.
+ * @param {string} timestamp - The timestamp of the last message read.
+ * @returns {string} The read position.
+ */
+export const setReadPosition = (roomName, timestamp) => {
+  const positions = getReadPositions();
+  const current = positions[roomName];
+
+  if (current && Date.parse(current) >= Date.parse(timestamp)) {
+    return current;
+  }
+
+  localStorage.setItem(
+    roomReadPositionsKey,
+    JSON.stringify({ ...positions, [roomName]: timestamp }),
+  );
+
+  return timestamp;
+};
+
+export const isUnread = (message, readPosition) =>
+  !message.self &&
+  (readPosition === undefined ||
+    Date.parse(message.timestamp) > Date.parse(readPosition));
+
+/**
+ * Counts the unread messages in a room, and how many of them are highlighted.
+ * @param {object[]} messages - The messages in the room, oldest first.
+ * @param {object} params
+ * @param {RegExp[]} params.patterns - The highlight patterns; see getHighlightPatterns().
+ * @param {string} [params.readPosition] - The timestamp of the last message read.
+ * @returns {{ mentions: number, unread: number }} The counts.
+ */
+export const countUnread = (messages, { patterns, readPosition }) =>
+  messages.reduce(
+    (counts, message) => {
+      if (!isUnread(message, readPosition)) {
+        return counts;
+      }
+
+      return {
+        mentions: counts.mentions + (isHighlighted(message, patterns) ? 1 : 0),
+        unread: counts.unread + 1,
+      };
+    },
+    { mentions: 0, unread: 0 },
+  );
+
+export const getTotalMentions = (activity) =>
+  Object.values(activity).reduce((total, room) => total + room.mentions, 0);
@@ -0,0 +1,131 @@
+import {
+  countUnread,
+  getHighlightPatterns,
+  getKeywords,
+  getReadPosition,
+  getTotalMentions,
+  isHighlighted,
+  parseKeyword,
+  saveKeywords,
+  setReadPosition,
+} from './roomActivity';
+
+describe('roomActivity', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('parseKeyword', () => {
+    it('matches a plain keyword as a whole word, ignoring case', () => {
+      const pattern = parseKeyword('FLAC');
+
+      expect(pattern.test('got any flac?')).toBe(true);
+      expect(pattern.test('flacs')).toBe(false);
+    });
+
+    it('parses a regular expression with flags', () => {
+      expect(parseKeyword('/vinyl ?rip/i').test('VinylRip')).toBe(true);
+    });
+
+    it('drops flags that make matching stateful', () => {
+      expect(parseKeyword('/a/gy').flags).toBe('');
+    });
+
+    it('throws for an invalid regular expression', () => {
+      expect(() => parseKeyword('/(/')).toThrow('Invalid regular expression');
+    });
+
+    it('throws for a blank keyword', () => {
+      expect(() => parseKeyword('  ')).toThrow('blank');
+    });
+  });
+
+  describe('saveKeywords', () => {
+    it('stores trimmed, distinct keywords', () => {
+      saveKeywords([' flac ', '', 'flac', '/vinyl/']);
+
+      expect(getKeywords()).toEqual(['flac', '/vinyl/']);
+    });
+
+    it('stores nothing if any keyword is invalid', () => {
+      saveKeywords(['flac']);
+
+      expect(() => saveKeywords(['mp3', '/(/'])).toThrow(
+        'Invalid regular expression',
+      );
+      expect(getKeywords()).toEqual(['flac']);
+    });
+  });
+
+  describe('getHighlightPatterns', () => {
+    it('skips keywords that can not be parsed', () => {
+      localStorage.setItem('slskd-room-keywords', JSON.stringify(['/(/', 'a']));
+
+      expect(getHighlightPatterns({ username: 'bob' })).toHaveLength(2);
+    });
+  });
+
+  describe('isHighlighted', () => {
+    const patterns = getHighlightPatterns({
+      keywords: ['flac'],
+      username: 'bob',
+    });
+
+    it('highlights mentions of the username and keywords', () => {
+      expect(isHighlighted({ message: 'hi bob' }, patterns)).toBe(true);
+      expect(isHighlighted({ message: 'flac please' }, patterns)).toBe(true);
+    });
+
+    it('does not highlight our own messages', () => {
+      expect(
+        isHighlighted({ message: 'flac please', self: true }, patterns),
+      ).toBe(false);
+    });
+  });
+
+  describe('setReadPosition', () => {
+    it('only moves forward', () => {
+      setReadPosition('lobby', '2026-10-19T12:00:00Z');
+      setReadPosition('lobby', '2026-10-19T11:00:00Z');
+
+      expect(getReadPosition('lobby')).toBe('2026-10-19T12:00:00Z');
+    });
+  });
+
+  describe('countUnread', () => {
+    const patterns = getHighlightPatterns({ keywords: [], username: 'bob' });
+    const messages = [
+      { message: 'bob?', timestamp: '2026-10-19T11:00:00Z' },
+      { message: 'hello', timestamp: '2026-10-19T12:00:00Z' },
+      { message: 'bob!', timestamp: '2026-10-19T13:00:00Z' },
+      { message: 'me', self: true, timestamp: '2026-10-19T14:00:00Z' },
+    ];
+
+    it('counts messages after the read position', () => {
+      expect(
+        countUnread(messages, {
+          patterns,
+          readPosition: '2026-10-19T11:00:00Z',
+        }),
+      ).toEqual({ mentions: 1, unread: 2 });
+    });
+
+    it('counts everything when the room has never been read', () => {
+      expect(countUnread(messages, { patterns })).toEqual({
+        mentions: 2,
+        unread: 3,
+      });
+    });
+  });
+
+  describe('getTotalMentions', () => {
+    it('adds up mentions across rooms', () => {
+      expect(
+        getTotalMentions({
+          a: { mentions: 1, unread: 4 },
+          b: { mentions: 2, unread: 2 },
+        }),
+      ).toBe(3);
+    });
+  });
+});
@@ -62,3 +62,38 @@ export const sendMessage = async ({ roomName, message }) => {
     JSON.stringify(message),
   );
 };
+
+// the number of messages the server keeps for each room
+export const roomMessageLimit = 250;
+
+/**
+ * Appends a message pushed by the messaging hub to a room, dropping the oldest
+ * messages once there are more than the server keeps.
+ * @param {object} room - The room, with messages and users.
+ * @param {object} message - The message.
+ * @param {number} [limit] - The number of messages to keep; more than the server keeps if earlier history was loaded.
+ * @returns {object} The updated room.
+ */
+export const applyRoomMessage = (room, message, limit = roomMessageLimit) => ({
+  ...room,
+  messages: [...(room.messages ?? []), message].slice(-limit),
+});
+
+/**
+ * Adds or removes a user from a room when the messaging hub reports that they
+ * joined or left.
+ * @param {object} room - The room, with messages and users.
+ * @param {object} event - The event pushed by the messaging hub.
+ * @param {object} [event.user] - The user's data, if they joined.
+ * @param {string} event.username - The username of the user.
+ * @param {boolean} joined - Whether the user joined, rather than left.
+ * @returns {object} The updated room.
+ */
+export const applyRoomMembership = (room, { user, username }, joined) => {
+  const users = (room.users ?? []).filter((u) => u.username !== username);
+
+  return {
+    ...room,
+    users: joined ? [...users, user ?? { username }] : users,
+  };
+};
@@ -0,0 +1,64 @@
+import { applyRoomMembership, applyRoomMessage } from './rooms';
+
+describe('rooms', () => {
+  describe('applyRoomMessage', () => {
+    it('appends the message', () => {
+      expect(
+        applyRoomMessage(
+          { messages: [{ message: 'a' }], users: [] },
+          {
+            message: 'b',
+          },
+        ).messages,
+      ).toEqual([{ message: 'a' }, { message: 'b' }]);
+    });
+
+    it('keeps only as many messages as the server does', () => {
+      const messages = Array.from({ length: 250 }, (_, index) => ({
+        message: `${index}`,
+      }));
+
+      const room = applyRoomMessage({ messages }, { message: 'new' });
+
+      expect(room.messages).toHaveLength(250);
+      expect(room.messages[0].message).toBe('1');
+    });
+
+    it('keeps more messages when given a higher limit', () => {
+      const messages = Array.from({ length: 300 }, (_, index) => ({
+        message: `${index}`,
+      }));
+
+      const room = applyRoomMessage({ messages }, { message: 'new' }, 301);
+
+      expect(room.messages).toHaveLength(301);
+      expect(room.messages[0].message).toBe('0');
+    });
+  });
+
+  describe('applyRoomMembership', () => {
+    const room = { messages: [], users: [{ username: 'alice' }] };
+
+    it('adds a user that joined', () => {
+      expect(
+        applyRoomMembership(
+          room,
+          { user: { status: 'Online', username: 'bob' }, username: 'bob' },
+          true,
+        ).users,
+      ).toEqual([{ username: 'alice' }, { status: 'Online', username: 'bob' }]);
+    });
+
+    it('replaces a user that joined again', () => {
+      expect(
+        applyRoomMembership(room, { username: 'alice' }, true).users,
+      ).toHaveLength(1);
+    });
+
+    it('removes a user that left', () => {
+      expect(
+        applyRoomMembership(room, { username: 'alice' }, false).users,
+      ).toEqual([]);
+    });
+  });
+});
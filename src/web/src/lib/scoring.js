@@ -0,0 +1,172 @@
+import { formatAttributes, getDirectoryName, getFileName } from './util';
+
+/**
+ * How much each component contributes to the score of a folder.  The weights sum
+ * to 1, and each component is a value between 0 and 1, so scores range from 0 to 100.
+ */
+export const scoreWeights = {
+  completeness: 0.15,
+  match: 0.15,
+  quality: 0.2,
+  queue: 0.15,
+  slot: 0.15,
+  speed: 0.2,
+};
+
+export const scoreLabels = {
+  completeness: 'Folder Completeness',
+  match: 'Query Match',
+  quality: 'Format Quality',
+  queue: 'Queue Depth',
+  slot: 'Free Upload Slot',
+  speed: 'Upload Speed',
+};
+
+// words in the search text, less any excluded (-word) terms and wildcards
+const getTerms = (searchText = '') =>
+  searchText
+    .toLowerCase()
+    .split(/\s+/u)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replaceAll('*', ''))
+    .filter(Boolean);
+
+/**
+ * Groups the files a user can actually download (not locked) by directory.
+ * @param {object} response - A search response.
+ * @param {object[]} [response.files] - The unlocked files in the response.
+ * @returns {{ directory: string, files: object[] }[]} The folders.
+ */
+export const getFolders = ({ files = [] }) =>
+  Object.entries(
+    files.reduce((folders, file) => {
+      const directory = getDirectoryName(file.filename);
+      folders[directory] = [...(folders[directory] ?? []), file];
+      return folders;
+    }, {}),
+  ).map(([directory, folderFiles]) => ({ directory, files: folderFiles }));
+
+// the most common value in the list, preferring the larger value in a tie
+const getMode = (values) => {
+  const counts = values.reduce(
+    (accumulator, value) =>
+      accumulator.set(value, (accumulator.get(value) ?? 0) + 1),
+    new Map(),
+  );
+
+  return [...counts.entries()].sort(
+    (a, b) => b[1] - a[1] || (b[0] > a[0] ? 1 : -1),
+  )[0]?.[0];
+};
+
+/**
+ * Rates the format of a file between 0 and 1; lossless files score 0.8 (16 bit)
+ * to 1 (24 bit), lossy files up to 0.7 (320 Kbps).
+ * @param {object} file - The file.
+ * @param {number} [file.bitDepth] - The bit depth, if lossless.
+ * @param {number} [file.bitRate] - The bit rate, if lossy.
+ * @param {number} [file.sampleRate] - The sample rate, if lossless.
+ * @returns {number} The rating.
+ */
+export const getFileQuality = ({ bitDepth, bitRate, sampleRate }) => {
+  if (sampleRate && bitDepth) {
+    return Math.min(1, 0.8 + (Math.max(bitDepth, 16) - 16) / 40);
+  }
+
+  if (bitRate) {
+    return Math.min(0.7, (bitRate / 320) * 0.7);
+  }
+
+  // many clients don't report attributes at all; assume middling quality
+  return 0.35;
+};
+
+/**
+ * Gathers what's needed to score individual responses relative to the rest
+ * of the responses to a search.
+ * @param {object} params
+ * @param {object[]} params.responses - All of the responses to the search.
+ * @param {string} [params.searchText] - The text that was searched for.
+ * @returns {object} The scoring context, for use with `scoreResponse`.
+ */
+export const getScoringContext = ({ responses = [], searchText = '' }) => {
+  const folderSizes = responses
+    .flatMap((response) => getFolders(response))
+    .map((folder) => folder.files.length)
+    .filter((size) => size > 1);
+
+  return {
+    maxQueueLength: Math.max(0, ...responses.map((r) => r.queueLength ?? 0)),
+    maxUploadSpeed: Math.max(0, ...responses.map((r) => r.uploadSpeed ?? 0)),
+    terms: getTerms(searchText),
+    typicalFolderSize: getMode(folderSizes) ?? 1,
+  };
+};
+
+/**
+ * Scores a single folder from a response.
+ *
+ * Speed and queue depth are relative to the best of all responses, completeness is
+ * the number of files relative to the most common folder size among all responses,
+ * and the query match is the fraction of search terms that appear in the folder
+ * or file names.
+ * @param {object} params
+ * @param {object} params.context - The scoring context, from `getScoringContext`.
+ * @param {string} params.directory - The name of the folder.
+ * @param {object[]} params.files - The files in the folder.
+ * @param {object} params.response - The response containing the folder.
+ * @returns {object} The `directory`, `files`, most common `format`, the `breakdown`
+ *   of each component between 0 and 1, and the overall `score` between 0 and 100.
+ */
+export const scoreFolder = ({ context, directory, files, response }) => {
+  const { maxQueueLength, maxUploadSpeed, terms, typicalFolderSize } = context;
+
+  const names = [
+    directory,
+    ...files.map((file) => getFileName(file.filename)),
+  ].map((name) => name.toLowerCase());
+
+  const breakdown = {
+    completeness: Math.min(1, files.length / typicalFolderSize),
+    match:
+      terms.length === 0
+        ? 1
+        : terms.filter((term) => names.some((name) => name.includes(term)))
+            .length / terms.length,
+    quality:
+      files.reduce((sum, file) => sum + getFileQuality(file), 0) / files.length,
+    queue:
+      maxQueueLength > 0 ? 1 - (response.queueLength ?? 0) / maxQueueLength : 1,
+    slot: response.hasFreeUploadSlot ? 1 : 0,
+    speed:
+      maxUploadSpeed > 0 ? (response.uploadSpeed ?? 0) / maxUploadSpeed : 0,
+  };
+
+  const score = Object.entries(scoreWeights).reduce(
+    (sum, [component, weight]) => sum + breakdown[component] * weight,
+    0,
+  );
+
+  return {
+    breakdown,
+    directory,
+    files,
+    format: getMode(files.map((file) => formatAttributes(file))) || 'Unknown',
+    score: Math.round(score * 100),
+  };
+};
+
+/**
+ * Scores each downloadable folder in a response and returns the best.
+ * @param {object} params
+ * @param {object} params.context - The scoring context, from `getScoringContext`.
+ * @param {object} params.response - The response to score.
+ * @returns {object|undefined} The best folder, as returned by `scoreFolder`, or
+ *   undefined if the response has no downloadable files.
+ */
+export const scoreResponse = ({ context, response }) =>
+  getFolders(response)
+    .map(({ directory, files }) =>
+      scoreFolder({ context, directory, files, response }),
+    )
+    .sort((a, b) => b.score - a.score || b.files.length - a.files.length)[0];
@@ -0,0 +1,120 @@
+import { getScoringContext, scoreFolder, scoreResponse } from './scoring';
+
+const makeFiles = (directory, count, attributes = {}) =>
+  Array.from({ length: count }, (_, index) => ({
+    filename: `${directory}\\${String(index + 1).padStart(2, '0')} - Track.flac`,
+    size: 1_000,
+    ...attributes,
+  }));
+
+const lossless = { bitDepth: 16, sampleRate: 44_100 };
+
+describe('scoring', () => {
+  describe('getScoringContext', () => {
+    it('finds the best speed and queue, and the most common folder size', () => {
+      const context = getScoringContext({
+        responses: [
+          {
+            files: makeFiles('Music\\Artist\\Album', 10),
+            queueLength: 4,
+            uploadSpeed: 100,
+          },
+          {
+            files: [...makeFiles('a\\Album', 10), ...makeFiles('a\\Bonus', 12)],
+            queueLength: 8,
+            uploadSpeed: 300,
+          },
+        ],
+        searchText: 'Artist Album -live',
+      });
+
+      expect(context).toEqual({
+        maxQueueLength: 8,
+        maxUploadSpeed: 300,
+        terms: ['artist', 'album'],
+        typicalFolderSize: 10,
+      });
+    });
+  });
+
+  describe('scoreFolder', () => {
+    const context = {
+      maxQueueLength: 10,
+      maxUploadSpeed: 200,
+      terms: ['artist', 'album'],
+      typicalFolderSize: 10,
+    };
+
+    it('scores a perfect folder 100', () => {
+      const result = scoreFolder({
+        context,
+        directory: 'Music\\Artist\\Album',
+        files: makeFiles('Music\\Artist\\Album', 10, {
+          bitDepth: 24,
+          sampleRate: 96_000,
+        }),
+        response: { hasFreeUploadSlot: true, queueLength: 0, uploadSpeed: 200 },
+      });
+
+      expect(result.score).toBe(100);
+      expect(result.format).toBe('24/96kHz');
+    });
+
+    it('breaks the score down by component', () => {
+      const { breakdown } = scoreFolder({
+        context,
+        directory: 'Music\\Artist\\Other',
+        files: makeFiles('Music\\Artist\\Other', 5, { bitRate: 160 }),
+        response: {
+          hasFreeUploadSlot: false,
+          queueLength: 5,
+          uploadSpeed: 50,
+        },
+      });
+
+      expect(breakdown).toEqual({
+        completeness: 0.5,
+        match: 0.5,
+        quality: 0.35,
+        queue: 0.5,
+        slot: 0,
+        speed: 0.25,
+      });
+    });
+  });
+
+  describe('scoreResponse', () => {
+    it('returns the best folder in the response', () => {
+      const response = {
+        files: [
+          ...makeFiles('a\\Artist - Album (mp3)', 10, { bitRate: 128 }),
+          ...makeFiles('a\\Artist - Album (flac)', 10, lossless),
+        ],
+        hasFreeUploadSlot: true,
+        lockedFiles: makeFiles('a\\Locked', 10, lossless),
+        queueLength: 0,
+        uploadSpeed: 100,
+      };
+
+      const context = getScoringContext({
+        responses: [response],
+        searchText: 'artist album',
+      });
+
+      expect(scoreResponse({ context, response }).directory).toBe(
+        'a\\Artist - Album (flac)',
+      );
+    });
+
+    it('returns undefined when no files can be downloaded', () => {
+      const response = { files: [], lockedFiles: makeFiles('a', 3) };
+
+      expect(
+        scoreResponse({
+          context: getScoringContext({ responses: [response] }),
+          response,
+        }),
+      ).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,506 @@
+/*
+  search result filter language
+
+  terms are matched, case insensitive, against the full remote filename.
+  adjacent terms must all match; OR (or |) matches either side, and binds
+  more loosely than adjacent terms.  parentheses group.
+
+    lackluster container         both terms
+    "lackluster container"       the exact phrase
+    -bothersome  -"a phrase"     exclude a term, phrase, filter or group
+    live OR (demo -remaster)     either side
+    path:live  path:"live at"    match the directory portion only
+    user:alice                   match the username of the response
+    ext:flac  ext:flac,mp3       match the file extension
+    iscbr isvbr islossless islossy
+    minbr:320     maxbr:320      bit rate (kbps)
+    minbd:24      maxbd:16       bit depth
+    minfs:50MB    maxfs:1GB      file size (B, KB, MB, GB, TB; bytes if omitted)
+    minlen:300    maxlen:600     length (seconds)
+    minfif:8      maxfif:20      files in folder
+
+  parsing never throws.  anything that can't be understood is reported as an
+  error with its position in the input, and left out of the resulting AST
+  so that the rest of the query still applies.
+*/
+
+const SIZE_UNITS = { b: 0, gb: 3, kb: 1, mb: 2, tb: 4 };
+
+const FLAGS = {
+  iscbr: 'isCBR',
+  islossless: 'isLossless',
+  islossy: 'isLossy',
+  isvbr: 'isVBR',
+};
+
+const parseWholeNumber = (value) =>
+  /^\d+$/u.test(value)
+    ? { value: Number.parseInt(value, 10) }
+    : { error: 'expected a whole number' };
+
+const parseSize = (value) => {
+  const match = /^(\d+(?:\.\d+)?)([a-z]*)$/iu.exec(value);
+  const unit = match?.[2].toLowerCase() || 'b';
+
+  if (!match || SIZE_UNITS[unit] === undefined) {
+    return {
+      error: 'expected a number, optionally followed by B, KB, MB, GB or TB',
+    };
+  }
+
+  return {
+    value: Math.round(Number.parseFloat(match[1]) * 1_024 ** SIZE_UNITS[unit]),
+  };
+};
+
+const comparison = (field, operator, parseValue = parseWholeNumber) => ({
+  field,
+  operator,
+  parseValue,
+});
+
+const COMPARISONS = {
+  maxbd: comparison('bitDepth', 'max'),
+  maxbitdepth: comparison('bitDepth', 'max'),
+  maxbitrate: comparison('bitRate', 'max'),
+  maxbr: comparison('bitRate', 'max'),
+  maxfif: comparison('filesInFolder', 'max'),
+  maxfilesinfolder: comparison('filesInFolder', 'max'),
+  maxfilesize: comparison('size', 'max', parseSize),
+  maxfs: comparison('size', 'max', parseSize),
+  maxlen: comparison('length', 'max'),
+  maxlength: comparison('length', 'max'),
+  minbd: comparison('bitDepth', 'min'),
+  minbitdepth: comparison('bitDepth', 'min'),
+  minbitrate: comparison('bitRate', 'min'),
+  minbr: comparison('bitRate', 'min'),
+  minfif: comparison('filesInFolder', 'min'),
+  minfilesinfolder: comparison('filesInFolder', 'min'),
+  minfilesize: comparison('size', 'min', parseSize),
+  minfs: comparison('size', 'min', parseSize),
+  minlen: comparison('length', 'min'),
+  minlength: comparison('length', 'min'),
+};
+
+const SCOPES = ['path', 'user'];
+
+const KEYWORDS = [
+  ...Object.keys(FLAGS),
+  ...Object.keys(COMPARISONS),
+  ...SCOPES,
+  'ext',
+];
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const suggest = (word) => {
+  const [closest] = KEYWORDS.map((keyword) => ({
+    distance: editDistance(word, keyword),
+    keyword,
+  })).sort((a, b) => a.distance - b.distance);
+
+  return closest && closest.distance <= 2
+    ? `; did you mean '${closest.keyword}'?`
+    : '';
+};
+
+const isDelimiter = (character) => /[\s()|"]/u.test(character);
+
+/**
+ * Splits a filter string into tokens.
+ * @param {string} input - The filter string.
+ * @returns {{ tokens: object[], errors: object[] }} The tokens, and any errors
+ *   encountered.  Each token and error carries `start` and `end` offsets into the input.
+ */
+export const tokenize = (input = '') => {
+  const tokens = [];
+  const errors = [];
+  let index = 0;
+
+  // reads a quoted string starting at the opening quote, returning the
+  // unquoted value and the offset just past the closing quote
+  const readQuoted = (start) => {
+    const close = input.indexOf('"', start + 1);
+
+    if (close === -1) {
+      errors.push({
+        end: input.length,
+        message: 'Missing closing quote',
+        start,
+      });
+      return { end: input.length, value: input.slice(start + 1) };
+    }
+
+    return { end: close + 1, value: input.slice(start + 1, close) };
+  };
+
+  while (index < input.length) {
+    const character = input[index];
+    const start = index;
+
+    if (/\s/u.test(character)) {
+      index++;
+    } else if (character === '(') {
+      tokens.push({ end: ++index, start, type: 'lparen' });
+    } else if (character === ')') {
+      tokens.push({ end: ++index, start, type: 'rparen' });
+    } else if (character === '|') {
+      tokens.push({ end: ++index, start, type: 'or' });
+    } else if (character === '-' && !/\s/u.test(input[index + 1] ?? ' ')) {
+      tokens.push({ end: ++index, start, type: 'not' });
+    } else if (character === '"') {
+      const { end, value } = readQuoted(index);
+      tokens.push({ end, start, type: 'phrase', value });
+      index = end;
+    } else {
+      let value = '';
+
+      while (index < input.length && !isDelimiter(input[index])) {
+        value += input[index++];
+
+        // allow quoted values for filters, e.g. path:"live at"
+        if (value.endsWith(':') && input[index] === '"') {
+          const quoted = readQuoted(index);
+          value += quoted.value;
+          index = quoted.end;
+          break;
+        }
+      }
+
+      tokens.push(
+        value === 'OR'
+          ? { end: index, start, type: 'or' }
+          : { end: index, start, type: 'word', value },
+      );
+    }
+  }
+
+  return { errors, tokens };
+};
+
+const describeToken = (token) => {
+  if (!token) return 'end of filter';
+  if (token.type === 'or') return "'OR'";
+  if (token.type === 'rparen') return "')'";
+  return `'${token.value ?? ''}'`;
+};
+
+const combine = (type, children) => {
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+
+  return {
+    children,
+    end: children[children.length - 1].end,
+    start: children[0].start,
+    type,
+  };
+};
+
+/**
+ * Parses a filter string into an AST.
+ *
+ * Nodes are one of:
+ *   - `{ type: 'and' | 'or', children }`
+ *   - `{ type: 'not', child }`
+ *   - `{ type: 'term', scope: 'filename' | 'path' | 'user', value }`
+ *   - `{ type: 'flag', name: 'isCBR' | 'isVBR' | 'isLossless' | 'isLossy' }`
+ *   - `{ type: 'compare', field, operator: 'min' | 'max', value }`
+ *   - `{ type: 'extension', values }`
+ *
+ * Every node carries the `start` and `end` offsets of the text it came from.
+ * @param {string} input - The filter string.
+ * @returns {{ ast: object | null, errors: { message: string, start: number, end: number }[] }}
+ *   The AST, or null if the filter is empty, and any errors encountered.
+ */
+export const parse = (input = '') => {
+  const { errors, tokens } = tokenize(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const advance = () => tokens[position++];
+  const error = (message, { end, start }) =>
+    errors.push({ end, message, start });
+
+  const parseWord = (token) => {
+    const { end, start, value } = token;
+    const separator = value.indexOf(':');
+
+    if (separator <= 0) {
+      const flag = FLAGS[value.toLowerCase()];
+
+      if (flag) {
+        return { end, name: flag, start, type: 'flag' };
+      }
+
+      return {
+        end,
+        scope: 'filename',
+        start,
+        type: 'term',
+        value: value.toLowerCase(),
+      };
+    }
+
+    const key = value.slice(0, separator).toLowerCase();
+    const argument = value.slice(separator + 1);
+
+    if (!KEYWORDS.includes(key)) {
+      error(`Unknown filter '${key}'${suggest(key)}`, token);
+      return null;
+    }
+
+    if (!argument) {
+      error(`Missing value for '${key}'`, token);
+      return null;
+    }
+
+    if (SCOPES.includes(key)) {
+      return {
+        end,
+        scope: key,
+        start,
+        type: 'term',
+        value: argument.toLowerCase(),
+      };
+    }
+
+    if (key === 'ext') {
+      const values = argument
+        .toLowerCase()
+        .split(',')
+        .map((extension) => extension.replace(/^\./u, ''))
+        .filter(Boolean);
+
+      if (values.length === 0) {
+        error(`Missing value for '${key}'`, token);
+        return null;
+      }
+
+      return { end, start, type: 'extension', values };
+    }
+
+    if (FLAGS[key]) {
+      error(`'${key}' doesn't take a value`, token);
+      return null;
+    }
+
+    const { field, operator, parseValue } = COMPARISONS[key];
+    const parsed = parseValue(argument);
+
+    if (parsed.error) {
+      error(`Invalid value '${argument}' for '${key}'; ${parsed.error}`, token);
+      return null;
+    }
+
+    return {
+      end,
+      field,
+      operator,
+      start,
+      type: 'compare',
+      value: parsed.value,
+    };
+  };
+
+  const parseUnary = () => {
+    const token = advance();
+
+    switch (token.type) {
+      case 'not': {
+        const operand = peek();
+
+        if (!operand || ['or', 'rparen'].includes(operand.type)) {
+          error("Expected a term, phrase, filter or group after '-'", token);
+          return null;
+        }
+
+        const child = parseUnary();
+        return (
+          child && { child, end: child.end, start: token.start, type: 'not' }
+        );
+      }
+
+      case 'lparen': {
+        // groups recurse back to the top of the grammar
+        // eslint-disable-next-line no-use-before-define
+        const group = parseOr();
+        const close = peek();
+
+        if (close?.type === 'rparen') {
+          advance();
+
+          if (!group) {
+            error('Empty group', { end: close.end, start: token.start });
+          }
+        } else {
+          error("Missing closing ')'", token);
+        }
+
+        return group;
+      }
+
+      case 'phrase':
+        return {
+          end: token.end,
+          scope: 'filename',
+          start: token.start,
+          type: 'term',
+          value: token.value.toLowerCase(),
+        };
+      default:
+        return parseWord(token);
+    }
+  };
+
+  const parseAnd = () => {
+    const children = [];
+
+    while (peek() && !['or', 'rparen'].includes(peek().type)) {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+
+    return combine('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [];
+    let token = peek();
+
+    if (token?.type === 'or') {
+      error("Expected a term before 'OR'", token);
+    }
+
+    const first = parseAnd();
+    if (first) children.push(first);
+
+    while (peek()?.type === 'or') {
+      token = advance();
+
+      if (!peek() || ['or', 'rparen'].includes(peek().type)) {
+        error(
+          `Expected a term after 'OR', found ${describeToken(peek())}`,
+          token,
+        );
+      }
+
+      const node = parseAnd();
+      if (node) children.push(node);
+    }
+
+    return combine('or', children);
+  };
+
+  const roots = [];
+
+  while (position < tokens.length) {
+    const node = parseOr();
+    if (node) roots.push(node);
+
+    // parseOr only stops early at a ')' with no matching '('
+    const stray = peek();
+
+    if (stray) {
+      error("Unexpected ')'", stray);
+      advance();
+    }
+  }
+
+  return {
+    ast: combine('and', roots),
+    errors: errors.sort((a, b) => a.start - b.start),
+  };
+};
+
+const getExtension = (filename = '') => {
+  const name = filename.split(/[/\\]/u).pop();
+  const dot = name.lastIndexOf('.');
+
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+const getPath = (filename = '') =>
+  filename.split(/[/\\]/u).slice(0, -1).join('\\').toLowerCase();
+
+const getFieldValue = (field, file, response) =>
+  field === 'filesInFolder'
+    ? response.fileCount + response.lockedFileCount
+    : file[field];
+
+/**
+ * Evaluates an AST produced by `parse` against a single file.
+ * @param {object | null} node - The AST.
+ * @param {object} file - The file to test.
+ * @param {object} [response] - The search response containing the file; used by user: and files-in-folder filters.
+ * @returns {boolean} A value indicating whether the file matches.
+ */
+export const evaluate = (node, file, response = {}) => {
+  if (!node) return true;
+
+  switch (node.type) {
+    case 'and':
+      return node.children.every((child) => evaluate(child, file, response));
+    case 'or':
+      return node.children.some((child) => evaluate(child, file, response));
+    case 'not':
+      return !evaluate(node.child, file, response);
+    case 'term': {
+      const haystack = {
+        filename: () => (file.filename ?? '').toLowerCase(),
+        path: () => getPath(file.filename),
+        user: () => (response.username ?? '').toLowerCase(),
+      }[node.scope]();
+
+      return haystack.includes(node.value);
+    }
+
+    case 'extension':
+      return node.values.includes(getExtension(file.filename));
+    case 'flag': {
+      const { bitDepth, isVariableBitRate, sampleRate } = file;
+
+      switch (node.name) {
+        case 'isCBR':
+          return isVariableBitRate !== undefined && !isVariableBitRate;
+        case 'isVBR':
+          return isVariableBitRate !== undefined && isVariableBitRate;
+        case 'isLossless':
+          return Boolean(sampleRate) && Boolean(bitDepth);
+        default:
+          return !sampleRate && !bitDepth;
+      }
+    }
+
+    case 'compare': {
+      // files missing the attribute entirely aren't excluded; many clients
+      // don't report attributes at all
+      const value = getFieldValue(node.field, file, response);
+
+      return node.operator === 'min'
+        ? !(value < node.value)
+        : !(value > node.value);
+    }
+
+    default:
+      return true;
+  }
+};
@@ -0,0 +1,225 @@
+import { evaluate, parse, tokenize } from './searchQuery';
+
+const matches = (query, file, response) =>
+  evaluate(parse(query).ast, file, response);
+
+describe('tokenize', () => {
+  it('splits words, phrases, operators and groups', () => {
+    expect(
+      tokenize('foo "bar baz" -(qux | quux) OR x').tokens.map((t) => t.type),
+    ).toEqual([
+      'word',
+      'phrase',
+      'not',
+      'lparen',
+      'word',
+      'or',
+      'word',
+      'rparen',
+      'or',
+      'word',
+    ]);
+  });
+
+  it('keeps quoted filter values with the filter', () => {
+    expect(tokenize('path:"live at" foo').tokens[0]).toMatchObject({
+      end: 14,
+      start: 0,
+      type: 'word',
+      value: 'path:live at',
+    });
+  });
+
+  it('does not treat hyphens within words as negation', () => {
+    expect(tokenize('jay-z').tokens).toMatchObject([
+      { type: 'word', value: 'jay-z' },
+    ]);
+  });
+
+  it('reports unterminated quotes', () => {
+    expect(tokenize('foo "bar').errors).toEqual([
+      { end: 8, message: 'Missing closing quote', start: 4 },
+    ]);
+  });
+});
+
+describe('parse', () => {
+  it('returns a null AST for an empty filter', () => {
+    expect(parse('   ')).toEqual({ ast: null, errors: [] });
+  });
+
+  it('binds adjacent terms more tightly than OR', () => {
+    expect(parse('a b OR c').ast).toMatchObject({
+      children: [
+        {
+          children: [{ value: 'a' }, { value: 'b' }],
+          type: 'and',
+        },
+        { value: 'c' },
+      ],
+      type: 'or',
+    });
+  });
+
+  it('groups with parentheses', () => {
+    expect(parse('a (b | c)').ast).toMatchObject({
+      children: [
+        { value: 'a' },
+        { children: [{ value: 'b' }, { value: 'c' }], type: 'or' },
+      ],
+      type: 'and',
+    });
+  });
+
+  it('parses flags and filters case insensitively', () => {
+    expect(parse('IsLossless MinBR:320').ast).toMatchObject({
+      children: [
+        { name: 'isLossless', type: 'flag' },
+        { field: 'bitRate', operator: 'min', type: 'compare', value: 320 },
+      ],
+    });
+  });
+
+  it('parses max counterparts of min filters', () => {
+    expect(
+      parse('maxbr:320 maxbd:16 maxfs:10 maxlen:600 maxfif:20').ast.children,
+    ).toMatchObject([
+      { field: 'bitRate', operator: 'max', value: 320 },
+      { field: 'bitDepth', operator: 'max', value: 16 },
+      { field: 'size', operator: 'max', value: 10 },
+      { field: 'length', operator: 'max', value: 600 },
+      { field: 'filesInFolder', operator: 'max', value: 20 },
+    ]);
+  });
+
+  it.each([
+    ['minfs:512', 512],
+    ['minfs:2KB', 2_048],
+    ['minfs:50MB', 52_428_800],
+    ['minfs:1.5gb', 1_610_612_736],
+  ])('parses size %s', (query, value) => {
+    expect(parse(query).ast).toMatchObject({ field: 'size', value });
+  });
+
+  it('parses extension lists', () => {
+    expect(parse('ext:FLAC,.mp3').ast).toMatchObject({
+      type: 'extension',
+      values: ['flac', 'mp3'],
+    });
+  });
+
+  it('parses scoped terms', () => {
+    expect(parse('user:Alice path:"Live At"').ast.children).toMatchObject([
+      { scope: 'user', type: 'term', value: 'alice' },
+      { scope: 'path', type: 'term', value: 'live at' },
+    ]);
+  });
+
+  it('reports unknown filters with a suggestion', () => {
+    expect(parse('foo minbrr:320').errors).toEqual([
+      {
+        end: 14,
+        message: "Unknown filter 'minbrr'; did you mean 'minbr'?",
+        start: 4,
+      },
+    ]);
+  });
+
+  it('reports invalid values', () => {
+    expect(parse('minbr:abc minfs:5XB').errors).toMatchObject([
+      { message: expect.stringContaining("'abc' for 'minbr'"), start: 0 },
+      { message: expect.stringContaining("'5XB' for 'minfs'"), start: 10 },
+    ]);
+  });
+
+  it('reports missing values', () => {
+    expect(parse('minbr:').errors).toMatchObject([
+      { message: "Missing value for 'minbr'" },
+    ]);
+  });
+
+  it('reports unbalanced parentheses', () => {
+    expect(parse('(foo').errors).toMatchObject([
+      { message: "Missing closing ')'", start: 0 },
+    ]);
+    expect(parse('foo)').errors).toMatchObject([
+      { message: "Unexpected ')'", start: 3 },
+    ]);
+  });
+
+  it('reports dangling operators', () => {
+    expect(parse('OR foo').errors).toMatchObject([
+      { message: "Expected a term before 'OR'" },
+    ]);
+    expect(parse('foo |').errors).toMatchObject([
+      { message: "Expected a term after 'OR', found end of filter" },
+    ]);
+    expect(parse('foo -').errors).toEqual([]);
+    expect(parse('foo -)').errors[0]).toMatchObject({
+      message: "Expected a term, phrase, filter or group after '-'",
+    });
+  });
+
+  it('leaves invalid parts out of the AST', () => {
+    expect(parse('foo minbrr:320 bar').ast).toMatchObject({
+      children: [{ value: 'foo' }, { value: 'bar' }],
+    });
+  });
+});
+
+describe('evaluate', () => {
+  const file = {
+    bitRate: 320,
+    filename: '@@share\\Artist\\Live At Home\\01 - Song.MP3',
+    isVariableBitRate: false,
+    length: 240,
+    size: 10_000_000,
+  };
+
+  it('matches phrases exactly', () => {
+    expect(matches('"live at home"', file)).toBe(true);
+    expect(matches('"live home"', file)).toBe(false);
+  });
+
+  it('matches either side of OR', () => {
+    expect(matches('flac OR mp3', file)).toBe(true);
+    expect(matches('flac OR ogg', file)).toBe(false);
+  });
+
+  it('negates groups', () => {
+    expect(matches('-(flac | mp3)', file)).toBe(false);
+    expect(matches('-(flac | ogg)', file)).toBe(true);
+  });
+
+  it('matches extensions', () => {
+    expect(matches('ext:mp3', file)).toBe(true);
+    expect(matches('ext:flac', file)).toBe(false);
+  });
+
+  it('matches path terms against the directory only', () => {
+    expect(matches('path:live', file)).toBe(true);
+    expect(matches('path:song', file)).toBe(false);
+  });
+
+  it('matches user terms against the response', () => {
+    expect(matches('user:ali', file, { username: 'Alice' })).toBe(true);
+    expect(matches('user:bob', file, { username: 'Alice' })).toBe(false);
+  });
+
+  it('applies min and max limits', () => {
+    expect(matches('minfs:9MB maxfs:10MB', file)).toBe(true);
+    expect(matches('maxfs:9MB', file)).toBe(false);
+    expect(matches('maxlen:239', file)).toBe(false);
+  });
+
+  it('does not exclude files missing the compared attribute', () => {
+    expect(matches('minbd:24', file)).toBe(true);
+  });
+
+  it('compares files in folder against the response', () => {
+    const response = { fileCount: 5, lockedFileCount: 2 };
+
+    expect(matches('minfif:7', file, response)).toBe(true);
+    expect(matches('maxfif:6', file, response)).toBe(false);
+  });
+});
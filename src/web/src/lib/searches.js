@@ -1,4 +1,5 @@
 import api from './api';
+import { evaluate, parse } from './searchQuery';
 
 export const getAll = async () => {
   return (await api.get('/searches')).data;
@@ -37,145 +38,110 @@ export const getResponses = async ({ id }) => {
   return response;
 };
 
-const getNthMatch = (string, regex, n) => {
-  const match = string.match(regex);
-
-  if (match) {
-    return Number.parseInt(match[n], 10);
-  }
+const defaultFilters = {
+  exclude: [],
+  include: [],
+  isCBR: false,
+  isLossless: false,
+  isLossy: false,
+  isVBR: false,
+  maxBitDepth: undefined,
+  maxBitRate: undefined,
+  maxFileSize: undefined,
+  maxFilesInFolder: undefined,
+  maxLength: undefined,
+  minBitDepth: 0,
+  minBitRate: 0,
+  minFilesInFolder: 0,
+  minFileSize: 0,
+  minLength: 0,
+};
 
-  return undefined;
+const filterFields = {
+  bitDepth: 'BitDepth',
+  bitRate: 'BitRate',
+  filesInFolder: 'FilesInFolder',
+  length: 'Length',
+  size: 'FileSize',
 };
 
+/**
+ * Parses a filter string (see searchQuery.js for the syntax) for use with `filterResponse`.
+ *
+ * The result has the parsed `ast` and any parse `errors`, and, for convenience,
+ * the terms, flags and limits that apply to every file (those not nested
+ * within an OR) as flat properties, e.g. `include`, `isLossless` and `minBitRate`.
+ * @param {string} string - The filter string.
+ * @returns {object} The parsed filters.
+ */
 export const parseFiltersFromString = (string) => {
-  const filters = {
-    exclude: [],
-    include: [],
-    isCBR: false,
-    isLossless: false,
-    isLossy: false,
-    isVBR: false,
-    minBitDepth: 0,
-    minBitRate: 0,
-    minFilesInFolder: 0,
-    minFileSize: 0,
-    minLength: 0,
-  };
-
-  filters.minBitRate =
-    getNthMatch(string, /(minbr|minbitrate):(\d+)/iu, 2) || filters.minBitRate;
-  filters.minBitDepth =
-    getNthMatch(string, /(minbd|minbitdepth):(\d+)/iu, 2) ||
-    filters.minBitDepth;
-  filters.minFileSize =
-    getNthMatch(string, /(minfs|minfilesize):(\d+)/iu, 2) ||
-    filters.minFileSize;
-  filters.minLength =
-    getNthMatch(string, /(minlen|minlength):(\d+)/iu, 2) || filters.minLength;
-  filters.minFilesInFolder =
-    getNthMatch(string, /(minfif|minfilesinfolder):(\d+)/iu, 2) ||
-    filters.minFilesInFolder;
-
-  filters.isVBR = Boolean(/isvbr/iu.test(string));
-  filters.isCBR = Boolean(/iscbr/iu.test(string));
-  filters.isLossless = Boolean(/islossless/iu.test(string));
-  filters.isLossy = Boolean(/islossy/iu.test(string));
-
-  const terms = string
-    .toLowerCase()
-    .split(' ')
-    .filter(
-      (term) =>
-        !term.includes(':') &&
-        term !== 'isvbr' &&
-        term !== 'iscbr' &&
-        term !== 'islossless' &&
-        term !== 'islossy',
-    );
-
-  filters.include = terms.filter((term) => !term.startsWith('-'));
-  filters.exclude = terms
-    .filter((term) => term.startsWith('-'))
-    .map((term) => term.slice(1));
+  const { ast, errors } = parse(string);
+  const filters = { ...defaultFilters, ast, errors, exclude: [], include: [] };
+
+  const nodes = ast?.type === 'and' ? ast.children : [ast].filter(Boolean);
+
+  for (const node of nodes) {
+    if (node.type === 'term' && node.scope === 'filename') {
+      filters.include.push(node.value);
+    } else if (
+      node.type === 'not' &&
+      node.child.type === 'term' &&
+      node.child.scope === 'filename'
+    ) {
+      filters.exclude.push(node.child.value);
+    } else if (node.type === 'flag') {
+      filters[node.name] = true;
+    } else if (node.type === 'compare') {
+      filters[`${node.operator}${filterFields[node.field]}`] = node.value;
+    }
+  }
 
   return filters;
 };
 
+// filters built by hand, rather than by parseFiltersFromString, have no AST; build
+// the equivalent so that there's only one way filters are applied
+const toAst = (filters) => {
+  const children = [
+    ...(filters.include ?? []).map((value) => ({
+      scope: 'filename',
+      type: 'term',
+      value,
+    })),
+    ...(filters.exclude ?? []).map((value) => ({
+      child: { scope: 'filename', type: 'term', value },
+      type: 'not',
+    })),
+    ...['isCBR', 'isVBR', 'isLossless', 'isLossy']
+      .filter((name) => filters[name])
+      .map((name) => ({ name, type: 'flag' })),
+    ...Object.entries(filterFields).flatMap(([field, suffix]) =>
+      ['min', 'max']
+        .filter((operator) => filters[`${operator}${suffix}`] !== undefined)
+        .map((operator) => ({
+          field,
+          operator,
+          type: 'compare',
+          value: filters[`${operator}${suffix}`],
+        })),
+    ),
+  ];
+
+  return { children, type: 'and' };
+};
+
 export const filterResponse = ({
-  filters = {
-    exclude: [],
-    include: [],
-    isCBR: false,
-    isLossless: false,
-    isLossy: false,
-    isVBR: false,
-    minBitDepth: 0,
-    minBitRate: 0,
-    minFileSize: 0,
-    minLength: 0,
-  },
+  filters = defaultFilters,
   response = {
     files: [],
     lockedFiles: [],
   },
 }) => {
   const { files = [], lockedFiles = [] } = response;
-
-  if (
-    response.fileCount + response.lockedFileCount <
-    filters.minFilesInFolder
-  ) {
-    return { ...response, files: [] };
-  }
+  const ast = filters.ast === undefined ? toAst(filters) : filters.ast;
 
   const filterFiles = (filesToFilter) =>
-    filesToFilter.filter((file) => {
-      const {
-        bitRate,
-        size,
-        length,
-        filename,
-        sampleRate,
-        bitDepth,
-        isVariableBitRate,
-      } = file;
-      const {
-        isCBR,
-        isVBR,
-        isLossless,
-        isLossy,
-        minBitRate,
-        minBitDepth,
-        minFileSize,
-        minLength,
-        include = [],
-        exclude = [],
-      } = filters;
-
-      if (isCBR && (isVariableBitRate === undefined || isVariableBitRate))
-        return false;
-      if (isVBR && (isVariableBitRate === undefined || !isVariableBitRate))
-        return false;
-      if (isLossless && (!sampleRate || !bitDepth)) return false;
-      if (isLossy && (sampleRate || bitDepth)) return false;
-      if (bitRate < minBitRate) return false;
-      if (bitDepth < minBitDepth) return false;
-      if (size < minFileSize) return false;
-      if (length < minLength) return false;
-
-      if (
-        include.length > 0 &&
-        include.filter((term) => filename.toLowerCase().includes(term))
-          .length !== include.length
-      ) {
-        return false;
-      }
-
-      if (exclude.some((term) => filename.toLowerCase().includes(term)))
-        return false;
-
-      return true;
-    });
+    filesToFilter.filter((file) => evaluate(ast, file, response));
 
   const filteredFiles = filterFiles(files);
   const filteredLockedFiles = filterFiles(lockedFiles);
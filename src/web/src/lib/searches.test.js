@@ -259,3 +259,58 @@ describe('parseFiltersFromString', () => {
     });
   });
 });
+
+describe('parseFiltersFromString and filterResponse', () => {
+  it('returns parse errors', () => {
+    expect(search.parseFiltersFromString('foo minbd:x').errors).toMatchObject([
+      { start: 4 },
+    ]);
+  });
+
+  it('returns max values', () => {
+    expect(search.parseFiltersFromString('maxbr:320 maxfs:1MB')).toMatchObject({
+      maxBitRate: 320,
+      maxFileSize: 1_048_576,
+    });
+  });
+
+  it('does not flatten terms nested within OR', () => {
+    expect(search.parseFiltersFromString('foo (bar | baz)')).toMatchObject({
+      include: ['foo'],
+    });
+  });
+
+  it('filters using the parsed AST', () => {
+    const response = {
+      files: [
+        { filename: '\\music\\live\\a.flac' },
+        { filename: '\\music\\studio\\b.flac' },
+        { filename: '\\music\\studio\\c.mp3' },
+      ],
+      lockedFiles: [],
+    };
+
+    const filters = search.parseFiltersFromString('ext:flac (live OR xyz)');
+
+    expect(search.filterResponse({ filters, response })).toMatchObject({
+      fileCount: 1,
+      files: [{ filename: '\\music\\live\\a.flac' }],
+    });
+  });
+
+  it('removes every file if there are too few files in the folder', () => {
+    const response = {
+      fileCount: 2,
+      files: [{ filename: 'a' }, { filename: 'b' }],
+      lockedFileCount: 0,
+      lockedFiles: [],
+    };
+
+    const filters = search.parseFiltersFromString('minfif:3');
+
+    expect(search.filterResponse({ filters, response })).toMatchObject({
+      fileCount: 0,
+      files: [],
+    });
+  });
+});
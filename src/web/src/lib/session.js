@@ -1,6 +1,65 @@
 import { tokenPassthroughValue } from '../config';
 import api from './api';
-import { clearToken, getToken, setToken } from './token';
+import {
+  clearToken,
+  getToken,
+  isPassthroughEnabled,
+  replaceToken,
+  setToken,
+} from './token';
+
+// how long before a session ends to warn that it's about to, or before a token
+// expires if it can't be refreshed; then at most a quarter of its lifetime
+export const expiryWarningLead = 5 * 60 * 1_000;
+
+// how long to wait before trying again to refresh a token
+export const refreshRetryDelay = 60 * 1_000;
+
+// the roles a user can have, as named by the API
+export const roles = {
+  administrator: 'Administrator',
+  guest: 'Guest',
+  readOnly: 'ReadOnly',
+  readWrite: 'ReadWrite',
+};
+
+export const roleNames = {
+  [roles.administrator]: 'Admin',
+  [roles.guest]: 'Guest',
+  [roles.readOnly]: 'Read-only',
+  [roles.readWrite]: 'Operator',
+};
+
+// the roles allowed to do each of the things that are limited by role; the
+// API enforces the same
+const permissions = {
+  deleteFiles: [roles.administrator, roles.readWrite],
+  editOptions: [roles.administrator],
+  manageApiKeys: [roles.administrator],
+  manageSessions: [roles.administrator],
+  manageUsers: [roles.administrator],
+  rescanShares: [roles.administrator, roles.readWrite],
+  restart: [roles.administrator],
+  shutdown: [roles.administrator],
+};
+
+const roleClaims = [
+  'role',
+  'http://schemas.microsoft.com/ws/2008/06/identity/claims/role',
+];
+
+const decodeClaims = (token) => {
+  try {
+    const payload = token
+      .split('.')[1]
+      .replaceAll('-', '+')
+      .replaceAll('_', '/');
+
+    return JSON.parse(atob(payload));
+  } catch {
+    return {};
+  }
+};
 
 export const getSecurityEnabled = async () => {
   return (await api.get('/session/enabled')).data;
@@ -20,25 +79,160 @@ export const isLoggedIn = () => {
   );
 };
 
+/**
+ * Gets the role of the user that's logged in, from the claims in their token.
+ * Everyone is an administrator when security is disabled.
+ * @param {string} [token] - The token.
+ * @returns {string} The role, or undefined if there's no token or it has no role.
+ */
+export const getRole = (token = getToken()) => {
+  if (isPassthroughEnabled()) {
+    return roles.administrator;
+  }
+
+  if (!token) {
+    return undefined;
+  }
+
+  const claims = decodeClaims(token);
+  const role = roleClaims.map((claim) => claims[claim]).find(Boolean);
+
+  return Array.isArray(role) ? role[0] : role;
+};
+
+/**
+ * Gets the ID of the session a token was issued for.
+ * @param {string} [token] - The token.
+ * @returns {string} The ID, or undefined if the token wasn't issued for a session.
+ */
+export const getSessionId = (token = getToken()) =>
+  token ? decodeClaims(token).sid : undefined;
+
+/**
+ * Gets the name of the user a token was issued to.
+ * @param {string} [token] - The token.
+ * @returns {string} The username, or undefined if there's no token.
+ */
+export const getUsername = (token = getToken()) =>
+  token ? decodeClaims(token).name : undefined;
+
+/**
+ * Works out when to refresh a token, when to warn that the session is about to
+ * end, and when the token expires.  Tokens are refreshed once three quarters
+ * of their lifetime has passed, until one lasts to the end of the session
+ * (the session_exp claim); that one isn't refreshed, and the warning comes
+ * ahead of the session's end.  Otherwise the warning is only needed if
+ * refreshing fails.
+ * @param {string} [token] - The token.
+ * @param {number} [now] - The time now, in milliseconds.
+ * @returns {{ expiresIn: number, final: boolean, refreshIn: number, warnIn: number }}
+ *   The delays, in milliseconds, and whether the session ends when the token
+ *   expires (in which case refreshIn is undefined), or undefined if the token
+ *   doesn't expire.
+ */
+export const getSessionTimers = (token = getToken(), now = Date.now()) => {
+  if (!token || isPassthroughEnabled()) {
+    return undefined;
+  }
+
+  // the API issues numeric claims of its own as strings
+  const { exp, iat, nbf, session_exp: sessionExp } = decodeClaims(token);
+
+  if (!exp) {
+    return undefined;
+  }
+
+  const expires = exp * 1_000;
+  const issued = Number(iat ?? nbf ?? exp) * 1_000;
+  const lifetime = expires - issued;
+  const final =
+    sessionExp !== undefined && expires >= Number(sessionExp) * 1_000;
+  const delay = (time) => Math.max(0, Math.round(time - now));
+
+  return {
+    expiresIn: delay(expires),
+    final,
+    refreshIn: final ? undefined : delay(issued + lifetime * 0.75),
+    warnIn: delay(
+      expires -
+        (final ? expiryWarningLead : Math.min(expiryWarningLead, lifetime / 4)),
+    ),
+  };
+};
+
+/**
+ * Determines whether a role allows something that's limited by role.
+ * @param {string} role - The role.
+ * @param {string} permission - The thing, e.g. 'deleteFiles'.
+ * @returns {boolean} Whether the role allows it.
+ */
+export const can = (role, permission) =>
+  permissions[permission]?.includes(role) ?? false;
+
 export const login = async ({ username, password, rememberMe = false }) => {
   const { token } = (await api.post('/session', { password, username })).data;
   setToken(rememberMe ? localStorage : sessionStorage, token);
   return token;
 };
 
+/**
+ * Refreshes the session, replacing the token with a new one that lasts longer.
+ * @returns {Promise<string>} The new token.
+ */
+export const refresh = async () => {
+  const { token } = (await api.put('/session')).data;
+  replaceToken(token);
+  return token;
+};
+
+// revokes the session, so the token can't be used again even if it was
+// copied; it's cleared regardless, so failing to is no matter
+const revoke = async (token) => {
+  try {
+    await api.delete('/session', {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  } catch (error) {
+    console.debug('failed to revoke session', error);
+  }
+};
+
 export const logout = () => {
+  const token = getToken();
+
+  if (token && !isPassthroughEnabled()) {
+    revoke(token); // async, runs in the background
+  }
+
   console.debug('removing token from local and session storage');
   clearToken();
 };
 
+/**
+ * Gets the sessions of the users that are logged in.
+ * @returns {Promise<object[]>} The sessions, most recently used first.
+ */
+export const getSessions = async () => {
+  return (await api.get('/session/all')).data;
+};
+
+/**
+ * Revokes a session, logging its user out.
+ * @param {string} id - The ID of the session.
+ * @returns {Promise} Resolves once the session is revoked.
+ */
+export const revokeSession = async (id) => {
+  await api.delete(`/session/${encodeURIComponent(id)}`);
+};
+
 export const check = async () => {
   try {
     await api.get('/session');
     return true;
   } catch (error) {
-    if (error.response.status === 401) {
+    if (error.response?.status === 401) {
       console.error('session error; not logged in or session has expired');
-      logout();
+      clearToken();
       return false;
     } else {
       throw error;
@@ -0,0 +1,158 @@
+import { tokenKey } from '../config';
+import api from './api';
+import {
+  can,
+  getRole,
+  getSessionId,
+  getSessionTimers,
+  getUsername,
+  logout,
+  refresh,
+} from './session';
+
+jest.mock('./api', () => ({
+  __esModule: true,
+  default: {
+    delete: jest.fn(),
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+  },
+}));
+
+// a token with the given claims; the signature isn't checked by the UI
+const token = (claims) =>
+  [
+    'header',
+    btoa(JSON.stringify(claims)).replaceAll('=', ''),
+    'signature',
+  ].join('.');
+
+const minutes = (count) => count * 60 * 1_000;
+
+describe('session', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    sessionStorage.clear();
+    localStorage.clear();
+  });
+
+  describe('roles', () => {
+    it('reads the role from the token', () => {
+      expect(getRole(token({ role: 'ReadWrite' }))).toBe('ReadWrite');
+      expect(getRole('not a token')).toBeUndefined();
+    });
+
+    it('limits what each role can do', () => {
+      expect(can('Administrator', 'shutdown')).toBe(true);
+      expect(can('ReadWrite', 'shutdown')).toBe(false);
+      expect(can('ReadWrite', 'deleteFiles')).toBe(true);
+      expect(can('ReadOnly', 'rescanShares')).toBe(false);
+      expect(can('ReadWrite', 'manageSessions')).toBe(false);
+    });
+  });
+
+  describe('getSessionId', () => {
+    it('reads the session from the token', () => {
+      expect(getSessionId(token({ sid: 'abc' }))).toBe('abc');
+      expect(getSessionId(token({}))).toBeUndefined();
+    });
+  });
+
+  describe('getUsername', () => {
+    it('reads the username from the token', () => {
+      expect(getUsername(token({ name: 'alice' }))).toBe('alice');
+      expect(getUsername(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('getSessionTimers', () => {
+    it('refreshes three quarters of the way through, and warns ahead of expiry', () => {
+      // issued at 0, expires at 100 minutes; 10 minutes in
+      expect(
+        getSessionTimers(token({ exp: 6_000, iat: '0' }), minutes(10)),
+      ).toEqual({
+        expiresIn: minutes(90),
+        final: false,
+        refreshIn: minutes(65),
+        warnIn: minutes(85),
+      });
+    });
+
+    it('refreshes tokens that end before the session does', () => {
+      expect(
+        getSessionTimers(
+          token({ exp: 6_000, iat: '0', session_exp: '12000' }),
+          0,
+        ),
+      ).toMatchObject({ final: false, refreshIn: minutes(75) });
+    });
+
+    it("warns ahead of the session's end, without refreshing the token that lasts to it", () => {
+      // issued at 0, expires with the session at 100 minutes; 10 minutes in
+      expect(
+        getSessionTimers(
+          token({ exp: 6_000, iat: '0', session_exp: '6000' }),
+          minutes(10),
+        ),
+      ).toEqual({
+        expiresIn: minutes(90),
+        final: true,
+        refreshIn: undefined,
+        warnIn: minutes(85),
+      });
+    });
+
+    it("warns the full lead ahead of a session's end, however short the last token", () => {
+      expect(
+        getSessionTimers(token({ exp: 600, iat: '0', session_exp: '600' }), 0)
+          .warnIn,
+      ).toBe(minutes(5));
+    });
+
+    it('warns of short sessions sooner', () => {
+      expect(getSessionTimers(token({ exp: 600, iat: '0' }), 0).warnIn).toBe(
+        minutes(7.5),
+      );
+    });
+
+    it('acts at once on a token that has already expired', () => {
+      expect(
+        getSessionTimers(token({ exp: 600, iat: '0' }), minutes(20)),
+      ).toEqual({ expiresIn: 0, final: false, refreshIn: 0, warnIn: 0 });
+    });
+
+    it('ignores tokens that never expire', () => {
+      expect(getSessionTimers(token({ iat: '0' }))).toBeUndefined();
+      expect(getSessionTimers(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('refresh', () => {
+    it('keeps the new token where the old one was kept', async () => {
+      expect.assertions(2);
+
+      localStorage.setItem(tokenKey, 'old');
+      api.put.mockResolvedValue({ data: { token: 'new' } });
+
+      await refresh();
+
+      expect(localStorage.getItem(tokenKey)).toBe('new');
+      expect(sessionStorage.getItem(tokenKey)).toBeNull();
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the session and forgets the token', () => {
+      sessionStorage.setItem(tokenKey, 'current');
+      api.delete.mockResolvedValue({});
+
+      logout();
+
+      expect(api.delete).toHaveBeenCalledWith('/session', {
+        headers: { Authorization: 'Bearer current' },
+      });
+      expect(sessionStorage.getItem(tokenKey)).toBeNull();
+    });
+  });
+});
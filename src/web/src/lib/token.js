@@ -3,6 +3,13 @@ import { tokenKey, tokenPassthroughValue } from '../config';
 export const getToken = () =>
   sessionStorage.getItem(tokenKey) || localStorage.getItem(tokenKey);
 export const setToken = (storage, token) => storage.setItem(tokenKey, token);
+// replaces the token wherever it's kept, so a refreshed token is remembered
+// only if the one it replaces was
+export const replaceToken = (token) =>
+  setToken(
+    sessionStorage.getItem(tokenKey) ? sessionStorage : localStorage,
+    token,
+  );
 export const clearToken = () => {
   localStorage.removeItem(tokenKey);
   sessionStorage.removeItem(tokenKey);
@@ -1,4 +1,5 @@
 import api from './api';
+import { getFileName } from './util';
 
 export const getAll = async ({ direction }) => {
   const response = (
@@ -13,6 +14,145 @@ export const getAll = async ({ direction }) => {
   return response;
 };
 
+// the server responds with 404 if there are no transfers for the user
+export const getAllForUser = async ({ direction, username }) => {
+  try {
+    const response = (
+      await api.get(
+        `/transfers/${encodeURIComponent(direction)}s/${encodeURIComponent(username)}`,
+      )
+    ).data;
+
+    return (response?.directories ?? []).flatMap(
+      (directory) => directory.files,
+    );
+  } catch (error) {
+    if (error?.response?.status === 404) {
+      return [];
+    }
+
+    throw error;
+  }
+};
+
+// mirrors the server's DirectoryName() extension so that transfers pushed over
+// the transfers hub are grouped into the same directories returned by getAll
+const getTransferDirectory = (filename) => {
+  const separator = filename.includes('/') ? '/' : '\\';
+  return filename.split(separator).slice(0, -1).join(separator);
+};
+
+const replaceTransfer = (transfer) => (files) => {
+  const index = files.findIndex((f) => f.id === transfer.id);
+
+  if (index === -1) {
+    files.push(transfer);
+  } else {
+    files[index] = transfer;
+  }
+};
+
+/**
+ * Applies changes received from the transfers hub to a list of transfers grouped
+ * by user and directory, the same shape returned by `getAll`.
+ *
+ * Users and directories that aren't affected by a change are returned as-is, so
+ * that components rendering them can skip work.  Directories and users left
+ * without any transfers are dropped.
+ * @param {object[]} users - The grouped transfers to change.
+ * @param {object} changes
+ * @param {object[]} [changes.added] - Transfers to add, replacing any with the same id.
+ * @param {object[]} [changes.updated] - Transfers to replace.
+ * @param {object[]} [changes.progressed] - Partial transfers (id, username, filename and progress) to merge into existing transfers.
+ * @param {object[]} [changes.removed] - Transfers (id, username and filename) to remove.
+ * @returns {object[]} The changed list of grouped transfers.
+ */
+export const applyTransferChanges = (
+  users,
+  { added = [], updated = [], progressed = [], removed = [] },
+) => {
+  const byUsername = new Map(users.map((user) => [user.username, user]));
+  const copies = new Set();
+
+  const change = ({ username, filename }, mutate, { create = false } = {}) => {
+    const directoryName = getTransferDirectory(filename);
+    let user = byUsername.get(username);
+
+    if (
+      !create &&
+      !user?.directories.some((d) => d.directory === directoryName)
+    ) {
+      return;
+    }
+
+    if (!user) {
+      user = { directories: [], username };
+      copies.add(user);
+    } else if (!copies.has(user)) {
+      user = { ...user, directories: [...user.directories] };
+      copies.add(user);
+    }
+
+    byUsername.set(username, user);
+
+    let index = user.directories.findIndex(
+      (d) => d.directory === directoryName,
+    );
+
+    if (index === -1) {
+      const created = { directory: directoryName, fileCount: 0, files: [] };
+      copies.add(created);
+      index = user.directories.push(created) - 1;
+    } else if (!copies.has(user.directories[index])) {
+      const copy = {
+        ...user.directories[index],
+        files: [...user.directories[index].files],
+      };
+      copies.add(copy);
+      user.directories[index] = copy;
+    }
+
+    const directory = user.directories[index];
+    mutate(directory.files);
+    directory.fileCount = directory.files.length;
+  };
+
+  for (const transfer of [...added, ...updated]) {
+    change(transfer, replaceTransfer(transfer), { create: true });
+  }
+
+  for (const progress of progressed) {
+    change(progress, (files) => {
+      const index = files.findIndex((f) => f.id === progress.id);
+
+      if (index !== -1) {
+        files[index] = { ...files[index], ...progress };
+      }
+    });
+  }
+
+  for (const transfer of removed) {
+    change(transfer, (files) => {
+      const index = files.findIndex((f) => f.id === transfer.id);
+
+      if (index !== -1) {
+        files.splice(index, 1);
+      }
+    });
+  }
+
+  return Array.from(byUsername.values())
+    .map((user) =>
+      copies.has(user)
+        ? {
+            ...user,
+            directories: user.directories.filter((d) => d.files.length > 0),
+          }
+        : user,
+    )
+    .filter((user) => user.directories.length > 0);
+};
+
 export const download = ({ username, files = [] }) => {
   return api.post(
     `/transfers/downloads/${encodeURIComponent(username)}`,
@@ -56,6 +196,75 @@ export const enqueueBatch = ({
   });
 };
 
+/**
+ * Returns the files that couldn't be enqueued, from an `enqueueBatch` or
+ * `retryBatch` response.
+ * @param {object} response - The response.
+ * @returns {object[]} The failures (filename and message); empty if everything was enqueued.
+ */
+export const getEnqueueFailures = (response) =>
+  [200, 207].includes(response?.status) ? response.data?.failures ?? [] : [];
+
+/**
+ * Summarizes enqueue failures for display, e.g. in a toast.
+ * @param {object[]} failures - The failures, from `getEnqueueFailures`.
+ * @param {number} [limit] - The number of files to name before summarizing the rest.
+ * @returns {string} The summary.
+ */
+export const formatEnqueueFailures = (failures, limit = 3) => {
+  const named = failures
+    .slice(0, limit)
+    .map(({ filename, message }) => `${getFileName(filename)} (${message})`);
+
+  if (failures.length > limit) {
+    named.push(`${failures.length - limit} more`);
+  }
+
+  return `${failures.length} file${
+    failures.length === 1 ? '' : 's'
+  } failed to enqueue: ${named.join(', ')}`;
+};
+
+/**
+ * Gets download batches, newest first, each with the transfers that haven't been removed.
+ * @param {object} [params]
+ * @param {boolean} [params.includeRemoved] - Whether to include removed batches.
+ * @returns {Promise<object[]>} The batches.
+ */
+export const getBatches = async ({ includeRemoved = false } = {}) => {
+  return (
+    await api.get(
+      `/transfers/downloads/batches?includeRemoved=${includeRemoved}`,
+    )
+  ).data;
+};
+
+/**
+ * Cancels the downloads in a batch that haven't completed.
+ * @param {object} params
+ * @param {string} params.id - The id of the batch.
+ * @param {boolean} [params.remove] - Whether to also remove the batch and its completed downloads.
+ * @returns {Promise<object>} The response.
+ */
+export const cancelBatch = ({ id, remove = false }) => {
+  return api.delete(
+    `/transfers/downloads/batches/${encodeURIComponent(id)}?remove=${remove}`,
+  );
+};
+
+/**
+ * Retries the failed files in a batch; downloads that failed, and files that
+ * couldn't be enqueued.  Responds like `enqueueBatch`.
+ * @param {object} params
+ * @param {string} params.id - The id of the batch.
+ * @returns {Promise<object>} The response.
+ */
+export const retryBatch = ({ id }) => {
+  return api.post(
+    `/transfers/downloads/batches/${encodeURIComponent(id)}/retries`,
+  );
+};
+
 export const cancel = ({ direction, username, id, remove = false }) => {
   return api.delete(
     `/transfers/${direction}s/${encodeURIComponent(username)}/${encodeURIComponent(id)}?remove=${remove}`,
@@ -72,6 +281,41 @@ export const getPlaceInQueue = ({ username, id }) => {
   );
 };
 
+/**
+ * Gets the failover chain of a download; the original download, followed by each
+ * download that was enqueued from another user to replace the one before it.
+ * @param {object} params
+ * @param {string} params.username - The username of the download source.
+ * @param {string} params.id - The id of any download in the chain.
+ * @returns {Promise<object[]>} The downloads in the chain, oldest first.
+ */
+export const getFailoverChain = async ({ username, id }) => {
+  return (
+    await api.get(
+      `/transfers/downloads/${encodeURIComponent(username)}/${encodeURIComponent(id)}/chain`,
+    )
+  ).data;
+};
+
+/**
+ * Describes the position of a download within its failover chain.
+ * @param {object[]} chain - The failover chain, from `getFailoverChain`.
+ * @param {string} id - The id of the download.
+ * @returns {string|undefined} A description like 'Failover 1 of 2', 'Original of 3',
+ *   or undefined if the download was never failed over.
+ */
+export const describeFailoverPosition = (chain, id) => {
+  const index = chain.findIndex((transfer) => transfer.id === id);
+
+  if (chain.length < 2 || index === -1) {
+    return undefined;
+  }
+
+  return index === 0
+    ? `Original of ${chain.length}`
+    : `Failover ${index} of ${chain.length - 1}`;
+};
+
 /*
   states: 
 
@@ -100,3 +344,61 @@ export const isStateCancellable = (state) =>
   ].find((s) => s === state);
 
 export const isStateRemovable = (state) => state.includes('Completed');
+
+/**
+ * Summarizes the progress of a batch from its transfers.
+ * @param {object} batch - The batch, from `getBatches`.
+ * @returns {object} Counts of `total`, `succeeded`, `failed` and `active` files,
+ *   the `size` and `bytesTransferred` across them, the `percentComplete`, whether
+ *   the batch `isComplete`, and its `failures`: failed downloads that weren't
+ *   failed over (with their exception as the message), followed by files that
+ *   couldn't be enqueued.
+ */
+export const summarizeBatch = (batch) => {
+  const transfers = batch.transfers ?? [];
+  const enqueueFailures = batch.failures ?? [];
+  // a download that was failed over is superseded by its replacement
+  const replaced = new Set(
+    transfers.map(({ failoverOfId }) => failoverOfId).filter(Boolean),
+  );
+  const failed = transfers.filter(
+    ({ id, state }) =>
+      isStateRetryable(state) &&
+      state !== 'Completed, Cancelled' &&
+      !replaced.has(id),
+  );
+  const succeeded = transfers.filter(
+    ({ state }) => state === 'Completed, Succeeded',
+  );
+  const size = transfers.reduce((total, t) => total + t.size, 0);
+  const bytesTransferred = transfers.reduce(
+    (total, t) => total + t.bytesTransferred,
+    0,
+  );
+  const active = transfers.filter(
+    ({ state }) => !state.includes('Completed'),
+  ).length;
+
+  return {
+    active,
+    bytesTransferred,
+    failed: failed.length + enqueueFailures.length,
+    failures: [
+      ...failed.map(({ exception, filename, state, username }) => ({
+        filename,
+        message: exception ?? state,
+        username,
+      })),
+      ...enqueueFailures.map(({ filename, message, username }) => ({
+        filename,
+        message,
+        username: username ?? batch.username,
+      })),
+    ],
+    isComplete: active === 0,
+    percentComplete: size === 0 ? 0 : (bytesTransferred / size) * 100,
+    size,
+    succeeded: succeeded.length,
+    total: transfers.length + enqueueFailures.length,
+  };
+};
@@ -0,0 +1,247 @@
+import {
+  applyTransferChanges,
+  describeFailoverPosition,
+  formatEnqueueFailures,
+  getEnqueueFailures,
+  summarizeBatch,
+} from './transfers';
+
+const transfer = (overrides = {}) => ({
+  bytesTransferred: 0,
+  filename: '@@share\\Artist\\Album\\01 - Track.flac',
+  id: '1',
+  state: 'Queued, Remotely',
+  username: 'alice',
+  ...overrides,
+});
+
+describe('applyTransferChanges', () => {
+  it('groups added transfers by user and directory', () => {
+    const result = applyTransferChanges([], {
+      added: [
+        transfer(),
+        transfer({
+          filename: '@@share\\Artist\\Album\\02 - Track.flac',
+          id: '2',
+        }),
+        transfer({ filename: '@@share\\Other\\03 - Track.flac', id: '3' }),
+        transfer({ id: '4', username: 'bob' }),
+      ],
+    });
+
+    expect(result).toMatchObject([
+      {
+        directories: [
+          { directory: '@@share\\Artist\\Album', fileCount: 2 },
+          { directory: '@@share\\Other', fileCount: 1 },
+        ],
+        username: 'alice',
+      },
+      {
+        directories: [{ directory: '@@share\\Artist\\Album', fileCount: 1 }],
+        username: 'bob',
+      },
+    ]);
+  });
+
+  it('uses forward slashes as the separator if present', () => {
+    const result = applyTransferChanges([], {
+      added: [transfer({ filename: 'share/Artist\\Name/01.flac' })],
+    });
+
+    expect(result[0].directories[0].directory).toBe('share/Artist\\Name');
+  });
+
+  it('replaces transfers that already exist', () => {
+    const users = applyTransferChanges([], { added: [transfer()] });
+    const result = applyTransferChanges(users, {
+      updated: [transfer({ state: 'InProgress' })],
+    });
+
+    expect(result[0].directories[0].files).toEqual([
+      transfer({ state: 'InProgress' }),
+    ]);
+  });
+
+  it('merges progress into existing transfers', () => {
+    const users = applyTransferChanges([], { added: [transfer()] });
+    const result = applyTransferChanges(users, {
+      progressed: [
+        {
+          bytesTransferred: 42,
+          filename: transfer().filename,
+          id: '1',
+          username: 'alice',
+        },
+      ],
+    });
+
+    expect(result[0].directories[0].files[0]).toEqual(
+      transfer({ bytesTransferred: 42 }),
+    );
+  });
+
+  it('ignores progress for unknown transfers', () => {
+    const users = applyTransferChanges([], { added: [transfer()] });
+    const result = applyTransferChanges(users, {
+      progressed: [{ filename: 'x\\y', id: '2', username: 'carol' }],
+    });
+
+    expect(result).toEqual(users);
+  });
+
+  it('drops directories and users left empty by removals', () => {
+    const users = applyTransferChanges([], {
+      added: [
+        transfer(),
+        transfer({ filename: '@@share\\Other\\03 - Track.flac', id: '3' }),
+        transfer({ id: '4', username: 'bob' }),
+      ],
+    });
+
+    const result = applyTransferChanges(users, {
+      removed: [
+        { filename: transfer().filename, id: '1', username: 'alice' },
+        { filename: transfer().filename, id: '4', username: 'bob' },
+      ],
+    });
+
+    expect(result).toMatchObject([
+      {
+        directories: [{ directory: '@@share\\Other', fileCount: 1 }],
+        username: 'alice',
+      },
+    ]);
+  });
+
+  it('returns unaffected users and directories unchanged', () => {
+    const users = applyTransferChanges([], {
+      added: [
+        transfer(),
+        transfer({ filename: '@@share\\Other\\03 - Track.flac', id: '3' }),
+        transfer({ id: '4', username: 'bob' }),
+      ],
+    });
+
+    const result = applyTransferChanges(users, {
+      updated: [transfer({ state: 'InProgress' })],
+    });
+
+    expect(result[0]).not.toBe(users[0]);
+    expect(result[0].directories[1]).toBe(users[0].directories[1]);
+    expect(result[1]).toBe(users[1]);
+  });
+
+  it('does not modify the original list', () => {
+    const users = applyTransferChanges([], { added: [transfer()] });
+    const copy = JSON.parse(JSON.stringify(users));
+
+    applyTransferChanges(users, {
+      added: [transfer({ id: '2' })],
+      removed: [{ filename: transfer().filename, id: '1', username: 'alice' }],
+    });
+
+    expect(users).toEqual(copy);
+  });
+});
+
+describe('describeFailoverPosition', () => {
+  const chain = [{ id: '1' }, { id: '2' }, { id: '3' }];
+
+  it.each([
+    ['1', 'Original of 3'],
+    ['2', 'Failover 1 of 2'],
+    ['3', 'Failover 2 of 2'],
+  ])('describes download %s as %s', (id, expected) => {
+    expect(describeFailoverPosition(chain, id)).toBe(expected);
+  });
+
+  it('is undefined for downloads that were never failed over', () => {
+    expect(describeFailoverPosition([{ id: '1' }], '1')).toBeUndefined();
+    expect(describeFailoverPosition(chain, '4')).toBeUndefined();
+  });
+});
+
+describe('getEnqueueFailures', () => {
+  it.each([
+    [200, [{ filename: 'a', message: 'nope' }]],
+    [207, [{ filename: 'a', message: 'nope' }]],
+    [201, []],
+  ])('returns the failures from a %s response', (status, expected) => {
+    expect(
+      getEnqueueFailures({
+        data: { failures: [{ filename: 'a', message: 'nope' }] },
+        status,
+      }),
+    ).toEqual(expected);
+  });
+});
+
+describe('formatEnqueueFailures', () => {
+  it('names the first few files and counts the rest', () => {
+    const failures = ['a', 'b', 'c'].map((name) => ({
+      filename: `@@share\\Album\\${name}.flac`,
+      message: 'Skipped: Already in progress',
+    }));
+
+    expect(formatEnqueueFailures(failures, 2)).toBe(
+      '3 files failed to enqueue: a.flac (Skipped: Already in progress), b.flac (Skipped: Already in progress), 1 more',
+    );
+  });
+});
+
+describe('summarizeBatch', () => {
+  it('counts progress and failures across transfers and enqueue failures', () => {
+    const summary = summarizeBatch({
+      failures: [{ filename: 'd.flac', message: 'Skipped', size: 10 }],
+      transfers: [
+        transfer({
+          bytesTransferred: 100,
+          id: '1',
+          size: 100,
+          state: 'Completed, Succeeded',
+        }),
+        transfer({
+          bytesTransferred: 0,
+          exception: 'Remote connection closed',
+          id: '2',
+          size: 100,
+          state: 'Completed, Errored',
+        }),
+        transfer({
+          bytesTransferred: 0,
+          id: '3',
+          size: 100,
+          state: 'Completed, Rejected',
+        }),
+        transfer({
+          bytesTransferred: 50,
+          failoverOfId: '3',
+          id: '4',
+          size: 100,
+          state: 'InProgress',
+          username: 'bob',
+        }),
+      ],
+      username: 'alice',
+    });
+
+    expect(summary).toMatchObject({
+      active: 1,
+      bytesTransferred: 150,
+      failed: 2,
+      isComplete: false,
+      percentComplete: 37.5,
+      size: 400,
+      succeeded: 1,
+      total: 5,
+    });
+    expect(summary.failures).toEqual([
+      expect.objectContaining({
+        filename: '@@share\\Artist\\Album\\01 - Track.flac',
+        message: 'Remote connection closed',
+      }),
+      { filename: 'd.flac', message: 'Skipped', username: 'alice' },
+    ]);
+  });
+});
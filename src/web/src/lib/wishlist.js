@@ -0,0 +1,86 @@
+import api from './api';
+
+export const actions = ['Notify', 'Enqueue'];
+
+export const minimumInterval = 15;
+export const maximumInterval = 43_200;
+
+export const list = async () => {
+  return (await api.get('/wishlist')).data;
+};
+
+export const get = async ({ id }) => {
+  return (await api.get(`/wishlist/${encodeURIComponent(id)}`)).data;
+};
+
+export const create = async ({
+  action,
+  enabled,
+  filter,
+  interval,
+  searchText,
+}) => {
+  return (
+    await api.post('/wishlist', {
+      action,
+      enabled,
+      filter,
+      interval,
+      searchText,
+    })
+  ).data;
+};
+
+export const update = async ({
+  action,
+  enabled,
+  filter,
+  id,
+  interval,
+  searchText,
+}) => {
+  return (
+    await api.put(`/wishlist/${encodeURIComponent(id)}`, {
+      action,
+      enabled,
+      filter,
+      interval,
+      searchText,
+    })
+  ).data;
+};
+
+export const remove = ({ id }) => {
+  return api.delete(`/wishlist/${encodeURIComponent(id)}`);
+};
+
+export const listRuns = async ({ id }) => {
+  return (await api.get(`/wishlist/${encodeURIComponent(id)}/runs`)).data;
+};
+
+export const run = ({ id }) => {
+  return api.post(`/wishlist/${encodeURIComponent(id)}/runs`);
+};
+
+const intervalUnits = [
+  { minutes: 10_080, name: 'week' },
+  { minutes: 1_440, name: 'day' },
+  { minutes: 60, name: 'hour' },
+  { minutes: 1, name: 'minute' },
+];
+
+/**
+ * Formats an interval given in minutes using the largest unit that divides it evenly,
+ * e.g. 90 becomes '90 minutes', 120 becomes '2 hours' and 1440 becomes '1 day'.
+ * @param {number} minutes - The interval, in minutes.
+ * @returns {string} The formatted interval.
+ */
+export const formatInterval = (minutes) => {
+  const unit =
+    intervalUnits.find(
+      (u) => minutes >= u.minutes && minutes % u.minutes === 0,
+    ) ?? intervalUnits.at(-1);
+  const count = minutes / unit.minutes;
+
+  return `${count} ${unit.name}${count === 1 ? '' : 's'}`;
+};
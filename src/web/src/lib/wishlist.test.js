@@ -0,0 +1,18 @@
+import { formatInterval } from './wishlist';
+
+describe('wishlist', () => {
+  describe('formatInterval', () => {
+    it.each([
+      [15, '15 minutes'],
+      [1, '1 minute'],
+      [90, '90 minutes'],
+      [120, '2 hours'],
+      [1_440, '1 day'],
+      [2_880, '2 days'],
+      [10_080, '1 week'],
+      [43_200, '30 days'],
+    ])('formats %i minutes as %s', (minutes, expected) => {
+      expect(formatInterval(minutes)).toBe(expected);
+    });
+  });
+});
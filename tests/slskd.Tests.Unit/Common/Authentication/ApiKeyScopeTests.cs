@@ -0,0 +1,64 @@
+using System;
+using slskd.Authentication;
+using Xunit;
+
+namespace slskd.Tests.Unit.Common.Authentication;
+
+public class ApiKeyScopeTests
+{
+    [Theory(DisplayName = "Permits requests that don't change anything, whatever the scope")]
+    [InlineData("GET")]
+    [InlineData("HEAD")]
+    [InlineData("OPTIONS")]
+    [InlineData("get")]
+    public void Permits_Reads_With_ReadOnly_Scope(string method)
+    {
+        Assert.True(ApiKeyScope.Permits(new[] { ApiKeyScope.ReadOnly }, method, "/api/v0/transfers/downloads"));
+        Assert.True(ApiKeyScope.Permits(new[] { ApiKeyScope.Searches }, method, "/api/v0/options"));
+    }
+
+    [Theory(DisplayName = "Permits changes to transfers with the transfers scope")]
+    [InlineData("POST", "/api/v0/transfers/downloads/alice")]
+    [InlineData("DELETE", "/api/v0/transfers/downloads/alice/00000000-0000-0000-0000-000000000000")]
+    [InlineData("DELETE", "/API/V0/Transfers/uploads/all/completed")]
+    [InlineData("post", "/slskd/api/v0/transfers/downloads/batches")]
+    public void Permits_Transfers_With_Transfers_Scope(string method, string path)
+    {
+        Assert.True(ApiKeyScope.Permits(new[] { ApiKeyScope.Transfers }, method, path));
+        Assert.True(ApiKeyScope.Permits(new[] { "Transfers", ApiKeyScope.Searches }, method, path));
+    }
+
+    [Theory(DisplayName = "Refuses changes to transfers without the transfers scope")]
+    [InlineData("POST", "/api/v0/transfers/downloads/alice")]
+    [InlineData("DELETE", "/api/v0/transfers/downloads/alice/00000000-0000-0000-0000-000000000000")]
+    public void Refuses_Transfers_Without_Transfers_Scope(string method, string path)
+    {
+        Assert.False(ApiKeyScope.Permits(new[] { ApiKeyScope.ReadOnly }, method, path));
+        Assert.False(ApiKeyScope.Permits(new[] { ApiKeyScope.Searches }, method, path));
+    }
+
+    [Fact(DisplayName = "Refuses changes to anything the scopes don't name")]
+    public void Refuses_Changes_Outside_Scopes()
+    {
+        Assert.False(ApiKeyScope.Permits(new[] { ApiKeyScope.Transfers }, "PUT", "/api/v0/options/yaml"));
+        Assert.False(ApiKeyScope.Permits(new[] { ApiKeyScope.Transfers }, "DELETE", "/api/v0/transfersx/downloads"));
+    }
+
+    [Theory(DisplayName = "Refuses changes to paths without an api segment")]
+    [InlineData("/transfers/downloads/alice")]
+    [InlineData("/hub/transfers")]
+    [InlineData("")]
+    [InlineData("/api")]
+    [InlineData("/api/v0")]
+    public void Refuses_Paths_Without_Api_Segment(string path)
+    {
+        Assert.False(ApiKeyScope.Permits(new[] { ApiKeyScope.Transfers }, "POST", path));
+    }
+
+    [Fact(DisplayName = "Permits anything given no scopes")]
+    public void Permits_Anything_Given_No_Scopes()
+    {
+        Assert.True(ApiKeyScope.Permits(Array.Empty<string>(), "DELETE", "/api/v0/options/yaml"));
+        Assert.True(ApiKeyScope.Permits(null, "POST", "/api/v0/searches"));
+    }
+}
@@ -0,0 +1,101 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Reflection;
+using System.Security.Claims;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Routing;
+using Microsoft.Extensions.DependencyInjection;
+using slskd.Authentication;
+using slskd.Transfers.API;
+using Xunit;
+
+namespace slskd.Tests.Unit.Common.Authentication;
+
+public class ReadOnlyRoleTests
+{
+    // actions that take a body, but don't change anything
+    private static readonly HashSet<string> ReadActions = new()
+    {
+        "UsersController.Directory",
+        "OptionsController.ValidateYamlFile",
+        "SessionController.Login",
+        "SessionController.Refresh",
+        "SessionController.Logout",
+    };
+
+    public static IEnumerable<object[]> ChangingActions => typeof(Program).Assembly.GetTypes()
+        .Where(type => typeof(ControllerBase).IsAssignableFrom(type) && !type.IsAbstract)
+        .SelectMany(type => type.GetMethods(BindingFlags.Public | BindingFlags.Instance | BindingFlags.DeclaredOnly))
+        .Where(method => method.GetCustomAttributes<HttpMethodAttribute>().SelectMany(a => a.HttpMethods).Any(verb => verb != "GET"))
+        .Where(method => !ReadActions.Contains($"{method.DeclaringType.Name}.{method.Name}"))
+        .Select(method => new object[] { $"{method.DeclaringType.Name}.{method.Name}" });
+
+    [Theory(DisplayName = "Every action that changes something requires a role other than ReadOnly")]
+    [MemberData(nameof(ChangingActions))]
+    public void Changing_Actions_Exclude_ReadOnly(string action)
+    {
+        var method = GetAction(action);
+        var roles = method.GetCustomAttributes<AuthorizeAttribute>()
+            .Concat(method.DeclaringType.GetCustomAttributes<AuthorizeAttribute>())
+            .Where(a => !string.IsNullOrEmpty(a.Roles))
+            .SelectMany(a => a.Roles.Split(','))
+            .ToList();
+
+        Assert.NotEmpty(roles);
+        Assert.DoesNotContain(nameof(Role.ReadOnly), roles);
+    }
+
+    [Theory(DisplayName = "Forbids a ReadOnly user from changing transfers")]
+    [InlineData(nameof(TransfersController.EnqueueBatchAsync))]
+    [InlineData(nameof(TransfersController.CancelBatchAsync))]
+    [InlineData(nameof(TransfersController.CancelDownloadAsync))]
+    public async Task Forbids_ReadOnly(string action)
+    {
+        var result = await AuthorizeAsync(typeof(TransfersController).GetMethod(action), Role.ReadOnly);
+
+        Assert.False(result.Succeeded);
+    }
+
+    [Theory(DisplayName = "Permits a ReadWrite user or administrator to change transfers")]
+    [InlineData(Role.ReadWrite)]
+    [InlineData(Role.Administrator)]
+    public async Task Permits_ReadWrite_And_Administrator(Role role)
+    {
+        var result = await AuthorizeAsync(typeof(TransfersController).GetMethod(nameof(TransfersController.EnqueueBatchAsync)), role);
+
+        Assert.True(result.Succeeded);
+    }
+
+    private static MethodInfo GetAction(string action)
+    {
+        var parts = action.Split('.');
+
+        return typeof(Program).Assembly.GetTypes()
+            .Single(type => type.Name == parts[0] && typeof(ControllerBase).IsAssignableFrom(type))
+            .GetMethods(BindingFlags.Public | BindingFlags.Instance | BindingFlags.DeclaredOnly)
+            .First(method => method.Name == parts[1]);
+    }
+
+    private static async Task<AuthorizationResult> AuthorizeAsync(MethodInfo action, Role role)
+    {
+        var services = new ServiceCollection()
+            .AddLogging()
+            .AddAuthorization(options =>
+            {
+                options.AddPolicy(AuthPolicy.Any, policy => policy.RequireAuthenticatedUser());
+            })
+            .BuildServiceProvider();
+
+        var policy = await AuthorizationPolicy.CombineAsync(
+            services.GetRequiredService<IAuthorizationPolicyProvider>(),
+            action.GetCustomAttributes<AuthorizeAttribute>());
+
+        var principal = new ClaimsPrincipal(new ClaimsIdentity(
+            new[] { new Claim(ClaimTypes.Name, "alice"), new Claim(ClaimTypes.Role, role.ToString()) },
+            authenticationType: "Test"));
+
+        return await services.GetRequiredService<IAuthorizationService>().AuthorizeAsync(principal, policy);
+    }
+}
@@ -0,0 +1,44 @@
+using System.Collections.Generic;
+using Microsoft.AspNetCore.Mvc;
+using slskd.Core.API;
+using Xunit;
+
+namespace slskd.Tests.Unit.Core.API;
+
+public class OptionsControllerTests
+{
+    [Theory(DisplayName = "Secrets names each option marked as a secret")]
+    [InlineData("Soulseek.Password")]
+    [InlineData("Web.Authentication.Jwt.Key")]
+    [InlineData("Integrations.Vpn.Gluetun.ApiKey")]
+    public void Secrets_Names_Secrets(string name)
+    {
+        Assert.Contains(name, GetSecrets());
+    }
+
+    [Theory(DisplayName = "Secrets names the secrets of any dictionary entry with '*'")]
+    [InlineData("Web.Authentication.Users.*.Password")]
+    [InlineData("Web.Authentication.ApiKeys.*.Key")]
+    [InlineData("Relay.Agents.*.Secret")]
+    public void Secrets_Names_Dictionary_Secrets(string name)
+    {
+        Assert.Contains(name, GetSecrets());
+    }
+
+    [Fact(DisplayName = "Secrets doesn't name options that aren't secrets")]
+    public void Secrets_Omits_Other_Options()
+    {
+        var secrets = GetSecrets();
+
+        Assert.DoesNotContain("Soulseek.Username", secrets);
+        Assert.DoesNotContain("Web.Authentication.Users.*.Role", secrets);
+    }
+
+    private static IEnumerable<string> GetSecrets()
+    {
+        var controller = new OptionsController(optionsAtStartup: null, optionsSnapshot: null, stateMutator: null);
+        var result = Assert.IsType<OkObjectResult>(controller.Secrets());
+
+        return Assert.IsAssignableFrom<IEnumerable<string>>(result.Value);
+    }
+}
@@ -0,0 +1,118 @@
+using System.Collections.Generic;
+using slskd.Search;
+using Xunit;
+
+namespace slskd.Tests.Unit.Search;
+
+public class SearchFilterTests
+{
+    private static Response MakeResponse(string username = "alice", int fileCount = 1, int lockedFileCount = 0) => new()
+    {
+        Username = username,
+        FileCount = fileCount,
+        LockedFileCount = lockedFileCount,
+    };
+
+    private static File MakeFile(string filename = @"Music\Artist\Album\01 - Track.flac") => new()
+    {
+        Filename = filename,
+        Size = 30 * 1024 * 1024,
+        BitDepth = 24,
+        SampleRate = 96000,
+        Length = 240,
+    };
+
+    [Theory]
+    [InlineData("", true)]
+    [InlineData("track", true)]
+    [InlineData("TRACK album", true)]
+    [InlineData("track missing", false)]
+    [InlineData("\"01 - track\"", true)]
+    [InlineData("-track", false)]
+    [InlineData("missing OR track", true)]
+    [InlineData("missing | other", false)]
+    [InlineData("(missing OR album) -live", true)]
+    [InlineData("path:album", true)]
+    [InlineData("path:track", false)]
+    [InlineData("path:\"artist\\album\"", true)]
+    [InlineData("user:ali", true)]
+    [InlineData("user:bob", false)]
+    [InlineData("ext:flac", true)]
+    [InlineData("ext:mp3,.FLAC", true)]
+    [InlineData("ext:mp3", false)]
+    [InlineData("islossless", true)]
+    [InlineData("islossy", false)]
+    [InlineData("minbd:24", true)]
+    [InlineData("maxbd:16", false)]
+    [InlineData("minfs:30MB", true)]
+    [InlineData("minfs:31MB", false)]
+    [InlineData("maxlen:239", false)]
+    [InlineData("minfif:2", false)]
+    public void IsMatch_Evaluates_Filters(string filter, bool expected)
+    {
+        var parsed = SearchFilter.Parse(filter);
+
+        Assert.Empty(parsed.Errors);
+        Assert.Equal(expected, parsed.IsMatch(MakeFile(), MakeResponse()));
+    }
+
+    [Fact]
+    public void IsMatch_Does_Not_Exclude_Files_Missing_An_Attribute()
+    {
+        var file = new File { Filename = "a.mp3" };
+
+        Assert.True(SearchFilter.Parse("minbr:320 maxbd:16").IsMatch(file, MakeResponse()));
+    }
+
+    [Fact]
+    public void IsMatch_Counts_Locked_Files_In_Folder()
+    {
+        Assert.True(SearchFilter.Parse("minfif:3").IsMatch(MakeFile(), MakeResponse(fileCount: 1, lockedFileCount: 2)));
+    }
+
+    [Theory]
+    [InlineData("minbr:abc", "Invalid value 'abc' for 'minbr'; expected a whole number", 0, 9)]
+    [InlineData("track minfs:1XB", "Invalid value '1XB' for 'minfs'; expected a number, optionally followed by B, KB, MB, GB or TB", 6, 15)]
+    [InlineData("mnbr:320", "Unknown filter 'mnbr'; did you mean 'minbr'?", 0, 8)]
+    [InlineData("islossless:yes", "'islossless' doesn't take a value", 0, 14)]
+    [InlineData("path:", "Missing value for 'path'", 0, 5)]
+    [InlineData("\"open", "Missing closing quote", 0, 5)]
+    [InlineData("(track", "Missing closing ')'", 0, 1)]
+    [InlineData("track)", "Unexpected ')'", 5, 6)]
+    [InlineData("OR track", "Expected a term before 'OR'", 0, 2)]
+    [InlineData("track OR", "Expected a term after 'OR', found end of filter", 6, 8)]
+    [InlineData("()", "Empty group", 0, 2)]
+    [InlineData("track -)", "Expected a term, phrase, filter or group after '-'", 6, 7)]
+    public void Parse_Reports_Positioned_Errors(string filter, string message, int start, int end)
+    {
+        var parsed = SearchFilter.Parse(filter);
+
+        Assert.Contains(new SearchFilterError(message, start, end), parsed.Errors);
+    }
+
+    [Fact]
+    public void Parse_Ignores_Invalid_Parts()
+    {
+        var parsed = SearchFilter.Parse("track minbr:abc");
+
+        Assert.Single(parsed.Errors);
+        Assert.True(parsed.IsMatch(MakeFile(), MakeResponse()));
+    }
+
+    [Fact]
+    public void Apply_Returns_Only_Matching_Unlocked_Files()
+    {
+        var response = new Response
+        {
+            Username = "alice",
+            FileCount = 2,
+            Files = new List<File> { MakeFile(@"a\1.flac"), MakeFile(@"a\2.mp3") },
+            LockedFileCount = 1,
+            LockedFiles = new List<File> { MakeFile(@"a\3.flac") },
+        };
+
+        var matches = SearchFilter.Parse("ext:flac").Apply(response);
+
+        Assert.Collection(matches, f => Assert.Equal(@"a\1.flac", f.Filename));
+    }
+}
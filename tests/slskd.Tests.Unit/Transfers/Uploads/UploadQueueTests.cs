@@ -21,10 +21,23 @@ namespace slskd.Tests.Unit.Transfers.Uploads
 
             var groups = queue.GetProperty<Dictionary<string, UploadGroup>>("Groups");
 
-            Assert.Equal(3, groups.Count);
+            Assert.Equal(4, groups.Count);
             Assert.True(groups.ContainsKey(Application.PrivilegedGroup));
             Assert.True(groups.ContainsKey(Application.DefaultGroup));
             Assert.True(groups.ContainsKey(Application.LeecherGroup));
+            Assert.True(groups.ContainsKey(Application.BuddyGroup));
+        }
+
+        [Fact]
+        public void Instantiates_Built_In_Groups_With_Priority_1()
+        {
+            var (queue, _) = GetFixture();
+
+            var groups = queue.GetProperty<Dictionary<string, UploadGroup>>("Groups");
+
+            Assert.Equal(1, groups[Application.DefaultGroup].Priority);
+            Assert.Equal(1, groups[Application.LeecherGroup].Priority);
+            Assert.Equal(1, groups[Application.BuddyGroup].Priority);
         }
 
         [Fact]
@@ -665,6 +678,34 @@ namespace slskd.Tests.Unit.Transfers.Uploads
                 Assert.Equal(file1, result.Filename);
             }
 
+            [Theory, AutoData]
+            public void Releases_Buddy_Upload_First_When_Priorities_Are_Equal(string user1, string user2, string file1, string file2)
+            {
+                var (queue, mocks) = GetFixture();
+
+                mocks.UserService.Setup(m => m.GetGroup(user1)).Returns(Application.DefaultGroup);
+                mocks.UserService.Setup(m => m.GetGroup(user2)).Returns(Application.BuddyGroup);
+
+                var uploads = new ConcurrentDictionary<string, List<Upload>>();
+
+                uploads.TryAdd(user1, new List<Upload>()
+                {
+                    new Upload() { Username = user1, Filename = file1, Ready = DateTime.UtcNow }
+                });
+
+                uploads.TryAdd(user2, new List<Upload>()
+                {
+                    new Upload() { Username = user2, Filename = file2, Ready = DateTime.UtcNow }
+                });
+
+                queue.SetProperty("UploadDictionary", uploads);
+
+                var result = queue.InvokeMethod<Upload>("Process");
+
+                Assert.Equal(user2, result.Username);
+                Assert.Equal(file2, result.Filename);
+            }
+
             [Theory, AutoData]
             public void Releases_Lower_Priority_Upload_First_If_All_Higher_Slots_Consumed_Or_Empty(string user1, string user2, string file1, string file2)
             {